@@ -85,7 +85,7 @@
   /**
   The data structure for documents. @nonabstract
   */
-  class Text {
+  let Text$1 = class Text {
       /**
       Get the line description around the given position.
       */
@@ -209,11 +209,11 @@
               return Text.empty;
           return text.length <= 32 /* Tree.Branch */ ? new TextLeaf(text) : TextNode.from(TextLeaf.split(text, []));
       }
-  }
+  };
   // Leaves store an array of line strings. There are always line breaks
   // between these strings. Leaves are limited in size and have to be
   // contained in TextNode instances for bigger documents.
-  class TextLeaf extends Text {
+  class TextLeaf extends Text$1 {
       constructor(text, length = textLength(text)) {
           super();
           this.text = text;
@@ -296,7 +296,7 @@
   // number of other nodes or leaves, taking care to balance themselves
   // on changes. There are implied line breaks _between_ the children of
   // a node (but not before the first or after the last child).
-  class TextNode extends Text {
+  class TextNode extends Text$1 {
       constructor(children, length) {
           super();
           this.children = children;
@@ -432,7 +432,7 @@
           return chunked.length == 1 ? chunked[0] : new TextNode(chunked, length);
       }
   }
-  Text.empty = /*@__PURE__*/new TextLeaf([""], 0);
+  Text$1.empty = /*@__PURE__*/new TextLeaf([""], 0);
   function textLength(text) {
       let length = -1;
       for (let line of text)
@@ -599,7 +599,7 @@
       get lineBreak() { return false; }
   }
   if (typeof Symbol != "undefined") {
-      Text.prototype[Symbol.iterator] = function () { return this.iter(); };
+      Text$1.prototype[Symbol.iterator] = function () { return this.iter(); };
       RawTextCursor.prototype[Symbol.iterator] = PartialTextCursor.prototype[Symbol.iterator] =
           LineCursor.prototype[Symbol.iterator] = function () { return this; };
   }
@@ -923,8 +923,8 @@
                   sections[i + 1] = len;
                   let index = i >> 1;
                   while (inserted.length < index)
-                      inserted.push(Text.empty);
-                  inserted.push(len ? doc.slice(pos, pos + len) : Text.empty);
+                      inserted.push(Text$1.empty);
+                  inserted.push(len ? doc.slice(pos, pos + len) : Text$1.empty);
               }
               pos += len;
           }
@@ -1051,7 +1051,7 @@
                   let { from, to = from, insert } = spec;
                   if (from > to || from < 0 || to > length)
                       throw new RangeError(`Invalid change range ${from} to ${to} (in doc of length ${length})`);
-                  let insText = !insert ? Text.empty : typeof insert == "string" ? Text.of(insert.split(lineSep || DefaultSplit)) : insert;
+                  let insText = !insert ? Text$1.empty : typeof insert == "string" ? Text$1.of(insert.split(lineSep || DefaultSplit)) : insert;
                   let insLen = insText.length;
                   if (from == to && insLen == 0)
                       return;
@@ -1095,8 +1095,8 @@
               }
               else {
                   while (inserted.length < i)
-                      inserted.push(Text.empty);
-                  inserted[i] = Text.of(part.slice(1));
+                      inserted.push(Text$1.empty);
+                  inserted[i] = Text$1.of(part.slice(1));
                   sections.push(part[0], inserted[i].length);
               }
           }
@@ -1133,7 +1133,7 @@
       }
       else {
           while (values.length < index)
-              values.push(Text.empty);
+              values.push(Text$1.empty);
           values.push(value);
       }
   }
@@ -1146,7 +1146,7 @@
               posB += len;
           }
           else {
-              let endA = posA, endB = posB, text = Text.empty;
+              let endA = posA, endB = posB, text = Text$1.empty;
               for (;;) {
                   endA += len;
                   endB += ins;
@@ -1302,11 +1302,11 @@
       get len2() { return this.ins < 0 ? this.len : this.ins; }
       get text() {
           let { inserted } = this.set, index = (this.i - 2) >> 1;
-          return index >= inserted.length ? Text.empty : inserted[index];
+          return index >= inserted.length ? Text$1.empty : inserted[index];
       }
       textBit(len) {
           let { inserted } = this.set, index = (this.i - 2) >> 1;
-          return index >= inserted.length && !len ? Text.empty
+          return index >= inserted.length && !len ? Text$1.empty
               : inserted[index].slice(this.off, len == null ? undefined : this.off + len);
       }
       forward(len) {
@@ -2750,7 +2750,7 @@
       [`Text`](https://codemirror.net/6/docs/ref/#state.Text) instance from the given string.
       */
       toText(string) {
-          return Text.of(string.split(this.facet(EditorState.lineSeparator) || DefaultSplit));
+          return Text$1.of(string.split(this.facet(EditorState.lineSeparator) || DefaultSplit));
       }
       /**
       Return the given range of the document as a string.
@@ -2817,8 +2817,8 @@
       */
       static create(config = {}) {
           let configuration = Configuration.resolve(config.extensions || [], new Map);
-          let doc = config.doc instanceof Text ? config.doc
-              : Text.of((config.doc || "").split(configuration.staticFacet(EditorState.lineSeparator) || DefaultSplit));
+          let doc = config.doc instanceof Text$1 ? config.doc
+              : Text$1.of((config.doc || "").split(configuration.staticFacet(EditorState.lineSeparator) || DefaultSplit));
           let selection = !config.selection ? EditorSelection.single(0)
               : config.selection instanceof EditorSelection ? config.selection
                   : EditorSelection.single(config.selection.anchor, config.selection.head);
@@ -5230,12 +5230,12 @@
       ignoreEvent(event) { return this.widget.ignoreEvent(event); }
       get overrideDOMText() {
           if (this.length == 0)
-              return Text.empty;
+              return Text$1.empty;
           let top = this;
           while (top.parent)
               top = top.parent;
           let { view } = top, text = view && view.state.doc, start = this.posAtStart;
-          return text ? text.slice(start, start + this.length) : Text.empty;
+          return text ? text.slice(start, start + this.length) : Text$1.empty;
       }
       domAtPos(pos) {
           return (this.length ? pos == 0 : this.side > 0)
@@ -5297,7 +5297,7 @@
           return this.dom.getBoundingClientRect();
       }
       get overrideDOMText() {
-          return Text.empty;
+          return Text$1.empty;
       }
       get isHidden() { return true; }
   }
@@ -5921,7 +5921,7 @@
           }
       }
       get overrideDOMText() {
-          return this.parent ? this.parent.view.state.doc.slice(this.posAtStart, this.posAtEnd) : Text.empty;
+          return this.parent ? this.parent.view.state.doc.slice(this.posAtStart, this.posAtEnd) : Text$1.empty;
       }
       domBoundsAround() { return null; }
       become(other) {
@@ -8261,7 +8261,7 @@
                   diff.toB == diff.from + 2 && domChange.text.slice(diff.from, diff.toB) == LineBreakPlaceholder + LineBreakPlaceholder)
                   diff.toB--;
               change = { from: from + diff.from, to: from + diff.toA,
-                  insert: Text.of(domChange.text.slice(diff.from, diff.toB).split(LineBreakPlaceholder)) };
+                  insert: Text$1.of(domChange.text.slice(diff.from, diff.toB).split(LineBreakPlaceholder)) };
           }
       }
       else if (newSel && (!view.hasFocus && view.state.facet(editable) || newSel.main.eq(sel))) {
@@ -8279,7 +8279,7 @@
           // and transform it into a regular space insert.
           if (newSel && change.insert.length == 2)
               newSel = EditorSelection.single(newSel.main.anchor - 1, newSel.main.head - 1);
-          change = { from: change.from, to: change.to, insert: Text.of([change.insert.toString().replace(".", " ")]) };
+          change = { from: change.from, to: change.to, insert: Text$1.of([change.insert.toString().replace(".", " ")]) };
       }
       else if (change && change.from >= sel.from && change.to <= sel.to &&
           (change.from != sel.from || change.to != sel.to) &&
@@ -8299,7 +8299,7 @@
           // bogus new line to be created in CodeMirror (#968)
           if (newSel)
               newSel = EditorSelection.single(newSel.main.anchor - 1, newSel.main.head - 1);
-          change = { from: sel.from, to: sel.to, insert: Text.of([" "]) };
+          change = { from: sel.from, to: sel.to, insert: Text$1.of([" "]) };
       }
       if (change) {
           return applyDOMChangeInner(view, change, newSel, lastKey);
@@ -9352,7 +9352,7 @@
   class HeightOracle {
       constructor(lineWrapping) {
           this.lineWrapping = lineWrapping;
-          this.doc = Text.empty;
+          this.doc = Text$1.empty;
           this.heightSamples = {};
           this.lineHeight = 14; // The height of an entire line (line-height)
           this.charWidth = 7;
@@ -10199,7 +10199,7 @@
           let guessWrapping = state.facet(contentAttributes).some(v => typeof v != "function" && v.class == "cm-lineWrapping");
           this.heightOracle = new HeightOracle(guessWrapping);
           this.stateDeco = state.facet(decorations).filter(d => typeof d != "function");
-          this.heightMap = HeightMap.empty().applyChanges(this.stateDeco, Text.empty, this.heightOracle.setDoc(state.doc), [new ChangedRange(0, 0, 0, state.doc.length)]);
+          this.heightMap = HeightMap.empty().applyChanges(this.stateDeco, Text$1.empty, this.heightOracle.setDoc(state.doc), [new ChangedRange(0, 0, 0, state.doc.length)]);
           for (let i = 0; i < 2; i++) {
               this.viewport = this.getViewport(0, null);
               if (!this.updateForViewport())
@@ -10351,7 +10351,7 @@
               clearHeightChangeFlag();
               for (let vp of this.viewports) {
                   let heights = vp.from == this.viewport.from ? lineHeights : view.docView.measureVisibleLineHeights(vp);
-                  this.heightMap = (refresh ? HeightMap.empty().applyChanges(this.stateDeco, Text.empty, this.heightOracle, [new ChangedRange(0, 0, 0, view.state.doc.length)]) : this.heightMap).updateHeight(oracle, 0, refresh, new MeasuredHeights(vp.from, heights));
+                  this.heightMap = (refresh ? HeightMap.empty().applyChanges(this.stateDeco, Text$1.empty, this.heightOracle, [new ChangedRange(0, 0, 0, view.state.doc.length)]) : this.heightMap).updateHeight(oracle, 0, refresh, new MeasuredHeights(vp.from, heights));
               }
               if (heightChangeFlag)
                   result |= 2 /* UpdateFlag.Height */;
@@ -10738,7 +10738,7 @@
           }
       });
   }
-  const baseTheme$1$1 = /*@__PURE__*/buildTheme("." + baseThemeID, {
+  const baseTheme$1$2 = /*@__PURE__*/buildTheme("." + baseThemeID, {
       "&": {
           position: "relative !important",
           boxSizing: "border-box",
@@ -11537,7 +11537,7 @@
               let from = this.toEditorPos(e.updateRangeStart), to = this.toEditorPos(e.updateRangeEnd);
               if (view.inputState.composing >= 0 && !this.composing)
                   this.composing = { contextBase: e.updateRangeStart, editorBase: from, drifted: false };
-              let change = { from, to, insert: Text.of(e.text.split("\n")) };
+              let change = { from, to, insert: Text$1.of(e.text.split("\n")) };
               // If the window doesn't include the anchor, assume changes
               // adjacent to a side go up to the anchor.
               if (change.from == this.from && anchor < this.from)
@@ -11553,7 +11553,7 @@
               }
               if ((browser.mac || browser.android) && change.from == head - 1 &&
                   /^\. ?$/.test(e.text) && view.contentDOM.getAttribute("autocorrect") == "off")
-                  change = { from, to, insert: Text.of([e.text.replace(".", " ")]) };
+                  change = { from, to, insert: Text$1.of([e.text.replace(".", " ")]) };
               this.pendingContextChange = change;
               if (!view.state.readOnly) {
                   let newLen = this.to - this.from + (change.to - change.from + change.insert.length);
@@ -12209,7 +12209,7 @@
       mountStyles() {
           this.styleModules = this.state.facet(styleModule);
           let nonce = this.state.facet(EditorView.cspNonce);
-          StyleModule.mount(this.root, this.styleModules.concat(baseTheme$1$1).reverse(), nonce ? { nonce } : undefined);
+          StyleModule.mount(this.root, this.styleModules.concat(baseTheme$1$2).reverse(), nonce ? { nonce } : undefined);
       }
       readMeasured() {
           if (this.updateState == 2 /* UpdateState.Updating */)
@@ -14385,6 +14385,7 @@
           this.deserialize = config.deserialize || (() => {
               throw new Error("This node type doesn't define a deserialize function");
           });
+          this.combine = config.combine || null;
       }
       /**
       This is meant to be used with
@@ -14484,10 +14485,17 @@
       /**
       The parser used to create this subtree.
       */
-      parser) {
+      parser, 
+      /**
+      [Indicates](#common.IterMode.EnterBracketed) that the nested
+      content is delineated with some kind
+      of bracket token.
+      */
+      bracketed = false) {
           this.tree = tree;
           this.overlay = overlay;
           this.parser = parser;
+          this.bracketed = bracketed;
       }
       /**
       @internal
@@ -14649,7 +14657,10 @@
                   if (add) {
                       if (!newProps)
                           newProps = Object.assign({}, type.props);
-                      newProps[add[0].id] = add[1];
+                      let value = add[1], prop = add[0];
+                      if (prop.combine && prop.id in newProps)
+                          value = prop.combine(newProps[prop.id], value);
+                      newProps[prop.id] = value;
                   }
               }
               newTypes.push(newProps ? new NodeType(type.name, newProps, type.id, type.flags) : type);
@@ -14689,6 +14700,13 @@
       position.
       */
       IterMode[IterMode["IgnoreOverlays"] = 8] = "IgnoreOverlays";
+      /**
+      When set, positions on the boundary of a mounted overlay tree
+      that has its [`bracketed`](#common.NestedParse.bracketed) flag
+      set will enter that tree regardless of side. Only supported in
+      [`enter`](#common.SyntaxNode.enter), not in cursors.
+      */
+      IterMode[IterMode["EnterBracketed"] = 16] = "EnterBracketed";
   })(IterMode || (IterMode = {}));
   /**
   A piece of syntax tree. There are two ways to approach these
@@ -14891,7 +14909,7 @@
       Build a tree from a postfix-ordered buffer of node information,
       or a cursor over such a buffer.
       */
-      static build(data) { return buildTree(data); }
+      static build(data) { return buildTree$1(data); }
   }
   /**
   The empty tree
@@ -15088,8 +15106,11 @@
       nextChild(i, dir, pos, side, mode = 0) {
           for (let parent = this;;) {
               for (let { children, positions } = parent._tree, e = dir > 0 ? children.length : -1; i != e; i += dir) {
-                  let next = children[i], start = positions[i] + parent.from;
-                  if (!checkSide(side, pos, start, start + next.length))
+                  let next = children[i], start = positions[i] + parent.from, mounted;
+                  if (!((mode & IterMode.EnterBracketed) && next instanceof Tree &&
+                      (mounted = MountedTree.get(next)) && !mounted.overlay && mounted.bracketed &&
+                      pos >= start && pos <= start + next.length) &&
+                      !checkSide(side, pos, start, start + next.length))
                       continue;
                   if (next instanceof TreeBuffer) {
                       if (mode & IterMode.ExcludeBuffers)
@@ -15104,7 +15125,7 @@
                           return new TreeNode(mounted.tree, start, i, parent);
                       let inner = new TreeNode(next, start, i, parent);
                       return (mode & IterMode.IncludeAnonymous) || !inner.type.isAnonymous ? inner
-                          : inner.nextChild(dir < 0 ? next.children.length - 1 : 0, dir, pos, side);
+                          : inner.nextChild(dir < 0 ? next.children.length - 1 : 0, dir, pos, side, mode);
                   }
               }
               if ((mode & IterMode.IncludeAnonymous) || !parent.type.isAnonymous)
@@ -15122,13 +15143,14 @@
       get lastChild() { return this.nextChild(this._tree.children.length - 1, -1, 0, 4 /* Side.DontCare */); }
       childAfter(pos) { return this.nextChild(0, 1, pos, 2 /* Side.After */); }
       childBefore(pos) { return this.nextChild(this._tree.children.length - 1, -1, pos, -2 /* Side.Before */); }
+      prop(prop) { return this._tree.prop(prop); }
       enter(pos, side, mode = 0) {
           let mounted;
           if (!(mode & IterMode.IgnoreOverlays) && (mounted = MountedTree.get(this._tree)) && mounted.overlay) {
-              let rPos = pos - this.from;
+              let rPos = pos - this.from, enterBracketed = (mode & IterMode.EnterBracketed) && mounted.bracketed;
               for (let { from, to } of mounted.overlay) {
-                  if ((side > 0 ? from <= rPos : from < rPos) &&
-                      (side < 0 ? to >= rPos : to > rPos))
+                  if ((side > 0 || enterBracketed ? from <= rPos : from < rPos) &&
+                      (side < 0 || enterBracketed ? to >= rPos : to > rPos))
                       return new TreeNode(mounted.tree, mounted.overlay[0].from + this.from, -1, this);
               }
           }
@@ -15215,6 +15237,7 @@
       get lastChild() { return this.child(-1, 0, 4 /* Side.DontCare */); }
       childAfter(pos) { return this.child(1, pos, 2 /* Side.After */); }
       childBefore(pos) { return this.child(-1, pos, -2 /* Side.Before */); }
+      prop(prop) { return this.type.prop(prop); }
       enter(pos, side, mode = 0) {
           if (mode & IterMode.ExcludeBuffers)
               return null;
@@ -15316,12 +15339,7 @@
       /**
       @internal
       */
-      constructor(node, 
-      /**
-      @internal
-      */
-      mode = 0) {
-          this.mode = mode;
+      constructor(node, mode = 0) {
           /**
           @internal
           */
@@ -15332,6 +15350,7 @@
           */
           this.index = 0;
           this.bufferNode = null;
+          this.mode = mode & ~IterMode.EnterBracketed;
           if (node instanceof TreeNode) {
               this.yieldNode(node);
           }
@@ -15623,7 +15642,7 @@
   function hasChild(tree) {
       return tree.children.some(ch => ch instanceof TreeBuffer || !ch.type.isAnonymous || hasChild(ch));
   }
-  function buildTree(data) {
+  function buildTree$1(data) {
       var _a;
       let { buffer, nodeSet, maxBufferLength = DefaultBufferLength, reused = [], minRepeatType = nodeSet.types.length } = data;
       let cursor = Array.isArray(buffer) ? new FlatBufferCursor(buffer, buffer.length) : buffer;
@@ -15632,7 +15651,7 @@
       function takeNode(parentStart, minPos, children, positions, inRepeat, depth) {
           let { id, start, end, size } = cursor;
           let lookAheadAtStart = lookAhead, contextAtStart = contextHash;
-          while (size < 0) {
+          if (size < 0) {
               cursor.next();
               if (size == -1 /* SpecialRecord.Reuse */) {
                   let node = reused[id];
@@ -15796,7 +15815,7 @@
               fork.next();
               while (fork.pos > startPos) {
                   if (fork.size < 0) {
-                      if (fork.size == -3 /* SpecialRecord.ContextChange */)
+                      if (fork.size == -3 /* SpecialRecord.ContextChange */ || fork.size == -4 /* SpecialRecord.LookAhead */)
                           localSkipped += 4;
                       else
                           break scan;
@@ -16123,10 +16142,11 @@
       return (parse, input, fragments, ranges) => new MixedParse(parse, nest, input, fragments, ranges);
   }
   class InnerParse {
-      constructor(parser, parse, overlay, target, from) {
+      constructor(parser, parse, overlay, bracketed, target, from) {
           this.parser = parser;
           this.parse = parse;
           this.overlay = overlay;
+          this.bracketed = bracketed;
           this.target = target;
           this.from = from;
       }
@@ -16136,12 +16156,13 @@
           throw new RangeError("Invalid inner parse ranges given: " + JSON.stringify(ranges));
   }
   class ActiveOverlay {
-      constructor(parser, predicate, mounts, index, start, target, prev) {
+      constructor(parser, predicate, mounts, index, start, bracketed, target, prev) {
           this.parser = parser;
           this.predicate = predicate;
           this.mounts = mounts;
           this.index = index;
           this.start = start;
+          this.bracketed = bracketed;
           this.target = target;
           this.prev = prev;
           this.depth = 0;
@@ -16187,7 +16208,7 @@
               // presumably not aliased anywhere else) to hold the information
               // about the inner parse.
               let props = Object.assign(Object.create(null), inner.target.props);
-              props[NodeProp.mounted.id] = new MountedTree(done, inner.overlay, inner.parser);
+              props[NodeProp.mounted.id] = new MountedTree(done, inner.overlay, inner.parser, inner.bracketed);
               inner.target.props = props;
           }
           return null;
@@ -16237,11 +16258,18 @@
               }
               else if (!cursor.type.isAnonymous && (nest = this.nest(cursor, this.input)) &&
                   (cursor.from < cursor.to || !nest.overlay)) {
-                  if (!cursor.tree)
+                  if (!cursor.tree) {
                       materialize(cursor);
+                      // materialize create one more level of nesting
+                      // we need to add depth to active overlay for going backwards
+                      if (overlay)
+                          overlay.depth++;
+                      if (covered)
+                          covered.depth++;
+                  }
                   let oldMounts = fragmentCursor.findMounts(cursor.from, nest.parser);
                   if (typeof nest.overlay == "function") {
-                      overlay = new ActiveOverlay(nest.parser, nest.overlay, oldMounts, this.inner.length, cursor.from, cursor.tree, overlay);
+                      overlay = new ActiveOverlay(nest.parser, nest.overlay, oldMounts, this.inner.length, cursor.from, !!nest.bracketed, cursor.tree, overlay);
                   }
                   else {
                       let ranges = punchRanges(this.ranges, nest.overlay ||
@@ -16250,7 +16278,7 @@
                           checkRanges(ranges);
                       if (ranges.length || !nest.overlay)
                           this.inner.push(new InnerParse(nest.parser, ranges.length ? nest.parser.startParse(this.input, enterFragments(oldMounts, ranges), ranges)
-                              : nest.parser.startParse(""), nest.overlay ? nest.overlay.map(r => new Range(r.from - cursor.from, r.to - cursor.from)) : null, cursor.tree, ranges.length ? ranges[0].from : cursor.from));
+                              : nest.parser.startParse(""), nest.overlay ? nest.overlay.map(r => new Range(r.from - cursor.from, r.to - cursor.from)) : null, !!nest.bracketed, cursor.tree, ranges.length ? ranges[0].from : cursor.from));
                       if (!nest.overlay)
                           enter = false;
                       else if (ranges.length)
@@ -16284,7 +16312,7 @@
                           let ranges = punchRanges(this.ranges, overlay.ranges);
                           if (ranges.length) {
                               checkRanges(ranges);
-                              this.inner.splice(overlay.index, 0, new InnerParse(overlay.parser, overlay.parser.startParse(this.input, enterFragments(overlay.mounts, ranges), ranges), overlay.ranges.map(r => new Range(r.from - overlay.start, r.to - overlay.start)), overlay.target, ranges[0].from));
+                              this.inner.splice(overlay.index, 0, new InnerParse(overlay.parser, overlay.parser.startParse(this.input, enterFragments(overlay.mounts, ranges), ranges), overlay.ranges.map(r => new Range(r.from - overlay.start, r.to - overlay.start)), overlay.bracketed, overlay.target, ranges[0].from));
                           }
                           overlay = overlay.prev;
                       }
@@ -16356,15 +16384,21 @@
       constructor(root, offset) {
           this.offset = offset;
           this.done = false;
-          this.cursor = root.cursor(IterMode.IncludeAnonymous | IterMode.IgnoreMounts);
+          this.cursor = root.cursor(IterMode.IncludeAnonymous | IterMode.IgnoreMounts | IterMode.ExcludeBuffers);
       }
       // Move to the first node (in pre-order) that starts at or after `pos`.
       moveTo(pos) {
           let { cursor } = this, p = pos - this.offset;
           while (!this.done && cursor.from < p) {
-              if (cursor.to >= pos && cursor.enter(p, 1, IterMode.IgnoreOverlays | IterMode.ExcludeBuffers)) ;
-              else if (!cursor.next(false))
-                  this.done = true;
+              if (cursor.to >= p && cursor.enter(p, 1, IterMode.IncludeAnonymous | IterMode.IgnoreOverlays | IterMode.ExcludeBuffers)) ;
+              else if (cursor.to <= p) {
+                  if (!cursor.next(false))
+                      this.done = true;
+                  // Moved to next node
+              }
+              else {
+                  break;
+              }
           }
       }
       hasNode(cursor) {
@@ -16924,8 +16958,8 @@
           rule = rule.next;
       return rule || null;
   }
-  const t = Tag.define;
-  const comment = t(), name = t(), typeName = t(name), propertyName = t(name), literal = t(), string = t(literal), number = t(literal), content = t(), heading = t(content), keyword = t(), operator = t(), punctuation = t(), bracket = t(punctuation), meta = t();
+  const t$1 = Tag.define;
+  const comment = t$1(), name = t$1(), typeName = t$1(name), propertyName = t$1(name), literal = t$1(), string = t$1(literal), number = t$1(literal), content = t$1(), heading = t$1(content), keyword = t$1(), operator = t$1(), punctuation = t$1(), bracket = t$1(punctuation), meta = t$1();
   /**
   The default set of highlighting [tags](#highlight.Tag).
 
@@ -16954,15 +16988,15 @@
       /**
       A line [comment](#highlight.tags.comment).
       */
-      lineComment: t(comment),
+      lineComment: t$1(comment),
       /**
       A block [comment](#highlight.tags.comment).
       */
-      blockComment: t(comment),
+      blockComment: t$1(comment),
       /**
       A documentation [comment](#highlight.tags.comment).
       */
-      docComment: t(comment),
+      docComment: t$1(comment),
       /**
       Any kind of identifier.
       */
@@ -16970,7 +17004,7 @@
       /**
       The [name](#highlight.tags.name) of a variable.
       */
-      variableName: t(name),
+      variableName: t$1(name),
       /**
       A type [name](#highlight.tags.name).
       */
@@ -16978,7 +17012,7 @@
       /**
       A tag name (subtag of [`typeName`](#highlight.tags.typeName)).
       */
-      tagName: t(typeName),
+      tagName: t$1(typeName),
       /**
       A property or field [name](#highlight.tags.name).
       */
@@ -16986,23 +17020,23 @@
       /**
       An attribute name (subtag of [`propertyName`](#highlight.tags.propertyName)).
       */
-      attributeName: t(propertyName),
+      attributeName: t$1(propertyName),
       /**
       The [name](#highlight.tags.name) of a class.
       */
-      className: t(name),
+      className: t$1(name),
       /**
       A label [name](#highlight.tags.name).
       */
-      labelName: t(name),
+      labelName: t$1(name),
       /**
       A namespace [name](#highlight.tags.name).
       */
-      namespace: t(name),
+      namespace: t$1(name),
       /**
       The [name](#highlight.tags.name) of a macro.
       */
-      macroName: t(name),
+      macroName: t$1(name),
       /**
       A literal value.
       */
@@ -17014,15 +17048,15 @@
       /**
       A documentation [string](#highlight.tags.string).
       */
-      docString: t(string),
+      docString: t$1(string),
       /**
       A character literal (subtag of [string](#highlight.tags.string)).
       */
-      character: t(string),
+      character: t$1(string),
       /**
       An attribute value (subtag of [string](#highlight.tags.string)).
       */
-      attributeValue: t(string),
+      attributeValue: t$1(string),
       /**
       A number [literal](#highlight.tags.literal).
       */
@@ -17030,32 +17064,32 @@
       /**
       An integer [number](#highlight.tags.number) literal.
       */
-      integer: t(number),
+      integer: t$1(number),
       /**
       A floating-point [number](#highlight.tags.number) literal.
       */
-      float: t(number),
+      float: t$1(number),
       /**
       A boolean [literal](#highlight.tags.literal).
       */
-      bool: t(literal),
+      bool: t$1(literal),
       /**
       Regular expression [literal](#highlight.tags.literal).
       */
-      regexp: t(literal),
+      regexp: t$1(literal),
       /**
       An escape [literal](#highlight.tags.literal), for example a
       backslash escape in a string.
       */
-      escape: t(literal),
+      escape: t$1(literal),
       /**
       A color [literal](#highlight.tags.literal).
       */
-      color: t(literal),
+      color: t$1(literal),
       /**
       A URL [literal](#highlight.tags.literal).
       */
-      url: t(literal),
+      url: t$1(literal),
       /**
       A language keyword.
       */
@@ -17064,40 +17098,40 @@
       The [keyword](#highlight.tags.keyword) for the self or this
       object.
       */
-      self: t(keyword),
+      self: t$1(keyword),
       /**
       The [keyword](#highlight.tags.keyword) for null.
       */
-      null: t(keyword),
+      null: t$1(keyword),
       /**
       A [keyword](#highlight.tags.keyword) denoting some atomic value.
       */
-      atom: t(keyword),
+      atom: t$1(keyword),
       /**
       A [keyword](#highlight.tags.keyword) that represents a unit.
       */
-      unit: t(keyword),
+      unit: t$1(keyword),
       /**
       A modifier [keyword](#highlight.tags.keyword).
       */
-      modifier: t(keyword),
+      modifier: t$1(keyword),
       /**
       A [keyword](#highlight.tags.keyword) that acts as an operator.
       */
-      operatorKeyword: t(keyword),
+      operatorKeyword: t$1(keyword),
       /**
       A control-flow related [keyword](#highlight.tags.keyword).
       */
-      controlKeyword: t(keyword),
+      controlKeyword: t$1(keyword),
       /**
       A [keyword](#highlight.tags.keyword) that defines something.
       */
-      definitionKeyword: t(keyword),
+      definitionKeyword: t$1(keyword),
       /**
       A [keyword](#highlight.tags.keyword) related to defining or
       interfacing with modules.
       */
-      moduleKeyword: t(keyword),
+      moduleKeyword: t$1(keyword),
       /**
       An operator.
       */
@@ -17105,39 +17139,39 @@
       /**
       An [operator](#highlight.tags.operator) that dereferences something.
       */
-      derefOperator: t(operator),
+      derefOperator: t$1(operator),
       /**
       Arithmetic-related [operator](#highlight.tags.operator).
       */
-      arithmeticOperator: t(operator),
+      arithmeticOperator: t$1(operator),
       /**
       Logical [operator](#highlight.tags.operator).
       */
-      logicOperator: t(operator),
+      logicOperator: t$1(operator),
       /**
       Bit [operator](#highlight.tags.operator).
       */
-      bitwiseOperator: t(operator),
+      bitwiseOperator: t$1(operator),
       /**
       Comparison [operator](#highlight.tags.operator).
       */
-      compareOperator: t(operator),
+      compareOperator: t$1(operator),
       /**
       [Operator](#highlight.tags.operator) that updates its operand.
       */
-      updateOperator: t(operator),
+      updateOperator: t$1(operator),
       /**
       [Operator](#highlight.tags.operator) that defines something.
       */
-      definitionOperator: t(operator),
+      definitionOperator: t$1(operator),
       /**
       Type-related [operator](#highlight.tags.operator).
       */
-      typeOperator: t(operator),
+      typeOperator: t$1(operator),
       /**
       Control-flow [operator](#highlight.tags.operator).
       */
-      controlOperator: t(operator),
+      controlOperator: t$1(operator),
       /**
       Program or markup punctuation.
       */
@@ -17146,7 +17180,7 @@
       [Punctuation](#highlight.tags.punctuation) that separates
       things.
       */
-      separator: t(punctuation),
+      separator: t$1(punctuation),
       /**
       Bracket-style [punctuation](#highlight.tags.punctuation).
       */
@@ -17155,22 +17189,22 @@
       Angle [brackets](#highlight.tags.bracket) (usually `<` and `>`
       tokens).
       */
-      angleBracket: t(bracket),
+      angleBracket: t$1(bracket),
       /**
       Square [brackets](#highlight.tags.bracket) (usually `[` and `]`
       tokens).
       */
-      squareBracket: t(bracket),
+      squareBracket: t$1(bracket),
       /**
       Parentheses (usually `(` and `)` tokens). Subtag of
       [bracket](#highlight.tags.bracket).
       */
-      paren: t(bracket),
+      paren: t$1(bracket),
       /**
       Braces (usually `{` and `}` tokens). Subtag of
       [bracket](#highlight.tags.bracket).
       */
-      brace: t(bracket),
+      brace: t$1(bracket),
       /**
       Content, for example plain text in XML or markup documents.
       */
@@ -17182,77 +17216,77 @@
       /**
       A level 1 [heading](#highlight.tags.heading).
       */
-      heading1: t(heading),
+      heading1: t$1(heading),
       /**
       A level 2 [heading](#highlight.tags.heading).
       */
-      heading2: t(heading),
+      heading2: t$1(heading),
       /**
       A level 3 [heading](#highlight.tags.heading).
       */
-      heading3: t(heading),
+      heading3: t$1(heading),
       /**
       A level 4 [heading](#highlight.tags.heading).
       */
-      heading4: t(heading),
+      heading4: t$1(heading),
       /**
       A level 5 [heading](#highlight.tags.heading).
       */
-      heading5: t(heading),
+      heading5: t$1(heading),
       /**
       A level 6 [heading](#highlight.tags.heading).
       */
-      heading6: t(heading),
+      heading6: t$1(heading),
       /**
       A prose [content](#highlight.tags.content) separator (such as a horizontal rule).
       */
-      contentSeparator: t(content),
+      contentSeparator: t$1(content),
       /**
       [Content](#highlight.tags.content) that represents a list.
       */
-      list: t(content),
+      list: t$1(content),
       /**
       [Content](#highlight.tags.content) that represents a quote.
       */
-      quote: t(content),
+      quote: t$1(content),
       /**
       [Content](#highlight.tags.content) that is emphasized.
       */
-      emphasis: t(content),
+      emphasis: t$1(content),
       /**
       [Content](#highlight.tags.content) that is styled strong.
       */
-      strong: t(content),
+      strong: t$1(content),
       /**
       [Content](#highlight.tags.content) that is part of a link.
       */
-      link: t(content),
+      link: t$1(content),
       /**
       [Content](#highlight.tags.content) that is styled as code or
       monospace.
       */
-      monospace: t(content),
+      monospace: t$1(content),
       /**
       [Content](#highlight.tags.content) that has a strike-through
       style.
       */
-      strikethrough: t(content),
+      strikethrough: t$1(content),
       /**
       Inserted text in a change-tracking format.
       */
-      inserted: t(),
+      inserted: t$1(),
       /**
       Deleted text.
       */
-      deleted: t(),
+      deleted: t$1(),
       /**
       Changed text.
       */
-      changed: t(),
+      changed: t$1(),
       /**
       An invalid or unsyntactic element.
       */
-      invalid: t(),
+      invalid: t$1(),
       /**
       Metadata or meta-instruction.
       */
@@ -17261,17 +17295,17 @@
       [Metadata](#highlight.tags.meta) that applies to the entire
       document.
       */
-      documentMeta: t(meta),
+      documentMeta: t$1(meta),
       /**
       [Metadata](#highlight.tags.meta) that annotates or adds
       attributes to a given syntactic element.
       */
-      annotation: t(meta),
+      annotation: t$1(meta),
       /**
       Processing instruction or preprocessor directive. Subtag of
       [meta](#highlight.tags.meta).
       */
-      processingInstruction: t(meta),
+      processingInstruction: t$1(meta),
       /**
       [Modifier](#highlight.Tag^defineModifier) that indicates that a
       given element is being defined. Expected to be used with the
@@ -18390,6 +18424,14 @@
           return context.baseIndent + (matchExcept ? 0 : units * context.unit);
       };
   }
+
+  /**
+  A facet that registers a code folding service. When called with
+  the extent of a line, such a function should return a foldable
+  range that starts on that line (but continues beyond it), if one
+  can be found.
+  */
+  const foldService = /*@__PURE__*/Facet.define();
   /**
   This node prop is used to associate folding information with
   syntax node types. Given a syntax node, it should check whether
@@ -18406,6 +18448,377 @@
       let first = node.firstChild, last = node.lastChild;
       return first && first.to < last.from ? { from: first.to, to: last.type.isError ? node.to : last.from } : null;
   }
+  function syntaxFolding(state, start, end) {
+      let tree = syntaxTree(state);
+      if (tree.length < end)
+          return null;
+      let stack = tree.resolveStack(end, 1);
+      let found = null;
+      for (let iter = stack; iter; iter = iter.next) {
+          let cur = iter.node;
+          if (cur.to <= end || cur.from > end)
+              continue;
+          if (found && cur.from < start)
+              break;
+          let prop = cur.type.prop(foldNodeProp);
+          if (prop && (cur.to < tree.length - 50 || tree.length == state.doc.length || !isUnfinished(cur))) {
+              let value = prop(cur, state);
+              if (value && value.from <= end && value.from >= start && value.to > end)
+                  found = value;
+          }
+      }
+      return found;
+  }
+  function isUnfinished(node) {
+      let ch = node.lastChild;
+      return ch && ch.to == node.to && ch.type.isError;
+  }
+  /**
+  Check whether the given line is foldable. First asks any fold
+  services registered through
+  [`foldService`](https://codemirror.net/6/docs/ref/#language.foldService), and if none of them return
+  a result, tries to query the [fold node
+  prop](https://codemirror.net/6/docs/ref/#language.foldNodeProp) of syntax nodes that cover the end
+  of the line.
+  */
+  function foldable(state, lineStart, lineEnd) {
+      for (let service of state.facet(foldService)) {
+          let result = service(state, lineStart, lineEnd);
+          if (result)
+              return result;
+      }
+      return syntaxFolding(state, lineStart, lineEnd);
+  }
+  function mapRange(range, mapping) {
+      let from = mapping.mapPos(range.from, 1), to = mapping.mapPos(range.to, -1);
+      return from >= to ? undefined : { from, to };
+  }
+  /**
+  State effect that can be attached to a transaction to fold the
+  given range. (You probably only need this in exceptional
+  circumstances—usually you'll just want to let
+  [`foldCode`](https://codemirror.net/6/docs/ref/#language.foldCode) and the [fold
+  gutter](https://codemirror.net/6/docs/ref/#language.foldGutter) create the transactions.)
+  */
+  const foldEffect = /*@__PURE__*/StateEffect.define({ map: mapRange });
+  /**
+  State effect that unfolds the given range (if it was folded).
+  */
+  const unfoldEffect = /*@__PURE__*/StateEffect.define({ map: mapRange });
+  function selectedLines(view) {
+      let lines = [];
+      for (let { head } of view.state.selection.ranges) {
+          if (lines.some(l => l.from <= head && l.to >= head))
+              continue;
+          lines.push(view.lineBlockAt(head));
+      }
+      return lines;
+  }
+  /**
+  The state field that stores the folded ranges (as a [decoration
+  set](https://codemirror.net/6/docs/ref/#view.DecorationSet)). Can be passed to
+  [`EditorState.toJSON`](https://codemirror.net/6/docs/ref/#state.EditorState.toJSON) and
+  [`fromJSON`](https://codemirror.net/6/docs/ref/#state.EditorState^fromJSON) to serialize the fold
+  state.
+  */
+  const foldState = /*@__PURE__*/StateField.define({
+      create() {
+          return Decoration.none;
+      },
+      update(folded, tr) {
+          if (tr.isUserEvent("delete"))
+              tr.changes.iterChangedRanges((fromA, toA) => folded = clearTouchedFolds(folded, fromA, toA));
+          folded = folded.map(tr.changes);
+          for (let e of tr.effects) {
+              if (e.is(foldEffect) && !foldExists(folded, e.value.from, e.value.to)) {
+                  let { preparePlaceholder } = tr.state.facet(foldConfig);
+                  let widget = !preparePlaceholder ? foldWidget :
+                      Decoration.replace({ widget: new PreparedFoldWidget(preparePlaceholder(tr.state, e.value)) });
+                  folded = folded.update({ add: [widget.range(e.value.from, e.value.to)] });
+              }
+              else if (e.is(unfoldEffect)) {
+                  folded = folded.update({ filter: (from, to) => e.value.from != from || e.value.to != to,
+                      filterFrom: e.value.from, filterTo: e.value.to });
+              }
+          }
+          // Clear folded ranges that cover the selection head
+          if (tr.selection)
+              folded = clearTouchedFolds(folded, tr.selection.main.head);
+          return folded;
+      },
+      provide: f => EditorView.decorations.from(f),
+      toJSON(folded, state) {
+          let ranges = [];
+          folded.between(0, state.doc.length, (from, to) => { ranges.push(from, to); });
+          return ranges;
+      },
+      fromJSON(value) {
+          if (!Array.isArray(value) || value.length % 2)
+              throw new RangeError("Invalid JSON for fold state");
+          let ranges = [];
+          for (let i = 0; i < value.length;) {
+              let from = value[i++], to = value[i++];
+              if (typeof from != "number" || typeof to != "number")
+                  throw new RangeError("Invalid JSON for fold state");
+              ranges.push(foldWidget.range(from, to));
+          }
+          return Decoration.set(ranges, true);
+      }
+  });
+  function clearTouchedFolds(folded, from, to = from) {
+      let touched = false;
+      folded.between(from, to, (a, b) => { if (a < to && b > from)
+          touched = true; });
+      return !touched ? folded : folded.update({
+          filterFrom: from,
+          filterTo: to,
+          filter: (a, b) => a >= to || b <= from
+      });
+  }
+  function findFold(state, from, to) {
+      var _a;
+      let found = null;
+      (_a = state.field(foldState, false)) === null || _a === void 0 ? void 0 : _a.between(from, to, (from, to) => {
+          if (!found || found.from > from)
+              found = { from, to };
+      });
+      return found;
+  }
+  function foldExists(folded, from, to) {
+      let found = false;
+      folded.between(from, from, (a, b) => { if (a == from && b == to)
+          found = true; });
+      return found;
+  }
+  function maybeEnable(state, other) {
+      return state.field(foldState, false) ? other : other.concat(StateEffect.appendConfig.of(codeFolding()));
+  }
+  /**
+  Fold the lines that are selected, if possible.
+  */
+  const foldCode = view => {
+      for (let line of selectedLines(view)) {
+          let range = foldable(view.state, line.from, line.to);
+          if (range) {
+              view.dispatch({ effects: maybeEnable(view.state, [foldEffect.of(range), announceFold(view, range)]) });
+              return true;
+          }
+      }
+      return false;
+  };
+  /**
+  Unfold folded ranges on selected lines.
+  */
+  const unfoldCode = view => {
+      if (!view.state.field(foldState, false))
+          return false;
+      let effects = [];
+      for (let line of selectedLines(view)) {
+          let folded = findFold(view.state, line.from, line.to);
+          if (folded)
+              effects.push(unfoldEffect.of(folded), announceFold(view, folded, false));
+      }
+      if (effects.length)
+          view.dispatch({ effects });
+      return effects.length > 0;
+  };
+  function announceFold(view, range, fold = true) {
+      let lineFrom = view.state.doc.lineAt(range.from).number, lineTo = view.state.doc.lineAt(range.to).number;
+      return EditorView.announce.of(`${view.state.phrase(fold ? "Folded lines" : "Unfolded lines")} ${lineFrom} ${view.state.phrase("to")} ${lineTo}.`);
+  }
+  /**
+  Fold all top-level foldable ranges. Note that, in most cases,
+  folding information will depend on the [syntax
+  tree](https://codemirror.net/6/docs/ref/#language.syntaxTree), and folding everything may not work
+  reliably when the document hasn't been fully parsed (either
+  because the editor state was only just initialized, or because the
+  document is so big that the parser decided not to parse it
+  entirely).
+  */
+  const foldAll = view => {
+      let { state } = view, effects = [];
+      for (let pos = 0; pos < state.doc.length;) {
+          let line = view.lineBlockAt(pos), range = foldable(state, line.from, line.to);
+          if (range)
+              effects.push(foldEffect.of(range));
+          pos = (range ? view.lineBlockAt(range.to) : line).to + 1;
+      }
+      if (effects.length)
+          view.dispatch({ effects: maybeEnable(view.state, effects) });
+      return !!effects.length;
+  };
+  /**
+  Unfold all folded code.
+  */
+  const unfoldAll = view => {
+      let field = view.state.field(foldState, false);
+      if (!field || !field.size)
+          return false;
+      let effects = [];
+      field.between(0, view.state.doc.length, (from, to) => { effects.push(unfoldEffect.of({ from, to })); });
+      view.dispatch({ effects });
+      return true;
+  };
+  /**
+  Default fold-related key bindings.
+
+   - Ctrl-Shift-[ (Cmd-Alt-[ on macOS): [`foldCode`](https://codemirror.net/6/docs/ref/#language.foldCode).
+   - Ctrl-Shift-] (Cmd-Alt-] on macOS): [`unfoldCode`](https://codemirror.net/6/docs/ref/#language.unfoldCode).
+   - Ctrl-Alt-[: [`foldAll`](https://codemirror.net/6/docs/ref/#language.foldAll).
+   - Ctrl-Alt-]: [`unfoldAll`](https://codemirror.net/6/docs/ref/#language.unfoldAll).
+  */
+  const foldKeymap = [
+      { key: "Ctrl-Shift-[", mac: "Cmd-Alt-[", run: foldCode },
+      { key: "Ctrl-Shift-]", mac: "Cmd-Alt-]", run: unfoldCode },
+      { key: "Ctrl-Alt-[", run: foldAll },
+      { key: "Ctrl-Alt-]", run: unfoldAll }
+  ];
+  const defaultConfig = {
+      placeholderDOM: null,
+      preparePlaceholder: null,
+      placeholderText: "…"
+  };
+  const foldConfig = /*@__PURE__*/Facet.define({
+      combine(values) { return combineConfig(values, defaultConfig); }
+  });
+  /**
+  Create an extension that configures code folding.
+  */
+  function codeFolding(config) {
+      let result = [foldState, baseTheme$1$1];
+      return result;
+  }
+  function widgetToDOM(view, prepared) {
+      let { state } = view, conf = state.facet(foldConfig);
+      let onclick = (event) => {
+          let line = view.lineBlockAt(view.posAtDOM(event.target));
+          let folded = findFold(view.state, line.from, line.to);
+          if (folded)
+              view.dispatch({ effects: unfoldEffect.of(folded) });
+          event.preventDefault();
+      };
+      if (conf.placeholderDOM)
+          return conf.placeholderDOM(view, onclick, prepared);
+      let element = document.createElement("span");
+      element.textContent = conf.placeholderText;
+      element.setAttribute("aria-label", state.phrase("folded code"));
+      element.title = state.phrase("unfold");
+      element.className = "cm-foldPlaceholder";
+      element.onclick = onclick;
+      return element;
+  }
+  const foldWidget = /*@__PURE__*/Decoration.replace({ widget: /*@__PURE__*/new class extends WidgetType {
+          toDOM(view) { return widgetToDOM(view, null); }
+      } });
+  class PreparedFoldWidget extends WidgetType {
+      constructor(value) {
+          super();
+          this.value = value;
+      }
+      eq(other) { return this.value == other.value; }
+      toDOM(view) { return widgetToDOM(view, this.value); }
+  }
+  const foldGutterDefaults = {
+      openText: "⌄",
+      closedText: "›",
+      markerDOM: null,
+      domEventHandlers: {},
+      foldingChanged: () => false
+  };
+  class FoldMarker extends GutterMarker {
+      constructor(config, open) {
+          super();
+          this.config = config;
+          this.open = open;
+      }
+      eq(other) { return this.config == other.config && this.open == other.open; }
+      toDOM(view) {
+          if (this.config.markerDOM)
+              return this.config.markerDOM(this.open);
+          let span = document.createElement("span");
+          span.textContent = this.open ? this.config.openText : this.config.closedText;
+          span.title = view.state.phrase(this.open ? "Fold line" : "Unfold line");
+          return span;
+      }
+  }
+  /**
+  Create an extension that registers a fold gutter, which shows a
+  fold status indicator before foldable lines (which can be clicked
+  to fold or unfold the line).
+  */
+  function foldGutter(config = {}) {
+      let fullConfig = { ...foldGutterDefaults, ...config };
+      let canFold = new FoldMarker(fullConfig, true), canUnfold = new FoldMarker(fullConfig, false);
+      let markers = ViewPlugin.fromClass(class {
+          constructor(view) {
+              this.from = view.viewport.from;
+              this.markers = this.buildMarkers(view);
+          }
+          update(update) {
+              if (update.docChanged || update.viewportChanged ||
+                  update.startState.facet(language) != update.state.facet(language) ||
+                  update.startState.field(foldState, false) != update.state.field(foldState, false) ||
+                  syntaxTree(update.startState) != syntaxTree(update.state) ||
+                  fullConfig.foldingChanged(update))
+                  this.markers = this.buildMarkers(update.view);
+          }
+          buildMarkers(view) {
+              let builder = new RangeSetBuilder();
+              for (let line of view.viewportLineBlocks) {
+                  let mark = findFold(view.state, line.from, line.to) ? canUnfold
+                      : foldable(view.state, line.from, line.to) ? canFold : null;
+                  if (mark)
+                      builder.add(line.from, line.from, mark);
+              }
+              return builder.finish();
+          }
+      });
+      let { domEventHandlers } = fullConfig;
+      return [
+          markers,
+          gutter({
+              class: "cm-foldGutter",
+              markers(view) { var _a; return ((_a = view.plugin(markers)) === null || _a === void 0 ? void 0 : _a.markers) || RangeSet.empty; },
+              initialSpacer() {
+                  return new FoldMarker(fullConfig, false);
+              },
+              domEventHandlers: {
+                  ...domEventHandlers,
+                  click: (view, line, event) => {
+                      if (domEventHandlers.click && domEventHandlers.click(view, line, event))
+                          return true;
+                      let folded = findFold(view.state, line.from, line.to);
+                      if (folded) {
+                          view.dispatch({ effects: unfoldEffect.of(folded) });
+                          return true;
+                      }
+                      let range = foldable(view.state, line.from, line.to);
+                      if (range) {
+                          view.dispatch({ effects: foldEffect.of(range) });
+                          return true;
+                      }
+                      return false;
+                  }
+              }
+          }),
+          codeFolding()
+      ];
+  }
+  const baseTheme$1$1 = /*@__PURE__*/EditorView.baseTheme({
+      ".cm-foldPlaceholder": {
+          backgroundColor: "#eee",
+          border: "1px solid #ddd",
+          color: "#888",
+          borderRadius: ".2em",
+          margin: "0 1px",
+          padding: "0 1px",
+          cursor: "pointer"
+      },
+      ".cm-foldGutter span": {
+          padding: "0 1px",
+          cursor: "pointer"
+      }
+  });
 
   /**
   A highlight style associates CSS styles with higlighting
@@ -20243,7 +20656,7 @@
           let { text, ranges } = snippet.instantiate(editor.state, from);
           let { main } = editor.state.selection;
           let spec = {
-              changes: { from, to: to == main.from ? main.to : to, insert: Text.of(text) },
+              changes: { from, to: to == main.from ? main.to : to, insert: Text$1.of(text) },
               scrollIntoView: true,
               annotations: completion ? [pickedCompletion.of(completion), Transaction.userEvent.of("input.complete")] : undefined
           };
@@ -21255,7 +21668,7 @@
       if (state.readOnly)
           return false;
       let changes = state.changeByRange(range => {
-          return { changes: { from: range.from, to: range.to, insert: Text.of(["", ""]) },
+          return { changes: { from: range.from, to: range.to, insert: Text$1.of(["", ""]) },
               range: EditorSelection.cursor(range.from) };
       });
       dispatch(state.update(changes, { scrollIntoView: true, userEvent: "input" }));
@@ -21429,7 +21842,7 @@
               let insert = ["", indentString(state, indent)];
               if (explode)
                   insert.push(indentString(state, cx.lineIndent(line.from, -1)));
-              return { changes: { from, to, insert: Text.of(insert) },
+              return { changes: { from, to, insert: Text$1.of(insert) },
                   range: EditorSelection.cursor(from + 1 + insert[1].length) };
           });
           dispatch(state.update(changes, { scrollIntoView: true, userEvent: "input" }));
@@ -21671,4688 +22084,6727 @@
   */
   const indentWithTab = { key: "Tab", run: indentMore, shift: indentLess };
 
+  // Using https://github.com/one-dark/vscode-one-dark-theme/ as reference for the colors
+  const chalky = "#e5c07b", coral = "#e06c75", cyan = "#56b6c2", invalid = "#ffffff", ivory = "#abb2bf", stone = "#7d8799", // Brightened compared to original to increase contrast
+  malibu = "#61afef", sage = "#98c379", whiskey = "#d19a66", violet = "#c678dd", darkBackground = "#21252b", highlightBackground = "#2c313a", background = "#282c34", tooltipBackground = "#353a42", selection = "#3E4451", cursor = "#528bff";
   /**
-  A parse stack. These are used internally by the parser to track
-  parsing progress. They also provide some properties and methods
-  that external code such as a tokenizer can use to get information
-  about the parse state.
+  The editor theme styles for One Dark.
   */
-  class Stack {
-      /**
-      @internal
-      */
-      constructor(
-      /**
-      The parse that this stack is part of @internal
-      */
-      p, 
-      /**
-      Holds state, input pos, buffer index triplets for all but the
-      top state @internal
-      */
-      stack, 
-      /**
-      The current parse state @internal
-      */
-      state, 
-      // The position at which the next reduce should take place. This
-      // can be less than `this.pos` when skipped expressions have been
-      // added to the stack (which should be moved outside of the next
-      // reduction)
-      /**
-      @internal
-      */
-      reducePos, 
-      /**
-      The input position up to which this stack has parsed.
-      */
-      pos, 
-      /**
-      The dynamic score of the stack, including dynamic precedence
-      and error-recovery penalties
-      @internal
-      */
-      score, 
-      // The output buffer. Holds (type, start, end, size) quads
-      // representing nodes created by the parser, where `size` is
-      // amount of buffer array entries covered by this node.
-      /**
-      @internal
-      */
-      buffer, 
-      // The base offset of the buffer. When stacks are split, the split
-      // instance shared the buffer history with its parent up to
-      // `bufferBase`, which is the absolute offset (including the
-      // offset of previous splits) into the buffer at which this stack
-      // starts writing.
-      /**
-      @internal
-      */
-      bufferBase, 
-      /**
-      @internal
-      */
-      curContext, 
-      /**
-      @internal
-      */
-      lookAhead = 0, 
-      // A parent stack from which this was split off, if any. This is
-      // set up so that it always points to a stack that has some
-      // additional buffer content, never to a stack with an equal
-      // `bufferBase`.
-      /**
-      @internal
-      */
-      parent) {
-          this.p = p;
-          this.stack = stack;
-          this.state = state;
-          this.reducePos = reducePos;
-          this.pos = pos;
-          this.score = score;
-          this.buffer = buffer;
-          this.bufferBase = bufferBase;
-          this.curContext = curContext;
-          this.lookAhead = lookAhead;
-          this.parent = parent;
-      }
-      /**
-      @internal
-      */
-      toString() {
-          return `[${this.stack.filter((_, i) => i % 3 == 0).concat(this.state)}]@${this.pos}${this.score ? "!" + this.score : ""}`;
-      }
-      // Start an empty stack
-      /**
-      @internal
-      */
-      static start(p, state, pos = 0) {
-          let cx = p.parser.context;
-          return new Stack(p, [], state, pos, pos, 0, [], 0, cx ? new StackContext(cx, cx.start) : null, 0, null);
-      }
-      /**
-      The stack's current [context](#lr.ContextTracker) value, if
-      any. Its type will depend on the context tracker's type
-      parameter, or it will be `null` if there is no context
-      tracker.
-      */
-      get context() { return this.curContext ? this.curContext.context : null; }
-      // Push a state onto the stack, tracking its start position as well
-      // as the buffer base at that point.
-      /**
-      @internal
-      */
-      pushState(state, start) {
-          this.stack.push(this.state, start, this.bufferBase + this.buffer.length);
-          this.state = state;
-      }
-      // Apply a reduce action
-      /**
-      @internal
-      */
-      reduce(action) {
-          var _a;
-          let depth = action >> 19 /* Action.ReduceDepthShift */, type = action & 65535 /* Action.ValueMask */;
-          let { parser } = this.p;
-          let lookaheadRecord = this.reducePos < this.pos - 25 /* Lookahead.Margin */;
-          if (lookaheadRecord)
-              this.setLookAhead(this.pos);
-          let dPrec = parser.dynamicPrecedence(type);
-          if (dPrec)
-              this.score += dPrec;
-          if (depth == 0) {
-              this.pushState(parser.getGoto(this.state, type, true), this.reducePos);
-              // Zero-depth reductions are a special case—they add stuff to
-              // the stack without popping anything off.
-              if (type < parser.minRepeatTerm)
-                  this.storeNode(type, this.reducePos, this.reducePos, lookaheadRecord ? 8 : 4, true);
-              this.reduceContext(type, this.reducePos);
-              return;
-          }
-          // Find the base index into `this.stack`, content after which will
-          // be dropped. Note that with `StayFlag` reductions we need to
-          // consume two extra frames (the dummy parent node for the skipped
-          // expression and the state that we'll be staying in, which should
-          // be moved to `this.state`).
-          let base = this.stack.length - ((depth - 1) * 3) - (action & 262144 /* Action.StayFlag */ ? 6 : 0);
-          let start = base ? this.stack[base - 2] : this.p.ranges[0].from, size = this.reducePos - start;
-          // This is a kludge to try and detect overly deep left-associative
-          // trees, which will not increase the parse stack depth and thus
-          // won't be caught by the regular stack-depth limit check.
-          if (size >= 2000 /* Recover.MinBigReduction */ && !((_a = this.p.parser.nodeSet.types[type]) === null || _a === void 0 ? void 0 : _a.isAnonymous)) {
-              if (start == this.p.lastBigReductionStart) {
-                  this.p.bigReductionCount++;
-                  this.p.lastBigReductionSize = size;
-              }
-              else if (this.p.lastBigReductionSize < size) {
-                  this.p.bigReductionCount = 1;
-                  this.p.lastBigReductionStart = start;
-                  this.p.lastBigReductionSize = size;
-              }
-          }
-          let bufferBase = base ? this.stack[base - 1] : 0, count = this.bufferBase + this.buffer.length - bufferBase;
-          // Store normal terms or `R -> R R` repeat reductions
-          if (type < parser.minRepeatTerm || (action & 131072 /* Action.RepeatFlag */)) {
-              let pos = parser.stateFlag(this.state, 1 /* StateFlag.Skipped */) ? this.pos : this.reducePos;
-              this.storeNode(type, start, pos, count + 4, true);
-          }
-          if (action & 262144 /* Action.StayFlag */) {
-              this.state = this.stack[base];
-          }
-          else {
-              let baseStateID = this.stack[base - 3];
-              this.state = parser.getGoto(baseStateID, type, true);
+  const oneDarkTheme = /*@__PURE__*/EditorView.theme({
+      "&": {
+          color: ivory,
+          backgroundColor: background
+      },
+      ".cm-content": {
+          caretColor: cursor
+      },
+      ".cm-cursor, .cm-dropCursor": { borderLeftColor: cursor },
+      "&.cm-focused > .cm-scroller > .cm-selectionLayer .cm-selectionBackground, .cm-selectionBackground, .cm-content ::selection": { backgroundColor: selection },
+      ".cm-panels": { backgroundColor: darkBackground, color: ivory },
+      ".cm-panels.cm-panels-top": { borderBottom: "2px solid black" },
+      ".cm-panels.cm-panels-bottom": { borderTop: "2px solid black" },
+      ".cm-searchMatch": {
+          backgroundColor: "#72a1ff59",
+          outline: "1px solid #457dff"
+      },
+      ".cm-searchMatch.cm-searchMatch-selected": {
+          backgroundColor: "#6199ff2f"
+      },
+      ".cm-activeLine": { backgroundColor: "#6699ff0b" },
+      ".cm-selectionMatch": { backgroundColor: "#aafe661a" },
+      "&.cm-focused .cm-matchingBracket, &.cm-focused .cm-nonmatchingBracket": {
+          backgroundColor: "#bad0f847"
+      },
+      ".cm-gutters": {
+          backgroundColor: background,
+          color: stone,
+          border: "none"
+      },
+      ".cm-activeLineGutter": {
+          backgroundColor: highlightBackground
+      },
+      ".cm-foldPlaceholder": {
+          backgroundColor: "transparent",
+          border: "none",
+          color: "#ddd"
+      },
+      ".cm-tooltip": {
+          border: "none",
+          backgroundColor: tooltipBackground
+      },
+      ".cm-tooltip .cm-tooltip-arrow:before": {
+          borderTopColor: "transparent",
+          borderBottomColor: "transparent"
+      },
+      ".cm-tooltip .cm-tooltip-arrow:after": {
+          borderTopColor: tooltipBackground,
+          borderBottomColor: tooltipBackground
+      },
+      ".cm-tooltip-autocomplete": {
+          "& > ul > li[aria-selected]": {
+              backgroundColor: highlightBackground,
+              color: ivory
           }
-          while (this.stack.length > base)
-              this.stack.pop();
-          this.reduceContext(type, start);
       }
-      // Shift a value into the buffer
-      /**
-      @internal
-      */
-      storeNode(term, start, end, size = 4, mustSink = false) {
-          if (term == 0 /* Term.Err */ &&
-              (!this.stack.length || this.stack[this.stack.length - 1] < this.buffer.length + this.bufferBase)) {
-              // Try to omit/merge adjacent error nodes
-              let cur = this, top = this.buffer.length;
-              if (top == 0 && cur.parent) {
-                  top = cur.bufferBase - cur.parent.bufferBase;
-                  cur = cur.parent;
+  }, { dark: true });
+  /**
+  The highlighting style for code in the One Dark theme.
+  */
+  const oneDarkHighlightStyle = /*@__PURE__*/HighlightStyle.define([
+      { tag: tags$1.keyword,
+          color: violet },
+      { tag: [tags$1.name, tags$1.deleted, tags$1.character, tags$1.propertyName, tags$1.macroName],
+          color: coral },
+      { tag: [/*@__PURE__*/tags$1.function(tags$1.variableName), tags$1.labelName],
+          color: malibu },
+      { tag: [tags$1.color, /*@__PURE__*/tags$1.constant(tags$1.name), /*@__PURE__*/tags$1.standard(tags$1.name)],
+          color: whiskey },
+      { tag: [/*@__PURE__*/tags$1.definition(tags$1.name), tags$1.separator],
+          color: ivory },
+      { tag: [tags$1.typeName, tags$1.className, tags$1.number, tags$1.changed, tags$1.annotation, tags$1.modifier, tags$1.self, tags$1.namespace],
+          color: chalky },
+      { tag: [tags$1.operator, tags$1.operatorKeyword, tags$1.url, tags$1.escape, tags$1.regexp, tags$1.link, /*@__PURE__*/tags$1.special(tags$1.string)],
+          color: cyan },
+      { tag: [tags$1.meta, tags$1.comment],
+          color: stone },
+      { tag: tags$1.strong,
+          fontWeight: "bold" },
+      { tag: tags$1.emphasis,
+          fontStyle: "italic" },
+      { tag: tags$1.strikethrough,
+          textDecoration: "line-through" },
+      { tag: tags$1.link,
+          color: stone,
+          textDecoration: "underline" },
+      { tag: tags$1.heading,
+          fontWeight: "bold",
+          color: coral },
+      { tag: [tags$1.atom, tags$1.bool, /*@__PURE__*/tags$1.special(tags$1.variableName)],
+          color: whiskey },
+      { tag: [tags$1.processingInstruction, tags$1.string, tags$1.inserted],
+          color: sage },
+      { tag: tags$1.invalid,
+          color: invalid },
+  ]);
+  /**
+  Extension to enable the One Dark theme (both the editor theme and
+  the highlight style).
+  */
+  const oneDark = [oneDarkTheme, /*@__PURE__*/syntaxHighlighting(oneDarkHighlightStyle)];
+
+  class SelectedDiagnostic {
+      constructor(from, to, diagnostic) {
+          this.from = from;
+          this.to = to;
+          this.diagnostic = diagnostic;
+      }
+  }
+  class LintState {
+      constructor(diagnostics, panel, selected) {
+          this.diagnostics = diagnostics;
+          this.panel = panel;
+          this.selected = selected;
+      }
+      static init(diagnostics, panel, state) {
+          // Filter the list of diagnostics for which to create markers
+          let diagnosticFilter = state.facet(lintConfig).markerFilter;
+          if (diagnosticFilter)
+              diagnostics = diagnosticFilter(diagnostics, state);
+          let sorted = diagnostics.slice().sort((a, b) => a.from - b.from || a.to - b.to);
+          let deco = new RangeSetBuilder(), active = [], pos = 0;
+          for (let i = 0;;) {
+              let next = i == sorted.length ? null : sorted[i];
+              if (!next && !active.length)
+                  break;
+              let from, to;
+              if (active.length) {
+                  from = pos;
+                  to = active.reduce((p, d) => Math.min(p, d.to), next && next.from > from ? next.from : 1e8);
               }
-              if (top > 0 && cur.buffer[top - 4] == 0 /* Term.Err */ && cur.buffer[top - 1] > -1) {
-                  if (start == end)
-                      return;
-                  if (cur.buffer[top - 2] >= start) {
-                      cur.buffer[top - 2] = end;
-                      return;
-                  }
+              else {
+                  from = next.from;
+                  to = next.to;
+                  active.push(next);
+                  i++;
               }
-          }
-          if (!mustSink || this.pos == end) { // Simple case, just append
-              this.buffer.push(term, start, end, size);
-          }
-          else { // There may be skipped nodes that have to be moved forward
-              let index = this.buffer.length;
-              if (index > 0 && this.buffer[index - 4] != 0 /* Term.Err */) {
-                  let mustMove = false;
-                  for (let scan = index; scan > 0 && this.buffer[scan - 2] > end; scan -= 4) {
-                      if (this.buffer[scan - 1] >= 0) {
-                          mustMove = true;
-                          break;
-                      }
+              while (i < sorted.length) {
+                  let next = sorted[i];
+                  if (next.from == from && (next.to > next.from || next.to == from)) {
+                      active.push(next);
+                      i++;
+                      to = Math.min(next.to, to);
+                  }
+                  else {
+                      to = Math.min(next.from, to);
+                      break;
                   }
-                  if (mustMove)
-                      while (index > 0 && this.buffer[index - 2] > end) {
-                          // Move this record forward
-                          this.buffer[index] = this.buffer[index - 4];
-                          this.buffer[index + 1] = this.buffer[index - 3];
-                          this.buffer[index + 2] = this.buffer[index - 2];
-                          this.buffer[index + 3] = this.buffer[index - 1];
-                          index -= 4;
-                          if (size > 4)
-                              size -= 4;
-                      }
-              }
-              this.buffer[index] = term;
-              this.buffer[index + 1] = start;
-              this.buffer[index + 2] = end;
-              this.buffer[index + 3] = size;
-          }
-      }
-      // Apply a shift action
-      /**
-      @internal
-      */
-      shift(action, type, start, end) {
-          if (action & 131072 /* Action.GotoFlag */) {
-              this.pushState(action & 65535 /* Action.ValueMask */, this.pos);
-          }
-          else if ((action & 262144 /* Action.StayFlag */) == 0) { // Regular shift
-              let nextState = action, { parser } = this.p;
-              if (end > this.pos || type <= parser.maxNode) {
-                  this.pos = end;
-                  if (!parser.stateFlag(nextState, 1 /* StateFlag.Skipped */))
-                      this.reducePos = end;
               }
-              this.pushState(nextState, start);
-              this.shiftContext(type, start);
-              if (type <= parser.maxNode)
-                  this.buffer.push(type, start, end, 4);
-          }
-          else { // Shift-and-stay, which means this is a skipped token
-              this.pos = end;
-              this.shiftContext(type, start);
-              if (type <= this.p.parser.maxNode)
-                  this.buffer.push(type, start, end, 4);
+              let sev = maxSeverity(active);
+              if (active.some(d => d.from == d.to || (d.from == d.to - 1 && state.doc.lineAt(d.from).to == d.from))) {
+                  deco.add(from, from, Decoration.widget({
+                      widget: new DiagnosticWidget(sev),
+                      diagnostics: active.slice()
+                  }));
+              }
+              else {
+                  let markClass = active.reduce((c, d) => d.markClass ? c + " " + d.markClass : c, "");
+                  deco.add(from, to, Decoration.mark({
+                      class: "cm-lintRange cm-lintRange-" + sev + markClass,
+                      diagnostics: active.slice(),
+                      inclusiveEnd: active.some(a => a.to > to)
+                  }));
+              }
+              pos = to;
+              for (let i = 0; i < active.length; i++)
+                  if (active[i].to <= pos)
+                      active.splice(i--, 1);
           }
+          let set = deco.finish();
+          return new LintState(set, panel, findDiagnostic(set));
       }
-      // Apply an action
-      /**
-      @internal
-      */
-      apply(action, next, nextStart, nextEnd) {
-          if (action & 65536 /* Action.ReduceFlag */)
-              this.reduce(action);
+  }
+  function findDiagnostic(diagnostics, diagnostic = null, after = 0) {
+      let found = null;
+      diagnostics.between(after, 1e9, (from, to, { spec }) => {
+          if (diagnostic && spec.diagnostics.indexOf(diagnostic) < 0)
+              return;
+          if (!found)
+              found = new SelectedDiagnostic(from, to, diagnostic || spec.diagnostics[0]);
+          else if (spec.diagnostics.indexOf(found.diagnostic) < 0)
+              return false;
           else
-              this.shift(action, next, nextStart, nextEnd);
-      }
-      // Add a prebuilt (reused) node into the buffer.
-      /**
-      @internal
-      */
-      useNode(value, next) {
-          let index = this.p.reused.length - 1;
-          if (index < 0 || this.p.reused[index] != value) {
-              this.p.reused.push(value);
-              index++;
+              found = new SelectedDiagnostic(found.from, to, found.diagnostic);
+      });
+      return found;
+  }
+  function hideTooltip(tr, tooltip) {
+      let from = tooltip.pos, to = tooltip.end || from;
+      let result = tr.state.facet(lintConfig).hideOn(tr, from, to);
+      if (result != null)
+          return result;
+      let line = tr.startState.doc.lineAt(tooltip.pos);
+      return !!(tr.effects.some(e => e.is(setDiagnosticsEffect)) || tr.changes.touchesRange(line.from, Math.max(line.to, to)));
+  }
+  function maybeEnableLint(state, effects) {
+      return state.field(lintState, false) ? effects : effects.concat(StateEffect.appendConfig.of(lintExtensions));
+  }
+  /**
+  Returns a transaction spec which updates the current set of
+  diagnostics, and enables the lint extension if if wasn't already
+  active.
+  */
+  function setDiagnostics(state, diagnostics) {
+      return {
+          effects: maybeEnableLint(state, [setDiagnosticsEffect.of(diagnostics)])
+      };
+  }
+  /**
+  The state effect that updates the set of active diagnostics. Can
+  be useful when writing an extension that needs to track these.
+  */
+  const setDiagnosticsEffect = /*@__PURE__*/StateEffect.define();
+  const togglePanel = /*@__PURE__*/StateEffect.define();
+  const movePanelSelection = /*@__PURE__*/StateEffect.define();
+  const lintState = /*@__PURE__*/StateField.define({
+      create() {
+          return new LintState(Decoration.none, null, null);
+      },
+      update(value, tr) {
+          if (tr.docChanged && value.diagnostics.size) {
+              let mapped = value.diagnostics.map(tr.changes), selected = null, panel = value.panel;
+              if (value.selected) {
+                  let selPos = tr.changes.mapPos(value.selected.from, 1);
+                  selected = findDiagnostic(mapped, value.selected.diagnostic, selPos) || findDiagnostic(mapped, null, selPos);
+              }
+              if (!mapped.size && panel && tr.state.facet(lintConfig).autoPanel)
+                  panel = null;
+              value = new LintState(mapped, panel, selected);
           }
-          let start = this.pos;
-          this.reducePos = this.pos = start + value.length;
-          this.pushState(next, start);
-          this.buffer.push(index, start, this.reducePos, -1 /* size == -1 means this is a reused value */);
-          if (this.curContext)
-              this.updateContext(this.curContext.tracker.reuse(this.curContext.context, value, this, this.p.stream.reset(this.pos - value.length)));
+          for (let effect of tr.effects) {
+              if (effect.is(setDiagnosticsEffect)) {
+                  let panel = !tr.state.facet(lintConfig).autoPanel ? value.panel : effect.value.length ? LintPanel.open : null;
+                  value = LintState.init(effect.value, panel, tr.state);
+              }
+              else if (effect.is(togglePanel)) {
+                  value = new LintState(value.diagnostics, effect.value ? LintPanel.open : null, value.selected);
+              }
+              else if (effect.is(movePanelSelection)) {
+                  value = new LintState(value.diagnostics, value.panel, effect.value);
+              }
+          }
+          return value;
+      },
+      provide: f => [showPanel.from(f, val => val.panel),
+          EditorView.decorations.from(f, s => s.diagnostics)]
+  });
+  const activeMark = /*@__PURE__*/Decoration.mark({ class: "cm-lintRange cm-lintRange-active" });
+  function lintTooltip(view, pos, side) {
+      let { diagnostics } = view.state.field(lintState);
+      let found, start = -1, end = -1;
+      diagnostics.between(pos - (side < 0 ? 1 : 0), pos + (side > 0 ? 1 : 0), (from, to, { spec }) => {
+          if (pos >= from && pos <= to &&
+              (from == to || ((pos > from || side > 0) && (pos < to || side < 0)))) {
+              found = spec.diagnostics;
+              start = from;
+              end = to;
+              return false;
+          }
+      });
+      let diagnosticFilter = view.state.facet(lintConfig).tooltipFilter;
+      if (found && diagnosticFilter)
+          found = diagnosticFilter(found, view.state);
+      if (!found)
+          return null;
+      return {
+          pos: start,
+          end: end,
+          above: view.state.doc.lineAt(start).to < end,
+          create() {
+              return { dom: diagnosticsTooltip(view, found) };
+          }
+      };
+  }
+  function diagnosticsTooltip(view, diagnostics) {
+      return crelt("ul", { class: "cm-tooltip-lint" }, diagnostics.map(d => renderDiagnostic(view, d, false)));
+  }
+  /**
+  Command to close the lint panel, when open.
+  */
+  const closeLintPanel = (view) => {
+      let field = view.state.field(lintState, false);
+      if (!field || !field.panel)
+          return false;
+      view.dispatch({ effects: togglePanel.of(false) });
+      return true;
+  };
+  const lintPlugin = /*@__PURE__*/ViewPlugin.fromClass(class {
+      constructor(view) {
+          this.view = view;
+          this.timeout = -1;
+          this.set = true;
+          let { delay } = view.state.facet(lintConfig);
+          this.lintTime = Date.now() + delay;
+          this.run = this.run.bind(this);
+          this.timeout = setTimeout(this.run, delay);
       }
-      // Split the stack. Due to the buffer sharing and the fact
-      // that `this.stack` tends to stay quite shallow, this isn't very
-      // expensive.
-      /**
-      @internal
-      */
-      split() {
-          let parent = this;
-          let off = parent.buffer.length;
-          // Because the top of the buffer (after this.pos) may be mutated
-          // to reorder reductions and skipped tokens, and shared buffers
-          // should be immutable, this copies any outstanding skipped tokens
-          // to the new buffer, and puts the base pointer before them.
-          while (off > 0 && parent.buffer[off - 2] > parent.reducePos)
-              off -= 4;
-          let buffer = parent.buffer.slice(off), base = parent.bufferBase + off;
-          // Make sure parent points to an actual parent with content, if there is such a parent.
-          while (parent && base == parent.bufferBase)
-              parent = parent.parent;
-          return new Stack(this.p, this.stack.slice(), this.state, this.reducePos, this.pos, this.score, buffer, base, this.curContext, this.lookAhead, parent);
+      run() {
+          clearTimeout(this.timeout);
+          let now = Date.now();
+          if (now < this.lintTime - 10) {
+              this.timeout = setTimeout(this.run, this.lintTime - now);
+          }
+          else {
+              this.set = false;
+              let { state } = this.view, { sources } = state.facet(lintConfig);
+              if (sources.length)
+                  batchResults(sources.map(s => Promise.resolve(s(this.view))), annotations => {
+                      if (this.view.state.doc == state.doc)
+                          this.view.dispatch(setDiagnostics(this.view.state, annotations.reduce((a, b) => a.concat(b))));
+                  }, error => { logException(this.view.state, error); });
+          }
       }
-      // Try to recover from an error by 'deleting' (ignoring) one token.
-      /**
-      @internal
-      */
-      recoverByDelete(next, nextEnd) {
-          let isNode = next <= this.p.parser.maxNode;
-          if (isNode)
-              this.storeNode(next, this.pos, nextEnd, 4);
-          this.storeNode(0 /* Term.Err */, this.pos, nextEnd, isNode ? 8 : 4);
-          this.pos = this.reducePos = nextEnd;
-          this.score -= 190 /* Recover.Delete */;
+      update(update) {
+          let config = update.state.facet(lintConfig);
+          if (update.docChanged || config != update.startState.facet(lintConfig) ||
+              config.needsRefresh && config.needsRefresh(update)) {
+              this.lintTime = Date.now() + config.delay;
+              if (!this.set) {
+                  this.set = true;
+                  this.timeout = setTimeout(this.run, config.delay);
+              }
+          }
       }
-      /**
-      Check if the given term would be able to be shifted (optionally
-      after some reductions) on this stack. This can be useful for
-      external tokenizers that want to make sure they only provide a
-      given token when it applies.
-      */
-      canShift(term) {
-          for (let sim = new SimulatedStack(this);;) {
-              let action = this.p.parser.stateSlot(sim.state, 4 /* ParseState.DefaultReduce */) || this.p.parser.hasAction(sim.state, term);
-              if (action == 0)
-                  return false;
-              if ((action & 65536 /* Action.ReduceFlag */) == 0)
-                  return true;
-              sim.reduce(action);
+      force() {
+          if (this.set) {
+              this.lintTime = Date.now();
+              this.run();
           }
       }
-      // Apply up to Recover.MaxNext recovery actions that conceptually
-      // inserts some missing token or rule.
-      /**
-      @internal
-      */
-      recoverByInsert(next) {
-          if (this.stack.length >= 300 /* Recover.MaxInsertStackDepth */)
-              return [];
-          let nextStates = this.p.parser.nextStates(this.state);
-          if (nextStates.length > 4 /* Recover.MaxNext */ << 1 || this.stack.length >= 120 /* Recover.DampenInsertStackDepth */) {
-              let best = [];
-              for (let i = 0, s; i < nextStates.length; i += 2) {
-                  if ((s = nextStates[i + 1]) != this.state && this.p.parser.hasAction(s, next))
-                      best.push(nextStates[i], s);
-              }
-              if (this.stack.length < 120 /* Recover.DampenInsertStackDepth */)
-                  for (let i = 0; best.length < 4 /* Recover.MaxNext */ << 1 && i < nextStates.length; i += 2) {
-                      let s = nextStates[i + 1];
-                      if (!best.some((v, i) => (i & 1) && v == s))
-                          best.push(nextStates[i], s);
-                  }
-              nextStates = best;
-          }
-          let result = [];
-          for (let i = 0; i < nextStates.length && result.length < 4 /* Recover.MaxNext */; i += 2) {
-              let s = nextStates[i + 1];
-              if (s == this.state)
-                  continue;
-              let stack = this.split();
-              stack.pushState(s, this.pos);
-              stack.storeNode(0 /* Term.Err */, stack.pos, stack.pos, 4, true);
-              stack.shiftContext(nextStates[i], this.pos);
-              stack.reducePos = this.pos;
-              stack.score -= 200 /* Recover.Insert */;
-              result.push(stack);
-          }
-          return result;
+      destroy() {
+          clearTimeout(this.timeout);
       }
-      // Force a reduce, if possible. Return false if that can't
-      // be done.
-      /**
-      @internal
-      */
-      forceReduce() {
-          let { parser } = this.p;
-          let reduce = parser.stateSlot(this.state, 5 /* ParseState.ForcedReduce */);
-          if ((reduce & 65536 /* Action.ReduceFlag */) == 0)
-              return false;
-          if (!parser.validAction(this.state, reduce)) {
-              let depth = reduce >> 19 /* Action.ReduceDepthShift */, term = reduce & 65535 /* Action.ValueMask */;
-              let target = this.stack.length - depth * 3;
-              if (target < 0 || parser.getGoto(this.stack[target], term, false) < 0) {
-                  let backup = this.findForcedReduction();
-                  if (backup == null)
-                      return false;
-                  reduce = backup;
-              }
-              this.storeNode(0 /* Term.Err */, this.pos, this.pos, 4, true);
-              this.score -= 100 /* Recover.Reduce */;
-          }
-          this.reducePos = this.pos;
-          this.reduce(reduce);
-          return true;
+  });
+  function batchResults(promises, sink, error) {
+      let collected = [], timeout = -1;
+      for (let p of promises)
+          p.then(value => {
+              collected.push(value);
+              clearTimeout(timeout);
+              if (collected.length == promises.length)
+                  sink(collected);
+              else
+                  timeout = setTimeout(() => sink(collected), 200);
+          }, error);
+  }
+  const lintConfig = /*@__PURE__*/Facet.define({
+      combine(input) {
+          return Object.assign({ sources: input.map(i => i.source).filter(x => x != null) }, combineConfig(input.map(i => i.config), {
+              delay: 750,
+              markerFilter: null,
+              tooltipFilter: null,
+              needsRefresh: null,
+              hideOn: () => null,
+          }, {
+              needsRefresh: (a, b) => !a ? b : !b ? a : u => a(u) || b(u)
+          }));
       }
-      /**
-      Try to scan through the automaton to find some kind of reduction
-      that can be applied. Used when the regular ForcedReduce field
-      isn't a valid action. @internal
-      */
-      findForcedReduction() {
-          let { parser } = this.p, seen = [];
-          let explore = (state, depth) => {
-              if (seen.includes(state))
-                  return;
-              seen.push(state);
-              return parser.allActions(state, (action) => {
-                  if (action & (262144 /* Action.StayFlag */ | 131072 /* Action.GotoFlag */)) ;
-                  else if (action & 65536 /* Action.ReduceFlag */) {
-                      let rDepth = (action >> 19 /* Action.ReduceDepthShift */) - depth;
-                      if (rDepth > 1) {
-                          let term = action & 65535 /* Action.ValueMask */, target = this.stack.length - rDepth * 3;
-                          if (target >= 0 && parser.getGoto(this.stack[target], term, false) >= 0)
-                              return (rDepth << 19 /* Action.ReduceDepthShift */) | 65536 /* Action.ReduceFlag */ | term;
-                      }
-                  }
-                  else {
-                      let found = explore(action, depth + 1);
-                      if (found != null)
-                          return found;
+  });
+  /**
+  Given a diagnostic source, this function returns an extension that
+  enables linting with that source. It will be called whenever the
+  editor is idle (after its content changed). If `null` is given as
+  source, this only configures the lint extension.
+  */
+  function linter(source, config = {}) {
+      return [
+          lintConfig.of({ source, config }),
+          lintPlugin,
+          lintExtensions
+      ];
+  }
+  function assignKeys(actions) {
+      let assigned = [];
+      if (actions)
+          actions: for (let { name } of actions) {
+              for (let i = 0; i < name.length; i++) {
+                  let ch = name[i];
+                  if (/[a-zA-Z]/.test(ch) && !assigned.some(c => c.toLowerCase() == ch.toLowerCase())) {
+                      assigned.push(ch);
+                      continue actions;
                   }
-              });
-          };
-          return explore(this.state, 0);
-      }
-      /**
-      @internal
-      */
-      forceAll() {
-          while (!this.p.parser.stateFlag(this.state, 2 /* StateFlag.Accepting */)) {
-              if (!this.forceReduce()) {
-                  this.storeNode(0 /* Term.Err */, this.pos, this.pos, 4, true);
-                  break;
               }
+              assigned.push("");
           }
-          return this;
-      }
-      /**
-      Check whether this state has no further actions (assumed to be a direct descendant of the
-      top state, since any other states must be able to continue
-      somehow). @internal
-      */
-      get deadEnd() {
-          if (this.stack.length != 3)
-              return false;
-          let { parser } = this.p;
-          return parser.data[parser.stateSlot(this.state, 1 /* ParseState.Actions */)] == 65535 /* Seq.End */ &&
-              !parser.stateSlot(this.state, 4 /* ParseState.DefaultReduce */);
-      }
-      /**
-      Restart the stack (put it back in its start state). Only safe
-      when this.stack.length == 3 (state is directly below the top
-      state). @internal
-      */
-      restart() {
-          this.storeNode(0 /* Term.Err */, this.pos, this.pos, 4, true);
-          this.state = this.stack[0];
-          this.stack.length = 0;
-      }
-      /**
-      @internal
-      */
-      sameState(other) {
-          if (this.state != other.state || this.stack.length != other.stack.length)
-              return false;
-          for (let i = 0; i < this.stack.length; i += 3)
-              if (this.stack[i] != other.stack[i])
-                  return false;
-          return true;
-      }
-      /**
-      Get the parser used by this stack.
-      */
-      get parser() { return this.p.parser; }
-      /**
-      Test whether a given dialect (by numeric ID, as exported from
-      the terms file) is enabled.
-      */
-      dialectEnabled(dialectID) { return this.p.parser.dialect.flags[dialectID]; }
-      shiftContext(term, start) {
-          if (this.curContext)
-              this.updateContext(this.curContext.tracker.shift(this.curContext.context, term, this, this.p.stream.reset(start)));
-      }
-      reduceContext(term, start) {
-          if (this.curContext)
-              this.updateContext(this.curContext.tracker.reduce(this.curContext.context, term, this, this.p.stream.reset(start)));
-      }
-      /**
-      @internal
-      */
-      emitContext() {
-          let last = this.buffer.length - 1;
-          if (last < 0 || this.buffer[last] != -3)
-              this.buffer.push(this.curContext.hash, this.pos, this.pos, -3);
+      return assigned;
+  }
+  function renderDiagnostic(view, diagnostic, inPanel) {
+      var _a;
+      let keys = inPanel ? assignKeys(diagnostic.actions) : [];
+      return crelt("li", { class: "cm-diagnostic cm-diagnostic-" + diagnostic.severity }, crelt("span", { class: "cm-diagnosticText" }, diagnostic.renderMessage ? diagnostic.renderMessage(view) : diagnostic.message), (_a = diagnostic.actions) === null || _a === void 0 ? void 0 : _a.map((action, i) => {
+          let fired = false, click = (e) => {
+              e.preventDefault();
+              if (fired)
+                  return;
+              fired = true;
+              let found = findDiagnostic(view.state.field(lintState).diagnostics, diagnostic);
+              if (found)
+                  action.apply(view, found.from, found.to);
+          };
+          let { name } = action, keyIndex = keys[i] ? name.indexOf(keys[i]) : -1;
+          let nameElt = keyIndex < 0 ? name : [name.slice(0, keyIndex),
+              crelt("u", name.slice(keyIndex, keyIndex + 1)),
+              name.slice(keyIndex + 1)];
+          return crelt("button", {
+              type: "button",
+              class: "cm-diagnosticAction",
+              onclick: click,
+              onmousedown: click,
+              "aria-label": ` Action: ${name}${keyIndex < 0 ? "" : ` (access key "${keys[i]})"`}.`
+          }, nameElt);
+      }), diagnostic.source && crelt("div", { class: "cm-diagnosticSource" }, diagnostic.source));
+  }
+  class DiagnosticWidget extends WidgetType {
+      constructor(sev) {
+          super();
+          this.sev = sev;
       }
-      /**
-      @internal
-      */
-      emitLookAhead() {
-          let last = this.buffer.length - 1;
-          if (last < 0 || this.buffer[last] != -4)
-              this.buffer.push(this.lookAhead, this.pos, this.pos, -4);
+      eq(other) { return other.sev == this.sev; }
+      toDOM() {
+          return crelt("span", { class: "cm-lintPoint cm-lintPoint-" + this.sev });
       }
-      updateContext(context) {
-          if (context != this.curContext.context) {
-              let newCx = new StackContext(this.curContext.tracker, context);
-              if (newCx.hash != this.curContext.hash)
-                  this.emitContext();
-              this.curContext = newCx;
-          }
-      }
-      /**
-      @internal
-      */
-      setLookAhead(lookAhead) {
-          if (lookAhead > this.lookAhead) {
-              this.emitLookAhead();
-              this.lookAhead = lookAhead;
-          }
-      }
-      /**
-      @internal
-      */
-      close() {
-          if (this.curContext && this.curContext.tracker.strict)
-              this.emitContext();
-          if (this.lookAhead > 0)
-              this.emitLookAhead();
+  }
+  class PanelItem {
+      constructor(view, diagnostic) {
+          this.diagnostic = diagnostic;
+          this.id = "item_" + Math.floor(Math.random() * 0xffffffff).toString(16);
+          this.dom = renderDiagnostic(view, diagnostic, true);
+          this.dom.id = this.id;
+          this.dom.setAttribute("role", "option");
       }
   }
-  class StackContext {
-      constructor(tracker, context) {
-          this.tracker = tracker;
-          this.context = context;
-          this.hash = tracker.strict ? tracker.hash(context) : 0;
+  class LintPanel {
+      constructor(view) {
+          this.view = view;
+          this.items = [];
+          let onkeydown = (event) => {
+              if (event.keyCode == 27) { // Escape
+                  closeLintPanel(this.view);
+                  this.view.focus();
+              }
+              else if (event.keyCode == 38 || event.keyCode == 33) { // ArrowUp, PageUp
+                  this.moveSelection((this.selectedIndex - 1 + this.items.length) % this.items.length);
+              }
+              else if (event.keyCode == 40 || event.keyCode == 34) { // ArrowDown, PageDown
+                  this.moveSelection((this.selectedIndex + 1) % this.items.length);
+              }
+              else if (event.keyCode == 36) { // Home
+                  this.moveSelection(0);
+              }
+              else if (event.keyCode == 35) { // End
+                  this.moveSelection(this.items.length - 1);
+              }
+              else if (event.keyCode == 13) { // Enter
+                  this.view.focus();
+              }
+              else if (event.keyCode >= 65 && event.keyCode <= 90 && this.selectedIndex >= 0) { // A-Z
+                  let { diagnostic } = this.items[this.selectedIndex], keys = assignKeys(diagnostic.actions);
+                  for (let i = 0; i < keys.length; i++)
+                      if (keys[i].toUpperCase().charCodeAt(0) == event.keyCode) {
+                          let found = findDiagnostic(this.view.state.field(lintState).diagnostics, diagnostic);
+                          if (found)
+                              diagnostic.actions[i].apply(view, found.from, found.to);
+                      }
+              }
+              else {
+                  return;
+              }
+              event.preventDefault();
+          };
+          let onclick = (event) => {
+              for (let i = 0; i < this.items.length; i++) {
+                  if (this.items[i].dom.contains(event.target))
+                      this.moveSelection(i);
+              }
+          };
+          this.list = crelt("ul", {
+              tabIndex: 0,
+              role: "listbox",
+              "aria-label": this.view.state.phrase("Diagnostics"),
+              onkeydown,
+              onclick
+          });
+          this.dom = crelt("div", { class: "cm-panel-lint" }, this.list, crelt("button", {
+              type: "button",
+              name: "close",
+              "aria-label": this.view.state.phrase("close"),
+              onclick: () => closeLintPanel(this.view)
+          }, "×"));
+          this.update();
       }
-  }
-  // Used to cheaply run some reductions to scan ahead without mutating
-  // an entire stack
-  class SimulatedStack {
-      constructor(start) {
-          this.start = start;
-          this.state = start.state;
-          this.stack = start.stack;
-          this.base = this.stack.length;
+      get selectedIndex() {
+          let selected = this.view.state.field(lintState).selected;
+          if (!selected)
+              return -1;
+          for (let i = 0; i < this.items.length; i++)
+              if (this.items[i].diagnostic == selected.diagnostic)
+                  return i;
+          return -1;
       }
-      reduce(action) {
-          let term = action & 65535 /* Action.ValueMask */, depth = action >> 19 /* Action.ReduceDepthShift */;
-          if (depth == 0) {
-              if (this.stack == this.start.stack)
-                  this.stack = this.stack.slice();
-              this.stack.push(this.state, 0, 0);
-              this.base += 3;
+      update() {
+          let { diagnostics, selected } = this.view.state.field(lintState);
+          let i = 0, needsSync = false, newSelectedItem = null;
+          let seen = new Set();
+          diagnostics.between(0, this.view.state.doc.length, (_start, _end, { spec }) => {
+              for (let diagnostic of spec.diagnostics) {
+                  if (seen.has(diagnostic))
+                      continue;
+                  seen.add(diagnostic);
+                  let found = -1, item;
+                  for (let j = i; j < this.items.length; j++)
+                      if (this.items[j].diagnostic == diagnostic) {
+                          found = j;
+                          break;
+                      }
+                  if (found < 0) {
+                      item = new PanelItem(this.view, diagnostic);
+                      this.items.splice(i, 0, item);
+                      needsSync = true;
+                  }
+                  else {
+                      item = this.items[found];
+                      if (found > i) {
+                          this.items.splice(i, found - i);
+                          needsSync = true;
+                      }
+                  }
+                  if (selected && item.diagnostic == selected.diagnostic) {
+                      if (!item.dom.hasAttribute("aria-selected")) {
+                          item.dom.setAttribute("aria-selected", "true");
+                          newSelectedItem = item;
+                      }
+                  }
+                  else if (item.dom.hasAttribute("aria-selected")) {
+                      item.dom.removeAttribute("aria-selected");
+                  }
+                  i++;
+              }
+          });
+          while (i < this.items.length && !(this.items.length == 1 && this.items[0].diagnostic.from < 0)) {
+              needsSync = true;
+              this.items.pop();
           }
-          else {
-              this.base -= (depth - 1) * 3;
+          if (this.items.length == 0) {
+              this.items.push(new PanelItem(this.view, {
+                  from: -1, to: -1,
+                  severity: "info",
+                  message: this.view.state.phrase("No diagnostics")
+              }));
+              needsSync = true;
           }
-          let goto = this.start.p.parser.getGoto(this.stack[this.base - 3], term, true);
-          this.state = goto;
-      }
-  }
-  // This is given to `Tree.build` to build a buffer, and encapsulates
-  // the parent-stack-walking necessary to read the nodes.
-  class StackBufferCursor {
-      constructor(stack, pos, index) {
-          this.stack = stack;
-          this.pos = pos;
-          this.index = index;
-          this.buffer = stack.buffer;
-          if (this.index == 0)
-              this.maybeNext();
-      }
-      static create(stack, pos = stack.bufferBase + stack.buffer.length) {
-          return new StackBufferCursor(stack, pos, pos - stack.bufferBase);
-      }
-      maybeNext() {
-          let next = this.stack.parent;
-          if (next != null) {
-              this.index = this.stack.bufferBase - next.bufferBase;
-              this.stack = next;
-              this.buffer = next.buffer;
+          if (newSelectedItem) {
+              this.list.setAttribute("aria-activedescendant", newSelectedItem.id);
+              this.view.requestMeasure({
+                  key: this,
+                  read: () => ({ sel: newSelectedItem.dom.getBoundingClientRect(), panel: this.list.getBoundingClientRect() }),
+                  write: ({ sel, panel }) => {
+                      let scaleY = panel.height / this.list.offsetHeight;
+                      if (sel.top < panel.top)
+                          this.list.scrollTop -= (panel.top - sel.top) / scaleY;
+                      else if (sel.bottom > panel.bottom)
+                          this.list.scrollTop += (sel.bottom - panel.bottom) / scaleY;
+                  }
+              });
           }
+          else if (this.selectedIndex < 0) {
+              this.list.removeAttribute("aria-activedescendant");
+          }
+          if (needsSync)
+              this.sync();
       }
-      get id() { return this.buffer[this.index - 4]; }
-      get start() { return this.buffer[this.index - 3]; }
-      get end() { return this.buffer[this.index - 2]; }
-      get size() { return this.buffer[this.index - 1]; }
-      next() {
-          this.index -= 4;
-          this.pos -= 4;
-          if (this.index == 0)
-              this.maybeNext();
-      }
-      fork() {
-          return new StackBufferCursor(this.stack, this.pos, this.index);
-      }
-  }
-
-  // See lezer-generator/src/encode.ts for comments about the encoding
-  // used here
-  function decodeArray(input, Type = Uint16Array) {
-      if (typeof input != "string")
-          return input;
-      let array = null;
-      for (let pos = 0, out = 0; pos < input.length;) {
-          let value = 0;
-          for (;;) {
-              let next = input.charCodeAt(pos++), stop = false;
-              if (next == 126 /* Encode.BigValCode */) {
-                  value = 65535 /* Encode.BigVal */;
-                  break;
+      sync() {
+          let domPos = this.list.firstChild;
+          function rm() {
+              let prev = domPos;
+              domPos = prev.nextSibling;
+              prev.remove();
+          }
+          for (let item of this.items) {
+              if (item.dom.parentNode == this.list) {
+                  while (domPos != item.dom)
+                      rm();
+                  domPos = item.dom.nextSibling;
               }
-              if (next >= 92 /* Encode.Gap2 */)
-                  next--;
-              if (next >= 34 /* Encode.Gap1 */)
-                  next--;
-              let digit = next - 32 /* Encode.Start */;
-              if (digit >= 46 /* Encode.Base */) {
-                  digit -= 46 /* Encode.Base */;
-                  stop = true;
+              else {
+                  this.list.insertBefore(item.dom, domPos);
               }
-              value += digit;
-              if (stop)
-                  break;
-              value *= 46 /* Encode.Base */;
           }
-          if (array)
-              array[out++] = value;
-          else
-              array = new Type(value);
+          while (domPos)
+              rm();
       }
-      return array;
-  }
-
-  class CachedToken {
-      constructor() {
-          this.start = -1;
-          this.value = -1;
-          this.end = -1;
-          this.extended = -1;
-          this.lookAhead = 0;
-          this.mask = 0;
-          this.context = 0;
+      moveSelection(selectedIndex) {
+          if (this.selectedIndex < 0)
+              return;
+          let field = this.view.state.field(lintState);
+          let selection = findDiagnostic(field.diagnostics, this.items[selectedIndex].diagnostic);
+          if (!selection)
+              return;
+          this.view.dispatch({
+              selection: { anchor: selection.from, head: selection.to },
+              scrollIntoView: true,
+              effects: movePanelSelection.of(selection)
+          });
       }
+      static open(view) { return new LintPanel(view); }
   }
-  const nullToken = new CachedToken;
-  /**
-  [Tokenizers](#lr.ExternalTokenizer) interact with the input
-  through this interface. It presents the input as a stream of
-  characters, tracking lookahead and hiding the complexity of
-  [ranges](#common.Parser.parse^ranges) from tokenizer code.
-  */
-  class InputStream {
-      /**
-      @internal
-      */
-      constructor(
-      /**
-      @internal
-      */
-      input, 
-      /**
-      @internal
-      */
-      ranges) {
-          this.input = input;
-          this.ranges = ranges;
-          /**
-          @internal
-          */
-          this.chunk = "";
-          /**
-          @internal
-          */
-          this.chunkOff = 0;
-          /**
-          Backup chunk
-          */
-          this.chunk2 = "";
-          this.chunk2Pos = 0;
-          /**
-          The character code of the next code unit in the input, or -1
-          when the stream is at the end of the input.
-          */
-          this.next = -1;
-          /**
-          @internal
-          */
-          this.token = nullToken;
-          this.rangeIndex = 0;
-          this.pos = this.chunkPos = ranges[0].from;
-          this.range = ranges[0];
-          this.end = ranges[ranges.length - 1].to;
-          this.readNext();
-      }
-      /**
-      @internal
-      */
-      resolveOffset(offset, assoc) {
-          let range = this.range, index = this.rangeIndex;
-          let pos = this.pos + offset;
-          while (pos < range.from) {
-              if (!index)
-                  return null;
-              let next = this.ranges[--index];
-              pos -= range.from - next.to;
-              range = next;
+  function svg(content, attrs = `viewBox="0 0 40 40"`) {
+      return `url('data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" ${attrs}>${encodeURIComponent(content)}</svg>')`;
+  }
+  function underline(color) {
+      return svg(`<path d="m0 2.5 l2 -1.5 l1 0 l2 1.5 l1 0" stroke="${color}" fill="none" stroke-width=".7"/>`, `width="6" height="3"`);
+  }
+  const baseTheme = /*@__PURE__*/EditorView.baseTheme({
+      ".cm-diagnostic": {
+          padding: "3px 6px 3px 8px",
+          marginLeft: "-1px",
+          display: "block",
+          whiteSpace: "pre-wrap"
+      },
+      ".cm-diagnostic-error": { borderLeft: "5px solid #d11" },
+      ".cm-diagnostic-warning": { borderLeft: "5px solid orange" },
+      ".cm-diagnostic-info": { borderLeft: "5px solid #999" },
+      ".cm-diagnostic-hint": { borderLeft: "5px solid #66d" },
+      ".cm-diagnosticAction": {
+          font: "inherit",
+          border: "none",
+          padding: "2px 4px",
+          backgroundColor: "#444",
+          color: "white",
+          borderRadius: "3px",
+          marginLeft: "8px",
+          cursor: "pointer"
+      },
+      ".cm-diagnosticSource": {
+          fontSize: "70%",
+          opacity: .7
+      },
+      ".cm-lintRange": {
+          backgroundPosition: "left bottom",
+          backgroundRepeat: "repeat-x",
+          paddingBottom: "0.7px",
+      },
+      ".cm-lintRange-error": { backgroundImage: /*@__PURE__*/underline("#d11") },
+      ".cm-lintRange-warning": { backgroundImage: /*@__PURE__*/underline("orange") },
+      ".cm-lintRange-info": { backgroundImage: /*@__PURE__*/underline("#999") },
+      ".cm-lintRange-hint": { backgroundImage: /*@__PURE__*/underline("#66d") },
+      ".cm-lintRange-active": { backgroundColor: "#ffdd9980" },
+      ".cm-tooltip-lint": {
+          padding: 0,
+          margin: 0
+      },
+      ".cm-lintPoint": {
+          position: "relative",
+          "&:after": {
+              content: '""',
+              position: "absolute",
+              bottom: 0,
+              left: "-2px",
+              borderLeft: "3px solid transparent",
+              borderRight: "3px solid transparent",
+              borderBottom: "4px solid #d11"
           }
-          while (assoc < 0 ? pos > range.to : pos >= range.to) {
-              if (index == this.ranges.length - 1)
-                  return null;
-              let next = this.ranges[++index];
-              pos += next.from - range.to;
-              range = next;
+      },
+      ".cm-lintPoint-warning": {
+          "&:after": { borderBottomColor: "orange" }
+      },
+      ".cm-lintPoint-info": {
+          "&:after": { borderBottomColor: "#999" }
+      },
+      ".cm-lintPoint-hint": {
+          "&:after": { borderBottomColor: "#66d" }
+      },
+      ".cm-panel.cm-panel-lint": {
+          position: "relative",
+          "& ul": {
+              maxHeight: "100px",
+              overflowY: "auto",
+              "& [aria-selected]": {
+                  backgroundColor: "#ddd",
+                  "& u": { textDecoration: "underline" }
+              },
+              "&:focus [aria-selected]": {
+                  background_fallback: "#bdf",
+                  backgroundColor: "Highlight",
+                  color_fallback: "white",
+                  color: "HighlightText"
+              },
+              "& u": { textDecoration: "none" },
+              padding: 0,
+              margin: 0
+          },
+          "& [name=close]": {
+              position: "absolute",
+              top: "0",
+              right: "2px",
+              background: "inherit",
+              border: "none",
+              font: "inherit",
+              padding: 0,
+              margin: 0
           }
-          return pos;
-      }
-      /**
-      @internal
-      */
-      clipPos(pos) {
-          if (pos >= this.range.from && pos < this.range.to)
-              return pos;
-          for (let range of this.ranges)
-              if (range.to > pos)
-                  return Math.max(pos, range.from);
-          return this.end;
       }
-      /**
-      Look at a code unit near the stream position. `.peek(0)` equals
-      `.next`, `.peek(-1)` gives you the previous character, and so
-      on.
-      
-      Note that looking around during tokenizing creates dependencies
-      on potentially far-away content, which may reduce the
-      effectiveness incremental parsing—when looking forward—or even
-      cause invalid reparses when looking backward more than 25 code
-      units, since the library does not track lookbehind.
-      */
-      peek(offset) {
-          let idx = this.chunkOff + offset, pos, result;
-          if (idx >= 0 && idx < this.chunk.length) {
-              pos = this.pos + offset;
-              result = this.chunk.charCodeAt(idx);
-          }
-          else {
-              let resolved = this.resolveOffset(offset, 1);
-              if (resolved == null)
-                  return -1;
-              pos = resolved;
-              if (pos >= this.chunk2Pos && pos < this.chunk2Pos + this.chunk2.length) {
-                  result = this.chunk2.charCodeAt(pos - this.chunk2Pos);
-              }
-              else {
-                  let i = this.rangeIndex, range = this.range;
-                  while (range.to <= pos)
-                      range = this.ranges[++i];
-                  this.chunk2 = this.input.chunk(this.chunk2Pos = pos);
-                  if (pos + this.chunk2.length > range.to)
-                      this.chunk2 = this.chunk2.slice(0, range.to - pos);
-                  result = this.chunk2.charCodeAt(0);
-              }
+  });
+  function severityWeight(sev) {
+      return sev == "error" ? 4 : sev == "warning" ? 3 : sev == "info" ? 2 : 1;
+  }
+  function maxSeverity(diagnostics) {
+      let sev = "hint", weight = 1;
+      for (let d of diagnostics) {
+          let w = severityWeight(d.severity);
+          if (w > weight) {
+              weight = w;
+              sev = d.severity;
           }
-          if (pos >= this.token.lookAhead)
-              this.token.lookAhead = pos + 1;
-          return result;
       }
-      /**
-      Accept a token. By default, the end of the token is set to the
-      current stream position, but you can pass an offset (relative to
-      the stream position) to change that.
-      */
-      acceptToken(token, endOffset = 0) {
-          let end = endOffset ? this.resolveOffset(endOffset, -1) : this.pos;
-          if (end == null || end < this.token.start)
-              throw new RangeError("Token end out of bounds");
-          this.token.value = token;
-          this.token.end = end;
+      return sev;
+  }
+  class LintGutterMarker extends GutterMarker {
+      constructor(diagnostics) {
+          super();
+          this.diagnostics = diagnostics;
+          this.severity = maxSeverity(diagnostics);
       }
-      /**
-      Accept a token ending at a specific given position.
-      */
-      acceptTokenTo(token, endPos) {
-          this.token.value = token;
-          this.token.end = endPos;
+      toDOM(view) {
+          let elt = document.createElement("div");
+          elt.className = "cm-lint-marker cm-lint-marker-" + this.severity;
+          let diagnostics = this.diagnostics;
+          let diagnosticsFilter = view.state.facet(lintGutterConfig).tooltipFilter;
+          if (diagnosticsFilter)
+              diagnostics = diagnosticsFilter(diagnostics, view.state);
+          if (diagnostics.length)
+              elt.onmouseover = () => gutterMarkerMouseOver(view, elt, diagnostics);
+          return elt;
       }
-      getChunk() {
-          if (this.pos >= this.chunk2Pos && this.pos < this.chunk2Pos + this.chunk2.length) {
-              let { chunk, chunkPos } = this;
-              this.chunk = this.chunk2;
-              this.chunkPos = this.chunk2Pos;
-              this.chunk2 = chunk;
-              this.chunk2Pos = chunkPos;
-              this.chunkOff = this.pos - this.chunkPos;
+  }
+  function trackHoverOn(view, marker) {
+      let mousemove = (event) => {
+          let rect = marker.getBoundingClientRect();
+          if (event.clientX > rect.left - 10 /* Hover.Margin */ && event.clientX < rect.right + 10 /* Hover.Margin */ &&
+              event.clientY > rect.top - 10 /* Hover.Margin */ && event.clientY < rect.bottom + 10 /* Hover.Margin */)
+              return;
+          for (let target = event.target; target; target = target.parentNode) {
+              if (target.nodeType == 1 && target.classList.contains("cm-tooltip-lint"))
+                  return;
           }
-          else {
-              this.chunk2 = this.chunk;
-              this.chunk2Pos = this.chunkPos;
-              let nextChunk = this.input.chunk(this.pos);
-              let end = this.pos + nextChunk.length;
-              this.chunk = end > this.range.to ? nextChunk.slice(0, this.range.to - this.pos) : nextChunk;
-              this.chunkPos = this.pos;
-              this.chunkOff = 0;
+          window.removeEventListener("mousemove", mousemove);
+          if (view.state.field(lintGutterTooltip))
+              view.dispatch({ effects: setLintGutterTooltip.of(null) });
+      };
+      window.addEventListener("mousemove", mousemove);
+  }
+  function gutterMarkerMouseOver(view, marker, diagnostics) {
+      function hovered() {
+          let line = view.elementAtHeight(marker.getBoundingClientRect().top + 5 - view.documentTop);
+          const linePos = view.coordsAtPos(line.from);
+          if (linePos) {
+              view.dispatch({ effects: setLintGutterTooltip.of({
+                      pos: line.from,
+                      above: false,
+                      clip: false,
+                      create() {
+                          return {
+                              dom: diagnosticsTooltip(view, diagnostics),
+                              getCoords: () => marker.getBoundingClientRect()
+                          };
+                      }
+                  }) });
           }
+          marker.onmouseout = marker.onmousemove = null;
+          trackHoverOn(view, marker);
       }
-      readNext() {
-          if (this.chunkOff >= this.chunk.length) {
-              this.getChunk();
-              if (this.chunkOff == this.chunk.length)
-                  return this.next = -1;
-          }
-          return this.next = this.chunk.charCodeAt(this.chunkOff);
+      let { hoverTime } = view.state.facet(lintGutterConfig);
+      let hoverTimeout = setTimeout(hovered, hoverTime);
+      marker.onmouseout = () => {
+          clearTimeout(hoverTimeout);
+          marker.onmouseout = marker.onmousemove = null;
+      };
+      marker.onmousemove = () => {
+          clearTimeout(hoverTimeout);
+          hoverTimeout = setTimeout(hovered, hoverTime);
+      };
+  }
+  function markersForDiagnostics(doc, diagnostics) {
+      let byLine = Object.create(null);
+      for (let diagnostic of diagnostics) {
+          let line = doc.lineAt(diagnostic.from);
+          (byLine[line.from] || (byLine[line.from] = [])).push(diagnostic);
       }
-      /**
-      Move the stream forward N (defaults to 1) code units. Returns
-      the new value of [`next`](#lr.InputStream.next).
-      */
-      advance(n = 1) {
-          this.chunkOff += n;
-          while (this.pos + n >= this.range.to) {
-              if (this.rangeIndex == this.ranges.length - 1)
-                  return this.setDone();
-              n -= this.range.to - this.pos;
-              this.range = this.ranges[++this.rangeIndex];
-              this.pos = this.range.from;
-          }
-          this.pos += n;
-          if (this.pos >= this.token.lookAhead)
-              this.token.lookAhead = this.pos + 1;
-          return this.readNext();
+      let markers = [];
+      for (let line in byLine) {
+          markers.push(new LintGutterMarker(byLine[line]).range(+line));
       }
-      setDone() {
-          this.pos = this.chunkPos = this.end;
-          this.range = this.ranges[this.rangeIndex = this.ranges.length - 1];
-          this.chunk = "";
-          return this.next = -1;
+      return RangeSet.of(markers, true);
+  }
+  const lintGutterExtension = /*@__PURE__*/gutter({
+      class: "cm-gutter-lint",
+      markers: view => view.state.field(lintGutterMarkers),
+      widgetMarker: (view, widget, block) => {
+          let diagnostics = [];
+          view.state.field(lintGutterMarkers).between(block.from, block.to, (from, to, value) => {
+              if (from > block.from && from < block.to)
+                  diagnostics.push(...value.diagnostics);
+          });
+          return diagnostics.length ? new LintGutterMarker(diagnostics) : null;
       }
-      /**
-      @internal
-      */
-      reset(pos, token) {
-          if (token) {
-              this.token = token;
-              token.start = pos;
-              token.lookAhead = pos + 1;
-              token.value = token.extended = -1;
-          }
-          else {
-              this.token = nullToken;
-          }
-          if (this.pos != pos) {
-              this.pos = pos;
-              if (pos == this.end) {
-                  this.setDone();
-                  return this;
-              }
-              while (pos < this.range.from)
-                  this.range = this.ranges[--this.rangeIndex];
-              while (pos >= this.range.to)
-                  this.range = this.ranges[++this.rangeIndex];
-              if (pos >= this.chunkPos && pos < this.chunkPos + this.chunk.length) {
-                  this.chunkOff = pos - this.chunkPos;
-              }
-              else {
-                  this.chunk = "";
-                  this.chunkOff = 0;
+  });
+  const lintGutterMarkers = /*@__PURE__*/StateField.define({
+      create() {
+          return RangeSet.empty;
+      },
+      update(markers, tr) {
+          markers = markers.map(tr.changes);
+          let diagnosticFilter = tr.state.facet(lintGutterConfig).markerFilter;
+          for (let effect of tr.effects) {
+              if (effect.is(setDiagnosticsEffect)) {
+                  let diagnostics = effect.value;
+                  if (diagnosticFilter)
+                      diagnostics = diagnosticFilter(diagnostics || [], tr.state);
+                  markers = markersForDiagnostics(tr.state.doc, diagnostics.slice(0));
               }
-              this.readNext();
           }
-          return this;
+          return markers;
       }
-      /**
-      @internal
-      */
-      read(from, to) {
-          if (from >= this.chunkPos && to <= this.chunkPos + this.chunk.length)
-              return this.chunk.slice(from - this.chunkPos, to - this.chunkPos);
-          if (from >= this.chunk2Pos && to <= this.chunk2Pos + this.chunk2.length)
-              return this.chunk2.slice(from - this.chunk2Pos, to - this.chunk2Pos);
-          if (from >= this.range.from && to <= this.range.to)
-              return this.input.read(from, to);
-          let result = "";
-          for (let r of this.ranges) {
-              if (r.from >= to)
-                  break;
-              if (r.to > from)
-                  result += this.input.read(Math.max(r.from, from), Math.min(r.to, to));
+  });
+  const setLintGutterTooltip = /*@__PURE__*/StateEffect.define();
+  const lintGutterTooltip = /*@__PURE__*/StateField.define({
+      create() { return null; },
+      update(tooltip, tr) {
+          if (tooltip && tr.docChanged)
+              tooltip = hideTooltip(tr, tooltip) ? null : Object.assign(Object.assign({}, tooltip), { pos: tr.changes.mapPos(tooltip.pos) });
+          return tr.effects.reduce((t, e) => e.is(setLintGutterTooltip) ? e.value : t, tooltip);
+      },
+      provide: field => showTooltip.from(field)
+  });
+  const lintGutterTheme = /*@__PURE__*/EditorView.baseTheme({
+      ".cm-gutter-lint": {
+          width: "1.4em",
+          "& .cm-gutterElement": {
+              padding: ".2em"
           }
-          return result;
+      },
+      ".cm-lint-marker": {
+          width: "1em",
+          height: "1em"
+      },
+      ".cm-lint-marker-info": {
+          content: /*@__PURE__*/svg(`<path fill="#aaf" stroke="#77e" stroke-width="6" stroke-linejoin="round" d="M5 5L35 5L35 35L5 35Z"/>`)
+      },
+      ".cm-lint-marker-warning": {
+          content: /*@__PURE__*/svg(`<path fill="#fe8" stroke="#fd7" stroke-width="6" stroke-linejoin="round" d="M20 6L37 35L3 35Z"/>`),
+      },
+      ".cm-lint-marker-error": {
+          content: /*@__PURE__*/svg(`<circle cx="20" cy="20" r="15" fill="#f87" stroke="#f43" stroke-width="6"/>`)
+      },
+  });
+  const lintExtensions = [
+      lintState,
+      /*@__PURE__*/EditorView.decorations.compute([lintState], state => {
+          let { selected, panel } = state.field(lintState);
+          return !selected || !panel || selected.from == selected.to ? Decoration.none : Decoration.set([
+              activeMark.range(selected.from, selected.to)
+          ]);
+      }),
+      /*@__PURE__*/hoverTooltip(lintTooltip, { hideOn: hideTooltip }),
+      baseTheme
+  ];
+  const lintGutterConfig = /*@__PURE__*/Facet.define({
+      combine(configs) {
+          return combineConfig(configs, {
+              hoverTime: 300 /* Hover.Time */,
+              markerFilter: null,
+              tooltipFilter: null
+          });
       }
-  }
+  });
   /**
-  @internal
+  Returns an extension that installs a gutter showing markers for
+  each line that has diagnostics, which can be hovered over to see
+  the diagnostics.
   */
-  class TokenGroup {
-      constructor(data, id) {
-          this.data = data;
-          this.id = id;
-      }
-      token(input, stack) {
-          let { parser } = stack.p;
-          readToken(this.data, input, stack, this.id, parser.data, parser.tokenPrecTable);
-      }
+  function lintGutter(config = {}) {
+      return [lintGutterConfig.of(config), lintGutterMarkers, lintGutterExtension, lintGutterTheme, lintGutterTooltip];
   }
-  TokenGroup.prototype.contextual = TokenGroup.prototype.fallback = TokenGroup.prototype.extend = false;
+
   /**
-  @hide
+  A parse stack. These are used internally by the parser to track
+  parsing progress. They also provide some properties and methods
+  that external code such as a tokenizer can use to get information
+  about the parse state.
   */
-  class LocalTokenGroup {
-      constructor(data, precTable, elseToken) {
-          this.precTable = precTable;
-          this.elseToken = elseToken;
-          this.data = typeof data == "string" ? decodeArray(data) : data;
+  class Stack {
+      /**
+      @internal
+      */
+      constructor(
+      /**
+      The parse that this stack is part of @internal
+      */
+      p, 
+      /**
+      Holds state, input pos, buffer index triplets for all but the
+      top state @internal
+      */
+      stack, 
+      /**
+      The current parse state @internal
+      */
+      state, 
+      // The position at which the next reduce should take place. This
+      // can be less than `this.pos` when skipped expressions have been
+      // added to the stack (which should be moved outside of the next
+      // reduction)
+      /**
+      @internal
+      */
+      reducePos, 
+      /**
+      The input position up to which this stack has parsed.
+      */
+      pos, 
+      /**
+      The dynamic score of the stack, including dynamic precedence
+      and error-recovery penalties
+      @internal
+      */
+      score, 
+      // The output buffer. Holds (type, start, end, size) quads
+      // representing nodes created by the parser, where `size` is
+      // amount of buffer array entries covered by this node.
+      /**
+      @internal
+      */
+      buffer, 
+      // The base offset of the buffer. When stacks are split, the split
+      // instance shared the buffer history with its parent up to
+      // `bufferBase`, which is the absolute offset (including the
+      // offset of previous splits) into the buffer at which this stack
+      // starts writing.
+      /**
+      @internal
+      */
+      bufferBase, 
+      /**
+      @internal
+      */
+      curContext, 
+      /**
+      @internal
+      */
+      lookAhead = 0, 
+      // A parent stack from which this was split off, if any. This is
+      // set up so that it always points to a stack that has some
+      // additional buffer content, never to a stack with an equal
+      // `bufferBase`.
+      /**
+      @internal
+      */
+      parent) {
+          this.p = p;
+          this.stack = stack;
+          this.state = state;
+          this.reducePos = reducePos;
+          this.pos = pos;
+          this.score = score;
+          this.buffer = buffer;
+          this.bufferBase = bufferBase;
+          this.curContext = curContext;
+          this.lookAhead = lookAhead;
+          this.parent = parent;
       }
-      token(input, stack) {
-          let start = input.pos, skipped = 0;
-          for (;;) {
-              let atEof = input.next < 0, nextPos = input.resolveOffset(1, 1);
-              readToken(this.data, input, stack, 0, this.data, this.precTable);
-              if (input.token.value > -1)
-                  break;
-              if (this.elseToken == null)
-                  return;
-              if (!atEof)
-                  skipped++;
-              if (nextPos == null)
-                  break;
-              input.reset(nextPos, input.token);
-          }
-          if (skipped) {
-              input.reset(start, input.token);
-              input.acceptToken(this.elseToken, skipped);
-          }
+      /**
+      @internal
+      */
+      toString() {
+          return `[${this.stack.filter((_, i) => i % 3 == 0).concat(this.state)}]@${this.pos}${this.score ? "!" + this.score : ""}`;
       }
-  }
-  LocalTokenGroup.prototype.contextual = TokenGroup.prototype.fallback = TokenGroup.prototype.extend = false;
-  /**
-  `@external tokens` declarations in the grammar should resolve to
-  an instance of this class.
-  */
-  class ExternalTokenizer {
+      // Start an empty stack
       /**
-      Create a tokenizer. The first argument is the function that,
-      given an input stream, scans for the types of tokens it
-      recognizes at the stream's position, and calls
-      [`acceptToken`](#lr.InputStream.acceptToken) when it finds
-      one.
+      @internal
       */
-      constructor(
+      static start(p, state, pos = 0) {
+          let cx = p.parser.context;
+          return new Stack(p, [], state, pos, pos, 0, [], 0, cx ? new StackContext(cx, cx.start) : null, 0, null);
+      }
+      /**
+      The stack's current [context](#lr.ContextTracker) value, if
+      any. Its type will depend on the context tracker's type
+      parameter, or it will be `null` if there is no context
+      tracker.
+      */
+      get context() { return this.curContext ? this.curContext.context : null; }
+      // Push a state onto the stack, tracking its start position as well
+      // as the buffer base at that point.
       /**
       @internal
       */
-      token, options = {}) {
-          this.token = token;
-          this.contextual = !!options.contextual;
-          this.fallback = !!options.fallback;
-          this.extend = !!options.extend;
+      pushState(state, start) {
+          this.stack.push(this.state, start, this.bufferBase + this.buffer.length);
+          this.state = state;
       }
-  }
-  // Tokenizer data is stored a big uint16 array containing, for each
-  // state:
-  //
-  //  - A group bitmask, indicating what token groups are reachable from
-  //    this state, so that paths that can only lead to tokens not in
-  //    any of the current groups can be cut off early.
-  //
-  //  - The position of the end of the state's sequence of accepting
-  //    tokens
-  //
-  //  - The number of outgoing edges for the state
-  //
-  //  - The accepting tokens, as (token id, group mask) pairs
-  //
-  //  - The outgoing edges, as (start character, end character, state
-  //    index) triples, with end character being exclusive
-  //
-  // This function interprets that data, running through a stream as
-  // long as new states with the a matching group mask can be reached,
-  // and updating `input.token` when it matches a token.
-  function readToken(data, input, stack, group, precTable, precOffset) {
-      let state = 0, groupMask = 1 << group, { dialect } = stack.p.parser;
-      scan: for (;;) {
-          if ((groupMask & data[state]) == 0)
-              break;
-          let accEnd = data[state + 1];
-          // Check whether this state can lead to a token in the current group
-          // Accept tokens in this state, possibly overwriting
-          // lower-precedence / shorter tokens
-          for (let i = state + 3; i < accEnd; i += 2)
-              if ((data[i + 1] & groupMask) > 0) {
-                  let term = data[i];
-                  if (dialect.allows(term) &&
-                      (input.token.value == -1 || input.token.value == term ||
-                          overrides(term, input.token.value, precTable, precOffset))) {
-                      input.acceptToken(term);
-                      break;
-                  }
-              }
-          let next = input.next, low = 0, high = data[state + 2];
-          // Special case for EOF
-          if (input.next < 0 && high > low && data[accEnd + high * 3 - 3] == 65535 /* Seq.End */) {
-              state = data[accEnd + high * 3 - 1];
-              continue scan;
+      // Apply a reduce action
+      /**
+      @internal
+      */
+      reduce(action) {
+          var _a;
+          let depth = action >> 19 /* Action.ReduceDepthShift */, type = action & 65535 /* Action.ValueMask */;
+          let { parser } = this.p;
+          let lookaheadRecord = this.reducePos < this.pos - 25 /* Lookahead.Margin */ && this.setLookAhead(this.pos);
+          let dPrec = parser.dynamicPrecedence(type);
+          if (dPrec)
+              this.score += dPrec;
+          if (depth == 0) {
+              if (type < parser.minRepeatTerm && this.reducePos < this.pos)
+                  this.reducePos = this.pos;
+              this.pushState(parser.getGoto(this.state, type, true), this.reducePos);
+              // Zero-depth reductions are a special case—they add stuff to
+              // the stack without popping anything off.
+              if (type < parser.minRepeatTerm)
+                  this.storeNode(type, this.reducePos, this.reducePos, lookaheadRecord ? 8 : 4, true);
+              this.reduceContext(type, this.reducePos);
+              return;
           }
-          // Do a binary search on the state's edges
-          for (; low < high;) {
-              let mid = (low + high) >> 1;
-              let index = accEnd + mid + (mid << 1);
-              let from = data[index], to = data[index + 1] || 0x10000;
-              if (next < from)
-                  high = mid;
-              else if (next >= to)
-                  low = mid + 1;
-              else {
-                  state = data[index + 2];
-                  input.advance();
-                  continue scan;
+          // Find the base index into `this.stack`, content after which will
+          // be dropped. Note that with `StayFlag` reductions we need to
+          // consume two extra frames (the dummy parent node for the skipped
+          // expression and the state that we'll be staying in, which should
+          // be moved to `this.state`).
+          let base = this.stack.length - ((depth - 1) * 3) - (action & 262144 /* Action.StayFlag */ ? 6 : 0);
+          let start = base ? this.stack[base - 2] : this.p.ranges[0].from;
+          if (type < parser.minRepeatTerm && start == this.reducePos && this.reducePos < this.pos)
+              this.reducePos = this.pos;
+          let size = this.reducePos - start;
+          // This is a kludge to try and detect overly deep left-associative
+          // trees, which will not increase the parse stack depth and thus
+          // won't be caught by the regular stack-depth limit check.
+          if (size >= 2000 /* Recover.MinBigReduction */ && !((_a = this.p.parser.nodeSet.types[type]) === null || _a === void 0 ? void 0 : _a.isAnonymous)) {
+              if (start == this.p.lastBigReductionStart) {
+                  this.p.bigReductionCount++;
+                  this.p.lastBigReductionSize = size;
+              }
+              else if (this.p.lastBigReductionSize < size) {
+                  this.p.bigReductionCount = 1;
+                  this.p.lastBigReductionStart = start;
+                  this.p.lastBigReductionSize = size;
               }
           }
-          break;
-      }
-  }
-  function findOffset(data, start, term) {
-      for (let i = start, next; (next = data[i]) != 65535 /* Seq.End */; i++)
-          if (next == term)
-              return i - start;
-      return -1;
-  }
-  function overrides(token, prev, tableData, tableOffset) {
-      let iPrev = findOffset(tableData, tableOffset, prev);
-      return iPrev < 0 || findOffset(tableData, tableOffset, token) < iPrev;
-  }
-
-  // Environment variable used to control console output
-  const verbose = typeof process != "undefined" && process.env && /\bparse\b/.test(process.env.LOG);
-  let stackIDs = null;
-  function cutAt(tree, pos, side) {
-      let cursor = tree.cursor(IterMode.IncludeAnonymous);
-      cursor.moveTo(pos);
-      for (;;) {
-          if (!(side < 0 ? cursor.childBefore(pos) : cursor.childAfter(pos)))
-              for (;;) {
-                  if ((side < 0 ? cursor.to < pos : cursor.from > pos) && !cursor.type.isError)
-                      return side < 0 ? Math.max(0, Math.min(cursor.to - 1, pos - 25 /* Lookahead.Margin */))
-                          : Math.min(tree.length, Math.max(cursor.from + 1, pos + 25 /* Lookahead.Margin */));
-                  if (side < 0 ? cursor.prevSibling() : cursor.nextSibling())
-                      break;
-                  if (!cursor.parent())
-                      return side < 0 ? 0 : tree.length;
-              }
-      }
-  }
-  class FragmentCursor {
-      constructor(fragments, nodeSet) {
-          this.fragments = fragments;
-          this.nodeSet = nodeSet;
-          this.i = 0;
-          this.fragment = null;
-          this.safeFrom = -1;
-          this.safeTo = -1;
-          this.trees = [];
-          this.start = [];
-          this.index = [];
-          this.nextFragment();
-      }
-      nextFragment() {
-          let fr = this.fragment = this.i == this.fragments.length ? null : this.fragments[this.i++];
-          if (fr) {
-              this.safeFrom = fr.openStart ? cutAt(fr.tree, fr.from + fr.offset, 1) - fr.offset : fr.from;
-              this.safeTo = fr.openEnd ? cutAt(fr.tree, fr.to + fr.offset, -1) - fr.offset : fr.to;
-              while (this.trees.length) {
-                  this.trees.pop();
-                  this.start.pop();
-                  this.index.pop();
-              }
-              this.trees.push(fr.tree);
-              this.start.push(-fr.offset);
-              this.index.push(0);
-              this.nextStart = this.safeFrom;
+          let bufferBase = base ? this.stack[base - 1] : 0, count = this.bufferBase + this.buffer.length - bufferBase;
+          // Store normal terms or `R -> R R` repeat reductions
+          if (type < parser.minRepeatTerm || (action & 131072 /* Action.RepeatFlag */)) {
+              let pos = parser.stateFlag(this.state, 1 /* StateFlag.Skipped */) ? this.pos : this.reducePos;
+              this.storeNode(type, start, pos, count + 4, true);
+          }
+          if (action & 262144 /* Action.StayFlag */) {
+              this.state = this.stack[base];
           }
           else {
-              this.nextStart = 1e9;
+              let baseStateID = this.stack[base - 3];
+              this.state = parser.getGoto(baseStateID, type, true);
           }
+          while (this.stack.length > base)
+              this.stack.pop();
+          this.reduceContext(type, start);
       }
-      // `pos` must be >= any previously given `pos` for this cursor
-      nodeAt(pos) {
-          if (pos < this.nextStart)
-              return null;
-          while (this.fragment && this.safeTo <= pos)
-              this.nextFragment();
-          if (!this.fragment)
-              return null;
-          for (;;) {
-              let last = this.trees.length - 1;
-              if (last < 0) { // End of tree
-                  this.nextFragment();
-                  return null;
-              }
-              let top = this.trees[last], index = this.index[last];
-              if (index == top.children.length) {
-                  this.trees.pop();
-                  this.start.pop();
-                  this.index.pop();
-                  continue;
-              }
-              let next = top.children[index];
-              let start = this.start[last] + top.positions[index];
-              if (start > pos) {
-                  this.nextStart = start;
-                  return null;
-              }
-              if (next instanceof Tree) {
-                  if (start == pos) {
-                      if (start < this.safeFrom)
-                          return null;
-                      let end = start + next.length;
-                      if (end <= this.safeTo) {
-                          let lookAhead = next.prop(NodeProp.lookAhead);
-                          if (!lookAhead || end + lookAhead < this.fragment.to)
-                              return next;
-                      }
-                  }
-                  this.index[last]++;
-                  if (start + next.length >= Math.max(this.safeFrom, pos)) { // Enter this node
-                      this.trees.push(next);
-                      this.start.push(start);
-                      this.index.push(0);
+      // Shift a value into the buffer
+      /**
+      @internal
+      */
+      storeNode(term, start, end, size = 4, mustSink = false) {
+          if (term == 0 /* Term.Err */ &&
+              (!this.stack.length || this.stack[this.stack.length - 1] < this.buffer.length + this.bufferBase)) {
+              // Try to omit/merge adjacent error nodes
+              let top = this.buffer.length;
+              if (top > 0 && this.buffer[top - 4] == 0 /* Term.Err */ && this.buffer[top - 1] > -1) {
+                  if (start == end)
+                      return;
+                  if (this.buffer[top - 2] >= start) {
+                      this.buffer[top - 2] = end;
+                      return;
                   }
               }
-              else {
-                  this.index[last]++;
-                  this.nextStart = start + next.length;
-              }
           }
-      }
-  }
-  class TokenCache {
-      constructor(parser, stream) {
-          this.stream = stream;
-          this.tokens = [];
-          this.mainToken = null;
-          this.actions = [];
-          this.tokens = parser.tokenizers.map(_ => new CachedToken);
-      }
-      getActions(stack) {
-          let actionIndex = 0;
-          let main = null;
-          let { parser } = stack.p, { tokenizers } = parser;
-          let mask = parser.stateSlot(stack.state, 3 /* ParseState.TokenizerMask */);
-          let context = stack.curContext ? stack.curContext.hash : 0;
-          let lookAhead = 0;
-          for (let i = 0; i < tokenizers.length; i++) {
-              if (((1 << i) & mask) == 0)
-                  continue;
-              let tokenizer = tokenizers[i], token = this.tokens[i];
-              if (main && !tokenizer.fallback)
-                  continue;
-              if (tokenizer.contextual || token.start != stack.pos || token.mask != mask || token.context != context) {
-                  this.updateCachedToken(token, tokenizer, stack);
-                  token.mask = mask;
-                  token.context = context;
-              }
-              if (token.lookAhead > token.end + 25 /* Lookahead.Margin */)
-                  lookAhead = Math.max(token.lookAhead, lookAhead);
-              if (token.value != 0 /* Term.Err */) {
-                  let startIndex = actionIndex;
-                  if (token.extended > -1)
-                      actionIndex = this.addActions(stack, token.extended, token.end, actionIndex);
-                  actionIndex = this.addActions(stack, token.value, token.end, actionIndex);
-                  if (!tokenizer.extend) {
-                      main = token;
-                      if (actionIndex > startIndex)
+          if (!mustSink || this.pos == end) { // Simple case, just append
+              this.buffer.push(term, start, end, size);
+          }
+          else { // There may be skipped nodes that have to be moved forward
+              let index = this.buffer.length;
+              if (index > 0 && (this.buffer[index - 4] != 0 /* Term.Err */ || this.buffer[index - 1] < 0)) {
+                  let mustMove = false;
+                  for (let scan = index; scan > 0 && this.buffer[scan - 2] > end; scan -= 4) {
+                      if (this.buffer[scan - 1] >= 0) {
+                          mustMove = true;
                           break;
+                      }
                   }
+                  if (mustMove)
+                      while (index > 0 && this.buffer[index - 2] > end) {
+                          // Move this record forward
+                          this.buffer[index] = this.buffer[index - 4];
+                          this.buffer[index + 1] = this.buffer[index - 3];
+                          this.buffer[index + 2] = this.buffer[index - 2];
+                          this.buffer[index + 3] = this.buffer[index - 1];
+                          index -= 4;
+                          if (size > 4)
+                              size -= 4;
+                      }
               }
+              this.buffer[index] = term;
+              this.buffer[index + 1] = start;
+              this.buffer[index + 2] = end;
+              this.buffer[index + 3] = size;
           }
-          while (this.actions.length > actionIndex)
-              this.actions.pop();
-          if (lookAhead)
-              stack.setLookAhead(lookAhead);
-          if (!main && stack.pos == this.stream.end) {
-              main = new CachedToken;
-              main.value = stack.p.parser.eofTerm;
-              main.start = main.end = stack.pos;
-              actionIndex = this.addActions(stack, main.value, main.end, actionIndex);
-          }
-          this.mainToken = main;
-          return this.actions;
-      }
-      getMainToken(stack) {
-          if (this.mainToken)
-              return this.mainToken;
-          let main = new CachedToken, { pos, p } = stack;
-          main.start = pos;
-          main.end = Math.min(pos + 1, p.stream.end);
-          main.value = pos == p.stream.end ? p.parser.eofTerm : 0 /* Term.Err */;
-          return main;
       }
-      updateCachedToken(token, tokenizer, stack) {
-          let start = this.stream.clipPos(stack.pos);
-          tokenizer.token(this.stream.reset(start, token), stack);
-          if (token.value > -1) {
-              let { parser } = stack.p;
-              for (let i = 0; i < parser.specialized.length; i++)
-                  if (parser.specialized[i] == token.value) {
-                      let result = parser.specializers[i](this.stream.read(token.start, token.end), stack);
-                      if (result >= 0 && stack.p.parser.dialect.allows(result >> 1)) {
-                          if ((result & 1) == 0 /* Specialize.Specialize */)
-                              token.value = result >> 1;
-                          else
-                              token.extended = result >> 1;
-                          break;
-                      }
-                  }
+      // Apply a shift action
+      /**
+      @internal
+      */
+      shift(action, type, start, end) {
+          if (action & 131072 /* Action.GotoFlag */) {
+              this.pushState(action & 65535 /* Action.ValueMask */, this.pos);
           }
-          else {
-              token.value = 0 /* Term.Err */;
-              token.end = this.stream.clipPos(start + 1);
+          else if ((action & 262144 /* Action.StayFlag */) == 0) { // Regular shift
+              let nextState = action, { parser } = this.p;
+              this.pos = end;
+              let skipped = parser.stateFlag(nextState, 1 /* StateFlag.Skipped */);
+              // Skipped or zero-length non-tree tokens don't move reducePos
+              if (!skipped && (end > start || type <= parser.maxNode))
+                  this.reducePos = end;
+              this.pushState(nextState, skipped ? start : Math.min(start, this.reducePos));
+              this.shiftContext(type, start);
+              if (type <= parser.maxNode)
+                  this.buffer.push(type, start, end, 4);
+          }
+          else { // Shift-and-stay, which means this is a skipped token
+              this.pos = end;
+              this.shiftContext(type, start);
+              if (type <= this.p.parser.maxNode)
+                  this.buffer.push(type, start, end, 4);
           }
       }
-      putAction(action, token, end, index) {
-          // Don't add duplicate actions
-          for (let i = 0; i < index; i += 3)
-              if (this.actions[i] == action)
-                  return index;
-          this.actions[index++] = action;
-          this.actions[index++] = token;
-          this.actions[index++] = end;
-          return index;
+      // Apply an action
+      /**
+      @internal
+      */
+      apply(action, next, nextStart, nextEnd) {
+          if (action & 65536 /* Action.ReduceFlag */)
+              this.reduce(action);
+          else
+              this.shift(action, next, nextStart, nextEnd);
       }
-      addActions(stack, token, end, index) {
-          let { state } = stack, { parser } = stack.p, { data } = parser;
-          for (let set = 0; set < 2; set++) {
-              for (let i = parser.stateSlot(state, set ? 2 /* ParseState.Skip */ : 1 /* ParseState.Actions */);; i += 3) {
-                  if (data[i] == 65535 /* Seq.End */) {
-                      if (data[i + 1] == 1 /* Seq.Next */) {
-                          i = pair(data, i + 2);
-                      }
-                      else {
-                          if (index == 0 && data[i + 1] == 2 /* Seq.Other */)
-                              index = this.putAction(pair(data, i + 2), token, end, index);
-                          break;
-                      }
-                  }
-                  if (data[i] == token)
-                      index = this.putAction(pair(data, i + 1), token, end, index);
-              }
+      // Add a prebuilt (reused) node into the buffer.
+      /**
+      @internal
+      */
+      useNode(value, next) {
+          let index = this.p.reused.length - 1;
+          if (index < 0 || this.p.reused[index] != value) {
+              this.p.reused.push(value);
+              index++;
           }
-          return index;
+          let start = this.pos;
+          this.reducePos = this.pos = start + value.length;
+          this.pushState(next, start);
+          this.buffer.push(index, start, this.reducePos, -1 /* size == -1 means this is a reused value */);
+          if (this.curContext)
+              this.updateContext(this.curContext.tracker.reuse(this.curContext.context, value, this, this.p.stream.reset(this.pos - value.length)));
       }
-  }
-  class Parse {
-      constructor(parser, input, fragments, ranges) {
-          this.parser = parser;
-          this.input = input;
-          this.ranges = ranges;
-          this.recovering = 0;
-          this.nextStackID = 0x2654; // ♔, ♕, ♖, ♗, ♘, ♙, ♠, ♡, ♢, ♣, ♤, ♥, ♦, ♧
-          this.minStackPos = 0;
-          this.reused = [];
-          this.stoppedAt = null;
-          this.lastBigReductionStart = -1;
-          this.lastBigReductionSize = 0;
-          this.bigReductionCount = 0;
-          this.stream = new InputStream(input, ranges);
-          this.tokens = new TokenCache(parser, this.stream);
-          this.topTerm = parser.top[1];
-          let { from } = ranges[0];
-          this.stacks = [Stack.start(this, parser.top[0], from)];
-          this.fragments = fragments.length && this.stream.end - from > parser.bufferLength * 4
-              ? new FragmentCursor(fragments, parser.nodeSet) : null;
+      // Split the stack. Due to the buffer sharing and the fact
+      // that `this.stack` tends to stay quite shallow, this isn't very
+      // expensive.
+      /**
+      @internal
+      */
+      split() {
+          let parent = this;
+          let off = parent.buffer.length;
+          // Leave off top error node, if there, because that might be
+          // merged with other nodes.
+          if (off && parent.buffer[off - 4] == 0 /* Term.Err */)
+              off -= 4;
+          // Because the top of the buffer (after this.pos) may be mutated
+          // to reorder reductions and skipped tokens, and shared buffers
+          // should be immutable, this copies any outstanding skipped tokens
+          // to the new buffer, and puts the base pointer before them.
+          while (off > 0 && parent.buffer[off - 2] > parent.reducePos)
+              off -= 4;
+          let buffer = parent.buffer.slice(off), base = parent.bufferBase + off;
+          // Make sure parent points to an actual parent with content, if there is such a parent.
+          while (parent && base == parent.bufferBase)
+              parent = parent.parent;
+          return new Stack(this.p, this.stack.slice(), this.state, this.reducePos, this.pos, this.score, buffer, base, this.curContext, this.lookAhead, parent);
       }
-      get parsedPos() {
-          return this.minStackPos;
+      // Try to recover from an error by 'deleting' (ignoring) one token.
+      /**
+      @internal
+      */
+      recoverByDelete(next, nextEnd) {
+          let isNode = next <= this.p.parser.maxNode;
+          if (isNode)
+              this.storeNode(next, this.pos, nextEnd, 4);
+          this.storeNode(0 /* Term.Err */, this.pos, nextEnd, isNode ? 8 : 4);
+          this.pos = this.reducePos = nextEnd;
+          this.score -= 190 /* Recover.Delete */;
       }
-      // Move the parser forward. This will process all parse stacks at
-      // `this.pos` and try to advance them to a further position. If no
-      // stack for such a position is found, it'll start error-recovery.
-      //
-      // When the parse is finished, this will return a syntax tree. When
-      // not, it returns `null`.
-      advance() {
-          let stacks = this.stacks, pos = this.minStackPos;
-          // This will hold stacks beyond `pos`.
-          let newStacks = this.stacks = [];
-          let stopped, stoppedTokens;
-          // If a large amount of reductions happened with the same start
-          // position, force the stack out of that production in order to
-          // avoid creating a tree too deep to recurse through.
-          // (This is an ugly kludge, because unfortunately there is no
-          // straightforward, cheap way to check for this happening, due to
-          // the history of reductions only being available in an
-          // expensive-to-access format in the stack buffers.)
-          if (this.bigReductionCount > 300 /* Rec.MaxLeftAssociativeReductionCount */ && stacks.length == 1) {
-              let [s] = stacks;
-              while (s.forceReduce() && s.stack.length && s.stack[s.stack.length - 2] >= this.lastBigReductionStart) { }
-              this.bigReductionCount = this.lastBigReductionSize = 0;
+      /**
+      Check if the given term would be able to be shifted (optionally
+      after some reductions) on this stack. This can be useful for
+      external tokenizers that want to make sure they only provide a
+      given token when it applies.
+      */
+      canShift(term) {
+          for (let sim = new SimulatedStack(this);;) {
+              let action = this.p.parser.stateSlot(sim.state, 4 /* ParseState.DefaultReduce */) || this.p.parser.hasAction(sim.state, term);
+              if (action == 0)
+                  return false;
+              if ((action & 65536 /* Action.ReduceFlag */) == 0)
+                  return true;
+              sim.reduce(action);
           }
-          // Keep advancing any stacks at `pos` until they either move
-          // forward or can't be advanced. Gather stacks that can't be
-          // advanced further in `stopped`.
-          for (let i = 0; i < stacks.length; i++) {
-              let stack = stacks[i];
-              for (;;) {
-                  this.tokens.mainToken = null;
-                  if (stack.pos > pos) {
-                      newStacks.push(stack);
+      }
+      // Apply up to Recover.MaxNext recovery actions that conceptually
+      // inserts some missing token or rule.
+      /**
+      @internal
+      */
+      recoverByInsert(next) {
+          if (this.stack.length >= 300 /* Recover.MaxInsertStackDepth */)
+              return [];
+          let nextStates = this.p.parser.nextStates(this.state);
+          if (nextStates.length > 4 /* Recover.MaxNext */ << 1 || this.stack.length >= 120 /* Recover.DampenInsertStackDepth */) {
+              let best = [];
+              for (let i = 0, s; i < nextStates.length; i += 2) {
+                  if ((s = nextStates[i + 1]) != this.state && this.p.parser.hasAction(s, next))
+                      best.push(nextStates[i], s);
+              }
+              if (this.stack.length < 120 /* Recover.DampenInsertStackDepth */)
+                  for (let i = 0; best.length < 4 /* Recover.MaxNext */ << 1 && i < nextStates.length; i += 2) {
+                      let s = nextStates[i + 1];
+                      if (!best.some((v, i) => (i & 1) && v == s))
+                          best.push(nextStates[i], s);
                   }
-                  else if (this.advanceStack(stack, newStacks, stacks)) {
-                      continue;
+              nextStates = best;
+          }
+          let result = [];
+          for (let i = 0; i < nextStates.length && result.length < 4 /* Recover.MaxNext */; i += 2) {
+              let s = nextStates[i + 1];
+              if (s == this.state)
+                  continue;
+              let stack = this.split();
+              stack.pushState(s, this.pos);
+              stack.storeNode(0 /* Term.Err */, stack.pos, stack.pos, 4, true);
+              stack.shiftContext(nextStates[i], this.pos);
+              stack.reducePos = this.pos;
+              stack.score -= 200 /* Recover.Insert */;
+              result.push(stack);
+          }
+          return result;
+      }
+      // Force a reduce, if possible. Return false if that can't
+      // be done.
+      /**
+      @internal
+      */
+      forceReduce() {
+          let { parser } = this.p;
+          let reduce = parser.stateSlot(this.state, 5 /* ParseState.ForcedReduce */);
+          if ((reduce & 65536 /* Action.ReduceFlag */) == 0)
+              return false;
+          if (!parser.validAction(this.state, reduce)) {
+              let depth = reduce >> 19 /* Action.ReduceDepthShift */, term = reduce & 65535 /* Action.ValueMask */;
+              let target = this.stack.length - depth * 3;
+              if (target < 0 || parser.getGoto(this.stack[target], term, false) < 0) {
+                  let backup = this.findForcedReduction();
+                  if (backup == null)
+                      return false;
+                  reduce = backup;
+              }
+              this.storeNode(0 /* Term.Err */, this.pos, this.pos, 4, true);
+              this.score -= 100 /* Recover.Reduce */;
+          }
+          this.reducePos = this.pos;
+          this.reduce(reduce);
+          return true;
+      }
+      /**
+      Try to scan through the automaton to find some kind of reduction
+      that can be applied. Used when the regular ForcedReduce field
+      isn't a valid action. @internal
+      */
+      findForcedReduction() {
+          let { parser } = this.p, seen = [];
+          let explore = (state, depth) => {
+              if (seen.includes(state))
+                  return;
+              seen.push(state);
+              return parser.allActions(state, (action) => {
+                  if (action & (262144 /* Action.StayFlag */ | 131072 /* Action.GotoFlag */)) ;
+                  else if (action & 65536 /* Action.ReduceFlag */) {
+                      let rDepth = (action >> 19 /* Action.ReduceDepthShift */) - depth;
+                      if (rDepth > 1) {
+                          let term = action & 65535 /* Action.ValueMask */, target = this.stack.length - rDepth * 3;
+                          if (target >= 0 && parser.getGoto(this.stack[target], term, false) >= 0)
+                              return (rDepth << 19 /* Action.ReduceDepthShift */) | 65536 /* Action.ReduceFlag */ | term;
+                      }
                   }
                   else {
-                      if (!stopped) {
-                          stopped = [];
-                          stoppedTokens = [];
-                      }
-                      stopped.push(stack);
-                      let tok = this.tokens.getMainToken(stack);
-                      stoppedTokens.push(tok.value, tok.end);
+                      let found = explore(action, depth + 1);
+                      if (found != null)
+                          return found;
                   }
+              });
+          };
+          return explore(this.state, 0);
+      }
+      /**
+      @internal
+      */
+      forceAll() {
+          while (!this.p.parser.stateFlag(this.state, 2 /* StateFlag.Accepting */)) {
+              if (!this.forceReduce()) {
+                  this.storeNode(0 /* Term.Err */, this.pos, this.pos, 4, true);
                   break;
               }
           }
-          if (!newStacks.length) {
-              let finished = stopped && findFinished(stopped);
-              if (finished) {
-                  if (verbose)
-                      console.log("Finish with " + this.stackID(finished));
-                  return this.stackToTree(finished);
-              }
-              if (this.parser.strict) {
-                  if (verbose && stopped)
-                      console.log("Stuck with token " + (this.tokens.mainToken ? this.parser.getName(this.tokens.mainToken.value) : "none"));
-                  throw new SyntaxError("No parse at " + pos);
-              }
-              if (!this.recovering)
-                  this.recovering = 5 /* Rec.Distance */;
-          }
-          if (this.recovering && stopped) {
-              let finished = this.stoppedAt != null && stopped[0].pos > this.stoppedAt ? stopped[0]
-                  : this.runRecovery(stopped, stoppedTokens, newStacks);
-              if (finished) {
-                  if (verbose)
-                      console.log("Force-finish " + this.stackID(finished));
-                  return this.stackToTree(finished.forceAll());
-              }
-          }
-          if (this.recovering) {
-              let maxRemaining = this.recovering == 1 ? 1 : this.recovering * 3 /* Rec.MaxRemainingPerStep */;
-              if (newStacks.length > maxRemaining) {
-                  newStacks.sort((a, b) => b.score - a.score);
-                  while (newStacks.length > maxRemaining)
-                      newStacks.pop();
-              }
-              if (newStacks.some(s => s.reducePos > pos))
-                  this.recovering--;
-          }
-          else if (newStacks.length > 1) {
-              // Prune stacks that are in the same state, or that have been
-              // running without splitting for a while, to avoid getting stuck
-              // with multiple successful stacks running endlessly on.
-              outer: for (let i = 0; i < newStacks.length - 1; i++) {
-                  let stack = newStacks[i];
-                  for (let j = i + 1; j < newStacks.length; j++) {
-                      let other = newStacks[j];
-                      if (stack.sameState(other) ||
-                          stack.buffer.length > 500 /* Rec.MinBufferLengthPrune */ && other.buffer.length > 500 /* Rec.MinBufferLengthPrune */) {
-                          if (((stack.score - other.score) || (stack.buffer.length - other.buffer.length)) > 0) {
-                              newStacks.splice(j--, 1);
-                          }
-                          else {
-                              newStacks.splice(i--, 1);
-                              continue outer;
-                          }
-                      }
-                  }
-              }
-              if (newStacks.length > 12 /* Rec.MaxStackCount */)
-                  newStacks.splice(12 /* Rec.MaxStackCount */, newStacks.length - 12 /* Rec.MaxStackCount */);
-          }
-          this.minStackPos = newStacks[0].pos;
-          for (let i = 1; i < newStacks.length; i++)
-              if (newStacks[i].pos < this.minStackPos)
-                  this.minStackPos = newStacks[i].pos;
-          return null;
+          return this;
       }
-      stopAt(pos) {
-          if (this.stoppedAt != null && this.stoppedAt < pos)
-              throw new RangeError("Can't move stoppedAt forward");
-          this.stoppedAt = pos;
+      /**
+      Check whether this state has no further actions (assumed to be a direct descendant of the
+      top state, since any other states must be able to continue
+      somehow). @internal
+      */
+      get deadEnd() {
+          if (this.stack.length != 3)
+              return false;
+          let { parser } = this.p;
+          return parser.data[parser.stateSlot(this.state, 1 /* ParseState.Actions */)] == 65535 /* Seq.End */ &&
+              !parser.stateSlot(this.state, 4 /* ParseState.DefaultReduce */);
       }
-      // Returns an updated version of the given stack, or null if the
-      // stack can't advance normally. When `split` and `stacks` are
-      // given, stacks split off by ambiguous operations will be pushed to
-      // `split`, or added to `stacks` if they move `pos` forward.
-      advanceStack(stack, stacks, split) {
-          let start = stack.pos, { parser } = this;
-          let base = verbose ? this.stackID(stack) + " -> " : "";
-          if (this.stoppedAt != null && start > this.stoppedAt)
-              return stack.forceReduce() ? stack : null;
-          if (this.fragments) {
-              let strictCx = stack.curContext && stack.curContext.tracker.strict, cxHash = strictCx ? stack.curContext.hash : 0;
-              for (let cached = this.fragments.nodeAt(start); cached;) {
-                  let match = this.parser.nodeSet.types[cached.type.id] == cached.type ? parser.getGoto(stack.state, cached.type.id) : -1;
-                  if (match > -1 && cached.length && (!strictCx || (cached.prop(NodeProp.contextHash) || 0) == cxHash)) {
-                      stack.useNode(cached, match);
-                      if (verbose)
-                          console.log(base + this.stackID(stack) + ` (via reuse of ${parser.getName(cached.type.id)})`);
-                      return true;
-                  }
-                  if (!(cached instanceof Tree) || cached.children.length == 0 || cached.positions[0] > 0)
-                      break;
-                  let inner = cached.children[0];
-                  if (inner instanceof Tree && cached.positions[0] == 0)
-                      cached = inner;
-                  else
-                      break;
-              }
-          }
-          let defaultReduce = parser.stateSlot(stack.state, 4 /* ParseState.DefaultReduce */);
-          if (defaultReduce > 0) {
-              stack.reduce(defaultReduce);
-              if (verbose)
-                  console.log(base + this.stackID(stack) + ` (via always-reduce ${parser.getName(defaultReduce & 65535 /* Action.ValueMask */)})`);
-              return true;
-          }
-          if (stack.stack.length >= 8400 /* Rec.CutDepth */) {
-              while (stack.stack.length > 6000 /* Rec.CutTo */ && stack.forceReduce()) { }
-          }
-          let actions = this.tokens.getActions(stack);
-          for (let i = 0; i < actions.length;) {
-              let action = actions[i++], term = actions[i++], end = actions[i++];
-              let last = i == actions.length || !split;
-              let localStack = last ? stack : stack.split();
-              let main = this.tokens.mainToken;
-              localStack.apply(action, term, main ? main.start : localStack.pos, end);
-              if (verbose)
-                  console.log(base + this.stackID(localStack) + ` (via ${(action & 65536 /* Action.ReduceFlag */) == 0 ? "shift"
-                    : `reduce of ${parser.getName(action & 65535 /* Action.ValueMask */)}`} for ${parser.getName(term)} @ ${start}${localStack == stack ? "" : ", split"})`);
-              if (last)
-                  return true;
-              else if (localStack.pos > start)
-                  stacks.push(localStack);
-              else
-                  split.push(localStack);
-          }
-          return false;
+      /**
+      Restart the stack (put it back in its start state). Only safe
+      when this.stack.length == 3 (state is directly below the top
+      state). @internal
+      */
+      restart() {
+          this.storeNode(0 /* Term.Err */, this.pos, this.pos, 4, true);
+          this.state = this.stack[0];
+          this.stack.length = 0;
       }
-      // Advance a given stack forward as far as it will go. Returns the
-      // (possibly updated) stack if it got stuck, or null if it moved
-      // forward and was given to `pushStackDedup`.
-      advanceFully(stack, newStacks) {
-          let pos = stack.pos;
-          for (;;) {
-              if (!this.advanceStack(stack, null, null))
+      /**
+      @internal
+      */
+      sameState(other) {
+          if (this.state != other.state || this.stack.length != other.stack.length)
+              return false;
+          for (let i = 0; i < this.stack.length; i += 3)
+              if (this.stack[i] != other.stack[i])
                   return false;
-              if (stack.pos > pos) {
-                  pushStackDedup(stack, newStacks);
-                  return true;
-              }
-          }
+          return true;
       }
-      runRecovery(stacks, tokens, newStacks) {
-          let finished = null, restarted = false;
-          for (let i = 0; i < stacks.length; i++) {
-              let stack = stacks[i], token = tokens[i << 1], tokenEnd = tokens[(i << 1) + 1];
-              let base = verbose ? this.stackID(stack) + " -> " : "";
-              if (stack.deadEnd) {
-                  if (restarted)
-                      continue;
-                  restarted = true;
-                  stack.restart();
-                  if (verbose)
-                      console.log(base + this.stackID(stack) + " (restarted)");
-                  let done = this.advanceFully(stack, newStacks);
-                  if (done)
-                      continue;
-              }
-              let force = stack.split(), forceBase = base;
-              for (let j = 0; force.forceReduce() && j < 10 /* Rec.ForceReduceLimit */; j++) {
-                  if (verbose)
-                      console.log(forceBase + this.stackID(force) + " (via force-reduce)");
-                  let done = this.advanceFully(force, newStacks);
-                  if (done)
-                      break;
-                  if (verbose)
-                      forceBase = this.stackID(force) + " -> ";
-              }
-              for (let insert of stack.recoverByInsert(token)) {
-                  if (verbose)
-                      console.log(base + this.stackID(insert) + " (via recover-insert)");
-                  this.advanceFully(insert, newStacks);
-              }
-              if (this.stream.end > stack.pos) {
-                  if (tokenEnd == stack.pos) {
-                      tokenEnd++;
-                      token = 0 /* Term.Err */;
-                  }
-                  stack.recoverByDelete(token, tokenEnd);
-                  if (verbose)
-                      console.log(base + this.stackID(stack) + ` (via recover-delete ${this.parser.getName(token)})`);
-                  pushStackDedup(stack, newStacks);
-              }
-              else if (!finished || finished.score < stack.score) {
-                  finished = stack;
-              }
-          }
-          return finished;
+      /**
+      Get the parser used by this stack.
+      */
+      get parser() { return this.p.parser; }
+      /**
+      Test whether a given dialect (by numeric ID, as exported from
+      the terms file) is enabled.
+      */
+      dialectEnabled(dialectID) { return this.p.parser.dialect.flags[dialectID]; }
+      shiftContext(term, start) {
+          if (this.curContext)
+              this.updateContext(this.curContext.tracker.shift(this.curContext.context, term, this, this.p.stream.reset(start)));
       }
-      // Convert the stack's buffer to a syntax tree.
-      stackToTree(stack) {
-          stack.close();
-          return Tree.build({ buffer: StackBufferCursor.create(stack),
-              nodeSet: this.parser.nodeSet,
-              topID: this.topTerm,
-              maxBufferLength: this.parser.bufferLength,
-              reused: this.reused,
-              start: this.ranges[0].from,
-              length: stack.pos - this.ranges[0].from,
-              minRepeatType: this.parser.minRepeatTerm });
+      reduceContext(term, start) {
+          if (this.curContext)
+              this.updateContext(this.curContext.tracker.reduce(this.curContext.context, term, this, this.p.stream.reset(start)));
       }
-      stackID(stack) {
-          let id = (stackIDs || (stackIDs = new WeakMap)).get(stack);
-          if (!id)
-              stackIDs.set(stack, id = String.fromCodePoint(this.nextStackID++));
-          return id + stack;
+      /**
+      @internal
+      */
+      emitContext() {
+          let last = this.buffer.length - 1;
+          if (last < 0 || this.buffer[last] != -3)
+              this.buffer.push(this.curContext.hash, this.pos, this.pos, -3);
       }
-  }
-  function pushStackDedup(stack, newStacks) {
-      for (let i = 0; i < newStacks.length; i++) {
-          let other = newStacks[i];
-          if (other.pos == stack.pos && other.sameState(stack)) {
-              if (newStacks[i].score < stack.score)
-                  newStacks[i] = stack;
-              return;
-          }
+      /**
+      @internal
+      */
+      emitLookAhead() {
+          let last = this.buffer.length - 1;
+          if (last < 0 || this.buffer[last] != -4)
+              this.buffer.push(this.lookAhead, this.pos, this.pos, -4);
       }
-      newStacks.push(stack);
-  }
-  class Dialect {
-      constructor(source, flags, disabled) {
-          this.source = source;
-          this.flags = flags;
-          this.disabled = disabled;
+      updateContext(context) {
+          if (context != this.curContext.context) {
+              let newCx = new StackContext(this.curContext.tracker, context);
+              if (newCx.hash != this.curContext.hash)
+                  this.emitContext();
+              this.curContext = newCx;
+          }
       }
-      allows(term) { return !this.disabled || this.disabled[term] == 0; }
-  }
-  const id = x => x;
-  /**
-  Context trackers are used to track stateful context (such as
-  indentation in the Python grammar, or parent elements in the XML
-  grammar) needed by external tokenizers. You declare them in a
-  grammar file as `@context exportName from "module"`.
-
-  Context values should be immutable, and can be updated (replaced)
-  on shift or reduce actions.
-
-  The export used in a `@context` declaration should be of this
-  type.
-  */
-  class ContextTracker {
       /**
-      Define a context tracker.
+      @internal
       */
-      constructor(spec) {
-          this.start = spec.start;
-          this.shift = spec.shift || id;
-          this.reduce = spec.reduce || id;
-          this.reuse = spec.reuse || id;
-          this.hash = spec.hash || (() => 0);
-          this.strict = spec.strict !== false;
+      setLookAhead(lookAhead) {
+          if (lookAhead <= this.lookAhead)
+              return false;
+          this.emitLookAhead();
+          this.lookAhead = lookAhead;
+          return true;
       }
-  }
-  /**
-  Holds the parse tables for a given grammar, as generated by
-  `lezer-generator`, and provides [methods](#common.Parser) to parse
-  content with.
-  */
-  class LRParser extends Parser {
       /**
       @internal
       */
-      constructor(spec) {
-          super();
-          /**
-          @internal
-          */
-          this.wrappers = [];
-          if (spec.version != 14 /* File.Version */)
-              throw new RangeError(`Parser version (${spec.version}) doesn't match runtime version (${14 /* File.Version */})`);
-          let nodeNames = spec.nodeNames.split(" ");
-          this.minRepeatTerm = nodeNames.length;
-          for (let i = 0; i < spec.repeatNodeCount; i++)
-              nodeNames.push("");
-          let topTerms = Object.keys(spec.topRules).map(r => spec.topRules[r][1]);
-          let nodeProps = [];
-          for (let i = 0; i < nodeNames.length; i++)
-              nodeProps.push([]);
-          function setProp(nodeID, prop, value) {
-              nodeProps[nodeID].push([prop, prop.deserialize(String(value))]);
-          }
-          if (spec.nodeProps)
-              for (let propSpec of spec.nodeProps) {
-                  let prop = propSpec[0];
-                  if (typeof prop == "string")
-                      prop = NodeProp[prop];
-                  for (let i = 1; i < propSpec.length;) {
-                      let next = propSpec[i++];
-                      if (next >= 0) {
-                          setProp(next, prop, propSpec[i++]);
-                      }
-                      else {
-                          let value = propSpec[i + -next];
-                          for (let j = -next; j > 0; j--)
-                              setProp(propSpec[i++], prop, value);
-                          i++;
-                      }
-                  }
-              }
-          this.nodeSet = new NodeSet(nodeNames.map((name, i) => NodeType.define({
-              name: i >= this.minRepeatTerm ? undefined : name,
-              id: i,
-              props: nodeProps[i],
-              top: topTerms.indexOf(i) > -1,
-              error: i == 0,
-              skipped: spec.skippedNodes && spec.skippedNodes.indexOf(i) > -1
-          })));
-          if (spec.propSources)
-              this.nodeSet = this.nodeSet.extend(...spec.propSources);
-          this.strict = false;
-          this.bufferLength = DefaultBufferLength;
-          let tokenArray = decodeArray(spec.tokenData);
-          this.context = spec.context;
-          this.specializerSpecs = spec.specialized || [];
-          this.specialized = new Uint16Array(this.specializerSpecs.length);
-          for (let i = 0; i < this.specializerSpecs.length; i++)
-              this.specialized[i] = this.specializerSpecs[i].term;
-          this.specializers = this.specializerSpecs.map(getSpecializer);
-          this.states = decodeArray(spec.states, Uint32Array);
-          this.data = decodeArray(spec.stateData);
-          this.goto = decodeArray(spec.goto);
-          this.maxTerm = spec.maxTerm;
-          this.tokenizers = spec.tokenizers.map(value => typeof value == "number" ? new TokenGroup(tokenArray, value) : value);
-          this.topRules = spec.topRules;
-          this.dialects = spec.dialects || {};
-          this.dynamicPrecedences = spec.dynamicPrecedences || null;
-          this.tokenPrecTable = spec.tokenPrec;
-          this.termNames = spec.termNames || null;
-          this.maxNode = this.nodeSet.types.length - 1;
-          this.dialect = this.parseDialect();
-          this.top = this.topRules[Object.keys(this.topRules)[0]];
+      close() {
+          if (this.curContext && this.curContext.tracker.strict)
+              this.emitContext();
+          if (this.lookAhead > 0)
+              this.emitLookAhead();
       }
-      createParse(input, fragments, ranges) {
-          let parse = new Parse(this, input, fragments, ranges);
-          for (let w of this.wrappers)
-              parse = w(parse, input, fragments, ranges);
-          return parse;
+  }
+  class StackContext {
+      constructor(tracker, context) {
+          this.tracker = tracker;
+          this.context = context;
+          this.hash = tracker.strict ? tracker.hash(context) : 0;
       }
-      /**
-      Get a goto table entry @internal
-      */
-      getGoto(state, term, loose = false) {
-          let table = this.goto;
-          if (term >= table[0])
-              return -1;
-          for (let pos = table[term + 1];;) {
-              let groupTag = table[pos++], last = groupTag & 1;
-              let target = table[pos++];
-              if (last && loose)
-                  return target;
-              for (let end = pos + (groupTag >> 1); pos < end; pos++)
-                  if (table[pos] == state)
-                      return target;
-              if (last)
-                  return -1;
-          }
+  }
+  // Used to cheaply run some reductions to scan ahead without mutating
+  // an entire stack
+  class SimulatedStack {
+      constructor(start) {
+          this.start = start;
+          this.state = start.state;
+          this.stack = start.stack;
+          this.base = this.stack.length;
       }
-      /**
-      Check if this state has an action for a given terminal @internal
-      */
-      hasAction(state, terminal) {
-          let data = this.data;
-          for (let set = 0; set < 2; set++) {
-              for (let i = this.stateSlot(state, set ? 2 /* ParseState.Skip */ : 1 /* ParseState.Actions */), next;; i += 3) {
-                  if ((next = data[i]) == 65535 /* Seq.End */) {
-                      if (data[i + 1] == 1 /* Seq.Next */)
-                          next = data[i = pair(data, i + 2)];
-                      else if (data[i + 1] == 2 /* Seq.Other */)
-                          return pair(data, i + 2);
-                      else
-                          break;
-                  }
-                  if (next == terminal || next == 0 /* Term.Err */)
-                      return pair(data, i + 1);
-              }
+      reduce(action) {
+          let term = action & 65535 /* Action.ValueMask */, depth = action >> 19 /* Action.ReduceDepthShift */;
+          if (depth == 0) {
+              if (this.stack == this.start.stack)
+                  this.stack = this.stack.slice();
+              this.stack.push(this.state, 0, 0);
+              this.base += 3;
           }
-          return 0;
-      }
-      /**
-      @internal
-      */
-      stateSlot(state, slot) {
-          return this.states[(state * 6 /* ParseState.Size */) + slot];
+          else {
+              this.base -= (depth - 1) * 3;
+          }
+          let goto = this.start.p.parser.getGoto(this.stack[this.base - 3], term, true);
+          this.state = goto;
       }
-      /**
-      @internal
-      */
-      stateFlag(state, flag) {
-          return (this.stateSlot(state, 0 /* ParseState.Flags */) & flag) > 0;
+  }
+  // This is given to `Tree.build` to build a buffer, and encapsulates
+  // the parent-stack-walking necessary to read the nodes.
+  class StackBufferCursor {
+      constructor(stack, pos, index) {
+          this.stack = stack;
+          this.pos = pos;
+          this.index = index;
+          this.buffer = stack.buffer;
+          if (this.index == 0)
+              this.maybeNext();
       }
-      /**
-      @internal
-      */
-      validAction(state, action) {
-          return !!this.allActions(state, a => a == action ? true : null);
+      static create(stack, pos = stack.bufferBase + stack.buffer.length) {
+          return new StackBufferCursor(stack, pos, pos - stack.bufferBase);
       }
-      /**
-      @internal
-      */
-      allActions(state, action) {
-          let deflt = this.stateSlot(state, 4 /* ParseState.DefaultReduce */);
-          let result = deflt ? action(deflt) : undefined;
-          for (let i = this.stateSlot(state, 1 /* ParseState.Actions */); result == null; i += 3) {
-              if (this.data[i] == 65535 /* Seq.End */) {
-                  if (this.data[i + 1] == 1 /* Seq.Next */)
-                      i = pair(this.data, i + 2);
-                  else
-                      break;
-              }
-              result = action(pair(this.data, i + 1));
+      maybeNext() {
+          let next = this.stack.parent;
+          if (next != null) {
+              this.index = this.stack.bufferBase - next.bufferBase;
+              this.stack = next;
+              this.buffer = next.buffer;
           }
-          return result;
       }
-      /**
-      Get the states that can follow this one through shift actions or
-      goto jumps. @internal
-      */
-      nextStates(state) {
-          let result = [];
-          for (let i = this.stateSlot(state, 1 /* ParseState.Actions */);; i += 3) {
-              if (this.data[i] == 65535 /* Seq.End */) {
-                  if (this.data[i + 1] == 1 /* Seq.Next */)
-                      i = pair(this.data, i + 2);
-                  else
-                      break;
-              }
-              if ((this.data[i + 2] & (65536 /* Action.ReduceFlag */ >> 16)) == 0) {
-                  let value = this.data[i + 1];
-                  if (!result.some((v, i) => (i & 1) && v == value))
-                      result.push(this.data[i], value);
+      get id() { return this.buffer[this.index - 4]; }
+      get start() { return this.buffer[this.index - 3]; }
+      get end() { return this.buffer[this.index - 2]; }
+      get size() { return this.buffer[this.index - 1]; }
+      next() {
+          this.index -= 4;
+          this.pos -= 4;
+          if (this.index == 0)
+              this.maybeNext();
+      }
+      fork() {
+          return new StackBufferCursor(this.stack, this.pos, this.index);
+      }
+  }
+
+  // See lezer-generator/src/encode.ts for comments about the encoding
+  // used here
+  function decodeArray(input, Type = Uint16Array) {
+      if (typeof input != "string")
+          return input;
+      let array = null;
+      for (let pos = 0, out = 0; pos < input.length;) {
+          let value = 0;
+          for (;;) {
+              let next = input.charCodeAt(pos++), stop = false;
+              if (next == 126 /* Encode.BigValCode */) {
+                  value = 65535 /* Encode.BigVal */;
+                  break;
               }
+              if (next >= 92 /* Encode.Gap2 */)
+                  next--;
+              if (next >= 34 /* Encode.Gap1 */)
+                  next--;
+              let digit = next - 32 /* Encode.Start */;
+              if (digit >= 46 /* Encode.Base */) {
+                  digit -= 46 /* Encode.Base */;
+                  stop = true;
+              }
+              value += digit;
+              if (stop)
+                  break;
+              value *= 46 /* Encode.Base */;
           }
-          return result;
+          if (array)
+              array[out++] = value;
+          else
+              array = new Type(value);
       }
-      /**
-      Configure the parser. Returns a new parser instance that has the
-      given settings modified. Settings not provided in `config` are
-      kept from the original parser.
-      */
-      configure(config) {
-          // Hideous reflection-based kludge to make it easy to create a
-          // slightly modified copy of a parser.
-          let copy = Object.assign(Object.create(LRParser.prototype), this);
-          if (config.props)
-              copy.nodeSet = this.nodeSet.extend(...config.props);
-          if (config.top) {
-              let info = this.topRules[config.top];
-              if (!info)
-                  throw new RangeError(`Invalid top rule name ${config.top}`);
-              copy.top = info;
-          }
-          if (config.tokenizers)
-              copy.tokenizers = this.tokenizers.map(t => {
-                  let found = config.tokenizers.find(r => r.from == t);
-                  return found ? found.to : t;
-              });
-          if (config.specializers) {
-              copy.specializers = this.specializers.slice();
-              copy.specializerSpecs = this.specializerSpecs.map((s, i) => {
-                  let found = config.specializers.find(r => r.from == s.external);
-                  if (!found)
-                      return s;
-                  let spec = Object.assign(Object.assign({}, s), { external: found.to });
-                  copy.specializers[i] = getSpecializer(spec);
-                  return spec;
-              });
-          }
-          if (config.contextTracker)
-              copy.context = config.contextTracker;
-          if (config.dialect)
-              copy.dialect = this.parseDialect(config.dialect);
-          if (config.strict != null)
-              copy.strict = config.strict;
-          if (config.wrap)
-              copy.wrappers = copy.wrappers.concat(config.wrap);
-          if (config.bufferLength != null)
-              copy.bufferLength = config.bufferLength;
-          return copy;
+      return array;
+  }
+
+  class CachedToken {
+      constructor() {
+          this.start = -1;
+          this.value = -1;
+          this.end = -1;
+          this.extended = -1;
+          this.lookAhead = 0;
+          this.mask = 0;
+          this.context = 0;
       }
+  }
+  const nullToken = new CachedToken;
+  /**
+  [Tokenizers](#lr.ExternalTokenizer) interact with the input
+  through this interface. It presents the input as a stream of
+  characters, tracking lookahead and hiding the complexity of
+  [ranges](#common.Parser.parse^ranges) from tokenizer code.
+  */
+  class InputStream {
       /**
-      Tells you whether any [parse wrappers](#lr.ParserConfig.wrap)
-      are registered for this parser.
+      @internal
       */
-      hasWrappers() {
-          return this.wrappers.length > 0;
-      }
+      constructor(
       /**
-      Returns the name associated with a given term. This will only
-      work for all terms when the parser was generated with the
-      `--names` option. By default, only the names of tagged terms are
-      stored.
+      @internal
       */
-      getName(term) {
-          return this.termNames ? this.termNames[term] : String(term <= this.maxNode && this.nodeSet.types[term].name || term);
-      }
+      input, 
       /**
-      The eof term id is always allocated directly after the node
-      types. @internal
+      @internal
       */
-      get eofTerm() { return this.maxNode + 1; }
+      ranges) {
+          this.input = input;
+          this.ranges = ranges;
+          /**
+          @internal
+          */
+          this.chunk = "";
+          /**
+          @internal
+          */
+          this.chunkOff = 0;
+          /**
+          Backup chunk
+          */
+          this.chunk2 = "";
+          this.chunk2Pos = 0;
+          /**
+          The character code of the next code unit in the input, or -1
+          when the stream is at the end of the input.
+          */
+          this.next = -1;
+          /**
+          @internal
+          */
+          this.token = nullToken;
+          this.rangeIndex = 0;
+          this.pos = this.chunkPos = ranges[0].from;
+          this.range = ranges[0];
+          this.end = ranges[ranges.length - 1].to;
+          this.readNext();
+      }
       /**
-      The type of top node produced by the parser.
+      @internal
       */
-      get topNode() { return this.nodeSet.types[this.top[1]]; }
+      resolveOffset(offset, assoc) {
+          let range = this.range, index = this.rangeIndex;
+          let pos = this.pos + offset;
+          while (pos < range.from) {
+              if (!index)
+                  return null;
+              let next = this.ranges[--index];
+              pos -= range.from - next.to;
+              range = next;
+          }
+          while (assoc < 0 ? pos > range.to : pos >= range.to) {
+              if (index == this.ranges.length - 1)
+                  return null;
+              let next = this.ranges[++index];
+              pos += next.from - range.to;
+              range = next;
+          }
+          return pos;
+      }
       /**
       @internal
       */
-      dynamicPrecedence(term) {
-          let prec = this.dynamicPrecedences;
-          return prec == null ? 0 : prec[term] || 0;
+      clipPos(pos) {
+          if (pos >= this.range.from && pos < this.range.to)
+              return pos;
+          for (let range of this.ranges)
+              if (range.to > pos)
+                  return Math.max(pos, range.from);
+          return this.end;
       }
       /**
-      @internal
+      Look at a code unit near the stream position. `.peek(0)` equals
+      `.next`, `.peek(-1)` gives you the previous character, and so
+      on.
+      
+      Note that looking around during tokenizing creates dependencies
+      on potentially far-away content, which may reduce the
+      effectiveness incremental parsing—when looking forward—or even
+      cause invalid reparses when looking backward more than 25 code
+      units, since the library does not track lookbehind.
       */
-      parseDialect(dialect) {
-          let values = Object.keys(this.dialects), flags = values.map(() => false);
-          if (dialect)
-              for (let part of dialect.split(" ")) {
-                  let id = values.indexOf(part);
-                  if (id >= 0)
-                      flags[id] = true;
+      peek(offset) {
+          let idx = this.chunkOff + offset, pos, result;
+          if (idx >= 0 && idx < this.chunk.length) {
+              pos = this.pos + offset;
+              result = this.chunk.charCodeAt(idx);
+          }
+          else {
+              let resolved = this.resolveOffset(offset, 1);
+              if (resolved == null)
+                  return -1;
+              pos = resolved;
+              if (pos >= this.chunk2Pos && pos < this.chunk2Pos + this.chunk2.length) {
+                  result = this.chunk2.charCodeAt(pos - this.chunk2Pos);
               }
-          let disabled = null;
-          for (let i = 0; i < values.length; i++)
-              if (!flags[i]) {
-                  for (let j = this.dialects[values[i]], id; (id = this.data[j++]) != 65535 /* Seq.End */;)
-                      (disabled || (disabled = new Uint8Array(this.maxTerm + 1)))[id] = 1;
+              else {
+                  let i = this.rangeIndex, range = this.range;
+                  while (range.to <= pos)
+                      range = this.ranges[++i];
+                  this.chunk2 = this.input.chunk(this.chunk2Pos = pos);
+                  if (pos + this.chunk2.length > range.to)
+                      this.chunk2 = this.chunk2.slice(0, range.to - pos);
+                  result = this.chunk2.charCodeAt(0);
               }
-          return new Dialect(dialect, flags, disabled);
+          }
+          if (pos >= this.token.lookAhead)
+              this.token.lookAhead = pos + 1;
+          return result;
       }
       /**
-      Used by the output of the parser generator. Not available to
-      user code. @hide
+      Accept a token. By default, the end of the token is set to the
+      current stream position, but you can pass an offset (relative to
+      the stream position) to change that.
       */
-      static deserialize(spec) {
-          return new LRParser(spec);
-      }
-  }
-  function pair(data, off) { return data[off] | (data[off + 1] << 16); }
-  function findFinished(stacks) {
-      let best = null;
-      for (let stack of stacks) {
-          let stopped = stack.p.stoppedAt;
-          if ((stack.pos == stack.p.stream.end || stopped != null && stack.pos > stopped) &&
-              stack.p.parser.stateFlag(stack.state, 2 /* StateFlag.Accepting */) &&
-              (!best || best.score < stack.score))
-              best = stack;
+      acceptToken(token, endOffset = 0) {
+          let end = endOffset ? this.resolveOffset(endOffset, -1) : this.pos;
+          if (end == null || end < this.token.start)
+              throw new RangeError("Token end out of bounds");
+          this.token.value = token;
+          this.token.end = end;
       }
-      return best;
-  }
-  function getSpecializer(spec) {
-      if (spec.external) {
-          let mask = spec.extend ? 1 /* Specialize.Extend */ : 0 /* Specialize.Specialize */;
-          return (value, stack) => (spec.external(value, stack) << 1) | mask;
+      /**
+      Accept a token ending at a specific given position.
+      */
+      acceptTokenTo(token, endPos) {
+          this.token.value = token;
+          this.token.end = endPos;
+      }
+      getChunk() {
+          if (this.pos >= this.chunk2Pos && this.pos < this.chunk2Pos + this.chunk2.length) {
+              let { chunk, chunkPos } = this;
+              this.chunk = this.chunk2;
+              this.chunkPos = this.chunk2Pos;
+              this.chunk2 = chunk;
+              this.chunk2Pos = chunkPos;
+              this.chunkOff = this.pos - this.chunkPos;
+          }
+          else {
+              this.chunk2 = this.chunk;
+              this.chunk2Pos = this.chunkPos;
+              let nextChunk = this.input.chunk(this.pos);
+              let end = this.pos + nextChunk.length;
+              this.chunk = end > this.range.to ? nextChunk.slice(0, this.range.to - this.pos) : nextChunk;
+              this.chunkPos = this.pos;
+              this.chunkOff = 0;
+          }
+      }
+      readNext() {
+          if (this.chunkOff >= this.chunk.length) {
+              this.getChunk();
+              if (this.chunkOff == this.chunk.length)
+                  return this.next = -1;
+          }
+          return this.next = this.chunk.charCodeAt(this.chunkOff);
+      }
+      /**
+      Move the stream forward N (defaults to 1) code units. Returns
+      the new value of [`next`](#lr.InputStream.next).
+      */
+      advance(n = 1) {
+          this.chunkOff += n;
+          while (this.pos + n >= this.range.to) {
+              if (this.rangeIndex == this.ranges.length - 1)
+                  return this.setDone();
+              n -= this.range.to - this.pos;
+              this.range = this.ranges[++this.rangeIndex];
+              this.pos = this.range.from;
+          }
+          this.pos += n;
+          if (this.pos >= this.token.lookAhead)
+              this.token.lookAhead = this.pos + 1;
+          return this.readNext();
+      }
+      setDone() {
+          this.pos = this.chunkPos = this.end;
+          this.range = this.ranges[this.rangeIndex = this.ranges.length - 1];
+          this.chunk = "";
+          return this.next = -1;
+      }
+      /**
+      @internal
+      */
+      reset(pos, token) {
+          if (token) {
+              this.token = token;
+              token.start = pos;
+              token.lookAhead = pos + 1;
+              token.value = token.extended = -1;
+          }
+          else {
+              this.token = nullToken;
+          }
+          if (this.pos != pos) {
+              this.pos = pos;
+              if (pos == this.end) {
+                  this.setDone();
+                  return this;
+              }
+              while (pos < this.range.from)
+                  this.range = this.ranges[--this.rangeIndex];
+              while (pos >= this.range.to)
+                  this.range = this.ranges[++this.rangeIndex];
+              if (pos >= this.chunkPos && pos < this.chunkPos + this.chunk.length) {
+                  this.chunkOff = pos - this.chunkPos;
+              }
+              else {
+                  this.chunk = "";
+                  this.chunkOff = 0;
+              }
+              this.readNext();
+          }
+          return this;
+      }
+      /**
+      @internal
+      */
+      read(from, to) {
+          if (from >= this.chunkPos && to <= this.chunkPos + this.chunk.length)
+              return this.chunk.slice(from - this.chunkPos, to - this.chunkPos);
+          if (from >= this.chunk2Pos && to <= this.chunk2Pos + this.chunk2.length)
+              return this.chunk2.slice(from - this.chunk2Pos, to - this.chunk2Pos);
+          if (from >= this.range.from && to <= this.range.to)
+              return this.input.read(from, to);
+          let result = "";
+          for (let r of this.ranges) {
+              if (r.from >= to)
+                  break;
+              if (r.to > from)
+                  result += this.input.read(Math.max(r.from, from), Math.min(r.to, to));
+          }
+          return result;
       }
-      return spec.get;
   }
-
-  // This file was generated by lezer-generator. You probably shouldn't edit it.
-  const scriptText = 54,
-    StartCloseScriptTag = 1,
-    styleText = 55,
-    StartCloseStyleTag = 2,
-    textareaText = 56,
-    StartCloseTextareaTag = 3,
-    EndTag = 4,
-    SelfClosingEndTag = 5,
-    StartTag = 6,
-    StartScriptTag = 7,
-    StartStyleTag = 8,
-    StartTextareaTag = 9,
-    StartSelfClosingTag = 10,
-    StartCloseTag = 11,
-    NoMatchStartCloseTag = 12,
-    MismatchedStartCloseTag = 13,
-    missingCloseTag = 57,
-    IncompleteCloseTag = 14,
-    commentContent$1 = 58,
-    Element = 20,
-    TagName = 22,
-    Attribute = 23,
-    AttributeName = 24,
-    AttributeValue = 26,
-    UnquotedAttributeValue = 27,
-    ScriptText = 28,
-    StyleText = 31,
-    TextareaText = 34,
-    OpenTag = 36,
-    CloseTag = 37,
-    Dialect_noMatch = 0,
-    Dialect_selfClosing = 1;
-
-  /* Hand-written tokenizers for HTML. */
-
-  const selfClosers$1 = {
-    area: true, base: true, br: true, col: true, command: true,
-    embed: true, frame: true, hr: true, img: true, input: true,
-    keygen: true, link: true, meta: true, param: true, source: true,
-    track: true, wbr: true, menuitem: true
-  };
-
-  const implicitlyClosed = {
-    dd: true, li: true, optgroup: true, option: true, p: true,
-    rp: true, rt: true, tbody: true, td: true, tfoot: true,
-    th: true, tr: true
-  };
-
-  const closeOnOpen = {
-    dd: {dd: true, dt: true},
-    dt: {dd: true, dt: true},
-    li: {li: true},
-    option: {option: true, optgroup: true},
-    optgroup: {optgroup: true},
-    p: {
-      address: true, article: true, aside: true, blockquote: true, dir: true,
-      div: true, dl: true, fieldset: true, footer: true, form: true,
-      h1: true, h2: true, h3: true, h4: true, h5: true, h6: true,
-      header: true, hgroup: true, hr: true, menu: true, nav: true, ol: true,
-      p: true, pre: true, section: true, table: true, ul: true
-    },
-    rp: {rp: true, rt: true},
-    rt: {rp: true, rt: true},
-    tbody: {tbody: true, tfoot: true},
-    td: {td: true, th: true},
-    tfoot: {tbody: true},
-    th: {td: true, th: true},
-    thead: {tbody: true, tfoot: true},
-    tr: {tr: true}
-  };
-
-  function nameChar(ch) {
-    return ch == 45 || ch == 46 || ch == 58 || ch >= 65 && ch <= 90 || ch == 95 || ch >= 97 && ch <= 122 || ch >= 161
+  /**
+  @internal
+  */
+  class TokenGroup {
+      constructor(data, id) {
+          this.data = data;
+          this.id = id;
+      }
+      token(input, stack) {
+          let { parser } = stack.p;
+          readToken(this.data, input, stack, this.id, parser.data, parser.tokenPrecTable);
+      }
   }
-
-  function isSpace(ch) {
-    return ch == 9 || ch == 10 || ch == 13 || ch == 32
+  TokenGroup.prototype.contextual = TokenGroup.prototype.fallback = TokenGroup.prototype.extend = false;
+  /**
+  @hide
+  */
+  class LocalTokenGroup {
+      constructor(data, precTable, elseToken) {
+          this.precTable = precTable;
+          this.elseToken = elseToken;
+          this.data = typeof data == "string" ? decodeArray(data) : data;
+      }
+      token(input, stack) {
+          let start = input.pos, skipped = 0;
+          for (;;) {
+              let atEof = input.next < 0, nextPos = input.resolveOffset(1, 1);
+              readToken(this.data, input, stack, 0, this.data, this.precTable);
+              if (input.token.value > -1)
+                  break;
+              if (this.elseToken == null)
+                  return;
+              if (!atEof)
+                  skipped++;
+              if (nextPos == null)
+                  break;
+              input.reset(nextPos, input.token);
+          }
+          if (skipped) {
+              input.reset(start, input.token);
+              input.acceptToken(this.elseToken, skipped);
+          }
+      }
   }
-
-  let cachedName = null, cachedInput = null, cachedPos = 0;
-  function tagNameAfter(input, offset) {
-    let pos = input.pos + offset;
-    if (cachedPos == pos && cachedInput == input) return cachedName
-    let next = input.peek(offset);
-    while (isSpace(next)) next = input.peek(++offset);
-    let name = "";
-    for (;;) {
-      if (!nameChar(next)) break
-      name += String.fromCharCode(next);
-      next = input.peek(++offset);
-    }
-    // Undefined to signal there's a <? or <!, null for just missing
-    cachedInput = input; cachedPos = pos;
-    return cachedName = name ? name.toLowerCase() : next == question$1 || next == bang ? undefined : null
-  }
-
-  const lessThan = 60, greaterThan = 62, slash$1 = 47, question$1 = 63, bang = 33, dash$1 = 45;
-
-  function ElementContext(name, parent) {
-    this.name = name;
-    this.parent = parent;
-  }
-
-  const startTagTerms = [StartTag, StartSelfClosingTag, StartScriptTag, StartStyleTag, StartTextareaTag];
-
-  const elementContext = new ContextTracker({
-    start: null,
-    shift(context, term, stack, input) {
-      return startTagTerms.indexOf(term) > -1 ? new ElementContext(tagNameAfter(input, 1) || "", context) : context
-    },
-    reduce(context, term) {
-      return term == Element && context ? context.parent : context
-    },
-    reuse(context, node, stack, input) {
-      let type = node.type.id;
-      return type == StartTag || type == OpenTag
-        ? new ElementContext(tagNameAfter(input, 1) || "", context) : context
-    },
-    strict: false
-  });
-
-  const tagStart = new ExternalTokenizer((input, stack) => {
-    if (input.next != lessThan) {
-      // End of file, close any open tags
-      if (input.next < 0 && stack.context) input.acceptToken(missingCloseTag);
-      return
-    }
-    input.advance();
-    let close = input.next == slash$1;
-    if (close) input.advance();
-    let name = tagNameAfter(input, 0);
-    if (name === undefined) return
-    if (!name) return input.acceptToken(close ? IncompleteCloseTag : StartTag)
-
-    let parent = stack.context ? stack.context.name : null;
-    if (close) {
-      if (name == parent) return input.acceptToken(StartCloseTag)
-      if (parent && implicitlyClosed[parent]) return input.acceptToken(missingCloseTag, -2)
-      if (stack.dialectEnabled(Dialect_noMatch)) return input.acceptToken(NoMatchStartCloseTag)
-      for (let cx = stack.context; cx; cx = cx.parent) if (cx.name == name) return
-      input.acceptToken(MismatchedStartCloseTag);
-    } else {
-      if (name == "script") return input.acceptToken(StartScriptTag)
-      if (name == "style") return input.acceptToken(StartStyleTag)
-      if (name == "textarea") return input.acceptToken(StartTextareaTag)
-      if (selfClosers$1.hasOwnProperty(name)) return input.acceptToken(StartSelfClosingTag)
-      if (parent && closeOnOpen[parent] && closeOnOpen[parent][name]) input.acceptToken(missingCloseTag, -1);
-      else input.acceptToken(StartTag);
-    }
-  }, {contextual: true});
-
-  const commentContent = new ExternalTokenizer(input => {
-    for (let dashes = 0, i = 0;; i++) {
-      if (input.next < 0) {
-        if (i) input.acceptToken(commentContent$1);
-        break
+  LocalTokenGroup.prototype.contextual = TokenGroup.prototype.fallback = TokenGroup.prototype.extend = false;
+  /**
+  `@external tokens` declarations in the grammar should resolve to
+  an instance of this class.
+  */
+  class ExternalTokenizer {
+      /**
+      Create a tokenizer. The first argument is the function that,
+      given an input stream, scans for the types of tokens it
+      recognizes at the stream's position, and calls
+      [`acceptToken`](#lr.InputStream.acceptToken) when it finds
+      one.
+      */
+      constructor(
+      /**
+      @internal
+      */
+      token, options = {}) {
+          this.token = token;
+          this.contextual = !!options.contextual;
+          this.fallback = !!options.fallback;
+          this.extend = !!options.extend;
       }
-      if (input.next == dash$1) {
-        dashes++;
-      } else if (input.next == greaterThan && dashes >= 2) {
-        if (i >= 3) input.acceptToken(commentContent$1, -2);
-        break
-      } else {
-        dashes = 0;
+  }
+  // Tokenizer data is stored a big uint16 array containing, for each
+  // state:
+  //
+  //  - A group bitmask, indicating what token groups are reachable from
+  //    this state, so that paths that can only lead to tokens not in
+  //    any of the current groups can be cut off early.
+  //
+  //  - The position of the end of the state's sequence of accepting
+  //    tokens
+  //
+  //  - The number of outgoing edges for the state
+  //
+  //  - The accepting tokens, as (token id, group mask) pairs
+  //
+  //  - The outgoing edges, as (start character, end character, state
+  //    index) triples, with end character being exclusive
+  //
+  // This function interprets that data, running through a stream as
+  // long as new states with the a matching group mask can be reached,
+  // and updating `input.token` when it matches a token.
+  function readToken(data, input, stack, group, precTable, precOffset) {
+      let state = 0, groupMask = 1 << group, { dialect } = stack.p.parser;
+      scan: for (;;) {
+          if ((groupMask & data[state]) == 0)
+              break;
+          let accEnd = data[state + 1];
+          // Check whether this state can lead to a token in the current group
+          // Accept tokens in this state, possibly overwriting
+          // lower-precedence / shorter tokens
+          for (let i = state + 3; i < accEnd; i += 2)
+              if ((data[i + 1] & groupMask) > 0) {
+                  let term = data[i];
+                  if (dialect.allows(term) &&
+                      (input.token.value == -1 || input.token.value == term ||
+                          overrides(term, input.token.value, precTable, precOffset))) {
+                      input.acceptToken(term);
+                      break;
+                  }
+              }
+          let next = input.next, low = 0, high = data[state + 2];
+          // Special case for EOF
+          if (input.next < 0 && high > low && data[accEnd + high * 3 - 3] == 65535 /* Seq.End */) {
+              state = data[accEnd + high * 3 - 1];
+              continue scan;
+          }
+          // Do a binary search on the state's edges
+          for (; low < high;) {
+              let mid = (low + high) >> 1;
+              let index = accEnd + mid + (mid << 1);
+              let from = data[index], to = data[index + 1] || 0x10000;
+              if (next < from)
+                  high = mid;
+              else if (next >= to)
+                  low = mid + 1;
+              else {
+                  state = data[index + 2];
+                  input.advance();
+                  continue scan;
+              }
+          }
+          break;
       }
-      input.advance();
-    }
-  });
-
-  function inForeignElement(context) {
-    for (; context; context = context.parent)
-      if (context.name == "svg" || context.name == "math") return true
-    return false
+  }
+  function findOffset(data, start, term) {
+      for (let i = start, next; (next = data[i]) != 65535 /* Seq.End */; i++)
+          if (next == term)
+              return i - start;
+      return -1;
+  }
+  function overrides(token, prev, tableData, tableOffset) {
+      let iPrev = findOffset(tableData, tableOffset, prev);
+      return iPrev < 0 || findOffset(tableData, tableOffset, token) < iPrev;
   }
 
-  const endTag = new ExternalTokenizer((input, stack) => {
-    if (input.next == slash$1 && input.peek(1) == greaterThan) {
-      let selfClosing = stack.dialectEnabled(Dialect_selfClosing) || inForeignElement(stack.context);
-      input.acceptToken(selfClosing ? SelfClosingEndTag : EndTag, 2);
-    } else if (input.next == greaterThan) {
-      input.acceptToken(EndTag, 1);
-    }
-  });
-
-  function contentTokenizer(tag, textToken, endToken) {
-    let lastState = 2 + tag.length;
-    return new ExternalTokenizer(input => {
-      // state means:
-      // - 0 nothing matched
-      // - 1 '<' matched
-      // - 2 '</' + possibly whitespace matched
-      // - 3-(1+tag.length) part of the tag matched
-      // - lastState whole tag + possibly whitespace matched
-      for (let state = 0, matchedLen = 0, i = 0;; i++) {
-        if (input.next < 0) {
-          if (i) input.acceptToken(textToken);
-          break
-        }
-        if (state == 0 && input.next == lessThan ||
-            state == 1 && input.next == slash$1 ||
-            state >= 2 && state < lastState && input.next == tag.charCodeAt(state - 2)) {
-          state++;
-          matchedLen++;
-        } else if ((state == 2 || state == lastState) && isSpace(input.next)) {
-          matchedLen++;
-        } else if (state == lastState && input.next == greaterThan) {
-          if (i > matchedLen)
-            input.acceptToken(textToken, -matchedLen);
-          else
-            input.acceptToken(endToken, -(matchedLen - 2));
-          break
-        } else if ((input.next == 10 /* '\n' */ || input.next == 13 /* '\r' */) && i) {
-          input.acceptToken(textToken, 1);
-          break
-        } else {
-          state = matchedLen = 0;
-        }
-        input.advance();
+  // Environment variable used to control console output
+  const verbose = typeof process != "undefined" && process.env && /\bparse\b/.test(process.env.LOG);
+  let stackIDs = null;
+  function cutAt(tree, pos, side) {
+      let cursor = tree.cursor(IterMode.IncludeAnonymous);
+      cursor.moveTo(pos);
+      for (;;) {
+          if (!(side < 0 ? cursor.childBefore(pos) : cursor.childAfter(pos)))
+              for (;;) {
+                  if ((side < 0 ? cursor.to < pos : cursor.from > pos) && !cursor.type.isError)
+                      return side < 0 ? Math.max(0, Math.min(cursor.to - 1, pos - 25 /* Lookahead.Margin */))
+                          : Math.min(tree.length, Math.max(cursor.from + 1, pos + 25 /* Lookahead.Margin */));
+                  if (side < 0 ? cursor.prevSibling() : cursor.nextSibling())
+                      break;
+                  if (!cursor.parent())
+                      return side < 0 ? 0 : tree.length;
+              }
       }
-    })
   }
-
-  const scriptTokens = contentTokenizer("script", scriptText, StartCloseScriptTag);
-
-  const styleTokens = contentTokenizer("style", styleText, StartCloseStyleTag);
-
-  const textareaTokens = contentTokenizer("textarea", textareaText, StartCloseTextareaTag);
-
-  const htmlHighlighting = styleTags({
-    "Text RawText": tags$1.content,
-    "StartTag StartCloseTag SelfClosingEndTag EndTag": tags$1.angleBracket,
-    TagName: tags$1.tagName,
-    "MismatchedCloseTag/TagName": [tags$1.tagName,  tags$1.invalid],
-    AttributeName: tags$1.attributeName,
-    "AttributeValue UnquotedAttributeValue": tags$1.attributeValue,
-    Is: tags$1.definitionOperator,
-    "EntityReference CharacterReference": tags$1.character,
-    Comment: tags$1.blockComment,
-    ProcessingInst: tags$1.processingInstruction,
-    DoctypeDecl: tags$1.documentMeta
-  });
-
-  // This file was generated by lezer-generator. You probably shouldn't edit it.
-  const parser$2 = LRParser.deserialize({
-    version: 14,
-    states: ",xOVO!rOOO!WQ#tO'#CqO!]Q#tO'#CzO!bQ#tO'#C}O!gQ#tO'#DQO!lQ#tO'#DSO!qOaO'#CpO!|ObO'#CpO#XOdO'#CpO$eO!rO'#CpOOO`'#Cp'#CpO$lO$fO'#DTO$tQ#tO'#DVO$yQ#tO'#DWOOO`'#Dk'#DkOOO`'#DY'#DYQVO!rOOO%OQ&rO,59]O%ZQ&rO,59fO%fQ&rO,59iO%qQ&rO,59lO%|Q&rO,59nOOOa'#D^'#D^O&XOaO'#CxO&dOaO,59[OOOb'#D_'#D_O&lObO'#C{O&wObO,59[OOOd'#D`'#D`O'POdO'#DOO'[OdO,59[OOO`'#Da'#DaO'dO!rO,59[O'kQ#tO'#DROOO`,59[,59[OOOp'#Db'#DbO'pO$fO,59oOOO`,59o,59oO'xQ#|O,59qO'}Q#|O,59rOOO`-E7W-E7WO(SQ&rO'#CsOOQW'#DZ'#DZO(bQ&rO1G.wOOOa1G.w1G.wOOO`1G/Y1G/YO(mQ&rO1G/QOOOb1G/Q1G/QO(xQ&rO1G/TOOOd1G/T1G/TO)TQ&rO1G/WOOO`1G/W1G/WO)`Q&rO1G/YOOOa-E7[-E7[O)kQ#tO'#CyOOO`1G.v1G.vOOOb-E7]-E7]O)pQ#tO'#C|OOOd-E7^-E7^O)uQ#tO'#DPOOO`-E7_-E7_O)zQ#|O,59mOOOp-E7`-E7`OOO`1G/Z1G/ZOOO`1G/]1G/]OOO`1G/^1G/^O*PQ,UO,59_OOQW-E7X-E7XOOOa7+$c7+$cOOO`7+$t7+$tOOOb7+$l7+$lOOOd7+$o7+$oOOO`7+$r7+$rO*[Q#|O,59eO*aQ#|O,59hO*fQ#|O,59kOOO`1G/X1G/XO*kO7[O'#CvO*|OMhO'#CvOOQW1G.y1G.yOOO`1G/P1G/POOO`1G/S1G/SOOO`1G/V1G/VOOOO'#D['#D[O+_O7[O,59bOOQW,59b,59bOOOO'#D]'#D]O+pOMhO,59bOOOO-E7Y-E7YOOQW1G.|1G.|OOOO-E7Z-E7Z",
-    stateData: ",]~O!^OS~OUSOVPOWQOXROYTO[]O][O^^O`^Oa^Ob^Oc^Ox^O{_O!dZO~OfaO~OfbO~OfcO~OfdO~OfeO~O!WfOPlP!ZlP~O!XiOQoP!ZoP~O!YlORrP!ZrP~OUSOVPOWQOXROYTOZqO[]O][O^^O`^Oa^Ob^Oc^Ox^O!dZO~O!ZrO~P#dO![sO!euO~OfvO~OfwO~OS|OT}OhyO~OS!POT}OhyO~OS!ROT}OhyO~OS!TOT}OhyO~OS}OT}OhyO~O!WfOPlX!ZlX~OP!WO!Z!XO~O!XiOQoX!ZoX~OQ!ZO!Z!XO~O!YlORrX!ZrX~OR!]O!Z!XO~O!Z!XO~P#dOf!_O~O![sO!e!aO~OS!bO~OS!cO~Oi!dOSgXTgXhgX~OS!fOT!gOhyO~OS!hOT!gOhyO~OS!iOT!gOhyO~OS!jOT!gOhyO~OS!gOT!gOhyO~Of!kO~Of!lO~Of!mO~OS!nO~Ok!qO!`!oO!b!pO~OS!rO~OS!sO~OS!tO~Oa!uOb!uOc!uO!`!wO!a!uO~Oa!xOb!xOc!xO!b!wO!c!xO~Oa!uOb!uOc!uO!`!{O!a!uO~Oa!xOb!xOc!xO!b!{O!c!xO~OT~bac!dx{!d~",
-    goto: "%p!`PPPPPPPPPPPPPPPPPPPP!a!gP!mPP!yP!|#P#S#Y#]#`#f#i#l#r#x!aP!a!aP$O$U$l$r$x%O%U%[%bPPPPPPPP%hX^OX`pXUOX`pezabcde{!O!Q!S!UR!q!dRhUR!XhXVOX`pRkVR!XkXWOX`pRnWR!XnXXOX`pQrXR!XpXYOX`pQ`ORx`Q{aQ!ObQ!QcQ!SdQ!UeZ!e{!O!Q!S!UQ!v!oR!z!vQ!y!pR!|!yQgUR!VgQjVR!YjQmWR![mQpXR!^pQtZR!`tS_O`ToXp",
-    nodeNames: "⚠ StartCloseTag StartCloseTag StartCloseTag EndTag SelfClosingEndTag StartTag StartTag StartTag StartTag StartTag StartCloseTag StartCloseTag StartCloseTag IncompleteCloseTag Document Text EntityReference CharacterReference InvalidEntity Element OpenTag TagName Attribute AttributeName Is AttributeValue UnquotedAttributeValue ScriptText CloseTag OpenTag StyleText CloseTag OpenTag TextareaText CloseTag OpenTag CloseTag SelfClosingTag Comment ProcessingInst MismatchedCloseTag CloseTag DoctypeDecl",
-    maxTerm: 67,
-    context: elementContext,
-    nodeProps: [
-      ["closedBy", -10,1,2,3,7,8,9,10,11,12,13,"EndTag",6,"EndTag SelfClosingEndTag",-4,21,30,33,36,"CloseTag"],
-      ["openedBy", 4,"StartTag StartCloseTag",5,"StartTag",-4,29,32,35,37,"OpenTag"],
-      ["group", -9,14,17,18,19,20,39,40,41,42,"Entity",16,"Entity TextContent",-3,28,31,34,"TextContent Entity"],
-      ["isolate", -11,21,29,30,32,33,35,36,37,38,41,42,"ltr",-3,26,27,39,""]
-    ],
-    propSources: [htmlHighlighting],
-    skippedNodes: [0],
-    repeatNodeCount: 9,
-    tokenData: "!<p!aR!YOX$qXY,QYZ,QZ[$q[]&X]^,Q^p$qpq,Qqr-_rs3_sv-_vw3}wxHYx}-_}!OH{!O!P-_!P!Q$q!Q![-_![!]Mz!]!^-_!^!_!$S!_!`!;x!`!a&X!a!c-_!c!}Mz!}#R-_#R#SMz#S#T1k#T#oMz#o#s-_#s$f$q$f%W-_%W%oMz%o%p-_%p&aMz&a&b-_&b1pMz1p4U-_4U4dMz4d4e-_4e$ISMz$IS$I`-_$I`$IbMz$Ib$Kh-_$Kh%#tMz%#t&/x-_&/x&EtMz&Et&FV-_&FV;'SMz;'S;:j!#|;:j;=`3X<%l?&r-_?&r?AhMz?Ah?BY$q?BY?MnMz?MnO$q!Z$|c`PkW!a`!cpOX$qXZ&XZ[$q[^&X^p$qpq&Xqr$qrs&}sv$qvw+Pwx(tx!^$q!^!_*V!_!a&X!a#S$q#S#T&X#T;'S$q;'S;=`+z<%lO$q!R&bX`P!a`!cpOr&Xrs&}sv&Xwx(tx!^&X!^!_*V!_;'S&X;'S;=`*y<%lO&Xq'UV`P!cpOv&}wx'kx!^&}!^!_(V!_;'S&};'S;=`(n<%lO&}P'pT`POv'kw!^'k!_;'S'k;'S;=`(P<%lO'kP(SP;=`<%l'kp([S!cpOv(Vx;'S(V;'S;=`(h<%lO(Vp(kP;=`<%l(Vq(qP;=`<%l&}a({W`P!a`Or(trs'ksv(tw!^(t!^!_)e!_;'S(t;'S;=`*P<%lO(t`)jT!a`Or)esv)ew;'S)e;'S;=`)y<%lO)e`)|P;=`<%l)ea*SP;=`<%l(t!Q*^V!a`!cpOr*Vrs(Vsv*Vwx)ex;'S*V;'S;=`*s<%lO*V!Q*vP;=`<%l*V!R*|P;=`<%l&XW+UYkWOX+PZ[+P^p+Pqr+Psw+Px!^+P!a#S+P#T;'S+P;'S;=`+t<%lO+PW+wP;=`<%l+P!Z+}P;=`<%l$q!a,]``P!a`!cp!^^OX&XXY,QYZ,QZ]&X]^,Q^p&Xpq,Qqr&Xrs&}sv&Xwx(tx!^&X!^!_*V!_;'S&X;'S;=`*y<%lO&X!_-ljhS`PkW!a`!cpOX$qXZ&XZ[$q[^&X^p$qpq&Xqr-_rs&}sv-_vw/^wx(tx!P-_!P!Q$q!Q!^-_!^!_*V!_!a&X!a#S-_#S#T1k#T#s-_#s$f$q$f;'S-_;'S;=`3X<%l?Ah-_?Ah?BY$q?BY?Mn-_?MnO$q[/ebhSkWOX+PZ[+P^p+Pqr/^sw/^x!P/^!P!Q+P!Q!^/^!a#S/^#S#T0m#T#s/^#s$f+P$f;'S/^;'S;=`1e<%l?Ah/^?Ah?BY+P?BY?Mn/^?MnO+PS0rXhSqr0msw0mx!P0m!Q!^0m!a#s0m$f;'S0m;'S;=`1_<%l?Ah0m?BY?Mn0mS1bP;=`<%l0m[1hP;=`<%l/^!V1vchS`P!a`!cpOq&Xqr1krs&}sv1kvw0mwx(tx!P1k!P!Q&X!Q!^1k!^!_*V!_!a&X!a#s1k#s$f&X$f;'S1k;'S;=`3R<%l?Ah1k?Ah?BY&X?BY?Mn1k?MnO&X!V3UP;=`<%l1k!_3[P;=`<%l-_!Z3hV!`h`P!cpOv&}wx'kx!^&}!^!_(V!_;'S&};'S;=`(n<%lO&}!_4WihSkWc!ROX5uXZ7SZ[5u[^7S^p5uqr8trs7Sst>]tw8twx7Sx!P8t!P!Q5u!Q!]8t!]!^/^!^!a7S!a#S8t#S#T;{#T#s8t#s$f5u$f;'S8t;'S;=`>V<%l?Ah8t?Ah?BY5u?BY?Mn8t?MnO5u!Z5zbkWOX5uXZ7SZ[5u[^7S^p5uqr5urs7Sst+Ptw5uwx7Sx!]5u!]!^7w!^!a7S!a#S5u#S#T7S#T;'S5u;'S;=`8n<%lO5u!R7VVOp7Sqs7St!]7S!]!^7l!^;'S7S;'S;=`7q<%lO7S!R7qOa!R!R7tP;=`<%l7S!Z8OYkWa!ROX+PZ[+P^p+Pqr+Psw+Px!^+P!a#S+P#T;'S+P;'S;=`+t<%lO+P!Z8qP;=`<%l5u!_8{ihSkWOX5uXZ7SZ[5u[^7S^p5uqr8trs7Sst/^tw8twx7Sx!P8t!P!Q5u!Q!]8t!]!^:j!^!a7S!a#S8t#S#T;{#T#s8t#s$f5u$f;'S8t;'S;=`>V<%l?Ah8t?Ah?BY5u?BY?Mn8t?MnO5u!_:sbhSkWa!ROX+PZ[+P^p+Pqr/^sw/^x!P/^!P!Q+P!Q!^/^!a#S/^#S#T0m#T#s/^#s$f+P$f;'S/^;'S;=`1e<%l?Ah/^?Ah?BY+P?BY?Mn/^?MnO+P!V<QchSOp7Sqr;{rs7Sst0mtw;{wx7Sx!P;{!P!Q7S!Q!];{!]!^=]!^!a7S!a#s;{#s$f7S$f;'S;{;'S;=`>P<%l?Ah;{?Ah?BY7S?BY?Mn;{?MnO7S!V=dXhSa!Rqr0msw0mx!P0m!Q!^0m!a#s0m$f;'S0m;'S;=`1_<%l?Ah0m?BY?Mn0m!V>SP;=`<%l;{!_>YP;=`<%l8t!_>dhhSkWOX@OXZAYZ[@O[^AY^p@OqrBwrsAYswBwwxAYx!PBw!P!Q@O!Q!]Bw!]!^/^!^!aAY!a#SBw#S#TE{#T#sBw#s$f@O$f;'SBw;'S;=`HS<%l?AhBw?Ah?BY@O?BY?MnBw?MnO@O!Z@TakWOX@OXZAYZ[@O[^AY^p@Oqr@OrsAYsw@OwxAYx!]@O!]!^Az!^!aAY!a#S@O#S#TAY#T;'S@O;'S;=`Bq<%lO@O!RA]UOpAYq!]AY!]!^Ao!^;'SAY;'S;=`At<%lOAY!RAtOb!R!RAwP;=`<%lAY!ZBRYkWb!ROX+PZ[+P^p+Pqr+Psw+Px!^+P!a#S+P#T;'S+P;'S;=`+t<%lO+P!ZBtP;=`<%l@O!_COhhSkWOX@OXZAYZ[@O[^AY^p@OqrBwrsAYswBwwxAYx!PBw!P!Q@O!Q!]Bw!]!^Dj!^!aAY!a#SBw#S#TE{#T#sBw#s$f@O$f;'SBw;'S;=`HS<%l?AhBw?Ah?BY@O?BY?MnBw?MnO@O!_DsbhSkWb!ROX+PZ[+P^p+Pqr/^sw/^x!P/^!P!Q+P!Q!^/^!a#S/^#S#T0m#T#s/^#s$f+P$f;'S/^;'S;=`1e<%l?Ah/^?Ah?BY+P?BY?Mn/^?MnO+P!VFQbhSOpAYqrE{rsAYswE{wxAYx!PE{!P!QAY!Q!]E{!]!^GY!^!aAY!a#sE{#s$fAY$f;'SE{;'S;=`G|<%l?AhE{?Ah?BYAY?BY?MnE{?MnOAY!VGaXhSb!Rqr0msw0mx!P0m!Q!^0m!a#s0m$f;'S0m;'S;=`1_<%l?Ah0m?BY?Mn0m!VHPP;=`<%lE{!_HVP;=`<%lBw!ZHcW!bx`P!a`Or(trs'ksv(tw!^(t!^!_)e!_;'S(t;'S;=`*P<%lO(t!aIYlhS`PkW!a`!cpOX$qXZ&XZ[$q[^&X^p$qpq&Xqr-_rs&}sv-_vw/^wx(tx}-_}!OKQ!O!P-_!P!Q$q!Q!^-_!^!_*V!_!a&X!a#S-_#S#T1k#T#s-_#s$f$q$f;'S-_;'S;=`3X<%l?Ah-_?Ah?BY$q?BY?Mn-_?MnO$q!aK_khS`PkW!a`!cpOX$qXZ&XZ[$q[^&X^p$qpq&Xqr-_rs&}sv-_vw/^wx(tx!P-_!P!Q$q!Q!^-_!^!_*V!_!`&X!`!aMS!a#S-_#S#T1k#T#s-_#s$f$q$f;'S-_;'S;=`3X<%l?Ah-_?Ah?BY$q?BY?Mn-_?MnO$q!TM_X`P!a`!cp!eQOr&Xrs&}sv&Xwx(tx!^&X!^!_*V!_;'S&X;'S;=`*y<%lO&X!aNZ!ZhSfQ`PkW!a`!cpOX$qXZ&XZ[$q[^&X^p$qpq&Xqr-_rs&}sv-_vw/^wx(tx}-_}!OMz!O!PMz!P!Q$q!Q![Mz![!]Mz!]!^-_!^!_*V!_!a&X!a!c-_!c!}Mz!}#R-_#R#SMz#S#T1k#T#oMz#o#s-_#s$f$q$f$}-_$}%OMz%O%W-_%W%oMz%o%p-_%p&aMz&a&b-_&b1pMz1p4UMz4U4dMz4d4e-_4e$ISMz$IS$I`-_$I`$IbMz$Ib$Je-_$Je$JgMz$Jg$Kh-_$Kh%#tMz%#t&/x-_&/x&EtMz&Et&FV-_&FV;'SMz;'S;:j!#|;:j;=`3X<%l?&r-_?&r?AhMz?Ah?BY$q?BY?MnMz?MnO$q!a!$PP;=`<%lMz!R!$ZY!a`!cpOq*Vqr!$yrs(Vsv*Vwx)ex!a*V!a!b!4t!b;'S*V;'S;=`*s<%lO*V!R!%Q]!a`!cpOr*Vrs(Vsv*Vwx)ex}*V}!O!%y!O!f*V!f!g!']!g#W*V#W#X!0`#X;'S*V;'S;=`*s<%lO*V!R!&QX!a`!cpOr*Vrs(Vsv*Vwx)ex}*V}!O!&m!O;'S*V;'S;=`*s<%lO*V!R!&vV!a`!cp!dPOr*Vrs(Vsv*Vwx)ex;'S*V;'S;=`*s<%lO*V!R!'dX!a`!cpOr*Vrs(Vsv*Vwx)ex!q*V!q!r!(P!r;'S*V;'S;=`*s<%lO*V!R!(WX!a`!cpOr*Vrs(Vsv*Vwx)ex!e*V!e!f!(s!f;'S*V;'S;=`*s<%lO*V!R!(zX!a`!cpOr*Vrs(Vsv*Vwx)ex!v*V!v!w!)g!w;'S*V;'S;=`*s<%lO*V!R!)nX!a`!cpOr*Vrs(Vsv*Vwx)ex!{*V!{!|!*Z!|;'S*V;'S;=`*s<%lO*V!R!*bX!a`!cpOr*Vrs(Vsv*Vwx)ex!r*V!r!s!*}!s;'S*V;'S;=`*s<%lO*V!R!+UX!a`!cpOr*Vrs(Vsv*Vwx)ex!g*V!g!h!+q!h;'S*V;'S;=`*s<%lO*V!R!+xY!a`!cpOr!+qrs!,hsv!+qvw!-Swx!.[x!`!+q!`!a!/j!a;'S!+q;'S;=`!0Y<%lO!+qq!,mV!cpOv!,hvx!-Sx!`!,h!`!a!-q!a;'S!,h;'S;=`!.U<%lO!,hP!-VTO!`!-S!`!a!-f!a;'S!-S;'S;=`!-k<%lO!-SP!-kO{PP!-nP;=`<%l!-Sq!-xS!cp{POv(Vx;'S(V;'S;=`(h<%lO(Vq!.XP;=`<%l!,ha!.aX!a`Or!.[rs!-Ssv!.[vw!-Sw!`!.[!`!a!.|!a;'S!.[;'S;=`!/d<%lO!.[a!/TT!a`{POr)esv)ew;'S)e;'S;=`)y<%lO)ea!/gP;=`<%l!.[!R!/sV!a`!cp{POr*Vrs(Vsv*Vwx)ex;'S*V;'S;=`*s<%lO*V!R!0]P;=`<%l!+q!R!0gX!a`!cpOr*Vrs(Vsv*Vwx)ex#c*V#c#d!1S#d;'S*V;'S;=`*s<%lO*V!R!1ZX!a`!cpOr*Vrs(Vsv*Vwx)ex#V*V#V#W!1v#W;'S*V;'S;=`*s<%lO*V!R!1}X!a`!cpOr*Vrs(Vsv*Vwx)ex#h*V#h#i!2j#i;'S*V;'S;=`*s<%lO*V!R!2qX!a`!cpOr*Vrs(Vsv*Vwx)ex#m*V#m#n!3^#n;'S*V;'S;=`*s<%lO*V!R!3eX!a`!cpOr*Vrs(Vsv*Vwx)ex#d*V#d#e!4Q#e;'S*V;'S;=`*s<%lO*V!R!4XX!a`!cpOr*Vrs(Vsv*Vwx)ex#X*V#X#Y!+q#Y;'S*V;'S;=`*s<%lO*V!R!4{Y!a`!cpOr!4trs!5ksv!4tvw!6Vwx!8]x!a!4t!a!b!:]!b;'S!4t;'S;=`!;r<%lO!4tq!5pV!cpOv!5kvx!6Vx!a!5k!a!b!7W!b;'S!5k;'S;=`!8V<%lO!5kP!6YTO!a!6V!a!b!6i!b;'S!6V;'S;=`!7Q<%lO!6VP!6lTO!`!6V!`!a!6{!a;'S!6V;'S;=`!7Q<%lO!6VP!7QOxPP!7TP;=`<%l!6Vq!7]V!cpOv!5kvx!6Vx!`!5k!`!a!7r!a;'S!5k;'S;=`!8V<%lO!5kq!7yS!cpxPOv(Vx;'S(V;'S;=`(h<%lO(Vq!8YP;=`<%l!5ka!8bX!a`Or!8]rs!6Vsv!8]vw!6Vw!a!8]!a!b!8}!b;'S!8];'S;=`!:V<%lO!8]a!9SX!a`Or!8]rs!6Vsv!8]vw!6Vw!`!8]!`!a!9o!a;'S!8];'S;=`!:V<%lO!8]a!9vT!a`xPOr)esv)ew;'S)e;'S;=`)y<%lO)ea!:YP;=`<%l!8]!R!:dY!a`!cpOr!4trs!5ksv!4tvw!6Vwx!8]x!`!4t!`!a!;S!a;'S!4t;'S;=`!;r<%lO!4t!R!;]V!a`!cpxPOr*Vrs(Vsv*Vwx)ex;'S*V;'S;=`*s<%lO*V!R!;uP;=`<%l!4t!V!<TXiS`P!a`!cpOr&Xrs&}sv&Xwx(tx!^&X!^!_*V!_;'S&X;'S;=`*y<%lO&X",
-    tokenizers: [scriptTokens, styleTokens, textareaTokens, endTag, tagStart, commentContent, 0, 1, 2, 3, 4, 5],
-    topRules: {"Document":[0,15]},
-    dialects: {noMatch: 0, selfClosing: 509},
-    tokenPrec: 511
-  });
-
-  function getAttrs(openTag, input) {
-    let attrs = Object.create(null);
-    for (let att of openTag.getChildren(Attribute)) {
-      let name = att.getChild(AttributeName), value = att.getChild(AttributeValue) || att.getChild(UnquotedAttributeValue);
-      if (name) attrs[input.read(name.from, name.to)] =
-        !value ? "" : value.type.id == AttributeValue ? input.read(value.from + 1, value.to - 1) : input.read(value.from, value.to);
-    }
-    return attrs
-  }
-
-  function findTagName(openTag, input) {
-    let tagNameNode = openTag.getChild(TagName);
-    return tagNameNode ? input.read(tagNameNode.from, tagNameNode.to) : " "
-  }
-
-  function maybeNest(node, input, tags) {
-    let attrs;
-    for (let tag of tags) {
-      if (!tag.attrs || tag.attrs(attrs || (attrs = getAttrs(node.node.parent.firstChild, input))))
-        return {parser: tag.parser}
-    }
-    return null
-  }
-
-  // tags?: {
-  //   tag: string,
-  //   attrs?: ({[attr: string]: string}) => boolean,
-  //   parser: Parser
-  // }[]
-  // attributes?: {
-  //   name: string,
-  //   tagName?: string,
-  //   parser: Parser
-  // }[]
-   
-  function configureNesting(tags = [], attributes = []) {
-    let script = [], style = [], textarea = [], other = [];
-    for (let tag of tags) {
-      let array = tag.tag == "script" ? script : tag.tag == "style" ? style : tag.tag == "textarea" ? textarea : other;
-      array.push(tag);
-    }
-    let attrs = attributes.length ? Object.create(null) : null;
-    for (let attr of attributes) (attrs[attr.name] || (attrs[attr.name] = [])).push(attr);
-
-    return parseMixed((node, input) => {
-      let id = node.type.id;
-      if (id == ScriptText) return maybeNest(node, input, script)
-      if (id == StyleText) return maybeNest(node, input, style)
-      if (id == TextareaText) return maybeNest(node, input, textarea)
-
-      if (id == Element && other.length) {
-        let n = node.node, open = n.firstChild, tagName = open && findTagName(open, input), attrs;
-        if (tagName) for (let tag of other) {
-          if (tag.tag == tagName && (!tag.attrs || tag.attrs(attrs || (attrs = getAttrs(open, input))))) {
-            let close = n.lastChild;
-            let to = close.type.id == CloseTag ? close.from : n.to;
-            if (to > open.to)
-              return {parser: tag.parser, overlay: [{from: open.to, to}]}
+  class FragmentCursor {
+      constructor(fragments, nodeSet) {
+          this.fragments = fragments;
+          this.nodeSet = nodeSet;
+          this.i = 0;
+          this.fragment = null;
+          this.safeFrom = -1;
+          this.safeTo = -1;
+          this.trees = [];
+          this.start = [];
+          this.index = [];
+          this.nextFragment();
+      }
+      nextFragment() {
+          let fr = this.fragment = this.i == this.fragments.length ? null : this.fragments[this.i++];
+          if (fr) {
+              this.safeFrom = fr.openStart ? cutAt(fr.tree, fr.from + fr.offset, 1) - fr.offset : fr.from;
+              this.safeTo = fr.openEnd ? cutAt(fr.tree, fr.to + fr.offset, -1) - fr.offset : fr.to;
+              while (this.trees.length) {
+                  this.trees.pop();
+                  this.start.pop();
+                  this.index.pop();
+              }
+              this.trees.push(fr.tree);
+              this.start.push(-fr.offset);
+              this.index.push(0);
+              this.nextStart = this.safeFrom;
+          }
+          else {
+              this.nextStart = 1e9;
           }
-        }
       }
-
-      if (attrs && id == Attribute) {
-        let n = node.node, nameNode;
-        if (nameNode = n.firstChild) {
-          let matches = attrs[input.read(nameNode.from, nameNode.to)];
-          if (matches) for (let attr of matches) {
-            if (attr.tagName && attr.tagName != findTagName(n.parent, input)) continue
-            let value = n.lastChild;
-            if (value.type.id == AttributeValue) {
-              let from = value.from + 1;
-              let last = value.lastChild, to = value.to - (last && last.isError ? 0 : 1);
-              if (to > from) return {parser: attr.parser, overlay: [{from, to}]}
-            } else if (value.type.id == UnquotedAttributeValue) {
-              return {parser: attr.parser, overlay: [{from: value.from, to: value.to}]}
-            }
+      // `pos` must be >= any previously given `pos` for this cursor
+      nodeAt(pos) {
+          if (pos < this.nextStart)
+              return null;
+          while (this.fragment && this.safeTo <= pos)
+              this.nextFragment();
+          if (!this.fragment)
+              return null;
+          for (;;) {
+              let last = this.trees.length - 1;
+              if (last < 0) { // End of tree
+                  this.nextFragment();
+                  return null;
+              }
+              let top = this.trees[last], index = this.index[last];
+              if (index == top.children.length) {
+                  this.trees.pop();
+                  this.start.pop();
+                  this.index.pop();
+                  continue;
+              }
+              let next = top.children[index];
+              let start = this.start[last] + top.positions[index];
+              if (start > pos) {
+                  this.nextStart = start;
+                  return null;
+              }
+              if (next instanceof Tree) {
+                  if (start == pos) {
+                      if (start < this.safeFrom)
+                          return null;
+                      let end = start + next.length;
+                      if (end <= this.safeTo) {
+                          let lookAhead = next.prop(NodeProp.lookAhead);
+                          if (!lookAhead || end + lookAhead < this.fragment.to)
+                              return next;
+                      }
+                  }
+                  this.index[last]++;
+                  if (start + next.length >= Math.max(this.safeFrom, pos)) { // Enter this node
+                      this.trees.push(next);
+                      this.start.push(start);
+                      this.index.push(0);
+                  }
+              }
+              else {
+                  this.index[last]++;
+                  this.nextStart = start + next.length;
+              }
           }
-        }
       }
-      return null
-    })
   }
-
-  // This file was generated by lezer-generator. You probably shouldn't edit it.
-  const descendantOp = 122,
-    Unit = 1,
-    identifier$2 = 123,
-    callee = 124,
-    VariableName = 2,
-    queryIdentifier = 125,
-    queryVariableName = 3,
-    QueryCallee = 4;
-
-  /* Hand-written tokenizers for CSS tokens that can't be
-     expressed by Lezer's built-in tokenizer. */
-
-  const space$1 = [9, 10, 11, 12, 13, 32, 133, 160, 5760, 8192, 8193, 8194, 8195, 8196, 8197,
-                 8198, 8199, 8200, 8201, 8202, 8232, 8233, 8239, 8287, 12288];
-  const colon = 58, parenL = 40, underscore = 95, bracketL$1 = 91, dash = 45, period = 46,
-        hash = 35, percent = 37, ampersand = 38, backslash = 92, newline$1 = 10, asterisk = 42;
-
-  function isAlpha(ch) { return ch >= 65 && ch <= 90 || ch >= 97 && ch <= 122 || ch >= 161 }
-
-  function isDigit(ch) { return ch >= 48 && ch <= 57 }
-
-  function isHex(ch) { return isDigit(ch) || ch >= 97 && ch <= 102 || ch >= 65 && ch <= 70 }
-
-  const identifierTokens = (id, varName, callee) => (input, stack) => {
-    for (let inside = false, dashes = 0, i = 0;; i++) {
-      let {next} = input;
-      if (isAlpha(next) || next == dash || next == underscore || (inside && isDigit(next))) {
-        if (!inside && (next != dash || i > 0)) inside = true;
-        if (dashes === i && next == dash) dashes++;
-        input.advance();
-      } else if (next == backslash && input.peek(1) != newline$1) {
-        input.advance();
-        if (isHex(input.next)) {
-          do { input.advance(); } while (isHex(input.next))
-          if (input.next == 32) input.advance();
-        } else if (input.next > -1) {
-          input.advance();
-        }
-        inside = true;
-      } else {
-        if (inside) input.acceptToken(
-          dashes == 2 && stack.canShift(VariableName) ? varName : next == parenL ? callee : id
-        );
-        break
+  class TokenCache {
+      constructor(parser, stream) {
+          this.stream = stream;
+          this.tokens = [];
+          this.mainToken = null;
+          this.actions = [];
+          this.tokens = parser.tokenizers.map(_ => new CachedToken);
       }
-    }
-  };
-
-  const identifiers = new ExternalTokenizer(
-    identifierTokens(identifier$2, VariableName, callee)
-  );
-  const queryIdentifiers = new ExternalTokenizer(
-    identifierTokens(queryIdentifier, queryVariableName, QueryCallee)
-  );
-
-  const descendant = new ExternalTokenizer(input => {
-    if (space$1.includes(input.peek(-1))) {
-      let {next} = input;
-      if (isAlpha(next) || next == underscore || next == hash || next == period ||
-          next == asterisk || next == bracketL$1 || next == colon && isAlpha(input.peek(1)) ||
-          next == dash || next == ampersand)
-        input.acceptToken(descendantOp);
-    }
-  });
-
-  const unitToken = new ExternalTokenizer(input => {
-    if (!space$1.includes(input.peek(-1))) {
-      let {next} = input;
-      if (next == percent) { input.advance(); input.acceptToken(Unit); }
-      if (isAlpha(next)) {
-        do { input.advance(); } while (isAlpha(input.next) || isDigit(input.next))
-        input.acceptToken(Unit);
+      getActions(stack) {
+          let actionIndex = 0;
+          let main = null;
+          let { parser } = stack.p, { tokenizers } = parser;
+          let mask = parser.stateSlot(stack.state, 3 /* ParseState.TokenizerMask */);
+          let context = stack.curContext ? stack.curContext.hash : 0;
+          let lookAhead = 0;
+          for (let i = 0; i < tokenizers.length; i++) {
+              if (((1 << i) & mask) == 0)
+                  continue;
+              let tokenizer = tokenizers[i], token = this.tokens[i];
+              if (main && !tokenizer.fallback)
+                  continue;
+              if (tokenizer.contextual || token.start != stack.pos || token.mask != mask || token.context != context) {
+                  this.updateCachedToken(token, tokenizer, stack);
+                  token.mask = mask;
+                  token.context = context;
+              }
+              if (token.lookAhead > token.end + 25 /* Lookahead.Margin */)
+                  lookAhead = Math.max(token.lookAhead, lookAhead);
+              if (token.value != 0 /* Term.Err */) {
+                  let startIndex = actionIndex;
+                  if (token.extended > -1)
+                      actionIndex = this.addActions(stack, token.extended, token.end, actionIndex);
+                  actionIndex = this.addActions(stack, token.value, token.end, actionIndex);
+                  if (!tokenizer.extend) {
+                      main = token;
+                      if (actionIndex > startIndex)
+                          break;
+                  }
+              }
+          }
+          while (this.actions.length > actionIndex)
+              this.actions.pop();
+          if (lookAhead)
+              stack.setLookAhead(lookAhead);
+          if (!main && stack.pos == this.stream.end) {
+              main = new CachedToken;
+              main.value = stack.p.parser.eofTerm;
+              main.start = main.end = stack.pos;
+              actionIndex = this.addActions(stack, main.value, main.end, actionIndex);
+          }
+          this.mainToken = main;
+          return this.actions;
       }
-    }
-  });
-
-  const cssHighlighting = styleTags({
-    "AtKeyword import charset namespace keyframes media supports": tags$1.definitionKeyword,
-    "from to selector": tags$1.keyword,
-    NamespaceName: tags$1.namespace,
-    KeyframeName: tags$1.labelName,
-    KeyframeRangeName: tags$1.operatorKeyword,
-    TagName: tags$1.tagName,
-    ClassName: tags$1.className,
-    PseudoClassName: tags$1.constant(tags$1.className),
-    IdName: tags$1.labelName,
-    "FeatureName PropertyName": tags$1.propertyName,
-    AttributeName: tags$1.attributeName,
-    NumberLiteral: tags$1.number,
-    KeywordQuery: tags$1.keyword,
-    UnaryQueryOp: tags$1.operatorKeyword,
-    "CallTag ValueName": tags$1.atom,
-    VariableName: tags$1.variableName,
-    Callee: tags$1.operatorKeyword,
-    Unit: tags$1.unit,
-    "UniversalSelector NestingSelector": tags$1.definitionOperator,
-    "MatchOp CompareOp": tags$1.compareOperator,
-    "ChildOp SiblingOp, LogicOp": tags$1.logicOperator,
-    BinOp: tags$1.arithmeticOperator,
-    Important: tags$1.modifier,
-    Comment: tags$1.blockComment,
-    ColorLiteral: tags$1.color,
-    "ParenthesizedContent StringLiteral": tags$1.string,
-    ":": tags$1.punctuation,
-    "PseudoOp #": tags$1.derefOperator,
-    "; ,": tags$1.separator,
-    "( )": tags$1.paren,
-    "[ ]": tags$1.squareBracket,
-    "{ }": tags$1.brace
-  });
-
-  // This file was generated by lezer-generator. You probably shouldn't edit it.
-  const spec_callee = {__proto__:null,lang:38, "nth-child":38, "nth-last-child":38, "nth-of-type":38, "nth-last-of-type":38, dir:38, "host-context":38, if:84, url:124, "url-prefix":124, domain:124, regexp:124};
-  const spec_queryIdentifier = {__proto__:null,or:98, and:98, not:106, only:106, layer:170};
-  const spec_QueryCallee = {__proto__:null,selector:112, layer:166};
-  const spec_AtKeyword = {__proto__:null,"@import":162, "@media":174, "@charset":178, "@namespace":182, "@keyframes":188, "@supports":200, "@scope":204};
-  const spec_identifier$1 = {__proto__:null,to:207};
-  const parser$1 = LRParser.deserialize({
-    version: 14,
-    states: "EbQYQdOOO#qQdOOP#xO`OOOOQP'#Cf'#CfOOQP'#Ce'#CeO#}QdO'#ChO$nQaO'#CcO$xQdO'#CkO%TQdO'#DpO%YQdO'#DrO%_QdO'#DuO%_QdO'#DxOOQP'#FV'#FVO&eQhO'#EhOOQS'#FU'#FUOOQS'#Ek'#EkQYQdOOO&lQdO'#EOO&PQhO'#EUO&lQdO'#EWO'aQdO'#EYO'lQdO'#E]O'tQhO'#EcO(VQdO'#EeO(bQaO'#CfO)VQ`O'#D{O)[Q`O'#F`O)gQdO'#F`QOQ`OOP)qO&jO'#CaPOOO)C@t)C@tOOQP'#Cj'#CjOOQP,59S,59SO#}QdO,59SO)|QdO,59VO%TQdO,5:[O%YQdO,5:^O%_QdO,5:aO%_QdO,5:cO%_QdO,5:dO%_QdO'#ErO*XQ`O,58}O*aQdO'#DzOOQS,58},58}OOQP'#Cn'#CnOOQO'#Dn'#DnOOQP,59V,59VO*hQ`O,59VO*mQ`O,59VOOQP'#Dq'#DqOOQP,5:[,5:[OOQO'#Ds'#DsO*rQpO,5:^O+]QaO,5:aO+sQaO,5:dOOQW'#DZ'#DZO,ZQhO'#DdO,xQhO'#FaO'tQhO'#DbO-WQ`O'#DhOOQW'#F['#F[O-]Q`O,5;SO-eQ`O'#DeOOQS-E8i-E8iOOQ['#Cs'#CsO-jQdO'#CtO.QQdO'#CzO.hQdO'#C}O/OQ!pO'#DPO1RQ!jO,5:jOOQO'#DU'#DUO*mQ`O'#DTO1cQ!nO'#FXO3`Q`O'#DVO3eQ`O'#DkOOQ['#FX'#FXO-`Q`O,5:pO3jQ!bO,5:rOOQS'#E['#E[O3rQ`O,5:tO3wQdO,5:tOOQO'#E_'#E_O4PQ`O,5:wO4UQhO,5:}O%_QdO'#DgOOQS,5;P,5;PO-eQ`O,5;PO4^QdO,5;PO4fQdO,5:gO4vQdO'#EtO5TQ`O,5;zO5TQ`O,5;zPOOO'#Ej'#EjP5`O&jO,58{POOO,58{,58{OOQP1G.n1G.nOOQP1G.q1G.qO*hQ`O1G.qO*mQ`O1G.qOOQP1G/v1G/vO5kQpO1G/xO5sQaO1G/{O6ZQaO1G/}O6qQaO1G0OO7XQaO,5;^OOQO-E8p-E8pOOQS1G.i1G.iO7cQ`O,5:fO7hQdO'#DoO7oQdO'#CrOOQP1G/x1G/xO&lQdO1G/xO7vQ!jO'#DZO8UQ!bO,59vO8^QhO,5:OOOQO'#F]'#F]O8XQ!bO,59zO'tQhO,59xO8fQhO'#EvO8sQ`O,5;{O9OQhO,59|O9uQhO'#DiOOQW,5:S,5:SOOQS1G0n1G0nOOQW,5:P,5:PO9|Q!fO'#FYOOQS'#FY'#FYOOQS'#Em'#EmO;^QdO,59`OOQ[,59`,59`O;tQdO,59fOOQ[,59f,59fO<[QdO,59iOOQ[,59i,59iOOQ[,59k,59kO&lQdO,59mO<rQhO'#EQOOQW'#EQ'#EQO=WQ`O1G0UO1[QhO1G0UOOQ[,59o,59oO'tQhO'#DXOOQ[,59q,59qO=]Q#tO,5:VOOQS1G0[1G0[OOQS1G0^1G0^OOQS1G0`1G0`O=hQ`O1G0`O=mQdO'#E`OOQS1G0c1G0cOOQS1G0i1G0iO=xQaO,5:RO-`Q`O1G0kOOQS1G0k1G0kO-eQ`O1G0kO>PQ!fO1G0ROOQO1G0R1G0ROOQO,5;`,5;`O>gQdO,5;`OOQO-E8r-E8rO>tQ`O1G1fPOOO-E8h-E8hPOOO1G.g1G.gOOQP7+$]7+$]OOQP7+%d7+%dO&lQdO7+%dOOQS1G0Q1G0QO?PQaO'#F_O?ZQ`O,5:ZO?`Q!fO'#ElO@^QdO'#FWO@hQ`O,59^O@mQ!bO7+%dO&lQdO1G/bO@uQhO1G/fOOQW1G/j1G/jOOQW1G/d1G/dOAWQhO,5;bOOQO-E8t-E8tOAfQhO'#DZOAtQhO'#F^OBPQ`O'#F^OBUQ`O,5:TOOQS-E8k-E8kOOQ[1G.z1G.zOOQ[1G/Q1G/QOOQ[1G/T1G/TOOQ[1G/X1G/XOBZQdO,5:lOOQS7+%p7+%pOB`Q`O7+%pOBeQhO'#DYOBmQ`O,59sO'tQhO,59sOOQ[1G/q1G/qOBuQ`O1G/qOOQS7+%z7+%zOBzQbO'#DPOOQO'#Eb'#EbOCYQ`O'#EaOOQO'#Ea'#EaOCeQ`O'#EwOCmQdO,5:zOOQS,5:z,5:zOOQ[1G/m1G/mOOQS7+&V7+&VO-`Q`O7+&VOCxQ!fO'#EsO&lQdO'#EsOEPQdO7+%mOOQO7+%m7+%mOOQO1G0z1G0zOEdQ!bO<<IOOElQdO'#EqOEvQ`O,5;yOOQP1G/u1G/uOOQS-E8j-E8jOFOQdO'#EpOFYQ`O,5;rOOQ]1G.x1G.xOOQP<<IO<<IOOFbQdO7+$|OOQO'#D]'#D]OFiQ!bO7+%QOFqQhO'#EoOF{Q`O,5;xO&lQdO,5;xOOQW1G/o1G/oOOQO'#ES'#ESOGTQ`O1G0WOOQS<<I[<<I[O&lQdO,59tOGnQhO1G/_OOQ[1G/_1G/_OGuQ`O1G/_OOQW-E8l-E8lOOQ[7+%]7+%]OOQO,5:{,5:{O=pQdO'#ExOCeQ`O,5;cOOQS,5;c,5;cOOQS-E8u-E8uOOQS1G0f1G0fOOQS<<Iq<<IqOG}Q!fO,5;_OOQS-E8q-E8qOOQO<<IX<<IXOOQPAN>jAN>jOIUQaO,5;]OOQO-E8o-E8oOI`QdO,5;[OOQO-E8n-E8nOOQW<<Hh<<HhOOQW<<Hl<<HlOIjQhO<<HlOI{QhO,5;ZOJWQ`O,5;ZOOQO-E8m-E8mOJ]QdO1G1dOBZQdO'#EuOJgQ`O7+%rOOQW7+%r7+%rOJoQ!bO1G/`OOQ[7+$y7+$yOJzQhO7+$yPKRQ`O'#EnOOQO,5;d,5;dOOQO-E8v-E8vOOQS1G0}1G0}OKWQ`OAN>WO&lQdO1G0uOK]Q`O7+'OOOQO,5;a,5;aOOQO-E8s-E8sOOQW<<I^<<I^OOQ[<<He<<HePOQW,5;Y,5;YOOQWG23rG23rOKeQdO7+&a",
-    stateData: "Kx~O#sOS#tQQ~OW[OZ[O]TO`VOaVOi]OjWOmXO!jYO!mZO!saO!ybO!{cO!}dO#QeO#WfO#YgO#oRO~OQiOW[OZ[O]TO`VOaVOi]OjWOmXO!jYO!mZO!saO!ybO!{cO!}dO#QeO#WfO#YgO#ohO~O#m$SP~P!dO#tmO~O#ooO~O]qO`rOarOjsOmtO!juO!mwO#nvO~OpzO!^xO~P$SOc!QO#o|O#p}O~O#o!RO~O#o!TO~OW[OZ[O]TO`VOaVOjWOmXO!jYO!mZO#oRO~OS!]Oe!YO!V![O!Y!`O#q!XOp$TP~Ok$TP~P&POQ!jOe!cOm!dOp!eOr!mOt!mOz!kO!`!lO#o!bO#p!hO#}!fO~Ot!qO!`!lO#o!pO~Ot!sO#o!sO~OS!]Oe!YO!V![O!Y!`O#q!XO~Oe!vOpzO#Z!xO~O]YX`YX`!pXaYXjYXmYXpYX!^YX!jYX!mYX#nYX~O`!zO~Ok!{O#m$SXo$SX~O#m$SXo$SX~P!dO#u#OO#v#OO#w#QO~Oc#UO#o|O#p}O~OpzO!^xO~Oo$SP~P!dOe#`O~Oe#aO~Ol#bO!h#cO~O]qO`rOarOjsOmtO~Op!ia!^!ia!j!ia!m!ia#n!iad!ia~P*zOp!la!^!la!j!la!m!la#n!lad!la~P*zOR#gOS!]Oe!YOr#gOt#gO!V![O!Y!`O#q#dO#}!fO~O!R#iO!^#jOk$TXp$TX~Oe#mO~Ok#oOpzO~Oe!vO~O]#rO`#rOd#uOi#rOj#rOk#rO~P&lO]#rO`#rOi#rOj#rOk#rOl#wO~P&lO]#rO`#rOi#rOj#rOk#rOo#yO~P&lOP#zOSsXesXksXvsX!VsX!YsX!usX!wsX#qsX!TsXQsX]sX`sXdsXisXjsXmsXpsXrsXtsXzsX!`sX#osX#psX#}sXlsXosX!^sX!qsX#msX~Ov#{O!u#|O!w#}Ok$TP~P'tOe#aOS#{Xk#{Xv#{X!V#{X!Y#{X!u#{X!w#{X#q#{XQ#{X]#{X`#{Xd#{Xi#{Xj#{Xm#{Xp#{Xr#{Xt#{Xz#{X!`#{X#o#{X#p#{X#}#{Xl#{Xo#{X!^#{X!q#{X#m#{X~Oe$RO~Oe$TO~Ok$VOv#{O~Ok$WO~Ot$XO!`!lO~Op$YO~OpzO!R#iO~OpzO#Z$`O~O!q$bOk!oa#m!oao!oa~P&lOk#hX#m#hXo#hX~P!dOk!{O#m$Sao$Sa~O#u#OO#v#OO#w$hO~Ol$jO!h$kO~Op!ii!^!ii!j!ii!m!ii#n!iid!ii~P*zOp!ki!^!ki!j!ki!m!ki#n!kid!ki~P*zOp!li!^!li!j!li!m!li#n!lid!li~P*zOp#fa!^#fa~P$SOo$lO~Od$RP~P%_Od#zP~P&lO`!PXd}X!R}X!T!PX~O`$sO!T$tO~Od$uO!R#iO~Ok#jXp#jX!^#jX~P'tO!^#jOk$Tap$Ta~O!R#iOk!Uap!Ua!^!Uad!Ua`!Ua~OS!]Oe!YO!V![O!Y!`O#q$yO~Od$QP~P9dOv#{OQ#|X]#|X`#|Xd#|Xe#|Xi#|Xj#|Xk#|Xm#|Xp#|Xr#|Xt#|Xz#|X!`#|X#o#|X#p#|X#}#|Xl#|Xo#|X~O]#rO`#rOd%OOi#rOj#rOk#rO~P&lO]#rO`#rOi#rOj#rOk#rOl%PO~P&lO]#rO`#rOi#rOj#rOk#rOo%QO~P&lOe%SOS!tXk!tX!V!tX!Y!tX#q!tX~Ok%TO~Od%YOt%ZO!a%ZO~Ok%[O~Oo%cO#o%^O#}%]O~Od%dO~P$SOv#{O!^%hO!q%jOk!oi#m!oio!oi~P&lOk#ha#m#hao#ha~P!dOk!{O#m$Sio$Si~O!^%mOd$RX~P$SOd%oO~Ov#{OQ#`Xd#`Xe#`Xm#`Xp#`Xr#`Xt#`Xz#`X!^#`X!`#`X#o#`X#p#`X#}#`X~O!^%qOd#zX~P&lOd%sO~Ol%tOv#{O~OR#gOr#gOt#gO#q%vO#}!fO~O!R#iOk#jap#ja!^#ja~O`!PXd}X!R}X!^}X~O!R#iO!^%xOd$QX~O`%zO~Od%{O~O#o%|O~Ok&OO~O`&PO!R#iO~Od&ROk&QO~Od&UO~OP#zOpsX!^sXdsX~O#}%]Op#TX!^#TX~OpzO!^&WO~Oo&[O#o%^O#}%]O~Ov#{OQ#gXe#gXk#gXm#gXp#gXr#gXt#gXz#gX!^#gX!`#gX!q#gX#m#gX#o#gX#p#gX#}#gXo#gX~O!^%hO!q&`Ok!oq#m!oqo!oq~P&lOl&aOv#{O~Od#eX!^#eX~P%_O!^%mOd$Ra~Od#dX!^#dX~P&lO!^%qOd#za~Od&fO~P&lOd&gO!T&hO~Od#cX!^#cX~P9dO!^%xOd$Qa~O]&mOd&oO~OS#bae#ba!V#ba!Y#ba#q#ba~Od&qO~PG]Od&qOk&rO~Ov#{OQ#gae#gak#gam#gap#gar#gat#gaz#ga!^#ga!`#ga!q#ga#m#ga#o#ga#p#ga#}#gao#ga~Od#ea!^#ea~P$SOd#da!^#da~P&lOR#gOr#gOt#gO#q%vO#}%]O~O!R#iOd#ca!^#ca~O`&xO~O!^%xOd$Qi~P&lO]&mOd&|O~Ov#{Od|ik|i~Od&}O~PG]Ok'OO~Od'PO~O!^%xOd$Qq~Od#cq!^#cq~P&lO#s!a#t#}]#}v!m~",
-    goto: "2h$UPPPPP$VP$YP$c$uP$cP%X$cPP%_PPP%e%o%oPPPPP%oPP%oP&]P%oP%o'W%oP't'w'}'}(^'}P'}P'}P'}'}P(m'}(yP(|PP)p)v$c)|$c*SP$cP$c$cP*Y*{+YP$YP+aP+dP$YP$YP$YP+j$YP+m+p+s+z$YP$YPP$YP,P,V,f,|-[-b-l-r-x.O.U.`.f.l.rPPPPPPPPPPP.x/R/w/z0|P1U1u2O2R2U2[RnQ_^OP`kz!{$dq[OPYZ`kuvwxz!v!{#`$d%mqSOPYZ`kuvwxz!v!{#`$d%mQpTR#RqQ!OVR#SrQ#S!QS$Q!i!jR$i#U!V!mac!c!d!e!z#a#c#t#v#x#{$a$k$p$s%h%i%q%u%z&P&d&l&x'Q!U!mac!c!d!e!z#a#c#t#v#x#{$a$k$p$s%h%i%q%u%z&P&d&l&x'QU#g!Y$t&hU%`$Y%b&WR&V%_!V!iac!c!d!e!z#a#c#t#v#x#{$a$k$p$s%h%i%q%u%z&P&d&l&x'QR$S!kQ%W$RR&S%Xk!^]bf!Y![!g#i#j#m$P$R%X%xQ#e!YQ${#mQ%w$tQ&j%xR&w&hQ!ygQ#p!`Q$^!xR%f$`R#n!]!U!mac!c!d!e!z#a#c#t#v#x#{$a$k$p$s%h%i%q%u%z&P&d&l&x'QQ!qdR$X!rQ!PVR#TrQ#S!PR$i#TQ!SWR#VsQ!UXR#WtQ{UQ!wgQ#^yQ#o!_Q$U!nQ$[!uQ$_!yQ%e$^Q&Y%aQ&]%fR&v&XSjPzQ!}kQ$c!{R%k$dZiPkz!{$dR$P!gQ%}%SR&z&mR!rdR!teR$Z!tS%a$Y%bR&t&WV%_$Y%b&WQ#PmR$g#PQ`OSkPzU!a`k$dR$d!{Q$p#aY%p$p%u&d&l'QQ%u$sQ&d%qQ&l%zR'Q&xQ#t!cQ#v!dQ#x!eV$}#t#v#xQ%X$RR&T%XQ%y$zS&k%y&yR&y&lQ%r$pR&e%rQ%n$mR&c%nQyUR#]yQ%i$aR&_%iQ!|jS$e!|$fR$f!}Q&n%}R&{&nQ#k!ZR$x#kQ%b$YR&Z%bQ&X%aR&u&X__OP`kz!{$d^UOP`kz!{$dQ!VYQ!WZQ#XuQ#YvQ#ZwQ#[xQ$]!vQ$m#`R&b%mR$q#aQ!gaQ!oc[#q!c!d!e#t#v#xQ$a!zd$o#a$p$s%q%u%z&d&l&x'QQ$r#cQ%R#{S%g$a%iQ%l$kQ&^%hR&p&P]#s!c!d!e#t#v#xW!Z]b!g$PQ!ufQ#f!YQ#l![Q$v#iQ$w#jQ$z#mS%V$R%XR&i%xQ#h!YQ%w$tR&w&hR$|#mR$n#`QlPR#_zQ!_]Q!nbQ$O!gR%U$P",
-    nodeNames: "⚠ Unit VariableName VariableName QueryCallee Comment StyleSheet RuleSet UniversalSelector TagSelector TagName NestingSelector ClassSelector . ClassName PseudoClassSelector : :: PseudoClassName PseudoClassName ) ( ArgList ValueName ParenthesizedValue AtKeyword # ; ] [ BracketedValue } { BracedValue ColorLiteral NumberLiteral StringLiteral BinaryExpression BinOp CallExpression Callee IfExpression if ArgList IfBranch KeywordQuery FeatureQuery FeatureName BinaryQuery LogicOp ComparisonQuery CompareOp UnaryQuery UnaryQueryOp ParenthesizedQuery SelectorQuery selector ParenthesizedSelector CallQuery ArgList , CallLiteral CallTag ParenthesizedContent PseudoClassName ArgList IdSelector IdName AttributeSelector AttributeName MatchOp ChildSelector ChildOp DescendantSelector SiblingSelector SiblingOp Block Declaration PropertyName Important ImportStatement import Layer layer LayerName layer MediaStatement media CharsetStatement charset NamespaceStatement namespace NamespaceName KeyframesStatement keyframes KeyframeName KeyframeList KeyframeSelector KeyframeRangeName SupportsStatement supports ScopeStatement scope to AtRule Styles",
-    maxTerm: 143,
-    nodeProps: [
-      ["isolate", -2,5,36,""],
-      ["openedBy", 20,"(",28,"[",31,"{"],
-      ["closedBy", 21,")",29,"]",32,"}"]
-    ],
-    propSources: [cssHighlighting],
-    skippedNodes: [0,5,106],
-    repeatNodeCount: 15,
-    tokenData: "JQ~R!YOX$qX^%i^p$qpq%iqr({rs-ust/itu6Wuv$qvw7Qwx7cxy9Qyz9cz{9h{|:R|}>t}!O?V!O!P?t!P!Q@]!Q![AU![!]BP!]!^B{!^!_C^!_!`DY!`!aDm!a!b$q!b!cEn!c!}$q!}#OG{#O#P$q#P#QH^#Q#R6W#R#o$q#o#pHo#p#q6W#q#rIQ#r#sIc#s#y$q#y#z%i#z$f$q$f$g%i$g#BY$q#BY#BZ%i#BZ$IS$q$IS$I_%i$I_$I|$q$I|$JO%i$JO$JT$q$JT$JU%i$JU$KV$q$KV$KW%i$KW&FU$q&FU&FV%i&FV;'S$q;'S;=`Iz<%lO$q`$tSOy%Qz;'S%Q;'S;=`%c<%lO%Q`%VS!a`Oy%Qz;'S%Q;'S;=`%c<%lO%Q`%fP;=`<%l%Q~%nh#s~OX%QX^'Y^p%Qpq'Yqy%Qz#y%Q#y#z'Y#z$f%Q$f$g'Y$g#BY%Q#BY#BZ'Y#BZ$IS%Q$IS$I_'Y$I_$I|%Q$I|$JO'Y$JO$JT%Q$JT$JU'Y$JU$KV%Q$KV$KW'Y$KW&FU%Q&FU&FV'Y&FV;'S%Q;'S;=`%c<%lO%Q~'ah#s~!a`OX%QX^'Y^p%Qpq'Yqy%Qz#y%Q#y#z'Y#z$f%Q$f$g'Y$g#BY%Q#BY#BZ'Y#BZ$IS%Q$IS$I_'Y$I_$I|%Q$I|$JO'Y$JO$JT%Q$JT$JU'Y$JU$KV%Q$KV$KW'Y$KW&FU%Q&FU&FV'Y&FV;'S%Q;'S;=`%c<%lO%Qj)OUOy%Qz#]%Q#]#^)b#^;'S%Q;'S;=`%c<%lO%Qj)gU!a`Oy%Qz#a%Q#a#b)y#b;'S%Q;'S;=`%c<%lO%Qj*OU!a`Oy%Qz#d%Q#d#e*b#e;'S%Q;'S;=`%c<%lO%Qj*gU!a`Oy%Qz#c%Q#c#d*y#d;'S%Q;'S;=`%c<%lO%Qj+OU!a`Oy%Qz#f%Q#f#g+b#g;'S%Q;'S;=`%c<%lO%Qj+gU!a`Oy%Qz#h%Q#h#i+y#i;'S%Q;'S;=`%c<%lO%Qj,OU!a`Oy%Qz#T%Q#T#U,b#U;'S%Q;'S;=`%c<%lO%Qj,gU!a`Oy%Qz#b%Q#b#c,y#c;'S%Q;'S;=`%c<%lO%Qj-OU!a`Oy%Qz#h%Q#h#i-b#i;'S%Q;'S;=`%c<%lO%Qj-iS!qY!a`Oy%Qz;'S%Q;'S;=`%c<%lO%Q~-xWOY-uZr-urs.bs#O-u#O#P.g#P;'S-u;'S;=`/c<%lO-u~.gOt~~.jRO;'S-u;'S;=`.s;=`O-u~.vXOY-uZr-urs.bs#O-u#O#P.g#P;'S-u;'S;=`/c;=`<%l-u<%lO-u~/fP;=`<%l-uj/nYjYOy%Qz!Q%Q!Q![0^![!c%Q!c!i0^!i#T%Q#T#Z0^#Z;'S%Q;'S;=`%c<%lO%Qj0cY!a`Oy%Qz!Q%Q!Q![1R![!c%Q!c!i1R!i#T%Q#T#Z1R#Z;'S%Q;'S;=`%c<%lO%Qj1WY!a`Oy%Qz!Q%Q!Q![1v![!c%Q!c!i1v!i#T%Q#T#Z1v#Z;'S%Q;'S;=`%c<%lO%Qj1}YrY!a`Oy%Qz!Q%Q!Q![2m![!c%Q!c!i2m!i#T%Q#T#Z2m#Z;'S%Q;'S;=`%c<%lO%Qj2tYrY!a`Oy%Qz!Q%Q!Q![3d![!c%Q!c!i3d!i#T%Q#T#Z3d#Z;'S%Q;'S;=`%c<%lO%Qj3iY!a`Oy%Qz!Q%Q!Q![4X![!c%Q!c!i4X!i#T%Q#T#Z4X#Z;'S%Q;'S;=`%c<%lO%Qj4`YrY!a`Oy%Qz!Q%Q!Q![5O![!c%Q!c!i5O!i#T%Q#T#Z5O#Z;'S%Q;'S;=`%c<%lO%Qj5TY!a`Oy%Qz!Q%Q!Q![5s![!c%Q!c!i5s!i#T%Q#T#Z5s#Z;'S%Q;'S;=`%c<%lO%Qj5zSrY!a`Oy%Qz;'S%Q;'S;=`%c<%lO%Qd6ZUOy%Qz!_%Q!_!`6m!`;'S%Q;'S;=`%c<%lO%Qd6tS!hS!a`Oy%Qz;'S%Q;'S;=`%c<%lO%Qb7VSZQOy%Qz;'S%Q;'S;=`%c<%lO%Q~7fWOY7cZw7cwx.bx#O7c#O#P8O#P;'S7c;'S;=`8z<%lO7c~8RRO;'S7c;'S;=`8[;=`O7c~8_XOY7cZw7cwx.bx#O7c#O#P8O#P;'S7c;'S;=`8z;=`<%l7c<%lO7c~8}P;=`<%l7cj9VSeYOy%Qz;'S%Q;'S;=`%c<%lO%Q~9hOd~n9oUWQvWOy%Qz!_%Q!_!`6m!`;'S%Q;'S;=`%c<%lO%Qj:YWvW!mQOy%Qz!O%Q!O!P:r!P!Q%Q!Q![=w![;'S%Q;'S;=`%c<%lO%Qj:wU!a`Oy%Qz!Q%Q!Q![;Z![;'S%Q;'S;=`%c<%lO%Qj;bY!a`#}YOy%Qz!Q%Q!Q![;Z![!g%Q!g!h<Q!h#X%Q#X#Y<Q#Y;'S%Q;'S;=`%c<%lO%Qj<VY!a`Oy%Qz{%Q{|<u|}%Q}!O<u!O!Q%Q!Q![=^![;'S%Q;'S;=`%c<%lO%Qj<zU!a`Oy%Qz!Q%Q!Q![=^![;'S%Q;'S;=`%c<%lO%Qj=eU!a`#}YOy%Qz!Q%Q!Q![=^![;'S%Q;'S;=`%c<%lO%Qj>O[!a`#}YOy%Qz!O%Q!O!P;Z!P!Q%Q!Q![=w![!g%Q!g!h<Q!h#X%Q#X#Y<Q#Y;'S%Q;'S;=`%c<%lO%Qj>yS!^YOy%Qz;'S%Q;'S;=`%c<%lO%Qj?[WvWOy%Qz!O%Q!O!P:r!P!Q%Q!Q![=w![;'S%Q;'S;=`%c<%lO%Qj?yU]YOy%Qz!Q%Q!Q![;Z![;'S%Q;'S;=`%c<%lO%Q~@bTvWOy%Qz{@q{;'S%Q;'S;=`%c<%lO%Q~@xS!a`#t~Oy%Qz;'S%Q;'S;=`%c<%lO%QjAZ[#}YOy%Qz!O%Q!O!P;Z!P!Q%Q!Q![=w![!g%Q!g!h<Q!h#X%Q#X#Y<Q#Y;'S%Q;'S;=`%c<%lO%QjBUU`YOy%Qz![%Q![!]Bh!];'S%Q;'S;=`%c<%lO%QbBoSaQ!a`Oy%Qz;'S%Q;'S;=`%c<%lO%QjCQSkYOy%Qz;'S%Q;'S;=`%c<%lO%QhCcU!TWOy%Qz!_%Q!_!`Cu!`;'S%Q;'S;=`%c<%lO%QhC|S!TW!a`Oy%Qz;'S%Q;'S;=`%c<%lO%QlDaS!TW!hSOy%Qz;'S%Q;'S;=`%c<%lO%QjDtV!jQ!TWOy%Qz!_%Q!_!`Cu!`!aEZ!a;'S%Q;'S;=`%c<%lO%QbEbS!jQ!a`Oy%Qz;'S%Q;'S;=`%c<%lO%QjEqYOy%Qz}%Q}!OFa!O!c%Q!c!}GO!}#T%Q#T#oGO#o;'S%Q;'S;=`%c<%lO%QjFfW!a`Oy%Qz!c%Q!c!}GO!}#T%Q#T#oGO#o;'S%Q;'S;=`%c<%lO%QjGV[iY!a`Oy%Qz}%Q}!OGO!O!Q%Q!Q![GO![!c%Q!c!}GO!}#T%Q#T#oGO#o;'S%Q;'S;=`%c<%lO%QjHQSmYOy%Qz;'S%Q;'S;=`%c<%lO%QnHcSl^Oy%Qz;'S%Q;'S;=`%c<%lO%QjHtSpYOy%Qz;'S%Q;'S;=`%c<%lO%QjIVSoYOy%Qz;'S%Q;'S;=`%c<%lO%QfIhU!mQOy%Qz!_%Q!_!`6m!`;'S%Q;'S;=`%c<%lO%Q`I}P;=`<%l$q",
-    tokenizers: [descendant, unitToken, identifiers, queryIdentifiers, 1, 2, 3, 4, new LocalTokenGroup("m~RRYZ[z{a~~g~aO#v~~dP!P!Qg~lO#w~~", 28, 129)],
-    topRules: {"StyleSheet":[0,6],"Styles":[1,105]},
-    specialized: [{term: 124, get: (value) => spec_callee[value] || -1},{term: 125, get: (value) => spec_queryIdentifier[value] || -1},{term: 4, get: (value) => spec_QueryCallee[value] || -1},{term: 25, get: (value) => spec_AtKeyword[value] || -1},{term: 123, get: (value) => spec_identifier$1[value] || -1}],
-    tokenPrec: 1963
-  });
-
-  let _properties = null;
-  function properties() {
-      if (!_properties && typeof document == "object" && document.body) {
-          let { style } = document.body, names = [], seen = new Set;
-          for (let prop in style)
-              if (prop != "cssText" && prop != "cssFloat") {
-                  if (typeof style[prop] == "string") {
-                      if (/[A-Z]/.test(prop))
-                          prop = prop.replace(/[A-Z]/g, ch => "-" + ch.toLowerCase());
-                      if (!seen.has(prop)) {
-                          names.push(prop);
-                          seen.add(prop);
+      getMainToken(stack) {
+          if (this.mainToken)
+              return this.mainToken;
+          let main = new CachedToken, { pos, p } = stack;
+          main.start = pos;
+          main.end = Math.min(pos + 1, p.stream.end);
+          main.value = pos == p.stream.end ? p.parser.eofTerm : 0 /* Term.Err */;
+          return main;
+      }
+      updateCachedToken(token, tokenizer, stack) {
+          let start = this.stream.clipPos(stack.pos);
+          tokenizer.token(this.stream.reset(start, token), stack);
+          if (token.value > -1) {
+              let { parser } = stack.p;
+              for (let i = 0; i < parser.specialized.length; i++)
+                  if (parser.specialized[i] == token.value) {
+                      let result = parser.specializers[i](this.stream.read(token.start, token.end), stack);
+                      if (result >= 0 && stack.p.parser.dialect.allows(result >> 1)) {
+                          if ((result & 1) == 0 /* Specialize.Specialize */)
+                              token.value = result >> 1;
+                          else
+                              token.extended = result >> 1;
+                          break;
+                      }
+                  }
+          }
+          else {
+              token.value = 0 /* Term.Err */;
+              token.end = this.stream.clipPos(start + 1);
+          }
+      }
+      putAction(action, token, end, index) {
+          // Don't add duplicate actions
+          for (let i = 0; i < index; i += 3)
+              if (this.actions[i] == action)
+                  return index;
+          this.actions[index++] = action;
+          this.actions[index++] = token;
+          this.actions[index++] = end;
+          return index;
+      }
+      addActions(stack, token, end, index) {
+          let { state } = stack, { parser } = stack.p, { data } = parser;
+          for (let set = 0; set < 2; set++) {
+              for (let i = parser.stateSlot(state, set ? 2 /* ParseState.Skip */ : 1 /* ParseState.Actions */);; i += 3) {
+                  if (data[i] == 65535 /* Seq.End */) {
+                      if (data[i + 1] == 1 /* Seq.Next */) {
+                          i = pair(data, i + 2);
+                      }
+                      else {
+                          if (index == 0 && data[i + 1] == 2 /* Seq.Other */)
+                              index = this.putAction(pair(data, i + 2), token, end, index);
+                          break;
                       }
                   }
+                  if (data[i] == token)
+                      index = this.putAction(pair(data, i + 1), token, end, index);
               }
-          _properties = names.sort().map(name => ({ type: "property", label: name, apply: name + ": " }));
+          }
+          return index;
       }
-      return _properties || [];
   }
-  const pseudoClasses = /*@__PURE__*/[
-      "active", "after", "any-link", "autofill", "backdrop", "before",
-      "checked", "cue", "default", "defined", "disabled", "empty",
-      "enabled", "file-selector-button", "first", "first-child",
-      "first-letter", "first-line", "first-of-type", "focus",
-      "focus-visible", "focus-within", "fullscreen", "has", "host",
-      "host-context", "hover", "in-range", "indeterminate", "invalid",
-      "is", "lang", "last-child", "last-of-type", "left", "link", "marker",
-      "modal", "not", "nth-child", "nth-last-child", "nth-last-of-type",
-      "nth-of-type", "only-child", "only-of-type", "optional", "out-of-range",
-      "part", "placeholder", "placeholder-shown", "read-only", "read-write",
-      "required", "right", "root", "scope", "selection", "slotted", "target",
-      "target-text", "valid", "visited", "where"
-  ].map(name => ({ type: "class", label: name }));
-  const values = /*@__PURE__*/[
-      "above", "absolute", "activeborder", "additive", "activecaption", "after-white-space",
-      "ahead", "alias", "all", "all-scroll", "alphabetic", "alternate", "always",
-      "antialiased", "appworkspace", "asterisks", "attr", "auto", "auto-flow", "avoid", "avoid-column",
-      "avoid-page", "avoid-region", "axis-pan", "background", "backwards", "baseline", "below",
-      "bidi-override", "blink", "block", "block-axis", "bold", "bolder", "border", "border-box",
-      "both", "bottom", "break", "break-all", "break-word", "bullets", "button", "button-bevel",
-      "buttonface", "buttonhighlight", "buttonshadow", "buttontext", "calc", "capitalize",
-      "caps-lock-indicator", "caption", "captiontext", "caret", "cell", "center", "checkbox", "circle",
-      "cjk-decimal", "clear", "clip", "close-quote", "col-resize", "collapse", "color", "color-burn",
-      "color-dodge", "column", "column-reverse", "compact", "condensed", "contain", "content",
-      "contents", "content-box", "context-menu", "continuous", "copy", "counter", "counters", "cover",
-      "crop", "cross", "crosshair", "currentcolor", "cursive", "cyclic", "darken", "dashed", "decimal",
-      "decimal-leading-zero", "default", "default-button", "dense", "destination-atop", "destination-in",
-      "destination-out", "destination-over", "difference", "disc", "discard", "disclosure-closed",
-      "disclosure-open", "document", "dot-dash", "dot-dot-dash", "dotted", "double", "down", "e-resize",
-      "ease", "ease-in", "ease-in-out", "ease-out", "element", "ellipse", "ellipsis", "embed", "end",
-      "ethiopic-abegede-gez", "ethiopic-halehame-aa-er", "ethiopic-halehame-gez", "ew-resize", "exclusion",
-      "expanded", "extends", "extra-condensed", "extra-expanded", "fantasy", "fast", "fill", "fill-box",
-      "fixed", "flat", "flex", "flex-end", "flex-start", "footnotes", "forwards", "from",
-      "geometricPrecision", "graytext", "grid", "groove", "hand", "hard-light", "help", "hidden", "hide",
-      "higher", "highlight", "highlighttext", "horizontal", "hsl", "hsla", "hue", "icon", "ignore",
-      "inactiveborder", "inactivecaption", "inactivecaptiontext", "infinite", "infobackground", "infotext",
-      "inherit", "initial", "inline", "inline-axis", "inline-block", "inline-flex", "inline-grid",
-      "inline-table", "inset", "inside", "intrinsic", "invert", "italic", "justify", "keep-all",
-      "landscape", "large", "larger", "left", "level", "lighter", "lighten", "line-through", "linear",
-      "linear-gradient", "lines", "list-item", "listbox", "listitem", "local", "logical", "loud", "lower",
-      "lower-hexadecimal", "lower-latin", "lower-norwegian", "lowercase", "ltr", "luminosity", "manipulation",
-      "match", "matrix", "matrix3d", "medium", "menu", "menutext", "message-box", "middle", "min-intrinsic",
-      "mix", "monospace", "move", "multiple", "multiple_mask_images", "multiply", "n-resize", "narrower",
-      "ne-resize", "nesw-resize", "no-close-quote", "no-drop", "no-open-quote", "no-repeat", "none",
-      "normal", "not-allowed", "nowrap", "ns-resize", "numbers", "numeric", "nw-resize", "nwse-resize",
-      "oblique", "opacity", "open-quote", "optimizeLegibility", "optimizeSpeed", "outset", "outside",
-      "outside-shape", "overlay", "overline", "padding", "padding-box", "painted", "page", "paused",
-      "perspective", "pinch-zoom", "plus-darker", "plus-lighter", "pointer", "polygon", "portrait",
-      "pre", "pre-line", "pre-wrap", "preserve-3d", "progress", "push-button", "radial-gradient", "radio",
-      "read-only", "read-write", "read-write-plaintext-only", "rectangle", "region", "relative", "repeat",
-      "repeating-linear-gradient", "repeating-radial-gradient", "repeat-x", "repeat-y", "reset", "reverse",
-      "rgb", "rgba", "ridge", "right", "rotate", "rotate3d", "rotateX", "rotateY", "rotateZ", "round",
-      "row", "row-resize", "row-reverse", "rtl", "run-in", "running", "s-resize", "sans-serif", "saturation",
-      "scale", "scale3d", "scaleX", "scaleY", "scaleZ", "screen", "scroll", "scrollbar", "scroll-position",
-      "se-resize", "self-start", "self-end", "semi-condensed", "semi-expanded", "separate", "serif", "show",
-      "single", "skew", "skewX", "skewY", "skip-white-space", "slide", "slider-horizontal",
-      "slider-vertical", "sliderthumb-horizontal", "sliderthumb-vertical", "slow", "small", "small-caps",
-      "small-caption", "smaller", "soft-light", "solid", "source-atop", "source-in", "source-out",
-      "source-over", "space", "space-around", "space-between", "space-evenly", "spell-out", "square", "start",
-      "static", "status-bar", "stretch", "stroke", "stroke-box", "sub", "subpixel-antialiased", "svg_masks",
-      "super", "sw-resize", "symbolic", "symbols", "system-ui", "table", "table-caption", "table-cell",
-      "table-column", "table-column-group", "table-footer-group", "table-header-group", "table-row",
-      "table-row-group", "text", "text-bottom", "text-top", "textarea", "textfield", "thick", "thin",
-      "threeddarkshadow", "threedface", "threedhighlight", "threedlightshadow", "threedshadow", "to", "top",
-      "transform", "translate", "translate3d", "translateX", "translateY", "translateZ", "transparent",
-      "ultra-condensed", "ultra-expanded", "underline", "unidirectional-pan", "unset", "up", "upper-latin",
-      "uppercase", "url", "var", "vertical", "vertical-text", "view-box", "visible", "visibleFill",
-      "visiblePainted", "visibleStroke", "visual", "w-resize", "wait", "wave", "wider", "window", "windowframe",
-      "windowtext", "words", "wrap", "wrap-reverse", "x-large", "x-small", "xor", "xx-large", "xx-small"
-  ].map(name => ({ type: "keyword", label: name })).concat(/*@__PURE__*/[
-      "aliceblue", "antiquewhite", "aqua", "aquamarine", "azure", "beige",
-      "bisque", "black", "blanchedalmond", "blue", "blueviolet", "brown",
-      "burlywood", "cadetblue", "chartreuse", "chocolate", "coral", "cornflowerblue",
-      "cornsilk", "crimson", "cyan", "darkblue", "darkcyan", "darkgoldenrod",
-      "darkgray", "darkgreen", "darkkhaki", "darkmagenta", "darkolivegreen",
-      "darkorange", "darkorchid", "darkred", "darksalmon", "darkseagreen",
-      "darkslateblue", "darkslategray", "darkturquoise", "darkviolet",
-      "deeppink", "deepskyblue", "dimgray", "dodgerblue", "firebrick",
-      "floralwhite", "forestgreen", "fuchsia", "gainsboro", "ghostwhite",
-      "gold", "goldenrod", "gray", "grey", "green", "greenyellow", "honeydew",
-      "hotpink", "indianred", "indigo", "ivory", "khaki", "lavender",
-      "lavenderblush", "lawngreen", "lemonchiffon", "lightblue", "lightcoral",
-      "lightcyan", "lightgoldenrodyellow", "lightgray", "lightgreen", "lightpink",
-      "lightsalmon", "lightseagreen", "lightskyblue", "lightslategray",
-      "lightsteelblue", "lightyellow", "lime", "limegreen", "linen", "magenta",
-      "maroon", "mediumaquamarine", "mediumblue", "mediumorchid", "mediumpurple",
-      "mediumseagreen", "mediumslateblue", "mediumspringgreen", "mediumturquoise",
-      "mediumvioletred", "midnightblue", "mintcream", "mistyrose", "moccasin",
-      "navajowhite", "navy", "oldlace", "olive", "olivedrab", "orange", "orangered",
-      "orchid", "palegoldenrod", "palegreen", "paleturquoise", "palevioletred",
-      "papayawhip", "peachpuff", "peru", "pink", "plum", "powderblue",
-      "purple", "rebeccapurple", "red", "rosybrown", "royalblue", "saddlebrown",
-      "salmon", "sandybrown", "seagreen", "seashell", "sienna", "silver", "skyblue",
-      "slateblue", "slategray", "snow", "springgreen", "steelblue", "tan",
-      "teal", "thistle", "tomato", "turquoise", "violet", "wheat", "white",
-      "whitesmoke", "yellow", "yellowgreen"
-  ].map(name => ({ type: "constant", label: name })));
-  const tags = /*@__PURE__*/[
-      "a", "abbr", "address", "article", "aside", "b", "bdi", "bdo", "blockquote", "body",
-      "br", "button", "canvas", "caption", "cite", "code", "col", "colgroup", "dd", "del",
-      "details", "dfn", "dialog", "div", "dl", "dt", "em", "figcaption", "figure", "footer",
-      "form", "header", "hgroup", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "html", "i", "iframe",
-      "img", "input", "ins", "kbd", "label", "legend", "li", "main", "meter", "nav", "ol", "output",
-      "p", "pre", "ruby", "section", "select", "small", "source", "span", "strong", "sub", "summary",
-      "sup", "table", "tbody", "td", "template", "textarea", "tfoot", "th", "thead", "tr", "u", "ul"
-  ].map(name => ({ type: "type", label: name }));
-  const atRules = /*@__PURE__*/[
-      "@charset", "@color-profile", "@container", "@counter-style", "@font-face", "@font-feature-values",
-      "@font-palette-values", "@import", "@keyframes", "@layer", "@media", "@namespace", "@page",
-      "@position-try", "@property", "@scope", "@starting-style", "@supports", "@view-transition"
-  ].map(label => ({ type: "keyword", label }));
-  const identifier$1 = /^(\w[\w-]*|-\w[\w-]*|)$/, variable = /^-(-[\w-]*)?$/;
-  function isVarArg(node, doc) {
-      var _a;
-      if (node.name == "(" || node.type.isError)
-          node = node.parent || node;
-      if (node.name != "ArgList")
-          return false;
-      let callee = (_a = node.parent) === null || _a === void 0 ? void 0 : _a.firstChild;
-      if ((callee === null || callee === void 0 ? void 0 : callee.name) != "Callee")
-          return false;
-      return doc.sliceString(callee.from, callee.to) == "var";
-  }
-  const VariablesByNode = /*@__PURE__*/new NodeWeakMap();
-  const declSelector = ["Declaration"];
-  function astTop(node) {
-      for (let cur = node;;) {
-          if (cur.type.isTop)
-              return cur;
-          if (!(cur = cur.parent))
-              return node;
+  class Parse {
+      constructor(parser, input, fragments, ranges) {
+          this.parser = parser;
+          this.input = input;
+          this.ranges = ranges;
+          this.recovering = 0;
+          this.nextStackID = 0x2654; // ♔, ♕, ♖, ♗, ♘, ♙, ♠, ♡, ♢, ♣, ♤, ♥, ♦, ♧
+          this.minStackPos = 0;
+          this.reused = [];
+          this.stoppedAt = null;
+          this.lastBigReductionStart = -1;
+          this.lastBigReductionSize = 0;
+          this.bigReductionCount = 0;
+          this.stream = new InputStream(input, ranges);
+          this.tokens = new TokenCache(parser, this.stream);
+          this.topTerm = parser.top[1];
+          let { from } = ranges[0];
+          this.stacks = [Stack.start(this, parser.top[0], from)];
+          this.fragments = fragments.length && this.stream.end - from > parser.bufferLength * 4
+              ? new FragmentCursor(fragments, parser.nodeSet) : null;
       }
-  }
-  function variableNames(doc, node, isVariable) {
-      if (node.to - node.from > 4096) {
-          let known = VariablesByNode.get(node);
-          if (known)
-              return known;
-          let result = [], seen = new Set, cursor = node.cursor(IterMode.IncludeAnonymous);
-          if (cursor.firstChild())
-              do {
-                  for (let option of variableNames(doc, cursor.node, isVariable))
-                      if (!seen.has(option.label)) {
-                          seen.add(option.label);
-                          result.push(option);
-                      }
-              } while (cursor.nextSibling());
-          VariablesByNode.set(node, result);
-          return result;
+      get parsedPos() {
+          return this.minStackPos;
       }
-      else {
-          let result = [], seen = new Set;
-          node.cursor().iterate(node => {
-              var _a;
-              if (isVariable(node) && node.matchContext(declSelector) && ((_a = node.node.nextSibling) === null || _a === void 0 ? void 0 : _a.name) == ":") {
-                  let name = doc.sliceString(node.from, node.to);
-                  if (!seen.has(name)) {
-                      seen.add(name);
-                      result.push({ label: name, type: "variable" });
+      // Move the parser forward. This will process all parse stacks at
+      // `this.pos` and try to advance them to a further position. If no
+      // stack for such a position is found, it'll start error-recovery.
+      //
+      // When the parse is finished, this will return a syntax tree. When
+      // not, it returns `null`.
+      advance() {
+          let stacks = this.stacks, pos = this.minStackPos;
+          // This will hold stacks beyond `pos`.
+          let newStacks = this.stacks = [];
+          let stopped, stoppedTokens;
+          // If a large amount of reductions happened with the same start
+          // position, force the stack out of that production in order to
+          // avoid creating a tree too deep to recurse through.
+          // (This is an ugly kludge, because unfortunately there is no
+          // straightforward, cheap way to check for this happening, due to
+          // the history of reductions only being available in an
+          // expensive-to-access format in the stack buffers.)
+          if (this.bigReductionCount > 300 /* Rec.MaxLeftAssociativeReductionCount */ && stacks.length == 1) {
+              let [s] = stacks;
+              while (s.forceReduce() && s.stack.length && s.stack[s.stack.length - 2] >= this.lastBigReductionStart) { }
+              this.bigReductionCount = this.lastBigReductionSize = 0;
+          }
+          // Keep advancing any stacks at `pos` until they either move
+          // forward or can't be advanced. Gather stacks that can't be
+          // advanced further in `stopped`.
+          for (let i = 0; i < stacks.length; i++) {
+              let stack = stacks[i];
+              for (;;) {
+                  this.tokens.mainToken = null;
+                  if (stack.pos > pos) {
+                      newStacks.push(stack);
+                  }
+                  else if (this.advanceStack(stack, newStacks, stacks)) {
+                      continue;
+                  }
+                  else {
+                      if (!stopped) {
+                          stopped = [];
+                          stoppedTokens = [];
+                      }
+                      stopped.push(stack);
+                      let tok = this.tokens.getMainToken(stack);
+                      stoppedTokens.push(tok.value, tok.end);
                   }
+                  break;
               }
-          });
-          return result;
+          }
+          if (!newStacks.length) {
+              let finished = stopped && findFinished(stopped);
+              if (finished) {
+                  if (verbose)
+                      console.log("Finish with " + this.stackID(finished));
+                  return this.stackToTree(finished);
+              }
+              if (this.parser.strict) {
+                  if (verbose && stopped)
+                      console.log("Stuck with token " + (this.tokens.mainToken ? this.parser.getName(this.tokens.mainToken.value) : "none"));
+                  throw new SyntaxError("No parse at " + pos);
+              }
+              if (!this.recovering)
+                  this.recovering = 5 /* Rec.Distance */;
+          }
+          if (this.recovering && stopped) {
+              let finished = this.stoppedAt != null && stopped[0].pos > this.stoppedAt ? stopped[0]
+                  : this.runRecovery(stopped, stoppedTokens, newStacks);
+              if (finished) {
+                  if (verbose)
+                      console.log("Force-finish " + this.stackID(finished));
+                  return this.stackToTree(finished.forceAll());
+              }
+          }
+          if (this.recovering) {
+              let maxRemaining = this.recovering == 1 ? 1 : this.recovering * 3 /* Rec.MaxRemainingPerStep */;
+              if (newStacks.length > maxRemaining) {
+                  newStacks.sort((a, b) => b.score - a.score);
+                  while (newStacks.length > maxRemaining)
+                      newStacks.pop();
+              }
+              if (newStacks.some(s => s.reducePos > pos))
+                  this.recovering--;
+          }
+          else if (newStacks.length > 1) {
+              // Prune stacks that are in the same state, or that have been
+              // running without splitting for a while, to avoid getting stuck
+              // with multiple successful stacks running endlessly on.
+              outer: for (let i = 0; i < newStacks.length - 1; i++) {
+                  let stack = newStacks[i];
+                  for (let j = i + 1; j < newStacks.length; j++) {
+                      let other = newStacks[j];
+                      if (stack.sameState(other) ||
+                          stack.buffer.length > 500 /* Rec.MinBufferLengthPrune */ && other.buffer.length > 500 /* Rec.MinBufferLengthPrune */) {
+                          if (((stack.score - other.score) || (stack.buffer.length - other.buffer.length)) > 0) {
+                              newStacks.splice(j--, 1);
+                          }
+                          else {
+                              newStacks.splice(i--, 1);
+                              continue outer;
+                          }
+                      }
+                  }
+              }
+              if (newStacks.length > 12 /* Rec.MaxStackCount */) {
+                  newStacks.sort((a, b) => b.score - a.score);
+                  newStacks.splice(12 /* Rec.MaxStackCount */, newStacks.length - 12 /* Rec.MaxStackCount */);
+              }
+          }
+          this.minStackPos = newStacks[0].pos;
+          for (let i = 1; i < newStacks.length; i++)
+              if (newStacks[i].pos < this.minStackPos)
+                  this.minStackPos = newStacks[i].pos;
+          return null;
       }
-  }
-  /**
-  Create a completion source for a CSS dialect, providing a
-  predicate for determining what kind of syntax node can act as a
-  completable variable. This is used by language modes like Sass and
-  Less to reuse this package's completion logic.
-  */
-  const defineCSSCompletionSource = (isVariable) => context => {
-      let { state, pos } = context, node = syntaxTree(state).resolveInner(pos, -1);
-      let isDash = node.type.isError && node.from == node.to - 1 && state.doc.sliceString(node.from, node.to) == "-";
-      if (node.name == "PropertyName" ||
-          (isDash || node.name == "TagName") && /^(Block|Styles)$/.test(node.resolve(node.to).name))
-          return { from: node.from, options: properties(), validFor: identifier$1 };
-      if (node.name == "ValueName")
-          return { from: node.from, options: values, validFor: identifier$1 };
-      if (node.name == "PseudoClassName")
-          return { from: node.from, options: pseudoClasses, validFor: identifier$1 };
-      if (isVariable(node) || (context.explicit || isDash) && isVarArg(node, state.doc))
-          return { from: isVariable(node) || isDash ? node.from : pos,
-              options: variableNames(state.doc, astTop(node), isVariable),
-              validFor: variable };
-      if (node.name == "TagName") {
-          for (let { parent } = node; parent; parent = parent.parent)
-              if (parent.name == "Block")
-                  return { from: node.from, options: properties(), validFor: identifier$1 };
-          return { from: node.from, options: tags, validFor: identifier$1 };
+      stopAt(pos) {
+          if (this.stoppedAt != null && this.stoppedAt < pos)
+              throw new RangeError("Can't move stoppedAt forward");
+          this.stoppedAt = pos;
       }
-      if (node.name == "AtKeyword")
-          return { from: node.from, options: atRules, validFor: identifier$1 };
-      if (!context.explicit)
-          return null;
-      let above = node.resolve(pos), before = above.childBefore(pos);
-      if (before && before.name == ":" && above.name == "PseudoClassSelector")
-          return { from: pos, options: pseudoClasses, validFor: identifier$1 };
-      if (before && before.name == ":" && above.name == "Declaration" || above.name == "ArgList")
-          return { from: pos, options: values, validFor: identifier$1 };
-      if (above.name == "Block" || above.name == "Styles")
-          return { from: pos, options: properties(), validFor: identifier$1 };
-      return null;
-  };
+      // Returns an updated version of the given stack, or null if the
+      // stack can't advance normally. When `split` and `stacks` are
+      // given, stacks split off by ambiguous operations will be pushed to
+      // `split`, or added to `stacks` if they move `pos` forward.
+      advanceStack(stack, stacks, split) {
+          let start = stack.pos, { parser } = this;
+          let base = verbose ? this.stackID(stack) + " -> " : "";
+          if (this.stoppedAt != null && start > this.stoppedAt)
+              return stack.forceReduce() ? stack : null;
+          if (this.fragments) {
+              let strictCx = stack.curContext && stack.curContext.tracker.strict, cxHash = strictCx ? stack.curContext.hash : 0;
+              for (let cached = this.fragments.nodeAt(start); cached;) {
+                  let match = this.parser.nodeSet.types[cached.type.id] == cached.type ? parser.getGoto(stack.state, cached.type.id) : -1;
+                  if (match > -1 && cached.length && (!strictCx || (cached.prop(NodeProp.contextHash) || 0) == cxHash)) {
+                      stack.useNode(cached, match);
+                      if (verbose)
+                          console.log(base + this.stackID(stack) + ` (via reuse of ${parser.getName(cached.type.id)})`);
+                      return true;
+                  }
+                  if (!(cached instanceof Tree) || cached.children.length == 0 || cached.positions[0] > 0)
+                      break;
+                  let inner = cached.children[0];
+                  if (inner instanceof Tree && cached.positions[0] == 0)
+                      cached = inner;
+                  else
+                      break;
+              }
+          }
+          let defaultReduce = parser.stateSlot(stack.state, 4 /* ParseState.DefaultReduce */);
+          if (defaultReduce > 0) {
+              stack.reduce(defaultReduce);
+              if (verbose)
+                  console.log(base + this.stackID(stack) + ` (via always-reduce ${parser.getName(defaultReduce & 65535 /* Action.ValueMask */)})`);
+              return true;
+          }
+          if (stack.stack.length >= 8400 /* Rec.CutDepth */) {
+              while (stack.stack.length > 6000 /* Rec.CutTo */ && stack.forceReduce()) { }
+          }
+          let actions = this.tokens.getActions(stack);
+          for (let i = 0; i < actions.length;) {
+              let action = actions[i++], term = actions[i++], end = actions[i++];
+              let last = i == actions.length || !split;
+              let localStack = last ? stack : stack.split();
+              let main = this.tokens.mainToken;
+              localStack.apply(action, term, main ? main.start : localStack.pos, end);
+              if (verbose)
+                  console.log(base + this.stackID(localStack) + ` (via ${(action & 65536 /* Action.ReduceFlag */) == 0 ? "shift"
+                    : `reduce of ${parser.getName(action & 65535 /* Action.ValueMask */)}`} for ${parser.getName(term)} @ ${start}${localStack == stack ? "" : ", split"})`);
+              if (last)
+                  return true;
+              else if (localStack.pos > start)
+                  stacks.push(localStack);
+              else
+                  split.push(localStack);
+          }
+          return false;
+      }
+      // Advance a given stack forward as far as it will go. Returns the
+      // (possibly updated) stack if it got stuck, or null if it moved
+      // forward and was given to `pushStackDedup`.
+      advanceFully(stack, newStacks) {
+          let pos = stack.pos;
+          for (;;) {
+              if (!this.advanceStack(stack, null, null))
+                  return false;
+              if (stack.pos > pos) {
+                  pushStackDedup(stack, newStacks);
+                  return true;
+              }
+          }
+      }
+      runRecovery(stacks, tokens, newStacks) {
+          let finished = null, restarted = false;
+          for (let i = 0; i < stacks.length; i++) {
+              let stack = stacks[i], token = tokens[i << 1], tokenEnd = tokens[(i << 1) + 1];
+              let base = verbose ? this.stackID(stack) + " -> " : "";
+              if (stack.deadEnd) {
+                  if (restarted)
+                      continue;
+                  restarted = true;
+                  stack.restart();
+                  if (verbose)
+                      console.log(base + this.stackID(stack) + " (restarted)");
+                  let done = this.advanceFully(stack, newStacks);
+                  if (done)
+                      continue;
+              }
+              let force = stack.split(), forceBase = base;
+              for (let j = 0; j < 10 /* Rec.ForceReduceLimit */ && force.forceReduce(); j++) {
+                  if (verbose)
+                      console.log(forceBase + this.stackID(force) + " (via force-reduce)");
+                  let done = this.advanceFully(force, newStacks);
+                  if (done)
+                      break;
+                  if (verbose)
+                      forceBase = this.stackID(force) + " -> ";
+              }
+              for (let insert of stack.recoverByInsert(token)) {
+                  if (verbose)
+                      console.log(base + this.stackID(insert) + " (via recover-insert)");
+                  this.advanceFully(insert, newStacks);
+              }
+              if (this.stream.end > stack.pos) {
+                  if (tokenEnd == stack.pos) {
+                      tokenEnd++;
+                      token = 0 /* Term.Err */;
+                  }
+                  stack.recoverByDelete(token, tokenEnd);
+                  if (verbose)
+                      console.log(base + this.stackID(stack) + ` (via recover-delete ${this.parser.getName(token)})`);
+                  pushStackDedup(stack, newStacks);
+              }
+              else if (!finished || finished.score < force.score) {
+                  finished = force;
+              }
+          }
+          return finished;
+      }
+      // Convert the stack's buffer to a syntax tree.
+      stackToTree(stack) {
+          stack.close();
+          return Tree.build({ buffer: StackBufferCursor.create(stack),
+              nodeSet: this.parser.nodeSet,
+              topID: this.topTerm,
+              maxBufferLength: this.parser.bufferLength,
+              reused: this.reused,
+              start: this.ranges[0].from,
+              length: stack.pos - this.ranges[0].from,
+              minRepeatType: this.parser.minRepeatTerm });
+      }
+      stackID(stack) {
+          let id = (stackIDs || (stackIDs = new WeakMap)).get(stack);
+          if (!id)
+              stackIDs.set(stack, id = String.fromCodePoint(this.nextStackID++));
+          return id + stack;
+      }
+  }
+  function pushStackDedup(stack, newStacks) {
+      for (let i = 0; i < newStacks.length; i++) {
+          let other = newStacks[i];
+          if (other.pos == stack.pos && other.sameState(stack)) {
+              if (newStacks[i].score < stack.score)
+                  newStacks[i] = stack;
+              return;
+          }
+      }
+      newStacks.push(stack);
+  }
+  class Dialect {
+      constructor(source, flags, disabled) {
+          this.source = source;
+          this.flags = flags;
+          this.disabled = disabled;
+      }
+      allows(term) { return !this.disabled || this.disabled[term] == 0; }
+  }
+  const id = x => x;
   /**
-  CSS property, variable, and value keyword completion source.
-  */
-  const cssCompletionSource = /*@__PURE__*/defineCSSCompletionSource(n => n.name == "VariableName");
+  Context trackers are used to track stateful context (such as
+  indentation in the Python grammar, or parent elements in the XML
+  grammar) needed by external tokenizers. You declare them in a
+  grammar file as `@context exportName from "module"`.
 
-  /**
-  A language provider based on the [Lezer CSS
-  parser](https://github.com/lezer-parser/css), extended with
-  highlighting and indentation information.
+  Context values should be immutable, and can be updated (replaced)
+  on shift or reduce actions.
+
+  The export used in a `@context` declaration should be of this
+  type.
   */
-  const cssLanguage = /*@__PURE__*/LRLanguage.define({
-      name: "css",
-      parser: /*@__PURE__*/parser$1.configure({
-          props: [
-              /*@__PURE__*/indentNodeProp.add({
-                  Declaration: /*@__PURE__*/continuedIndent()
-              }),
-              /*@__PURE__*/foldNodeProp.add({
-                  "Block KeyframeList": foldInside
-              })
-          ]
-      }),
-      languageData: {
-          commentTokens: { block: { open: "/*", close: "*/" } },
-          indentOnInput: /^\s*\}$/,
-          wordChars: "-"
+  class ContextTracker {
+      /**
+      Define a context tracker.
+      */
+      constructor(spec) {
+          this.start = spec.start;
+          this.shift = spec.shift || id;
+          this.reduce = spec.reduce || id;
+          this.reuse = spec.reuse || id;
+          this.hash = spec.hash || (() => 0);
+          this.strict = spec.strict !== false;
       }
-  });
+  }
   /**
-  Language support for CSS.
+  Holds the parse tables for a given grammar, as generated by
+  `lezer-generator`, and provides [methods](#common.Parser) to parse
+  content with.
   */
-  function css() {
-      return new LanguageSupport(cssLanguage, cssLanguage.data.of({ autocomplete: cssCompletionSource }));
-  }
-
-  // This file was generated by lezer-generator. You probably shouldn't edit it.
-  const noSemi = 315,
-    noSemiType = 316,
-    incdec = 1,
-    incdecPrefix = 2,
-    questionDot = 3,
-    JSXStartTag = 4,
-    insertSemi = 317,
-    spaces = 319,
-    newline = 320,
-    LineComment = 5,
-    BlockComment = 6,
-    Dialect_jsx = 0;
-
-  /* Hand-written tokenizers for JavaScript tokens that can't be
-     expressed by lezer's built-in tokenizer. */
-
-  const space = [9, 10, 11, 12, 13, 32, 133, 160, 5760, 8192, 8193, 8194, 8195, 8196, 8197, 8198, 8199, 8200,
-                 8201, 8202, 8232, 8233, 8239, 8287, 12288];
-
-  const braceR = 125, semicolon = 59, slash = 47, star = 42, plus = 43, minus = 45, lt = 60, comma = 44,
-        question = 63, dot = 46, bracketL = 91;
-
-  const trackNewline = new ContextTracker({
-    start: false,
-    shift(context, term) {
-      return term == LineComment || term == BlockComment || term == spaces ? context : term == newline
-    },
-    strict: false
-  });
-
-  const insertSemicolon = new ExternalTokenizer((input, stack) => {
-    let {next} = input;
-    if (next == braceR || next == -1 || stack.context)
-      input.acceptToken(insertSemi);
-  }, {contextual: true, fallback: true});
-
-  const noSemicolon = new ExternalTokenizer((input, stack) => {
-    let {next} = input, after;
-    if (space.indexOf(next) > -1) return
-    if (next == slash && ((after = input.peek(1)) == slash || after == star)) return
-    if (next != braceR && next != semicolon && next != -1 && !stack.context)
-      input.acceptToken(noSemi);
-  }, {contextual: true});
-
-  const noSemicolonType = new ExternalTokenizer((input, stack) => {
-    if (input.next == bracketL && !stack.context) input.acceptToken(noSemiType);
-  }, {contextual: true});
-
-  const operatorToken = new ExternalTokenizer((input, stack) => {
-    let {next} = input;
-    if (next == plus || next == minus) {
-      input.advance();
-      if (next == input.next) {
-        input.advance();
-        let mayPostfix = !stack.context && stack.canShift(incdec);
-        input.acceptToken(mayPostfix ? incdec : incdecPrefix);
+  class LRParser extends Parser {
+      /**
+      @internal
+      */
+      constructor(spec) {
+          super();
+          /**
+          @internal
+          */
+          this.wrappers = [];
+          if (spec.version != 14 /* File.Version */)
+              throw new RangeError(`Parser version (${spec.version}) doesn't match runtime version (${14 /* File.Version */})`);
+          let nodeNames = spec.nodeNames.split(" ");
+          this.minRepeatTerm = nodeNames.length;
+          for (let i = 0; i < spec.repeatNodeCount; i++)
+              nodeNames.push("");
+          let topTerms = Object.keys(spec.topRules).map(r => spec.topRules[r][1]);
+          let nodeProps = [];
+          for (let i = 0; i < nodeNames.length; i++)
+              nodeProps.push([]);
+          function setProp(nodeID, prop, value) {
+              nodeProps[nodeID].push([prop, prop.deserialize(String(value))]);
+          }
+          if (spec.nodeProps)
+              for (let propSpec of spec.nodeProps) {
+                  let prop = propSpec[0];
+                  if (typeof prop == "string")
+                      prop = NodeProp[prop];
+                  for (let i = 1; i < propSpec.length;) {
+                      let next = propSpec[i++];
+                      if (next >= 0) {
+                          setProp(next, prop, propSpec[i++]);
+                      }
+                      else {
+                          let value = propSpec[i + -next];
+                          for (let j = -next; j > 0; j--)
+                              setProp(propSpec[i++], prop, value);
+                          i++;
+                      }
+                  }
+              }
+          this.nodeSet = new NodeSet(nodeNames.map((name, i) => NodeType.define({
+              name: i >= this.minRepeatTerm ? undefined : name,
+              id: i,
+              props: nodeProps[i],
+              top: topTerms.indexOf(i) > -1,
+              error: i == 0,
+              skipped: spec.skippedNodes && spec.skippedNodes.indexOf(i) > -1
+          })));
+          if (spec.propSources)
+              this.nodeSet = this.nodeSet.extend(...spec.propSources);
+          this.strict = false;
+          this.bufferLength = DefaultBufferLength;
+          let tokenArray = decodeArray(spec.tokenData);
+          this.context = spec.context;
+          this.specializerSpecs = spec.specialized || [];
+          this.specialized = new Uint16Array(this.specializerSpecs.length);
+          for (let i = 0; i < this.specializerSpecs.length; i++)
+              this.specialized[i] = this.specializerSpecs[i].term;
+          this.specializers = this.specializerSpecs.map(getSpecializer);
+          this.states = decodeArray(spec.states, Uint32Array);
+          this.data = decodeArray(spec.stateData);
+          this.goto = decodeArray(spec.goto);
+          this.maxTerm = spec.maxTerm;
+          this.tokenizers = spec.tokenizers.map(value => typeof value == "number" ? new TokenGroup(tokenArray, value) : value);
+          this.topRules = spec.topRules;
+          this.dialects = spec.dialects || {};
+          this.dynamicPrecedences = spec.dynamicPrecedences || null;
+          this.tokenPrecTable = spec.tokenPrec;
+          this.termNames = spec.termNames || null;
+          this.maxNode = this.nodeSet.types.length - 1;
+          this.dialect = this.parseDialect();
+          this.top = this.topRules[Object.keys(this.topRules)[0]];
       }
-    } else if (next == question && input.peek(1) == dot) {
-      input.advance(); input.advance();
-      if (input.next < 48 || input.next > 57) // No digit after
-        input.acceptToken(questionDot);
-    }
-  }, {contextual: true});
-
-  function identifierChar(ch, start) {
-    return ch >= 65 && ch <= 90 || ch >= 97 && ch <= 122 || ch == 95 || ch >= 192 ||
-      !start && ch >= 48 && ch <= 57
-  }
-
-  const jsx = new ExternalTokenizer((input, stack) => {
-    if (input.next != lt || !stack.dialectEnabled(Dialect_jsx)) return
-    input.advance();
-    if (input.next == slash) return
-    // Scan for an identifier followed by a comma or 'extends', don't
-    // treat this as a start tag if present.
-    let back = 0;
-    while (space.indexOf(input.next) > -1) { input.advance(); back++; }
-    if (identifierChar(input.next, true)) {
-      input.advance();
-      back++;
-      while (identifierChar(input.next, false)) { input.advance(); back++; }
-      while (space.indexOf(input.next) > -1) { input.advance(); back++; }
-      if (input.next == comma) return
-      for (let i = 0;; i++) {
-        if (i == 7) {
-          if (!identifierChar(input.next, true)) return
-          break
-        }
-        if (input.next != "extends".charCodeAt(i)) break
-        input.advance();
-        back++;
+      createParse(input, fragments, ranges) {
+          let parse = new Parse(this, input, fragments, ranges);
+          for (let w of this.wrappers)
+              parse = w(parse, input, fragments, ranges);
+          return parse;
       }
-    }
-    input.acceptToken(JSXStartTag, -back);
-  });
-
-  const jsHighlight = styleTags({
-    "get set async static": tags$1.modifier,
-    "for while do if else switch try catch finally return throw break continue default case": tags$1.controlKeyword,
-    "in of await yield void typeof delete instanceof as satisfies": tags$1.operatorKeyword,
-    "let var const using function class extends": tags$1.definitionKeyword,
-    "import export from": tags$1.moduleKeyword,
-    "with debugger new": tags$1.keyword,
-    TemplateString: tags$1.special(tags$1.string),
-    super: tags$1.atom,
-    BooleanLiteral: tags$1.bool,
-    this: tags$1.self,
-    null: tags$1.null,
-    Star: tags$1.modifier,
-    VariableName: tags$1.variableName,
-    "CallExpression/VariableName TaggedTemplateExpression/VariableName": tags$1.function(tags$1.variableName),
-    VariableDefinition: tags$1.definition(tags$1.variableName),
-    Label: tags$1.labelName,
-    PropertyName: tags$1.propertyName,
-    PrivatePropertyName: tags$1.special(tags$1.propertyName),
-    "CallExpression/MemberExpression/PropertyName": tags$1.function(tags$1.propertyName),
-    "FunctionDeclaration/VariableDefinition": tags$1.function(tags$1.definition(tags$1.variableName)),
-    "ClassDeclaration/VariableDefinition": tags$1.definition(tags$1.className),
-    "NewExpression/VariableName": tags$1.className,
-    PropertyDefinition: tags$1.definition(tags$1.propertyName),
-    PrivatePropertyDefinition: tags$1.definition(tags$1.special(tags$1.propertyName)),
-    UpdateOp: tags$1.updateOperator,
-    "LineComment Hashbang": tags$1.lineComment,
-    BlockComment: tags$1.blockComment,
-    Number: tags$1.number,
-    String: tags$1.string,
-    Escape: tags$1.escape,
-    ArithOp: tags$1.arithmeticOperator,
-    LogicOp: tags$1.logicOperator,
-    BitOp: tags$1.bitwiseOperator,
-    CompareOp: tags$1.compareOperator,
-    RegExp: tags$1.regexp,
-    Equals: tags$1.definitionOperator,
-    Arrow: tags$1.function(tags$1.punctuation),
-    ": Spread": tags$1.punctuation,
-    "( )": tags$1.paren,
-    "[ ]": tags$1.squareBracket,
-    "{ }": tags$1.brace,
-    "InterpolationStart InterpolationEnd": tags$1.special(tags$1.brace),
-    ".": tags$1.derefOperator,
-    ", ;": tags$1.separator,
-    "@": tags$1.meta,
-
-    TypeName: tags$1.typeName,
-    TypeDefinition: tags$1.definition(tags$1.typeName),
-    "type enum interface implements namespace module declare": tags$1.definitionKeyword,
-    "abstract global Privacy readonly override": tags$1.modifier,
-    "is keyof unique infer asserts": tags$1.operatorKeyword,
-
-    JSXAttributeValue: tags$1.attributeValue,
-    JSXText: tags$1.content,
-    "JSXStartTag JSXStartCloseTag JSXSelfCloseEndTag JSXEndTag": tags$1.angleBracket,
-    "JSXIdentifier JSXNameSpacedName": tags$1.tagName,
-    "JSXAttribute/JSXIdentifier JSXAttribute/JSXNameSpacedName": tags$1.attributeName,
-    "JSXBuiltin/JSXIdentifier": tags$1.standard(tags$1.tagName)
-  });
-
-  // This file was generated by lezer-generator. You probably shouldn't edit it.
-  const spec_identifier = {__proto__:null,export:20, as:25, from:33, default:36, async:41, function:42, in:52, out:55, const:56, extends:60, this:64, true:72, false:72, null:84, void:88, typeof:92, super:108, new:142, delete:154, yield:163, await:167, class:172, public:235, private:235, protected:235, readonly:237, instanceof:256, satisfies:259, import:292, keyof:349, unique:353, infer:359, asserts:395, is:397, abstract:417, implements:419, type:421, let:424, var:426, using:429, interface:435, enum:439, namespace:445, module:447, declare:451, global:455, for:474, of:483, while:486, with:490, do:494, if:498, else:500, switch:504, case:510, try:516, catch:520, finally:524, return:528, throw:532, break:536, continue:540, debugger:544};
-  const spec_word = {__proto__:null,async:129, get:131, set:133, declare:195, public:197, private:197, protected:197, static:199, abstract:201, override:203, readonly:209, accessor:211, new:401};
-  const spec_LessThan = {__proto__:null,"<":193};
-  const parser = LRParser.deserialize({
-    version: 14,
-    states: "$EOQ%TQlOOO%[QlOOO'_QpOOP(lO`OOO*zQ!0MxO'#CiO+RO#tO'#CjO+aO&jO'#CjO+oO#@ItO'#DaO.QQlO'#DgO.bQlO'#DrO%[QlO'#DzO0fQlO'#ESOOQ!0Lf'#E['#E[O1PQ`O'#EXOOQO'#Ep'#EpOOQO'#Ik'#IkO1XQ`O'#GsO1dQ`O'#EoO1iQ`O'#EoO3hQ!0MxO'#JqO6[Q!0MxO'#JrO6uQ`O'#F]O6zQ,UO'#FtOOQ!0Lf'#Ff'#FfO7VO7dO'#FfO7eQMhO'#F|O9[Q`O'#F{OOQ!0Lf'#Jr'#JrOOQ!0Lb'#Jq'#JqO9aQ`O'#GwOOQ['#K^'#K^O9lQ`O'#IXO9qQ!0LrO'#IYOOQ['#J_'#J_OOQ['#I^'#I^Q`QlOOQ`QlOOO9yQ!L^O'#DvO:QQlO'#EOO:XQlO'#EQO9gQ`O'#GsO:`QMhO'#CoO:nQ`O'#EnO:yQ`O'#EyO;OQMhO'#FeO;mQ`O'#GsOOQO'#K_'#K_O;rQ`O'#K_O<QQ`O'#G{O<QQ`O'#G|O<QQ`O'#HOO9gQ`O'#HRO<wQ`O'#HUO>`Q`O'#CeO>pQ`O'#HbO>xQ`O'#HhO>xQ`O'#HjO`QlO'#HlO>xQ`O'#HnO>xQ`O'#HqO>}Q`O'#HwO?SQ!0LsO'#H}O%[QlO'#IPO?_Q!0LsO'#IRO?jQ!0LsO'#ITO9qQ!0LrO'#IVO?uQ!0MxO'#CiO@wQpO'#DlQOQ`OOO%[QlO'#EQOA_Q`O'#ETO:`QMhO'#EnOAjQ`O'#EnOAuQ!bO'#FeOOQ['#Cg'#CgOOQ!0Lb'#Dq'#DqOOQ!0Lb'#Ju'#JuO%[QlO'#JuOOQO'#Jx'#JxOOQO'#Ig'#IgOBuQpO'#EgOOQ!0Lb'#Ef'#EfOOQ!0Lb'#J|'#J|OCqQ!0MSO'#EgOC{QpO'#EWOOQO'#Jw'#JwODaQpO'#JxOEnQpO'#EWOC{QpO'#EgPE{O&2DjO'#CbPOOO)CD|)CD|OOOO'#I_'#I_OFWO#tO,59UOOQ!0Lh,59U,59UOOOO'#I`'#I`OFfO&jO,59UOFtQ!L^O'#DcOOOO'#Ib'#IbOF{O#@ItO,59{OOQ!0Lf,59{,59{OGZQlO'#IcOGnQ`O'#JsOImQ!fO'#JsO+}QlO'#JsOItQ`O,5:ROJ[Q`O'#EpOJiQ`O'#KSOJtQ`O'#KROJtQ`O'#KROJ|Q`O,5;^OKRQ`O'#KQOOQ!0Ln,5:^,5:^OKYQlO,5:^OMWQ!0MxO,5:fOMwQ`O,5:nONbQ!0LrO'#KPONiQ`O'#KOO9aQ`O'#KOON}Q`O'#KOO! VQ`O,5;]O! [Q`O'#KOO!#aQ!fO'#JrOOQ!0Lh'#Ci'#CiO%[QlO'#ESO!$PQ!fO,5:sOOQS'#Jy'#JyOOQO-E<i-E<iO9gQ`O,5=_O!$gQ`O,5=_O!$lQlO,5;ZO!&oQMhO'#EkO!(YQ`O,5;ZO!(_QlO'#DyO!(iQpO,5;dO!(qQpO,5;dO%[QlO,5;dOOQ['#FT'#FTOOQ['#FV'#FVO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eOOQ['#FZ'#FZO!)PQlO,5;tOOQ!0Lf,5;y,5;yOOQ!0Lf,5;z,5;zOOQ!0Lf,5;|,5;|O%[QlO'#IoO!+SQ!0LrO,5<iO%[QlO,5;eO!&oQMhO,5;eO!+qQMhO,5;eO!-cQMhO'#E^O%[QlO,5;wOOQ!0Lf,5;{,5;{O!-jQ,UO'#FjO!.gQ,UO'#KWO!.RQ,UO'#KWO!.nQ,UO'#KWOOQO'#KW'#KWO!/SQ,UO,5<SOOOW,5<`,5<`O!/eQlO'#FvOOOW'#In'#InO7VO7dO,5<QO!/lQ,UO'#FxOOQ!0Lf,5<Q,5<QO!0]Q$IUO'#CyOOQ!0Lh'#C}'#C}O!0pO#@ItO'#DRO!1^QMjO,5<eO!1eQ`O,5<hO!3QQ(CWO'#GXO!3_Q`O'#GYO!3dQ`O'#GYO!5SQ(CWO'#G^O!6XQpO'#GbOOQO'#Gn'#GnO!+xQMhO'#GmOOQO'#Gp'#GpO!+xQMhO'#GoO!6zQ$IUO'#JkOOQ!0Lh'#Jk'#JkO!7UQ`O'#JjO!7dQ`O'#JiO!7lQ`O'#CuOOQ!0Lh'#C{'#C{O!7}Q`O'#C}OOQ!0Lh'#DV'#DVOOQ!0Lh'#DX'#DXO1SQ`O'#DZO!+xQMhO'#GPO!+xQMhO'#GRO!8SQ`O'#GTO!8XQ`O'#GUO!3dQ`O'#G[O!+xQMhO'#GaO<QQ`O'#JjO!8^Q`O'#EqO!8{Q`O,5<gOOQ!0Lb'#Cr'#CrO!9TQ`O'#ErO!9}QpO'#EsOOQ!0Lb'#KQ'#KQO!:UQ!0LrO'#K`O9qQ!0LrO,5=cO`QlO,5>sOOQ['#Jg'#JgOOQ[,5>t,5>tOOQ[-E<[-E<[O!<TQ!0MxO,5:bO!9xQpO,5:`O!>nQ!0MxO,5:jO%[QlO,5:jO!AUQ!0MxO,5:lOOQO,5@y,5@yO!AuQMhO,5=_O!BTQ!0LrO'#JhO9[Q`O'#JhO!BfQ!0LrO,59ZO!BqQpO,59ZO!ByQMhO,59ZO:`QMhO,59ZO!CUQ`O,5;ZO!C^Q`O'#HaO!CrQ`O'#KcO%[QlO,5;}O!9xQpO,5<PO!CzQ`O,5=zO!DPQ`O,5=zO!DUQ`O,5=zO9qQ!0LrO,5=zO<QQ`O,5=jOOQO'#Cy'#CyO!DdQpO,5=gO!DlQMhO,5=hO!DwQ`O,5=jO!D|Q!bO,5=mO!EUQ`O'#K_O>}Q`O'#HWO9gQ`O'#HYO!EZQ`O'#HYO:`QMhO'#H[O!E`Q`O'#H[OOQ[,5=p,5=pO!EeQ`O'#H]O!EvQ`O'#CoO!E{Q`O,59PO!FVQ`O,59PO!H[QlO,59POOQ[,59P,59PO!HlQ!0LrO,59PO%[QlO,59PO!JwQlO'#HdOOQ['#He'#HeOOQ['#Hf'#HfO`QlO,5=|O!K_Q`O,5=|O`QlO,5>SO`QlO,5>UO!KdQ`O,5>WO`QlO,5>YO!KiQ`O,5>]O!KnQlO,5>cOOQ[,5>i,5>iO%[QlO,5>iO9qQ!0LrO,5>kOOQ[,5>m,5>mO# xQ`O,5>mOOQ[,5>o,5>oO# xQ`O,5>oOOQ[,5>q,5>qO#!fQpO'#D_O%[QlO'#JuO##XQpO'#JuO##cQpO'#DmO##tQpO'#DmO#&VQlO'#DmO#&^Q`O'#JtO#&fQ`O,5:WO#&kQ`O'#EtO#&yQ`O'#KTO#'RQ`O,5;_O#'WQpO'#DmO#'eQpO'#EVOOQ!0Lf,5:o,5:oO%[QlO,5:oO#'lQ`O,5:oO>}Q`O,5;YO!BqQpO,5;YO!ByQMhO,5;YO:`QMhO,5;YO#'tQ`O,5@aO#'yQ07dO,5:sOOQO-E<e-E<eO#)PQ!0MSO,5;ROC{QpO,5:rO#)ZQpO,5:rOC{QpO,5;RO!BfQ!0LrO,5:rOOQ!0Lb'#Ej'#EjOOQO,5;R,5;RO%[QlO,5;RO#)hQ!0LrO,5;RO#)sQ!0LrO,5;RO!BqQpO,5:rOOQO,5;X,5;XO#*RQ!0LrO,5;RPOOO'#I]'#I]P#*gO&2DjO,58|POOO,58|,58|OOOO-E<]-E<]OOQ!0Lh1G.p1G.pOOOO-E<^-E<^OOOO,59},59}O#*rQ!bO,59}OOOO-E<`-E<`OOQ!0Lf1G/g1G/gO#*wQ!fO,5>}O+}QlO,5>}OOQO,5?T,5?TO#+RQlO'#IcOOQO-E<a-E<aO#+`Q`O,5@_O#+hQ!fO,5@_O#+oQ`O,5@mOOQ!0Lf1G/m1G/mO%[QlO,5@nO#+wQ`O'#IiOOQO-E<g-E<gO#+oQ`O,5@mOOQ!0Lb1G0x1G0xOOQ!0Ln1G/x1G/xOOQ!0Ln1G0Y1G0YO%[QlO,5@kO#,]Q!0LrO,5@kO#,nQ!0LrO,5@kO#,uQ`O,5@jO9aQ`O,5@jO#,}Q`O,5@jO#-]Q`O'#IlO#,uQ`O,5@jOOQ!0Lb1G0w1G0wO!(iQpO,5:uO!(tQpO,5:uOOQS,5:w,5:wO#-}QdO,5:wO#.VQMhO1G2yO9gQ`O1G2yOOQ!0Lf1G0u1G0uO#.eQ!0MxO1G0uO#/jQ!0MvO,5;VOOQ!0Lh'#GW'#GWO#0WQ!0MzO'#JkO!$lQlO1G0uO#2cQ!fO'#JvO%[QlO'#JvO#2mQ`O,5:eOOQ!0Lh'#D_'#D_OOQ!0Lf1G1O1G1OO%[QlO1G1OOOQ!0Lf1G1f1G1fO#2rQ`O1G1OO#5WQ!0MxO1G1PO#5_Q!0MxO1G1PO#7uQ!0MxO1G1PO#7|Q!0MxO1G1PO#:dQ!0MxO1G1PO#<zQ!0MxO1G1PO#=RQ!0MxO1G1PO#=YQ!0MxO1G1PO#?pQ!0MxO1G1PO#?wQ!0MxO1G1PO#BUQ?MtO'#CiO#DPQ?MtO1G1`O#DWQ?MtO'#JrO#DkQ!0MxO,5?ZOOQ!0Lb-E<m-E<mO#FxQ!0MxO1G1PO#GuQ!0MzO1G1POOQ!0Lf1G1P1G1PO#HxQMjO'#J{O#ISQ`O,5:xO#IXQ!0MxO1G1cO#I{Q,UO,5<WO#JTQ,UO,5<XO#J]Q,UO'#FoO#JtQ`O'#FnOOQO'#KX'#KXOOQO'#Im'#ImO#JyQ,UO1G1nOOQ!0Lf1G1n1G1nOOOW1G1y1G1yO#K[Q?MtO'#JqO#KfQ`O,5<bO!)PQlO,5<bOOOW-E<l-E<lOOQ!0Lf1G1l1G1lO#KkQpO'#KWOOQ!0Lf,5<d,5<dO#KsQpO,5<dO#KxQMhO'#DTOOOO'#Ia'#IaO#LPO#@ItO,59mOOQ!0Lh,59m,59mO%[QlO1G2PO!8XQ`O'#IqO#L[Q`O,5<zOOQ!0Lh,5<w,5<wO!+xQMhO'#ItO#LxQMjO,5=XO!+xQMhO'#IvO#MkQMjO,5=ZO!&oQMhO,5=]OOQO1G2S1G2SO#MuQ!dO'#CrO#NYQ(CWO'#ErO$ _QpO'#GbO$ uQ!dO,5<sO$ |Q`O'#KZO9aQ`O'#KZO$![Q`O,5<uO!+xQMhO,5<tO$!aQ`O'#GZO$!rQ`O,5<tO$!wQ!dO'#GWO$#UQ!dO'#K[O$#`Q`O'#K[O!&oQMhO'#K[O$#eQ`O,5<xO$#jQlO'#JuO$#tQpO'#GcO##tQpO'#GcO$$VQ`O'#GgO!3dQ`O'#GkO$$[Q!0LrO'#IsO$$gQpO,5<|OOQ!0Lp,5<|,5<|O$$nQpO'#GcO$${QpO'#GdO$%^QpO'#GdO$%cQMjO,5=XO$%sQMjO,5=ZOOQ!0Lh,5=^,5=^O!+xQMhO,5@UO!+xQMhO,5@UO$&TQ`O'#IxO$&iQ`O,5@TO$&qQ`O,59aOOQ!0Lh,59i,59iO$'hQ$IYO,59uOOQ!0Lh'#Jo'#JoO$(ZQMjO,5<kO$(|QMjO,5<mO@oQ`O,5<oOOQ!0Lh,5<p,5<pO$)WQ`O,5<vO$)]QMjO,5<{O$)mQ`O,5@UO$){Q`O'#KOO!$lQlO1G2RO$*QQ`O1G2RO9aQ`O'#KRO9aQ`O'#EtO%[QlO'#EtO9aQ`O'#IzO$*VQ!0LrO,5@zOOQ[1G2}1G2}OOQ[1G4_1G4_OOQ!0Lf1G/|1G/|OOQ!0Lf1G/z1G/zO$,XQ!0MxO1G0UOOQ[1G2y1G2yO!&oQMhO1G2yO%[QlO1G2yO#.YQ`O1G2yO$.]QMhO'#EkOOQ!0Lb,5@S,5@SO$.jQ!0LrO,5@SOOQ[1G.u1G.uO!BfQ!0LrO1G.uO!BqQpO1G.uO!ByQMhO1G.uO$.{Q`O1G0uO$/QQ`O'#CiO$/]Q`O'#KdO$/eQ`O,5={O$/jQ`O'#KdO$/oQ`O'#KdO$/}Q`O'#JQO$0]Q`O,5@}O$0eQ!fO1G1iOOQ!0Lf1G1k1G1kO9gQ`O1G3fO@oQ`O1G3fO$0lQ`O1G3fO$0qQ`O1G3fOOQ[1G3f1G3fO!DwQ`O1G3UO!&oQMhO1G3RO$0vQ`O1G3ROOQ[1G3S1G3SO!&oQMhO1G3SO$0{Q`O1G3SO$1TQpO'#HQOOQ[1G3U1G3UO!6SQpO'#I|O!D|Q!bO1G3XOOQ[1G3X1G3XOOQ[,5=r,5=rO$1]QMhO,5=tO9gQ`O,5=tO$$VQ`O,5=vO9[Q`O,5=vO!BqQpO,5=vO!ByQMhO,5=vO:`QMhO,5=vO$1kQ`O'#KbO$1vQ`O,5=wOOQ[1G.k1G.kO$1{Q!0LrO1G.kO@oQ`O1G.kO$2WQ`O1G.kO9qQ!0LrO1G.kO$4`Q!fO,5APO$4mQ`O,5APO9aQ`O,5APO$4xQlO,5>OO$5PQ`O,5>OOOQ[1G3h1G3hO`QlO1G3hOOQ[1G3n1G3nOOQ[1G3p1G3pO>xQ`O1G3rO$5UQlO1G3tO$9YQlO'#HsOOQ[1G3w1G3wO$9gQ`O'#HyO>}Q`O'#H{OOQ[1G3}1G3}O$9oQlO1G3}O9qQ!0LrO1G4TOOQ[1G4V1G4VOOQ!0Lb'#G_'#G_O9qQ!0LrO1G4XO9qQ!0LrO1G4ZO$=vQ`O,5@aO!)PQlO,5;`O9aQ`O,5;`O>}Q`O,5:XO!)PQlO,5:XO!BqQpO,5:XO$={Q?MtO,5:XOOQO,5;`,5;`O$>VQpO'#IdO$>mQ`O,5@`OOQ!0Lf1G/r1G/rO$>uQpO'#IjO$?PQ`O,5@oOOQ!0Lb1G0y1G0yO##tQpO,5:XOOQO'#If'#IfO$?XQpO,5:qOOQ!0Ln,5:q,5:qO#'oQ`O1G0ZOOQ!0Lf1G0Z1G0ZO%[QlO1G0ZOOQ!0Lf1G0t1G0tO>}Q`O1G0tO!BqQpO1G0tO!ByQMhO1G0tOOQ!0Lb1G5{1G5{O!BfQ!0LrO1G0^OOQO1G0m1G0mO%[QlO1G0mO$?`Q!0LrO1G0mO$?kQ!0LrO1G0mO!BqQpO1G0^OC{QpO1G0^O$?yQ!0LrO1G0mOOQO1G0^1G0^O$@_Q!0MxO1G0mPOOO-E<Z-E<ZPOOO1G.h1G.hOOOO1G/i1G/iO$@iQ!bO,5<iO$@qQ!fO1G4iOOQO1G4o1G4oO%[QlO,5>}O$@{Q`O1G5yO$ATQ`O1G6XO$A]Q!fO1G6YO9aQ`O,5?TO$AgQ!0MxO1G6VO%[QlO1G6VO$AwQ!0LrO1G6VO$BYQ`O1G6UO$BYQ`O1G6UO9aQ`O1G6UO$BbQ`O,5?WO9aQ`O,5?WOOQO,5?W,5?WO$BvQ`O,5?WO$){Q`O,5?WOOQO-E<j-E<jOOQS1G0a1G0aOOQS1G0c1G0cO#.QQ`O1G0cOOQ[7+(e7+(eO!&oQMhO7+(eO%[QlO7+(eO$CUQ`O7+(eO$CaQMhO7+(eO$CoQ!0MzO,5=XO$EzQ!0MzO,5=ZO$HVQ!0MzO,5=XO$JhQ!0MzO,5=ZO$LyQ!0MzO,59uO% OQ!0MzO,5<kO%#ZQ!0MzO,5<mO%%fQ!0MzO,5<{OOQ!0Lf7+&a7+&aO%'wQ!0MxO7+&aO%(kQlO'#IeO%(xQ`O,5@bO%)QQ!fO,5@bOOQ!0Lf1G0P1G0PO%)[Q`O7+&jOOQ!0Lf7+&j7+&jO%)aQ?MtO,5:fO%[QlO7+&zO%)kQ?MtO,5:bO%)xQ?MtO,5:jO%*SQ?MtO,5:lO%*^QMhO'#IhO%*hQ`O,5@gOOQ!0Lh1G0d1G0dOOQO1G1r1G1rOOQO1G1s1G1sO%*pQ!jO,5<ZO!)PQlO,5<YOOQO-E<k-E<kOOQ!0Lf7+'Y7+'YOOOW7+'e7+'eOOOW1G1|1G1|O%*{Q`O1G1|OOQ!0Lf1G2O1G2OOOOO,59o,59oO%+QQ!dO,59oOOOO-E<_-E<_OOQ!0Lh1G/X1G/XO%+XQ!0MxO7+'kOOQ!0Lh,5?],5?]O%+{QMhO1G2fP%,SQ`O'#IqPOQ!0Lh-E<o-E<oO%,pQMjO,5?`OOQ!0Lh-E<r-E<rO%-cQMjO,5?bOOQ!0Lh-E<t-E<tO%-mQ!dO1G2wO%-tQ!dO'#CrO%.[QMhO'#KRO$#jQlO'#JuOOQ!0Lh1G2_1G2_O%.cQ`O'#IpO%.wQ`O,5@uO%.wQ`O,5@uO%/PQ`O,5@uO%/[Q`O,5@uOOQO1G2a1G2aO%/jQMjO1G2`O!+xQMhO1G2`O%/zQ(CWO'#IrO%0XQ`O,5@vO!&oQMhO,5@vO%0aQ!dO,5@vOOQ!0Lh1G2d1G2dO%2qQ!fO'#CiO%2{Q`O,5=POOQ!0Lb,5<},5<}O%3TQpO,5<}OOQ!0Lb,5=O,5=OOClQ`O,5<}O%3`QpO,5<}OOQ!0Lb,5=R,5=RO$){Q`O,5=VOOQO,5?_,5?_OOQO-E<q-E<qOOQ!0Lp1G2h1G2hO##tQpO,5<}O$#jQlO,5=PO%3nQ`O,5=OO%3yQpO,5=OO!+xQMhO'#ItO%4sQMjO1G2sO!+xQMhO'#IvO%5fQMjO1G2uO%5pQMjO1G5pO%5zQMjO1G5pOOQO,5?d,5?dOOQO-E<v-E<vOOQO1G.{1G.{O!9xQpO,59wO%[QlO,59wOOQ!0Lh,5<j,5<jO%6XQ`O1G2ZO!+xQMhO1G2bO!+xQMhO1G5pO!+xQMhO1G5pO%6^Q!0MxO7+'mOOQ!0Lf7+'m7+'mO!$lQlO7+'mO%7QQ`O,5;`OOQ!0Lb,5?f,5?fOOQ!0Lb-E<x-E<xO%7VQ!dO'#K]O#'oQ`O7+(eO4UQ!fO7+(eO$CXQ`O7+(eO%7aQ!0MvO'#CiO%7tQ!0MvO,5=SO%8fQ`O,5=SO%8nQ`O,5=SOOQ!0Lb1G5n1G5nOOQ[7+$a7+$aO!BfQ!0LrO7+$aO!BqQpO7+$aO!$lQlO7+&aO%8sQ`O'#JPO%9[Q`O,5AOOOQO1G3g1G3gO9gQ`O,5AOO%9[Q`O,5AOO%9dQ`O,5AOOOQO,5?l,5?lOOQO-E=O-E=OOOQ!0Lf7+'T7+'TO%9iQ`O7+)QO9qQ!0LrO7+)QO9gQ`O7+)QO@oQ`O7+)QOOQ[7+(p7+(pO%9nQ!0MvO7+(mO!&oQMhO7+(mO!DrQ`O7+(nOOQ[7+(n7+(nO!&oQMhO7+(nO%9xQ`O'#KaO%:TQ`O,5=lOOQO,5?h,5?hOOQO-E<z-E<zOOQ[7+(s7+(sO%;gQpO'#HZOOQ[1G3`1G3`O!&oQMhO1G3`O%[QlO1G3`O%;nQ`O1G3`O%;yQMhO1G3`O9qQ!0LrO1G3bO$$VQ`O1G3bO9[Q`O1G3bO!BqQpO1G3bO!ByQMhO1G3bO%<XQ`O'#JOO%<mQ`O,5@|O%<uQpO,5@|OOQ!0Lb1G3c1G3cOOQ[7+$V7+$VO@oQ`O7+$VO9qQ!0LrO7+$VO%=QQ`O7+$VO%[QlO1G6kO%[QlO1G6lO%=VQ!0LrO1G6kO%=aQlO1G3jO%=hQ`O1G3jO%=mQlO1G3jOOQ[7+)S7+)SO9qQ!0LrO7+)^O`QlO7+)`OOQ['#Kg'#KgOOQ['#JR'#JRO%=tQlO,5>_OOQ[,5>_,5>_O%[QlO'#HtO%>RQ`O'#HvOOQ[,5>e,5>eO9aQ`O,5>eOOQ[,5>g,5>gOOQ[7+)i7+)iOOQ[7+)o7+)oOOQ[7+)s7+)sOOQ[7+)u7+)uO%>WQpO1G5{O%>rQ?MtO1G0zO%>|Q`O1G0zOOQO1G/s1G/sO%?XQ?MtO1G/sO>}Q`O1G/sO!)PQlO'#DmOOQO,5?O,5?OOOQO-E<b-E<bOOQO,5?U,5?UOOQO-E<h-E<hO!BqQpO1G/sOOQO-E<d-E<dOOQ!0Ln1G0]1G0]OOQ!0Lf7+%u7+%uO#'oQ`O7+%uOOQ!0Lf7+&`7+&`O>}Q`O7+&`O!BqQpO7+&`OOQO7+%x7+%xO$@_Q!0MxO7+&XOOQO7+&X7+&XO%[QlO7+&XO%?cQ!0LrO7+&XO!BfQ!0LrO7+%xO!BqQpO7+%xO%?nQ!0LrO7+&XO%?|Q!0MxO7++qO%[QlO7++qO%@^Q`O7++pO%@^Q`O7++pOOQO1G4r1G4rO9aQ`O1G4rO%@fQ`O1G4rOOQS7+%}7+%}O#'oQ`O<<LPO4UQ!fO<<LPO%@tQ`O<<LPOOQ[<<LP<<LPO!&oQMhO<<LPO%[QlO<<LPO%@|Q`O<<LPO%AXQ!0MzO,5?`O%CdQ!0MzO,5?bO%EoQ!0MzO1G2`O%HQQ!0MzO1G2sO%J]Q!0MzO1G2uO%LhQ!fO,5?PO%[QlO,5?POOQO-E<c-E<cO%LrQ`O1G5|OOQ!0Lf<<JU<<JUO%LzQ?MtO1G0uO& RQ?MtO1G1PO& YQ?MtO1G1PO&#ZQ?MtO1G1PO&#bQ?MtO1G1PO&%cQ?MtO1G1PO&'dQ?MtO1G1PO&'kQ?MtO1G1PO&'rQ?MtO1G1PO&)sQ?MtO1G1PO&)zQ?MtO1G1PO&*RQ!0MxO<<JfO&+yQ?MtO1G1PO&,vQ?MvO1G1PO&-yQ?MvO'#JkO&0PQ?MtO1G1cO&0^Q?MtO1G0UO&0hQMjO,5?SOOQO-E<f-E<fO!)PQlO'#FqOOQO'#KY'#KYOOQO1G1u1G1uO&0rQ`O1G1tO&0wQ?MtO,5?ZOOOW7+'h7+'hOOOO1G/Z1G/ZO&1RQ!dO1G4wOOQ!0Lh7+(Q7+(QP!&oQMhO,5?]O!+xQMhO7+(cO&1YQ`O,5?[O9aQ`O,5?[OOQO-E<n-E<nO&1hQ`O1G6aO&1hQ`O1G6aO&1pQ`O1G6aO&1{QMjO7+'zO&2]Q!dO,5?^O&2gQ`O,5?^O!&oQMhO,5?^OOQO-E<p-E<pO&2lQ!dO1G6bO&2vQ`O1G6bO&3OQ`O1G2kO!&oQMhO1G2kOOQ!0Lb1G2i1G2iOOQ!0Lb1G2j1G2jO%3TQpO1G2iO!BqQpO1G2iOClQ`O1G2iOOQ!0Lb1G2q1G2qO&3TQpO1G2iO&3cQ`O1G2kO$){Q`O1G2jOClQ`O1G2jO$#jQlO1G2kO&3kQ`O1G2jO&4_QMjO,5?`OOQ!0Lh-E<s-E<sO&5QQMjO,5?bOOQ!0Lh-E<u-E<uO!+xQMhO7++[OOQ!0Lh1G/c1G/cO&5[Q`O1G/cOOQ!0Lh7+'u7+'uO&5aQMjO7+'|O&5qQMjO7++[O&5{QMjO7++[O&6YQ!0MxO<<KXOOQ!0Lf<<KX<<KXO&6|Q`O1G0zO!&oQMhO'#IyO&7RQ`O,5@wO&9TQ!fO<<LPO!&oQMhO1G2nO&9[Q!0LrO1G2nOOQ[<<G{<<G{O!BfQ!0LrO<<G{O&9mQ!0MxO<<I{OOQ!0Lf<<I{<<I{OOQO,5?k,5?kO&:aQ`O,5?kO&:fQ`O,5?kOOQO-E<}-E<}O&:tQ`O1G6jO&:tQ`O1G6jO9gQ`O1G6jO@oQ`O<<LlOOQ[<<Ll<<LlO&:|Q`O<<LlO9qQ!0LrO<<LlOOQ[<<LX<<LXO%9nQ!0MvO<<LXOOQ[<<LY<<LYO!DrQ`O<<LYO&;RQpO'#I{O&;^Q`O,5@{O!)PQlO,5@{OOQ[1G3W1G3WOOQO'#I}'#I}O9qQ!0LrO'#I}O&;fQpO,5=uOOQ[,5=u,5=uO&;mQpO'#EgO&;tQpO'#GeO&;yQ`O7+(zO&<OQ`O7+(zOOQ[7+(z7+(zO!&oQMhO7+(zO%[QlO7+(zO&<WQ`O7+(zOOQ[7+(|7+(|O9qQ!0LrO7+(|O$$VQ`O7+(|O9[Q`O7+(|O!BqQpO7+(|O&<cQ`O,5?jOOQO-E<|-E<|OOQO'#H^'#H^O&<nQ`O1G6hO9qQ!0LrO<<GqOOQ[<<Gq<<GqO@oQ`O<<GqO&<vQ`O7+,VO&<{Q`O7+,WO%[QlO7+,VO%[QlO7+,WOOQ[7+)U7+)UO&=QQ`O7+)UO&=VQlO7+)UO&=^Q`O7+)UOOQ[<<Lx<<LxOOQ[<<Lz<<LzOOQ[-E=P-E=POOQ[1G3y1G3yO&=cQ`O,5>`OOQ[,5>b,5>bO&=hQ`O1G4PO9aQ`O7+&fO!)PQlO7+&fOOQO7+%_7+%_O&=mQ?MtO1G6YO>}Q`O7+%_OOQ!0Lf<<Ia<<IaOOQ!0Lf<<Iz<<IzO>}Q`O<<IzOOQO<<Is<<IsO$@_Q!0MxO<<IsO%[QlO<<IsOOQO<<Id<<IdO!BfQ!0LrO<<IdO&=wQ!0LrO<<IsO&>SQ!0MxO<= ]O&>dQ`O<= [OOQO7+*^7+*^O9aQ`O7+*^OOQ[ANAkANAkO&>lQ!fOANAkO!&oQMhOANAkO#'oQ`OANAkO4UQ!fOANAkO&>sQ`OANAkO%[QlOANAkO&>{Q!0MzO7+'zO&A^Q!0MzO,5?`O&CiQ!0MzO,5?bO&EtQ!0MzO7+'|O&HVQ!fO1G4kO&HaQ?MtO7+&aO&JeQ?MvO,5=XO&LlQ?MvO,5=ZO&L|Q?MvO,5=XO&M^Q?MvO,5=ZO&MnQ?MvO,59uO' tQ?MvO,5<kO'#wQ?MvO,5<mO'&]Q?MvO,5<{O'(RQ?MtO7+'kO'(`Q?MtO7+'mO'(mQ`O,5<]OOQO7+'`7+'`OOQ!0Lh7+*c7+*cO'(rQMjO<<K}OOQO1G4v1G4vO'(yQ`O1G4vO')UQ`O1G4vO')dQ`O7++{O')dQ`O7++{O!&oQMhO1G4xO')lQ!dO1G4xO')vQ`O7++|O'*OQ`O7+(VO'*ZQ!dO7+(VOOQ!0Lb7+(T7+(TOOQ!0Lb7+(U7+(UO!BqQpO7+(TOClQ`O7+(TO'*eQ`O7+(VO!&oQMhO7+(VO$){Q`O7+(UO'*jQ`O7+(VOClQ`O7+(UO'*rQMjO<<NvOOQ!0Lh7+$}7+$}O!+xQMhO<<NvO'*|Q!dO,5?eOOQO-E<w-E<wO'+WQ!0MvO7+(YO!&oQMhO7+(YOOQ[AN=gAN=gO9gQ`O1G5VOOQO1G5V1G5VO'+hQ`O1G5VO'+mQ`O7+,UO'+mQ`O7+,UO9qQ!0LrOANBWO@oQ`OANBWOOQ[ANBWANBWOOQ[ANAsANAsOOQ[ANAtANAtO'+uQ`O,5?gOOQO-E<y-E<yO',QQ?MtO1G6gOOQO,5?i,5?iOOQO-E<{-E<{OOQ[1G3a1G3aO',[Q`O,5=POOQ[<<Lf<<LfO!&oQMhO<<LfO&;yQ`O<<LfO',aQ`O<<LfO%[QlO<<LfOOQ[<<Lh<<LhO9qQ!0LrO<<LhO$$VQ`O<<LhO9[Q`O<<LhO',iQpO1G5UO',tQ`O7+,SOOQ[AN=]AN=]O9qQ!0LrOAN=]OOQ[<= q<= qOOQ[<= r<= rO',|Q`O<= qO'-RQ`O<= rOOQ[<<Lp<<LpO'-WQ`O<<LpO'-]QlO<<LpOOQ[1G3z1G3zO>}Q`O7+)kO'-dQ`O<<JQO'-oQ?MtO<<JQOOQO<<Hy<<HyOOQ!0LfAN?fAN?fOOQOAN?_AN?_O$@_Q!0MxOAN?_OOQOAN?OAN?OO%[QlOAN?_OOQO<<Mx<<MxOOQ[G27VG27VO!&oQMhOG27VO#'oQ`OG27VO'-yQ!fOG27VO4UQ!fOG27VO'.QQ`OG27VO'.YQ?MtO<<JfO'.gQ?MvO1G2`O'0]Q?MvO,5?`O'2`Q?MvO,5?bO'4cQ?MvO1G2sO'6fQ?MvO1G2uO'8iQ?MtO<<KXO'8vQ?MtO<<I{OOQO1G1w1G1wO!+xQMhOANAiOOQO7+*b7+*bO'9TQ`O7+*bO'9`Q`O<= gO'9hQ!dO7+*dOOQ!0Lb<<Kq<<KqO$){Q`O<<KqOClQ`O<<KqO'9rQ`O<<KqO!&oQMhO<<KqOOQ!0Lb<<Ko<<KoO!BqQpO<<KoO'9}Q!dO<<KqOOQ!0Lb<<Kp<<KpO':XQ`O<<KqO!&oQMhO<<KqO$){Q`O<<KpO':^QMjOANDbO':hQ!0MvO<<KtOOQO7+*q7+*qO9gQ`O7+*qO':xQ`O<= pOOQ[G27rG27rO9qQ!0LrOG27rO!)PQlO1G5RO';QQ`O7+,RO';YQ`O1G2kO&;yQ`OANBQOOQ[ANBQANBQO!&oQMhOANBQO';_Q`OANBQOOQ[ANBSANBSO9qQ!0LrOANBSO$$VQ`OANBSOOQO'#H_'#H_OOQO7+*p7+*pOOQ[G22wG22wOOQ[ANE]ANE]OOQ[ANE^ANE^OOQ[ANB[ANB[O';gQ`OANB[OOQ[<<MV<<MVO!)PQlOAN?lOOQOG24yG24yO$@_Q!0MxOG24yO#'oQ`OLD,qOOQ[LD,qLD,qO!&oQMhOLD,qO';lQ!fOLD,qO';sQ?MvO7+'zO'=iQ?MvO,5?`O'?lQ?MvO,5?bO'AoQ?MvO7+'|O'CeQMjOG27TOOQO<<M|<<M|OOQ!0LbANA]ANA]O$){Q`OANA]OClQ`OANA]O'CuQ!dOANA]OOQ!0LbANAZANAZO'C|Q`OANA]O!&oQMhOANA]O'DXQ!dOANA]OOQ!0LbANA[ANA[OOQO<<N]<<N]OOQ[LD-^LD-^O'DcQ?MtO7+*mOOQO'#Gf'#GfOOQ[G27lG27lO&;yQ`OG27lO!&oQMhOG27lOOQ[G27nG27nO9qQ!0LrOG27nOOQ[G27vG27vO'DmQ?MtOG25WOOQOLD*eLD*eOOQ[!$(!]!$(!]O#'oQ`O!$(!]O!&oQMhO!$(!]O'DwQ!0MzOG27TOOQ!0LbG26wG26wO$){Q`OG26wO'GYQ`OG26wOClQ`OG26wO'GeQ!dOG26wO!&oQMhOG26wOOQ[LD-WLD-WO&;yQ`OLD-WOOQ[LD-YLD-YOOQ[!)9Ew!)9EwO#'oQ`O!)9EwOOQ!0LbLD,cLD,cO$){Q`OLD,cOClQ`OLD,cO'GlQ`OLD,cO'GwQ!dOLD,cOOQ[!$(!r!$(!rOOQ[!.K;c!.K;cO'HOQ?MvOG27TOOQ!0Lb!$( }!$( }O$){Q`O!$( }OClQ`O!$( }O'ItQ`O!$( }OOQ!0Lb!)9Ei!)9EiO$){Q`O!)9EiOClQ`O!)9EiOOQ!0Lb!.K;T!.K;TO$){Q`O!.K;TOOQ!0Lb!4/0o!4/0oO!)PQlO'#DzO1PQ`O'#EXO'JPQ!fO'#JqO'JWQ!L^O'#DvO'J_QlO'#EOO'JfQ!fO'#CiO'L|Q!fO'#CiO!)PQlO'#EQO'M^QlO,5;ZO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO'#IoO( aQ`O,5<iO!)PQlO,5;eO( iQMhO,5;eO(#SQMhO,5;eO!)PQlO,5;wO!&oQMhO'#GmO( iQMhO'#GmO!&oQMhO'#GoO( iQMhO'#GoO1SQ`O'#DZO1SQ`O'#DZO!&oQMhO'#GPO( iQMhO'#GPO!&oQMhO'#GRO( iQMhO'#GRO!&oQMhO'#GaO( iQMhO'#GaO!)PQlO,5:jO(#ZQpO'#D_O(#eQpO'#JuO!)PQlO,5@nO'M^QlO1G0uO(#oQ?MtO'#CiO!)PQlO1G2PO!&oQMhO'#ItO( iQMhO'#ItO!&oQMhO'#IvO( iQMhO'#IvO(#yQ!dO'#CrO!&oQMhO,5<tO( iQMhO,5<tO'M^QlO1G2RO!)PQlO7+&zO!&oQMhO1G2`O( iQMhO1G2`O!&oQMhO'#ItO( iQMhO'#ItO!&oQMhO'#IvO( iQMhO'#IvO!&oQMhO1G2bO( iQMhO1G2bO'M^QlO7+'mO'M^QlO7+&aO!&oQMhOANAiO( iQMhOANAiO($^Q`O'#EoO($cQ`O'#EoO($kQ`O'#F]O($pQ`O'#EyO($uQ`O'#KSO(%QQ`O'#KQO(%]Q`O,5;ZO(%bQMjO,5<eO(%iQ`O'#GYO(%nQ`O'#GYO(%sQ`O,5<gO(%{Q`O,5;ZO(&TQ?MtO1G1`O(&[Q`O,5<tO(&aQ`O,5<tO(&fQ`O,5<vO(&kQ`O,5<vO(&pQ`O1G2RO(&uQ`O1G0uO(&zQMjO<<K}O('RQMjO<<K}O7eQMhO'#F|O9[Q`O'#F{OAjQ`O'#EnO!)PQlO,5;tO!3dQ`O'#GYO!3dQ`O'#GYO!3dQ`O'#G[O!3dQ`O'#G[O!+xQMhO7+(cO!+xQMhO7+(cO%-mQ!dO1G2wO%-mQ!dO1G2wO!&oQMhO,5=]O!&oQMhO,5=]",
-    stateData: "((X~O'{OS'|OSTOS'}RQ~OPYOQYOSfOY!VOaqOdzOeyOl!POpkOrYOskOtkOzkO|YO!OYO!SWO!WkO!XkO!_XO!iuO!lZO!oYO!pYO!qYO!svO!uwO!xxO!|]O$W|O$niO%h}O%j!QO%l!OO%m!OO%n!OO%q!RO%s!SO%v!TO%w!TO%y!UO&V!WO&]!XO&_!YO&a!ZO&c![O&f!]O&l!^O&r!_O&t!`O&v!aO&x!bO&z!cO(SSO(UTO(XUO(`VO(n[O~OWtO~P`OPYOQYOSfOd!jOe!iOpkOrYOskOtkOzkO|YO!OYO!SWO!WkO!XkO!_!eO!iuO!lZO!oYO!pYO!qYO!svO!u!gO!x!hO$W!kO$niO(S!dO(UTO(XUO(`VO(n[O~Oa!wOs!nO!S!oO!b!yO!c!vO!d!vO!|;wO#T!pO#U!pO#V!xO#W!pO#X!pO#[!zO#]!zO(T!lO(UTO(XUO(d!mO(n!sO~O'}!{O~OP]XR]X[]Xa]Xj]Xr]X!Q]X!S]X!]]X!l]X!p]X#R]X#S]X#`]X#kfX#n]X#o]X#p]X#q]X#r]X#s]X#t]X#u]X#v]X#x]X#z]X#{]X$Q]X'y]X(`]X(q]X(x]X(y]X~O!g%RX~P(qO_!}O(U#PO(V!}O(W#PO~O_#QO(W#PO(X#PO(Y#QO~Ox#SO!U#TO(a#TO(b#VO~OPYOQYOSfOd!jOe!iOpkOrYOskOtkOzkO|YO!OYO!SWO!WkO!XkO!_!eO!iuO!lZO!oYO!pYO!qYO!svO!u!gO!x!hO$W!kO$niO(S;{O(UTO(XUO(`VO(n[O~O![#ZO!]#WO!Y(gP!Y(uP~P+}O!^#cO~P`OPYOQYOSfOd!jOe!iOrYOskOtkOzkO|YO!OYO!SWO!WkO!XkO!_!eO!iuO!lZO!oYO!pYO!qYO!svO!u!gO!x!hO$W!kO$niO(UTO(XUO(`VO(n[O~Op#mO![#iO!|]O#i#lO#j#iO(S;|O!k(rP~P.iO!l#oO(S#nO~O!x#sO!|]O%h#tO~O#k#uO~O!g#vO#k#uO~OP$[OR#zO[$cOj$ROr$aO!Q#yO!S#{O!]$_O!l#xO!p$[O#R$RO#n$OO#o$PO#p$PO#q$PO#r$QO#s$RO#t$RO#u$bO#v$SO#x$UO#z$WO#{$XO(`VO(q$YO(x#|O(y#}O~Oa(eX'y(eX'v(eX!k(eX!Y(eX!_(eX%i(eX!g(eX~P1qO#S$dO#`$eO$Q$eOP(fXR(fX[(fXj(fXr(fX!Q(fX!S(fX!](fX!l(fX!p(fX#R(fX#n(fX#o(fX#p(fX#q(fX#r(fX#s(fX#t(fX#u(fX#v(fX#x(fX#z(fX#{(fX(`(fX(q(fX(x(fX(y(fX!_(fX%i(fX~Oa(fX'y(fX'v(fX!Y(fX!k(fXv(fX!g(fX~P4UO#`$eO~O$]$hO$_$gO$f$mO~OSfO!_$nO$i$oO$k$qO~Oh%VOj%cOk%cOl%cOp%WOr%XOs$tOt$tOz%YO|%ZO!O%[O!S${O!_$|O!i%aO!l$xO#j%bO$W%_O$t%]O$v%^O$y%`O(S$sO(UTO(XUO(`$uO(x$}O(y%POg(]P~O!l%dO~O!S%gO!_%hO(S%fO~O!g%lO~Oa%mO'y%mO~O!Q%qO~P%[O(T!lO~P%[O%n%uO~P%[Oh%VO!l%dO(S%fO(T!lO~Oe%|O!l%dO(S%fO~Oj$RO~O!Q&RO!_&OO!l&QO%j&UO(S%fO(T!lO(UTO(XUO`)VP~O!x#sO~O%s&WO!S)RX!_)RX(S)RX~O(S&XO~Ol!PO!u&^O%j!QO%l!OO%m!OO%n!OO%q!RO%s!SO%v!TO%w!TO~Od&cOe&bO!x&`O%h&aO%{&_O~P<VOd&fOeyOl!PO!_&eO!u&^O!xxO!|]O%h}O%l!OO%m!OO%n!OO%q!RO%s!SO%v!TO%w!TO%y!UO~Ob&iO#`&lO%j&gO(T!lO~P=[O!l&mO!u&qO~O!l#oO~O!_XO~Oa%mO'w&yO'y%mO~Oa%mO'w&|O'y%mO~Oa%mO'w'OO'y%mO~O'v]X!Y]Xv]X!k]X&Z]X!_]X%i]X!g]X~P(qO!b']O!c'UO!d'UO(T!lO(UTO(XUO~Os'SO!S'RO!['VO(d'QO!^(hP!^(wP~P@cOn'`O!_'^O(S%fO~Oe'eO!l%dO(S%fO~O!Q&RO!l&QO~Os!nO!S!oO!|;wO#T!pO#U!pO#W!pO#X!pO(T!lO(UTO(XUO(d!mO(n!sO~O!b'kO!c'jO!d'jO#V!pO#['lO#]'lO~PA}Oa%mOh%VO!g#vO!l%dO'y%mO(q'nO~O!p'rO#`'pO~PC]Os!nO!S!oO(UTO(XUO(d!mO(n!sO~O!_XOs(lX!S(lX!b(lX!c(lX!d(lX!|(lX#T(lX#U(lX#V(lX#W(lX#X(lX#[(lX#](lX(T(lX(U(lX(X(lX(d(lX(n(lX~O!c'jO!d'jO(T!lO~PC{O(O'vO(P'vO(Q'xO~O_!}O(U'zO(V!}O(W'zO~O_#QO(W'zO(X'zO(Y#QO~Ov'|O~P%[Ox#SO!U#TO(a#TO(b(PO~O![(RO!Y'VX!Y']X!]'VX!]']X~P+}O!](TO!Y(gX~OP$[OR#zO[$cOj$ROr$aO!Q#yO!S#{O!](TO!l#xO!p$[O#R$RO#n$OO#o$PO#p$PO#q$PO#r$QO#s$RO#t$RO#u$bO#v$SO#x$UO#z$WO#{$XO(`VO(q$YO(x#|O(y#}O~O!Y(gX~PGvO!Y(YO~O!Y(tX!](tX!g(tX!k(tX(q(tX~O#`(tX#k#dX!^(tX~PIyO#`(ZO!Y(vX!](vX~O!]([O!Y(uX~O!Y(_O~O#`$eO~PIyO!^(`O~P`OR#zO!Q#yO!S#{O!l#xO(`VOP!na[!naj!nar!na!]!na!p!na#R!na#n!na#o!na#p!na#q!na#r!na#s!na#t!na#u!na#v!na#x!na#z!na#{!na(q!na(x!na(y!na~Oa!na'y!na'v!na!Y!na!k!nav!na!_!na%i!na!g!na~PKaO!k(aO~O!g#vO#`(bO(q'nO!](sXa(sX'y(sX~O!k(sX~PM|O!S%gO!_%hO!|]O#i(gO#j(fO(S%fO~O!](hO!k(rX~O!k(jO~O!S%gO!_%hO#j(fO(S%fO~OP(fXR(fX[(fXj(fXr(fX!Q(fX!S(fX!](fX!l(fX!p(fX#R(fX#n(fX#o(fX#p(fX#q(fX#r(fX#s(fX#t(fX#u(fX#v(fX#x(fX#z(fX#{(fX(`(fX(q(fX(x(fX(y(fX~O!g#vO!k(fX~P! jOR(lO!Q(kO!l#xO#S$dO!|!{a!S!{a~O!x!{a%h!{a!_!{a#i!{a#j!{a(S!{a~P!#kO!x(pO~OPYOQYOSfOd!jOe!iOpkOrYOskOtkOzkO|YO!OYO!SWO!WkO!XkO!_XO!iuO!lZO!oYO!pYO!qYO!svO!u!gO!x!hO$W!kO$niO(S!dO(UTO(XUO(`VO(n[O~Oh%VOp%WOr%XOs$tOt$tOz%YO|%ZO!O<eO!S${O!_$|O!i=vO!l$xO#j<kO$W%_O$t<gO$v<iO$y%`O(S(tO(UTO(XUO(`$uO(x$}O(y%PO~O#k(vO~O![(xO!k(jP~P%[O(d(zO(n[O~O!S(|O!l#xO(d(zO(n[O~OP;vOQ;vOSfOd=rOe!iOpkOr;vOskOtkOzkO|;vO!O;vO!SWO!WkO!XkO!_!eO!i;yO!lZO!o;vO!p;vO!q;vO!s;zO!u;}O!x!hO$W!kO$n=pO(S)ZO(UTO(XUO(`VO(n[O~O!]$_Oa$qa'y$qa'v$qa!k$qa!Y$qa!_$qa%i$qa!g$qa~Ol)bO~P!&oOh%VOp%WOr%XOs$tOt$tOz%YO|%ZO!O%[O!S${O!_$|O!i%aO!l$xO#j%bO$W%_O$t%]O$v%^O$y%`O(S(tO(UTO(XUO(`$uO(x$}O(y%PO~Og(oP~P!+xO!Q)gO!g)fO!_$^X$Z$^X$]$^X$_$^X$f$^X~O!g)fO!_(zX$Z(zX$](zX$_(zX$f(zX~O!Q)gO~P!.RO!Q)gO!_(zX$Z(zX$](zX$_(zX$f(zX~O!_)iO$Z)mO$])hO$_)hO$f)nO~O![)qO~P!)PO$]$hO$_$gO$f)uO~On$zX!Q$zX#S$zX'x$zX(x$zX(y$zX~OgmXg$zXnmX!]mX#`mX~P!/wOx)wO(a)xO(b)zO~On*TO!Q)|O'x)}O(x$}O(y%PO~Og){O~P!0{Og*UO~Oh%VOp%WOr%XOs$tOt$tOz%YO|%ZO!O<eO!S*WO!_*XO!i=vO!l$xO#j<kO$W%_O$t<gO$v<iO$y%`O(UTO(XUO(`$uO(x$}O(y%PO~O![*[O(S*VO!k(}P~P!1jO#k*^O~O!l*_O~Oh%VOp%WOr%XOs$tOt$tOz%YO|%ZO!O<eO!S${O!_$|O!i=vO!l$xO#j<kO$W%_O$t<gO$v<iO$y%`O(S*aO(UTO(XUO(`$uO(x$}O(y%PO~O![*dO!Y)OP~P!3iOr*pOs!nO!S*fO!b*nO!c*hO!d*hO!l*_O#[*oO%`*jO(T!lO(UTO(XUO(d!mO~O!^*mO~P!5^O#S$dOn(_X!Q(_X'x(_X(x(_X(y(_X!](_X#`(_X~Og(_X$O(_X~P!6`On*uO#`*tOg(^X!](^X~O!]*vOg(]X~Oj%cOk%cOl%cO(S&XOg(]P~Os*yO~O!l+OO~O(S(tO~Op+TO!S%gO![#iO!_%hO!|]O#i#lO#j#iO(S%fO!k(rP~O!g#vO#k+UO~O!S%gO![+WO!]([O!_%hO(S%fO!Y(uP~Os'YO!S+YO![+XO(UTO(XUO(d(zO~O!^(wP~P!9iO!]+ZOa)SX'y)SX~OP$[OR#zO[$cOj$ROr$aO!Q#yO!S#{O!l#xO!p$[O#R$RO#n$OO#o$PO#p$PO#q$PO#r$QO#s$RO#t$RO#u$bO#v$SO#x$UO#z$WO#{$XO(`VO(q$YO(x#|O(y#}O~Oa!ja!]!ja'y!ja'v!ja!Y!ja!k!jav!ja!_!ja%i!ja!g!ja~P!:aOR#zO!Q#yO!S#{O!l#xO(`VOP!ra[!raj!rar!ra!]!ra!p!ra#R!ra#n!ra#o!ra#p!ra#q!ra#r!ra#s!ra#t!ra#u!ra#v!ra#x!ra#z!ra#{!ra(q!ra(x!ra(y!ra~Oa!ra'y!ra'v!ra!Y!ra!k!rav!ra!_!ra%i!ra!g!ra~P!<wOR#zO!Q#yO!S#{O!l#xO(`VOP!ta[!taj!tar!ta!]!ta!p!ta#R!ta#n!ta#o!ta#p!ta#q!ta#r!ta#s!ta#t!ta#u!ta#v!ta#x!ta#z!ta#{!ta(q!ta(x!ta(y!ta~Oa!ta'y!ta'v!ta!Y!ta!k!tav!ta!_!ta%i!ta!g!ta~P!?_Oh%VOn+dO!_'^O%i+cO~O!g+fOa([X!_([X'y([X!]([X~Oa%mO!_XO'y%mO~Oh%VO!l%dO~Oh%VO!l%dO(S%fO~O!g#vO#k(vO~Ob+qO%j+rO(S+nO(UTO(XUO!^)WP~O!]+sO`)VX~O[+wO~O`+xO~O!_&OO(S%fO(T!lO`)VP~Oh%VO#`+}O~Oh%VOn,QO!_$|O~O!_,SO~O!Q,UO!_XO~O%n%uO~O!x,ZO~Oe,`O~Ob,aO(S#nO(UTO(XUO!^)UP~Oe%|O~O%j!QO(S&XO~P=[O[,fO`,eO~OPYOQYOSfOdzOeyOpkOrYOskOtkOzkO|YO!OYO!SWO!WkO!XkO!iuO!lZO!oYO!pYO!qYO!svO!xxO!|]O$niO%h}O(UTO(XUO(`VO(n[O~O!_!eO!u!gO$W!kO(S!dO~P!F_O`,eOa%mO'y%mO~OPYOQYOSfOd!jOe!iOpkOrYOskOtkOzkO|YO!OYO!SWO!WkO!XkO!_!eO!iuO!lZO!oYO!pYO!qYO!svO!x!hO$W!kO$niO(S!dO(UTO(XUO(`VO(n[O~Oa,kOl!OO!uwO%l!OO%m!OO%n!OO~P!HwO!l&mO~O&],qO~O!_,sO~O&n,uO&p,vOP&kaQ&kaS&kaY&kaa&kad&kae&kal&kap&kar&kas&kat&kaz&ka|&ka!O&ka!S&ka!W&ka!X&ka!_&ka!i&ka!l&ka!o&ka!p&ka!q&ka!s&ka!u&ka!x&ka!|&ka$W&ka$n&ka%h&ka%j&ka%l&ka%m&ka%n&ka%q&ka%s&ka%v&ka%w&ka%y&ka&V&ka&]&ka&_&ka&a&ka&c&ka&f&ka&l&ka&r&ka&t&ka&v&ka&x&ka&z&ka'v&ka(S&ka(U&ka(X&ka(`&ka(n&ka!^&ka&d&kab&ka&i&ka~O(S,{O~Oh!eX!]!RX!^!RX!g!RX!g!eX!l!eX#`!RX~O!]!eX!^!eX~P# }O!g-QO#`-POh(iX!]#hX!^#hX!g(iX!l(iX~O!](iX!^(iX~P#!pOh%VO!g-SO!l%dO!]!aX!^!aX~Os!nO!S!oO(UTO(XUO(d!mO~OP;vOQ;vOSfOd=rOe!iOpkOr;vOskOtkOzkO|;vO!O;vO!SWO!WkO!XkO!_!eO!i;yO!lZO!o;vO!p;vO!q;vO!s;zO!u;}O!x!hO$W!kO$n=pO(UTO(XUO(`VO(n[O~O(S<rO~P#$VO!]-WO!^(hX~O!^-YO~O!g-QO#`-PO!]#hX!^#hX~O!]-ZO!^(wX~O!^-]O~O!c-^O!d-^O(T!lO~P##tO!^-aO~P'_On-dO!_'^O~O!Y-iO~Os!{a!b!{a!c!{a!d!{a#T!{a#U!{a#V!{a#W!{a#X!{a#[!{a#]!{a(T!{a(U!{a(X!{a(d!{a(n!{a~P!#kO!p-nO#`-lO~PC]O!c-pO!d-pO(T!lO~PC{Oa%mO#`-lO'y%mO~Oa%mO!g#vO#`-lO'y%mO~Oa%mO!g#vO!p-nO#`-lO'y%mO(q'nO~O(O'vO(P'vO(Q-uO~Ov-vO~O!Y'Va!]'Va~P!:aO![-zO!Y'VX!]'VX~P%[O!](TO!Y(ga~O!Y(ga~PGvO!]([O!Y(ua~O!S%gO![.OO!_%hO(S%fO!Y']X!]']X~O#`.QO!](sa!k(saa(sa'y(sa~O!g#vO~P#,]O!](hO!k(ra~O!S%gO!_%hO#j.UO(S%fO~Op.ZO!S%gO![.WO!_%hO!|]O#i.YO#j.WO(S%fO!]'`X!k'`X~OR._O!l#xO~Oh%VOn.bO!_'^O%i.aO~Oa#ci!]#ci'y#ci'v#ci!Y#ci!k#civ#ci!_#ci%i#ci!g#ci~P!:aOn=|O!Q)|O'x)}O(x$}O(y%PO~O#k#_aa#_a#`#_a'y#_a!]#_a!k#_a!_#_a!Y#_a~P#/XO#k(_XP(_XR(_X[(_Xa(_Xj(_Xr(_X!S(_X!l(_X!p(_X#R(_X#n(_X#o(_X#p(_X#q(_X#r(_X#s(_X#t(_X#u(_X#v(_X#x(_X#z(_X#{(_X'y(_X(`(_X(q(_X!k(_X!Y(_X'v(_Xv(_X!_(_X%i(_X!g(_X~P!6`O!].oO!k(jX~P!:aO!k.rO~O!Y.tO~OP$[OR#zO!Q#yO!S#{O!l#xO!p$[O(`VO[#mia#mij#mir#mi!]#mi#R#mi#o#mi#p#mi#q#mi#r#mi#s#mi#t#mi#u#mi#v#mi#x#mi#z#mi#{#mi'y#mi(q#mi(x#mi(y#mi'v#mi!Y#mi!k#miv#mi!_#mi%i#mi!g#mi~O#n#mi~P#2wO#n$OO~P#2wOP$[OR#zOr$aO!Q#yO!S#{O!l#xO!p$[O#n$OO#o$PO#p$PO#q$PO(`VO[#mia#mij#mi!]#mi#R#mi#s#mi#t#mi#u#mi#v#mi#x#mi#z#mi#{#mi'y#mi(q#mi(x#mi(y#mi'v#mi!Y#mi!k#miv#mi!_#mi%i#mi!g#mi~O#r#mi~P#5fO#r$QO~P#5fOP$[OR#zO[$cOj$ROr$aO!Q#yO!S#{O!l#xO!p$[O#R$RO#n$OO#o$PO#p$PO#q$PO#r$QO#s$RO#t$RO#u$bO(`VOa#mi!]#mi#x#mi#z#mi#{#mi'y#mi(q#mi(x#mi(y#mi'v#mi!Y#mi!k#miv#mi!_#mi%i#mi!g#mi~O#v#mi~P#8TOP$[OR#zO[$cOj$ROr$aO!Q#yO!S#{O!l#xO!p$[O#R$RO#n$OO#o$PO#p$PO#q$PO#r$QO#s$RO#t$RO#u$bO#v$SO(`VO(y#}Oa#mi!]#mi#z#mi#{#mi'y#mi(q#mi(x#mi'v#mi!Y#mi!k#miv#mi!_#mi%i#mi!g#mi~O#x$UO~P#:kO#x#mi~P#:kO#v$SO~P#8TOP$[OR#zO[$cOj$ROr$aO!Q#yO!S#{O!l#xO!p$[O#R$RO#n$OO#o$PO#p$PO#q$PO#r$QO#s$RO#t$RO#u$bO#v$SO#x$UO(`VO(x#|O(y#}Oa#mi!]#mi#{#mi'y#mi(q#mi'v#mi!Y#mi!k#miv#mi!_#mi%i#mi!g#mi~O#z#mi~P#=aO#z$WO~P#=aOP]XR]X[]Xj]Xr]X!Q]X!S]X!l]X!p]X#R]X#S]X#`]X#kfX#n]X#o]X#p]X#q]X#r]X#s]X#t]X#u]X#v]X#x]X#z]X#{]X$Q]X(`]X(q]X(x]X(y]X!]]X!^]X~O$O]X~P#@OOP$[OR#zO[<_Oj<SOr<]O!Q#yO!S#{O!l#xO!p$[O#R<SO#n<PO#o<QO#p<QO#q<QO#r<RO#s<SO#t<SO#u<^O#v<TO#x<VO#z<XO#{<YO(`VO(q$YO(x#|O(y#}O~O$O.vO~P#B]O#S$dO#`<`O$Q<`O$O(fX!^(fX~P! jOa'ca!]'ca'y'ca'v'ca!k'ca!Y'cav'ca!_'ca%i'ca!g'ca~P!:aO[#mia#mij#mir#mi!]#mi#R#mi#r#mi#s#mi#t#mi#u#mi#v#mi#x#mi#z#mi#{#mi'y#mi(q#mi'v#mi!Y#mi!k#miv#mi!_#mi%i#mi!g#mi~OP$[OR#zO!Q#yO!S#{O!l#xO!p$[O#n$OO#o$PO#p$PO#q$PO(`VO(x#mi(y#mi~P#E_On=|O!Q)|O'x)}O(x$}O(y%POP#miR#mi!S#mi!l#mi!p#mi#n#mi#o#mi#p#mi#q#mi(`#mi~P#E_O!].zOg(oX~P!0{Og.|O~Oa$Pi!]$Pi'y$Pi'v$Pi!Y$Pi!k$Piv$Pi!_$Pi%i$Pi!g$Pi~P!:aO$].}O$_.}O~O$]/OO$_/OO~O!g)fO#`/PO!_$cX$Z$cX$]$cX$_$cX$f$cX~O![/QO~O!_)iO$Z/SO$])hO$_)hO$f/TO~O!]<ZO!^(eX~P#B]O!^/UO~O!g)fO$f(zX~O$f/WO~Ov/XO~P!&oOx)wO(a)xO(b/[O~O!S/_O~O(x$}On%aa!Q%aa'x%aa(y%aa!]%aa#`%aa~Og%aa$O%aa~P#LaO(y%POn%ca!Q%ca'x%ca(x%ca!]%ca#`%ca~Og%ca$O%ca~P#MSO!]fX!gfX!kfX!k$zX(qfX~P!/wO![/hO!]([O(S/gO!Y(uP!Y)OP~P!1jOr*pO!b*nO!c*hO!d*hO!l*_O#[*oO%`*jO(T!lO(UTO(XUO~Os<oO!S/iO![+XO!^*mO(d<nO!^(wP~P#NmO!k/jO~P#/XO!]/kO!g#vO(q'nO!k(}X~O!k/pO~O!S%gO![*[O!_%hO(S%fO!k(}P~O#k/rO~O!Y$zX!]$zX!g%RX~P!/wO!]/sO!Y)OX~P#/XO!g/uO~O!Y/wO~OpkO(S/xO~P.iOh%VOr/}O!g#vO!l%dO(q'nO~O!g+fO~Oa%mO!]0RO'y%mO~O!^0TO~P!5^O!c0UO!d0UO(T!lO~P##tOs!nO!S0VO(UTO(XUO(d!mO~O#[0XO~Og%aa!]%aa#`%aa$O%aa~P!0{Og%ca!]%ca#`%ca$O%ca~P!0{Oj%cOk%cOl%cO(S&XOg'lX!]'lX~O!]*vOg(]a~Og0bO~OR0cO!Q0cO!S0dO#S$dOn}a'x}a(x}a(y}a!]}a#`}a~Og}a$O}a~P$&vO!Q)|O'x)}On$sa(x$sa(y$sa!]$sa#`$sa~Og$sa$O$sa~P$'rO!Q)|O'x)}On$ua(x$ua(y$ua!]$ua#`$ua~Og$ua$O$ua~P$(eO#k0gO~Og%Ta!]%Ta#`%Ta$O%Ta~P!0{On0iO#`0hOg(^a!](^a~O!g#vO~O#k0lO~O!]+ZOa)Sa'y)Sa~OR#zO!Q#yO!S#{O!l#xO(`VOP!ri[!rij!rir!ri!]!ri!p!ri#R!ri#n!ri#o!ri#p!ri#q!ri#r!ri#s!ri#t!ri#u!ri#v!ri#x!ri#z!ri#{!ri(q!ri(x!ri(y!ri~Oa!ri'y!ri'v!ri!Y!ri!k!riv!ri!_!ri%i!ri!g!ri~P$*bOh%VOr%XOs$tOt$tOz%YO|%ZO!O<eO!S${O!_$|O!i=vO!l$xO#j<kO$W%_O$t<gO$v<iO$y%`O(UTO(XUO(`$uO(x$}O(y%PO~Op0uO%]0vO(S0tO~P$,xO!g+fOa([a!_([a'y([a!]([a~O#k0|O~O[]X!]fX!^fX~O!]0}O!^)WX~O!^1PO~O[1QO~Ob1SO(S+nO(UTO(XUO~O!_&OO(S%fO`'tX!]'tX~O!]+sO`)Va~O!k1VO~P!:aO[1YO~O`1ZO~O#`1^O~On1aO!_$|O~O(d(zO!^)TP~Oh%VOn1jO!_1gO%i1iO~O[1tO!]1rO!^)UX~O!^1uO~O`1wOa%mO'y%mO~O(S#nO(UTO(XUO~O#S$dO#`$eO$Q$eOP(fXR(fX[(fXr(fX!Q(fX!S(fX!](fX!l(fX!p(fX#R(fX#n(fX#o(fX#p(fX#q(fX#r(fX#s(fX#t(fX#u(fX#v(fX#x(fX#z(fX#{(fX(`(fX(q(fX(x(fX(y(fX~Oj1zO&Z1{Oa(fX~P$2cOj1zO#`$eO&Z1{O~Oa1}O~P%[Oa2PO~O&d2SOP&biQ&biS&biY&bia&bid&bie&bil&bip&bir&bis&bit&biz&bi|&bi!O&bi!S&bi!W&bi!X&bi!_&bi!i&bi!l&bi!o&bi!p&bi!q&bi!s&bi!u&bi!x&bi!|&bi$W&bi$n&bi%h&bi%j&bi%l&bi%m&bi%n&bi%q&bi%s&bi%v&bi%w&bi%y&bi&V&bi&]&bi&_&bi&a&bi&c&bi&f&bi&l&bi&r&bi&t&bi&v&bi&x&bi&z&bi'v&bi(S&bi(U&bi(X&bi(`&bi(n&bi!^&bib&bi&i&bi~Ob2YO!^2WO&i2XO~P`O!_XO!l2[O~O&p,vOP&kiQ&kiS&kiY&kia&kid&kie&kil&kip&kir&kis&kit&kiz&ki|&ki!O&ki!S&ki!W&ki!X&ki!_&ki!i&ki!l&ki!o&ki!p&ki!q&ki!s&ki!u&ki!x&ki!|&ki$W&ki$n&ki%h&ki%j&ki%l&ki%m&ki%n&ki%q&ki%s&ki%v&ki%w&ki%y&ki&V&ki&]&ki&_&ki&a&ki&c&ki&f&ki&l&ki&r&ki&t&ki&v&ki&x&ki&z&ki'v&ki(S&ki(U&ki(X&ki(`&ki(n&ki!^&ki&d&kib&ki&i&ki~O!Y2bO~O!]!aa!^!aa~P#B]Os!nO!S!oO![2hO(d!mO!]'WX!^'WX~P@cO!]-WO!^(ha~O!]'^X!^'^X~P!9iO!]-ZO!^(wa~O!^2oO~P'_Oa%mO#`2xO'y%mO~Oa%mO!g#vO#`2xO'y%mO~Oa%mO!g#vO!p2|O#`2xO'y%mO(q'nO~Oa%mO'y%mO~P!:aO!]$_Ov$qa~O!Y'Vi!]'Vi~P!:aO!](TO!Y(gi~O!]([O!Y(ui~O!Y(vi!](vi~P!:aO!](si!k(sia(si'y(si~P!:aO#`3OO!](si!k(sia(si'y(si~O!](hO!k(ri~O!S%gO!_%hO!|]O#i3TO#j3SO(S%fO~O!S%gO!_%hO#j3SO(S%fO~On3[O!_'^O%i3ZO~Oh%VOn3[O!_'^O%i3ZO~O#k%aaP%aaR%aa[%aaa%aaj%aar%aa!S%aa!l%aa!p%aa#R%aa#n%aa#o%aa#p%aa#q%aa#r%aa#s%aa#t%aa#u%aa#v%aa#x%aa#z%aa#{%aa'y%aa(`%aa(q%aa!k%aa!Y%aa'v%aav%aa!_%aa%i%aa!g%aa~P#LaO#k%caP%caR%ca[%caa%caj%car%ca!S%ca!l%ca!p%ca#R%ca#n%ca#o%ca#p%ca#q%ca#r%ca#s%ca#t%ca#u%ca#v%ca#x%ca#z%ca#{%ca'y%ca(`%ca(q%ca!k%ca!Y%ca'v%cav%ca!_%ca%i%ca!g%ca~P#MSO#k%aaP%aaR%aa[%aaa%aaj%aar%aa!S%aa!]%aa!l%aa!p%aa#R%aa#n%aa#o%aa#p%aa#q%aa#r%aa#s%aa#t%aa#u%aa#v%aa#x%aa#z%aa#{%aa'y%aa(`%aa(q%aa!k%aa!Y%aa'v%aa#`%aav%aa!_%aa%i%aa!g%aa~P#/XO#k%caP%caR%ca[%caa%caj%car%ca!S%ca!]%ca!l%ca!p%ca#R%ca#n%ca#o%ca#p%ca#q%ca#r%ca#s%ca#t%ca#u%ca#v%ca#x%ca#z%ca#{%ca'y%ca(`%ca(q%ca!k%ca!Y%ca'v%ca#`%cav%ca!_%ca%i%ca!g%ca~P#/XO#k}aP}a[}aa}aj}ar}a!l}a!p}a#R}a#n}a#o}a#p}a#q}a#r}a#s}a#t}a#u}a#v}a#x}a#z}a#{}a'y}a(`}a(q}a!k}a!Y}a'v}av}a!_}a%i}a!g}a~P$&vO#k$saP$saR$sa[$saa$saj$sar$sa!S$sa!l$sa!p$sa#R$sa#n$sa#o$sa#p$sa#q$sa#r$sa#s$sa#t$sa#u$sa#v$sa#x$sa#z$sa#{$sa'y$sa(`$sa(q$sa!k$sa!Y$sa'v$sav$sa!_$sa%i$sa!g$sa~P$'rO#k$uaP$uaR$ua[$uaa$uaj$uar$ua!S$ua!l$ua!p$ua#R$ua#n$ua#o$ua#p$ua#q$ua#r$ua#s$ua#t$ua#u$ua#v$ua#x$ua#z$ua#{$ua'y$ua(`$ua(q$ua!k$ua!Y$ua'v$uav$ua!_$ua%i$ua!g$ua~P$(eO#k%TaP%TaR%Ta[%Taa%Taj%Tar%Ta!S%Ta!]%Ta!l%Ta!p%Ta#R%Ta#n%Ta#o%Ta#p%Ta#q%Ta#r%Ta#s%Ta#t%Ta#u%Ta#v%Ta#x%Ta#z%Ta#{%Ta'y%Ta(`%Ta(q%Ta!k%Ta!Y%Ta'v%Ta#`%Tav%Ta!_%Ta%i%Ta!g%Ta~P#/XOa#cq!]#cq'y#cq'v#cq!Y#cq!k#cqv#cq!_#cq%i#cq!g#cq~P!:aO![3dO!]'XX!k'XX~P%[O!].oO!k(ja~O!].oO!k(ja~P!:aO!Y3gO~O$O!na!^!na~PKaO$O!ja!]!ja!^!ja~P#B]O$O!ra!^!ra~P!<wO$O!ta!^!ta~P!?_Og'[X!]'[X~P!+xO!].zOg(oa~OSfO!_3{O$d3|O~O!^4QO~Ov4RO~P#/XOa$mq!]$mq'y$mq'v$mq!Y$mq!k$mqv$mq!_$mq%i$mq!g$mq~P!:aO!Y4TO~P!&oO!S4UO~O!Q)|O'x)}O(y%POn'ha(x'ha!]'ha#`'ha~Og'ha$O'ha~P%,XO!Q)|O'x)}On'ja(x'ja(y'ja!]'ja#`'ja~Og'ja$O'ja~P%,zO(q$YO~P#/XO!YfX!Y$zX!]fX!]$zX!g%RX#`fX~P!/wO(S<xO~P!1jO!S%gO![4XO!_%hO(S%fO!]'dX!k'dX~O!]/kO!k(}a~O!]/kO!g#vO!k(}a~O!]/kO!g#vO(q'nO!k(}a~Og$|i!]$|i#`$|i$O$|i~P!0{O![4aO!Y'fX!]'fX~P!3iO!]/sO!Y)Oa~O!]/sO!Y)Oa~P#/XOP]XR]X[]Xj]Xr]X!Q]X!S]X!Y]X!]]X!l]X!p]X#R]X#S]X#`]X#kfX#n]X#o]X#p]X#q]X#r]X#s]X#t]X#u]X#v]X#x]X#z]X#{]X$Q]X(`]X(q]X(x]X(y]X~Oj%YX!g%YX~P%0kOj4fO!g#vO~Oh%VO!g#vO!l%dO~Oh%VOr4kO!l%dO(q'nO~Or4pO!g#vO(q'nO~Os!nO!S4qO(UTO(XUO(d!mO~O(x$}On%ai!Q%ai'x%ai(y%ai!]%ai#`%ai~Og%ai$O%ai~P%4[O(y%POn%ci!Q%ci'x%ci(x%ci!]%ci#`%ci~Og%ci$O%ci~P%4}Og(^i!](^i~P!0{O#`4wOg(^i!](^i~P!0{O!k4zO~Oa$oq!]$oq'y$oq'v$oq!Y$oq!k$oqv$oq!_$oq%i$oq!g$oq~P!:aO!Y5QO~O!]5RO!_)PX~P#/XOa$zX!_$zX%^]X'y$zX!]$zX~P!/wO%^5UOaoXnoX!QoX!_oX'xoX'yoX(xoX(yoX!]oX~Op5VO(S#nO~O%^5UO~Ob5]O%j5^O(S+nO(UTO(XUO!]'sX!^'sX~O!]0}O!^)Wa~O[5bO~O`5cO~Oa%mO'y%mO~P#/XO!]5kO#`5mO!^)TX~O!^5nO~Or5tOs!nO!S*fO!b!yO!c!vO!d!vO!|;wO#T!pO#U!pO#V!pO#W!pO#X!pO#[5sO#]!zO(T!lO(UTO(XUO(d!mO(n!sO~O!^5rO~P%:YOn5yO!_1gO%i5xO~Oh%VOn5yO!_1gO%i5xO~Ob6QO(S#nO(UTO(XUO!]'rX!^'rX~O!]1rO!^)Ua~O(UTO(XUO(d6SO~O`6WO~Oj6ZO&Z6[O~PM|O!k6]O~P%[Oa6_O~Oa6_O~P%[Ob2YO!^6dO&i2XO~P`O!g6fO~O!g6hOh(ii!](ii!^(ii!g(ii!l(iir(ii(q(ii~O!]#hi!^#hi~P#B]O#`6iO!]#hi!^#hi~O!]!ai!^!ai~P#B]Oa%mO#`6rO'y%mO~Oa%mO!g#vO#`6rO'y%mO~O!](sq!k(sqa(sq'y(sq~P!:aO!](hO!k(rq~O!S%gO!_%hO#j6yO(S%fO~O!_'^O%i6|O~On7QO!_'^O%i6|O~O#k'haP'haR'ha['haa'haj'har'ha!S'ha!l'ha!p'ha#R'ha#n'ha#o'ha#p'ha#q'ha#r'ha#s'ha#t'ha#u'ha#v'ha#x'ha#z'ha#{'ha'y'ha(`'ha(q'ha!k'ha!Y'ha'v'hav'ha!_'ha%i'ha!g'ha~P%,XO#k'jaP'jaR'ja['jaa'jaj'jar'ja!S'ja!l'ja!p'ja#R'ja#n'ja#o'ja#p'ja#q'ja#r'ja#s'ja#t'ja#u'ja#v'ja#x'ja#z'ja#{'ja'y'ja(`'ja(q'ja!k'ja!Y'ja'v'jav'ja!_'ja%i'ja!g'ja~P%,zO#k$|iP$|iR$|i[$|ia$|ij$|ir$|i!S$|i!]$|i!l$|i!p$|i#R$|i#n$|i#o$|i#p$|i#q$|i#r$|i#s$|i#t$|i#u$|i#v$|i#x$|i#z$|i#{$|i'y$|i(`$|i(q$|i!k$|i!Y$|i'v$|i#`$|iv$|i!_$|i%i$|i!g$|i~P#/XO#k%aiP%aiR%ai[%aia%aij%air%ai!S%ai!l%ai!p%ai#R%ai#n%ai#o%ai#p%ai#q%ai#r%ai#s%ai#t%ai#u%ai#v%ai#x%ai#z%ai#{%ai'y%ai(`%ai(q%ai!k%ai!Y%ai'v%aiv%ai!_%ai%i%ai!g%ai~P%4[O#k%ciP%ciR%ci[%cia%cij%cir%ci!S%ci!l%ci!p%ci#R%ci#n%ci#o%ci#p%ci#q%ci#r%ci#s%ci#t%ci#u%ci#v%ci#x%ci#z%ci#{%ci'y%ci(`%ci(q%ci!k%ci!Y%ci'v%civ%ci!_%ci%i%ci!g%ci~P%4}O!]'Xa!k'Xa~P!:aO!].oO!k(ji~O$O#ci!]#ci!^#ci~P#B]OP$[OR#zO!Q#yO!S#{O!l#xO!p$[O(`VO[#mij#mir#mi#R#mi#o#mi#p#mi#q#mi#r#mi#s#mi#t#mi#u#mi#v#mi#x#mi#z#mi#{#mi$O#mi(q#mi(x#mi(y#mi!]#mi!^#mi~O#n#mi~P%MXO#n<PO~P%MXOP$[OR#zOr<]O!Q#yO!S#{O!l#xO!p$[O#n<PO#o<QO#p<QO#q<QO(`VO[#mij#mi#R#mi#s#mi#t#mi#u#mi#v#mi#x#mi#z#mi#{#mi$O#mi(q#mi(x#mi(y#mi!]#mi!^#mi~O#r#mi~P& aO#r<RO~P& aOP$[OR#zO[<_Oj<SOr<]O!Q#yO!S#{O!l#xO!p$[O#R<SO#n<PO#o<QO#p<QO#q<QO#r<RO#s<SO#t<SO#u<^O(`VO#x#mi#z#mi#{#mi$O#mi(q#mi(x#mi(y#mi!]#mi!^#mi~O#v#mi~P&#iOP$[OR#zO[<_Oj<SOr<]O!Q#yO!S#{O!l#xO!p$[O#R<SO#n<PO#o<QO#p<QO#q<QO#r<RO#s<SO#t<SO#u<^O#v<TO(`VO(y#}O#z#mi#{#mi$O#mi(q#mi(x#mi!]#mi!^#mi~O#x<VO~P&%jO#x#mi~P&%jO#v<TO~P&#iOP$[OR#zO[<_Oj<SOr<]O!Q#yO!S#{O!l#xO!p$[O#R<SO#n<PO#o<QO#p<QO#q<QO#r<RO#s<SO#t<SO#u<^O#v<TO#x<VO(`VO(x#|O(y#}O#{#mi$O#mi(q#mi!]#mi!^#mi~O#z#mi~P&'yO#z<XO~P&'yOa#|y!]#|y'y#|y'v#|y!Y#|y!k#|yv#|y!_#|y%i#|y!g#|y~P!:aO[#mij#mir#mi#R#mi#r#mi#s#mi#t#mi#u#mi#v#mi#x#mi#z#mi#{#mi$O#mi(q#mi!]#mi!^#mi~OP$[OR#zO!Q#yO!S#{O!l#xO!p$[O#n<PO#o<QO#p<QO#q<QO(`VO(x#mi(y#mi~P&*uOn=}O!Q)|O'x)}O(x$}O(y%POP#miR#mi!S#mi!l#mi!p#mi#n#mi#o#mi#p#mi#q#mi(`#mi~P&*uO#S$dOP(_XR(_X[(_Xj(_Xn(_Xr(_X!Q(_X!S(_X!l(_X!p(_X#R(_X#n(_X#o(_X#p(_X#q(_X#r(_X#s(_X#t(_X#u(_X#v(_X#x(_X#z(_X#{(_X$O(_X'x(_X(`(_X(q(_X(x(_X(y(_X!](_X!^(_X~O$O$Pi!]$Pi!^$Pi~P#B]O$O!ri!^!ri~P$*bOg'[a!]'[a~P!0{O!^7dO~O!]'ca!^'ca~P#B]O!Y7eO~P#/XO!g#vO(q'nO!]'da!k'da~O!]/kO!k(}i~O!]/kO!g#vO!k(}i~Og$|q!]$|q#`$|q$O$|q~P!0{O!Y'fa!]'fa~P#/XO!g7lO~O!]/sO!Y)Oi~P#/XO!]/sO!Y)Oi~O!Y7oO~Oh%VOr7tO!l%dO(q'nO~Oj7vO!g#vO~Or7yO!g#vO(q'nO~O!Q)|O'x)}O(y%POn'ia(x'ia!]'ia#`'ia~Og'ia$O'ia~P&3vO!Q)|O'x)}On'ka(x'ka(y'ka!]'ka#`'ka~Og'ka$O'ka~P&4iO!Y7{O~Og%Oq!]%Oq#`%Oq$O%Oq~P!0{Og(^q!](^q~P!0{O#`7|Og(^q!](^q~P!0{Oa$oy!]$oy'y$oy'v$oy!Y$oy!k$oyv$oy!_$oy%i$oy!g$oy~P!:aO!g6hO~O!]5RO!_)Pa~O!_'^OP$TaR$Ta[$Taj$Tar$Ta!Q$Ta!S$Ta!]$Ta!l$Ta!p$Ta#R$Ta#n$Ta#o$Ta#p$Ta#q$Ta#r$Ta#s$Ta#t$Ta#u$Ta#v$Ta#x$Ta#z$Ta#{$Ta(`$Ta(q$Ta(x$Ta(y$Ta~O%i6|O~P&7ZO%^8QOa%[i!_%[i'y%[i!]%[i~Oa#cy!]#cy'y#cy'v#cy!Y#cy!k#cyv#cy!_#cy%i#cy!g#cy~P!:aO[8SO~Ob8UO(S+nO(UTO(XUO~O!]0}O!^)Wi~O`8YO~O(d(zO!]'oX!^'oX~O!]5kO!^)Ta~O!^8cO~P%:YO(n!sO~P$${O#[8dO~O!_1gO~O!_1gO%i8fO~On8iO!_1gO%i8fO~O[8nO!]'ra!^'ra~O!]1rO!^)Ui~O!k8rO~O!k8sO~O!k8vO~O!k8vO~P%[Oa8xO~O!g8yO~O!k8zO~O!](vi!^(vi~P#B]Oa%mO#`9SO'y%mO~O!](sy!k(sya(sy'y(sy~P!:aO!](hO!k(ry~O%i9VO~P&7ZO!_'^O%i9VO~O#k$|qP$|qR$|q[$|qa$|qj$|qr$|q!S$|q!]$|q!l$|q!p$|q#R$|q#n$|q#o$|q#p$|q#q$|q#r$|q#s$|q#t$|q#u$|q#v$|q#x$|q#z$|q#{$|q'y$|q(`$|q(q$|q!k$|q!Y$|q'v$|q#`$|qv$|q!_$|q%i$|q!g$|q~P#/XO#k'iaP'iaR'ia['iaa'iaj'iar'ia!S'ia!l'ia!p'ia#R'ia#n'ia#o'ia#p'ia#q'ia#r'ia#s'ia#t'ia#u'ia#v'ia#x'ia#z'ia#{'ia'y'ia(`'ia(q'ia!k'ia!Y'ia'v'iav'ia!_'ia%i'ia!g'ia~P&3vO#k'kaP'kaR'ka['kaa'kaj'kar'ka!S'ka!l'ka!p'ka#R'ka#n'ka#o'ka#p'ka#q'ka#r'ka#s'ka#t'ka#u'ka#v'ka#x'ka#z'ka#{'ka'y'ka(`'ka(q'ka!k'ka!Y'ka'v'kav'ka!_'ka%i'ka!g'ka~P&4iO#k%OqP%OqR%Oq[%Oqa%Oqj%Oqr%Oq!S%Oq!]%Oq!l%Oq!p%Oq#R%Oq#n%Oq#o%Oq#p%Oq#q%Oq#r%Oq#s%Oq#t%Oq#u%Oq#v%Oq#x%Oq#z%Oq#{%Oq'y%Oq(`%Oq(q%Oq!k%Oq!Y%Oq'v%Oq#`%Oqv%Oq!_%Oq%i%Oq!g%Oq~P#/XO!]'Xi!k'Xi~P!:aO$O#cq!]#cq!^#cq~P#B]O(x$}OP%aaR%aa[%aaj%aar%aa!S%aa!l%aa!p%aa#R%aa#n%aa#o%aa#p%aa#q%aa#r%aa#s%aa#t%aa#u%aa#v%aa#x%aa#z%aa#{%aa$O%aa(`%aa(q%aa!]%aa!^%aa~On%aa!Q%aa'x%aa(y%aa~P&HnO(y%POP%caR%ca[%caj%car%ca!S%ca!l%ca!p%ca#R%ca#n%ca#o%ca#p%ca#q%ca#r%ca#s%ca#t%ca#u%ca#v%ca#x%ca#z%ca#{%ca$O%ca(`%ca(q%ca!]%ca!^%ca~On%ca!Q%ca'x%ca(x%ca~P&JuOn=}O!Q)|O'x)}O(y%PO~P&HnOn=}O!Q)|O'x)}O(x$}O~P&JuOR0cO!Q0cO!S0dO#S$dOP}a[}aj}an}ar}a!l}a!p}a#R}a#n}a#o}a#p}a#q}a#r}a#s}a#t}a#u}a#v}a#x}a#z}a#{}a$O}a'x}a(`}a(q}a(x}a(y}a!]}a!^}a~O!Q)|O'x)}OP$saR$sa[$saj$san$sar$sa!S$sa!l$sa!p$sa#R$sa#n$sa#o$sa#p$sa#q$sa#r$sa#s$sa#t$sa#u$sa#v$sa#x$sa#z$sa#{$sa$O$sa(`$sa(q$sa(x$sa(y$sa!]$sa!^$sa~O!Q)|O'x)}OP$uaR$ua[$uaj$uan$uar$ua!S$ua!l$ua!p$ua#R$ua#n$ua#o$ua#p$ua#q$ua#r$ua#s$ua#t$ua#u$ua#v$ua#x$ua#z$ua#{$ua$O$ua(`$ua(q$ua(x$ua(y$ua!]$ua!^$ua~On=}O!Q)|O'x)}O(x$}O(y%PO~OP%TaR%Ta[%Taj%Tar%Ta!S%Ta!l%Ta!p%Ta#R%Ta#n%Ta#o%Ta#p%Ta#q%Ta#r%Ta#s%Ta#t%Ta#u%Ta#v%Ta#x%Ta#z%Ta#{%Ta$O%Ta(`%Ta(q%Ta!]%Ta!^%Ta~P'%zO$O$mq!]$mq!^$mq~P#B]O$O$oq!]$oq!^$oq~P#B]O!^9dO~O$O9eO~P!0{O!g#vO!]'di!k'di~O!g#vO(q'nO!]'di!k'di~O!]/kO!k(}q~O!Y'fi!]'fi~P#/XO!]/sO!Y)Oq~Or9lO!g#vO(q'nO~O[9nO!Y9mO~P#/XO!Y9mO~Oj9tO!g#vO~Og(^y!](^y~P!0{O!]'ma!_'ma~P#/XOa%[q!_%[q'y%[q!]%[q~P#/XO[9yO~O!]0}O!^)Wq~O#`9}O!]'oa!^'oa~O!]5kO!^)Ti~P#B]O!S:PO~O!_1gO%i:SO~O(UTO(XUO(d:XO~O!]1rO!^)Uq~O!k:[O~O!k:]O~O!k:^O~O!k:^O~P%[O#`:aO!]#hy!^#hy~O!]#hy!^#hy~P#B]O%i:fO~P&7ZO!_'^O%i:fO~O$O#|y!]#|y!^#|y~P#B]OP$|iR$|i[$|ij$|ir$|i!S$|i!l$|i!p$|i#R$|i#n$|i#o$|i#p$|i#q$|i#r$|i#s$|i#t$|i#u$|i#v$|i#x$|i#z$|i#{$|i$O$|i(`$|i(q$|i!]$|i!^$|i~P'%zO!Q)|O'x)}O(y%POP'haR'ha['haj'han'har'ha!S'ha!l'ha!p'ha#R'ha#n'ha#o'ha#p'ha#q'ha#r'ha#s'ha#t'ha#u'ha#v'ha#x'ha#z'ha#{'ha$O'ha(`'ha(q'ha(x'ha!]'ha!^'ha~O!Q)|O'x)}OP'jaR'ja['jaj'jan'jar'ja!S'ja!l'ja!p'ja#R'ja#n'ja#o'ja#p'ja#q'ja#r'ja#s'ja#t'ja#u'ja#v'ja#x'ja#z'ja#{'ja$O'ja(`'ja(q'ja(x'ja(y'ja!]'ja!^'ja~O(x$}OP%aiR%ai[%aij%ain%air%ai!Q%ai!S%ai!l%ai!p%ai#R%ai#n%ai#o%ai#p%ai#q%ai#r%ai#s%ai#t%ai#u%ai#v%ai#x%ai#z%ai#{%ai$O%ai'x%ai(`%ai(q%ai(y%ai!]%ai!^%ai~O(y%POP%ciR%ci[%cij%cin%cir%ci!Q%ci!S%ci!l%ci!p%ci#R%ci#n%ci#o%ci#p%ci#q%ci#r%ci#s%ci#t%ci#u%ci#v%ci#x%ci#z%ci#{%ci$O%ci'x%ci(`%ci(q%ci(x%ci!]%ci!^%ci~O$O$oy!]$oy!^$oy~P#B]O$O#cy!]#cy!^#cy~P#B]O!g#vO!]'dq!k'dq~O!]/kO!k(}y~O!Y'fq!]'fq~P#/XOr:pO!g#vO(q'nO~O[:tO!Y:sO~P#/XO!Y:sO~Og(^!R!](^!R~P!0{Oa%[y!_%[y'y%[y!]%[y~P#/XO!]0}O!^)Wy~O!]5kO!^)Tq~O(S:zO~O!_1gO%i:}O~O!k;QO~O%i;VO~P&7ZOP$|qR$|q[$|qj$|qr$|q!S$|q!l$|q!p$|q#R$|q#n$|q#o$|q#p$|q#q$|q#r$|q#s$|q#t$|q#u$|q#v$|q#x$|q#z$|q#{$|q$O$|q(`$|q(q$|q!]$|q!^$|q~P'%zO!Q)|O'x)}O(y%POP'iaR'ia['iaj'ian'iar'ia!S'ia!l'ia!p'ia#R'ia#n'ia#o'ia#p'ia#q'ia#r'ia#s'ia#t'ia#u'ia#v'ia#x'ia#z'ia#{'ia$O'ia(`'ia(q'ia(x'ia!]'ia!^'ia~O!Q)|O'x)}OP'kaR'ka['kaj'kan'kar'ka!S'ka!l'ka!p'ka#R'ka#n'ka#o'ka#p'ka#q'ka#r'ka#s'ka#t'ka#u'ka#v'ka#x'ka#z'ka#{'ka$O'ka(`'ka(q'ka(x'ka(y'ka!]'ka!^'ka~OP%OqR%Oq[%Oqj%Oqr%Oq!S%Oq!l%Oq!p%Oq#R%Oq#n%Oq#o%Oq#p%Oq#q%Oq#r%Oq#s%Oq#t%Oq#u%Oq#v%Oq#x%Oq#z%Oq#{%Oq$O%Oq(`%Oq(q%Oq!]%Oq!^%Oq~P'%zOg%e!Z!]%e!Z#`%e!Z$O%e!Z~P!0{O!Y;ZO~P#/XOr;[O!g#vO(q'nO~O[;^O!Y;ZO~P#/XO!]'oq!^'oq~P#B]O!]#h!Z!^#h!Z~P#B]O#k%e!ZP%e!ZR%e!Z[%e!Za%e!Zj%e!Zr%e!Z!S%e!Z!]%e!Z!l%e!Z!p%e!Z#R%e!Z#n%e!Z#o%e!Z#p%e!Z#q%e!Z#r%e!Z#s%e!Z#t%e!Z#u%e!Z#v%e!Z#x%e!Z#z%e!Z#{%e!Z'y%e!Z(`%e!Z(q%e!Z!k%e!Z!Y%e!Z'v%e!Z#`%e!Zv%e!Z!_%e!Z%i%e!Z!g%e!Z~P#/XOr;fO!g#vO(q'nO~O!Y;gO~P#/XOr;nO!g#vO(q'nO~O!Y;oO~P#/XOP%e!ZR%e!Z[%e!Zj%e!Zr%e!Z!S%e!Z!l%e!Z!p%e!Z#R%e!Z#n%e!Z#o%e!Z#p%e!Z#q%e!Z#r%e!Z#s%e!Z#t%e!Z#u%e!Z#v%e!Z#x%e!Z#z%e!Z#{%e!Z$O%e!Z(`%e!Z(q%e!Z!]%e!Z!^%e!Z~P'%zOr;rO!g#vO(q'nO~Ov(eX~P1qO!Q%qO~P!)PO(T!lO~P!)PO!YfX!]fX#`fX~P%0kOP]XR]X[]Xj]Xr]X!Q]X!S]X!]]X!]fX!l]X!p]X#R]X#S]X#`]X#`fX#kfX#n]X#o]X#p]X#q]X#r]X#s]X#t]X#u]X#v]X#x]X#z]X#{]X$Q]X(`]X(q]X(x]X(y]X~O!gfX!k]X!kfX(qfX~P'JsOP;vOQ;vOSfOd=rOe!iOpkOr;vOskOtkOzkO|;vO!O;vO!SWO!WkO!XkO!_XO!i;yO!lZO!o;vO!p;vO!q;vO!s;zO!u;}O!x!hO$W!kO$n=pO(S)ZO(UTO(XUO(`VO(n[O~O!]<ZO!^$qa~Oh%VOp%WOr%XOs$tOt$tOz%YO|%ZO!O<fO!S${O!_$|O!i=wO!l$xO#j<lO$W%_O$t<hO$v<jO$y%`O(S(tO(UTO(XUO(`$uO(x$}O(y%PO~Ol)bO~P( iOr!eX(q!eX~P# }Or(iX(q(iX~P#!pO!^]X!^fX~P'JsO!YfX!Y$zX!]fX!]$zX#`fX~P!/wO#k<OO~O!g#vO#k<OO~O#`<`O~Oj<SO~O#`<pO!](vX!^(vX~O#`<`O!](tX!^(tX~O#k<qO~Og<sO~P!0{O#k<yO~O#k<zO~O!g#vO#k<{O~O!g#vO#k<qO~O$O<|O~P#B]O#k<}O~O#k=OO~O#k=TO~O#k=UO~O#k=VO~O#k=WO~O$O=XO~P!0{O$O=YO~P!0{Ok#S#T#U#W#X#[#i#j#u$n$t$v$y%]%^%h%i%j%q%s%v%w%y%{~'}T#o!X'{(T#ps#n#qr!Q'|$]'|(S$_(d~",
-    goto: "$8g)[PPPPPP)]PP)`P)qP+R/WPPPP6bPP6xPP<pPPP@dP@zP@zPPP@zPCSP@zP@zP@zPCWPC]PCzPHtPPPHxPPPPHxK{PPPLRLsPHxPHxPP! RHxPPPHxPHxP!#YHxP!&p!'u!(OP!(r!(v!(r!,TPPPPPPP!,t!'uPP!-U!.vP!2SHxHx!2X!5e!:R!:R!>QPPP!>YHxPPPPPPPPP!AiP!BvPPHx!DXPHxPHxHxHxHxHxPHx!EkP!HuP!K{P!LP!LZ!L_!L_P!HrP!Lc!LcP# iP# mHxPHx# s#$xCW@zP@zP@z@zP#&V@z@z#(i@z#+a@z#-m@z@z#.]#0q#0q#0v#1P#0q#1[PP#0qP@z#1t@z#5s@z@z6bPPP#9xPPP#:c#:cP#:cP#:y#:cPP#;PP#:vP#:v#;d#:v#<O#<U#<X)`#<[)`P#<c#<c#<cP)`P)`P)`P)`PP)`P#<i#<lP#<l)`P#<pP#<sP)`P)`P)`P)`P)`P)`)`PP#<y#=P#=[#=b#=h#=n#=t#>S#>Y#>d#>j#>t#>z#?[#?b#@S#@f#@l#@r#AQ#Ag#C[#Cj#Cq#E]#Ek#G]#Gk#Gq#Gw#G}#HX#H_#He#Ho#IR#IXPPPPPPPPPPP#I_PPPPPPP#JS#MZ#Ns#Nz$ SPPP$&nP$&w$)p$0Z$0^$0a$1`$1c$1j$1rP$1x$1{P$2i$2m$3e$4s$4x$5`PP$5e$5k$5o$5r$5v$5z$6v$7_$7v$7z$7}$8Q$8W$8Z$8_$8cR!|RoqOXst!Z#d%l&p&r&s&u,n,s2S2VY!vQ'^-`1g5qQ%svQ%{yQ&S|Q&h!VS'U!e-WQ'd!iS'j!r!yU*h$|*X*lQ+l%|Q+y&UQ,_&bQ-^']Q-h'eQ-p'kQ0U*nQ1q,`R<m;z%SdOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$_$a$e%l%s&Q&i&l&p&r&s&u&y'R'`'p(R(T(Z(b(v(x(|){*f+U+Y,k,n,s-d-l-z.Q.o.v/i0V0d0l0|1j1z1{1}2P2S2V2X2x3O3d4q5y6Z6[6_6r8i8x9SS#q];w!r)]$Z$n'V)q-P-S/Q2h3{5m6i9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sU*{%[<e<fQ+q&OQ,a&eQ,h&mQ0r+dQ0w+fQ1S+rQ1y,fQ3W.bQ5V0vQ5]0}Q6Q1rQ7O3[Q8U5^R9Y7Q'QkOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n%l%s&Q&i&l&m&p&r&s&u&y'R'V'`'p(R(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=s!S!nQ!r!v!y!z$|'U']'^'j'k'l*h*l*n*o-W-^-`-p0U0X1g5q5s%[$ti#v$b$c$d$x${%O%Q%]%^%b)w*P*R*T*W*^*d*t*u+c+f+},Q.a.z/_/h/r/s/u0Y0[0g0h0i1^1a1i3Z4U4V4a4f4w5R5U5x6|7l7v7|8Q8f9V9e9n9t:S:f:t:};V;^<^<_<a<b<c<d<g<h<i<j<k<l<t<u<v<w<y<z<}=O=P=Q=R=S=T=U=X=Y=p=x=y=|=}Q&V|Q'S!eS'Y%h-ZQ+q&OQ,a&eQ0f+OQ1S+rQ1X+xQ1x,eQ1y,fQ5]0}Q5f1ZQ6Q1rQ6T1tQ6U1wQ8U5^Q8X5cQ8q6WQ9|8YQ:Y8nR<o*XrnOXst!V!Z#d%l&g&p&r&s&u,n,s2S2VR,c&i&z^OPXYstuvwz!Z!`!g!j!o#S#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n%l%s&Q&i&l&m&p&r&s&u&y'R'`'p(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=r=s[#]WZ#W#Z'V(R!b%im#h#i#l$x%d%g([(f(g(h*W*[*_+W+X+Z,j-Q.O.U.V.W.Y/h/k2[3S3T4X6h6yQ%vxQ%zyS&P|&UQ&]!TQ'a!hQ'c!iQ(o#sS+k%{%|Q+o&OQ,Y&`Q,^&bS-g'd'eQ.d(pQ0{+lQ1R+rQ1T+sQ1W+wQ1l,ZS1p,_,`Q2t-hQ5[0}Q5`1QQ5e1YQ6P1qQ8T5^Q8W5bQ9x8SR:w9y!U$zi$d%O%Q%]%^%b*P*R*^*t*u.z/r0Y0[0g0h0i4V4w7|9e=p=x=y!^%xy!i!u%z%{%|'T'c'd'e'i's*g+k+l-T-g-h-o/{0O0{2m2t2{4i4j4m7s9pQ+e%vQ,O&YQ,R&ZQ,]&bQ.c(oQ1k,YU1o,^,_,`Q3].dQ5z1lS6O1p1qQ8m6P#f=t#v$b$c$x${)w*T*W*d+c+f+},Q.a/_/h/s/u1^1a1i3Z4U4a4f5R5U5x6|7l7v8Q8f9V9n9t:S:f:t:};V;^<a<c<g<i<k<t<v<y<}=P=R=T=X=|=}o=u<^<_<b<d<h<j<l<u<w<z=O=Q=S=U=YW%Ti%V*v=pS&Y!Q&gQ&Z!RQ&[!SQ+S%cR+|&W%]%Si#v$b$c$d$x${%O%Q%]%^%b)w*P*R*T*W*^*d*t*u+c+f+},Q.a.z/_/h/r/s/u0Y0[0g0h0i1^1a1i3Z4U4V4a4f4w5R5U5x6|7l7v7|8Q8f9V9e9n9t:S:f:t:};V;^<^<_<a<b<c<d<g<h<i<j<k<l<t<u<v<w<y<z<}=O=P=Q=R=S=T=U=X=Y=p=x=y=|=}T)x$u)yV*{%[<e<fW'Y!e%h*X-ZS({#y#zQ+`%qQ+v&RS.](k(lQ1b,SQ4x0cR8^5k'QkOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n%l%s&Q&i&l&m&p&r&s&u&y'R'V'`'p(R(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=s$i$^c#Y#e%p%r%t(Q(W(r(w)P)Q)R)S)T)U)V)W)X)Y)[)^)`)e)o+a+u-U-s-x-}.P.n.q.u.w.x.y/]0j2c2f2v2}3c3h3i3j3k3l3m3n3o3p3q3r3s3t3w3x4P5O5Y6k6q6v7V7W7a7b8`8|9Q9[9b9c:c:y;R;x=gT#TV#U'RkOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n%l%s&Q&i&l&m&p&r&s&u&y'R'V'`'p(R(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sQ'W!eR2i-W!W!nQ!e!r!v!y!z$|'U']'^'j'k'l*X*h*l*n*o-W-^-`-p0U0X1g5q5sR1d,UnqOXst!Z#d%l&p&r&s&u,n,s2S2VQ&w!^Q't!xS(q#u<OQ+i%yQ,W&]Q,X&_Q-e'bQ-r'mS.m(v<qS0k+U<{Q0y+jQ1f,VQ2Z,uQ2],vQ2e-RQ2r-fQ2u-jS5P0l=VQ5W0zS5Z0|=WQ6j2gQ6n2sQ6s2zQ8R5XQ8}6lQ9O6oQ9R6tR:`8z$d$]c#Y#e%r%t(Q(W(r(w)P)Q)R)S)T)U)V)W)X)Y)[)^)`)e)o+a+u-U-s-x-}.P.n.q.u.x.y/]0j2c2f2v2}3c3h3i3j3k3l3m3n3o3p3q3r3s3t3w3x4P5O5Y6k6q6v7V7W7a7b8`8|9Q9[9b9c:c:y;R;x=gS(m#p'gQ(}#zS+_%p.wS.^(l(nR3U._'QkOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n%l%s&Q&i&l&m&p&r&s&u&y'R'V'`'p(R(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sS#q];wQ&r!XQ&s!YQ&u![Q&v!]R2R,qQ'_!hQ+b%vQ-c'aS.`(o+eQ2p-bW3Y.c.d0q0sQ6m2qW6z3V3X3]5TU9U6{6}7PU:e9W9X9ZS;T:d:gQ;b;UR;j;cU!wQ'^-`T5o1g5q!Q_OXZ`st!V!Z#d#h%d%l&g&i&p&r&s&u(h,n,s.V2S2V]!pQ!r'^-`1g5qT#q];w%^{OPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$_$a$e%l%s&Q&i&l&m&p&r&s&u&y'R'`'p(R(T(Z(b(v(x(|){*f+U+Y+d,k,n,s-d-l-z.Q.b.o.v/i0V0d0l0|1j1z1{1}2P2S2V2X2x3O3[3d4q5y6Z6[6_6r7Q8i8x9SS({#y#zS.](k(l!s=^$Z$n'V)q-P-S/Q2h3{5m6i9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sU$fd)],hS(n#p'gU*s%R(u3vU0e*z.i7]Q5T0rQ6{3WQ9X7OR:g9Ym!tQ!r!v!y!z'^'j'k'l-`-p1g5q5sQ'r!uS(d#g1|S-n'i'uQ/n*ZQ/{*gQ2|-qQ4]/oQ4i/}Q4j0OQ4o0WQ7h4WS7s4k4mS7w4p4rQ9g7iQ9k7oQ9p7tQ9u7yS:o9l9mS;Y:p:sS;e;Z;[S;m;f;gS;q;n;oR;t;rQ#wbQ'q!uS(c#g1|S(e#m+TQ+V%eQ+g%wQ+m%}U-m'i'r'uQ.R(dQ/m*ZQ/|*gQ0P*iQ0x+hQ1m,[S2y-n-qQ3R.ZS4[/n/oQ4e/yS4h/{0WQ4l0QQ5|1nQ6u2|Q7g4WQ7k4]U7r4i4o4rQ7u4nQ8k5}S9f7h7iQ9j7oQ9r7wQ9s7xQ:V8lQ:m9gS:n9k9mQ:v9uQ;P:WS;X:o:sS;d;Y;ZS;l;e;gS;p;m;oQ;s;qQ;u;tQ=a=[Q=l=eR=m=fV!wQ'^-`%^aOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$_$a$e%l%s&Q&i&l&m&p&r&s&u&y'R'`'p(R(T(Z(b(v(x(|){*f+U+Y+d,k,n,s-d-l-z.Q.b.o.v/i0V0d0l0|1j1z1{1}2P2S2V2X2x3O3[3d4q5y6Z6[6_6r7Q8i8x9SS#wz!j!r=Z$Z$n'V)q-P-S/Q2h3{5m6i9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sR=a=r%^bOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$_$a$e%l%s&Q&i&l&m&p&r&s&u&y'R'`'p(R(T(Z(b(v(x(|){*f+U+Y+d,k,n,s-d-l-z.Q.b.o.v/i0V0d0l0|1j1z1{1}2P2S2V2X2x3O3[3d4q5y6Z6[6_6r7Q8i8x9SQ%ej!^%wy!i!u%z%{%|'T'c'd'e'i's*g+k+l-T-g-h-o/{0O0{2m2t2{4i4j4m7s9pS%}z!jQ+h%xQ,[&bW1n,],^,_,`U5}1o1p1qS8l6O6PQ:W8m!r=[$Z$n'V)q-P-S/Q2h3{5m6i9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sQ=e=qR=f=r%QeOPXYstuvw!Z!`!g!o#S#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$_$a$e%l%s&Q&i&l&p&r&s&u&y'R'`'p(T(Z(b(v(x(|){*f+U+Y+d,k,n,s-d-l-z.Q.b.o.v/i0V0d0l0|1j1z1{1}2P2S2V2X2x3O3[3d4q5y6Z6[6_6r7Q8i8x9SY#bWZ#W#Z(R!b%im#h#i#l$x%d%g([(f(g(h*W*[*_+W+X+Z,j-Q.O.U.V.W.Y/h/k2[3S3T4X6h6yQ,i&m!p=]$Z$n)q-P-S/Q2h3{5m6i9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sR=`'VU'Z!e%h*XR2k-Z%SdOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$_$a$e%l%s&Q&i&l&p&r&s&u&y'R'`'p(R(T(Z(b(v(x(|){*f+U+Y,k,n,s-d-l-z.Q.o.v/i0V0d0l0|1j1z1{1}2P2S2V2X2x3O3d4q5y6Z6[6_6r8i8x9S!r)]$Z$n'V)q-P-S/Q2h3{5m6i9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sQ,h&mQ0r+dQ3W.bQ7O3[R9Y7Q!b$Tc#Y%p(Q(W(r(w)X)Y)^)e+u-s-x-}.P.n.q/]0j2v2}3c3s5O5Y6q6v7V9Q:c;x!P<U)[)o-U.w2c2f3h3q3r3w4P6k7W7a7b8`8|9[9b9c:y;R=g!f$Vc#Y%p(Q(W(r(w)U)V)X)Y)^)e+u-s-x-}.P.n.q/]0j2v2}3c3s5O5Y6q6v7V9Q:c;x!T<W)[)o-U.w2c2f3h3n3o3q3r3w4P6k7W7a7b8`8|9[9b9c:y;R=g!^$Zc#Y%p(Q(W(r(w)^)e+u-s-x-}.P.n.q/]0j2v2}3c3s5O5Y6q6v7V9Q:c;xQ4V/fz=s)[)o-U.w2c2f3h3w4P6k7W7a7b8`8|9[9b9c:y;R=gQ=x=zR=y={'QkOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n%l%s&Q&i&l&m&p&r&s&u&y'R'V'`'p(R(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sS$oh$pR3|/P'XgOPWXYZhstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n$p%l%s&Q&i&l&m&p&r&s&u&y'R'V'`'p(R(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/P/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sT$kf$qQ$ifS)h$l)lR)t$qT$jf$qT)j$l)l'XhOPWXYZhstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n$p%l%s&Q&i&l&m&p&r&s&u&y'R'V'`'p(R(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/P/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sT$oh$pQ$rhR)s$p%^jOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$_$a$e%l%s&Q&i&l&m&p&r&s&u&y'R'`'p(R(T(Z(b(v(x(|){*f+U+Y+d,k,n,s-d-l-z.Q.b.o.v/i0V0d0l0|1j1z1{1}2P2S2V2X2x3O3[3d4q5y6Z6[6_6r7Q8i8x9S!s=q$Z$n'V)q-P-S/Q2h3{5m6i9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=s#glOPXZst!Z!`!o#S#d#o#{$n%l&i&l&m&p&r&s&u&y'R'`(|)q*f+Y+d,k,n,s-d.b/Q/i0V0d1j1z1{1}2P2S2V2X3[3{4q5y6Z6[6_7Q8i8x!U%Ri$d%O%Q%]%^%b*P*R*^*t*u.z/r0Y0[0g0h0i4V4w7|9e=p=x=y#f(u#v$b$c$x${)w*T*W*d+c+f+},Q.a/_/h/s/u1^1a1i3Z4U4a4f5R5U5x6|7l7v8Q8f9V9n9t:S:f:t:};V;^<a<c<g<i<k<t<v<y<}=P=R=T=X=|=}Q+P%`Q/^)|o3v<^<_<b<d<h<j<l<u<w<z=O=Q=S=U=Y!U$yi$d%O%Q%]%^%b*P*R*^*t*u.z/r0Y0[0g0h0i4V4w7|9e=p=x=yQ*`$zU*i$|*X*lQ+Q%aQ0Q*j#f=c#v$b$c$x${)w*T*W*d+c+f+},Q.a/_/h/s/u1^1a1i3Z4U4a4f5R5U5x6|7l7v8Q8f9V9n9t:S:f:t:};V;^<a<c<g<i<k<t<v<y<}=P=R=T=X=|=}n=d<^<_<b<d<h<j<l<u<w<z=O=Q=S=U=YQ=h=tQ=i=uQ=j=vR=k=w!U%Ri$d%O%Q%]%^%b*P*R*^*t*u.z/r0Y0[0g0h0i4V4w7|9e=p=x=y#f(u#v$b$c$x${)w*T*W*d+c+f+},Q.a/_/h/s/u1^1a1i3Z4U4a4f5R5U5x6|7l7v8Q8f9V9n9t:S:f:t:};V;^<a<c<g<i<k<t<v<y<}=P=R=T=X=|=}o3v<^<_<b<d<h<j<l<u<w<z=O=Q=S=U=YnoOXst!Z#d%l&p&r&s&u,n,s2S2VS*c${*WQ,|&|Q,}'OR4`/s%[%Si#v$b$c$d$x${%O%Q%]%^%b)w*P*R*T*W*^*d*t*u+c+f+},Q.a.z/_/h/r/s/u0Y0[0g0h0i1^1a1i3Z4U4V4a4f4w5R5U5x6|7l7v7|8Q8f9V9e9n9t:S:f:t:};V;^<^<_<a<b<c<d<g<h<i<j<k<l<t<u<v<w<y<z<}=O=P=Q=R=S=T=U=X=Y=p=x=y=|=}Q,P&ZQ1`,RQ5i1_R8]5jV*k$|*X*lU*k$|*X*lT5p1g5qS/y*f/iQ4n0VT7x4q:PQ+g%wQ0P*iQ0x+hQ1m,[Q5|1nQ8k5}Q:V8lR;P:W!U%Oi$d%O%Q%]%^%b*P*R*^*t*u.z/r0Y0[0g0h0i4V4w7|9e=p=x=yx*P$v)c*Q*r+R/q0^0_3y4^4{4|4}7f7z9v:l=b=n=oS0Y*q0Z#f<a#v$b$c$x${)w*T*W*d+c+f+},Q.a/_/h/s/u1^1a1i3Z4U4a4f5R5U5x6|7l7v8Q8f9V9n9t:S:f:t:};V;^<a<c<g<i<k<t<v<y<}=P=R=T=X=|=}n<b<^<_<b<d<h<j<l<u<w<z=O=Q=S=U=Y!d<t(s)a*Y*b.e.h.l/Y/f/v0p1]3`4S4_4c5h7R7U7m7p7}8P9i9q9w:q:u;W;];h=z={`<u3u7X7[7`9]:h:k;kS=P.g3aT=Q7Z9`!U%Qi$d%O%Q%]%^%b*P*R*^*t*u.z/r0Y0[0g0h0i4V4w7|9e=p=x=y|*R$v)c*S*q+R/b/q0^0_3y4^4s4{4|4}7f7z9v:l=b=n=oS0[*r0]#f<c#v$b$c$x${)w*T*W*d+c+f+},Q.a/_/h/s/u1^1a1i3Z4U4a4f5R5U5x6|7l7v8Q8f9V9n9t:S:f:t:};V;^<a<c<g<i<k<t<v<y<}=P=R=T=X=|=}n<d<^<_<b<d<h<j<l<u<w<z=O=Q=S=U=Y!h<v(s)a*Y*b.f.g.l/Y/f/v0p1]3^3`4S4_4c5h7R7S7U7m7p7}8P9i9q9w:q:u;W;];h=z={d<w3u7Y7Z7`9]9^:h:i:k;kS=R.h3bT=S7[9arnOXst!V!Z#d%l&g&p&r&s&u,n,s2S2VQ&d!UR,k&mrnOXst!V!Z#d%l&g&p&r&s&u,n,s2S2VR&d!UQ,T&[R1[+|snOXst!V!Z#d%l&g&p&r&s&u,n,s2S2VQ1h,YS5w1k1lU8e5u5v5zS:R8g8hS:{:Q:TQ;_:|R;i;`Q&k!VR,d&gR6T1tR:Y8nS&P|&UR1T+sQ&p!WR,n&qR,t&vT2T,s2VR,x&wQ,w&wR2^,xQ'w!{R-t'wSsOtQ#dXT%os#dQ#OTR'y#OQ#RUR'{#RQ)y$uR/Z)yQ#UVR(O#UQ#XWU(U#X(V-{Q(V#YR-{(WQ-X'WR2j-XQ.p(wS3e.p3fR3f.qQ-`'^R2n-`Y!rQ'^-`1g5qR'h!rQ.{)cR3z.{U#_W%g*WU(]#_(^-|Q(^#`R-|(XQ-['ZR2l-[t`OXst!V!Z#d%l&g&i&p&r&s&u,n,s2S2VS#hZ%dU#r`#h.VR.V(hQ(i#jQ.S(eW.[(i.S3P6wQ3P.TR6w3QQ)l$lR/R)lQ$phR)r$pQ$`cU)_$`-w<[Q-w;xR<[)oQ/l*ZW4Y/l4Z7j9hU4Z/m/n/oS7j4[4]R9h7k$e*O$v(s)a)c*Y*b*q*r*|*}+R.g.h.j.k.l/Y/b/d/f/q/v0^0_0p1]3^3_3`3u3y4S4^4_4c4s4u4{4|4}5h7R7S7T7U7Z7[7^7_7`7f7m7p7z7}8P9]9^9_9i9q9v9w:h:i:j:k:l:q:u;W;];h;k=b=n=o=z={Q/t*bU4b/t4d7nQ4d/vR7n4cS*l$|*XR0S*lx*Q$v)c*q*r+R/q0^0_3y4^4{4|4}7f7z9v:l=b=n=o!d.e(s)a*Y*b.g.h.l/Y/f/v0p1]3`4S4_4c5h7R7U7m7p7}8P9i9q9w:q:u;W;];h=z={U/c*Q.e7Xa7X3u7Z7[7`9]:h:k;kQ0Z*qQ3a.gU4t0Z3a9`R9`7Z|*S$v)c*q*r+R/b/q0^0_3y4^4s4{4|4}7f7z9v:l=b=n=o!h.f(s)a*Y*b.g.h.l/Y/f/v0p1]3^3`4S4_4c5h7R7S7U7m7p7}8P9i9q9w:q:u;W;];h=z={U/e*S.f7Ye7Y3u7Z7[7`9]9^:h:i:k;kQ0]*rQ3b.hU4v0]3b9aR9a7[Q*w%UR0a*wQ5S0pR8O5SQ+[%jR0o+[Q5l1bS8_5l:OR:O8`Q,V&]R1e,VQ5q1gR8b5qQ1s,aS6R1s8oR8o6TQ1O+oW5_1O5a8V9zQ5a1RQ8V5`R9z8WQ+t&PR1U+tQ2V,sR6c2VYrOXst#dQ&t!ZQ+^%lQ,m&pQ,o&rQ,p&sQ,r&uQ2Q,nS2T,s2VR6b2SQ%npQ&x!_Q&{!aQ&}!bQ'P!cQ'o!uQ+]%kQ+i%yQ+{&VQ,c&kQ,z&zW-k'i'q'r'uQ-r'mQ0R*kQ0y+jS1v,d,gQ2_,yQ2`,|Q2a,}Q2u-jW2w-m-n-q-sQ5W0zQ5d1XQ5g1]Q5{1mQ6V1xQ6a2RU6p2v2y2|Q6s2zQ8R5XQ8Z5fQ8[5hQ8a5pQ8j5|Q8p6US9P6q6uQ9R6tQ9{8XQ:U8kQ:Z8qQ:b9QQ:x9|Q;O:VQ;S:cR;a;PQ%yyQ'b!iQ'm!uU+j%z%{%|Q-R'TU-f'c'd'eS-j'i'sQ/z*gS0z+k+lQ2g-TS2s-g-hQ2z-oS4g/{0OQ5X0{Q6l2mQ6o2tQ6t2{U7q4i4j4mQ9o7sR:r9pS$wi=pR*x%VU%Ui%V=pR0`*vQ$viS(s#v+fS)a$b$cQ)c$dQ*Y$xS*b${*WQ*q%OQ*r%QQ*|%]Q*}%^Q+R%bQ.g<aQ.h<cQ.j<gQ.k<iQ.l<kQ/Y)wQ/b*PQ/d*RQ/f*TQ/q*^S/v*d/hQ0^*tQ0_*ul0p+c,Q.a1a1i3Z5x6|8f9V:S:f:};VQ1]+}Q3^<tQ3_<vQ3`<yS3u<^<_Q3y.zS4S/_4UQ4^/rQ4_/sQ4c/uQ4s0YQ4u0[Q4{0gQ4|0hQ4}0iQ5h1^Q7R<}Q7S=PQ7T=RQ7U=TQ7Z<bQ7[<dQ7^<hQ7_<jQ7`<lQ7f4VQ7m4aQ7p4fQ7z4wQ7}5RQ8P5UQ9]<zQ9^<uQ9_<wQ9i7lQ9q7vQ9v7|Q9w8QQ:h=OQ:i=QQ:j=SQ:k=UQ:l9eQ:q9nQ:u9tQ;W=XQ;]:tQ;h;^Q;k=YQ=b=pQ=n=xQ=o=yQ=z=|R={=}Q*z%[Q.i<eR7]<fnpOXst!Z#d%l&p&r&s&u,n,s2S2VQ!fPS#fZ#oQ&z!`W'f!o*f0V4qQ'}#SQ)O#{Q)p$nS,g&i&lQ,l&mQ,y&yS-O'R/iQ-b'`Q.s(|Q/V)qQ0m+YQ0s+dQ2O,kQ2q-dQ3X.bQ4O/QQ4y0dQ5v1jQ6X1zQ6Y1{Q6^1}Q6`2PQ6e2XQ7P3[Q7c3{Q8h5yQ8t6ZQ8u6[Q8w6_Q9Z7QQ:T8iR:_8x#[cOPXZst!Z!`!o#d#o#{%l&i&l&m&p&r&s&u&y'R'`(|*f+Y+d,k,n,s-d.b/i0V0d1j1z1{1}2P2S2V2X3[4q5y6Z6[6_7Q8i8xQ#YWQ#eYQ%puQ%rvS%tw!gS(Q#W(TQ(W#ZQ(r#uQ(w#xQ)P$OQ)Q$PQ)R$QQ)S$RQ)T$SQ)U$TQ)V$UQ)W$VQ)X$WQ)Y$XQ)[$ZQ)^$_Q)`$aQ)e$eW)o$n)q/Q3{Q+a%sQ+u&QS-U'V2hQ-s'pS-x(R-zQ-}(ZQ.P(bQ.n(vQ.q(xQ.u;vQ.w;yQ.x;zQ.y;}Q/]){Q0j+UQ2c-PQ2f-SQ2v-lQ2}.QQ3c.oQ3h<OQ3i<PQ3j<QQ3k<RQ3l<SQ3m<TQ3n<UQ3o<VQ3p<WQ3q<XQ3r<YQ3s.vQ3t<]Q3w<`Q3x<mQ4P<ZQ5O0lQ5Y0|Q6k<pQ6q2xQ6v3OQ7V3dQ7W<qQ7a<sQ7b<{Q8`5mQ8|6iQ9Q6rQ9[<|Q9b=VQ9c=WQ:c9SQ:y9}Q;R:aQ;x#SR=g=sR#[WR'X!el!tQ!r!v!y!z'^'j'k'l-`-p1g5q5sS'T!e-WU*g$|*X*lS-T'U']S0O*h*nQ0W*oQ2m-^Q4m0UR4r0XR(y#xQ!fQT-_'^-`]!qQ!r'^-`1g5qQ#p]R'g;wR)d$dY!uQ'^-`1g5qQ'i!rS's!v!yS'u!z5sS-o'j'kQ-q'lR2{-pT#kZ%dS#jZ%dS%jm,jU(e#h#i#lS.T(f(gQ.X(hQ0n+ZQ3Q.UU3R.V.W.YS6x3S3TR9T6yd#^W#W#Z%g(R([*W+W.O/hr#gZm#h#i#l%d(f(g(h+Z.U.V.W.Y3S3T6yS*Z$x*_Q/o*[Q1|,jQ2d-QQ4W/kQ6g2[Q7i4XQ8{6hT=_'V+XV#aW%g*WU#`W%g*WS(S#W([U(X#Z+W/hS-V'V+XT-y(R.OV'[!e%h*XQ$lfR)v$qT)k$l)lR3}/PT*]$x*_T*e${*WQ0q+cQ1_,QQ3V.aQ5j1aQ5u1iQ6}3ZQ8g5xQ9W6|Q:Q8fQ:d9VQ:|:SQ;U:fQ;`:}R;c;VnqOXst!Z#d%l&p&r&s&u,n,s2S2VQ&j!VR,c&gtmOXst!U!V!Z#d%l&g&p&r&s&u,n,s2S2VR,j&mT%km,jR1c,SR,b&eQ&T|R+z&UR+p&OT&n!W&qT&o!W&qT2U,s2V",
-    nodeNames: "⚠ ArithOp ArithOp ?. JSXStartTag LineComment BlockComment Script Hashbang ExportDeclaration export Star as VariableName String Escape from ; default FunctionDeclaration async function VariableDefinition > < TypeParamList in out const TypeDefinition extends ThisType this LiteralType ArithOp Number BooleanLiteral TemplateType InterpolationEnd Interpolation InterpolationStart NullType null VoidType void TypeofType typeof MemberExpression . PropertyName [ TemplateString Escape Interpolation super RegExp ] ArrayExpression Spread , } { ObjectExpression Property async get set PropertyDefinition Block : NewTarget new NewExpression ) ( ArgList UnaryExpression delete LogicOp BitOp YieldExpression yield AwaitExpression await ParenthesizedExpression ClassExpression class ClassBody MethodDeclaration Decorator @ MemberExpression PrivatePropertyName CallExpression TypeArgList CompareOp < declare Privacy static abstract override PrivatePropertyDefinition PropertyDeclaration readonly accessor Optional TypeAnnotation Equals StaticBlock FunctionExpression ArrowFunction ParamList ParamList ArrayPattern ObjectPattern PatternProperty Privacy readonly Arrow MemberExpression BinaryExpression ArithOp ArithOp ArithOp ArithOp BitOp CompareOp instanceof satisfies CompareOp BitOp BitOp BitOp LogicOp LogicOp ConditionalExpression LogicOp LogicOp AssignmentExpression UpdateOp PostfixExpression CallExpression InstantiationExpression TaggedTemplateExpression DynamicImport import ImportMeta JSXElement JSXSelfCloseEndTag JSXSelfClosingTag JSXIdentifier JSXBuiltin JSXIdentifier JSXNamespacedName JSXMemberExpression JSXSpreadAttribute JSXAttribute JSXAttributeValue JSXEscape JSXEndTag JSXOpenTag JSXFragmentTag JSXText JSXEscape JSXStartCloseTag JSXCloseTag PrefixCast < ArrowFunction TypeParamList SequenceExpression InstantiationExpression KeyofType keyof UniqueType unique ImportType InferredType infer TypeName ParenthesizedType FunctionSignature ParamList NewSignature IndexedType TupleType Label ArrayType ReadonlyType ObjectType MethodType PropertyType IndexSignature PropertyDefinition CallSignature TypePredicate asserts is NewSignature new UnionType LogicOp IntersectionType LogicOp ConditionalType ParameterizedType ClassDeclaration abstract implements type VariableDeclaration let var using TypeAliasDeclaration InterfaceDeclaration interface EnumDeclaration enum EnumBody NamespaceDeclaration namespace module AmbientDeclaration declare GlobalDeclaration global ClassDeclaration ClassBody AmbientFunctionDeclaration ExportGroup VariableName VariableName ImportDeclaration ImportGroup ForStatement for ForSpec ForInSpec ForOfSpec of WhileStatement while WithStatement with DoStatement do IfStatement if else SwitchStatement switch SwitchBody CaseLabel case DefaultLabel TryStatement try CatchClause catch FinallyClause finally ReturnStatement return ThrowStatement throw BreakStatement break ContinueStatement continue DebuggerStatement debugger LabeledStatement ExpressionStatement SingleExpression SingleClassItem",
-    maxTerm: 379,
-    context: trackNewline,
-    nodeProps: [
-      ["isolate", -8,5,6,14,37,39,51,53,55,""],
-      ["group", -26,9,17,19,68,207,211,215,216,218,221,224,234,236,242,244,246,248,251,257,263,265,267,269,271,273,274,"Statement",-34,13,14,32,35,36,42,51,54,55,57,62,70,72,76,80,82,84,85,110,111,120,121,136,139,141,142,143,144,145,147,148,167,169,171,"Expression",-23,31,33,37,41,43,45,173,175,177,178,180,181,182,184,185,186,188,189,190,201,203,205,206,"Type",-3,88,103,109,"ClassItem"],
-      ["openedBy", 23,"<",38,"InterpolationStart",56,"[",60,"{",73,"(",160,"JSXStartCloseTag"],
-      ["closedBy", -2,24,168,">",40,"InterpolationEnd",50,"]",61,"}",74,")",165,"JSXEndTag"]
-    ],
-    propSources: [jsHighlight],
-    skippedNodes: [0,5,6,277],
-    repeatNodeCount: 37,
-    tokenData: "$Fq07[R!bOX%ZXY+gYZ-yZ[+g[]%Z]^.c^p%Zpq+gqr/mrs3cst:_tuEruvJSvwLkwx! Yxy!'iyz!(sz{!)}{|!,q|}!.O}!O!,q!O!P!/Y!P!Q!9j!Q!R#:O!R![#<_![!]#I_!]!^#Jk!^!_#Ku!_!`$![!`!a$$v!a!b$*T!b!c$,r!c!}Er!}#O$-|#O#P$/W#P#Q$4o#Q#R$5y#R#SEr#S#T$7W#T#o$8b#o#p$<r#p#q$=h#q#r$>x#r#s$@U#s$f%Z$f$g+g$g#BYEr#BY#BZ$A`#BZ$ISEr$IS$I_$A`$I_$I|Er$I|$I}$Dk$I}$JO$Dk$JO$JTEr$JT$JU$A`$JU$KVEr$KV$KW$A`$KW&FUEr&FU&FV$A`&FV;'SEr;'S;=`I|<%l?HTEr?HT?HU$A`?HUOEr(n%d_$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z&j&hT$i&jO!^&c!_#o&c#p;'S&c;'S;=`&w<%lO&c&j&zP;=`<%l&c'|'U]$i&j(Y!bOY&}YZ&cZw&}wx&cx!^&}!^!_'}!_#O&}#O#P&c#P#o&}#o#p'}#p;'S&};'S;=`(l<%lO&}!b(SU(Y!bOY'}Zw'}x#O'}#P;'S'};'S;=`(f<%lO'}!b(iP;=`<%l'}'|(oP;=`<%l&}'[(y]$i&j(VpOY(rYZ&cZr(rrs&cs!^(r!^!_)r!_#O(r#O#P&c#P#o(r#o#p)r#p;'S(r;'S;=`*a<%lO(rp)wU(VpOY)rZr)rs#O)r#P;'S)r;'S;=`*Z<%lO)rp*^P;=`<%l)r'[*dP;=`<%l(r#S*nX(Vp(Y!bOY*gZr*grs'}sw*gwx)rx#O*g#P;'S*g;'S;=`+Z<%lO*g#S+^P;=`<%l*g(n+dP;=`<%l%Z07[+rq$i&j(Vp(Y!b'{0/lOX%ZXY+gYZ&cZ[+g[p%Zpq+gqr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p$f%Z$f$g+g$g#BY%Z#BY#BZ+g#BZ$IS%Z$IS$I_+g$I_$JT%Z$JT$JU+g$JU$KV%Z$KV$KW+g$KW&FU%Z&FU&FV+g&FV;'S%Z;'S;=`+a<%l?HT%Z?HT?HU+g?HUO%Z07[.ST(W#S$i&j'|0/lO!^&c!_#o&c#p;'S&c;'S;=`&w<%lO&c07[.n_$i&j(Vp(Y!b'|0/lOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z)3p/x`$i&j!p),Q(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`0z!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW1V`#v(Ch$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`2X!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW2d_#v(Ch$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'At3l_(U':f$i&j(Y!bOY4kYZ5qZr4krs7nsw4kwx5qx!^4k!^!_8p!_#O4k#O#P5q#P#o4k#o#p8p#p;'S4k;'S;=`:X<%lO4k(^4r_$i&j(Y!bOY4kYZ5qZr4krs7nsw4kwx5qx!^4k!^!_8p!_#O4k#O#P5q#P#o4k#o#p8p#p;'S4k;'S;=`:X<%lO4k&z5vX$i&jOr5qrs6cs!^5q!^!_6y!_#o5q#o#p6y#p;'S5q;'S;=`7h<%lO5q&z6jT$d`$i&jO!^&c!_#o&c#p;'S&c;'S;=`&w<%lO&c`6|TOr6yrs7]s;'S6y;'S;=`7b<%lO6y`7bO$d``7eP;=`<%l6y&z7kP;=`<%l5q(^7w]$d`$i&j(Y!bOY&}YZ&cZw&}wx&cx!^&}!^!_'}!_#O&}#O#P&c#P#o&}#o#p'}#p;'S&};'S;=`(l<%lO&}!r8uZ(Y!bOY8pYZ6yZr8prs9hsw8pwx6yx#O8p#O#P6y#P;'S8p;'S;=`:R<%lO8p!r9oU$d`(Y!bOY'}Zw'}x#O'}#P;'S'};'S;=`(f<%lO'}!r:UP;=`<%l8p(^:[P;=`<%l4k%9[:hh$i&j(Vp(Y!bOY%ZYZ&cZq%Zqr<Srs&}st%ZtuCruw%Zwx(rx!^%Z!^!_*g!_!c%Z!c!}Cr!}#O%Z#O#P&c#P#R%Z#R#SCr#S#T%Z#T#oCr#o#p*g#p$g%Z$g;'SCr;'S;=`El<%lOCr(r<__WS$i&j(Vp(Y!bOY<SYZ&cZr<Srs=^sw<Swx@nx!^<S!^!_Bm!_#O<S#O#P>`#P#o<S#o#pBm#p;'S<S;'S;=`Cl<%lO<S(Q=g]WS$i&j(Y!bOY=^YZ&cZw=^wx>`x!^=^!^!_?q!_#O=^#O#P>`#P#o=^#o#p?q#p;'S=^;'S;=`@h<%lO=^&n>gXWS$i&jOY>`YZ&cZ!^>`!^!_?S!_#o>`#o#p?S#p;'S>`;'S;=`?k<%lO>`S?XSWSOY?SZ;'S?S;'S;=`?e<%lO?SS?hP;=`<%l?S&n?nP;=`<%l>`!f?xWWS(Y!bOY?qZw?qwx?Sx#O?q#O#P?S#P;'S?q;'S;=`@b<%lO?q!f@eP;=`<%l?q(Q@kP;=`<%l=^'`@w]WS$i&j(VpOY@nYZ&cZr@nrs>`s!^@n!^!_Ap!_#O@n#O#P>`#P#o@n#o#pAp#p;'S@n;'S;=`Bg<%lO@ntAwWWS(VpOYApZrAprs?Ss#OAp#O#P?S#P;'SAp;'S;=`Ba<%lOAptBdP;=`<%lAp'`BjP;=`<%l@n#WBvYWS(Vp(Y!bOYBmZrBmrs?qswBmwxApx#OBm#O#P?S#P;'SBm;'S;=`Cf<%lOBm#WCiP;=`<%lBm(rCoP;=`<%l<S%9[C}i$i&j(n%1l(Vp(Y!bOY%ZYZ&cZr%Zrs&}st%ZtuCruw%Zwx(rx!Q%Z!Q![Cr![!^%Z!^!_*g!_!c%Z!c!}Cr!}#O%Z#O#P&c#P#R%Z#R#SCr#S#T%Z#T#oCr#o#p*g#p$g%Z$g;'SCr;'S;=`El<%lOCr%9[EoP;=`<%lCr07[FRk$i&j(Vp(Y!b$]#t(S,2j(d$I[OY%ZYZ&cZr%Zrs&}st%ZtuEruw%Zwx(rx}%Z}!OGv!O!Q%Z!Q![Er![!^%Z!^!_*g!_!c%Z!c!}Er!}#O%Z#O#P&c#P#R%Z#R#SEr#S#T%Z#T#oEr#o#p*g#p$g%Z$g;'SEr;'S;=`I|<%lOEr+dHRk$i&j(Vp(Y!b$]#tOY%ZYZ&cZr%Zrs&}st%ZtuGvuw%Zwx(rx}%Z}!OGv!O!Q%Z!Q![Gv![!^%Z!^!_*g!_!c%Z!c!}Gv!}#O%Z#O#P&c#P#R%Z#R#SGv#S#T%Z#T#oGv#o#p*g#p$g%Z$g;'SGv;'S;=`Iv<%lOGv+dIyP;=`<%lGv07[JPP;=`<%lEr(KWJ_`$i&j(Vp(Y!b#p(ChOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KWKl_$i&j$Q(Ch(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z,#xLva(y+JY$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sv%ZvwM{wx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KWNW`$i&j#z(Ch(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'At! c_(X';W$i&j(VpOY!!bYZ!#hZr!!brs!#hsw!!bwx!$xx!^!!b!^!_!%z!_#O!!b#O#P!#h#P#o!!b#o#p!%z#p;'S!!b;'S;=`!'c<%lO!!b'l!!i_$i&j(VpOY!!bYZ!#hZr!!brs!#hsw!!bwx!$xx!^!!b!^!_!%z!_#O!!b#O#P!#h#P#o!!b#o#p!%z#p;'S!!b;'S;=`!'c<%lO!!b&z!#mX$i&jOw!#hwx6cx!^!#h!^!_!$Y!_#o!#h#o#p!$Y#p;'S!#h;'S;=`!$r<%lO!#h`!$]TOw!$Ywx7]x;'S!$Y;'S;=`!$l<%lO!$Y`!$oP;=`<%l!$Y&z!$uP;=`<%l!#h'l!%R]$d`$i&j(VpOY(rYZ&cZr(rrs&cs!^(r!^!_)r!_#O(r#O#P&c#P#o(r#o#p)r#p;'S(r;'S;=`*a<%lO(r!Q!&PZ(VpOY!%zYZ!$YZr!%zrs!$Ysw!%zwx!&rx#O!%z#O#P!$Y#P;'S!%z;'S;=`!']<%lO!%z!Q!&yU$d`(VpOY)rZr)rs#O)r#P;'S)r;'S;=`*Z<%lO)r!Q!'`P;=`<%l!%z'l!'fP;=`<%l!!b/5|!'t_!l/.^$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z#&U!)O_!k!Lf$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z-!n!*[b$i&j(Vp(Y!b(T%&f#q(ChOY%ZYZ&cZr%Zrs&}sw%Zwx(rxz%Zz{!+d{!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW!+o`$i&j(Vp(Y!b#n(ChOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z+;x!,|`$i&j(Vp(Y!br+4YOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z,$U!.Z_!]+Jf$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z07[!/ec$i&j(Vp(Y!b!Q.2^OY%ZYZ&cZr%Zrs&}sw%Zwx(rx!O%Z!O!P!0p!P!Q%Z!Q![!3Y![!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z#%|!0ya$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!O%Z!O!P!2O!P!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z#%|!2Z_![!L^$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad!3eg$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q![!3Y![!^%Z!^!_*g!_!g%Z!g!h!4|!h#O%Z#O#P&c#P#R%Z#R#S!3Y#S#X%Z#X#Y!4|#Y#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad!5Vg$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx{%Z{|!6n|}%Z}!O!6n!O!Q%Z!Q![!8S![!^%Z!^!_*g!_#O%Z#O#P&c#P#R%Z#R#S!8S#S#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad!6wc$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q![!8S![!^%Z!^!_*g!_#O%Z#O#P&c#P#R%Z#R#S!8S#S#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad!8_c$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q![!8S![!^%Z!^!_*g!_#O%Z#O#P&c#P#R%Z#R#S!8S#S#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z07[!9uf$i&j(Vp(Y!b#o(ChOY!;ZYZ&cZr!;Zrs!<nsw!;Zwx!Lcxz!;Zz{#-}{!P!;Z!P!Q#/d!Q!^!;Z!^!_#(i!_!`#7S!`!a#8i!a!}!;Z!}#O#,f#O#P!Dy#P#o!;Z#o#p#(i#p;'S!;Z;'S;=`#-w<%lO!;Z?O!;fb$i&j(Vp(Y!b!X7`OY!;ZYZ&cZr!;Zrs!<nsw!;Zwx!Lcx!P!;Z!P!Q#&`!Q!^!;Z!^!_#(i!_!}!;Z!}#O#,f#O#P!Dy#P#o!;Z#o#p#(i#p;'S!;Z;'S;=`#-w<%lO!;Z>^!<w`$i&j(Y!b!X7`OY!<nYZ&cZw!<nwx!=yx!P!<n!P!Q!Eq!Q!^!<n!^!_!Gr!_!}!<n!}#O!KS#O#P!Dy#P#o!<n#o#p!Gr#p;'S!<n;'S;=`!L]<%lO!<n<z!>Q^$i&j!X7`OY!=yYZ&cZ!P!=y!P!Q!>|!Q!^!=y!^!_!@c!_!}!=y!}#O!CW#O#P!Dy#P#o!=y#o#p!@c#p;'S!=y;'S;=`!Ek<%lO!=y<z!?Td$i&j!X7`O!^&c!_#W&c#W#X!>|#X#Z&c#Z#[!>|#[#]&c#]#^!>|#^#a&c#a#b!>|#b#g&c#g#h!>|#h#i&c#i#j!>|#j#k!>|#k#m&c#m#n!>|#n#o&c#p;'S&c;'S;=`&w<%lO&c7`!@hX!X7`OY!@cZ!P!@c!P!Q!AT!Q!}!@c!}#O!Ar#O#P!Bq#P;'S!@c;'S;=`!CQ<%lO!@c7`!AYW!X7`#W#X!AT#Z#[!AT#]#^!AT#a#b!AT#g#h!AT#i#j!AT#j#k!AT#m#n!AT7`!AuVOY!ArZ#O!Ar#O#P!B[#P#Q!@c#Q;'S!Ar;'S;=`!Bk<%lO!Ar7`!B_SOY!ArZ;'S!Ar;'S;=`!Bk<%lO!Ar7`!BnP;=`<%l!Ar7`!BtSOY!@cZ;'S!@c;'S;=`!CQ<%lO!@c7`!CTP;=`<%l!@c<z!C][$i&jOY!CWYZ&cZ!^!CW!^!_!Ar!_#O!CW#O#P!DR#P#Q!=y#Q#o!CW#o#p!Ar#p;'S!CW;'S;=`!Ds<%lO!CW<z!DWX$i&jOY!CWYZ&cZ!^!CW!^!_!Ar!_#o!CW#o#p!Ar#p;'S!CW;'S;=`!Ds<%lO!CW<z!DvP;=`<%l!CW<z!EOX$i&jOY!=yYZ&cZ!^!=y!^!_!@c!_#o!=y#o#p!@c#p;'S!=y;'S;=`!Ek<%lO!=y<z!EnP;=`<%l!=y>^!Ezl$i&j(Y!b!X7`OY&}YZ&cZw&}wx&cx!^&}!^!_'}!_#O&}#O#P&c#P#W&}#W#X!Eq#X#Z&}#Z#[!Eq#[#]&}#]#^!Eq#^#a&}#a#b!Eq#b#g&}#g#h!Eq#h#i&}#i#j!Eq#j#k!Eq#k#m&}#m#n!Eq#n#o&}#o#p'}#p;'S&};'S;=`(l<%lO&}8r!GyZ(Y!b!X7`OY!GrZw!Grwx!@cx!P!Gr!P!Q!Hl!Q!}!Gr!}#O!JU#O#P!Bq#P;'S!Gr;'S;=`!J|<%lO!Gr8r!Hse(Y!b!X7`OY'}Zw'}x#O'}#P#W'}#W#X!Hl#X#Z'}#Z#[!Hl#[#]'}#]#^!Hl#^#a'}#a#b!Hl#b#g'}#g#h!Hl#h#i'}#i#j!Hl#j#k!Hl#k#m'}#m#n!Hl#n;'S'};'S;=`(f<%lO'}8r!JZX(Y!bOY!JUZw!JUwx!Arx#O!JU#O#P!B[#P#Q!Gr#Q;'S!JU;'S;=`!Jv<%lO!JU8r!JyP;=`<%l!JU8r!KPP;=`<%l!Gr>^!KZ^$i&j(Y!bOY!KSYZ&cZw!KSwx!CWx!^!KS!^!_!JU!_#O!KS#O#P!DR#P#Q!<n#Q#o!KS#o#p!JU#p;'S!KS;'S;=`!LV<%lO!KS>^!LYP;=`<%l!KS>^!L`P;=`<%l!<n=l!Ll`$i&j(Vp!X7`OY!LcYZ&cZr!Lcrs!=ys!P!Lc!P!Q!Mn!Q!^!Lc!^!_# o!_!}!Lc!}#O#%P#O#P!Dy#P#o!Lc#o#p# o#p;'S!Lc;'S;=`#&Y<%lO!Lc=l!Mwl$i&j(Vp!X7`OY(rYZ&cZr(rrs&cs!^(r!^!_)r!_#O(r#O#P&c#P#W(r#W#X!Mn#X#Z(r#Z#[!Mn#[#](r#]#^!Mn#^#a(r#a#b!Mn#b#g(r#g#h!Mn#h#i(r#i#j!Mn#j#k!Mn#k#m(r#m#n!Mn#n#o(r#o#p)r#p;'S(r;'S;=`*a<%lO(r8Q# vZ(Vp!X7`OY# oZr# ors!@cs!P# o!P!Q#!i!Q!}# o!}#O#$R#O#P!Bq#P;'S# o;'S;=`#$y<%lO# o8Q#!pe(Vp!X7`OY)rZr)rs#O)r#P#W)r#W#X#!i#X#Z)r#Z#[#!i#[#])r#]#^#!i#^#a)r#a#b#!i#b#g)r#g#h#!i#h#i)r#i#j#!i#j#k#!i#k#m)r#m#n#!i#n;'S)r;'S;=`*Z<%lO)r8Q#$WX(VpOY#$RZr#$Rrs!Ars#O#$R#O#P!B[#P#Q# o#Q;'S#$R;'S;=`#$s<%lO#$R8Q#$vP;=`<%l#$R8Q#$|P;=`<%l# o=l#%W^$i&j(VpOY#%PYZ&cZr#%Prs!CWs!^#%P!^!_#$R!_#O#%P#O#P!DR#P#Q!Lc#Q#o#%P#o#p#$R#p;'S#%P;'S;=`#&S<%lO#%P=l#&VP;=`<%l#%P=l#&]P;=`<%l!Lc?O#&kn$i&j(Vp(Y!b!X7`OY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#W%Z#W#X#&`#X#Z%Z#Z#[#&`#[#]%Z#]#^#&`#^#a%Z#a#b#&`#b#g%Z#g#h#&`#h#i%Z#i#j#&`#j#k#&`#k#m%Z#m#n#&`#n#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z9d#(r](Vp(Y!b!X7`OY#(iZr#(irs!Grsw#(iwx# ox!P#(i!P!Q#)k!Q!}#(i!}#O#+`#O#P!Bq#P;'S#(i;'S;=`#,`<%lO#(i9d#)th(Vp(Y!b!X7`OY*gZr*grs'}sw*gwx)rx#O*g#P#W*g#W#X#)k#X#Z*g#Z#[#)k#[#]*g#]#^#)k#^#a*g#a#b#)k#b#g*g#g#h#)k#h#i*g#i#j#)k#j#k#)k#k#m*g#m#n#)k#n;'S*g;'S;=`+Z<%lO*g9d#+gZ(Vp(Y!bOY#+`Zr#+`rs!JUsw#+`wx#$Rx#O#+`#O#P!B[#P#Q#(i#Q;'S#+`;'S;=`#,Y<%lO#+`9d#,]P;=`<%l#+`9d#,cP;=`<%l#(i?O#,o`$i&j(Vp(Y!bOY#,fYZ&cZr#,frs!KSsw#,fwx#%Px!^#,f!^!_#+`!_#O#,f#O#P!DR#P#Q!;Z#Q#o#,f#o#p#+`#p;'S#,f;'S;=`#-q<%lO#,f?O#-tP;=`<%l#,f?O#-zP;=`<%l!;Z07[#.[b$i&j(Vp(Y!b'}0/l!X7`OY!;ZYZ&cZr!;Zrs!<nsw!;Zwx!Lcx!P!;Z!P!Q#&`!Q!^!;Z!^!_#(i!_!}!;Z!}#O#,f#O#P!Dy#P#o!;Z#o#p#(i#p;'S!;Z;'S;=`#-w<%lO!;Z07[#/o_$i&j(Vp(Y!bT0/lOY#/dYZ&cZr#/drs#0nsw#/dwx#4Ox!^#/d!^!_#5}!_#O#/d#O#P#1p#P#o#/d#o#p#5}#p;'S#/d;'S;=`#6|<%lO#/d06j#0w]$i&j(Y!bT0/lOY#0nYZ&cZw#0nwx#1px!^#0n!^!_#3R!_#O#0n#O#P#1p#P#o#0n#o#p#3R#p;'S#0n;'S;=`#3x<%lO#0n05W#1wX$i&jT0/lOY#1pYZ&cZ!^#1p!^!_#2d!_#o#1p#o#p#2d#p;'S#1p;'S;=`#2{<%lO#1p0/l#2iST0/lOY#2dZ;'S#2d;'S;=`#2u<%lO#2d0/l#2xP;=`<%l#2d05W#3OP;=`<%l#1p01O#3YW(Y!bT0/lOY#3RZw#3Rwx#2dx#O#3R#O#P#2d#P;'S#3R;'S;=`#3r<%lO#3R01O#3uP;=`<%l#3R06j#3{P;=`<%l#0n05x#4X]$i&j(VpT0/lOY#4OYZ&cZr#4Ors#1ps!^#4O!^!_#5Q!_#O#4O#O#P#1p#P#o#4O#o#p#5Q#p;'S#4O;'S;=`#5w<%lO#4O00^#5XW(VpT0/lOY#5QZr#5Qrs#2ds#O#5Q#O#P#2d#P;'S#5Q;'S;=`#5q<%lO#5Q00^#5tP;=`<%l#5Q05x#5zP;=`<%l#4O01p#6WY(Vp(Y!bT0/lOY#5}Zr#5}rs#3Rsw#5}wx#5Qx#O#5}#O#P#2d#P;'S#5};'S;=`#6v<%lO#5}01p#6yP;=`<%l#5}07[#7PP;=`<%l#/d)3h#7ab$i&j$Q(Ch(Vp(Y!b!X7`OY!;ZYZ&cZr!;Zrs!<nsw!;Zwx!Lcx!P!;Z!P!Q#&`!Q!^!;Z!^!_#(i!_!}!;Z!}#O#,f#O#P!Dy#P#o!;Z#o#p#(i#p;'S!;Z;'S;=`#-w<%lO!;ZAt#8vb$Z#t$i&j(Vp(Y!b!X7`OY!;ZYZ&cZr!;Zrs!<nsw!;Zwx!Lcx!P!;Z!P!Q#&`!Q!^!;Z!^!_#(i!_!}!;Z!}#O#,f#O#P!Dy#P#o!;Z#o#p#(i#p;'S!;Z;'S;=`#-w<%lO!;Z'Ad#:Zp$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!O%Z!O!P!3Y!P!Q%Z!Q![#<_![!^%Z!^!_*g!_!g%Z!g!h!4|!h#O%Z#O#P&c#P#R%Z#R#S#<_#S#U%Z#U#V#?i#V#X%Z#X#Y!4|#Y#b%Z#b#c#>_#c#d#Bq#d#l%Z#l#m#Es#m#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#<jk$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!O%Z!O!P!3Y!P!Q%Z!Q![#<_![!^%Z!^!_*g!_!g%Z!g!h!4|!h#O%Z#O#P&c#P#R%Z#R#S#<_#S#X%Z#X#Y!4|#Y#b%Z#b#c#>_#c#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#>j_$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#?rd$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q!R#AQ!R!S#AQ!S!^%Z!^!_*g!_#O%Z#O#P&c#P#R%Z#R#S#AQ#S#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#A]f$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q!R#AQ!R!S#AQ!S!^%Z!^!_*g!_#O%Z#O#P&c#P#R%Z#R#S#AQ#S#b%Z#b#c#>_#c#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#Bzc$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q!Y#DV!Y!^%Z!^!_*g!_#O%Z#O#P&c#P#R%Z#R#S#DV#S#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#Dbe$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q!Y#DV!Y!^%Z!^!_*g!_#O%Z#O#P&c#P#R%Z#R#S#DV#S#b%Z#b#c#>_#c#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#E|g$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q![#Ge![!^%Z!^!_*g!_!c%Z!c!i#Ge!i#O%Z#O#P&c#P#R%Z#R#S#Ge#S#T%Z#T#Z#Ge#Z#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#Gpi$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q![#Ge![!^%Z!^!_*g!_!c%Z!c!i#Ge!i#O%Z#O#P&c#P#R%Z#R#S#Ge#S#T%Z#T#Z#Ge#Z#b%Z#b#c#>_#c#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z*)x#Il_!g$b$i&j$O)Lv(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z)[#Jv_al$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z04f#LS^h#)`#R-<U(Vp(Y!b$n7`OY*gZr*grs'}sw*gwx)rx!P*g!P!Q#MO!Q!^*g!^!_#Mt!_!`$ f!`#O*g#P;'S*g;'S;=`+Z<%lO*g(n#MXX$k&j(Vp(Y!bOY*gZr*grs'}sw*gwx)rx#O*g#P;'S*g;'S;=`+Z<%lO*g(El#M}Z#r(Ch(Vp(Y!bOY*gZr*grs'}sw*gwx)rx!_*g!_!`#Np!`#O*g#P;'S*g;'S;=`+Z<%lO*g(El#NyX$Q(Ch(Vp(Y!bOY*gZr*grs'}sw*gwx)rx#O*g#P;'S*g;'S;=`+Z<%lO*g(El$ oX#s(Ch(Vp(Y!bOY*gZr*grs'}sw*gwx)rx#O*g#P;'S*g;'S;=`+Z<%lO*g*)x$!ga#`*!Y$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`0z!`!a$#l!a#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(K[$#w_#k(Cl$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z*)x$%Vag!*r#s(Ch$f#|$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`$&[!`!a$'f!a#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW$&g_#s(Ch$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW$'qa#r(Ch$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`!a$(v!a#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW$)R`#r(Ch$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(Kd$*`a(q(Ct$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!a%Z!a!b$+e!b#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW$+p`$i&j#{(Ch(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z%#`$,}_!|$Ip$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z04f$.X_!S0,v$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(n$/]Z$i&jO!^$0O!^!_$0f!_#i$0O#i#j$0k#j#l$0O#l#m$2^#m#o$0O#o#p$0f#p;'S$0O;'S;=`$4i<%lO$0O(n$0VT_#S$i&jO!^&c!_#o&c#p;'S&c;'S;=`&w<%lO&c#S$0kO_#S(n$0p[$i&jO!Q&c!Q![$1f![!^&c!_!c&c!c!i$1f!i#T&c#T#Z$1f#Z#o&c#o#p$3|#p;'S&c;'S;=`&w<%lO&c(n$1kZ$i&jO!Q&c!Q![$2^![!^&c!_!c&c!c!i$2^!i#T&c#T#Z$2^#Z#o&c#p;'S&c;'S;=`&w<%lO&c(n$2cZ$i&jO!Q&c!Q![$3U![!^&c!_!c&c!c!i$3U!i#T&c#T#Z$3U#Z#o&c#p;'S&c;'S;=`&w<%lO&c(n$3ZZ$i&jO!Q&c!Q![$0O![!^&c!_!c&c!c!i$0O!i#T&c#T#Z$0O#Z#o&c#p;'S&c;'S;=`&w<%lO&c#S$4PR!Q![$4Y!c!i$4Y#T#Z$4Y#S$4]S!Q![$4Y!c!i$4Y#T#Z$4Y#q#r$0f(n$4lP;=`<%l$0O#1[$4z_!Y#)l$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW$6U`#x(Ch$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z+;p$7c_$i&j(Vp(Y!b(`+4QOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z07[$8qk$i&j(Vp(Y!b(S,2j$_#t(d$I[OY%ZYZ&cZr%Zrs&}st%Ztu$8buw%Zwx(rx}%Z}!O$:f!O!Q%Z!Q![$8b![!^%Z!^!_*g!_!c%Z!c!}$8b!}#O%Z#O#P&c#P#R%Z#R#S$8b#S#T%Z#T#o$8b#o#p*g#p$g%Z$g;'S$8b;'S;=`$<l<%lO$8b+d$:qk$i&j(Vp(Y!b$_#tOY%ZYZ&cZr%Zrs&}st%Ztu$:fuw%Zwx(rx}%Z}!O$:f!O!Q%Z!Q![$:f![!^%Z!^!_*g!_!c%Z!c!}$:f!}#O%Z#O#P&c#P#R%Z#R#S$:f#S#T%Z#T#o$:f#o#p*g#p$g%Z$g;'S$:f;'S;=`$<f<%lO$:f+d$<iP;=`<%l$:f07[$<oP;=`<%l$8b#Jf$<{X!_#Hb(Vp(Y!bOY*gZr*grs'}sw*gwx)rx#O*g#P;'S*g;'S;=`+Z<%lO*g,#x$=sa(x+JY$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p#q$+e#q;'S%Z;'S;=`+a<%lO%Z)>v$?V_!^(CdvBr$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z?O$@a_!q7`$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z07[$Aq|$i&j(Vp(Y!b'{0/l$]#t(S,2j(d$I[OX%ZXY+gYZ&cZ[+g[p%Zpq+gqr%Zrs&}st%ZtuEruw%Zwx(rx}%Z}!OGv!O!Q%Z!Q![Er![!^%Z!^!_*g!_!c%Z!c!}Er!}#O%Z#O#P&c#P#R%Z#R#SEr#S#T%Z#T#oEr#o#p*g#p$f%Z$f$g+g$g#BYEr#BY#BZ$A`#BZ$ISEr$IS$I_$A`$I_$JTEr$JT$JU$A`$JU$KVEr$KV$KW$A`$KW&FUEr&FU&FV$A`&FV;'SEr;'S;=`I|<%l?HTEr?HT?HU$A`?HUOEr07[$D|k$i&j(Vp(Y!b'|0/l$]#t(S,2j(d$I[OY%ZYZ&cZr%Zrs&}st%ZtuEruw%Zwx(rx}%Z}!OGv!O!Q%Z!Q![Er![!^%Z!^!_*g!_!c%Z!c!}Er!}#O%Z#O#P&c#P#R%Z#R#SEr#S#T%Z#T#oEr#o#p*g#p$g%Z$g;'SEr;'S;=`I|<%lOEr",
-    tokenizers: [noSemicolon, noSemicolonType, operatorToken, jsx, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, insertSemicolon, new LocalTokenGroup("$S~RRtu[#O#Pg#S#T#|~_P#o#pb~gOx~~jVO#i!P#i#j!U#j#l!P#l#m!q#m;'S!P;'S;=`#v<%lO!P~!UO!U~~!XS!Q![!e!c!i!e#T#Z!e#o#p#Z~!hR!Q![!q!c!i!q#T#Z!q~!tR!Q![!}!c!i!}#T#Z!}~#QR!Q![!P!c!i!P#T#Z!P~#^R!Q![#g!c!i#g#T#Z#g~#jS!Q![#g!c!i#g#T#Z#g#q#r!P~#yP;=`<%l!P~$RO(b~~", 141, 339), new LocalTokenGroup("j~RQYZXz{^~^O(P~~aP!P!Qd~iO(Q~~", 25, 322)],
-    topRules: {"Script":[0,7],"SingleExpression":[1,275],"SingleClassItem":[2,276]},
-    dialects: {jsx: 0, ts: 15098},
-    dynamicPrecedences: {"80":1,"82":1,"94":1,"169":1,"199":1},
-    specialized: [{term: 326, get: (value) => spec_identifier[value] || -1},{term: 342, get: (value) => spec_word[value] || -1},{term: 95, get: (value) => spec_LessThan[value] || -1}],
-    tokenPrec: 15124
-  });
-
-  /**
-  A collection of JavaScript-related
-  [snippets](https://codemirror.net/6/docs/ref/#autocomplete.snippet).
-  */
-  const snippets = [
-      /*@__PURE__*/snippetCompletion("function ${name}(${params}) {\n\t${}\n}", {
-          label: "function",
-          detail: "definition",
-          type: "keyword"
-      }),
-      /*@__PURE__*/snippetCompletion("for (let ${index} = 0; ${index} < ${bound}; ${index}++) {\n\t${}\n}", {
-          label: "for",
-          detail: "loop",
-          type: "keyword"
-      }),
-      /*@__PURE__*/snippetCompletion("for (let ${name} of ${collection}) {\n\t${}\n}", {
-          label: "for",
-          detail: "of loop",
-          type: "keyword"
-      }),
-      /*@__PURE__*/snippetCompletion("do {\n\t${}\n} while (${})", {
-          label: "do",
-          detail: "loop",
-          type: "keyword"
-      }),
-      /*@__PURE__*/snippetCompletion("while (${}) {\n\t${}\n}", {
-          label: "while",
-          detail: "loop",
-          type: "keyword"
-      }),
-      /*@__PURE__*/snippetCompletion("try {\n\t${}\n} catch (${error}) {\n\t${}\n}", {
-          label: "try",
-          detail: "/ catch block",
-          type: "keyword"
-      }),
-      /*@__PURE__*/snippetCompletion("if (${}) {\n\t${}\n}", {
-          label: "if",
-          detail: "block",
-          type: "keyword"
-      }),
-      /*@__PURE__*/snippetCompletion("if (${}) {\n\t${}\n} else {\n\t${}\n}", {
-          label: "if",
-          detail: "/ else block",
-          type: "keyword"
-      }),
-      /*@__PURE__*/snippetCompletion("class ${name} {\n\tconstructor(${params}) {\n\t\t${}\n\t}\n}", {
-          label: "class",
-          detail: "definition",
-          type: "keyword"
-      }),
-      /*@__PURE__*/snippetCompletion("import {${names}} from \"${module}\"\n${}", {
-          label: "import",
-          detail: "named",
-          type: "keyword"
-      }),
-      /*@__PURE__*/snippetCompletion("import ${name} from \"${module}\"\n${}", {
-          label: "import",
-          detail: "default",
-          type: "keyword"
-      })
-  ];
-  /**
-  A collection of snippet completions for TypeScript. Includes the
-  JavaScript [snippets](https://codemirror.net/6/docs/ref/#lang-javascript.snippets).
-  */
-  const typescriptSnippets = /*@__PURE__*/snippets.concat([
-      /*@__PURE__*/snippetCompletion("interface ${name} {\n\t${}\n}", {
-          label: "interface",
-          detail: "definition",
-          type: "keyword"
-      }),
-      /*@__PURE__*/snippetCompletion("type ${name} = ${type}", {
-          label: "type",
-          detail: "definition",
-          type: "keyword"
-      }),
-      /*@__PURE__*/snippetCompletion("enum ${name} {\n\t${}\n}", {
-          label: "enum",
-          detail: "definition",
-          type: "keyword"
-      })
-  ]);
-
-  const cache = /*@__PURE__*/new NodeWeakMap();
-  const ScopeNodes = /*@__PURE__*/new Set([
-      "Script", "Block",
-      "FunctionExpression", "FunctionDeclaration", "ArrowFunction", "MethodDeclaration",
-      "ForStatement"
-  ]);
-  function defID(type) {
-      return (node, def) => {
-          let id = node.node.getChild("VariableDefinition");
-          if (id)
-              def(id, type);
-          return true;
-      };
-  }
-  const functionContext = ["FunctionDeclaration"];
-  const gatherCompletions = {
-      FunctionDeclaration: /*@__PURE__*/defID("function"),
-      ClassDeclaration: /*@__PURE__*/defID("class"),
-      ClassExpression: () => true,
-      EnumDeclaration: /*@__PURE__*/defID("constant"),
-      TypeAliasDeclaration: /*@__PURE__*/defID("type"),
-      NamespaceDeclaration: /*@__PURE__*/defID("namespace"),
-      VariableDefinition(node, def) { if (!node.matchContext(functionContext))
-          def(node, "variable"); },
-      TypeDefinition(node, def) { def(node, "type"); },
-      __proto__: null
-  };
-  function getScope(doc, node) {
-      let cached = cache.get(node);
-      if (cached)
-          return cached;
-      let completions = [], top = true;
-      function def(node, type) {
-          let name = doc.sliceString(node.from, node.to);
-          completions.push({ label: name, type });
+      /**
+      Get a goto table entry @internal
+      */
+      getGoto(state, term, loose = false) {
+          let table = this.goto;
+          if (term >= table[0])
+              return -1;
+          for (let pos = table[term + 1];;) {
+              let groupTag = table[pos++], last = groupTag & 1;
+              let target = table[pos++];
+              if (last && loose)
+                  return target;
+              for (let end = pos + (groupTag >> 1); pos < end; pos++)
+                  if (table[pos] == state)
+                      return target;
+              if (last)
+                  return -1;
+          }
       }
-      node.cursor(IterMode.IncludeAnonymous).iterate(node => {
-          if (top) {
-              top = false;
+      /**
+      Check if this state has an action for a given terminal @internal
+      */
+      hasAction(state, terminal) {
+          let data = this.data;
+          for (let set = 0; set < 2; set++) {
+              for (let i = this.stateSlot(state, set ? 2 /* ParseState.Skip */ : 1 /* ParseState.Actions */), next;; i += 3) {
+                  if ((next = data[i]) == 65535 /* Seq.End */) {
+                      if (data[i + 1] == 1 /* Seq.Next */)
+                          next = data[i = pair(data, i + 2)];
+                      else if (data[i + 1] == 2 /* Seq.Other */)
+                          return pair(data, i + 2);
+                      else
+                          break;
+                  }
+                  if (next == terminal || next == 0 /* Term.Err */)
+                      return pair(data, i + 1);
+              }
           }
-          else if (node.name) {
-              let gather = gatherCompletions[node.name];
-              if (gather && gather(node, def) || ScopeNodes.has(node.name))
-                  return false;
+          return 0;
+      }
+      /**
+      @internal
+      */
+      stateSlot(state, slot) {
+          return this.states[(state * 6 /* ParseState.Size */) + slot];
+      }
+      /**
+      @internal
+      */
+      stateFlag(state, flag) {
+          return (this.stateSlot(state, 0 /* ParseState.Flags */) & flag) > 0;
+      }
+      /**
+      @internal
+      */
+      validAction(state, action) {
+          return !!this.allActions(state, a => a == action ? true : null);
+      }
+      /**
+      @internal
+      */
+      allActions(state, action) {
+          let deflt = this.stateSlot(state, 4 /* ParseState.DefaultReduce */);
+          let result = deflt ? action(deflt) : undefined;
+          for (let i = this.stateSlot(state, 1 /* ParseState.Actions */); result == null; i += 3) {
+              if (this.data[i] == 65535 /* Seq.End */) {
+                  if (this.data[i + 1] == 1 /* Seq.Next */)
+                      i = pair(this.data, i + 2);
+                  else
+                      break;
+              }
+              result = action(pair(this.data, i + 1));
           }
-          else if (node.to - node.from > 8192) {
-              // Allow caching for bigger internal nodes
-              for (let c of getScope(doc, node.node))
-                  completions.push(c);
-              return false;
+          return result;
+      }
+      /**
+      Get the states that can follow this one through shift actions or
+      goto jumps. @internal
+      */
+      nextStates(state) {
+          let result = [];
+          for (let i = this.stateSlot(state, 1 /* ParseState.Actions */);; i += 3) {
+              if (this.data[i] == 65535 /* Seq.End */) {
+                  if (this.data[i + 1] == 1 /* Seq.Next */)
+                      i = pair(this.data, i + 2);
+                  else
+                      break;
+              }
+              if ((this.data[i + 2] & (65536 /* Action.ReduceFlag */ >> 16)) == 0) {
+                  let value = this.data[i + 1];
+                  if (!result.some((v, i) => (i & 1) && v == value))
+                      result.push(this.data[i], value);
+              }
           }
-      });
-      cache.set(node, completions);
-      return completions;
-  }
-  const Identifier = /^[\w$\xa1-\uffff][\w$\d\xa1-\uffff]*$/;
-  const dontComplete = [
-      "TemplateString", "String", "RegExp",
-      "LineComment", "BlockComment",
-      "VariableDefinition", "TypeDefinition", "Label",
-      "PropertyDefinition", "PropertyName",
-      "PrivatePropertyDefinition", "PrivatePropertyName",
-      "JSXText", "JSXAttributeValue", "JSXOpenTag", "JSXCloseTag", "JSXSelfClosingTag",
-      ".", "?."
-  ];
-  /**
-  Completion source that looks up locally defined names in
-  JavaScript code.
-  */
-  function localCompletionSource(context) {
-      let inner = syntaxTree(context.state).resolveInner(context.pos, -1);
-      if (dontComplete.indexOf(inner.name) > -1)
-          return null;
-      let isWord = inner.name == "VariableName" ||
-          inner.to - inner.from < 20 && Identifier.test(context.state.sliceDoc(inner.from, inner.to));
-      if (!isWord && !context.explicit)
-          return null;
-      let options = [];
-      for (let pos = inner; pos; pos = pos.parent) {
-          if (ScopeNodes.has(pos.name))
-              options = options.concat(getScope(context.state.doc, pos));
+          return result;
       }
-      return {
-          options,
-          from: isWord ? inner.from : context.pos,
-          validFor: Identifier
-      };
-  }
-
-  /**
-  A language provider based on the [Lezer JavaScript
-  parser](https://github.com/lezer-parser/javascript), extended with
-  highlighting and indentation information.
-  */
-  const javascriptLanguage = /*@__PURE__*/LRLanguage.define({
-      name: "javascript",
-      parser: /*@__PURE__*/parser.configure({
-          props: [
-              /*@__PURE__*/indentNodeProp.add({
-                  IfStatement: /*@__PURE__*/continuedIndent({ except: /^\s*({|else\b)/ }),
-                  TryStatement: /*@__PURE__*/continuedIndent({ except: /^\s*({|catch\b|finally\b)/ }),
-                  LabeledStatement: flatIndent,
-                  SwitchBody: context => {
-                      let after = context.textAfter, closed = /^\s*\}/.test(after), isCase = /^\s*(case|default)\b/.test(after);
-                      return context.baseIndent + (closed ? 0 : isCase ? 1 : 2) * context.unit;
-                  },
-                  Block: /*@__PURE__*/delimitedIndent({ closing: "}" }),
-                  ArrowFunction: cx => cx.baseIndent + cx.unit,
-                  "TemplateString BlockComment": () => null,
-                  "Statement Property": /*@__PURE__*/continuedIndent({ except: /^\s*{/ }),
-                  JSXElement(context) {
-                      let closed = /^\s*<\//.test(context.textAfter);
-                      return context.lineIndent(context.node.from) + (closed ? 0 : context.unit);
-                  },
-                  JSXEscape(context) {
-                      let closed = /\s*\}/.test(context.textAfter);
-                      return context.lineIndent(context.node.from) + (closed ? 0 : context.unit);
-                  },
-                  "JSXOpenTag JSXSelfClosingTag"(context) {
-                      return context.column(context.node.from) + context.unit;
-                  }
-              }),
-              /*@__PURE__*/foldNodeProp.add({
-                  "Block ClassBody SwitchBody EnumBody ObjectExpression ArrayExpression ObjectType": foldInside,
-                  BlockComment(tree) { return { from: tree.from + 2, to: tree.to - 2 }; }
-              })
-          ]
-      }),
-      languageData: {
-          closeBrackets: { brackets: ["(", "[", "{", "'", '"', "`"] },
-          commentTokens: { line: "//", block: { open: "/*", close: "*/" } },
-          indentOnInput: /^\s*(?:case |default:|\{|\}|<\/)$/,
-          wordChars: "$"
+      /**
+      Configure the parser. Returns a new parser instance that has the
+      given settings modified. Settings not provided in `config` are
+      kept from the original parser.
+      */
+      configure(config) {
+          // Hideous reflection-based kludge to make it easy to create a
+          // slightly modified copy of a parser.
+          let copy = Object.assign(Object.create(LRParser.prototype), this);
+          if (config.props)
+              copy.nodeSet = this.nodeSet.extend(...config.props);
+          if (config.top) {
+              let info = this.topRules[config.top];
+              if (!info)
+                  throw new RangeError(`Invalid top rule name ${config.top}`);
+              copy.top = info;
+          }
+          if (config.tokenizers)
+              copy.tokenizers = this.tokenizers.map(t => {
+                  let found = config.tokenizers.find(r => r.from == t);
+                  return found ? found.to : t;
+              });
+          if (config.specializers) {
+              copy.specializers = this.specializers.slice();
+              copy.specializerSpecs = this.specializerSpecs.map((s, i) => {
+                  let found = config.specializers.find(r => r.from == s.external);
+                  if (!found)
+                      return s;
+                  let spec = Object.assign(Object.assign({}, s), { external: found.to });
+                  copy.specializers[i] = getSpecializer(spec);
+                  return spec;
+              });
+          }
+          if (config.contextTracker)
+              copy.context = config.contextTracker;
+          if (config.dialect)
+              copy.dialect = this.parseDialect(config.dialect);
+          if (config.strict != null)
+              copy.strict = config.strict;
+          if (config.wrap)
+              copy.wrappers = copy.wrappers.concat(config.wrap);
+          if (config.bufferLength != null)
+              copy.bufferLength = config.bufferLength;
+          return copy;
+      }
+      /**
+      Tells you whether any [parse wrappers](#lr.ParserConfig.wrap)
+      are registered for this parser.
+      */
+      hasWrappers() {
+          return this.wrappers.length > 0;
+      }
+      /**
+      Returns the name associated with a given term. This will only
+      work for all terms when the parser was generated with the
+      `--names` option. By default, only the names of tagged terms are
+      stored.
+      */
+      getName(term) {
+          return this.termNames ? this.termNames[term] : String(term <= this.maxNode && this.nodeSet.types[term].name || term);
+      }
+      /**
+      The eof term id is always allocated directly after the node
+      types. @internal
+      */
+      get eofTerm() { return this.maxNode + 1; }
+      /**
+      The type of top node produced by the parser.
+      */
+      get topNode() { return this.nodeSet.types[this.top[1]]; }
+      /**
+      @internal
+      */
+      dynamicPrecedence(term) {
+          let prec = this.dynamicPrecedences;
+          return prec == null ? 0 : prec[term] || 0;
+      }
+      /**
+      @internal
+      */
+      parseDialect(dialect) {
+          let values = Object.keys(this.dialects), flags = values.map(() => false);
+          if (dialect)
+              for (let part of dialect.split(" ")) {
+                  let id = values.indexOf(part);
+                  if (id >= 0)
+                      flags[id] = true;
+              }
+          let disabled = null;
+          for (let i = 0; i < values.length; i++)
+              if (!flags[i]) {
+                  for (let j = this.dialects[values[i]], id; (id = this.data[j++]) != 65535 /* Seq.End */;)
+                      (disabled || (disabled = new Uint8Array(this.maxTerm + 1)))[id] = 1;
+              }
+          return new Dialect(dialect, flags, disabled);
+      }
+      /**
+      Used by the output of the parser generator. Not available to
+      user code. @hide
+      */
+      static deserialize(spec) {
+          return new LRParser(spec);
       }
-  });
-  const jsxSublanguage = {
-      test: node => /^JSX/.test(node.name),
-      facet: /*@__PURE__*/defineLanguageFacet({ commentTokens: { block: { open: "{/*", close: "*/}" } } })
-  };
-  /**
-  A language provider for TypeScript.
-  */
-  const typescriptLanguage = /*@__PURE__*/javascriptLanguage.configure({ dialect: "ts" }, "typescript");
-  /**
-  Language provider for JSX.
-  */
-  const jsxLanguage = /*@__PURE__*/javascriptLanguage.configure({
-      dialect: "jsx",
-      props: [/*@__PURE__*/sublanguageProp.add(n => n.isTop ? [jsxSublanguage] : undefined)]
-  });
-  /**
-  Language provider for JSX + TypeScript.
-  */
-  const tsxLanguage = /*@__PURE__*/javascriptLanguage.configure({
-      dialect: "jsx ts",
-      props: [/*@__PURE__*/sublanguageProp.add(n => n.isTop ? [jsxSublanguage] : undefined)]
-  }, "typescript");
-  let kwCompletion = (name) => ({ label: name, type: "keyword" });
-  const keywords = /*@__PURE__*/"break case const continue default delete export extends false finally in instanceof let new return static super switch this throw true typeof var yield".split(" ").map(kwCompletion);
-  const typescriptKeywords = /*@__PURE__*/keywords.concat(/*@__PURE__*/["declare", "implements", "private", "protected", "public"].map(kwCompletion));
-  /**
-  JavaScript support. Includes [snippet](https://codemirror.net/6/docs/ref/#lang-javascript.snippets)
-  and local variable completion.
-  */
-  function javascript(config = {}) {
-      let lang = config.jsx ? (config.typescript ? tsxLanguage : jsxLanguage)
-          : config.typescript ? typescriptLanguage : javascriptLanguage;
-      let completions = config.typescript ? typescriptSnippets.concat(typescriptKeywords) : snippets.concat(keywords);
-      return new LanguageSupport(lang, [
-          javascriptLanguage.data.of({
-              autocomplete: ifNotIn(dontComplete, completeFromList(completions))
-          }),
-          javascriptLanguage.data.of({
-              autocomplete: localCompletionSource
-          }),
-          config.jsx ? autoCloseTags$1 : [],
-      ]);
   }
-  function findOpenTag(node) {
-      for (;;) {
-          if (node.name == "JSXOpenTag" || node.name == "JSXSelfClosingTag" || node.name == "JSXFragmentTag")
-              return node;
-          if (node.name == "JSXEscape" || !node.parent)
-              return null;
-          node = node.parent;
+  function pair(data, off) { return data[off] | (data[off + 1] << 16); }
+  function findFinished(stacks) {
+      let best = null;
+      for (let stack of stacks) {
+          let stopped = stack.p.stoppedAt;
+          if ((stack.pos == stack.p.stream.end || stopped != null && stack.pos > stopped) &&
+              stack.p.parser.stateFlag(stack.state, 2 /* StateFlag.Accepting */) &&
+              (!best || best.score < stack.score))
+              best = stack;
       }
+      return best;
   }
-  function elementName$1(doc, tree, max = doc.length) {
-      for (let ch = tree === null || tree === void 0 ? void 0 : tree.firstChild; ch; ch = ch.nextSibling) {
-          if (ch.name == "JSXIdentifier" || ch.name == "JSXBuiltin" || ch.name == "JSXNamespacedName" ||
-              ch.name == "JSXMemberExpression")
-              return doc.sliceString(ch.from, Math.min(ch.to, max));
+  function getSpecializer(spec) {
+      if (spec.external) {
+          let mask = spec.extend ? 1 /* Specialize.Extend */ : 0 /* Specialize.Specialize */;
+          return (value, stack) => (spec.external(value, stack) << 1) | mask;
       }
-      return "";
+      return spec.get;
   }
-  const android = typeof navigator == "object" && /*@__PURE__*//Android\b/.test(navigator.userAgent);
-  /**
-  Extension that will automatically insert JSX close tags when a `>` or
-  `/` is typed.
-  */
-  const autoCloseTags$1 = /*@__PURE__*/EditorView.inputHandler.of((view, from, to, text, defaultInsert) => {
-      if ((android ? view.composing : view.compositionStarted) || view.state.readOnly ||
-          from != to || (text != ">" && text != "/") ||
-          !javascriptLanguage.isActiveAt(view.state, from, -1))
-          return false;
-      let base = defaultInsert(), { state } = base;
-      let closeTags = state.changeByRange(range => {
-          var _a;
-          let { head } = range, around = syntaxTree(state).resolveInner(head - 1, -1), name;
-          if (around.name == "JSXStartTag")
-              around = around.parent;
-          if (state.doc.sliceString(head - 1, head) != text || around.name == "JSXAttributeValue" && around.to > head) ;
-          else if (text == ">" && around.name == "JSXFragmentTag") {
-              return { range, changes: { from: head, insert: `</>` } };
-          }
-          else if (text == "/" && around.name == "JSXStartCloseTag") {
-              let empty = around.parent, base = empty.parent;
-              if (base && empty.from == head - 2 &&
-                  ((name = elementName$1(state.doc, base.firstChild, head)) || ((_a = base.firstChild) === null || _a === void 0 ? void 0 : _a.name) == "JSXFragmentTag")) {
-                  let insert = `${name}>`;
-                  return { range: EditorSelection.cursor(head + insert.length, -1), changes: { from: head, insert } };
-              }
-          }
-          else if (text == ">") {
-              let openTag = findOpenTag(around);
-              if (openTag && openTag.name == "JSXOpenTag" &&
-                  !/^\/?>|^<\//.test(state.doc.sliceString(head, head + 2)) &&
-                  (name = elementName$1(state.doc, openTag, head)))
-                  return { range, changes: { from: head, insert: `</${name}>` } };
-          }
-          return { range };
-      });
-      if (closeTags.changes.empty)
-          return false;
-      view.dispatch([
-          base,
-          state.update(closeTags, { userEvent: "input.complete", scrollIntoView: true })
-      ]);
-      return true;
-  });
 
-  const Targets = ["_blank", "_self", "_top", "_parent"];
-  const Charsets = ["ascii", "utf-8", "utf-16", "latin1", "latin1"];
-  const Methods = ["get", "post", "put", "delete"];
-  const Encs = ["application/x-www-form-urlencoded", "multipart/form-data", "text/plain"];
-  const Bool = ["true", "false"];
-  const S = {}; // Empty tag spec
-  const Tags = {
-      a: {
-          attrs: {
-              href: null, ping: null, type: null,
-              media: null,
-              target: Targets,
-              hreflang: null
-          }
-      },
-      abbr: S,
-      address: S,
-      area: {
-          attrs: {
-              alt: null, coords: null, href: null, target: null, ping: null,
-              media: null, hreflang: null, type: null,
-              shape: ["default", "rect", "circle", "poly"]
-          }
-      },
-      article: S,
-      aside: S,
-      audio: {
-          attrs: {
-              src: null, mediagroup: null,
-              crossorigin: ["anonymous", "use-credentials"],
-              preload: ["none", "metadata", "auto"],
-              autoplay: ["autoplay"],
-              loop: ["loop"],
-              controls: ["controls"]
-          }
-      },
-      b: S,
-      base: { attrs: { href: null, target: Targets } },
-      bdi: S,
-      bdo: S,
-      blockquote: { attrs: { cite: null } },
-      body: S,
-      br: S,
-      button: {
-          attrs: {
-              form: null, formaction: null, name: null, value: null,
-              autofocus: ["autofocus"],
-              disabled: ["autofocus"],
-              formenctype: Encs,
-              formmethod: Methods,
-              formnovalidate: ["novalidate"],
-              formtarget: Targets,
-              type: ["submit", "reset", "button"]
-          }
-      },
-      canvas: { attrs: { width: null, height: null } },
-      caption: S,
-      center: S,
-      cite: S,
-      code: S,
-      col: { attrs: { span: null } },
-      colgroup: { attrs: { span: null } },
-      command: {
-          attrs: {
-              type: ["command", "checkbox", "radio"],
-              label: null, icon: null, radiogroup: null, command: null, title: null,
-              disabled: ["disabled"],
-              checked: ["checked"]
-          }
-      },
-      data: { attrs: { value: null } },
-      datagrid: { attrs: { disabled: ["disabled"], multiple: ["multiple"] } },
-      datalist: { attrs: { data: null } },
-      dd: S,
-      del: { attrs: { cite: null, datetime: null } },
-      details: { attrs: { open: ["open"] } },
-      dfn: S,
-      div: S,
-      dl: S,
-      dt: S,
-      em: S,
-      embed: { attrs: { src: null, type: null, width: null, height: null } },
-      eventsource: { attrs: { src: null } },
-      fieldset: { attrs: { disabled: ["disabled"], form: null, name: null } },
-      figcaption: S,
-      figure: S,
-      footer: S,
-      form: {
-          attrs: {
-              action: null, name: null,
-              "accept-charset": Charsets,
-              autocomplete: ["on", "off"],
-              enctype: Encs,
-              method: Methods,
-              novalidate: ["novalidate"],
-              target: Targets
-          }
-      },
-      h1: S, h2: S, h3: S, h4: S, h5: S, h6: S,
-      head: {
-          children: ["title", "base", "link", "style", "meta", "script", "noscript", "command"]
-      },
-      header: S,
-      hgroup: S,
-      hr: S,
-      html: {
-          attrs: { manifest: null }
-      },
-      i: S,
-      iframe: {
-          attrs: {
-              src: null, srcdoc: null, name: null, width: null, height: null,
-              sandbox: ["allow-top-navigation", "allow-same-origin", "allow-forms", "allow-scripts"],
-              seamless: ["seamless"]
-          }
-      },
-      img: {
-          attrs: {
-              alt: null, src: null, ismap: null, usemap: null, width: null, height: null,
-              crossorigin: ["anonymous", "use-credentials"]
-          }
-      },
-      input: {
-          attrs: {
-              alt: null, dirname: null, form: null, formaction: null,
-              height: null, list: null, max: null, maxlength: null, min: null,
-              name: null, pattern: null, placeholder: null, size: null, src: null,
-              step: null, value: null, width: null,
-              accept: ["audio/*", "video/*", "image/*"],
-              autocomplete: ["on", "off"],
-              autofocus: ["autofocus"],
-              checked: ["checked"],
-              disabled: ["disabled"],
-              formenctype: Encs,
-              formmethod: Methods,
-              formnovalidate: ["novalidate"],
-              formtarget: Targets,
-              multiple: ["multiple"],
-              readonly: ["readonly"],
-              required: ["required"],
-              type: ["hidden", "text", "search", "tel", "url", "email", "password", "datetime", "date", "month",
-                  "week", "time", "datetime-local", "number", "range", "color", "checkbox", "radio",
-                  "file", "submit", "image", "reset", "button"]
-          }
-      },
-      ins: { attrs: { cite: null, datetime: null } },
-      kbd: S,
-      keygen: {
-          attrs: {
-              challenge: null, form: null, name: null,
-              autofocus: ["autofocus"],
-              disabled: ["disabled"],
-              keytype: ["RSA"]
-          }
-      },
-      label: { attrs: { for: null, form: null } },
-      legend: S,
-      li: { attrs: { value: null } },
-      link: {
-          attrs: {
-              href: null, type: null,
-              hreflang: null,
-              media: null,
-              sizes: ["all", "16x16", "16x16 32x32", "16x16 32x32 64x64"]
-          }
-      },
-      map: { attrs: { name: null } },
-      mark: S,
-      menu: { attrs: { label: null, type: ["list", "context", "toolbar"] } },
-      meta: {
-          attrs: {
-              content: null,
-              charset: Charsets,
-              name: ["viewport", "application-name", "author", "description", "generator", "keywords"],
-              "http-equiv": ["content-language", "content-type", "default-style", "refresh"]
-          }
-      },
-      meter: { attrs: { value: null, min: null, low: null, high: null, max: null, optimum: null } },
-      nav: S,
-      noscript: S,
-      object: {
-          attrs: {
-              data: null, type: null, name: null, usemap: null, form: null, width: null, height: null,
-              typemustmatch: ["typemustmatch"]
-          }
-      },
-      ol: { attrs: { reversed: ["reversed"], start: null, type: ["1", "a", "A", "i", "I"] },
-          children: ["li", "script", "template", "ul", "ol"] },
-      optgroup: { attrs: { disabled: ["disabled"], label: null } },
-      option: { attrs: { disabled: ["disabled"], label: null, selected: ["selected"], value: null } },
-      output: { attrs: { for: null, form: null, name: null } },
-      p: S,
-      param: { attrs: { name: null, value: null } },
-      pre: S,
-      progress: { attrs: { value: null, max: null } },
-      q: { attrs: { cite: null } },
-      rp: S,
-      rt: S,
-      ruby: S,
-      samp: S,
-      script: {
-          attrs: {
-              type: ["text/javascript"],
-              src: null,
-              async: ["async"],
-              defer: ["defer"],
-              charset: Charsets
-          }
-      },
-      section: S,
-      select: {
-          attrs: {
-              form: null, name: null, size: null,
-              autofocus: ["autofocus"],
-              disabled: ["disabled"],
-              multiple: ["multiple"]
-          }
-      },
-      slot: { attrs: { name: null } },
-      small: S,
-      source: { attrs: { src: null, type: null, media: null } },
-      span: S,
-      strong: S,
-      style: {
-          attrs: {
-              type: ["text/css"],
-              media: null,
-              scoped: null
-          }
-      },
-      sub: S,
-      summary: S,
-      sup: S,
-      table: S,
-      tbody: S,
-      td: { attrs: { colspan: null, rowspan: null, headers: null } },
-      template: S,
-      textarea: {
-          attrs: {
-              dirname: null, form: null, maxlength: null, name: null, placeholder: null,
-              rows: null, cols: null,
-              autofocus: ["autofocus"],
-              disabled: ["disabled"],
-              readonly: ["readonly"],
-              required: ["required"],
-              wrap: ["soft", "hard"]
-          }
-      },
-      tfoot: S,
-      th: { attrs: { colspan: null, rowspan: null, headers: null, scope: ["row", "col", "rowgroup", "colgroup"] } },
-      thead: S,
-      time: { attrs: { datetime: null } },
-      title: S,
-      tr: S,
-      track: {
-          attrs: {
-              src: null, label: null, default: null,
-              kind: ["subtitles", "captions", "descriptions", "chapters", "metadata"],
-              srclang: null
+  // This file was generated by lezer-generator. You probably shouldn't edit it.
+  const scriptText = 54,
+    StartCloseScriptTag = 1,
+    styleText = 55,
+    StartCloseStyleTag = 2,
+    textareaText = 56,
+    StartCloseTextareaTag = 3,
+    EndTag = 4,
+    SelfClosingEndTag = 5,
+    StartTag = 6,
+    StartScriptTag = 7,
+    StartStyleTag = 8,
+    StartTextareaTag = 9,
+    StartSelfClosingTag = 10,
+    StartCloseTag = 11,
+    NoMatchStartCloseTag = 12,
+    MismatchedStartCloseTag = 13,
+    missingCloseTag = 57,
+    IncompleteCloseTag = 14,
+    commentContent$1 = 58,
+    Element = 20,
+    TagName = 22,
+    Attribute = 23,
+    AttributeName = 24,
+    AttributeValue = 26,
+    UnquotedAttributeValue = 27,
+    ScriptText = 28,
+    StyleText = 31,
+    TextareaText = 34,
+    OpenTag = 36,
+    CloseTag = 37,
+    Dialect_noMatch = 0,
+    Dialect_selfClosing = 1;
+
+  /* Hand-written tokenizers for HTML. */
+
+  const selfClosers$1 = {
+    area: true, base: true, br: true, col: true, command: true,
+    embed: true, frame: true, hr: true, img: true, input: true,
+    keygen: true, link: true, meta: true, param: true, source: true,
+    track: true, wbr: true, menuitem: true
+  };
+
+  const implicitlyClosed = {
+    dd: true, li: true, optgroup: true, option: true, p: true,
+    rp: true, rt: true, tbody: true, td: true, tfoot: true,
+    th: true, tr: true
+  };
+
+  const closeOnOpen = {
+    dd: {dd: true, dt: true},
+    dt: {dd: true, dt: true},
+    li: {li: true},
+    option: {option: true, optgroup: true},
+    optgroup: {optgroup: true},
+    p: {
+      address: true, article: true, aside: true, blockquote: true, dir: true,
+      div: true, dl: true, fieldset: true, footer: true, form: true,
+      h1: true, h2: true, h3: true, h4: true, h5: true, h6: true,
+      header: true, hgroup: true, hr: true, menu: true, nav: true, ol: true,
+      p: true, pre: true, section: true, table: true, ul: true
+    },
+    rp: {rp: true, rt: true},
+    rt: {rp: true, rt: true},
+    tbody: {tbody: true, tfoot: true},
+    td: {td: true, th: true},
+    tfoot: {tbody: true},
+    th: {td: true, th: true},
+    thead: {tbody: true, tfoot: true},
+    tr: {tr: true}
+  };
+
+  function nameChar(ch) {
+    return ch == 45 || ch == 46 || ch == 58 || ch >= 65 && ch <= 90 || ch == 95 || ch >= 97 && ch <= 122 || ch >= 161
+  }
+
+  function isSpace$1(ch) {
+    return ch == 9 || ch == 10 || ch == 13 || ch == 32
+  }
+
+  let cachedName = null, cachedInput = null, cachedPos = 0;
+  function tagNameAfter(input, offset) {
+    let pos = input.pos + offset;
+    if (cachedPos == pos && cachedInput == input) return cachedName
+    let next = input.peek(offset);
+    while (isSpace$1(next)) next = input.peek(++offset);
+    let name = "";
+    for (;;) {
+      if (!nameChar(next)) break
+      name += String.fromCharCode(next);
+      next = input.peek(++offset);
+    }
+    // Undefined to signal there's a <? or <!, null for just missing
+    cachedInput = input; cachedPos = pos;
+    return cachedName = name ? name.toLowerCase() : next == question$1 || next == bang ? undefined : null
+  }
+
+  const lessThan = 60, greaterThan = 62, slash$1 = 47, question$1 = 63, bang = 33, dash$1 = 45;
+
+  function ElementContext(name, parent) {
+    this.name = name;
+    this.parent = parent;
+  }
+
+  const startTagTerms = [StartTag, StartSelfClosingTag, StartScriptTag, StartStyleTag, StartTextareaTag];
+
+  const elementContext = new ContextTracker({
+    start: null,
+    shift(context, term, stack, input) {
+      return startTagTerms.indexOf(term) > -1 ? new ElementContext(tagNameAfter(input, 1) || "", context) : context
+    },
+    reduce(context, term) {
+      return term == Element && context ? context.parent : context
+    },
+    reuse(context, node, stack, input) {
+      let type = node.type.id;
+      return type == StartTag || type == OpenTag
+        ? new ElementContext(tagNameAfter(input, 1) || "", context) : context
+    },
+    strict: false
+  });
+
+  const tagStart = new ExternalTokenizer((input, stack) => {
+    if (input.next != lessThan) {
+      // End of file, close any open tags
+      if (input.next < 0 && stack.context) input.acceptToken(missingCloseTag);
+      return
+    }
+    input.advance();
+    let close = input.next == slash$1;
+    if (close) input.advance();
+    let name = tagNameAfter(input, 0);
+    if (name === undefined) return
+    if (!name) return input.acceptToken(close ? IncompleteCloseTag : StartTag)
+
+    let parent = stack.context ? stack.context.name : null;
+    if (close) {
+      if (name == parent) return input.acceptToken(StartCloseTag)
+      if (parent && implicitlyClosed[parent]) return input.acceptToken(missingCloseTag, -2)
+      if (stack.dialectEnabled(Dialect_noMatch)) return input.acceptToken(NoMatchStartCloseTag)
+      for (let cx = stack.context; cx; cx = cx.parent) if (cx.name == name) return
+      input.acceptToken(MismatchedStartCloseTag);
+    } else {
+      if (name == "script") return input.acceptToken(StartScriptTag)
+      if (name == "style") return input.acceptToken(StartStyleTag)
+      if (name == "textarea") return input.acceptToken(StartTextareaTag)
+      if (selfClosers$1.hasOwnProperty(name)) return input.acceptToken(StartSelfClosingTag)
+      if (parent && closeOnOpen[parent] && closeOnOpen[parent][name]) input.acceptToken(missingCloseTag, -1);
+      else input.acceptToken(StartTag);
+    }
+  }, {contextual: true});
+
+  const commentContent = new ExternalTokenizer(input => {
+    for (let dashes = 0, i = 0;; i++) {
+      if (input.next < 0) {
+        if (i) input.acceptToken(commentContent$1);
+        break
+      }
+      if (input.next == dash$1) {
+        dashes++;
+      } else if (input.next == greaterThan && dashes >= 2) {
+        if (i >= 3) input.acceptToken(commentContent$1, -2);
+        break
+      } else {
+        dashes = 0;
+      }
+      input.advance();
+    }
+  });
+
+  function inForeignElement(context) {
+    for (; context; context = context.parent)
+      if (context.name == "svg" || context.name == "math") return true
+    return false
+  }
+
+  const endTag = new ExternalTokenizer((input, stack) => {
+    if (input.next == slash$1 && input.peek(1) == greaterThan) {
+      let selfClosing = stack.dialectEnabled(Dialect_selfClosing) || inForeignElement(stack.context);
+      input.acceptToken(selfClosing ? SelfClosingEndTag : EndTag, 2);
+    } else if (input.next == greaterThan) {
+      input.acceptToken(EndTag, 1);
+    }
+  });
+
+  function contentTokenizer(tag, textToken, endToken) {
+    let lastState = 2 + tag.length;
+    return new ExternalTokenizer(input => {
+      // state means:
+      // - 0 nothing matched
+      // - 1 '<' matched
+      // - 2 '</' + possibly whitespace matched
+      // - 3-(1+tag.length) part of the tag matched
+      // - lastState whole tag + possibly whitespace matched
+      for (let state = 0, matchedLen = 0, i = 0;; i++) {
+        if (input.next < 0) {
+          if (i) input.acceptToken(textToken);
+          break
+        }
+        if (state == 0 && input.next == lessThan ||
+            state == 1 && input.next == slash$1 ||
+            state >= 2 && state < lastState && input.next == tag.charCodeAt(state - 2)) {
+          state++;
+          matchedLen++;
+        } else if ((state == 2 || state == lastState) && isSpace$1(input.next)) {
+          matchedLen++;
+        } else if (state == lastState && input.next == greaterThan) {
+          if (i > matchedLen)
+            input.acceptToken(textToken, -matchedLen);
+          else
+            input.acceptToken(endToken, -(matchedLen - 2));
+          break
+        } else if ((input.next == 10 /* '\n' */ || input.next == 13 /* '\r' */) && i) {
+          input.acceptToken(textToken, 1);
+          break
+        } else {
+          state = matchedLen = 0;
+        }
+        input.advance();
+      }
+    })
+  }
+
+  const scriptTokens = contentTokenizer("script", scriptText, StartCloseScriptTag);
+
+  const styleTokens = contentTokenizer("style", styleText, StartCloseStyleTag);
+
+  const textareaTokens = contentTokenizer("textarea", textareaText, StartCloseTextareaTag);
+
+  const htmlHighlighting = styleTags({
+    "Text RawText": tags$1.content,
+    "StartTag StartCloseTag SelfClosingEndTag EndTag": tags$1.angleBracket,
+    TagName: tags$1.tagName,
+    "MismatchedCloseTag/TagName": [tags$1.tagName,  tags$1.invalid],
+    AttributeName: tags$1.attributeName,
+    "AttributeValue UnquotedAttributeValue": tags$1.attributeValue,
+    Is: tags$1.definitionOperator,
+    "EntityReference CharacterReference": tags$1.character,
+    Comment: tags$1.blockComment,
+    ProcessingInst: tags$1.processingInstruction,
+    DoctypeDecl: tags$1.documentMeta
+  });
+
+  // This file was generated by lezer-generator. You probably shouldn't edit it.
+  const parser$3 = LRParser.deserialize({
+    version: 14,
+    states: ",xOVO!rOOO!WQ#tO'#CqO!]Q#tO'#CzO!bQ#tO'#C}O!gQ#tO'#DQO!lQ#tO'#DSO!qOaO'#CpO!|ObO'#CpO#XOdO'#CpO$eO!rO'#CpOOO`'#Cp'#CpO$lO$fO'#DTO$tQ#tO'#DVO$yQ#tO'#DWOOO`'#Dk'#DkOOO`'#DY'#DYQVO!rOOO%OQ&rO,59]O%ZQ&rO,59fO%fQ&rO,59iO%qQ&rO,59lO%|Q&rO,59nOOOa'#D^'#D^O&XOaO'#CxO&dOaO,59[OOOb'#D_'#D_O&lObO'#C{O&wObO,59[OOOd'#D`'#D`O'POdO'#DOO'[OdO,59[OOO`'#Da'#DaO'dO!rO,59[O'kQ#tO'#DROOO`,59[,59[OOOp'#Db'#DbO'pO$fO,59oOOO`,59o,59oO'xQ#|O,59qO'}Q#|O,59rOOO`-E7W-E7WO(SQ&rO'#CsOOQW'#DZ'#DZO(bQ&rO1G.wOOOa1G.w1G.wOOO`1G/Y1G/YO(mQ&rO1G/QOOOb1G/Q1G/QO(xQ&rO1G/TOOOd1G/T1G/TO)TQ&rO1G/WOOO`1G/W1G/WO)`Q&rO1G/YOOOa-E7[-E7[O)kQ#tO'#CyOOO`1G.v1G.vOOOb-E7]-E7]O)pQ#tO'#C|OOOd-E7^-E7^O)uQ#tO'#DPOOO`-E7_-E7_O)zQ#|O,59mOOOp-E7`-E7`OOO`1G/Z1G/ZOOO`1G/]1G/]OOO`1G/^1G/^O*PQ,UO,59_OOQW-E7X-E7XOOOa7+$c7+$cOOO`7+$t7+$tOOOb7+$l7+$lOOOd7+$o7+$oOOO`7+$r7+$rO*[Q#|O,59eO*aQ#|O,59hO*fQ#|O,59kOOO`1G/X1G/XO*kO7[O'#CvO*|OMhO'#CvOOQW1G.y1G.yOOO`1G/P1G/POOO`1G/S1G/SOOO`1G/V1G/VOOOO'#D['#D[O+_O7[O,59bOOQW,59b,59bOOOO'#D]'#D]O+pOMhO,59bOOOO-E7Y-E7YOOQW1G.|1G.|OOOO-E7Z-E7Z",
+    stateData: ",]~O!^OS~OUSOVPOWQOXROYTO[]O][O^^O`^Oa^Ob^Oc^Ox^O{_O!dZO~OfaO~OfbO~OfcO~OfdO~OfeO~O!WfOPlP!ZlP~O!XiOQoP!ZoP~O!YlORrP!ZrP~OUSOVPOWQOXROYTOZqO[]O][O^^O`^Oa^Ob^Oc^Ox^O!dZO~O!ZrO~P#dO![sO!euO~OfvO~OfwO~OS|OT}OhyO~OS!POT}OhyO~OS!ROT}OhyO~OS!TOT}OhyO~OS}OT}OhyO~O!WfOPlX!ZlX~OP!WO!Z!XO~O!XiOQoX!ZoX~OQ!ZO!Z!XO~O!YlORrX!ZrX~OR!]O!Z!XO~O!Z!XO~P#dOf!_O~O![sO!e!aO~OS!bO~OS!cO~Oi!dOSgXTgXhgX~OS!fOT!gOhyO~OS!hOT!gOhyO~OS!iOT!gOhyO~OS!jOT!gOhyO~OS!gOT!gOhyO~Of!kO~Of!lO~Of!mO~OS!nO~Ok!qO!`!oO!b!pO~OS!rO~OS!sO~OS!tO~Oa!uOb!uOc!uO!`!wO!a!uO~Oa!xOb!xOc!xO!b!wO!c!xO~Oa!uOb!uOc!uO!`!{O!a!uO~Oa!xOb!xOc!xO!b!{O!c!xO~OT~bac!dx{!d~",
+    goto: "%p!`PPPPPPPPPPPPPPPPPPPP!a!gP!mPP!yP!|#P#S#Y#]#`#f#i#l#r#x!aP!a!aP$O$U$l$r$x%O%U%[%bPPPPPPPP%hX^OX`pXUOX`pezabcde{!O!Q!S!UR!q!dRhUR!XhXVOX`pRkVR!XkXWOX`pRnWR!XnXXOX`pQrXR!XpXYOX`pQ`ORx`Q{aQ!ObQ!QcQ!SdQ!UeZ!e{!O!Q!S!UQ!v!oR!z!vQ!y!pR!|!yQgUR!VgQjVR!YjQmWR![mQpXR!^pQtZR!`tS_O`ToXp",
+    nodeNames: "⚠ StartCloseTag StartCloseTag StartCloseTag EndTag SelfClosingEndTag StartTag StartTag StartTag StartTag StartTag StartCloseTag StartCloseTag StartCloseTag IncompleteCloseTag Document Text EntityReference CharacterReference InvalidEntity Element OpenTag TagName Attribute AttributeName Is AttributeValue UnquotedAttributeValue ScriptText CloseTag OpenTag StyleText CloseTag OpenTag TextareaText CloseTag OpenTag CloseTag SelfClosingTag Comment ProcessingInst MismatchedCloseTag CloseTag DoctypeDecl",
+    maxTerm: 67,
+    context: elementContext,
+    nodeProps: [
+      ["closedBy", -10,1,2,3,7,8,9,10,11,12,13,"EndTag",6,"EndTag SelfClosingEndTag",-4,21,30,33,36,"CloseTag"],
+      ["openedBy", 4,"StartTag StartCloseTag",5,"StartTag",-4,29,32,35,37,"OpenTag"],
+      ["group", -9,14,17,18,19,20,39,40,41,42,"Entity",16,"Entity TextContent",-3,28,31,34,"TextContent Entity"],
+      ["isolate", -11,21,29,30,32,33,35,36,37,38,41,42,"ltr",-3,26,27,39,""]
+    ],
+    propSources: [htmlHighlighting],
+    skippedNodes: [0],
+    repeatNodeCount: 9,
+    tokenData: "!<p!aR!YOX$qXY,QYZ,QZ[$q[]&X]^,Q^p$qpq,Qqr-_rs3_sv-_vw3}wxHYx}-_}!OH{!O!P-_!P!Q$q!Q![-_![!]Mz!]!^-_!^!_!$S!_!`!;x!`!a&X!a!c-_!c!}Mz!}#R-_#R#SMz#S#T1k#T#oMz#o#s-_#s$f$q$f%W-_%W%oMz%o%p-_%p&aMz&a&b-_&b1pMz1p4U-_4U4dMz4d4e-_4e$ISMz$IS$I`-_$I`$IbMz$Ib$Kh-_$Kh%#tMz%#t&/x-_&/x&EtMz&Et&FV-_&FV;'SMz;'S;:j!#|;:j;=`3X<%l?&r-_?&r?AhMz?Ah?BY$q?BY?MnMz?MnO$q!Z$|c`PkW!a`!cpOX$qXZ&XZ[$q[^&X^p$qpq&Xqr$qrs&}sv$qvw+Pwx(tx!^$q!^!_*V!_!a&X!a#S$q#S#T&X#T;'S$q;'S;=`+z<%lO$q!R&bX`P!a`!cpOr&Xrs&}sv&Xwx(tx!^&X!^!_*V!_;'S&X;'S;=`*y<%lO&Xq'UV`P!cpOv&}wx'kx!^&}!^!_(V!_;'S&};'S;=`(n<%lO&}P'pT`POv'kw!^'k!_;'S'k;'S;=`(P<%lO'kP(SP;=`<%l'kp([S!cpOv(Vx;'S(V;'S;=`(h<%lO(Vp(kP;=`<%l(Vq(qP;=`<%l&}a({W`P!a`Or(trs'ksv(tw!^(t!^!_)e!_;'S(t;'S;=`*P<%lO(t`)jT!a`Or)esv)ew;'S)e;'S;=`)y<%lO)e`)|P;=`<%l)ea*SP;=`<%l(t!Q*^V!a`!cpOr*Vrs(Vsv*Vwx)ex;'S*V;'S;=`*s<%lO*V!Q*vP;=`<%l*V!R*|P;=`<%l&XW+UYkWOX+PZ[+P^p+Pqr+Psw+Px!^+P!a#S+P#T;'S+P;'S;=`+t<%lO+PW+wP;=`<%l+P!Z+}P;=`<%l$q!a,]``P!a`!cp!^^OX&XXY,QYZ,QZ]&X]^,Q^p&Xpq,Qqr&Xrs&}sv&Xwx(tx!^&X!^!_*V!_;'S&X;'S;=`*y<%lO&X!_-ljhS`PkW!a`!cpOX$qXZ&XZ[$q[^&X^p$qpq&Xqr-_rs&}sv-_vw/^wx(tx!P-_!P!Q$q!Q!^-_!^!_*V!_!a&X!a#S-_#S#T1k#T#s-_#s$f$q$f;'S-_;'S;=`3X<%l?Ah-_?Ah?BY$q?BY?Mn-_?MnO$q[/ebhSkWOX+PZ[+P^p+Pqr/^sw/^x!P/^!P!Q+P!Q!^/^!a#S/^#S#T0m#T#s/^#s$f+P$f;'S/^;'S;=`1e<%l?Ah/^?Ah?BY+P?BY?Mn/^?MnO+PS0rXhSqr0msw0mx!P0m!Q!^0m!a#s0m$f;'S0m;'S;=`1_<%l?Ah0m?BY?Mn0mS1bP;=`<%l0m[1hP;=`<%l/^!V1vchS`P!a`!cpOq&Xqr1krs&}sv1kvw0mwx(tx!P1k!P!Q&X!Q!^1k!^!_*V!_!a&X!a#s1k#s$f&X$f;'S1k;'S;=`3R<%l?Ah1k?Ah?BY&X?BY?Mn1k?MnO&X!V3UP;=`<%l1k!_3[P;=`<%l-_!Z3hV!`h`P!cpOv&}wx'kx!^&}!^!_(V!_;'S&};'S;=`(n<%lO&}!_4WihSkWc!ROX5uXZ7SZ[5u[^7S^p5uqr8trs7Sst>]tw8twx7Sx!P8t!P!Q5u!Q!]8t!]!^/^!^!a7S!a#S8t#S#T;{#T#s8t#s$f5u$f;'S8t;'S;=`>V<%l?Ah8t?Ah?BY5u?BY?Mn8t?MnO5u!Z5zbkWOX5uXZ7SZ[5u[^7S^p5uqr5urs7Sst+Ptw5uwx7Sx!]5u!]!^7w!^!a7S!a#S5u#S#T7S#T;'S5u;'S;=`8n<%lO5u!R7VVOp7Sqs7St!]7S!]!^7l!^;'S7S;'S;=`7q<%lO7S!R7qOa!R!R7tP;=`<%l7S!Z8OYkWa!ROX+PZ[+P^p+Pqr+Psw+Px!^+P!a#S+P#T;'S+P;'S;=`+t<%lO+P!Z8qP;=`<%l5u!_8{ihSkWOX5uXZ7SZ[5u[^7S^p5uqr8trs7Sst/^tw8twx7Sx!P8t!P!Q5u!Q!]8t!]!^:j!^!a7S!a#S8t#S#T;{#T#s8t#s$f5u$f;'S8t;'S;=`>V<%l?Ah8t?Ah?BY5u?BY?Mn8t?MnO5u!_:sbhSkWa!ROX+PZ[+P^p+Pqr/^sw/^x!P/^!P!Q+P!Q!^/^!a#S/^#S#T0m#T#s/^#s$f+P$f;'S/^;'S;=`1e<%l?Ah/^?Ah?BY+P?BY?Mn/^?MnO+P!V<QchSOp7Sqr;{rs7Sst0mtw;{wx7Sx!P;{!P!Q7S!Q!];{!]!^=]!^!a7S!a#s;{#s$f7S$f;'S;{;'S;=`>P<%l?Ah;{?Ah?BY7S?BY?Mn;{?MnO7S!V=dXhSa!Rqr0msw0mx!P0m!Q!^0m!a#s0m$f;'S0m;'S;=`1_<%l?Ah0m?BY?Mn0m!V>SP;=`<%l;{!_>YP;=`<%l8t!_>dhhSkWOX@OXZAYZ[@O[^AY^p@OqrBwrsAYswBwwxAYx!PBw!P!Q@O!Q!]Bw!]!^/^!^!aAY!a#SBw#S#TE{#T#sBw#s$f@O$f;'SBw;'S;=`HS<%l?AhBw?Ah?BY@O?BY?MnBw?MnO@O!Z@TakWOX@OXZAYZ[@O[^AY^p@Oqr@OrsAYsw@OwxAYx!]@O!]!^Az!^!aAY!a#S@O#S#TAY#T;'S@O;'S;=`Bq<%lO@O!RA]UOpAYq!]AY!]!^Ao!^;'SAY;'S;=`At<%lOAY!RAtOb!R!RAwP;=`<%lAY!ZBRYkWb!ROX+PZ[+P^p+Pqr+Psw+Px!^+P!a#S+P#T;'S+P;'S;=`+t<%lO+P!ZBtP;=`<%l@O!_COhhSkWOX@OXZAYZ[@O[^AY^p@OqrBwrsAYswBwwxAYx!PBw!P!Q@O!Q!]Bw!]!^Dj!^!aAY!a#SBw#S#TE{#T#sBw#s$f@O$f;'SBw;'S;=`HS<%l?AhBw?Ah?BY@O?BY?MnBw?MnO@O!_DsbhSkWb!ROX+PZ[+P^p+Pqr/^sw/^x!P/^!P!Q+P!Q!^/^!a#S/^#S#T0m#T#s/^#s$f+P$f;'S/^;'S;=`1e<%l?Ah/^?Ah?BY+P?BY?Mn/^?MnO+P!VFQbhSOpAYqrE{rsAYswE{wxAYx!PE{!P!QAY!Q!]E{!]!^GY!^!aAY!a#sE{#s$fAY$f;'SE{;'S;=`G|<%l?AhE{?Ah?BYAY?BY?MnE{?MnOAY!VGaXhSb!Rqr0msw0mx!P0m!Q!^0m!a#s0m$f;'S0m;'S;=`1_<%l?Ah0m?BY?Mn0m!VHPP;=`<%lE{!_HVP;=`<%lBw!ZHcW!bx`P!a`Or(trs'ksv(tw!^(t!^!_)e!_;'S(t;'S;=`*P<%lO(t!aIYlhS`PkW!a`!cpOX$qXZ&XZ[$q[^&X^p$qpq&Xqr-_rs&}sv-_vw/^wx(tx}-_}!OKQ!O!P-_!P!Q$q!Q!^-_!^!_*V!_!a&X!a#S-_#S#T1k#T#s-_#s$f$q$f;'S-_;'S;=`3X<%l?Ah-_?Ah?BY$q?BY?Mn-_?MnO$q!aK_khS`PkW!a`!cpOX$qXZ&XZ[$q[^&X^p$qpq&Xqr-_rs&}sv-_vw/^wx(tx!P-_!P!Q$q!Q!^-_!^!_*V!_!`&X!`!aMS!a#S-_#S#T1k#T#s-_#s$f$q$f;'S-_;'S;=`3X<%l?Ah-_?Ah?BY$q?BY?Mn-_?MnO$q!TM_X`P!a`!cp!eQOr&Xrs&}sv&Xwx(tx!^&X!^!_*V!_;'S&X;'S;=`*y<%lO&X!aNZ!ZhSfQ`PkW!a`!cpOX$qXZ&XZ[$q[^&X^p$qpq&Xqr-_rs&}sv-_vw/^wx(tx}-_}!OMz!O!PMz!P!Q$q!Q![Mz![!]Mz!]!^-_!^!_*V!_!a&X!a!c-_!c!}Mz!}#R-_#R#SMz#S#T1k#T#oMz#o#s-_#s$f$q$f$}-_$}%OMz%O%W-_%W%oMz%o%p-_%p&aMz&a&b-_&b1pMz1p4UMz4U4dMz4d4e-_4e$ISMz$IS$I`-_$I`$IbMz$Ib$Je-_$Je$JgMz$Jg$Kh-_$Kh%#tMz%#t&/x-_&/x&EtMz&Et&FV-_&FV;'SMz;'S;:j!#|;:j;=`3X<%l?&r-_?&r?AhMz?Ah?BY$q?BY?MnMz?MnO$q!a!$PP;=`<%lMz!R!$ZY!a`!cpOq*Vqr!$yrs(Vsv*Vwx)ex!a*V!a!b!4t!b;'S*V;'S;=`*s<%lO*V!R!%Q]!a`!cpOr*Vrs(Vsv*Vwx)ex}*V}!O!%y!O!f*V!f!g!']!g#W*V#W#X!0`#X;'S*V;'S;=`*s<%lO*V!R!&QX!a`!cpOr*Vrs(Vsv*Vwx)ex}*V}!O!&m!O;'S*V;'S;=`*s<%lO*V!R!&vV!a`!cp!dPOr*Vrs(Vsv*Vwx)ex;'S*V;'S;=`*s<%lO*V!R!'dX!a`!cpOr*Vrs(Vsv*Vwx)ex!q*V!q!r!(P!r;'S*V;'S;=`*s<%lO*V!R!(WX!a`!cpOr*Vrs(Vsv*Vwx)ex!e*V!e!f!(s!f;'S*V;'S;=`*s<%lO*V!R!(zX!a`!cpOr*Vrs(Vsv*Vwx)ex!v*V!v!w!)g!w;'S*V;'S;=`*s<%lO*V!R!)nX!a`!cpOr*Vrs(Vsv*Vwx)ex!{*V!{!|!*Z!|;'S*V;'S;=`*s<%lO*V!R!*bX!a`!cpOr*Vrs(Vsv*Vwx)ex!r*V!r!s!*}!s;'S*V;'S;=`*s<%lO*V!R!+UX!a`!cpOr*Vrs(Vsv*Vwx)ex!g*V!g!h!+q!h;'S*V;'S;=`*s<%lO*V!R!+xY!a`!cpOr!+qrs!,hsv!+qvw!-Swx!.[x!`!+q!`!a!/j!a;'S!+q;'S;=`!0Y<%lO!+qq!,mV!cpOv!,hvx!-Sx!`!,h!`!a!-q!a;'S!,h;'S;=`!.U<%lO!,hP!-VTO!`!-S!`!a!-f!a;'S!-S;'S;=`!-k<%lO!-SP!-kO{PP!-nP;=`<%l!-Sq!-xS!cp{POv(Vx;'S(V;'S;=`(h<%lO(Vq!.XP;=`<%l!,ha!.aX!a`Or!.[rs!-Ssv!.[vw!-Sw!`!.[!`!a!.|!a;'S!.[;'S;=`!/d<%lO!.[a!/TT!a`{POr)esv)ew;'S)e;'S;=`)y<%lO)ea!/gP;=`<%l!.[!R!/sV!a`!cp{POr*Vrs(Vsv*Vwx)ex;'S*V;'S;=`*s<%lO*V!R!0]P;=`<%l!+q!R!0gX!a`!cpOr*Vrs(Vsv*Vwx)ex#c*V#c#d!1S#d;'S*V;'S;=`*s<%lO*V!R!1ZX!a`!cpOr*Vrs(Vsv*Vwx)ex#V*V#V#W!1v#W;'S*V;'S;=`*s<%lO*V!R!1}X!a`!cpOr*Vrs(Vsv*Vwx)ex#h*V#h#i!2j#i;'S*V;'S;=`*s<%lO*V!R!2qX!a`!cpOr*Vrs(Vsv*Vwx)ex#m*V#m#n!3^#n;'S*V;'S;=`*s<%lO*V!R!3eX!a`!cpOr*Vrs(Vsv*Vwx)ex#d*V#d#e!4Q#e;'S*V;'S;=`*s<%lO*V!R!4XX!a`!cpOr*Vrs(Vsv*Vwx)ex#X*V#X#Y!+q#Y;'S*V;'S;=`*s<%lO*V!R!4{Y!a`!cpOr!4trs!5ksv!4tvw!6Vwx!8]x!a!4t!a!b!:]!b;'S!4t;'S;=`!;r<%lO!4tq!5pV!cpOv!5kvx!6Vx!a!5k!a!b!7W!b;'S!5k;'S;=`!8V<%lO!5kP!6YTO!a!6V!a!b!6i!b;'S!6V;'S;=`!7Q<%lO!6VP!6lTO!`!6V!`!a!6{!a;'S!6V;'S;=`!7Q<%lO!6VP!7QOxPP!7TP;=`<%l!6Vq!7]V!cpOv!5kvx!6Vx!`!5k!`!a!7r!a;'S!5k;'S;=`!8V<%lO!5kq!7yS!cpxPOv(Vx;'S(V;'S;=`(h<%lO(Vq!8YP;=`<%l!5ka!8bX!a`Or!8]rs!6Vsv!8]vw!6Vw!a!8]!a!b!8}!b;'S!8];'S;=`!:V<%lO!8]a!9SX!a`Or!8]rs!6Vsv!8]vw!6Vw!`!8]!`!a!9o!a;'S!8];'S;=`!:V<%lO!8]a!9vT!a`xPOr)esv)ew;'S)e;'S;=`)y<%lO)ea!:YP;=`<%l!8]!R!:dY!a`!cpOr!4trs!5ksv!4tvw!6Vwx!8]x!`!4t!`!a!;S!a;'S!4t;'S;=`!;r<%lO!4t!R!;]V!a`!cpxPOr*Vrs(Vsv*Vwx)ex;'S*V;'S;=`*s<%lO*V!R!;uP;=`<%l!4t!V!<TXiS`P!a`!cpOr&Xrs&}sv&Xwx(tx!^&X!^!_*V!_;'S&X;'S;=`*y<%lO&X",
+    tokenizers: [scriptTokens, styleTokens, textareaTokens, endTag, tagStart, commentContent, 0, 1, 2, 3, 4, 5],
+    topRules: {"Document":[0,15]},
+    dialects: {noMatch: 0, selfClosing: 509},
+    tokenPrec: 511
+  });
+
+  function getAttrs(openTag, input) {
+    let attrs = Object.create(null);
+    for (let att of openTag.getChildren(Attribute)) {
+      let name = att.getChild(AttributeName), value = att.getChild(AttributeValue) || att.getChild(UnquotedAttributeValue);
+      if (name) attrs[input.read(name.from, name.to)] =
+        !value ? "" : value.type.id == AttributeValue ? input.read(value.from + 1, value.to - 1) : input.read(value.from, value.to);
+    }
+    return attrs
+  }
+
+  function findTagName(openTag, input) {
+    let tagNameNode = openTag.getChild(TagName);
+    return tagNameNode ? input.read(tagNameNode.from, tagNameNode.to) : " "
+  }
+
+  function maybeNest(node, input, tags) {
+    let attrs;
+    for (let tag of tags) {
+      if (!tag.attrs || tag.attrs(attrs || (attrs = getAttrs(node.node.parent.firstChild, input))))
+        return {parser: tag.parser}
+    }
+    return null
+  }
+
+  // tags?: {
+  //   tag: string,
+  //   attrs?: ({[attr: string]: string}) => boolean,
+  //   parser: Parser
+  // }[]
+  // attributes?: {
+  //   name: string,
+  //   tagName?: string,
+  //   parser: Parser
+  // }[]
+   
+  function configureNesting(tags = [], attributes = []) {
+    let script = [], style = [], textarea = [], other = [];
+    for (let tag of tags) {
+      let array = tag.tag == "script" ? script : tag.tag == "style" ? style : tag.tag == "textarea" ? textarea : other;
+      array.push(tag);
+    }
+    let attrs = attributes.length ? Object.create(null) : null;
+    for (let attr of attributes) (attrs[attr.name] || (attrs[attr.name] = [])).push(attr);
+
+    return parseMixed((node, input) => {
+      let id = node.type.id;
+      if (id == ScriptText) return maybeNest(node, input, script)
+      if (id == StyleText) return maybeNest(node, input, style)
+      if (id == TextareaText) return maybeNest(node, input, textarea)
+
+      if (id == Element && other.length) {
+        let n = node.node, open = n.firstChild, tagName = open && findTagName(open, input), attrs;
+        if (tagName) for (let tag of other) {
+          if (tag.tag == tagName && (!tag.attrs || tag.attrs(attrs || (attrs = getAttrs(open, input))))) {
+            let close = n.lastChild;
+            let to = close.type.id == CloseTag ? close.from : n.to;
+            if (to > open.to)
+              return {parser: tag.parser, overlay: [{from: open.to, to}]}
           }
-      },
-      ul: { children: ["li", "script", "template", "ul", "ol"] },
-      var: S,
-      video: {
-          attrs: {
-              src: null, poster: null, width: null, height: null,
-              crossorigin: ["anonymous", "use-credentials"],
-              preload: ["auto", "metadata", "none"],
-              autoplay: ["autoplay"],
-              mediagroup: ["movie"],
-              muted: ["muted"],
-              controls: ["controls"]
+        }
+      }
+
+      if (attrs && id == Attribute) {
+        let n = node.node, nameNode;
+        if (nameNode = n.firstChild) {
+          let matches = attrs[input.read(nameNode.from, nameNode.to)];
+          if (matches) for (let attr of matches) {
+            if (attr.tagName && attr.tagName != findTagName(n.parent, input)) continue
+            let value = n.lastChild;
+            if (value.type.id == AttributeValue) {
+              let from = value.from + 1;
+              let last = value.lastChild, to = value.to - (last && last.isError ? 0 : 1);
+              if (to > from) return {parser: attr.parser, overlay: [{from, to}]}
+            } else if (value.type.id == UnquotedAttributeValue) {
+              return {parser: attr.parser, overlay: [{from: value.from, to: value.to}]}
+            }
           }
-      },
-      wbr: S
-  };
-  const GlobalAttrs = {
-      accesskey: null,
-      class: null,
-      contenteditable: Bool,
-      contextmenu: null,
-      dir: ["ltr", "rtl", "auto"],
-      draggable: ["true", "false", "auto"],
-      dropzone: ["copy", "move", "link", "string:", "file:"],
-      hidden: ["hidden"],
-      id: null,
-      inert: ["inert"],
-      itemid: null,
-      itemprop: null,
-      itemref: null,
-      itemscope: ["itemscope"],
-      itemtype: null,
-      lang: ["ar", "bn", "de", "en-GB", "en-US", "es", "fr", "hi", "id", "ja", "pa", "pt", "ru", "tr", "zh"],
-      spellcheck: Bool,
-      autocorrect: Bool,
-      autocapitalize: Bool,
-      style: null,
-      tabindex: null,
-      title: null,
-      translate: ["yes", "no"],
-      rel: ["stylesheet", "alternate", "author", "bookmark", "help", "license", "next", "nofollow", "noreferrer", "prefetch", "prev", "search", "tag"],
-      role: /*@__PURE__*/"alert application article banner button cell checkbox complementary contentinfo dialog document feed figure form grid gridcell heading img list listbox listitem main navigation region row rowgroup search switch tab table tabpanel textbox timer".split(" "),
-      "aria-activedescendant": null,
-      "aria-atomic": Bool,
-      "aria-autocomplete": ["inline", "list", "both", "none"],
-      "aria-busy": Bool,
-      "aria-checked": ["true", "false", "mixed", "undefined"],
-      "aria-controls": null,
-      "aria-describedby": null,
-      "aria-disabled": Bool,
-      "aria-dropeffect": null,
-      "aria-expanded": ["true", "false", "undefined"],
-      "aria-flowto": null,
-      "aria-grabbed": ["true", "false", "undefined"],
-      "aria-haspopup": Bool,
-      "aria-hidden": Bool,
-      "aria-invalid": ["true", "false", "grammar", "spelling"],
-      "aria-label": null,
-      "aria-labelledby": null,
-      "aria-level": null,
-      "aria-live": ["off", "polite", "assertive"],
-      "aria-multiline": Bool,
-      "aria-multiselectable": Bool,
-      "aria-owns": null,
-      "aria-posinset": null,
-      "aria-pressed": ["true", "false", "mixed", "undefined"],
-      "aria-readonly": Bool,
-      "aria-relevant": null,
-      "aria-required": Bool,
-      "aria-selected": ["true", "false", "undefined"],
-      "aria-setsize": null,
-      "aria-sort": ["ascending", "descending", "none", "other"],
-      "aria-valuemax": null,
-      "aria-valuemin": null,
-      "aria-valuenow": null,
-      "aria-valuetext": null
+        }
+      }
+      return null
+    })
+  }
+
+  // This file was generated by lezer-generator. You probably shouldn't edit it.
+  const descendantOp = 122,
+    Unit = 1,
+    identifier$2 = 123,
+    callee = 124,
+    VariableName = 2,
+    queryIdentifier = 125,
+    queryVariableName = 3,
+    QueryCallee = 4;
+
+  /* Hand-written tokenizers for CSS tokens that can't be
+     expressed by Lezer's built-in tokenizer. */
+
+  const space$1 = [9, 10, 11, 12, 13, 32, 133, 160, 5760, 8192, 8193, 8194, 8195, 8196, 8197,
+                 8198, 8199, 8200, 8201, 8202, 8232, 8233, 8239, 8287, 12288];
+  const colon = 58, parenL = 40, underscore = 95, bracketL$1 = 91, dash = 45, period = 46,
+        hash = 35, percent = 37, ampersand = 38, backslash = 92, newline$1 = 10, asterisk = 42;
+
+  function isAlpha(ch) { return ch >= 65 && ch <= 90 || ch >= 97 && ch <= 122 || ch >= 161 }
+
+  function isDigit(ch) { return ch >= 48 && ch <= 57 }
+
+  function isHex(ch) { return isDigit(ch) || ch >= 97 && ch <= 102 || ch >= 65 && ch <= 70 }
+
+  const identifierTokens = (id, varName, callee) => (input, stack) => {
+    for (let inside = false, dashes = 0, i = 0;; i++) {
+      let {next} = input;
+      if (isAlpha(next) || next == dash || next == underscore || (inside && isDigit(next))) {
+        if (!inside && (next != dash || i > 0)) inside = true;
+        if (dashes === i && next == dash) dashes++;
+        input.advance();
+      } else if (next == backslash && input.peek(1) != newline$1) {
+        input.advance();
+        if (isHex(input.next)) {
+          do { input.advance(); } while (isHex(input.next))
+          if (input.next == 32) input.advance();
+        } else if (input.next > -1) {
+          input.advance();
+        }
+        inside = true;
+      } else {
+        if (inside) input.acceptToken(
+          dashes == 2 && stack.canShift(VariableName) ? varName : next == parenL ? callee : id
+        );
+        break
+      }
+    }
   };
-  const eventAttributes = /*@__PURE__*/("beforeunload copy cut dragstart dragover dragleave dragenter dragend " +
-      "drag paste focus blur change click load mousedown mouseenter mouseleave " +
-      "mouseup keydown keyup resize scroll unload").split(" ").map(n => "on" + n);
-  for (let a of eventAttributes)
-      GlobalAttrs[a] = null;
-  class Schema {
-      constructor(extraTags, extraAttrs) {
-          this.tags = Object.assign(Object.assign({}, Tags), extraTags);
-          this.globalAttrs = Object.assign(Object.assign({}, GlobalAttrs), extraAttrs);
-          this.allTags = Object.keys(this.tags);
-          this.globalAttrNames = Object.keys(this.globalAttrs);
+
+  const identifiers = new ExternalTokenizer(
+    identifierTokens(identifier$2, VariableName, callee)
+  );
+  const queryIdentifiers = new ExternalTokenizer(
+    identifierTokens(queryIdentifier, queryVariableName, QueryCallee)
+  );
+
+  const descendant = new ExternalTokenizer(input => {
+    if (space$1.includes(input.peek(-1))) {
+      let {next} = input;
+      if (isAlpha(next) || next == underscore || next == hash || next == period ||
+          next == asterisk || next == bracketL$1 || next == colon && isAlpha(input.peek(1)) ||
+          next == dash || next == ampersand)
+        input.acceptToken(descendantOp);
+    }
+  });
+
+  const unitToken = new ExternalTokenizer(input => {
+    if (!space$1.includes(input.peek(-1))) {
+      let {next} = input;
+      if (next == percent) { input.advance(); input.acceptToken(Unit); }
+      if (isAlpha(next)) {
+        do { input.advance(); } while (isAlpha(input.next) || isDigit(input.next))
+        input.acceptToken(Unit);
       }
+    }
+  });
+
+  const cssHighlighting = styleTags({
+    "AtKeyword import charset namespace keyframes media supports": tags$1.definitionKeyword,
+    "from to selector": tags$1.keyword,
+    NamespaceName: tags$1.namespace,
+    KeyframeName: tags$1.labelName,
+    KeyframeRangeName: tags$1.operatorKeyword,
+    TagName: tags$1.tagName,
+    ClassName: tags$1.className,
+    PseudoClassName: tags$1.constant(tags$1.className),
+    IdName: tags$1.labelName,
+    "FeatureName PropertyName": tags$1.propertyName,
+    AttributeName: tags$1.attributeName,
+    NumberLiteral: tags$1.number,
+    KeywordQuery: tags$1.keyword,
+    UnaryQueryOp: tags$1.operatorKeyword,
+    "CallTag ValueName": tags$1.atom,
+    VariableName: tags$1.variableName,
+    Callee: tags$1.operatorKeyword,
+    Unit: tags$1.unit,
+    "UniversalSelector NestingSelector": tags$1.definitionOperator,
+    "MatchOp CompareOp": tags$1.compareOperator,
+    "ChildOp SiblingOp, LogicOp": tags$1.logicOperator,
+    BinOp: tags$1.arithmeticOperator,
+    Important: tags$1.modifier,
+    Comment: tags$1.blockComment,
+    ColorLiteral: tags$1.color,
+    "ParenthesizedContent StringLiteral": tags$1.string,
+    ":": tags$1.punctuation,
+    "PseudoOp #": tags$1.derefOperator,
+    "; ,": tags$1.separator,
+    "( )": tags$1.paren,
+    "[ ]": tags$1.squareBracket,
+    "{ }": tags$1.brace
+  });
+
+  // This file was generated by lezer-generator. You probably shouldn't edit it.
+  const spec_callee = {__proto__:null,lang:38, "nth-child":38, "nth-last-child":38, "nth-of-type":38, "nth-last-of-type":38, dir:38, "host-context":38, if:84, url:124, "url-prefix":124, domain:124, regexp:124};
+  const spec_queryIdentifier = {__proto__:null,or:98, and:98, not:106, only:106, layer:170};
+  const spec_QueryCallee = {__proto__:null,selector:112, layer:166};
+  const spec_AtKeyword = {__proto__:null,"@import":162, "@media":174, "@charset":178, "@namespace":182, "@keyframes":188, "@supports":200, "@scope":204};
+  const spec_identifier$1 = {__proto__:null,to:207};
+  const parser$2 = LRParser.deserialize({
+    version: 14,
+    states: "EbQYQdOOO#qQdOOP#xO`OOOOQP'#Cf'#CfOOQP'#Ce'#CeO#}QdO'#ChO$nQaO'#CcO$xQdO'#CkO%TQdO'#DpO%YQdO'#DrO%_QdO'#DuO%_QdO'#DxOOQP'#FV'#FVO&eQhO'#EhOOQS'#FU'#FUOOQS'#Ek'#EkQYQdOOO&lQdO'#EOO&PQhO'#EUO&lQdO'#EWO'aQdO'#EYO'lQdO'#E]O'tQhO'#EcO(VQdO'#EeO(bQaO'#CfO)VQ`O'#D{O)[Q`O'#F`O)gQdO'#F`QOQ`OOP)qO&jO'#CaPOOO)C@t)C@tOOQP'#Cj'#CjOOQP,59S,59SO#}QdO,59SO)|QdO,59VO%TQdO,5:[O%YQdO,5:^O%_QdO,5:aO%_QdO,5:cO%_QdO,5:dO%_QdO'#ErO*XQ`O,58}O*aQdO'#DzOOQS,58},58}OOQP'#Cn'#CnOOQO'#Dn'#DnOOQP,59V,59VO*hQ`O,59VO*mQ`O,59VOOQP'#Dq'#DqOOQP,5:[,5:[OOQO'#Ds'#DsO*rQpO,5:^O+]QaO,5:aO+sQaO,5:dOOQW'#DZ'#DZO,ZQhO'#DdO,xQhO'#FaO'tQhO'#DbO-WQ`O'#DhOOQW'#F['#F[O-]Q`O,5;SO-eQ`O'#DeOOQS-E8i-E8iOOQ['#Cs'#CsO-jQdO'#CtO.QQdO'#CzO.hQdO'#C}O/OQ!pO'#DPO1RQ!jO,5:jOOQO'#DU'#DUO*mQ`O'#DTO1cQ!nO'#FXO3`Q`O'#DVO3eQ`O'#DkOOQ['#FX'#FXO-`Q`O,5:pO3jQ!bO,5:rOOQS'#E['#E[O3rQ`O,5:tO3wQdO,5:tOOQO'#E_'#E_O4PQ`O,5:wO4UQhO,5:}O%_QdO'#DgOOQS,5;P,5;PO-eQ`O,5;PO4^QdO,5;PO4fQdO,5:gO4vQdO'#EtO5TQ`O,5;zO5TQ`O,5;zPOOO'#Ej'#EjP5`O&jO,58{POOO,58{,58{OOQP1G.n1G.nOOQP1G.q1G.qO*hQ`O1G.qO*mQ`O1G.qOOQP1G/v1G/vO5kQpO1G/xO5sQaO1G/{O6ZQaO1G/}O6qQaO1G0OO7XQaO,5;^OOQO-E8p-E8pOOQS1G.i1G.iO7cQ`O,5:fO7hQdO'#DoO7oQdO'#CrOOQP1G/x1G/xO&lQdO1G/xO7vQ!jO'#DZO8UQ!bO,59vO8^QhO,5:OOOQO'#F]'#F]O8XQ!bO,59zO'tQhO,59xO8fQhO'#EvO8sQ`O,5;{O9OQhO,59|O9uQhO'#DiOOQW,5:S,5:SOOQS1G0n1G0nOOQW,5:P,5:PO9|Q!fO'#FYOOQS'#FY'#FYOOQS'#Em'#EmO;^QdO,59`OOQ[,59`,59`O;tQdO,59fOOQ[,59f,59fO<[QdO,59iOOQ[,59i,59iOOQ[,59k,59kO&lQdO,59mO<rQhO'#EQOOQW'#EQ'#EQO=WQ`O1G0UO1[QhO1G0UOOQ[,59o,59oO'tQhO'#DXOOQ[,59q,59qO=]Q#tO,5:VOOQS1G0[1G0[OOQS1G0^1G0^OOQS1G0`1G0`O=hQ`O1G0`O=mQdO'#E`OOQS1G0c1G0cOOQS1G0i1G0iO=xQaO,5:RO-`Q`O1G0kOOQS1G0k1G0kO-eQ`O1G0kO>PQ!fO1G0ROOQO1G0R1G0ROOQO,5;`,5;`O>gQdO,5;`OOQO-E8r-E8rO>tQ`O1G1fPOOO-E8h-E8hPOOO1G.g1G.gOOQP7+$]7+$]OOQP7+%d7+%dO&lQdO7+%dOOQS1G0Q1G0QO?PQaO'#F_O?ZQ`O,5:ZO?`Q!fO'#ElO@^QdO'#FWO@hQ`O,59^O@mQ!bO7+%dO&lQdO1G/bO@uQhO1G/fOOQW1G/j1G/jOOQW1G/d1G/dOAWQhO,5;bOOQO-E8t-E8tOAfQhO'#DZOAtQhO'#F^OBPQ`O'#F^OBUQ`O,5:TOOQS-E8k-E8kOOQ[1G.z1G.zOOQ[1G/Q1G/QOOQ[1G/T1G/TOOQ[1G/X1G/XOBZQdO,5:lOOQS7+%p7+%pOB`Q`O7+%pOBeQhO'#DYOBmQ`O,59sO'tQhO,59sOOQ[1G/q1G/qOBuQ`O1G/qOOQS7+%z7+%zOBzQbO'#DPOOQO'#Eb'#EbOCYQ`O'#EaOOQO'#Ea'#EaOCeQ`O'#EwOCmQdO,5:zOOQS,5:z,5:zOOQ[1G/m1G/mOOQS7+&V7+&VO-`Q`O7+&VOCxQ!fO'#EsO&lQdO'#EsOEPQdO7+%mOOQO7+%m7+%mOOQO1G0z1G0zOEdQ!bO<<IOOElQdO'#EqOEvQ`O,5;yOOQP1G/u1G/uOOQS-E8j-E8jOFOQdO'#EpOFYQ`O,5;rOOQ]1G.x1G.xOOQP<<IO<<IOOFbQdO7+$|OOQO'#D]'#D]OFiQ!bO7+%QOFqQhO'#EoOF{Q`O,5;xO&lQdO,5;xOOQW1G/o1G/oOOQO'#ES'#ESOGTQ`O1G0WOOQS<<I[<<I[O&lQdO,59tOGnQhO1G/_OOQ[1G/_1G/_OGuQ`O1G/_OOQW-E8l-E8lOOQ[7+%]7+%]OOQO,5:{,5:{O=pQdO'#ExOCeQ`O,5;cOOQS,5;c,5;cOOQS-E8u-E8uOOQS1G0f1G0fOOQS<<Iq<<IqOG}Q!fO,5;_OOQS-E8q-E8qOOQO<<IX<<IXOOQPAN>jAN>jOIUQaO,5;]OOQO-E8o-E8oOI`QdO,5;[OOQO-E8n-E8nOOQW<<Hh<<HhOOQW<<Hl<<HlOIjQhO<<HlOI{QhO,5;ZOJWQ`O,5;ZOOQO-E8m-E8mOJ]QdO1G1dOBZQdO'#EuOJgQ`O7+%rOOQW7+%r7+%rOJoQ!bO1G/`OOQ[7+$y7+$yOJzQhO7+$yPKRQ`O'#EnOOQO,5;d,5;dOOQO-E8v-E8vOOQS1G0}1G0}OKWQ`OAN>WO&lQdO1G0uOK]Q`O7+'OOOQO,5;a,5;aOOQO-E8s-E8sOOQW<<I^<<I^OOQ[<<He<<HePOQW,5;Y,5;YOOQWG23rG23rOKeQdO7+&a",
+    stateData: "Kx~O#sOS#tQQ~OW[OZ[O]TO`VOaVOi]OjWOmXO!jYO!mZO!saO!ybO!{cO!}dO#QeO#WfO#YgO#oRO~OQiOW[OZ[O]TO`VOaVOi]OjWOmXO!jYO!mZO!saO!ybO!{cO!}dO#QeO#WfO#YgO#ohO~O#m$SP~P!dO#tmO~O#ooO~O]qO`rOarOjsOmtO!juO!mwO#nvO~OpzO!^xO~P$SOc!QO#o|O#p}O~O#o!RO~O#o!TO~OW[OZ[O]TO`VOaVOjWOmXO!jYO!mZO#oRO~OS!]Oe!YO!V![O!Y!`O#q!XOp$TP~Ok$TP~P&POQ!jOe!cOm!dOp!eOr!mOt!mOz!kO!`!lO#o!bO#p!hO#}!fO~Ot!qO!`!lO#o!pO~Ot!sO#o!sO~OS!]Oe!YO!V![O!Y!`O#q!XO~Oe!vOpzO#Z!xO~O]YX`YX`!pXaYXjYXmYXpYX!^YX!jYX!mYX#nYX~O`!zO~Ok!{O#m$SXo$SX~O#m$SXo$SX~P!dO#u#OO#v#OO#w#QO~Oc#UO#o|O#p}O~OpzO!^xO~Oo$SP~P!dOe#`O~Oe#aO~Ol#bO!h#cO~O]qO`rOarOjsOmtO~Op!ia!^!ia!j!ia!m!ia#n!iad!ia~P*zOp!la!^!la!j!la!m!la#n!lad!la~P*zOR#gOS!]Oe!YOr#gOt#gO!V![O!Y!`O#q#dO#}!fO~O!R#iO!^#jOk$TXp$TX~Oe#mO~Ok#oOpzO~Oe!vO~O]#rO`#rOd#uOi#rOj#rOk#rO~P&lO]#rO`#rOi#rOj#rOk#rOl#wO~P&lO]#rO`#rOi#rOj#rOk#rOo#yO~P&lOP#zOSsXesXksXvsX!VsX!YsX!usX!wsX#qsX!TsXQsX]sX`sXdsXisXjsXmsXpsXrsXtsXzsX!`sX#osX#psX#}sXlsXosX!^sX!qsX#msX~Ov#{O!u#|O!w#}Ok$TP~P'tOe#aOS#{Xk#{Xv#{X!V#{X!Y#{X!u#{X!w#{X#q#{XQ#{X]#{X`#{Xd#{Xi#{Xj#{Xm#{Xp#{Xr#{Xt#{Xz#{X!`#{X#o#{X#p#{X#}#{Xl#{Xo#{X!^#{X!q#{X#m#{X~Oe$RO~Oe$TO~Ok$VOv#{O~Ok$WO~Ot$XO!`!lO~Op$YO~OpzO!R#iO~OpzO#Z$`O~O!q$bOk!oa#m!oao!oa~P&lOk#hX#m#hXo#hX~P!dOk!{O#m$Sao$Sa~O#u#OO#v#OO#w$hO~Ol$jO!h$kO~Op!ii!^!ii!j!ii!m!ii#n!iid!ii~P*zOp!ki!^!ki!j!ki!m!ki#n!kid!ki~P*zOp!li!^!li!j!li!m!li#n!lid!li~P*zOp#fa!^#fa~P$SOo$lO~Od$RP~P%_Od#zP~P&lO`!PXd}X!R}X!T!PX~O`$sO!T$tO~Od$uO!R#iO~Ok#jXp#jX!^#jX~P'tO!^#jOk$Tap$Ta~O!R#iOk!Uap!Ua!^!Uad!Ua`!Ua~OS!]Oe!YO!V![O!Y!`O#q$yO~Od$QP~P9dOv#{OQ#|X]#|X`#|Xd#|Xe#|Xi#|Xj#|Xk#|Xm#|Xp#|Xr#|Xt#|Xz#|X!`#|X#o#|X#p#|X#}#|Xl#|Xo#|X~O]#rO`#rOd%OOi#rOj#rOk#rO~P&lO]#rO`#rOi#rOj#rOk#rOl%PO~P&lO]#rO`#rOi#rOj#rOk#rOo%QO~P&lOe%SOS!tXk!tX!V!tX!Y!tX#q!tX~Ok%TO~Od%YOt%ZO!a%ZO~Ok%[O~Oo%cO#o%^O#}%]O~Od%dO~P$SOv#{O!^%hO!q%jOk!oi#m!oio!oi~P&lOk#ha#m#hao#ha~P!dOk!{O#m$Sio$Si~O!^%mOd$RX~P$SOd%oO~Ov#{OQ#`Xd#`Xe#`Xm#`Xp#`Xr#`Xt#`Xz#`X!^#`X!`#`X#o#`X#p#`X#}#`X~O!^%qOd#zX~P&lOd%sO~Ol%tOv#{O~OR#gOr#gOt#gO#q%vO#}!fO~O!R#iOk#jap#ja!^#ja~O`!PXd}X!R}X!^}X~O!R#iO!^%xOd$QX~O`%zO~Od%{O~O#o%|O~Ok&OO~O`&PO!R#iO~Od&ROk&QO~Od&UO~OP#zOpsX!^sXdsX~O#}%]Op#TX!^#TX~OpzO!^&WO~Oo&[O#o%^O#}%]O~Ov#{OQ#gXe#gXk#gXm#gXp#gXr#gXt#gXz#gX!^#gX!`#gX!q#gX#m#gX#o#gX#p#gX#}#gXo#gX~O!^%hO!q&`Ok!oq#m!oqo!oq~P&lOl&aOv#{O~Od#eX!^#eX~P%_O!^%mOd$Ra~Od#dX!^#dX~P&lO!^%qOd#za~Od&fO~P&lOd&gO!T&hO~Od#cX!^#cX~P9dO!^%xOd$Qa~O]&mOd&oO~OS#bae#ba!V#ba!Y#ba#q#ba~Od&qO~PG]Od&qOk&rO~Ov#{OQ#gae#gak#gam#gap#gar#gat#gaz#ga!^#ga!`#ga!q#ga#m#ga#o#ga#p#ga#}#gao#ga~Od#ea!^#ea~P$SOd#da!^#da~P&lOR#gOr#gOt#gO#q%vO#}%]O~O!R#iOd#ca!^#ca~O`&xO~O!^%xOd$Qi~P&lO]&mOd&|O~Ov#{Od|ik|i~Od&}O~PG]Ok'OO~Od'PO~O!^%xOd$Qq~Od#cq!^#cq~P&lO#s!a#t#}]#}v!m~",
+    goto: "2h$UPPPPP$VP$YP$c$uP$cP%X$cPP%_PPP%e%o%oPPPPP%oPP%oP&]P%oP%o'W%oP't'w'}'}(^'}P'}P'}P'}'}P(m'}(yP(|PP)p)v$c)|$c*SP$cP$c$cP*Y*{+YP$YP+aP+dP$YP$YP$YP+j$YP+m+p+s+z$YP$YPP$YP,P,V,f,|-[-b-l-r-x.O.U.`.f.l.rPPPPPPPPPPP.x/R/w/z0|P1U1u2O2R2U2[RnQ_^OP`kz!{$dq[OPYZ`kuvwxz!v!{#`$d%mqSOPYZ`kuvwxz!v!{#`$d%mQpTR#RqQ!OVR#SrQ#S!QS$Q!i!jR$i#U!V!mac!c!d!e!z#a#c#t#v#x#{$a$k$p$s%h%i%q%u%z&P&d&l&x'Q!U!mac!c!d!e!z#a#c#t#v#x#{$a$k$p$s%h%i%q%u%z&P&d&l&x'QU#g!Y$t&hU%`$Y%b&WR&V%_!V!iac!c!d!e!z#a#c#t#v#x#{$a$k$p$s%h%i%q%u%z&P&d&l&x'QR$S!kQ%W$RR&S%Xk!^]bf!Y![!g#i#j#m$P$R%X%xQ#e!YQ${#mQ%w$tQ&j%xR&w&hQ!ygQ#p!`Q$^!xR%f$`R#n!]!U!mac!c!d!e!z#a#c#t#v#x#{$a$k$p$s%h%i%q%u%z&P&d&l&x'QQ!qdR$X!rQ!PVR#TrQ#S!PR$i#TQ!SWR#VsQ!UXR#WtQ{UQ!wgQ#^yQ#o!_Q$U!nQ$[!uQ$_!yQ%e$^Q&Y%aQ&]%fR&v&XSjPzQ!}kQ$c!{R%k$dZiPkz!{$dR$P!gQ%}%SR&z&mR!rdR!teR$Z!tS%a$Y%bR&t&WV%_$Y%b&WQ#PmR$g#PQ`OSkPzU!a`k$dR$d!{Q$p#aY%p$p%u&d&l'QQ%u$sQ&d%qQ&l%zR'Q&xQ#t!cQ#v!dQ#x!eV$}#t#v#xQ%X$RR&T%XQ%y$zS&k%y&yR&y&lQ%r$pR&e%rQ%n$mR&c%nQyUR#]yQ%i$aR&_%iQ!|jS$e!|$fR$f!}Q&n%}R&{&nQ#k!ZR$x#kQ%b$YR&Z%bQ&X%aR&u&X__OP`kz!{$d^UOP`kz!{$dQ!VYQ!WZQ#XuQ#YvQ#ZwQ#[xQ$]!vQ$m#`R&b%mR$q#aQ!gaQ!oc[#q!c!d!e#t#v#xQ$a!zd$o#a$p$s%q%u%z&d&l&x'QQ$r#cQ%R#{S%g$a%iQ%l$kQ&^%hR&p&P]#s!c!d!e#t#v#xW!Z]b!g$PQ!ufQ#f!YQ#l![Q$v#iQ$w#jQ$z#mS%V$R%XR&i%xQ#h!YQ%w$tR&w&hR$|#mR$n#`QlPR#_zQ!_]Q!nbQ$O!gR%U$P",
+    nodeNames: "⚠ Unit VariableName VariableName QueryCallee Comment StyleSheet RuleSet UniversalSelector TagSelector TagName NestingSelector ClassSelector . ClassName PseudoClassSelector : :: PseudoClassName PseudoClassName ) ( ArgList ValueName ParenthesizedValue AtKeyword # ; ] [ BracketedValue } { BracedValue ColorLiteral NumberLiteral StringLiteral BinaryExpression BinOp CallExpression Callee IfExpression if ArgList IfBranch KeywordQuery FeatureQuery FeatureName BinaryQuery LogicOp ComparisonQuery CompareOp UnaryQuery UnaryQueryOp ParenthesizedQuery SelectorQuery selector ParenthesizedSelector CallQuery ArgList , CallLiteral CallTag ParenthesizedContent PseudoClassName ArgList IdSelector IdName AttributeSelector AttributeName MatchOp ChildSelector ChildOp DescendantSelector SiblingSelector SiblingOp Block Declaration PropertyName Important ImportStatement import Layer layer LayerName layer MediaStatement media CharsetStatement charset NamespaceStatement namespace NamespaceName KeyframesStatement keyframes KeyframeName KeyframeList KeyframeSelector KeyframeRangeName SupportsStatement supports ScopeStatement scope to AtRule Styles",
+    maxTerm: 143,
+    nodeProps: [
+      ["isolate", -2,5,36,""],
+      ["openedBy", 20,"(",28,"[",31,"{"],
+      ["closedBy", 21,")",29,"]",32,"}"]
+    ],
+    propSources: [cssHighlighting],
+    skippedNodes: [0,5,106],
+    repeatNodeCount: 15,
+    tokenData: "JQ~R!YOX$qX^%i^p$qpq%iqr({rs-ust/itu6Wuv$qvw7Qwx7cxy9Qyz9cz{9h{|:R|}>t}!O?V!O!P?t!P!Q@]!Q![AU![!]BP!]!^B{!^!_C^!_!`DY!`!aDm!a!b$q!b!cEn!c!}$q!}#OG{#O#P$q#P#QH^#Q#R6W#R#o$q#o#pHo#p#q6W#q#rIQ#r#sIc#s#y$q#y#z%i#z$f$q$f$g%i$g#BY$q#BY#BZ%i#BZ$IS$q$IS$I_%i$I_$I|$q$I|$JO%i$JO$JT$q$JT$JU%i$JU$KV$q$KV$KW%i$KW&FU$q&FU&FV%i&FV;'S$q;'S;=`Iz<%lO$q`$tSOy%Qz;'S%Q;'S;=`%c<%lO%Q`%VS!a`Oy%Qz;'S%Q;'S;=`%c<%lO%Q`%fP;=`<%l%Q~%nh#s~OX%QX^'Y^p%Qpq'Yqy%Qz#y%Q#y#z'Y#z$f%Q$f$g'Y$g#BY%Q#BY#BZ'Y#BZ$IS%Q$IS$I_'Y$I_$I|%Q$I|$JO'Y$JO$JT%Q$JT$JU'Y$JU$KV%Q$KV$KW'Y$KW&FU%Q&FU&FV'Y&FV;'S%Q;'S;=`%c<%lO%Q~'ah#s~!a`OX%QX^'Y^p%Qpq'Yqy%Qz#y%Q#y#z'Y#z$f%Q$f$g'Y$g#BY%Q#BY#BZ'Y#BZ$IS%Q$IS$I_'Y$I_$I|%Q$I|$JO'Y$JO$JT%Q$JT$JU'Y$JU$KV%Q$KV$KW'Y$KW&FU%Q&FU&FV'Y&FV;'S%Q;'S;=`%c<%lO%Qj)OUOy%Qz#]%Q#]#^)b#^;'S%Q;'S;=`%c<%lO%Qj)gU!a`Oy%Qz#a%Q#a#b)y#b;'S%Q;'S;=`%c<%lO%Qj*OU!a`Oy%Qz#d%Q#d#e*b#e;'S%Q;'S;=`%c<%lO%Qj*gU!a`Oy%Qz#c%Q#c#d*y#d;'S%Q;'S;=`%c<%lO%Qj+OU!a`Oy%Qz#f%Q#f#g+b#g;'S%Q;'S;=`%c<%lO%Qj+gU!a`Oy%Qz#h%Q#h#i+y#i;'S%Q;'S;=`%c<%lO%Qj,OU!a`Oy%Qz#T%Q#T#U,b#U;'S%Q;'S;=`%c<%lO%Qj,gU!a`Oy%Qz#b%Q#b#c,y#c;'S%Q;'S;=`%c<%lO%Qj-OU!a`Oy%Qz#h%Q#h#i-b#i;'S%Q;'S;=`%c<%lO%Qj-iS!qY!a`Oy%Qz;'S%Q;'S;=`%c<%lO%Q~-xWOY-uZr-urs.bs#O-u#O#P.g#P;'S-u;'S;=`/c<%lO-u~.gOt~~.jRO;'S-u;'S;=`.s;=`O-u~.vXOY-uZr-urs.bs#O-u#O#P.g#P;'S-u;'S;=`/c;=`<%l-u<%lO-u~/fP;=`<%l-uj/nYjYOy%Qz!Q%Q!Q![0^![!c%Q!c!i0^!i#T%Q#T#Z0^#Z;'S%Q;'S;=`%c<%lO%Qj0cY!a`Oy%Qz!Q%Q!Q![1R![!c%Q!c!i1R!i#T%Q#T#Z1R#Z;'S%Q;'S;=`%c<%lO%Qj1WY!a`Oy%Qz!Q%Q!Q![1v![!c%Q!c!i1v!i#T%Q#T#Z1v#Z;'S%Q;'S;=`%c<%lO%Qj1}YrY!a`Oy%Qz!Q%Q!Q![2m![!c%Q!c!i2m!i#T%Q#T#Z2m#Z;'S%Q;'S;=`%c<%lO%Qj2tYrY!a`Oy%Qz!Q%Q!Q![3d![!c%Q!c!i3d!i#T%Q#T#Z3d#Z;'S%Q;'S;=`%c<%lO%Qj3iY!a`Oy%Qz!Q%Q!Q![4X![!c%Q!c!i4X!i#T%Q#T#Z4X#Z;'S%Q;'S;=`%c<%lO%Qj4`YrY!a`Oy%Qz!Q%Q!Q![5O![!c%Q!c!i5O!i#T%Q#T#Z5O#Z;'S%Q;'S;=`%c<%lO%Qj5TY!a`Oy%Qz!Q%Q!Q![5s![!c%Q!c!i5s!i#T%Q#T#Z5s#Z;'S%Q;'S;=`%c<%lO%Qj5zSrY!a`Oy%Qz;'S%Q;'S;=`%c<%lO%Qd6ZUOy%Qz!_%Q!_!`6m!`;'S%Q;'S;=`%c<%lO%Qd6tS!hS!a`Oy%Qz;'S%Q;'S;=`%c<%lO%Qb7VSZQOy%Qz;'S%Q;'S;=`%c<%lO%Q~7fWOY7cZw7cwx.bx#O7c#O#P8O#P;'S7c;'S;=`8z<%lO7c~8RRO;'S7c;'S;=`8[;=`O7c~8_XOY7cZw7cwx.bx#O7c#O#P8O#P;'S7c;'S;=`8z;=`<%l7c<%lO7c~8}P;=`<%l7cj9VSeYOy%Qz;'S%Q;'S;=`%c<%lO%Q~9hOd~n9oUWQvWOy%Qz!_%Q!_!`6m!`;'S%Q;'S;=`%c<%lO%Qj:YWvW!mQOy%Qz!O%Q!O!P:r!P!Q%Q!Q![=w![;'S%Q;'S;=`%c<%lO%Qj:wU!a`Oy%Qz!Q%Q!Q![;Z![;'S%Q;'S;=`%c<%lO%Qj;bY!a`#}YOy%Qz!Q%Q!Q![;Z![!g%Q!g!h<Q!h#X%Q#X#Y<Q#Y;'S%Q;'S;=`%c<%lO%Qj<VY!a`Oy%Qz{%Q{|<u|}%Q}!O<u!O!Q%Q!Q![=^![;'S%Q;'S;=`%c<%lO%Qj<zU!a`Oy%Qz!Q%Q!Q![=^![;'S%Q;'S;=`%c<%lO%Qj=eU!a`#}YOy%Qz!Q%Q!Q![=^![;'S%Q;'S;=`%c<%lO%Qj>O[!a`#}YOy%Qz!O%Q!O!P;Z!P!Q%Q!Q![=w![!g%Q!g!h<Q!h#X%Q#X#Y<Q#Y;'S%Q;'S;=`%c<%lO%Qj>yS!^YOy%Qz;'S%Q;'S;=`%c<%lO%Qj?[WvWOy%Qz!O%Q!O!P:r!P!Q%Q!Q![=w![;'S%Q;'S;=`%c<%lO%Qj?yU]YOy%Qz!Q%Q!Q![;Z![;'S%Q;'S;=`%c<%lO%Q~@bTvWOy%Qz{@q{;'S%Q;'S;=`%c<%lO%Q~@xS!a`#t~Oy%Qz;'S%Q;'S;=`%c<%lO%QjAZ[#}YOy%Qz!O%Q!O!P;Z!P!Q%Q!Q![=w![!g%Q!g!h<Q!h#X%Q#X#Y<Q#Y;'S%Q;'S;=`%c<%lO%QjBUU`YOy%Qz![%Q![!]Bh!];'S%Q;'S;=`%c<%lO%QbBoSaQ!a`Oy%Qz;'S%Q;'S;=`%c<%lO%QjCQSkYOy%Qz;'S%Q;'S;=`%c<%lO%QhCcU!TWOy%Qz!_%Q!_!`Cu!`;'S%Q;'S;=`%c<%lO%QhC|S!TW!a`Oy%Qz;'S%Q;'S;=`%c<%lO%QlDaS!TW!hSOy%Qz;'S%Q;'S;=`%c<%lO%QjDtV!jQ!TWOy%Qz!_%Q!_!`Cu!`!aEZ!a;'S%Q;'S;=`%c<%lO%QbEbS!jQ!a`Oy%Qz;'S%Q;'S;=`%c<%lO%QjEqYOy%Qz}%Q}!OFa!O!c%Q!c!}GO!}#T%Q#T#oGO#o;'S%Q;'S;=`%c<%lO%QjFfW!a`Oy%Qz!c%Q!c!}GO!}#T%Q#T#oGO#o;'S%Q;'S;=`%c<%lO%QjGV[iY!a`Oy%Qz}%Q}!OGO!O!Q%Q!Q![GO![!c%Q!c!}GO!}#T%Q#T#oGO#o;'S%Q;'S;=`%c<%lO%QjHQSmYOy%Qz;'S%Q;'S;=`%c<%lO%QnHcSl^Oy%Qz;'S%Q;'S;=`%c<%lO%QjHtSpYOy%Qz;'S%Q;'S;=`%c<%lO%QjIVSoYOy%Qz;'S%Q;'S;=`%c<%lO%QfIhU!mQOy%Qz!_%Q!_!`6m!`;'S%Q;'S;=`%c<%lO%Q`I}P;=`<%l$q",
+    tokenizers: [descendant, unitToken, identifiers, queryIdentifiers, 1, 2, 3, 4, new LocalTokenGroup("m~RRYZ[z{a~~g~aO#v~~dP!P!Qg~lO#w~~", 28, 129)],
+    topRules: {"StyleSheet":[0,6],"Styles":[1,105]},
+    specialized: [{term: 124, get: (value) => spec_callee[value] || -1},{term: 125, get: (value) => spec_queryIdentifier[value] || -1},{term: 4, get: (value) => spec_QueryCallee[value] || -1},{term: 25, get: (value) => spec_AtKeyword[value] || -1},{term: 123, get: (value) => spec_identifier$1[value] || -1}],
+    tokenPrec: 1963
+  });
+
+  let _properties = null;
+  function properties() {
+      if (!_properties && typeof document == "object" && document.body) {
+          let { style } = document.body, names = [], seen = new Set;
+          for (let prop in style)
+              if (prop != "cssText" && prop != "cssFloat") {
+                  if (typeof style[prop] == "string") {
+                      if (/[A-Z]/.test(prop))
+                          prop = prop.replace(/[A-Z]/g, ch => "-" + ch.toLowerCase());
+                      if (!seen.has(prop)) {
+                          names.push(prop);
+                          seen.add(prop);
+                      }
+                  }
+              }
+          _properties = names.sort().map(name => ({ type: "property", label: name, apply: name + ": " }));
+      }
+      return _properties || [];
   }
-  Schema.default = /*@__PURE__*/new Schema;
-  function elementName(doc, tree, max = doc.length) {
-      if (!tree)
-          return "";
-      let tag = tree.firstChild;
-      let name = tag && tag.getChild("TagName");
-      return name ? doc.sliceString(name.from, Math.min(name.to, max)) : "";
-  }
-  function findParentElement(tree, skip = false) {
-      for (; tree; tree = tree.parent)
-          if (tree.name == "Element") {
-              if (skip)
-                  skip = false;
-              else
-                  return tree;
-          }
-      return null;
-  }
-  function allowedChildren(doc, tree, schema) {
-      let parentInfo = schema.tags[elementName(doc, findParentElement(tree))];
-      return (parentInfo === null || parentInfo === void 0 ? void 0 : parentInfo.children) || schema.allTags;
+  const pseudoClasses = /*@__PURE__*/[
+      "active", "after", "any-link", "autofill", "backdrop", "before",
+      "checked", "cue", "default", "defined", "disabled", "empty",
+      "enabled", "file-selector-button", "first", "first-child",
+      "first-letter", "first-line", "first-of-type", "focus",
+      "focus-visible", "focus-within", "fullscreen", "has", "host",
+      "host-context", "hover", "in-range", "indeterminate", "invalid",
+      "is", "lang", "last-child", "last-of-type", "left", "link", "marker",
+      "modal", "not", "nth-child", "nth-last-child", "nth-last-of-type",
+      "nth-of-type", "only-child", "only-of-type", "optional", "out-of-range",
+      "part", "placeholder", "placeholder-shown", "read-only", "read-write",
+      "required", "right", "root", "scope", "selection", "slotted", "target",
+      "target-text", "valid", "visited", "where"
+  ].map(name => ({ type: "class", label: name }));
+  const values = /*@__PURE__*/[
+      "above", "absolute", "activeborder", "additive", "activecaption", "after-white-space",
+      "ahead", "alias", "all", "all-scroll", "alphabetic", "alternate", "always",
+      "antialiased", "appworkspace", "asterisks", "attr", "auto", "auto-flow", "avoid", "avoid-column",
+      "avoid-page", "avoid-region", "axis-pan", "background", "backwards", "baseline", "below",
+      "bidi-override", "blink", "block", "block-axis", "bold", "bolder", "border", "border-box",
+      "both", "bottom", "break", "break-all", "break-word", "bullets", "button", "button-bevel",
+      "buttonface", "buttonhighlight", "buttonshadow", "buttontext", "calc", "capitalize",
+      "caps-lock-indicator", "caption", "captiontext", "caret", "cell", "center", "checkbox", "circle",
+      "cjk-decimal", "clear", "clip", "close-quote", "col-resize", "collapse", "color", "color-burn",
+      "color-dodge", "column", "column-reverse", "compact", "condensed", "contain", "content",
+      "contents", "content-box", "context-menu", "continuous", "copy", "counter", "counters", "cover",
+      "crop", "cross", "crosshair", "currentcolor", "cursive", "cyclic", "darken", "dashed", "decimal",
+      "decimal-leading-zero", "default", "default-button", "dense", "destination-atop", "destination-in",
+      "destination-out", "destination-over", "difference", "disc", "discard", "disclosure-closed",
+      "disclosure-open", "document", "dot-dash", "dot-dot-dash", "dotted", "double", "down", "e-resize",
+      "ease", "ease-in", "ease-in-out", "ease-out", "element", "ellipse", "ellipsis", "embed", "end",
+      "ethiopic-abegede-gez", "ethiopic-halehame-aa-er", "ethiopic-halehame-gez", "ew-resize", "exclusion",
+      "expanded", "extends", "extra-condensed", "extra-expanded", "fantasy", "fast", "fill", "fill-box",
+      "fixed", "flat", "flex", "flex-end", "flex-start", "footnotes", "forwards", "from",
+      "geometricPrecision", "graytext", "grid", "groove", "hand", "hard-light", "help", "hidden", "hide",
+      "higher", "highlight", "highlighttext", "horizontal", "hsl", "hsla", "hue", "icon", "ignore",
+      "inactiveborder", "inactivecaption", "inactivecaptiontext", "infinite", "infobackground", "infotext",
+      "inherit", "initial", "inline", "inline-axis", "inline-block", "inline-flex", "inline-grid",
+      "inline-table", "inset", "inside", "intrinsic", "invert", "italic", "justify", "keep-all",
+      "landscape", "large", "larger", "left", "level", "lighter", "lighten", "line-through", "linear",
+      "linear-gradient", "lines", "list-item", "listbox", "listitem", "local", "logical", "loud", "lower",
+      "lower-hexadecimal", "lower-latin", "lower-norwegian", "lowercase", "ltr", "luminosity", "manipulation",
+      "match", "matrix", "matrix3d", "medium", "menu", "menutext", "message-box", "middle", "min-intrinsic",
+      "mix", "monospace", "move", "multiple", "multiple_mask_images", "multiply", "n-resize", "narrower",
+      "ne-resize", "nesw-resize", "no-close-quote", "no-drop", "no-open-quote", "no-repeat", "none",
+      "normal", "not-allowed", "nowrap", "ns-resize", "numbers", "numeric", "nw-resize", "nwse-resize",
+      "oblique", "opacity", "open-quote", "optimizeLegibility", "optimizeSpeed", "outset", "outside",
+      "outside-shape", "overlay", "overline", "padding", "padding-box", "painted", "page", "paused",
+      "perspective", "pinch-zoom", "plus-darker", "plus-lighter", "pointer", "polygon", "portrait",
+      "pre", "pre-line", "pre-wrap", "preserve-3d", "progress", "push-button", "radial-gradient", "radio",
+      "read-only", "read-write", "read-write-plaintext-only", "rectangle", "region", "relative", "repeat",
+      "repeating-linear-gradient", "repeating-radial-gradient", "repeat-x", "repeat-y", "reset", "reverse",
+      "rgb", "rgba", "ridge", "right", "rotate", "rotate3d", "rotateX", "rotateY", "rotateZ", "round",
+      "row", "row-resize", "row-reverse", "rtl", "run-in", "running", "s-resize", "sans-serif", "saturation",
+      "scale", "scale3d", "scaleX", "scaleY", "scaleZ", "screen", "scroll", "scrollbar", "scroll-position",
+      "se-resize", "self-start", "self-end", "semi-condensed", "semi-expanded", "separate", "serif", "show",
+      "single", "skew", "skewX", "skewY", "skip-white-space", "slide", "slider-horizontal",
+      "slider-vertical", "sliderthumb-horizontal", "sliderthumb-vertical", "slow", "small", "small-caps",
+      "small-caption", "smaller", "soft-light", "solid", "source-atop", "source-in", "source-out",
+      "source-over", "space", "space-around", "space-between", "space-evenly", "spell-out", "square", "start",
+      "static", "status-bar", "stretch", "stroke", "stroke-box", "sub", "subpixel-antialiased", "svg_masks",
+      "super", "sw-resize", "symbolic", "symbols", "system-ui", "table", "table-caption", "table-cell",
+      "table-column", "table-column-group", "table-footer-group", "table-header-group", "table-row",
+      "table-row-group", "text", "text-bottom", "text-top", "textarea", "textfield", "thick", "thin",
+      "threeddarkshadow", "threedface", "threedhighlight", "threedlightshadow", "threedshadow", "to", "top",
+      "transform", "translate", "translate3d", "translateX", "translateY", "translateZ", "transparent",
+      "ultra-condensed", "ultra-expanded", "underline", "unidirectional-pan", "unset", "up", "upper-latin",
+      "uppercase", "url", "var", "vertical", "vertical-text", "view-box", "visible", "visibleFill",
+      "visiblePainted", "visibleStroke", "visual", "w-resize", "wait", "wave", "wider", "window", "windowframe",
+      "windowtext", "words", "wrap", "wrap-reverse", "x-large", "x-small", "xor", "xx-large", "xx-small"
+  ].map(name => ({ type: "keyword", label: name })).concat(/*@__PURE__*/[
+      "aliceblue", "antiquewhite", "aqua", "aquamarine", "azure", "beige",
+      "bisque", "black", "blanchedalmond", "blue", "blueviolet", "brown",
+      "burlywood", "cadetblue", "chartreuse", "chocolate", "coral", "cornflowerblue",
+      "cornsilk", "crimson", "cyan", "darkblue", "darkcyan", "darkgoldenrod",
+      "darkgray", "darkgreen", "darkkhaki", "darkmagenta", "darkolivegreen",
+      "darkorange", "darkorchid", "darkred", "darksalmon", "darkseagreen",
+      "darkslateblue", "darkslategray", "darkturquoise", "darkviolet",
+      "deeppink", "deepskyblue", "dimgray", "dodgerblue", "firebrick",
+      "floralwhite", "forestgreen", "fuchsia", "gainsboro", "ghostwhite",
+      "gold", "goldenrod", "gray", "grey", "green", "greenyellow", "honeydew",
+      "hotpink", "indianred", "indigo", "ivory", "khaki", "lavender",
+      "lavenderblush", "lawngreen", "lemonchiffon", "lightblue", "lightcoral",
+      "lightcyan", "lightgoldenrodyellow", "lightgray", "lightgreen", "lightpink",
+      "lightsalmon", "lightseagreen", "lightskyblue", "lightslategray",
+      "lightsteelblue", "lightyellow", "lime", "limegreen", "linen", "magenta",
+      "maroon", "mediumaquamarine", "mediumblue", "mediumorchid", "mediumpurple",
+      "mediumseagreen", "mediumslateblue", "mediumspringgreen", "mediumturquoise",
+      "mediumvioletred", "midnightblue", "mintcream", "mistyrose", "moccasin",
+      "navajowhite", "navy", "oldlace", "olive", "olivedrab", "orange", "orangered",
+      "orchid", "palegoldenrod", "palegreen", "paleturquoise", "palevioletred",
+      "papayawhip", "peachpuff", "peru", "pink", "plum", "powderblue",
+      "purple", "rebeccapurple", "red", "rosybrown", "royalblue", "saddlebrown",
+      "salmon", "sandybrown", "seagreen", "seashell", "sienna", "silver", "skyblue",
+      "slateblue", "slategray", "snow", "springgreen", "steelblue", "tan",
+      "teal", "thistle", "tomato", "turquoise", "violet", "wheat", "white",
+      "whitesmoke", "yellow", "yellowgreen"
+  ].map(name => ({ type: "constant", label: name })));
+  const tags = /*@__PURE__*/[
+      "a", "abbr", "address", "article", "aside", "b", "bdi", "bdo", "blockquote", "body",
+      "br", "button", "canvas", "caption", "cite", "code", "col", "colgroup", "dd", "del",
+      "details", "dfn", "dialog", "div", "dl", "dt", "em", "figcaption", "figure", "footer",
+      "form", "header", "hgroup", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "html", "i", "iframe",
+      "img", "input", "ins", "kbd", "label", "legend", "li", "main", "meter", "nav", "ol", "output",
+      "p", "pre", "ruby", "section", "select", "small", "source", "span", "strong", "sub", "summary",
+      "sup", "table", "tbody", "td", "template", "textarea", "tfoot", "th", "thead", "tr", "u", "ul"
+  ].map(name => ({ type: "type", label: name }));
+  const atRules = /*@__PURE__*/[
+      "@charset", "@color-profile", "@container", "@counter-style", "@font-face", "@font-feature-values",
+      "@font-palette-values", "@import", "@keyframes", "@layer", "@media", "@namespace", "@page",
+      "@position-try", "@property", "@scope", "@starting-style", "@supports", "@view-transition"
+  ].map(label => ({ type: "keyword", label }));
+  const identifier$1 = /^(\w[\w-]*|-\w[\w-]*|)$/, variable = /^-(-[\w-]*)?$/;
+  function isVarArg(node, doc) {
+      var _a;
+      if (node.name == "(" || node.type.isError)
+          node = node.parent || node;
+      if (node.name != "ArgList")
+          return false;
+      let callee = (_a = node.parent) === null || _a === void 0 ? void 0 : _a.firstChild;
+      if ((callee === null || callee === void 0 ? void 0 : callee.name) != "Callee")
+          return false;
+      return doc.sliceString(callee.from, callee.to) == "var";
   }
-  function openTags(doc, tree) {
-      let open = [];
-      for (let parent = findParentElement(tree); parent && !parent.type.isTop; parent = findParentElement(parent.parent)) {
-          let tagName = elementName(doc, parent);
-          if (tagName && parent.lastChild.name == "CloseTag")
-              break;
-          if (tagName && open.indexOf(tagName) < 0 && (tree.name == "EndTag" || tree.from >= parent.firstChild.to))
-              open.push(tagName);
+  const VariablesByNode = /*@__PURE__*/new NodeWeakMap();
+  const declSelector = ["Declaration"];
+  function astTop(node) {
+      for (let cur = node;;) {
+          if (cur.type.isTop)
+              return cur;
+          if (!(cur = cur.parent))
+              return node;
       }
-      return open;
-  }
-  const identifier = /^[:\-\.\w\u00b7-\uffff]*$/;
-  function completeTag(state, schema, tree, from, to) {
-      let end = /\s*>/.test(state.sliceDoc(to, to + 5)) ? "" : ">";
-      let parent = findParentElement(tree, true);
-      return { from, to,
-          options: allowedChildren(state.doc, parent, schema).map(tagName => ({ label: tagName, type: "type" })).concat(openTags(state.doc, tree).map((tag, i) => ({ label: "/" + tag, apply: "/" + tag + end,
-              type: "type", boost: 99 - i }))),
-          validFor: /^\/?[:\-\.\w\u00b7-\uffff]*$/ };
-  }
-  function completeCloseTag(state, tree, from, to) {
-      let end = /\s*>/.test(state.sliceDoc(to, to + 5)) ? "" : ">";
-      return { from, to,
-          options: openTags(state.doc, tree).map((tag, i) => ({ label: tag, apply: tag + end, type: "type", boost: 99 - i })),
-          validFor: identifier };
-  }
-  function completeStartTag(state, schema, tree, pos) {
-      let options = [], level = 0;
-      for (let tagName of allowedChildren(state.doc, tree, schema))
-          options.push({ label: "<" + tagName, type: "type" });
-      for (let open of openTags(state.doc, tree))
-          options.push({ label: "</" + open + ">", type: "type", boost: 99 - level++ });
-      return { from: pos, to: pos, options, validFor: /^<\/?[:\-\.\w\u00b7-\uffff]*$/ };
-  }
-  function completeAttrName(state, schema, tree, from, to) {
-      let elt = findParentElement(tree), info = elt ? schema.tags[elementName(state.doc, elt)] : null;
-      let localAttrs = info && info.attrs ? Object.keys(info.attrs) : [];
-      let names = info && info.globalAttrs === false ? localAttrs
-          : localAttrs.length ? localAttrs.concat(schema.globalAttrNames) : schema.globalAttrNames;
-      return { from, to,
-          options: names.map(attrName => ({ label: attrName, type: "property" })),
-          validFor: identifier };
   }
-  function completeAttrValue(state, schema, tree, from, to) {
-      var _a;
-      let nameNode = (_a = tree.parent) === null || _a === void 0 ? void 0 : _a.getChild("AttributeName");
-      let options = [], token = undefined;
-      if (nameNode) {
-          let attrName = state.sliceDoc(nameNode.from, nameNode.to);
-          let attrs = schema.globalAttrs[attrName];
-          if (!attrs) {
-              let elt = findParentElement(tree), info = elt ? schema.tags[elementName(state.doc, elt)] : null;
-              attrs = (info === null || info === void 0 ? void 0 : info.attrs) && info.attrs[attrName];
-          }
-          if (attrs) {
-              let base = state.sliceDoc(from, to).toLowerCase(), quoteStart = '"', quoteEnd = '"';
-              if (/^['"]/.test(base)) {
-                  token = base[0] == '"' ? /^[^"]*$/ : /^[^']*$/;
-                  quoteStart = "";
-                  quoteEnd = state.sliceDoc(to, to + 1) == base[0] ? "" : base[0];
-                  base = base.slice(1);
-                  from++;
-              }
-              else {
-                  token = /^[^\s<>='"]*$/;
+  function variableNames(doc, node, isVariable) {
+      if (node.to - node.from > 4096) {
+          let known = VariablesByNode.get(node);
+          if (known)
+              return known;
+          let result = [], seen = new Set, cursor = node.cursor(IterMode.IncludeAnonymous);
+          if (cursor.firstChild())
+              do {
+                  for (let option of variableNames(doc, cursor.node, isVariable))
+                      if (!seen.has(option.label)) {
+                          seen.add(option.label);
+                          result.push(option);
+                      }
+              } while (cursor.nextSibling());
+          VariablesByNode.set(node, result);
+          return result;
+      }
+      else {
+          let result = [], seen = new Set;
+          node.cursor().iterate(node => {
+              var _a;
+              if (isVariable(node) && node.matchContext(declSelector) && ((_a = node.node.nextSibling) === null || _a === void 0 ? void 0 : _a.name) == ":") {
+                  let name = doc.sliceString(node.from, node.to);
+                  if (!seen.has(name)) {
+                      seen.add(name);
+                      result.push({ label: name, type: "variable" });
+                  }
               }
-              for (let value of attrs)
-                  options.push({ label: value, apply: quoteStart + value + quoteEnd, type: "constant" });
-          }
+          });
+          return result;
       }
-      return { from, to, options, validFor: token };
   }
-  function htmlCompletionFor(schema, context) {
-      let { state, pos } = context, tree = syntaxTree(state).resolveInner(pos, -1), around = tree.resolve(pos);
-      for (let scan = pos, before; around == tree && (before = tree.childBefore(scan));) {
-          let last = before.lastChild;
-          if (!last || !last.type.isError || last.from < last.to)
-              break;
-          around = tree = before;
-          scan = last.from;
-      }
-      if (tree.name == "TagName") {
-          return tree.parent && /CloseTag$/.test(tree.parent.name) ? completeCloseTag(state, tree, tree.from, pos)
-              : completeTag(state, schema, tree, tree.from, pos);
-      }
-      else if (tree.name == "StartTag") {
-          return completeTag(state, schema, tree, pos, pos);
-      }
-      else if (tree.name == "StartCloseTag" || tree.name == "IncompleteCloseTag") {
-          return completeCloseTag(state, tree, pos, pos);
+  /**
+  Create a completion source for a CSS dialect, providing a
+  predicate for determining what kind of syntax node can act as a
+  completable variable. This is used by language modes like Sass and
+  Less to reuse this package's completion logic.
+  */
+  const defineCSSCompletionSource = (isVariable) => context => {
+      let { state, pos } = context, node = syntaxTree(state).resolveInner(pos, -1);
+      let isDash = node.type.isError && node.from == node.to - 1 && state.doc.sliceString(node.from, node.to) == "-";
+      if (node.name == "PropertyName" ||
+          (isDash || node.name == "TagName") && /^(Block|Styles)$/.test(node.resolve(node.to).name))
+          return { from: node.from, options: properties(), validFor: identifier$1 };
+      if (node.name == "ValueName")
+          return { from: node.from, options: values, validFor: identifier$1 };
+      if (node.name == "PseudoClassName")
+          return { from: node.from, options: pseudoClasses, validFor: identifier$1 };
+      if (isVariable(node) || (context.explicit || isDash) && isVarArg(node, state.doc))
+          return { from: isVariable(node) || isDash ? node.from : pos,
+              options: variableNames(state.doc, astTop(node), isVariable),
+              validFor: variable };
+      if (node.name == "TagName") {
+          for (let { parent } = node; parent; parent = parent.parent)
+              if (parent.name == "Block")
+                  return { from: node.from, options: properties(), validFor: identifier$1 };
+          return { from: node.from, options: tags, validFor: identifier$1 };
       }
-      else if (tree.name == "OpenTag" || tree.name == "SelfClosingTag" || tree.name == "AttributeName") {
-          return completeAttrName(state, schema, tree, tree.name == "AttributeName" ? tree.from : pos, pos);
+      if (node.name == "AtKeyword")
+          return { from: node.from, options: atRules, validFor: identifier$1 };
+      if (!context.explicit)
+          return null;
+      let above = node.resolve(pos), before = above.childBefore(pos);
+      if (before && before.name == ":" && above.name == "PseudoClassSelector")
+          return { from: pos, options: pseudoClasses, validFor: identifier$1 };
+      if (before && before.name == ":" && above.name == "Declaration" || above.name == "ArgList")
+          return { from: pos, options: values, validFor: identifier$1 };
+      if (above.name == "Block" || above.name == "Styles")
+          return { from: pos, options: properties(), validFor: identifier$1 };
+      return null;
+  };
+  /**
+  CSS property, variable, and value keyword completion source.
+  */
+  const cssCompletionSource = /*@__PURE__*/defineCSSCompletionSource(n => n.name == "VariableName");
+
+  /**
+  A language provider based on the [Lezer CSS
+  parser](https://github.com/lezer-parser/css), extended with
+  highlighting and indentation information.
+  */
+  const cssLanguage = /*@__PURE__*/LRLanguage.define({
+      name: "css",
+      parser: /*@__PURE__*/parser$2.configure({
+          props: [
+              /*@__PURE__*/indentNodeProp.add({
+                  Declaration: /*@__PURE__*/continuedIndent()
+              }),
+              /*@__PURE__*/foldNodeProp.add({
+                  "Block KeyframeList": foldInside
+              })
+          ]
+      }),
+      languageData: {
+          commentTokens: { block: { open: "/*", close: "*/" } },
+          indentOnInput: /^\s*\}$/,
+          wordChars: "-"
       }
-      else if (tree.name == "Is" || tree.name == "AttributeValue" || tree.name == "UnquotedAttributeValue") {
-          return completeAttrValue(state, schema, tree, tree.name == "Is" ? pos : tree.from, pos);
+  });
+  /**
+  Language support for CSS.
+  */
+  function css() {
+      return new LanguageSupport(cssLanguage, cssLanguage.data.of({ autocomplete: cssCompletionSource }));
+  }
+
+  // This file was generated by lezer-generator. You probably shouldn't edit it.
+  const noSemi = 315,
+    noSemiType = 316,
+    incdec = 1,
+    incdecPrefix = 2,
+    questionDot = 3,
+    JSXStartTag = 4,
+    insertSemi = 317,
+    spaces = 319,
+    newline = 320,
+    LineComment = 5,
+    BlockComment = 6,
+    Dialect_jsx = 0;
+
+  /* Hand-written tokenizers for JavaScript tokens that can't be
+     expressed by lezer's built-in tokenizer. */
+
+  const space = [9, 10, 11, 12, 13, 32, 133, 160, 5760, 8192, 8193, 8194, 8195, 8196, 8197, 8198, 8199, 8200,
+                 8201, 8202, 8232, 8233, 8239, 8287, 12288];
+
+  const braceR = 125, semicolon = 59, slash = 47, star = 42, plus = 43, minus = 45, lt = 60, comma = 44,
+        question = 63, dot = 46, bracketL = 91;
+
+  const trackNewline = new ContextTracker({
+    start: false,
+    shift(context, term) {
+      return term == LineComment || term == BlockComment || term == spaces ? context : term == newline
+    },
+    strict: false
+  });
+
+  const insertSemicolon = new ExternalTokenizer((input, stack) => {
+    let {next} = input;
+    if (next == braceR || next == -1 || stack.context)
+      input.acceptToken(insertSemi);
+  }, {contextual: true, fallback: true});
+
+  const noSemicolon = new ExternalTokenizer((input, stack) => {
+    let {next} = input, after;
+    if (space.indexOf(next) > -1) return
+    if (next == slash && ((after = input.peek(1)) == slash || after == star)) return
+    if (next != braceR && next != semicolon && next != -1 && !stack.context)
+      input.acceptToken(noSemi);
+  }, {contextual: true});
+
+  const noSemicolonType = new ExternalTokenizer((input, stack) => {
+    if (input.next == bracketL && !stack.context) input.acceptToken(noSemiType);
+  }, {contextual: true});
+
+  const operatorToken = new ExternalTokenizer((input, stack) => {
+    let {next} = input;
+    if (next == plus || next == minus) {
+      input.advance();
+      if (next == input.next) {
+        input.advance();
+        let mayPostfix = !stack.context && stack.canShift(incdec);
+        input.acceptToken(mayPostfix ? incdec : incdecPrefix);
       }
-      else if (context.explicit && (around.name == "Element" || around.name == "Text" || around.name == "Document")) {
-          return completeStartTag(state, schema, tree, pos);
+    } else if (next == question && input.peek(1) == dot) {
+      input.advance(); input.advance();
+      if (input.next < 48 || input.next > 57) // No digit after
+        input.acceptToken(questionDot);
+    }
+  }, {contextual: true});
+
+  function identifierChar(ch, start) {
+    return ch >= 65 && ch <= 90 || ch >= 97 && ch <= 122 || ch == 95 || ch >= 192 ||
+      !start && ch >= 48 && ch <= 57
+  }
+
+  const jsx = new ExternalTokenizer((input, stack) => {
+    if (input.next != lt || !stack.dialectEnabled(Dialect_jsx)) return
+    input.advance();
+    if (input.next == slash) return
+    // Scan for an identifier followed by a comma or 'extends', don't
+    // treat this as a start tag if present.
+    let back = 0;
+    while (space.indexOf(input.next) > -1) { input.advance(); back++; }
+    if (identifierChar(input.next, true)) {
+      input.advance();
+      back++;
+      while (identifierChar(input.next, false)) { input.advance(); back++; }
+      while (space.indexOf(input.next) > -1) { input.advance(); back++; }
+      if (input.next == comma) return
+      for (let i = 0;; i++) {
+        if (i == 7) {
+          if (!identifierChar(input.next, true)) return
+          break
+        }
+        if (input.next != "extends".charCodeAt(i)) break
+        input.advance();
+        back++;
       }
-      else {
-          return null;
+    }
+    input.acceptToken(JSXStartTag, -back);
+  });
+
+  const jsHighlight = styleTags({
+    "get set async static": tags$1.modifier,
+    "for while do if else switch try catch finally return throw break continue default case": tags$1.controlKeyword,
+    "in of await yield void typeof delete instanceof as satisfies": tags$1.operatorKeyword,
+    "let var const using function class extends": tags$1.definitionKeyword,
+    "import export from": tags$1.moduleKeyword,
+    "with debugger new": tags$1.keyword,
+    TemplateString: tags$1.special(tags$1.string),
+    super: tags$1.atom,
+    BooleanLiteral: tags$1.bool,
+    this: tags$1.self,
+    null: tags$1.null,
+    Star: tags$1.modifier,
+    VariableName: tags$1.variableName,
+    "CallExpression/VariableName TaggedTemplateExpression/VariableName": tags$1.function(tags$1.variableName),
+    VariableDefinition: tags$1.definition(tags$1.variableName),
+    Label: tags$1.labelName,
+    PropertyName: tags$1.propertyName,
+    PrivatePropertyName: tags$1.special(tags$1.propertyName),
+    "CallExpression/MemberExpression/PropertyName": tags$1.function(tags$1.propertyName),
+    "FunctionDeclaration/VariableDefinition": tags$1.function(tags$1.definition(tags$1.variableName)),
+    "ClassDeclaration/VariableDefinition": tags$1.definition(tags$1.className),
+    "NewExpression/VariableName": tags$1.className,
+    PropertyDefinition: tags$1.definition(tags$1.propertyName),
+    PrivatePropertyDefinition: tags$1.definition(tags$1.special(tags$1.propertyName)),
+    UpdateOp: tags$1.updateOperator,
+    "LineComment Hashbang": tags$1.lineComment,
+    BlockComment: tags$1.blockComment,
+    Number: tags$1.number,
+    String: tags$1.string,
+    Escape: tags$1.escape,
+    ArithOp: tags$1.arithmeticOperator,
+    LogicOp: tags$1.logicOperator,
+    BitOp: tags$1.bitwiseOperator,
+    CompareOp: tags$1.compareOperator,
+    RegExp: tags$1.regexp,
+    Equals: tags$1.definitionOperator,
+    Arrow: tags$1.function(tags$1.punctuation),
+    ": Spread": tags$1.punctuation,
+    "( )": tags$1.paren,
+    "[ ]": tags$1.squareBracket,
+    "{ }": tags$1.brace,
+    "InterpolationStart InterpolationEnd": tags$1.special(tags$1.brace),
+    ".": tags$1.derefOperator,
+    ", ;": tags$1.separator,
+    "@": tags$1.meta,
+
+    TypeName: tags$1.typeName,
+    TypeDefinition: tags$1.definition(tags$1.typeName),
+    "type enum interface implements namespace module declare": tags$1.definitionKeyword,
+    "abstract global Privacy readonly override": tags$1.modifier,
+    "is keyof unique infer asserts": tags$1.operatorKeyword,
+
+    JSXAttributeValue: tags$1.attributeValue,
+    JSXText: tags$1.content,
+    "JSXStartTag JSXStartCloseTag JSXSelfCloseEndTag JSXEndTag": tags$1.angleBracket,
+    "JSXIdentifier JSXNameSpacedName": tags$1.tagName,
+    "JSXAttribute/JSXIdentifier JSXAttribute/JSXNameSpacedName": tags$1.attributeName,
+    "JSXBuiltin/JSXIdentifier": tags$1.standard(tags$1.tagName)
+  });
+
+  // This file was generated by lezer-generator. You probably shouldn't edit it.
+  const spec_identifier = {__proto__:null,export:20, as:25, from:33, default:36, async:41, function:42, in:52, out:55, const:56, extends:60, this:64, true:72, false:72, null:84, void:88, typeof:92, super:108, new:142, delete:154, yield:163, await:167, class:172, public:235, private:235, protected:235, readonly:237, instanceof:256, satisfies:259, import:292, keyof:349, unique:353, infer:359, asserts:395, is:397, abstract:417, implements:419, type:421, let:424, var:426, using:429, interface:435, enum:439, namespace:445, module:447, declare:451, global:455, for:474, of:483, while:486, with:490, do:494, if:498, else:500, switch:504, case:510, try:516, catch:520, finally:524, return:528, throw:532, break:536, continue:540, debugger:544};
+  const spec_word = {__proto__:null,async:129, get:131, set:133, declare:195, public:197, private:197, protected:197, static:199, abstract:201, override:203, readonly:209, accessor:211, new:401};
+  const spec_LessThan = {__proto__:null,"<":193};
+  const parser$1 = LRParser.deserialize({
+    version: 14,
+    states: "$EOQ%TQlOOO%[QlOOO'_QpOOP(lO`OOO*zQ!0MxO'#CiO+RO#tO'#CjO+aO&jO'#CjO+oO#@ItO'#DaO.QQlO'#DgO.bQlO'#DrO%[QlO'#DzO0fQlO'#ESOOQ!0Lf'#E['#E[O1PQ`O'#EXOOQO'#Ep'#EpOOQO'#Ik'#IkO1XQ`O'#GsO1dQ`O'#EoO1iQ`O'#EoO3hQ!0MxO'#JqO6[Q!0MxO'#JrO6uQ`O'#F]O6zQ,UO'#FtOOQ!0Lf'#Ff'#FfO7VO7dO'#FfO7eQMhO'#F|O9[Q`O'#F{OOQ!0Lf'#Jr'#JrOOQ!0Lb'#Jq'#JqO9aQ`O'#GwOOQ['#K^'#K^O9lQ`O'#IXO9qQ!0LrO'#IYOOQ['#J_'#J_OOQ['#I^'#I^Q`QlOOQ`QlOOO9yQ!L^O'#DvO:QQlO'#EOO:XQlO'#EQO9gQ`O'#GsO:`QMhO'#CoO:nQ`O'#EnO:yQ`O'#EyO;OQMhO'#FeO;mQ`O'#GsOOQO'#K_'#K_O;rQ`O'#K_O<QQ`O'#G{O<QQ`O'#G|O<QQ`O'#HOO9gQ`O'#HRO<wQ`O'#HUO>`Q`O'#CeO>pQ`O'#HbO>xQ`O'#HhO>xQ`O'#HjO`QlO'#HlO>xQ`O'#HnO>xQ`O'#HqO>}Q`O'#HwO?SQ!0LsO'#H}O%[QlO'#IPO?_Q!0LsO'#IRO?jQ!0LsO'#ITO9qQ!0LrO'#IVO?uQ!0MxO'#CiO@wQpO'#DlQOQ`OOO%[QlO'#EQOA_Q`O'#ETO:`QMhO'#EnOAjQ`O'#EnOAuQ!bO'#FeOOQ['#Cg'#CgOOQ!0Lb'#Dq'#DqOOQ!0Lb'#Ju'#JuO%[QlO'#JuOOQO'#Jx'#JxOOQO'#Ig'#IgOBuQpO'#EgOOQ!0Lb'#Ef'#EfOOQ!0Lb'#J|'#J|OCqQ!0MSO'#EgOC{QpO'#EWOOQO'#Jw'#JwODaQpO'#JxOEnQpO'#EWOC{QpO'#EgPE{O&2DjO'#CbPOOO)CD|)CD|OOOO'#I_'#I_OFWO#tO,59UOOQ!0Lh,59U,59UOOOO'#I`'#I`OFfO&jO,59UOFtQ!L^O'#DcOOOO'#Ib'#IbOF{O#@ItO,59{OOQ!0Lf,59{,59{OGZQlO'#IcOGnQ`O'#JsOImQ!fO'#JsO+}QlO'#JsOItQ`O,5:ROJ[Q`O'#EpOJiQ`O'#KSOJtQ`O'#KROJtQ`O'#KROJ|Q`O,5;^OKRQ`O'#KQOOQ!0Ln,5:^,5:^OKYQlO,5:^OMWQ!0MxO,5:fOMwQ`O,5:nONbQ!0LrO'#KPONiQ`O'#KOO9aQ`O'#KOON}Q`O'#KOO! VQ`O,5;]O! [Q`O'#KOO!#aQ!fO'#JrOOQ!0Lh'#Ci'#CiO%[QlO'#ESO!$PQ!fO,5:sOOQS'#Jy'#JyOOQO-E<i-E<iO9gQ`O,5=_O!$gQ`O,5=_O!$lQlO,5;ZO!&oQMhO'#EkO!(YQ`O,5;ZO!(_QlO'#DyO!(iQpO,5;dO!(qQpO,5;dO%[QlO,5;dOOQ['#FT'#FTOOQ['#FV'#FVO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eO%[QlO,5;eOOQ['#FZ'#FZO!)PQlO,5;tOOQ!0Lf,5;y,5;yOOQ!0Lf,5;z,5;zOOQ!0Lf,5;|,5;|O%[QlO'#IoO!+SQ!0LrO,5<iO%[QlO,5;eO!&oQMhO,5;eO!+qQMhO,5;eO!-cQMhO'#E^O%[QlO,5;wOOQ!0Lf,5;{,5;{O!-jQ,UO'#FjO!.gQ,UO'#KWO!.RQ,UO'#KWO!.nQ,UO'#KWOOQO'#KW'#KWO!/SQ,UO,5<SOOOW,5<`,5<`O!/eQlO'#FvOOOW'#In'#InO7VO7dO,5<QO!/lQ,UO'#FxOOQ!0Lf,5<Q,5<QO!0]Q$IUO'#CyOOQ!0Lh'#C}'#C}O!0pO#@ItO'#DRO!1^QMjO,5<eO!1eQ`O,5<hO!3QQ(CWO'#GXO!3_Q`O'#GYO!3dQ`O'#GYO!5SQ(CWO'#G^O!6XQpO'#GbOOQO'#Gn'#GnO!+xQMhO'#GmOOQO'#Gp'#GpO!+xQMhO'#GoO!6zQ$IUO'#JkOOQ!0Lh'#Jk'#JkO!7UQ`O'#JjO!7dQ`O'#JiO!7lQ`O'#CuOOQ!0Lh'#C{'#C{O!7}Q`O'#C}OOQ!0Lh'#DV'#DVOOQ!0Lh'#DX'#DXO1SQ`O'#DZO!+xQMhO'#GPO!+xQMhO'#GRO!8SQ`O'#GTO!8XQ`O'#GUO!3dQ`O'#G[O!+xQMhO'#GaO<QQ`O'#JjO!8^Q`O'#EqO!8{Q`O,5<gOOQ!0Lb'#Cr'#CrO!9TQ`O'#ErO!9}QpO'#EsOOQ!0Lb'#KQ'#KQO!:UQ!0LrO'#K`O9qQ!0LrO,5=cO`QlO,5>sOOQ['#Jg'#JgOOQ[,5>t,5>tOOQ[-E<[-E<[O!<TQ!0MxO,5:bO!9xQpO,5:`O!>nQ!0MxO,5:jO%[QlO,5:jO!AUQ!0MxO,5:lOOQO,5@y,5@yO!AuQMhO,5=_O!BTQ!0LrO'#JhO9[Q`O'#JhO!BfQ!0LrO,59ZO!BqQpO,59ZO!ByQMhO,59ZO:`QMhO,59ZO!CUQ`O,5;ZO!C^Q`O'#HaO!CrQ`O'#KcO%[QlO,5;}O!9xQpO,5<PO!CzQ`O,5=zO!DPQ`O,5=zO!DUQ`O,5=zO9qQ!0LrO,5=zO<QQ`O,5=jOOQO'#Cy'#CyO!DdQpO,5=gO!DlQMhO,5=hO!DwQ`O,5=jO!D|Q!bO,5=mO!EUQ`O'#K_O>}Q`O'#HWO9gQ`O'#HYO!EZQ`O'#HYO:`QMhO'#H[O!E`Q`O'#H[OOQ[,5=p,5=pO!EeQ`O'#H]O!EvQ`O'#CoO!E{Q`O,59PO!FVQ`O,59PO!H[QlO,59POOQ[,59P,59PO!HlQ!0LrO,59PO%[QlO,59PO!JwQlO'#HdOOQ['#He'#HeOOQ['#Hf'#HfO`QlO,5=|O!K_Q`O,5=|O`QlO,5>SO`QlO,5>UO!KdQ`O,5>WO`QlO,5>YO!KiQ`O,5>]O!KnQlO,5>cOOQ[,5>i,5>iO%[QlO,5>iO9qQ!0LrO,5>kOOQ[,5>m,5>mO# xQ`O,5>mOOQ[,5>o,5>oO# xQ`O,5>oOOQ[,5>q,5>qO#!fQpO'#D_O%[QlO'#JuO##XQpO'#JuO##cQpO'#DmO##tQpO'#DmO#&VQlO'#DmO#&^Q`O'#JtO#&fQ`O,5:WO#&kQ`O'#EtO#&yQ`O'#KTO#'RQ`O,5;_O#'WQpO'#DmO#'eQpO'#EVOOQ!0Lf,5:o,5:oO%[QlO,5:oO#'lQ`O,5:oO>}Q`O,5;YO!BqQpO,5;YO!ByQMhO,5;YO:`QMhO,5;YO#'tQ`O,5@aO#'yQ07dO,5:sOOQO-E<e-E<eO#)PQ!0MSO,5;ROC{QpO,5:rO#)ZQpO,5:rOC{QpO,5;RO!BfQ!0LrO,5:rOOQ!0Lb'#Ej'#EjOOQO,5;R,5;RO%[QlO,5;RO#)hQ!0LrO,5;RO#)sQ!0LrO,5;RO!BqQpO,5:rOOQO,5;X,5;XO#*RQ!0LrO,5;RPOOO'#I]'#I]P#*gO&2DjO,58|POOO,58|,58|OOOO-E<]-E<]OOQ!0Lh1G.p1G.pOOOO-E<^-E<^OOOO,59},59}O#*rQ!bO,59}OOOO-E<`-E<`OOQ!0Lf1G/g1G/gO#*wQ!fO,5>}O+}QlO,5>}OOQO,5?T,5?TO#+RQlO'#IcOOQO-E<a-E<aO#+`Q`O,5@_O#+hQ!fO,5@_O#+oQ`O,5@mOOQ!0Lf1G/m1G/mO%[QlO,5@nO#+wQ`O'#IiOOQO-E<g-E<gO#+oQ`O,5@mOOQ!0Lb1G0x1G0xOOQ!0Ln1G/x1G/xOOQ!0Ln1G0Y1G0YO%[QlO,5@kO#,]Q!0LrO,5@kO#,nQ!0LrO,5@kO#,uQ`O,5@jO9aQ`O,5@jO#,}Q`O,5@jO#-]Q`O'#IlO#,uQ`O,5@jOOQ!0Lb1G0w1G0wO!(iQpO,5:uO!(tQpO,5:uOOQS,5:w,5:wO#-}QdO,5:wO#.VQMhO1G2yO9gQ`O1G2yOOQ!0Lf1G0u1G0uO#.eQ!0MxO1G0uO#/jQ!0MvO,5;VOOQ!0Lh'#GW'#GWO#0WQ!0MzO'#JkO!$lQlO1G0uO#2cQ!fO'#JvO%[QlO'#JvO#2mQ`O,5:eOOQ!0Lh'#D_'#D_OOQ!0Lf1G1O1G1OO%[QlO1G1OOOQ!0Lf1G1f1G1fO#2rQ`O1G1OO#5WQ!0MxO1G1PO#5_Q!0MxO1G1PO#7uQ!0MxO1G1PO#7|Q!0MxO1G1PO#:dQ!0MxO1G1PO#<zQ!0MxO1G1PO#=RQ!0MxO1G1PO#=YQ!0MxO1G1PO#?pQ!0MxO1G1PO#?wQ!0MxO1G1PO#BUQ?MtO'#CiO#DPQ?MtO1G1`O#DWQ?MtO'#JrO#DkQ!0MxO,5?ZOOQ!0Lb-E<m-E<mO#FxQ!0MxO1G1PO#GuQ!0MzO1G1POOQ!0Lf1G1P1G1PO#HxQMjO'#J{O#ISQ`O,5:xO#IXQ!0MxO1G1cO#I{Q,UO,5<WO#JTQ,UO,5<XO#J]Q,UO'#FoO#JtQ`O'#FnOOQO'#KX'#KXOOQO'#Im'#ImO#JyQ,UO1G1nOOQ!0Lf1G1n1G1nOOOW1G1y1G1yO#K[Q?MtO'#JqO#KfQ`O,5<bO!)PQlO,5<bOOOW-E<l-E<lOOQ!0Lf1G1l1G1lO#KkQpO'#KWOOQ!0Lf,5<d,5<dO#KsQpO,5<dO#KxQMhO'#DTOOOO'#Ia'#IaO#LPO#@ItO,59mOOQ!0Lh,59m,59mO%[QlO1G2PO!8XQ`O'#IqO#L[Q`O,5<zOOQ!0Lh,5<w,5<wO!+xQMhO'#ItO#LxQMjO,5=XO!+xQMhO'#IvO#MkQMjO,5=ZO!&oQMhO,5=]OOQO1G2S1G2SO#MuQ!dO'#CrO#NYQ(CWO'#ErO$ _QpO'#GbO$ uQ!dO,5<sO$ |Q`O'#KZO9aQ`O'#KZO$![Q`O,5<uO!+xQMhO,5<tO$!aQ`O'#GZO$!rQ`O,5<tO$!wQ!dO'#GWO$#UQ!dO'#K[O$#`Q`O'#K[O!&oQMhO'#K[O$#eQ`O,5<xO$#jQlO'#JuO$#tQpO'#GcO##tQpO'#GcO$$VQ`O'#GgO!3dQ`O'#GkO$$[Q!0LrO'#IsO$$gQpO,5<|OOQ!0Lp,5<|,5<|O$$nQpO'#GcO$${QpO'#GdO$%^QpO'#GdO$%cQMjO,5=XO$%sQMjO,5=ZOOQ!0Lh,5=^,5=^O!+xQMhO,5@UO!+xQMhO,5@UO$&TQ`O'#IxO$&iQ`O,5@TO$&qQ`O,59aOOQ!0Lh,59i,59iO$'hQ$IYO,59uOOQ!0Lh'#Jo'#JoO$(ZQMjO,5<kO$(|QMjO,5<mO@oQ`O,5<oOOQ!0Lh,5<p,5<pO$)WQ`O,5<vO$)]QMjO,5<{O$)mQ`O,5@UO$){Q`O'#KOO!$lQlO1G2RO$*QQ`O1G2RO9aQ`O'#KRO9aQ`O'#EtO%[QlO'#EtO9aQ`O'#IzO$*VQ!0LrO,5@zOOQ[1G2}1G2}OOQ[1G4_1G4_OOQ!0Lf1G/|1G/|OOQ!0Lf1G/z1G/zO$,XQ!0MxO1G0UOOQ[1G2y1G2yO!&oQMhO1G2yO%[QlO1G2yO#.YQ`O1G2yO$.]QMhO'#EkOOQ!0Lb,5@S,5@SO$.jQ!0LrO,5@SOOQ[1G.u1G.uO!BfQ!0LrO1G.uO!BqQpO1G.uO!ByQMhO1G.uO$.{Q`O1G0uO$/QQ`O'#CiO$/]Q`O'#KdO$/eQ`O,5={O$/jQ`O'#KdO$/oQ`O'#KdO$/}Q`O'#JQO$0]Q`O,5@}O$0eQ!fO1G1iOOQ!0Lf1G1k1G1kO9gQ`O1G3fO@oQ`O1G3fO$0lQ`O1G3fO$0qQ`O1G3fOOQ[1G3f1G3fO!DwQ`O1G3UO!&oQMhO1G3RO$0vQ`O1G3ROOQ[1G3S1G3SO!&oQMhO1G3SO$0{Q`O1G3SO$1TQpO'#HQOOQ[1G3U1G3UO!6SQpO'#I|O!D|Q!bO1G3XOOQ[1G3X1G3XOOQ[,5=r,5=rO$1]QMhO,5=tO9gQ`O,5=tO$$VQ`O,5=vO9[Q`O,5=vO!BqQpO,5=vO!ByQMhO,5=vO:`QMhO,5=vO$1kQ`O'#KbO$1vQ`O,5=wOOQ[1G.k1G.kO$1{Q!0LrO1G.kO@oQ`O1G.kO$2WQ`O1G.kO9qQ!0LrO1G.kO$4`Q!fO,5APO$4mQ`O,5APO9aQ`O,5APO$4xQlO,5>OO$5PQ`O,5>OOOQ[1G3h1G3hO`QlO1G3hOOQ[1G3n1G3nOOQ[1G3p1G3pO>xQ`O1G3rO$5UQlO1G3tO$9YQlO'#HsOOQ[1G3w1G3wO$9gQ`O'#HyO>}Q`O'#H{OOQ[1G3}1G3}O$9oQlO1G3}O9qQ!0LrO1G4TOOQ[1G4V1G4VOOQ!0Lb'#G_'#G_O9qQ!0LrO1G4XO9qQ!0LrO1G4ZO$=vQ`O,5@aO!)PQlO,5;`O9aQ`O,5;`O>}Q`O,5:XO!)PQlO,5:XO!BqQpO,5:XO$={Q?MtO,5:XOOQO,5;`,5;`O$>VQpO'#IdO$>mQ`O,5@`OOQ!0Lf1G/r1G/rO$>uQpO'#IjO$?PQ`O,5@oOOQ!0Lb1G0y1G0yO##tQpO,5:XOOQO'#If'#IfO$?XQpO,5:qOOQ!0Ln,5:q,5:qO#'oQ`O1G0ZOOQ!0Lf1G0Z1G0ZO%[QlO1G0ZOOQ!0Lf1G0t1G0tO>}Q`O1G0tO!BqQpO1G0tO!ByQMhO1G0tOOQ!0Lb1G5{1G5{O!BfQ!0LrO1G0^OOQO1G0m1G0mO%[QlO1G0mO$?`Q!0LrO1G0mO$?kQ!0LrO1G0mO!BqQpO1G0^OC{QpO1G0^O$?yQ!0LrO1G0mOOQO1G0^1G0^O$@_Q!0MxO1G0mPOOO-E<Z-E<ZPOOO1G.h1G.hOOOO1G/i1G/iO$@iQ!bO,5<iO$@qQ!fO1G4iOOQO1G4o1G4oO%[QlO,5>}O$@{Q`O1G5yO$ATQ`O1G6XO$A]Q!fO1G6YO9aQ`O,5?TO$AgQ!0MxO1G6VO%[QlO1G6VO$AwQ!0LrO1G6VO$BYQ`O1G6UO$BYQ`O1G6UO9aQ`O1G6UO$BbQ`O,5?WO9aQ`O,5?WOOQO,5?W,5?WO$BvQ`O,5?WO$){Q`O,5?WOOQO-E<j-E<jOOQS1G0a1G0aOOQS1G0c1G0cO#.QQ`O1G0cOOQ[7+(e7+(eO!&oQMhO7+(eO%[QlO7+(eO$CUQ`O7+(eO$CaQMhO7+(eO$CoQ!0MzO,5=XO$EzQ!0MzO,5=ZO$HVQ!0MzO,5=XO$JhQ!0MzO,5=ZO$LyQ!0MzO,59uO% OQ!0MzO,5<kO%#ZQ!0MzO,5<mO%%fQ!0MzO,5<{OOQ!0Lf7+&a7+&aO%'wQ!0MxO7+&aO%(kQlO'#IeO%(xQ`O,5@bO%)QQ!fO,5@bOOQ!0Lf1G0P1G0PO%)[Q`O7+&jOOQ!0Lf7+&j7+&jO%)aQ?MtO,5:fO%[QlO7+&zO%)kQ?MtO,5:bO%)xQ?MtO,5:jO%*SQ?MtO,5:lO%*^QMhO'#IhO%*hQ`O,5@gOOQ!0Lh1G0d1G0dOOQO1G1r1G1rOOQO1G1s1G1sO%*pQ!jO,5<ZO!)PQlO,5<YOOQO-E<k-E<kOOQ!0Lf7+'Y7+'YOOOW7+'e7+'eOOOW1G1|1G1|O%*{Q`O1G1|OOQ!0Lf1G2O1G2OOOOO,59o,59oO%+QQ!dO,59oOOOO-E<_-E<_OOQ!0Lh1G/X1G/XO%+XQ!0MxO7+'kOOQ!0Lh,5?],5?]O%+{QMhO1G2fP%,SQ`O'#IqPOQ!0Lh-E<o-E<oO%,pQMjO,5?`OOQ!0Lh-E<r-E<rO%-cQMjO,5?bOOQ!0Lh-E<t-E<tO%-mQ!dO1G2wO%-tQ!dO'#CrO%.[QMhO'#KRO$#jQlO'#JuOOQ!0Lh1G2_1G2_O%.cQ`O'#IpO%.wQ`O,5@uO%.wQ`O,5@uO%/PQ`O,5@uO%/[Q`O,5@uOOQO1G2a1G2aO%/jQMjO1G2`O!+xQMhO1G2`O%/zQ(CWO'#IrO%0XQ`O,5@vO!&oQMhO,5@vO%0aQ!dO,5@vOOQ!0Lh1G2d1G2dO%2qQ!fO'#CiO%2{Q`O,5=POOQ!0Lb,5<},5<}O%3TQpO,5<}OOQ!0Lb,5=O,5=OOClQ`O,5<}O%3`QpO,5<}OOQ!0Lb,5=R,5=RO$){Q`O,5=VOOQO,5?_,5?_OOQO-E<q-E<qOOQ!0Lp1G2h1G2hO##tQpO,5<}O$#jQlO,5=PO%3nQ`O,5=OO%3yQpO,5=OO!+xQMhO'#ItO%4sQMjO1G2sO!+xQMhO'#IvO%5fQMjO1G2uO%5pQMjO1G5pO%5zQMjO1G5pOOQO,5?d,5?dOOQO-E<v-E<vOOQO1G.{1G.{O!9xQpO,59wO%[QlO,59wOOQ!0Lh,5<j,5<jO%6XQ`O1G2ZO!+xQMhO1G2bO!+xQMhO1G5pO!+xQMhO1G5pO%6^Q!0MxO7+'mOOQ!0Lf7+'m7+'mO!$lQlO7+'mO%7QQ`O,5;`OOQ!0Lb,5?f,5?fOOQ!0Lb-E<x-E<xO%7VQ!dO'#K]O#'oQ`O7+(eO4UQ!fO7+(eO$CXQ`O7+(eO%7aQ!0MvO'#CiO%7tQ!0MvO,5=SO%8fQ`O,5=SO%8nQ`O,5=SOOQ!0Lb1G5n1G5nOOQ[7+$a7+$aO!BfQ!0LrO7+$aO!BqQpO7+$aO!$lQlO7+&aO%8sQ`O'#JPO%9[Q`O,5AOOOQO1G3g1G3gO9gQ`O,5AOO%9[Q`O,5AOO%9dQ`O,5AOOOQO,5?l,5?lOOQO-E=O-E=OOOQ!0Lf7+'T7+'TO%9iQ`O7+)QO9qQ!0LrO7+)QO9gQ`O7+)QO@oQ`O7+)QOOQ[7+(p7+(pO%9nQ!0MvO7+(mO!&oQMhO7+(mO!DrQ`O7+(nOOQ[7+(n7+(nO!&oQMhO7+(nO%9xQ`O'#KaO%:TQ`O,5=lOOQO,5?h,5?hOOQO-E<z-E<zOOQ[7+(s7+(sO%;gQpO'#HZOOQ[1G3`1G3`O!&oQMhO1G3`O%[QlO1G3`O%;nQ`O1G3`O%;yQMhO1G3`O9qQ!0LrO1G3bO$$VQ`O1G3bO9[Q`O1G3bO!BqQpO1G3bO!ByQMhO1G3bO%<XQ`O'#JOO%<mQ`O,5@|O%<uQpO,5@|OOQ!0Lb1G3c1G3cOOQ[7+$V7+$VO@oQ`O7+$VO9qQ!0LrO7+$VO%=QQ`O7+$VO%[QlO1G6kO%[QlO1G6lO%=VQ!0LrO1G6kO%=aQlO1G3jO%=hQ`O1G3jO%=mQlO1G3jOOQ[7+)S7+)SO9qQ!0LrO7+)^O`QlO7+)`OOQ['#Kg'#KgOOQ['#JR'#JRO%=tQlO,5>_OOQ[,5>_,5>_O%[QlO'#HtO%>RQ`O'#HvOOQ[,5>e,5>eO9aQ`O,5>eOOQ[,5>g,5>gOOQ[7+)i7+)iOOQ[7+)o7+)oOOQ[7+)s7+)sOOQ[7+)u7+)uO%>WQpO1G5{O%>rQ?MtO1G0zO%>|Q`O1G0zOOQO1G/s1G/sO%?XQ?MtO1G/sO>}Q`O1G/sO!)PQlO'#DmOOQO,5?O,5?OOOQO-E<b-E<bOOQO,5?U,5?UOOQO-E<h-E<hO!BqQpO1G/sOOQO-E<d-E<dOOQ!0Ln1G0]1G0]OOQ!0Lf7+%u7+%uO#'oQ`O7+%uOOQ!0Lf7+&`7+&`O>}Q`O7+&`O!BqQpO7+&`OOQO7+%x7+%xO$@_Q!0MxO7+&XOOQO7+&X7+&XO%[QlO7+&XO%?cQ!0LrO7+&XO!BfQ!0LrO7+%xO!BqQpO7+%xO%?nQ!0LrO7+&XO%?|Q!0MxO7++qO%[QlO7++qO%@^Q`O7++pO%@^Q`O7++pOOQO1G4r1G4rO9aQ`O1G4rO%@fQ`O1G4rOOQS7+%}7+%}O#'oQ`O<<LPO4UQ!fO<<LPO%@tQ`O<<LPOOQ[<<LP<<LPO!&oQMhO<<LPO%[QlO<<LPO%@|Q`O<<LPO%AXQ!0MzO,5?`O%CdQ!0MzO,5?bO%EoQ!0MzO1G2`O%HQQ!0MzO1G2sO%J]Q!0MzO1G2uO%LhQ!fO,5?PO%[QlO,5?POOQO-E<c-E<cO%LrQ`O1G5|OOQ!0Lf<<JU<<JUO%LzQ?MtO1G0uO& RQ?MtO1G1PO& YQ?MtO1G1PO&#ZQ?MtO1G1PO&#bQ?MtO1G1PO&%cQ?MtO1G1PO&'dQ?MtO1G1PO&'kQ?MtO1G1PO&'rQ?MtO1G1PO&)sQ?MtO1G1PO&)zQ?MtO1G1PO&*RQ!0MxO<<JfO&+yQ?MtO1G1PO&,vQ?MvO1G1PO&-yQ?MvO'#JkO&0PQ?MtO1G1cO&0^Q?MtO1G0UO&0hQMjO,5?SOOQO-E<f-E<fO!)PQlO'#FqOOQO'#KY'#KYOOQO1G1u1G1uO&0rQ`O1G1tO&0wQ?MtO,5?ZOOOW7+'h7+'hOOOO1G/Z1G/ZO&1RQ!dO1G4wOOQ!0Lh7+(Q7+(QP!&oQMhO,5?]O!+xQMhO7+(cO&1YQ`O,5?[O9aQ`O,5?[OOQO-E<n-E<nO&1hQ`O1G6aO&1hQ`O1G6aO&1pQ`O1G6aO&1{QMjO7+'zO&2]Q!dO,5?^O&2gQ`O,5?^O!&oQMhO,5?^OOQO-E<p-E<pO&2lQ!dO1G6bO&2vQ`O1G6bO&3OQ`O1G2kO!&oQMhO1G2kOOQ!0Lb1G2i1G2iOOQ!0Lb1G2j1G2jO%3TQpO1G2iO!BqQpO1G2iOClQ`O1G2iOOQ!0Lb1G2q1G2qO&3TQpO1G2iO&3cQ`O1G2kO$){Q`O1G2jOClQ`O1G2jO$#jQlO1G2kO&3kQ`O1G2jO&4_QMjO,5?`OOQ!0Lh-E<s-E<sO&5QQMjO,5?bOOQ!0Lh-E<u-E<uO!+xQMhO7++[OOQ!0Lh1G/c1G/cO&5[Q`O1G/cOOQ!0Lh7+'u7+'uO&5aQMjO7+'|O&5qQMjO7++[O&5{QMjO7++[O&6YQ!0MxO<<KXOOQ!0Lf<<KX<<KXO&6|Q`O1G0zO!&oQMhO'#IyO&7RQ`O,5@wO&9TQ!fO<<LPO!&oQMhO1G2nO&9[Q!0LrO1G2nOOQ[<<G{<<G{O!BfQ!0LrO<<G{O&9mQ!0MxO<<I{OOQ!0Lf<<I{<<I{OOQO,5?k,5?kO&:aQ`O,5?kO&:fQ`O,5?kOOQO-E<}-E<}O&:tQ`O1G6jO&:tQ`O1G6jO9gQ`O1G6jO@oQ`O<<LlOOQ[<<Ll<<LlO&:|Q`O<<LlO9qQ!0LrO<<LlOOQ[<<LX<<LXO%9nQ!0MvO<<LXOOQ[<<LY<<LYO!DrQ`O<<LYO&;RQpO'#I{O&;^Q`O,5@{O!)PQlO,5@{OOQ[1G3W1G3WOOQO'#I}'#I}O9qQ!0LrO'#I}O&;fQpO,5=uOOQ[,5=u,5=uO&;mQpO'#EgO&;tQpO'#GeO&;yQ`O7+(zO&<OQ`O7+(zOOQ[7+(z7+(zO!&oQMhO7+(zO%[QlO7+(zO&<WQ`O7+(zOOQ[7+(|7+(|O9qQ!0LrO7+(|O$$VQ`O7+(|O9[Q`O7+(|O!BqQpO7+(|O&<cQ`O,5?jOOQO-E<|-E<|OOQO'#H^'#H^O&<nQ`O1G6hO9qQ!0LrO<<GqOOQ[<<Gq<<GqO@oQ`O<<GqO&<vQ`O7+,VO&<{Q`O7+,WO%[QlO7+,VO%[QlO7+,WOOQ[7+)U7+)UO&=QQ`O7+)UO&=VQlO7+)UO&=^Q`O7+)UOOQ[<<Lx<<LxOOQ[<<Lz<<LzOOQ[-E=P-E=POOQ[1G3y1G3yO&=cQ`O,5>`OOQ[,5>b,5>bO&=hQ`O1G4PO9aQ`O7+&fO!)PQlO7+&fOOQO7+%_7+%_O&=mQ?MtO1G6YO>}Q`O7+%_OOQ!0Lf<<Ia<<IaOOQ!0Lf<<Iz<<IzO>}Q`O<<IzOOQO<<Is<<IsO$@_Q!0MxO<<IsO%[QlO<<IsOOQO<<Id<<IdO!BfQ!0LrO<<IdO&=wQ!0LrO<<IsO&>SQ!0MxO<= ]O&>dQ`O<= [OOQO7+*^7+*^O9aQ`O7+*^OOQ[ANAkANAkO&>lQ!fOANAkO!&oQMhOANAkO#'oQ`OANAkO4UQ!fOANAkO&>sQ`OANAkO%[QlOANAkO&>{Q!0MzO7+'zO&A^Q!0MzO,5?`O&CiQ!0MzO,5?bO&EtQ!0MzO7+'|O&HVQ!fO1G4kO&HaQ?MtO7+&aO&JeQ?MvO,5=XO&LlQ?MvO,5=ZO&L|Q?MvO,5=XO&M^Q?MvO,5=ZO&MnQ?MvO,59uO' tQ?MvO,5<kO'#wQ?MvO,5<mO'&]Q?MvO,5<{O'(RQ?MtO7+'kO'(`Q?MtO7+'mO'(mQ`O,5<]OOQO7+'`7+'`OOQ!0Lh7+*c7+*cO'(rQMjO<<K}OOQO1G4v1G4vO'(yQ`O1G4vO')UQ`O1G4vO')dQ`O7++{O')dQ`O7++{O!&oQMhO1G4xO')lQ!dO1G4xO')vQ`O7++|O'*OQ`O7+(VO'*ZQ!dO7+(VOOQ!0Lb7+(T7+(TOOQ!0Lb7+(U7+(UO!BqQpO7+(TOClQ`O7+(TO'*eQ`O7+(VO!&oQMhO7+(VO$){Q`O7+(UO'*jQ`O7+(VOClQ`O7+(UO'*rQMjO<<NvOOQ!0Lh7+$}7+$}O!+xQMhO<<NvO'*|Q!dO,5?eOOQO-E<w-E<wO'+WQ!0MvO7+(YO!&oQMhO7+(YOOQ[AN=gAN=gO9gQ`O1G5VOOQO1G5V1G5VO'+hQ`O1G5VO'+mQ`O7+,UO'+mQ`O7+,UO9qQ!0LrOANBWO@oQ`OANBWOOQ[ANBWANBWOOQ[ANAsANAsOOQ[ANAtANAtO'+uQ`O,5?gOOQO-E<y-E<yO',QQ?MtO1G6gOOQO,5?i,5?iOOQO-E<{-E<{OOQ[1G3a1G3aO',[Q`O,5=POOQ[<<Lf<<LfO!&oQMhO<<LfO&;yQ`O<<LfO',aQ`O<<LfO%[QlO<<LfOOQ[<<Lh<<LhO9qQ!0LrO<<LhO$$VQ`O<<LhO9[Q`O<<LhO',iQpO1G5UO',tQ`O7+,SOOQ[AN=]AN=]O9qQ!0LrOAN=]OOQ[<= q<= qOOQ[<= r<= rO',|Q`O<= qO'-RQ`O<= rOOQ[<<Lp<<LpO'-WQ`O<<LpO'-]QlO<<LpOOQ[1G3z1G3zO>}Q`O7+)kO'-dQ`O<<JQO'-oQ?MtO<<JQOOQO<<Hy<<HyOOQ!0LfAN?fAN?fOOQOAN?_AN?_O$@_Q!0MxOAN?_OOQOAN?OAN?OO%[QlOAN?_OOQO<<Mx<<MxOOQ[G27VG27VO!&oQMhOG27VO#'oQ`OG27VO'-yQ!fOG27VO4UQ!fOG27VO'.QQ`OG27VO'.YQ?MtO<<JfO'.gQ?MvO1G2`O'0]Q?MvO,5?`O'2`Q?MvO,5?bO'4cQ?MvO1G2sO'6fQ?MvO1G2uO'8iQ?MtO<<KXO'8vQ?MtO<<I{OOQO1G1w1G1wO!+xQMhOANAiOOQO7+*b7+*bO'9TQ`O7+*bO'9`Q`O<= gO'9hQ!dO7+*dOOQ!0Lb<<Kq<<KqO$){Q`O<<KqOClQ`O<<KqO'9rQ`O<<KqO!&oQMhO<<KqOOQ!0Lb<<Ko<<KoO!BqQpO<<KoO'9}Q!dO<<KqOOQ!0Lb<<Kp<<KpO':XQ`O<<KqO!&oQMhO<<KqO$){Q`O<<KpO':^QMjOANDbO':hQ!0MvO<<KtOOQO7+*q7+*qO9gQ`O7+*qO':xQ`O<= pOOQ[G27rG27rO9qQ!0LrOG27rO!)PQlO1G5RO';QQ`O7+,RO';YQ`O1G2kO&;yQ`OANBQOOQ[ANBQANBQO!&oQMhOANBQO';_Q`OANBQOOQ[ANBSANBSO9qQ!0LrOANBSO$$VQ`OANBSOOQO'#H_'#H_OOQO7+*p7+*pOOQ[G22wG22wOOQ[ANE]ANE]OOQ[ANE^ANE^OOQ[ANB[ANB[O';gQ`OANB[OOQ[<<MV<<MVO!)PQlOAN?lOOQOG24yG24yO$@_Q!0MxOG24yO#'oQ`OLD,qOOQ[LD,qLD,qO!&oQMhOLD,qO';lQ!fOLD,qO';sQ?MvO7+'zO'=iQ?MvO,5?`O'?lQ?MvO,5?bO'AoQ?MvO7+'|O'CeQMjOG27TOOQO<<M|<<M|OOQ!0LbANA]ANA]O$){Q`OANA]OClQ`OANA]O'CuQ!dOANA]OOQ!0LbANAZANAZO'C|Q`OANA]O!&oQMhOANA]O'DXQ!dOANA]OOQ!0LbANA[ANA[OOQO<<N]<<N]OOQ[LD-^LD-^O'DcQ?MtO7+*mOOQO'#Gf'#GfOOQ[G27lG27lO&;yQ`OG27lO!&oQMhOG27lOOQ[G27nG27nO9qQ!0LrOG27nOOQ[G27vG27vO'DmQ?MtOG25WOOQOLD*eLD*eOOQ[!$(!]!$(!]O#'oQ`O!$(!]O!&oQMhO!$(!]O'DwQ!0MzOG27TOOQ!0LbG26wG26wO$){Q`OG26wO'GYQ`OG26wOClQ`OG26wO'GeQ!dOG26wO!&oQMhOG26wOOQ[LD-WLD-WO&;yQ`OLD-WOOQ[LD-YLD-YOOQ[!)9Ew!)9EwO#'oQ`O!)9EwOOQ!0LbLD,cLD,cO$){Q`OLD,cOClQ`OLD,cO'GlQ`OLD,cO'GwQ!dOLD,cOOQ[!$(!r!$(!rOOQ[!.K;c!.K;cO'HOQ?MvOG27TOOQ!0Lb!$( }!$( }O$){Q`O!$( }OClQ`O!$( }O'ItQ`O!$( }OOQ!0Lb!)9Ei!)9EiO$){Q`O!)9EiOClQ`O!)9EiOOQ!0Lb!.K;T!.K;TO$){Q`O!.K;TOOQ!0Lb!4/0o!4/0oO!)PQlO'#DzO1PQ`O'#EXO'JPQ!fO'#JqO'JWQ!L^O'#DvO'J_QlO'#EOO'JfQ!fO'#CiO'L|Q!fO'#CiO!)PQlO'#EQO'M^QlO,5;ZO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO,5;eO!)PQlO'#IoO( aQ`O,5<iO!)PQlO,5;eO( iQMhO,5;eO(#SQMhO,5;eO!)PQlO,5;wO!&oQMhO'#GmO( iQMhO'#GmO!&oQMhO'#GoO( iQMhO'#GoO1SQ`O'#DZO1SQ`O'#DZO!&oQMhO'#GPO( iQMhO'#GPO!&oQMhO'#GRO( iQMhO'#GRO!&oQMhO'#GaO( iQMhO'#GaO!)PQlO,5:jO(#ZQpO'#D_O(#eQpO'#JuO!)PQlO,5@nO'M^QlO1G0uO(#oQ?MtO'#CiO!)PQlO1G2PO!&oQMhO'#ItO( iQMhO'#ItO!&oQMhO'#IvO( iQMhO'#IvO(#yQ!dO'#CrO!&oQMhO,5<tO( iQMhO,5<tO'M^QlO1G2RO!)PQlO7+&zO!&oQMhO1G2`O( iQMhO1G2`O!&oQMhO'#ItO( iQMhO'#ItO!&oQMhO'#IvO( iQMhO'#IvO!&oQMhO1G2bO( iQMhO1G2bO'M^QlO7+'mO'M^QlO7+&aO!&oQMhOANAiO( iQMhOANAiO($^Q`O'#EoO($cQ`O'#EoO($kQ`O'#F]O($pQ`O'#EyO($uQ`O'#KSO(%QQ`O'#KQO(%]Q`O,5;ZO(%bQMjO,5<eO(%iQ`O'#GYO(%nQ`O'#GYO(%sQ`O,5<gO(%{Q`O,5;ZO(&TQ?MtO1G1`O(&[Q`O,5<tO(&aQ`O,5<tO(&fQ`O,5<vO(&kQ`O,5<vO(&pQ`O1G2RO(&uQ`O1G0uO(&zQMjO<<K}O('RQMjO<<K}O7eQMhO'#F|O9[Q`O'#F{OAjQ`O'#EnO!)PQlO,5;tO!3dQ`O'#GYO!3dQ`O'#GYO!3dQ`O'#G[O!3dQ`O'#G[O!+xQMhO7+(cO!+xQMhO7+(cO%-mQ!dO1G2wO%-mQ!dO1G2wO!&oQMhO,5=]O!&oQMhO,5=]",
+    stateData: "((X~O'{OS'|OSTOS'}RQ~OPYOQYOSfOY!VOaqOdzOeyOl!POpkOrYOskOtkOzkO|YO!OYO!SWO!WkO!XkO!_XO!iuO!lZO!oYO!pYO!qYO!svO!uwO!xxO!|]O$W|O$niO%h}O%j!QO%l!OO%m!OO%n!OO%q!RO%s!SO%v!TO%w!TO%y!UO&V!WO&]!XO&_!YO&a!ZO&c![O&f!]O&l!^O&r!_O&t!`O&v!aO&x!bO&z!cO(SSO(UTO(XUO(`VO(n[O~OWtO~P`OPYOQYOSfOd!jOe!iOpkOrYOskOtkOzkO|YO!OYO!SWO!WkO!XkO!_!eO!iuO!lZO!oYO!pYO!qYO!svO!u!gO!x!hO$W!kO$niO(S!dO(UTO(XUO(`VO(n[O~Oa!wOs!nO!S!oO!b!yO!c!vO!d!vO!|;wO#T!pO#U!pO#V!xO#W!pO#X!pO#[!zO#]!zO(T!lO(UTO(XUO(d!mO(n!sO~O'}!{O~OP]XR]X[]Xa]Xj]Xr]X!Q]X!S]X!]]X!l]X!p]X#R]X#S]X#`]X#kfX#n]X#o]X#p]X#q]X#r]X#s]X#t]X#u]X#v]X#x]X#z]X#{]X$Q]X'y]X(`]X(q]X(x]X(y]X~O!g%RX~P(qO_!}O(U#PO(V!}O(W#PO~O_#QO(W#PO(X#PO(Y#QO~Ox#SO!U#TO(a#TO(b#VO~OPYOQYOSfOd!jOe!iOpkOrYOskOtkOzkO|YO!OYO!SWO!WkO!XkO!_!eO!iuO!lZO!oYO!pYO!qYO!svO!u!gO!x!hO$W!kO$niO(S;{O(UTO(XUO(`VO(n[O~O![#ZO!]#WO!Y(gP!Y(uP~P+}O!^#cO~P`OPYOQYOSfOd!jOe!iOrYOskOtkOzkO|YO!OYO!SWO!WkO!XkO!_!eO!iuO!lZO!oYO!pYO!qYO!svO!u!gO!x!hO$W!kO$niO(UTO(XUO(`VO(n[O~Op#mO![#iO!|]O#i#lO#j#iO(S;|O!k(rP~P.iO!l#oO(S#nO~O!x#sO!|]O%h#tO~O#k#uO~O!g#vO#k#uO~OP$[OR#zO[$cOj$ROr$aO!Q#yO!S#{O!]$_O!l#xO!p$[O#R$RO#n$OO#o$PO#p$PO#q$PO#r$QO#s$RO#t$RO#u$bO#v$SO#x$UO#z$WO#{$XO(`VO(q$YO(x#|O(y#}O~Oa(eX'y(eX'v(eX!k(eX!Y(eX!_(eX%i(eX!g(eX~P1qO#S$dO#`$eO$Q$eOP(fXR(fX[(fXj(fXr(fX!Q(fX!S(fX!](fX!l(fX!p(fX#R(fX#n(fX#o(fX#p(fX#q(fX#r(fX#s(fX#t(fX#u(fX#v(fX#x(fX#z(fX#{(fX(`(fX(q(fX(x(fX(y(fX!_(fX%i(fX~Oa(fX'y(fX'v(fX!Y(fX!k(fXv(fX!g(fX~P4UO#`$eO~O$]$hO$_$gO$f$mO~OSfO!_$nO$i$oO$k$qO~Oh%VOj%cOk%cOl%cOp%WOr%XOs$tOt$tOz%YO|%ZO!O%[O!S${O!_$|O!i%aO!l$xO#j%bO$W%_O$t%]O$v%^O$y%`O(S$sO(UTO(XUO(`$uO(x$}O(y%POg(]P~O!l%dO~O!S%gO!_%hO(S%fO~O!g%lO~Oa%mO'y%mO~O!Q%qO~P%[O(T!lO~P%[O%n%uO~P%[Oh%VO!l%dO(S%fO(T!lO~Oe%|O!l%dO(S%fO~Oj$RO~O!Q&RO!_&OO!l&QO%j&UO(S%fO(T!lO(UTO(XUO`)VP~O!x#sO~O%s&WO!S)RX!_)RX(S)RX~O(S&XO~Ol!PO!u&^O%j!QO%l!OO%m!OO%n!OO%q!RO%s!SO%v!TO%w!TO~Od&cOe&bO!x&`O%h&aO%{&_O~P<VOd&fOeyOl!PO!_&eO!u&^O!xxO!|]O%h}O%l!OO%m!OO%n!OO%q!RO%s!SO%v!TO%w!TO%y!UO~Ob&iO#`&lO%j&gO(T!lO~P=[O!l&mO!u&qO~O!l#oO~O!_XO~Oa%mO'w&yO'y%mO~Oa%mO'w&|O'y%mO~Oa%mO'w'OO'y%mO~O'v]X!Y]Xv]X!k]X&Z]X!_]X%i]X!g]X~P(qO!b']O!c'UO!d'UO(T!lO(UTO(XUO~Os'SO!S'RO!['VO(d'QO!^(hP!^(wP~P@cOn'`O!_'^O(S%fO~Oe'eO!l%dO(S%fO~O!Q&RO!l&QO~Os!nO!S!oO!|;wO#T!pO#U!pO#W!pO#X!pO(T!lO(UTO(XUO(d!mO(n!sO~O!b'kO!c'jO!d'jO#V!pO#['lO#]'lO~PA}Oa%mOh%VO!g#vO!l%dO'y%mO(q'nO~O!p'rO#`'pO~PC]Os!nO!S!oO(UTO(XUO(d!mO(n!sO~O!_XOs(lX!S(lX!b(lX!c(lX!d(lX!|(lX#T(lX#U(lX#V(lX#W(lX#X(lX#[(lX#](lX(T(lX(U(lX(X(lX(d(lX(n(lX~O!c'jO!d'jO(T!lO~PC{O(O'vO(P'vO(Q'xO~O_!}O(U'zO(V!}O(W'zO~O_#QO(W'zO(X'zO(Y#QO~Ov'|O~P%[Ox#SO!U#TO(a#TO(b(PO~O![(RO!Y'VX!Y']X!]'VX!]']X~P+}O!](TO!Y(gX~OP$[OR#zO[$cOj$ROr$aO!Q#yO!S#{O!](TO!l#xO!p$[O#R$RO#n$OO#o$PO#p$PO#q$PO#r$QO#s$RO#t$RO#u$bO#v$SO#x$UO#z$WO#{$XO(`VO(q$YO(x#|O(y#}O~O!Y(gX~PGvO!Y(YO~O!Y(tX!](tX!g(tX!k(tX(q(tX~O#`(tX#k#dX!^(tX~PIyO#`(ZO!Y(vX!](vX~O!]([O!Y(uX~O!Y(_O~O#`$eO~PIyO!^(`O~P`OR#zO!Q#yO!S#{O!l#xO(`VOP!na[!naj!nar!na!]!na!p!na#R!na#n!na#o!na#p!na#q!na#r!na#s!na#t!na#u!na#v!na#x!na#z!na#{!na(q!na(x!na(y!na~Oa!na'y!na'v!na!Y!na!k!nav!na!_!na%i!na!g!na~PKaO!k(aO~O!g#vO#`(bO(q'nO!](sXa(sX'y(sX~O!k(sX~PM|O!S%gO!_%hO!|]O#i(gO#j(fO(S%fO~O!](hO!k(rX~O!k(jO~O!S%gO!_%hO#j(fO(S%fO~OP(fXR(fX[(fXj(fXr(fX!Q(fX!S(fX!](fX!l(fX!p(fX#R(fX#n(fX#o(fX#p(fX#q(fX#r(fX#s(fX#t(fX#u(fX#v(fX#x(fX#z(fX#{(fX(`(fX(q(fX(x(fX(y(fX~O!g#vO!k(fX~P! jOR(lO!Q(kO!l#xO#S$dO!|!{a!S!{a~O!x!{a%h!{a!_!{a#i!{a#j!{a(S!{a~P!#kO!x(pO~OPYOQYOSfOd!jOe!iOpkOrYOskOtkOzkO|YO!OYO!SWO!WkO!XkO!_XO!iuO!lZO!oYO!pYO!qYO!svO!u!gO!x!hO$W!kO$niO(S!dO(UTO(XUO(`VO(n[O~Oh%VOp%WOr%XOs$tOt$tOz%YO|%ZO!O<eO!S${O!_$|O!i=vO!l$xO#j<kO$W%_O$t<gO$v<iO$y%`O(S(tO(UTO(XUO(`$uO(x$}O(y%PO~O#k(vO~O![(xO!k(jP~P%[O(d(zO(n[O~O!S(|O!l#xO(d(zO(n[O~OP;vOQ;vOSfOd=rOe!iOpkOr;vOskOtkOzkO|;vO!O;vO!SWO!WkO!XkO!_!eO!i;yO!lZO!o;vO!p;vO!q;vO!s;zO!u;}O!x!hO$W!kO$n=pO(S)ZO(UTO(XUO(`VO(n[O~O!]$_Oa$qa'y$qa'v$qa!k$qa!Y$qa!_$qa%i$qa!g$qa~Ol)bO~P!&oOh%VOp%WOr%XOs$tOt$tOz%YO|%ZO!O%[O!S${O!_$|O!i%aO!l$xO#j%bO$W%_O$t%]O$v%^O$y%`O(S(tO(UTO(XUO(`$uO(x$}O(y%PO~Og(oP~P!+xO!Q)gO!g)fO!_$^X$Z$^X$]$^X$_$^X$f$^X~O!g)fO!_(zX$Z(zX$](zX$_(zX$f(zX~O!Q)gO~P!.RO!Q)gO!_(zX$Z(zX$](zX$_(zX$f(zX~O!_)iO$Z)mO$])hO$_)hO$f)nO~O![)qO~P!)PO$]$hO$_$gO$f)uO~On$zX!Q$zX#S$zX'x$zX(x$zX(y$zX~OgmXg$zXnmX!]mX#`mX~P!/wOx)wO(a)xO(b)zO~On*TO!Q)|O'x)}O(x$}O(y%PO~Og){O~P!0{Og*UO~Oh%VOp%WOr%XOs$tOt$tOz%YO|%ZO!O<eO!S*WO!_*XO!i=vO!l$xO#j<kO$W%_O$t<gO$v<iO$y%`O(UTO(XUO(`$uO(x$}O(y%PO~O![*[O(S*VO!k(}P~P!1jO#k*^O~O!l*_O~Oh%VOp%WOr%XOs$tOt$tOz%YO|%ZO!O<eO!S${O!_$|O!i=vO!l$xO#j<kO$W%_O$t<gO$v<iO$y%`O(S*aO(UTO(XUO(`$uO(x$}O(y%PO~O![*dO!Y)OP~P!3iOr*pOs!nO!S*fO!b*nO!c*hO!d*hO!l*_O#[*oO%`*jO(T!lO(UTO(XUO(d!mO~O!^*mO~P!5^O#S$dOn(_X!Q(_X'x(_X(x(_X(y(_X!](_X#`(_X~Og(_X$O(_X~P!6`On*uO#`*tOg(^X!](^X~O!]*vOg(]X~Oj%cOk%cOl%cO(S&XOg(]P~Os*yO~O!l+OO~O(S(tO~Op+TO!S%gO![#iO!_%hO!|]O#i#lO#j#iO(S%fO!k(rP~O!g#vO#k+UO~O!S%gO![+WO!]([O!_%hO(S%fO!Y(uP~Os'YO!S+YO![+XO(UTO(XUO(d(zO~O!^(wP~P!9iO!]+ZOa)SX'y)SX~OP$[OR#zO[$cOj$ROr$aO!Q#yO!S#{O!l#xO!p$[O#R$RO#n$OO#o$PO#p$PO#q$PO#r$QO#s$RO#t$RO#u$bO#v$SO#x$UO#z$WO#{$XO(`VO(q$YO(x#|O(y#}O~Oa!ja!]!ja'y!ja'v!ja!Y!ja!k!jav!ja!_!ja%i!ja!g!ja~P!:aOR#zO!Q#yO!S#{O!l#xO(`VOP!ra[!raj!rar!ra!]!ra!p!ra#R!ra#n!ra#o!ra#p!ra#q!ra#r!ra#s!ra#t!ra#u!ra#v!ra#x!ra#z!ra#{!ra(q!ra(x!ra(y!ra~Oa!ra'y!ra'v!ra!Y!ra!k!rav!ra!_!ra%i!ra!g!ra~P!<wOR#zO!Q#yO!S#{O!l#xO(`VOP!ta[!taj!tar!ta!]!ta!p!ta#R!ta#n!ta#o!ta#p!ta#q!ta#r!ta#s!ta#t!ta#u!ta#v!ta#x!ta#z!ta#{!ta(q!ta(x!ta(y!ta~Oa!ta'y!ta'v!ta!Y!ta!k!tav!ta!_!ta%i!ta!g!ta~P!?_Oh%VOn+dO!_'^O%i+cO~O!g+fOa([X!_([X'y([X!]([X~Oa%mO!_XO'y%mO~Oh%VO!l%dO~Oh%VO!l%dO(S%fO~O!g#vO#k(vO~Ob+qO%j+rO(S+nO(UTO(XUO!^)WP~O!]+sO`)VX~O[+wO~O`+xO~O!_&OO(S%fO(T!lO`)VP~Oh%VO#`+}O~Oh%VOn,QO!_$|O~O!_,SO~O!Q,UO!_XO~O%n%uO~O!x,ZO~Oe,`O~Ob,aO(S#nO(UTO(XUO!^)UP~Oe%|O~O%j!QO(S&XO~P=[O[,fO`,eO~OPYOQYOSfOdzOeyOpkOrYOskOtkOzkO|YO!OYO!SWO!WkO!XkO!iuO!lZO!oYO!pYO!qYO!svO!xxO!|]O$niO%h}O(UTO(XUO(`VO(n[O~O!_!eO!u!gO$W!kO(S!dO~P!F_O`,eOa%mO'y%mO~OPYOQYOSfOd!jOe!iOpkOrYOskOtkOzkO|YO!OYO!SWO!WkO!XkO!_!eO!iuO!lZO!oYO!pYO!qYO!svO!x!hO$W!kO$niO(S!dO(UTO(XUO(`VO(n[O~Oa,kOl!OO!uwO%l!OO%m!OO%n!OO~P!HwO!l&mO~O&],qO~O!_,sO~O&n,uO&p,vOP&kaQ&kaS&kaY&kaa&kad&kae&kal&kap&kar&kas&kat&kaz&ka|&ka!O&ka!S&ka!W&ka!X&ka!_&ka!i&ka!l&ka!o&ka!p&ka!q&ka!s&ka!u&ka!x&ka!|&ka$W&ka$n&ka%h&ka%j&ka%l&ka%m&ka%n&ka%q&ka%s&ka%v&ka%w&ka%y&ka&V&ka&]&ka&_&ka&a&ka&c&ka&f&ka&l&ka&r&ka&t&ka&v&ka&x&ka&z&ka'v&ka(S&ka(U&ka(X&ka(`&ka(n&ka!^&ka&d&kab&ka&i&ka~O(S,{O~Oh!eX!]!RX!^!RX!g!RX!g!eX!l!eX#`!RX~O!]!eX!^!eX~P# }O!g-QO#`-POh(iX!]#hX!^#hX!g(iX!l(iX~O!](iX!^(iX~P#!pOh%VO!g-SO!l%dO!]!aX!^!aX~Os!nO!S!oO(UTO(XUO(d!mO~OP;vOQ;vOSfOd=rOe!iOpkOr;vOskOtkOzkO|;vO!O;vO!SWO!WkO!XkO!_!eO!i;yO!lZO!o;vO!p;vO!q;vO!s;zO!u;}O!x!hO$W!kO$n=pO(UTO(XUO(`VO(n[O~O(S<rO~P#$VO!]-WO!^(hX~O!^-YO~O!g-QO#`-PO!]#hX!^#hX~O!]-ZO!^(wX~O!^-]O~O!c-^O!d-^O(T!lO~P##tO!^-aO~P'_On-dO!_'^O~O!Y-iO~Os!{a!b!{a!c!{a!d!{a#T!{a#U!{a#V!{a#W!{a#X!{a#[!{a#]!{a(T!{a(U!{a(X!{a(d!{a(n!{a~P!#kO!p-nO#`-lO~PC]O!c-pO!d-pO(T!lO~PC{Oa%mO#`-lO'y%mO~Oa%mO!g#vO#`-lO'y%mO~Oa%mO!g#vO!p-nO#`-lO'y%mO(q'nO~O(O'vO(P'vO(Q-uO~Ov-vO~O!Y'Va!]'Va~P!:aO![-zO!Y'VX!]'VX~P%[O!](TO!Y(ga~O!Y(ga~PGvO!]([O!Y(ua~O!S%gO![.OO!_%hO(S%fO!Y']X!]']X~O#`.QO!](sa!k(saa(sa'y(sa~O!g#vO~P#,]O!](hO!k(ra~O!S%gO!_%hO#j.UO(S%fO~Op.ZO!S%gO![.WO!_%hO!|]O#i.YO#j.WO(S%fO!]'`X!k'`X~OR._O!l#xO~Oh%VOn.bO!_'^O%i.aO~Oa#ci!]#ci'y#ci'v#ci!Y#ci!k#civ#ci!_#ci%i#ci!g#ci~P!:aOn=|O!Q)|O'x)}O(x$}O(y%PO~O#k#_aa#_a#`#_a'y#_a!]#_a!k#_a!_#_a!Y#_a~P#/XO#k(_XP(_XR(_X[(_Xa(_Xj(_Xr(_X!S(_X!l(_X!p(_X#R(_X#n(_X#o(_X#p(_X#q(_X#r(_X#s(_X#t(_X#u(_X#v(_X#x(_X#z(_X#{(_X'y(_X(`(_X(q(_X!k(_X!Y(_X'v(_Xv(_X!_(_X%i(_X!g(_X~P!6`O!].oO!k(jX~P!:aO!k.rO~O!Y.tO~OP$[OR#zO!Q#yO!S#{O!l#xO!p$[O(`VO[#mia#mij#mir#mi!]#mi#R#mi#o#mi#p#mi#q#mi#r#mi#s#mi#t#mi#u#mi#v#mi#x#mi#z#mi#{#mi'y#mi(q#mi(x#mi(y#mi'v#mi!Y#mi!k#miv#mi!_#mi%i#mi!g#mi~O#n#mi~P#2wO#n$OO~P#2wOP$[OR#zOr$aO!Q#yO!S#{O!l#xO!p$[O#n$OO#o$PO#p$PO#q$PO(`VO[#mia#mij#mi!]#mi#R#mi#s#mi#t#mi#u#mi#v#mi#x#mi#z#mi#{#mi'y#mi(q#mi(x#mi(y#mi'v#mi!Y#mi!k#miv#mi!_#mi%i#mi!g#mi~O#r#mi~P#5fO#r$QO~P#5fOP$[OR#zO[$cOj$ROr$aO!Q#yO!S#{O!l#xO!p$[O#R$RO#n$OO#o$PO#p$PO#q$PO#r$QO#s$RO#t$RO#u$bO(`VOa#mi!]#mi#x#mi#z#mi#{#mi'y#mi(q#mi(x#mi(y#mi'v#mi!Y#mi!k#miv#mi!_#mi%i#mi!g#mi~O#v#mi~P#8TOP$[OR#zO[$cOj$ROr$aO!Q#yO!S#{O!l#xO!p$[O#R$RO#n$OO#o$PO#p$PO#q$PO#r$QO#s$RO#t$RO#u$bO#v$SO(`VO(y#}Oa#mi!]#mi#z#mi#{#mi'y#mi(q#mi(x#mi'v#mi!Y#mi!k#miv#mi!_#mi%i#mi!g#mi~O#x$UO~P#:kO#x#mi~P#:kO#v$SO~P#8TOP$[OR#zO[$cOj$ROr$aO!Q#yO!S#{O!l#xO!p$[O#R$RO#n$OO#o$PO#p$PO#q$PO#r$QO#s$RO#t$RO#u$bO#v$SO#x$UO(`VO(x#|O(y#}Oa#mi!]#mi#{#mi'y#mi(q#mi'v#mi!Y#mi!k#miv#mi!_#mi%i#mi!g#mi~O#z#mi~P#=aO#z$WO~P#=aOP]XR]X[]Xj]Xr]X!Q]X!S]X!l]X!p]X#R]X#S]X#`]X#kfX#n]X#o]X#p]X#q]X#r]X#s]X#t]X#u]X#v]X#x]X#z]X#{]X$Q]X(`]X(q]X(x]X(y]X!]]X!^]X~O$O]X~P#@OOP$[OR#zO[<_Oj<SOr<]O!Q#yO!S#{O!l#xO!p$[O#R<SO#n<PO#o<QO#p<QO#q<QO#r<RO#s<SO#t<SO#u<^O#v<TO#x<VO#z<XO#{<YO(`VO(q$YO(x#|O(y#}O~O$O.vO~P#B]O#S$dO#`<`O$Q<`O$O(fX!^(fX~P! jOa'ca!]'ca'y'ca'v'ca!k'ca!Y'cav'ca!_'ca%i'ca!g'ca~P!:aO[#mia#mij#mir#mi!]#mi#R#mi#r#mi#s#mi#t#mi#u#mi#v#mi#x#mi#z#mi#{#mi'y#mi(q#mi'v#mi!Y#mi!k#miv#mi!_#mi%i#mi!g#mi~OP$[OR#zO!Q#yO!S#{O!l#xO!p$[O#n$OO#o$PO#p$PO#q$PO(`VO(x#mi(y#mi~P#E_On=|O!Q)|O'x)}O(x$}O(y%POP#miR#mi!S#mi!l#mi!p#mi#n#mi#o#mi#p#mi#q#mi(`#mi~P#E_O!].zOg(oX~P!0{Og.|O~Oa$Pi!]$Pi'y$Pi'v$Pi!Y$Pi!k$Piv$Pi!_$Pi%i$Pi!g$Pi~P!:aO$].}O$_.}O~O$]/OO$_/OO~O!g)fO#`/PO!_$cX$Z$cX$]$cX$_$cX$f$cX~O![/QO~O!_)iO$Z/SO$])hO$_)hO$f/TO~O!]<ZO!^(eX~P#B]O!^/UO~O!g)fO$f(zX~O$f/WO~Ov/XO~P!&oOx)wO(a)xO(b/[O~O!S/_O~O(x$}On%aa!Q%aa'x%aa(y%aa!]%aa#`%aa~Og%aa$O%aa~P#LaO(y%POn%ca!Q%ca'x%ca(x%ca!]%ca#`%ca~Og%ca$O%ca~P#MSO!]fX!gfX!kfX!k$zX(qfX~P!/wO![/hO!]([O(S/gO!Y(uP!Y)OP~P!1jOr*pO!b*nO!c*hO!d*hO!l*_O#[*oO%`*jO(T!lO(UTO(XUO~Os<oO!S/iO![+XO!^*mO(d<nO!^(wP~P#NmO!k/jO~P#/XO!]/kO!g#vO(q'nO!k(}X~O!k/pO~O!S%gO![*[O!_%hO(S%fO!k(}P~O#k/rO~O!Y$zX!]$zX!g%RX~P!/wO!]/sO!Y)OX~P#/XO!g/uO~O!Y/wO~OpkO(S/xO~P.iOh%VOr/}O!g#vO!l%dO(q'nO~O!g+fO~Oa%mO!]0RO'y%mO~O!^0TO~P!5^O!c0UO!d0UO(T!lO~P##tOs!nO!S0VO(UTO(XUO(d!mO~O#[0XO~Og%aa!]%aa#`%aa$O%aa~P!0{Og%ca!]%ca#`%ca$O%ca~P!0{Oj%cOk%cOl%cO(S&XOg'lX!]'lX~O!]*vOg(]a~Og0bO~OR0cO!Q0cO!S0dO#S$dOn}a'x}a(x}a(y}a!]}a#`}a~Og}a$O}a~P$&vO!Q)|O'x)}On$sa(x$sa(y$sa!]$sa#`$sa~Og$sa$O$sa~P$'rO!Q)|O'x)}On$ua(x$ua(y$ua!]$ua#`$ua~Og$ua$O$ua~P$(eO#k0gO~Og%Ta!]%Ta#`%Ta$O%Ta~P!0{On0iO#`0hOg(^a!](^a~O!g#vO~O#k0lO~O!]+ZOa)Sa'y)Sa~OR#zO!Q#yO!S#{O!l#xO(`VOP!ri[!rij!rir!ri!]!ri!p!ri#R!ri#n!ri#o!ri#p!ri#q!ri#r!ri#s!ri#t!ri#u!ri#v!ri#x!ri#z!ri#{!ri(q!ri(x!ri(y!ri~Oa!ri'y!ri'v!ri!Y!ri!k!riv!ri!_!ri%i!ri!g!ri~P$*bOh%VOr%XOs$tOt$tOz%YO|%ZO!O<eO!S${O!_$|O!i=vO!l$xO#j<kO$W%_O$t<gO$v<iO$y%`O(UTO(XUO(`$uO(x$}O(y%PO~Op0uO%]0vO(S0tO~P$,xO!g+fOa([a!_([a'y([a!]([a~O#k0|O~O[]X!]fX!^fX~O!]0}O!^)WX~O!^1PO~O[1QO~Ob1SO(S+nO(UTO(XUO~O!_&OO(S%fO`'tX!]'tX~O!]+sO`)Va~O!k1VO~P!:aO[1YO~O`1ZO~O#`1^O~On1aO!_$|O~O(d(zO!^)TP~Oh%VOn1jO!_1gO%i1iO~O[1tO!]1rO!^)UX~O!^1uO~O`1wOa%mO'y%mO~O(S#nO(UTO(XUO~O#S$dO#`$eO$Q$eOP(fXR(fX[(fXr(fX!Q(fX!S(fX!](fX!l(fX!p(fX#R(fX#n(fX#o(fX#p(fX#q(fX#r(fX#s(fX#t(fX#u(fX#v(fX#x(fX#z(fX#{(fX(`(fX(q(fX(x(fX(y(fX~Oj1zO&Z1{Oa(fX~P$2cOj1zO#`$eO&Z1{O~Oa1}O~P%[Oa2PO~O&d2SOP&biQ&biS&biY&bia&bid&bie&bil&bip&bir&bis&bit&biz&bi|&bi!O&bi!S&bi!W&bi!X&bi!_&bi!i&bi!l&bi!o&bi!p&bi!q&bi!s&bi!u&bi!x&bi!|&bi$W&bi$n&bi%h&bi%j&bi%l&bi%m&bi%n&bi%q&bi%s&bi%v&bi%w&bi%y&bi&V&bi&]&bi&_&bi&a&bi&c&bi&f&bi&l&bi&r&bi&t&bi&v&bi&x&bi&z&bi'v&bi(S&bi(U&bi(X&bi(`&bi(n&bi!^&bib&bi&i&bi~Ob2YO!^2WO&i2XO~P`O!_XO!l2[O~O&p,vOP&kiQ&kiS&kiY&kia&kid&kie&kil&kip&kir&kis&kit&kiz&ki|&ki!O&ki!S&ki!W&ki!X&ki!_&ki!i&ki!l&ki!o&ki!p&ki!q&ki!s&ki!u&ki!x&ki!|&ki$W&ki$n&ki%h&ki%j&ki%l&ki%m&ki%n&ki%q&ki%s&ki%v&ki%w&ki%y&ki&V&ki&]&ki&_&ki&a&ki&c&ki&f&ki&l&ki&r&ki&t&ki&v&ki&x&ki&z&ki'v&ki(S&ki(U&ki(X&ki(`&ki(n&ki!^&ki&d&kib&ki&i&ki~O!Y2bO~O!]!aa!^!aa~P#B]Os!nO!S!oO![2hO(d!mO!]'WX!^'WX~P@cO!]-WO!^(ha~O!]'^X!^'^X~P!9iO!]-ZO!^(wa~O!^2oO~P'_Oa%mO#`2xO'y%mO~Oa%mO!g#vO#`2xO'y%mO~Oa%mO!g#vO!p2|O#`2xO'y%mO(q'nO~Oa%mO'y%mO~P!:aO!]$_Ov$qa~O!Y'Vi!]'Vi~P!:aO!](TO!Y(gi~O!]([O!Y(ui~O!Y(vi!](vi~P!:aO!](si!k(sia(si'y(si~P!:aO#`3OO!](si!k(sia(si'y(si~O!](hO!k(ri~O!S%gO!_%hO!|]O#i3TO#j3SO(S%fO~O!S%gO!_%hO#j3SO(S%fO~On3[O!_'^O%i3ZO~Oh%VOn3[O!_'^O%i3ZO~O#k%aaP%aaR%aa[%aaa%aaj%aar%aa!S%aa!l%aa!p%aa#R%aa#n%aa#o%aa#p%aa#q%aa#r%aa#s%aa#t%aa#u%aa#v%aa#x%aa#z%aa#{%aa'y%aa(`%aa(q%aa!k%aa!Y%aa'v%aav%aa!_%aa%i%aa!g%aa~P#LaO#k%caP%caR%ca[%caa%caj%car%ca!S%ca!l%ca!p%ca#R%ca#n%ca#o%ca#p%ca#q%ca#r%ca#s%ca#t%ca#u%ca#v%ca#x%ca#z%ca#{%ca'y%ca(`%ca(q%ca!k%ca!Y%ca'v%cav%ca!_%ca%i%ca!g%ca~P#MSO#k%aaP%aaR%aa[%aaa%aaj%aar%aa!S%aa!]%aa!l%aa!p%aa#R%aa#n%aa#o%aa#p%aa#q%aa#r%aa#s%aa#t%aa#u%aa#v%aa#x%aa#z%aa#{%aa'y%aa(`%aa(q%aa!k%aa!Y%aa'v%aa#`%aav%aa!_%aa%i%aa!g%aa~P#/XO#k%caP%caR%ca[%caa%caj%car%ca!S%ca!]%ca!l%ca!p%ca#R%ca#n%ca#o%ca#p%ca#q%ca#r%ca#s%ca#t%ca#u%ca#v%ca#x%ca#z%ca#{%ca'y%ca(`%ca(q%ca!k%ca!Y%ca'v%ca#`%cav%ca!_%ca%i%ca!g%ca~P#/XO#k}aP}a[}aa}aj}ar}a!l}a!p}a#R}a#n}a#o}a#p}a#q}a#r}a#s}a#t}a#u}a#v}a#x}a#z}a#{}a'y}a(`}a(q}a!k}a!Y}a'v}av}a!_}a%i}a!g}a~P$&vO#k$saP$saR$sa[$saa$saj$sar$sa!S$sa!l$sa!p$sa#R$sa#n$sa#o$sa#p$sa#q$sa#r$sa#s$sa#t$sa#u$sa#v$sa#x$sa#z$sa#{$sa'y$sa(`$sa(q$sa!k$sa!Y$sa'v$sav$sa!_$sa%i$sa!g$sa~P$'rO#k$uaP$uaR$ua[$uaa$uaj$uar$ua!S$ua!l$ua!p$ua#R$ua#n$ua#o$ua#p$ua#q$ua#r$ua#s$ua#t$ua#u$ua#v$ua#x$ua#z$ua#{$ua'y$ua(`$ua(q$ua!k$ua!Y$ua'v$uav$ua!_$ua%i$ua!g$ua~P$(eO#k%TaP%TaR%Ta[%Taa%Taj%Tar%Ta!S%Ta!]%Ta!l%Ta!p%Ta#R%Ta#n%Ta#o%Ta#p%Ta#q%Ta#r%Ta#s%Ta#t%Ta#u%Ta#v%Ta#x%Ta#z%Ta#{%Ta'y%Ta(`%Ta(q%Ta!k%Ta!Y%Ta'v%Ta#`%Tav%Ta!_%Ta%i%Ta!g%Ta~P#/XOa#cq!]#cq'y#cq'v#cq!Y#cq!k#cqv#cq!_#cq%i#cq!g#cq~P!:aO![3dO!]'XX!k'XX~P%[O!].oO!k(ja~O!].oO!k(ja~P!:aO!Y3gO~O$O!na!^!na~PKaO$O!ja!]!ja!^!ja~P#B]O$O!ra!^!ra~P!<wO$O!ta!^!ta~P!?_Og'[X!]'[X~P!+xO!].zOg(oa~OSfO!_3{O$d3|O~O!^4QO~Ov4RO~P#/XOa$mq!]$mq'y$mq'v$mq!Y$mq!k$mqv$mq!_$mq%i$mq!g$mq~P!:aO!Y4TO~P!&oO!S4UO~O!Q)|O'x)}O(y%POn'ha(x'ha!]'ha#`'ha~Og'ha$O'ha~P%,XO!Q)|O'x)}On'ja(x'ja(y'ja!]'ja#`'ja~Og'ja$O'ja~P%,zO(q$YO~P#/XO!YfX!Y$zX!]fX!]$zX!g%RX#`fX~P!/wO(S<xO~P!1jO!S%gO![4XO!_%hO(S%fO!]'dX!k'dX~O!]/kO!k(}a~O!]/kO!g#vO!k(}a~O!]/kO!g#vO(q'nO!k(}a~Og$|i!]$|i#`$|i$O$|i~P!0{O![4aO!Y'fX!]'fX~P!3iO!]/sO!Y)Oa~O!]/sO!Y)Oa~P#/XOP]XR]X[]Xj]Xr]X!Q]X!S]X!Y]X!]]X!l]X!p]X#R]X#S]X#`]X#kfX#n]X#o]X#p]X#q]X#r]X#s]X#t]X#u]X#v]X#x]X#z]X#{]X$Q]X(`]X(q]X(x]X(y]X~Oj%YX!g%YX~P%0kOj4fO!g#vO~Oh%VO!g#vO!l%dO~Oh%VOr4kO!l%dO(q'nO~Or4pO!g#vO(q'nO~Os!nO!S4qO(UTO(XUO(d!mO~O(x$}On%ai!Q%ai'x%ai(y%ai!]%ai#`%ai~Og%ai$O%ai~P%4[O(y%POn%ci!Q%ci'x%ci(x%ci!]%ci#`%ci~Og%ci$O%ci~P%4}Og(^i!](^i~P!0{O#`4wOg(^i!](^i~P!0{O!k4zO~Oa$oq!]$oq'y$oq'v$oq!Y$oq!k$oqv$oq!_$oq%i$oq!g$oq~P!:aO!Y5QO~O!]5RO!_)PX~P#/XOa$zX!_$zX%^]X'y$zX!]$zX~P!/wO%^5UOaoXnoX!QoX!_oX'xoX'yoX(xoX(yoX!]oX~Op5VO(S#nO~O%^5UO~Ob5]O%j5^O(S+nO(UTO(XUO!]'sX!^'sX~O!]0}O!^)Wa~O[5bO~O`5cO~Oa%mO'y%mO~P#/XO!]5kO#`5mO!^)TX~O!^5nO~Or5tOs!nO!S*fO!b!yO!c!vO!d!vO!|;wO#T!pO#U!pO#V!pO#W!pO#X!pO#[5sO#]!zO(T!lO(UTO(XUO(d!mO(n!sO~O!^5rO~P%:YOn5yO!_1gO%i5xO~Oh%VOn5yO!_1gO%i5xO~Ob6QO(S#nO(UTO(XUO!]'rX!^'rX~O!]1rO!^)Ua~O(UTO(XUO(d6SO~O`6WO~Oj6ZO&Z6[O~PM|O!k6]O~P%[Oa6_O~Oa6_O~P%[Ob2YO!^6dO&i2XO~P`O!g6fO~O!g6hOh(ii!](ii!^(ii!g(ii!l(iir(ii(q(ii~O!]#hi!^#hi~P#B]O#`6iO!]#hi!^#hi~O!]!ai!^!ai~P#B]Oa%mO#`6rO'y%mO~Oa%mO!g#vO#`6rO'y%mO~O!](sq!k(sqa(sq'y(sq~P!:aO!](hO!k(rq~O!S%gO!_%hO#j6yO(S%fO~O!_'^O%i6|O~On7QO!_'^O%i6|O~O#k'haP'haR'ha['haa'haj'har'ha!S'ha!l'ha!p'ha#R'ha#n'ha#o'ha#p'ha#q'ha#r'ha#s'ha#t'ha#u'ha#v'ha#x'ha#z'ha#{'ha'y'ha(`'ha(q'ha!k'ha!Y'ha'v'hav'ha!_'ha%i'ha!g'ha~P%,XO#k'jaP'jaR'ja['jaa'jaj'jar'ja!S'ja!l'ja!p'ja#R'ja#n'ja#o'ja#p'ja#q'ja#r'ja#s'ja#t'ja#u'ja#v'ja#x'ja#z'ja#{'ja'y'ja(`'ja(q'ja!k'ja!Y'ja'v'jav'ja!_'ja%i'ja!g'ja~P%,zO#k$|iP$|iR$|i[$|ia$|ij$|ir$|i!S$|i!]$|i!l$|i!p$|i#R$|i#n$|i#o$|i#p$|i#q$|i#r$|i#s$|i#t$|i#u$|i#v$|i#x$|i#z$|i#{$|i'y$|i(`$|i(q$|i!k$|i!Y$|i'v$|i#`$|iv$|i!_$|i%i$|i!g$|i~P#/XO#k%aiP%aiR%ai[%aia%aij%air%ai!S%ai!l%ai!p%ai#R%ai#n%ai#o%ai#p%ai#q%ai#r%ai#s%ai#t%ai#u%ai#v%ai#x%ai#z%ai#{%ai'y%ai(`%ai(q%ai!k%ai!Y%ai'v%aiv%ai!_%ai%i%ai!g%ai~P%4[O#k%ciP%ciR%ci[%cia%cij%cir%ci!S%ci!l%ci!p%ci#R%ci#n%ci#o%ci#p%ci#q%ci#r%ci#s%ci#t%ci#u%ci#v%ci#x%ci#z%ci#{%ci'y%ci(`%ci(q%ci!k%ci!Y%ci'v%civ%ci!_%ci%i%ci!g%ci~P%4}O!]'Xa!k'Xa~P!:aO!].oO!k(ji~O$O#ci!]#ci!^#ci~P#B]OP$[OR#zO!Q#yO!S#{O!l#xO!p$[O(`VO[#mij#mir#mi#R#mi#o#mi#p#mi#q#mi#r#mi#s#mi#t#mi#u#mi#v#mi#x#mi#z#mi#{#mi$O#mi(q#mi(x#mi(y#mi!]#mi!^#mi~O#n#mi~P%MXO#n<PO~P%MXOP$[OR#zOr<]O!Q#yO!S#{O!l#xO!p$[O#n<PO#o<QO#p<QO#q<QO(`VO[#mij#mi#R#mi#s#mi#t#mi#u#mi#v#mi#x#mi#z#mi#{#mi$O#mi(q#mi(x#mi(y#mi!]#mi!^#mi~O#r#mi~P& aO#r<RO~P& aOP$[OR#zO[<_Oj<SOr<]O!Q#yO!S#{O!l#xO!p$[O#R<SO#n<PO#o<QO#p<QO#q<QO#r<RO#s<SO#t<SO#u<^O(`VO#x#mi#z#mi#{#mi$O#mi(q#mi(x#mi(y#mi!]#mi!^#mi~O#v#mi~P&#iOP$[OR#zO[<_Oj<SOr<]O!Q#yO!S#{O!l#xO!p$[O#R<SO#n<PO#o<QO#p<QO#q<QO#r<RO#s<SO#t<SO#u<^O#v<TO(`VO(y#}O#z#mi#{#mi$O#mi(q#mi(x#mi!]#mi!^#mi~O#x<VO~P&%jO#x#mi~P&%jO#v<TO~P&#iOP$[OR#zO[<_Oj<SOr<]O!Q#yO!S#{O!l#xO!p$[O#R<SO#n<PO#o<QO#p<QO#q<QO#r<RO#s<SO#t<SO#u<^O#v<TO#x<VO(`VO(x#|O(y#}O#{#mi$O#mi(q#mi!]#mi!^#mi~O#z#mi~P&'yO#z<XO~P&'yOa#|y!]#|y'y#|y'v#|y!Y#|y!k#|yv#|y!_#|y%i#|y!g#|y~P!:aO[#mij#mir#mi#R#mi#r#mi#s#mi#t#mi#u#mi#v#mi#x#mi#z#mi#{#mi$O#mi(q#mi!]#mi!^#mi~OP$[OR#zO!Q#yO!S#{O!l#xO!p$[O#n<PO#o<QO#p<QO#q<QO(`VO(x#mi(y#mi~P&*uOn=}O!Q)|O'x)}O(x$}O(y%POP#miR#mi!S#mi!l#mi!p#mi#n#mi#o#mi#p#mi#q#mi(`#mi~P&*uO#S$dOP(_XR(_X[(_Xj(_Xn(_Xr(_X!Q(_X!S(_X!l(_X!p(_X#R(_X#n(_X#o(_X#p(_X#q(_X#r(_X#s(_X#t(_X#u(_X#v(_X#x(_X#z(_X#{(_X$O(_X'x(_X(`(_X(q(_X(x(_X(y(_X!](_X!^(_X~O$O$Pi!]$Pi!^$Pi~P#B]O$O!ri!^!ri~P$*bOg'[a!]'[a~P!0{O!^7dO~O!]'ca!^'ca~P#B]O!Y7eO~P#/XO!g#vO(q'nO!]'da!k'da~O!]/kO!k(}i~O!]/kO!g#vO!k(}i~Og$|q!]$|q#`$|q$O$|q~P!0{O!Y'fa!]'fa~P#/XO!g7lO~O!]/sO!Y)Oi~P#/XO!]/sO!Y)Oi~O!Y7oO~Oh%VOr7tO!l%dO(q'nO~Oj7vO!g#vO~Or7yO!g#vO(q'nO~O!Q)|O'x)}O(y%POn'ia(x'ia!]'ia#`'ia~Og'ia$O'ia~P&3vO!Q)|O'x)}On'ka(x'ka(y'ka!]'ka#`'ka~Og'ka$O'ka~P&4iO!Y7{O~Og%Oq!]%Oq#`%Oq$O%Oq~P!0{Og(^q!](^q~P!0{O#`7|Og(^q!](^q~P!0{Oa$oy!]$oy'y$oy'v$oy!Y$oy!k$oyv$oy!_$oy%i$oy!g$oy~P!:aO!g6hO~O!]5RO!_)Pa~O!_'^OP$TaR$Ta[$Taj$Tar$Ta!Q$Ta!S$Ta!]$Ta!l$Ta!p$Ta#R$Ta#n$Ta#o$Ta#p$Ta#q$Ta#r$Ta#s$Ta#t$Ta#u$Ta#v$Ta#x$Ta#z$Ta#{$Ta(`$Ta(q$Ta(x$Ta(y$Ta~O%i6|O~P&7ZO%^8QOa%[i!_%[i'y%[i!]%[i~Oa#cy!]#cy'y#cy'v#cy!Y#cy!k#cyv#cy!_#cy%i#cy!g#cy~P!:aO[8SO~Ob8UO(S+nO(UTO(XUO~O!]0}O!^)Wi~O`8YO~O(d(zO!]'oX!^'oX~O!]5kO!^)Ta~O!^8cO~P%:YO(n!sO~P$${O#[8dO~O!_1gO~O!_1gO%i8fO~On8iO!_1gO%i8fO~O[8nO!]'ra!^'ra~O!]1rO!^)Ui~O!k8rO~O!k8sO~O!k8vO~O!k8vO~P%[Oa8xO~O!g8yO~O!k8zO~O!](vi!^(vi~P#B]Oa%mO#`9SO'y%mO~O!](sy!k(sya(sy'y(sy~P!:aO!](hO!k(ry~O%i9VO~P&7ZO!_'^O%i9VO~O#k$|qP$|qR$|q[$|qa$|qj$|qr$|q!S$|q!]$|q!l$|q!p$|q#R$|q#n$|q#o$|q#p$|q#q$|q#r$|q#s$|q#t$|q#u$|q#v$|q#x$|q#z$|q#{$|q'y$|q(`$|q(q$|q!k$|q!Y$|q'v$|q#`$|qv$|q!_$|q%i$|q!g$|q~P#/XO#k'iaP'iaR'ia['iaa'iaj'iar'ia!S'ia!l'ia!p'ia#R'ia#n'ia#o'ia#p'ia#q'ia#r'ia#s'ia#t'ia#u'ia#v'ia#x'ia#z'ia#{'ia'y'ia(`'ia(q'ia!k'ia!Y'ia'v'iav'ia!_'ia%i'ia!g'ia~P&3vO#k'kaP'kaR'ka['kaa'kaj'kar'ka!S'ka!l'ka!p'ka#R'ka#n'ka#o'ka#p'ka#q'ka#r'ka#s'ka#t'ka#u'ka#v'ka#x'ka#z'ka#{'ka'y'ka(`'ka(q'ka!k'ka!Y'ka'v'kav'ka!_'ka%i'ka!g'ka~P&4iO#k%OqP%OqR%Oq[%Oqa%Oqj%Oqr%Oq!S%Oq!]%Oq!l%Oq!p%Oq#R%Oq#n%Oq#o%Oq#p%Oq#q%Oq#r%Oq#s%Oq#t%Oq#u%Oq#v%Oq#x%Oq#z%Oq#{%Oq'y%Oq(`%Oq(q%Oq!k%Oq!Y%Oq'v%Oq#`%Oqv%Oq!_%Oq%i%Oq!g%Oq~P#/XO!]'Xi!k'Xi~P!:aO$O#cq!]#cq!^#cq~P#B]O(x$}OP%aaR%aa[%aaj%aar%aa!S%aa!l%aa!p%aa#R%aa#n%aa#o%aa#p%aa#q%aa#r%aa#s%aa#t%aa#u%aa#v%aa#x%aa#z%aa#{%aa$O%aa(`%aa(q%aa!]%aa!^%aa~On%aa!Q%aa'x%aa(y%aa~P&HnO(y%POP%caR%ca[%caj%car%ca!S%ca!l%ca!p%ca#R%ca#n%ca#o%ca#p%ca#q%ca#r%ca#s%ca#t%ca#u%ca#v%ca#x%ca#z%ca#{%ca$O%ca(`%ca(q%ca!]%ca!^%ca~On%ca!Q%ca'x%ca(x%ca~P&JuOn=}O!Q)|O'x)}O(y%PO~P&HnOn=}O!Q)|O'x)}O(x$}O~P&JuOR0cO!Q0cO!S0dO#S$dOP}a[}aj}an}ar}a!l}a!p}a#R}a#n}a#o}a#p}a#q}a#r}a#s}a#t}a#u}a#v}a#x}a#z}a#{}a$O}a'x}a(`}a(q}a(x}a(y}a!]}a!^}a~O!Q)|O'x)}OP$saR$sa[$saj$san$sar$sa!S$sa!l$sa!p$sa#R$sa#n$sa#o$sa#p$sa#q$sa#r$sa#s$sa#t$sa#u$sa#v$sa#x$sa#z$sa#{$sa$O$sa(`$sa(q$sa(x$sa(y$sa!]$sa!^$sa~O!Q)|O'x)}OP$uaR$ua[$uaj$uan$uar$ua!S$ua!l$ua!p$ua#R$ua#n$ua#o$ua#p$ua#q$ua#r$ua#s$ua#t$ua#u$ua#v$ua#x$ua#z$ua#{$ua$O$ua(`$ua(q$ua(x$ua(y$ua!]$ua!^$ua~On=}O!Q)|O'x)}O(x$}O(y%PO~OP%TaR%Ta[%Taj%Tar%Ta!S%Ta!l%Ta!p%Ta#R%Ta#n%Ta#o%Ta#p%Ta#q%Ta#r%Ta#s%Ta#t%Ta#u%Ta#v%Ta#x%Ta#z%Ta#{%Ta$O%Ta(`%Ta(q%Ta!]%Ta!^%Ta~P'%zO$O$mq!]$mq!^$mq~P#B]O$O$oq!]$oq!^$oq~P#B]O!^9dO~O$O9eO~P!0{O!g#vO!]'di!k'di~O!g#vO(q'nO!]'di!k'di~O!]/kO!k(}q~O!Y'fi!]'fi~P#/XO!]/sO!Y)Oq~Or9lO!g#vO(q'nO~O[9nO!Y9mO~P#/XO!Y9mO~Oj9tO!g#vO~Og(^y!](^y~P!0{O!]'ma!_'ma~P#/XOa%[q!_%[q'y%[q!]%[q~P#/XO[9yO~O!]0}O!^)Wq~O#`9}O!]'oa!^'oa~O!]5kO!^)Ti~P#B]O!S:PO~O!_1gO%i:SO~O(UTO(XUO(d:XO~O!]1rO!^)Uq~O!k:[O~O!k:]O~O!k:^O~O!k:^O~P%[O#`:aO!]#hy!^#hy~O!]#hy!^#hy~P#B]O%i:fO~P&7ZO!_'^O%i:fO~O$O#|y!]#|y!^#|y~P#B]OP$|iR$|i[$|ij$|ir$|i!S$|i!l$|i!p$|i#R$|i#n$|i#o$|i#p$|i#q$|i#r$|i#s$|i#t$|i#u$|i#v$|i#x$|i#z$|i#{$|i$O$|i(`$|i(q$|i!]$|i!^$|i~P'%zO!Q)|O'x)}O(y%POP'haR'ha['haj'han'har'ha!S'ha!l'ha!p'ha#R'ha#n'ha#o'ha#p'ha#q'ha#r'ha#s'ha#t'ha#u'ha#v'ha#x'ha#z'ha#{'ha$O'ha(`'ha(q'ha(x'ha!]'ha!^'ha~O!Q)|O'x)}OP'jaR'ja['jaj'jan'jar'ja!S'ja!l'ja!p'ja#R'ja#n'ja#o'ja#p'ja#q'ja#r'ja#s'ja#t'ja#u'ja#v'ja#x'ja#z'ja#{'ja$O'ja(`'ja(q'ja(x'ja(y'ja!]'ja!^'ja~O(x$}OP%aiR%ai[%aij%ain%air%ai!Q%ai!S%ai!l%ai!p%ai#R%ai#n%ai#o%ai#p%ai#q%ai#r%ai#s%ai#t%ai#u%ai#v%ai#x%ai#z%ai#{%ai$O%ai'x%ai(`%ai(q%ai(y%ai!]%ai!^%ai~O(y%POP%ciR%ci[%cij%cin%cir%ci!Q%ci!S%ci!l%ci!p%ci#R%ci#n%ci#o%ci#p%ci#q%ci#r%ci#s%ci#t%ci#u%ci#v%ci#x%ci#z%ci#{%ci$O%ci'x%ci(`%ci(q%ci(x%ci!]%ci!^%ci~O$O$oy!]$oy!^$oy~P#B]O$O#cy!]#cy!^#cy~P#B]O!g#vO!]'dq!k'dq~O!]/kO!k(}y~O!Y'fq!]'fq~P#/XOr:pO!g#vO(q'nO~O[:tO!Y:sO~P#/XO!Y:sO~Og(^!R!](^!R~P!0{Oa%[y!_%[y'y%[y!]%[y~P#/XO!]0}O!^)Wy~O!]5kO!^)Tq~O(S:zO~O!_1gO%i:}O~O!k;QO~O%i;VO~P&7ZOP$|qR$|q[$|qj$|qr$|q!S$|q!l$|q!p$|q#R$|q#n$|q#o$|q#p$|q#q$|q#r$|q#s$|q#t$|q#u$|q#v$|q#x$|q#z$|q#{$|q$O$|q(`$|q(q$|q!]$|q!^$|q~P'%zO!Q)|O'x)}O(y%POP'iaR'ia['iaj'ian'iar'ia!S'ia!l'ia!p'ia#R'ia#n'ia#o'ia#p'ia#q'ia#r'ia#s'ia#t'ia#u'ia#v'ia#x'ia#z'ia#{'ia$O'ia(`'ia(q'ia(x'ia!]'ia!^'ia~O!Q)|O'x)}OP'kaR'ka['kaj'kan'kar'ka!S'ka!l'ka!p'ka#R'ka#n'ka#o'ka#p'ka#q'ka#r'ka#s'ka#t'ka#u'ka#v'ka#x'ka#z'ka#{'ka$O'ka(`'ka(q'ka(x'ka(y'ka!]'ka!^'ka~OP%OqR%Oq[%Oqj%Oqr%Oq!S%Oq!l%Oq!p%Oq#R%Oq#n%Oq#o%Oq#p%Oq#q%Oq#r%Oq#s%Oq#t%Oq#u%Oq#v%Oq#x%Oq#z%Oq#{%Oq$O%Oq(`%Oq(q%Oq!]%Oq!^%Oq~P'%zOg%e!Z!]%e!Z#`%e!Z$O%e!Z~P!0{O!Y;ZO~P#/XOr;[O!g#vO(q'nO~O[;^O!Y;ZO~P#/XO!]'oq!^'oq~P#B]O!]#h!Z!^#h!Z~P#B]O#k%e!ZP%e!ZR%e!Z[%e!Za%e!Zj%e!Zr%e!Z!S%e!Z!]%e!Z!l%e!Z!p%e!Z#R%e!Z#n%e!Z#o%e!Z#p%e!Z#q%e!Z#r%e!Z#s%e!Z#t%e!Z#u%e!Z#v%e!Z#x%e!Z#z%e!Z#{%e!Z'y%e!Z(`%e!Z(q%e!Z!k%e!Z!Y%e!Z'v%e!Z#`%e!Zv%e!Z!_%e!Z%i%e!Z!g%e!Z~P#/XOr;fO!g#vO(q'nO~O!Y;gO~P#/XOr;nO!g#vO(q'nO~O!Y;oO~P#/XOP%e!ZR%e!Z[%e!Zj%e!Zr%e!Z!S%e!Z!l%e!Z!p%e!Z#R%e!Z#n%e!Z#o%e!Z#p%e!Z#q%e!Z#r%e!Z#s%e!Z#t%e!Z#u%e!Z#v%e!Z#x%e!Z#z%e!Z#{%e!Z$O%e!Z(`%e!Z(q%e!Z!]%e!Z!^%e!Z~P'%zOr;rO!g#vO(q'nO~Ov(eX~P1qO!Q%qO~P!)PO(T!lO~P!)PO!YfX!]fX#`fX~P%0kOP]XR]X[]Xj]Xr]X!Q]X!S]X!]]X!]fX!l]X!p]X#R]X#S]X#`]X#`fX#kfX#n]X#o]X#p]X#q]X#r]X#s]X#t]X#u]X#v]X#x]X#z]X#{]X$Q]X(`]X(q]X(x]X(y]X~O!gfX!k]X!kfX(qfX~P'JsOP;vOQ;vOSfOd=rOe!iOpkOr;vOskOtkOzkO|;vO!O;vO!SWO!WkO!XkO!_XO!i;yO!lZO!o;vO!p;vO!q;vO!s;zO!u;}O!x!hO$W!kO$n=pO(S)ZO(UTO(XUO(`VO(n[O~O!]<ZO!^$qa~Oh%VOp%WOr%XOs$tOt$tOz%YO|%ZO!O<fO!S${O!_$|O!i=wO!l$xO#j<lO$W%_O$t<hO$v<jO$y%`O(S(tO(UTO(XUO(`$uO(x$}O(y%PO~Ol)bO~P( iOr!eX(q!eX~P# }Or(iX(q(iX~P#!pO!^]X!^fX~P'JsO!YfX!Y$zX!]fX!]$zX#`fX~P!/wO#k<OO~O!g#vO#k<OO~O#`<`O~Oj<SO~O#`<pO!](vX!^(vX~O#`<`O!](tX!^(tX~O#k<qO~Og<sO~P!0{O#k<yO~O#k<zO~O!g#vO#k<{O~O!g#vO#k<qO~O$O<|O~P#B]O#k<}O~O#k=OO~O#k=TO~O#k=UO~O#k=VO~O#k=WO~O$O=XO~P!0{O$O=YO~P!0{Ok#S#T#U#W#X#[#i#j#u$n$t$v$y%]%^%h%i%j%q%s%v%w%y%{~'}T#o!X'{(T#ps#n#qr!Q'|$]'|(S$_(d~",
+    goto: "$8g)[PPPPPP)]PP)`P)qP+R/WPPPP6bPP6xPP<pPPP@dP@zP@zPPP@zPCSP@zP@zP@zPCWPC]PCzPHtPPPHxPPPPHxK{PPPLRLsPHxPHxPP! RHxPPPHxPHxP!#YHxP!&p!'u!(OP!(r!(v!(r!,TPPPPPPP!,t!'uPP!-U!.vP!2SHxHx!2X!5e!:R!:R!>QPPP!>YHxPPPPPPPPP!AiP!BvPPHx!DXPHxPHxHxHxHxHxPHx!EkP!HuP!K{P!LP!LZ!L_!L_P!HrP!Lc!LcP# iP# mHxPHx# s#$xCW@zP@zP@z@zP#&V@z@z#(i@z#+a@z#-m@z@z#.]#0q#0q#0v#1P#0q#1[PP#0qP@z#1t@z#5s@z@z6bPPP#9xPPP#:c#:cP#:cP#:y#:cPP#;PP#:vP#:v#;d#:v#<O#<U#<X)`#<[)`P#<c#<c#<cP)`P)`P)`P)`PP)`P#<i#<lP#<l)`P#<pP#<sP)`P)`P)`P)`P)`P)`)`PP#<y#=P#=[#=b#=h#=n#=t#>S#>Y#>d#>j#>t#>z#?[#?b#@S#@f#@l#@r#AQ#Ag#C[#Cj#Cq#E]#Ek#G]#Gk#Gq#Gw#G}#HX#H_#He#Ho#IR#IXPPPPPPPPPPP#I_PPPPPPP#JS#MZ#Ns#Nz$ SPPP$&nP$&w$)p$0Z$0^$0a$1`$1c$1j$1rP$1x$1{P$2i$2m$3e$4s$4x$5`PP$5e$5k$5o$5r$5v$5z$6v$7_$7v$7z$7}$8Q$8W$8Z$8_$8cR!|RoqOXst!Z#d%l&p&r&s&u,n,s2S2VY!vQ'^-`1g5qQ%svQ%{yQ&S|Q&h!VS'U!e-WQ'd!iS'j!r!yU*h$|*X*lQ+l%|Q+y&UQ,_&bQ-^']Q-h'eQ-p'kQ0U*nQ1q,`R<m;z%SdOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$_$a$e%l%s&Q&i&l&p&r&s&u&y'R'`'p(R(T(Z(b(v(x(|){*f+U+Y,k,n,s-d-l-z.Q.o.v/i0V0d0l0|1j1z1{1}2P2S2V2X2x3O3d4q5y6Z6[6_6r8i8x9SS#q];w!r)]$Z$n'V)q-P-S/Q2h3{5m6i9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sU*{%[<e<fQ+q&OQ,a&eQ,h&mQ0r+dQ0w+fQ1S+rQ1y,fQ3W.bQ5V0vQ5]0}Q6Q1rQ7O3[Q8U5^R9Y7Q'QkOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n%l%s&Q&i&l&m&p&r&s&u&y'R'V'`'p(R(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=s!S!nQ!r!v!y!z$|'U']'^'j'k'l*h*l*n*o-W-^-`-p0U0X1g5q5s%[$ti#v$b$c$d$x${%O%Q%]%^%b)w*P*R*T*W*^*d*t*u+c+f+},Q.a.z/_/h/r/s/u0Y0[0g0h0i1^1a1i3Z4U4V4a4f4w5R5U5x6|7l7v7|8Q8f9V9e9n9t:S:f:t:};V;^<^<_<a<b<c<d<g<h<i<j<k<l<t<u<v<w<y<z<}=O=P=Q=R=S=T=U=X=Y=p=x=y=|=}Q&V|Q'S!eS'Y%h-ZQ+q&OQ,a&eQ0f+OQ1S+rQ1X+xQ1x,eQ1y,fQ5]0}Q5f1ZQ6Q1rQ6T1tQ6U1wQ8U5^Q8X5cQ8q6WQ9|8YQ:Y8nR<o*XrnOXst!V!Z#d%l&g&p&r&s&u,n,s2S2VR,c&i&z^OPXYstuvwz!Z!`!g!j!o#S#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n%l%s&Q&i&l&m&p&r&s&u&y'R'`'p(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=r=s[#]WZ#W#Z'V(R!b%im#h#i#l$x%d%g([(f(g(h*W*[*_+W+X+Z,j-Q.O.U.V.W.Y/h/k2[3S3T4X6h6yQ%vxQ%zyS&P|&UQ&]!TQ'a!hQ'c!iQ(o#sS+k%{%|Q+o&OQ,Y&`Q,^&bS-g'd'eQ.d(pQ0{+lQ1R+rQ1T+sQ1W+wQ1l,ZS1p,_,`Q2t-hQ5[0}Q5`1QQ5e1YQ6P1qQ8T5^Q8W5bQ9x8SR:w9y!U$zi$d%O%Q%]%^%b*P*R*^*t*u.z/r0Y0[0g0h0i4V4w7|9e=p=x=y!^%xy!i!u%z%{%|'T'c'd'e'i's*g+k+l-T-g-h-o/{0O0{2m2t2{4i4j4m7s9pQ+e%vQ,O&YQ,R&ZQ,]&bQ.c(oQ1k,YU1o,^,_,`Q3].dQ5z1lS6O1p1qQ8m6P#f=t#v$b$c$x${)w*T*W*d+c+f+},Q.a/_/h/s/u1^1a1i3Z4U4a4f5R5U5x6|7l7v8Q8f9V9n9t:S:f:t:};V;^<a<c<g<i<k<t<v<y<}=P=R=T=X=|=}o=u<^<_<b<d<h<j<l<u<w<z=O=Q=S=U=YW%Ti%V*v=pS&Y!Q&gQ&Z!RQ&[!SQ+S%cR+|&W%]%Si#v$b$c$d$x${%O%Q%]%^%b)w*P*R*T*W*^*d*t*u+c+f+},Q.a.z/_/h/r/s/u0Y0[0g0h0i1^1a1i3Z4U4V4a4f4w5R5U5x6|7l7v7|8Q8f9V9e9n9t:S:f:t:};V;^<^<_<a<b<c<d<g<h<i<j<k<l<t<u<v<w<y<z<}=O=P=Q=R=S=T=U=X=Y=p=x=y=|=}T)x$u)yV*{%[<e<fW'Y!e%h*X-ZS({#y#zQ+`%qQ+v&RS.](k(lQ1b,SQ4x0cR8^5k'QkOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n%l%s&Q&i&l&m&p&r&s&u&y'R'V'`'p(R(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=s$i$^c#Y#e%p%r%t(Q(W(r(w)P)Q)R)S)T)U)V)W)X)Y)[)^)`)e)o+a+u-U-s-x-}.P.n.q.u.w.x.y/]0j2c2f2v2}3c3h3i3j3k3l3m3n3o3p3q3r3s3t3w3x4P5O5Y6k6q6v7V7W7a7b8`8|9Q9[9b9c:c:y;R;x=gT#TV#U'RkOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n%l%s&Q&i&l&m&p&r&s&u&y'R'V'`'p(R(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sQ'W!eR2i-W!W!nQ!e!r!v!y!z$|'U']'^'j'k'l*X*h*l*n*o-W-^-`-p0U0X1g5q5sR1d,UnqOXst!Z#d%l&p&r&s&u,n,s2S2VQ&w!^Q't!xS(q#u<OQ+i%yQ,W&]Q,X&_Q-e'bQ-r'mS.m(v<qS0k+U<{Q0y+jQ1f,VQ2Z,uQ2],vQ2e-RQ2r-fQ2u-jS5P0l=VQ5W0zS5Z0|=WQ6j2gQ6n2sQ6s2zQ8R5XQ8}6lQ9O6oQ9R6tR:`8z$d$]c#Y#e%r%t(Q(W(r(w)P)Q)R)S)T)U)V)W)X)Y)[)^)`)e)o+a+u-U-s-x-}.P.n.q.u.x.y/]0j2c2f2v2}3c3h3i3j3k3l3m3n3o3p3q3r3s3t3w3x4P5O5Y6k6q6v7V7W7a7b8`8|9Q9[9b9c:c:y;R;x=gS(m#p'gQ(}#zS+_%p.wS.^(l(nR3U._'QkOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n%l%s&Q&i&l&m&p&r&s&u&y'R'V'`'p(R(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sS#q];wQ&r!XQ&s!YQ&u![Q&v!]R2R,qQ'_!hQ+b%vQ-c'aS.`(o+eQ2p-bW3Y.c.d0q0sQ6m2qW6z3V3X3]5TU9U6{6}7PU:e9W9X9ZS;T:d:gQ;b;UR;j;cU!wQ'^-`T5o1g5q!Q_OXZ`st!V!Z#d#h%d%l&g&i&p&r&s&u(h,n,s.V2S2V]!pQ!r'^-`1g5qT#q];w%^{OPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$_$a$e%l%s&Q&i&l&m&p&r&s&u&y'R'`'p(R(T(Z(b(v(x(|){*f+U+Y+d,k,n,s-d-l-z.Q.b.o.v/i0V0d0l0|1j1z1{1}2P2S2V2X2x3O3[3d4q5y6Z6[6_6r7Q8i8x9SS({#y#zS.](k(l!s=^$Z$n'V)q-P-S/Q2h3{5m6i9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sU$fd)],hS(n#p'gU*s%R(u3vU0e*z.i7]Q5T0rQ6{3WQ9X7OR:g9Ym!tQ!r!v!y!z'^'j'k'l-`-p1g5q5sQ'r!uS(d#g1|S-n'i'uQ/n*ZQ/{*gQ2|-qQ4]/oQ4i/}Q4j0OQ4o0WQ7h4WS7s4k4mS7w4p4rQ9g7iQ9k7oQ9p7tQ9u7yS:o9l9mS;Y:p:sS;e;Z;[S;m;f;gS;q;n;oR;t;rQ#wbQ'q!uS(c#g1|S(e#m+TQ+V%eQ+g%wQ+m%}U-m'i'r'uQ.R(dQ/m*ZQ/|*gQ0P*iQ0x+hQ1m,[S2y-n-qQ3R.ZS4[/n/oQ4e/yS4h/{0WQ4l0QQ5|1nQ6u2|Q7g4WQ7k4]U7r4i4o4rQ7u4nQ8k5}S9f7h7iQ9j7oQ9r7wQ9s7xQ:V8lQ:m9gS:n9k9mQ:v9uQ;P:WS;X:o:sS;d;Y;ZS;l;e;gS;p;m;oQ;s;qQ;u;tQ=a=[Q=l=eR=m=fV!wQ'^-`%^aOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$_$a$e%l%s&Q&i&l&m&p&r&s&u&y'R'`'p(R(T(Z(b(v(x(|){*f+U+Y+d,k,n,s-d-l-z.Q.b.o.v/i0V0d0l0|1j1z1{1}2P2S2V2X2x3O3[3d4q5y6Z6[6_6r7Q8i8x9SS#wz!j!r=Z$Z$n'V)q-P-S/Q2h3{5m6i9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sR=a=r%^bOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$_$a$e%l%s&Q&i&l&m&p&r&s&u&y'R'`'p(R(T(Z(b(v(x(|){*f+U+Y+d,k,n,s-d-l-z.Q.b.o.v/i0V0d0l0|1j1z1{1}2P2S2V2X2x3O3[3d4q5y6Z6[6_6r7Q8i8x9SQ%ej!^%wy!i!u%z%{%|'T'c'd'e'i's*g+k+l-T-g-h-o/{0O0{2m2t2{4i4j4m7s9pS%}z!jQ+h%xQ,[&bW1n,],^,_,`U5}1o1p1qS8l6O6PQ:W8m!r=[$Z$n'V)q-P-S/Q2h3{5m6i9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sQ=e=qR=f=r%QeOPXYstuvw!Z!`!g!o#S#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$_$a$e%l%s&Q&i&l&p&r&s&u&y'R'`'p(T(Z(b(v(x(|){*f+U+Y+d,k,n,s-d-l-z.Q.b.o.v/i0V0d0l0|1j1z1{1}2P2S2V2X2x3O3[3d4q5y6Z6[6_6r7Q8i8x9SY#bWZ#W#Z(R!b%im#h#i#l$x%d%g([(f(g(h*W*[*_+W+X+Z,j-Q.O.U.V.W.Y/h/k2[3S3T4X6h6yQ,i&m!p=]$Z$n)q-P-S/Q2h3{5m6i9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sR=`'VU'Z!e%h*XR2k-Z%SdOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$_$a$e%l%s&Q&i&l&p&r&s&u&y'R'`'p(R(T(Z(b(v(x(|){*f+U+Y,k,n,s-d-l-z.Q.o.v/i0V0d0l0|1j1z1{1}2P2S2V2X2x3O3d4q5y6Z6[6_6r8i8x9S!r)]$Z$n'V)q-P-S/Q2h3{5m6i9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sQ,h&mQ0r+dQ3W.bQ7O3[R9Y7Q!b$Tc#Y%p(Q(W(r(w)X)Y)^)e+u-s-x-}.P.n.q/]0j2v2}3c3s5O5Y6q6v7V9Q:c;x!P<U)[)o-U.w2c2f3h3q3r3w4P6k7W7a7b8`8|9[9b9c:y;R=g!f$Vc#Y%p(Q(W(r(w)U)V)X)Y)^)e+u-s-x-}.P.n.q/]0j2v2}3c3s5O5Y6q6v7V9Q:c;x!T<W)[)o-U.w2c2f3h3n3o3q3r3w4P6k7W7a7b8`8|9[9b9c:y;R=g!^$Zc#Y%p(Q(W(r(w)^)e+u-s-x-}.P.n.q/]0j2v2}3c3s5O5Y6q6v7V9Q:c;xQ4V/fz=s)[)o-U.w2c2f3h3w4P6k7W7a7b8`8|9[9b9c:y;R=gQ=x=zR=y={'QkOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n%l%s&Q&i&l&m&p&r&s&u&y'R'V'`'p(R(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sS$oh$pR3|/P'XgOPWXYZhstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n$p%l%s&Q&i&l&m&p&r&s&u&y'R'V'`'p(R(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/P/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sT$kf$qQ$ifS)h$l)lR)t$qT$jf$qT)j$l)l'XhOPWXYZhstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$Z$_$a$e$n$p%l%s&Q&i&l&m&p&r&s&u&y'R'V'`'p(R(T(Z(b(v(x(|)q){*f+U+Y+d,k,n,s-P-S-d-l-z.Q.b.o.v/P/Q/i0V0d0l0|1j1z1{1}2P2S2V2X2h2x3O3[3d3{4q5m5y6Z6[6_6i6r7Q8i8x9S9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=sT$oh$pQ$rhR)s$p%^jOPWXYZstuvw!Z!`!g!o#S#W#Z#d#o#u#x#{$O$P$Q$R$S$T$U$V$W$X$_$a$e%l%s&Q&i&l&m&p&r&s&u&y'R'`'p(R(T(Z(b(v(x(|){*f+U+Y+d,k,n,s-d-l-z.Q.b.o.v/i0V0d0l0|1j1z1{1}2P2S2V2X2x3O3[3d4q5y6Z6[6_6r7Q8i8x9S!s=q$Z$n'V)q-P-S/Q2h3{5m6i9}:a;v;y;z;}<O<P<Q<R<S<T<U<V<W<X<Y<Z<]<`<m<p<q<s<{<|=V=W=s#glOPXZst!Z!`!o#S#d#o#{$n%l&i&l&m&p&r&s&u&y'R'`(|)q*f+Y+d,k,n,s-d.b/Q/i0V0d1j1z1{1}2P2S2V2X3[3{4q5y6Z6[6_7Q8i8x!U%Ri$d%O%Q%]%^%b*P*R*^*t*u.z/r0Y0[0g0h0i4V4w7|9e=p=x=y#f(u#v$b$c$x${)w*T*W*d+c+f+},Q.a/_/h/s/u1^1a1i3Z4U4a4f5R5U5x6|7l7v8Q8f9V9n9t:S:f:t:};V;^<a<c<g<i<k<t<v<y<}=P=R=T=X=|=}Q+P%`Q/^)|o3v<^<_<b<d<h<j<l<u<w<z=O=Q=S=U=Y!U$yi$d%O%Q%]%^%b*P*R*^*t*u.z/r0Y0[0g0h0i4V4w7|9e=p=x=yQ*`$zU*i$|*X*lQ+Q%aQ0Q*j#f=c#v$b$c$x${)w*T*W*d+c+f+},Q.a/_/h/s/u1^1a1i3Z4U4a4f5R5U5x6|7l7v8Q8f9V9n9t:S:f:t:};V;^<a<c<g<i<k<t<v<y<}=P=R=T=X=|=}n=d<^<_<b<d<h<j<l<u<w<z=O=Q=S=U=YQ=h=tQ=i=uQ=j=vR=k=w!U%Ri$d%O%Q%]%^%b*P*R*^*t*u.z/r0Y0[0g0h0i4V4w7|9e=p=x=y#f(u#v$b$c$x${)w*T*W*d+c+f+},Q.a/_/h/s/u1^1a1i3Z4U4a4f5R5U5x6|7l7v8Q8f9V9n9t:S:f:t:};V;^<a<c<g<i<k<t<v<y<}=P=R=T=X=|=}o3v<^<_<b<d<h<j<l<u<w<z=O=Q=S=U=YnoOXst!Z#d%l&p&r&s&u,n,s2S2VS*c${*WQ,|&|Q,}'OR4`/s%[%Si#v$b$c$d$x${%O%Q%]%^%b)w*P*R*T*W*^*d*t*u+c+f+},Q.a.z/_/h/r/s/u0Y0[0g0h0i1^1a1i3Z4U4V4a4f4w5R5U5x6|7l7v7|8Q8f9V9e9n9t:S:f:t:};V;^<^<_<a<b<c<d<g<h<i<j<k<l<t<u<v<w<y<z<}=O=P=Q=R=S=T=U=X=Y=p=x=y=|=}Q,P&ZQ1`,RQ5i1_R8]5jV*k$|*X*lU*k$|*X*lT5p1g5qS/y*f/iQ4n0VT7x4q:PQ+g%wQ0P*iQ0x+hQ1m,[Q5|1nQ8k5}Q:V8lR;P:W!U%Oi$d%O%Q%]%^%b*P*R*^*t*u.z/r0Y0[0g0h0i4V4w7|9e=p=x=yx*P$v)c*Q*r+R/q0^0_3y4^4{4|4}7f7z9v:l=b=n=oS0Y*q0Z#f<a#v$b$c$x${)w*T*W*d+c+f+},Q.a/_/h/s/u1^1a1i3Z4U4a4f5R5U5x6|7l7v8Q8f9V9n9t:S:f:t:};V;^<a<c<g<i<k<t<v<y<}=P=R=T=X=|=}n<b<^<_<b<d<h<j<l<u<w<z=O=Q=S=U=Y!d<t(s)a*Y*b.e.h.l/Y/f/v0p1]3`4S4_4c5h7R7U7m7p7}8P9i9q9w:q:u;W;];h=z={`<u3u7X7[7`9]:h:k;kS=P.g3aT=Q7Z9`!U%Qi$d%O%Q%]%^%b*P*R*^*t*u.z/r0Y0[0g0h0i4V4w7|9e=p=x=y|*R$v)c*S*q+R/b/q0^0_3y4^4s4{4|4}7f7z9v:l=b=n=oS0[*r0]#f<c#v$b$c$x${)w*T*W*d+c+f+},Q.a/_/h/s/u1^1a1i3Z4U4a4f5R5U5x6|7l7v8Q8f9V9n9t:S:f:t:};V;^<a<c<g<i<k<t<v<y<}=P=R=T=X=|=}n<d<^<_<b<d<h<j<l<u<w<z=O=Q=S=U=Y!h<v(s)a*Y*b.f.g.l/Y/f/v0p1]3^3`4S4_4c5h7R7S7U7m7p7}8P9i9q9w:q:u;W;];h=z={d<w3u7Y7Z7`9]9^:h:i:k;kS=R.h3bT=S7[9arnOXst!V!Z#d%l&g&p&r&s&u,n,s2S2VQ&d!UR,k&mrnOXst!V!Z#d%l&g&p&r&s&u,n,s2S2VR&d!UQ,T&[R1[+|snOXst!V!Z#d%l&g&p&r&s&u,n,s2S2VQ1h,YS5w1k1lU8e5u5v5zS:R8g8hS:{:Q:TQ;_:|R;i;`Q&k!VR,d&gR6T1tR:Y8nS&P|&UR1T+sQ&p!WR,n&qR,t&vT2T,s2VR,x&wQ,w&wR2^,xQ'w!{R-t'wSsOtQ#dXT%os#dQ#OTR'y#OQ#RUR'{#RQ)y$uR/Z)yQ#UVR(O#UQ#XWU(U#X(V-{Q(V#YR-{(WQ-X'WR2j-XQ.p(wS3e.p3fR3f.qQ-`'^R2n-`Y!rQ'^-`1g5qR'h!rQ.{)cR3z.{U#_W%g*WU(]#_(^-|Q(^#`R-|(XQ-['ZR2l-[t`OXst!V!Z#d%l&g&i&p&r&s&u,n,s2S2VS#hZ%dU#r`#h.VR.V(hQ(i#jQ.S(eW.[(i.S3P6wQ3P.TR6w3QQ)l$lR/R)lQ$phR)r$pQ$`cU)_$`-w<[Q-w;xR<[)oQ/l*ZW4Y/l4Z7j9hU4Z/m/n/oS7j4[4]R9h7k$e*O$v(s)a)c*Y*b*q*r*|*}+R.g.h.j.k.l/Y/b/d/f/q/v0^0_0p1]3^3_3`3u3y4S4^4_4c4s4u4{4|4}5h7R7S7T7U7Z7[7^7_7`7f7m7p7z7}8P9]9^9_9i9q9v9w:h:i:j:k:l:q:u;W;];h;k=b=n=o=z={Q/t*bU4b/t4d7nQ4d/vR7n4cS*l$|*XR0S*lx*Q$v)c*q*r+R/q0^0_3y4^4{4|4}7f7z9v:l=b=n=o!d.e(s)a*Y*b.g.h.l/Y/f/v0p1]3`4S4_4c5h7R7U7m7p7}8P9i9q9w:q:u;W;];h=z={U/c*Q.e7Xa7X3u7Z7[7`9]:h:k;kQ0Z*qQ3a.gU4t0Z3a9`R9`7Z|*S$v)c*q*r+R/b/q0^0_3y4^4s4{4|4}7f7z9v:l=b=n=o!h.f(s)a*Y*b.g.h.l/Y/f/v0p1]3^3`4S4_4c5h7R7S7U7m7p7}8P9i9q9w:q:u;W;];h=z={U/e*S.f7Ye7Y3u7Z7[7`9]9^:h:i:k;kQ0]*rQ3b.hU4v0]3b9aR9a7[Q*w%UR0a*wQ5S0pR8O5SQ+[%jR0o+[Q5l1bS8_5l:OR:O8`Q,V&]R1e,VQ5q1gR8b5qQ1s,aS6R1s8oR8o6TQ1O+oW5_1O5a8V9zQ5a1RQ8V5`R9z8WQ+t&PR1U+tQ2V,sR6c2VYrOXst#dQ&t!ZQ+^%lQ,m&pQ,o&rQ,p&sQ,r&uQ2Q,nS2T,s2VR6b2SQ%npQ&x!_Q&{!aQ&}!bQ'P!cQ'o!uQ+]%kQ+i%yQ+{&VQ,c&kQ,z&zW-k'i'q'r'uQ-r'mQ0R*kQ0y+jS1v,d,gQ2_,yQ2`,|Q2a,}Q2u-jW2w-m-n-q-sQ5W0zQ5d1XQ5g1]Q5{1mQ6V1xQ6a2RU6p2v2y2|Q6s2zQ8R5XQ8Z5fQ8[5hQ8a5pQ8j5|Q8p6US9P6q6uQ9R6tQ9{8XQ:U8kQ:Z8qQ:b9QQ:x9|Q;O:VQ;S:cR;a;PQ%yyQ'b!iQ'm!uU+j%z%{%|Q-R'TU-f'c'd'eS-j'i'sQ/z*gS0z+k+lQ2g-TS2s-g-hQ2z-oS4g/{0OQ5X0{Q6l2mQ6o2tQ6t2{U7q4i4j4mQ9o7sR:r9pS$wi=pR*x%VU%Ui%V=pR0`*vQ$viS(s#v+fS)a$b$cQ)c$dQ*Y$xS*b${*WQ*q%OQ*r%QQ*|%]Q*}%^Q+R%bQ.g<aQ.h<cQ.j<gQ.k<iQ.l<kQ/Y)wQ/b*PQ/d*RQ/f*TQ/q*^S/v*d/hQ0^*tQ0_*ul0p+c,Q.a1a1i3Z5x6|8f9V:S:f:};VQ1]+}Q3^<tQ3_<vQ3`<yS3u<^<_Q3y.zS4S/_4UQ4^/rQ4_/sQ4c/uQ4s0YQ4u0[Q4{0gQ4|0hQ4}0iQ5h1^Q7R<}Q7S=PQ7T=RQ7U=TQ7Z<bQ7[<dQ7^<hQ7_<jQ7`<lQ7f4VQ7m4aQ7p4fQ7z4wQ7}5RQ8P5UQ9]<zQ9^<uQ9_<wQ9i7lQ9q7vQ9v7|Q9w8QQ:h=OQ:i=QQ:j=SQ:k=UQ:l9eQ:q9nQ:u9tQ;W=XQ;]:tQ;h;^Q;k=YQ=b=pQ=n=xQ=o=yQ=z=|R={=}Q*z%[Q.i<eR7]<fnpOXst!Z#d%l&p&r&s&u,n,s2S2VQ!fPS#fZ#oQ&z!`W'f!o*f0V4qQ'}#SQ)O#{Q)p$nS,g&i&lQ,l&mQ,y&yS-O'R/iQ-b'`Q.s(|Q/V)qQ0m+YQ0s+dQ2O,kQ2q-dQ3X.bQ4O/QQ4y0dQ5v1jQ6X1zQ6Y1{Q6^1}Q6`2PQ6e2XQ7P3[Q7c3{Q8h5yQ8t6ZQ8u6[Q8w6_Q9Z7QQ:T8iR:_8x#[cOPXZst!Z!`!o#d#o#{%l&i&l&m&p&r&s&u&y'R'`(|*f+Y+d,k,n,s-d.b/i0V0d1j1z1{1}2P2S2V2X3[4q5y6Z6[6_7Q8i8xQ#YWQ#eYQ%puQ%rvS%tw!gS(Q#W(TQ(W#ZQ(r#uQ(w#xQ)P$OQ)Q$PQ)R$QQ)S$RQ)T$SQ)U$TQ)V$UQ)W$VQ)X$WQ)Y$XQ)[$ZQ)^$_Q)`$aQ)e$eW)o$n)q/Q3{Q+a%sQ+u&QS-U'V2hQ-s'pS-x(R-zQ-}(ZQ.P(bQ.n(vQ.q(xQ.u;vQ.w;yQ.x;zQ.y;}Q/]){Q0j+UQ2c-PQ2f-SQ2v-lQ2}.QQ3c.oQ3h<OQ3i<PQ3j<QQ3k<RQ3l<SQ3m<TQ3n<UQ3o<VQ3p<WQ3q<XQ3r<YQ3s.vQ3t<]Q3w<`Q3x<mQ4P<ZQ5O0lQ5Y0|Q6k<pQ6q2xQ6v3OQ7V3dQ7W<qQ7a<sQ7b<{Q8`5mQ8|6iQ9Q6rQ9[<|Q9b=VQ9c=WQ:c9SQ:y9}Q;R:aQ;x#SR=g=sR#[WR'X!el!tQ!r!v!y!z'^'j'k'l-`-p1g5q5sS'T!e-WU*g$|*X*lS-T'U']S0O*h*nQ0W*oQ2m-^Q4m0UR4r0XR(y#xQ!fQT-_'^-`]!qQ!r'^-`1g5qQ#p]R'g;wR)d$dY!uQ'^-`1g5qQ'i!rS's!v!yS'u!z5sS-o'j'kQ-q'lR2{-pT#kZ%dS#jZ%dS%jm,jU(e#h#i#lS.T(f(gQ.X(hQ0n+ZQ3Q.UU3R.V.W.YS6x3S3TR9T6yd#^W#W#Z%g(R([*W+W.O/hr#gZm#h#i#l%d(f(g(h+Z.U.V.W.Y3S3T6yS*Z$x*_Q/o*[Q1|,jQ2d-QQ4W/kQ6g2[Q7i4XQ8{6hT=_'V+XV#aW%g*WU#`W%g*WS(S#W([U(X#Z+W/hS-V'V+XT-y(R.OV'[!e%h*XQ$lfR)v$qT)k$l)lR3}/PT*]$x*_T*e${*WQ0q+cQ1_,QQ3V.aQ5j1aQ5u1iQ6}3ZQ8g5xQ9W6|Q:Q8fQ:d9VQ:|:SQ;U:fQ;`:}R;c;VnqOXst!Z#d%l&p&r&s&u,n,s2S2VQ&j!VR,c&gtmOXst!U!V!Z#d%l&g&p&r&s&u,n,s2S2VR,j&mT%km,jR1c,SR,b&eQ&T|R+z&UR+p&OT&n!W&qT&o!W&qT2U,s2V",
+    nodeNames: "⚠ ArithOp ArithOp ?. JSXStartTag LineComment BlockComment Script Hashbang ExportDeclaration export Star as VariableName String Escape from ; default FunctionDeclaration async function VariableDefinition > < TypeParamList in out const TypeDefinition extends ThisType this LiteralType ArithOp Number BooleanLiteral TemplateType InterpolationEnd Interpolation InterpolationStart NullType null VoidType void TypeofType typeof MemberExpression . PropertyName [ TemplateString Escape Interpolation super RegExp ] ArrayExpression Spread , } { ObjectExpression Property async get set PropertyDefinition Block : NewTarget new NewExpression ) ( ArgList UnaryExpression delete LogicOp BitOp YieldExpression yield AwaitExpression await ParenthesizedExpression ClassExpression class ClassBody MethodDeclaration Decorator @ MemberExpression PrivatePropertyName CallExpression TypeArgList CompareOp < declare Privacy static abstract override PrivatePropertyDefinition PropertyDeclaration readonly accessor Optional TypeAnnotation Equals StaticBlock FunctionExpression ArrowFunction ParamList ParamList ArrayPattern ObjectPattern PatternProperty Privacy readonly Arrow MemberExpression BinaryExpression ArithOp ArithOp ArithOp ArithOp BitOp CompareOp instanceof satisfies CompareOp BitOp BitOp BitOp LogicOp LogicOp ConditionalExpression LogicOp LogicOp AssignmentExpression UpdateOp PostfixExpression CallExpression InstantiationExpression TaggedTemplateExpression DynamicImport import ImportMeta JSXElement JSXSelfCloseEndTag JSXSelfClosingTag JSXIdentifier JSXBuiltin JSXIdentifier JSXNamespacedName JSXMemberExpression JSXSpreadAttribute JSXAttribute JSXAttributeValue JSXEscape JSXEndTag JSXOpenTag JSXFragmentTag JSXText JSXEscape JSXStartCloseTag JSXCloseTag PrefixCast < ArrowFunction TypeParamList SequenceExpression InstantiationExpression KeyofType keyof UniqueType unique ImportType InferredType infer TypeName ParenthesizedType FunctionSignature ParamList NewSignature IndexedType TupleType Label ArrayType ReadonlyType ObjectType MethodType PropertyType IndexSignature PropertyDefinition CallSignature TypePredicate asserts is NewSignature new UnionType LogicOp IntersectionType LogicOp ConditionalType ParameterizedType ClassDeclaration abstract implements type VariableDeclaration let var using TypeAliasDeclaration InterfaceDeclaration interface EnumDeclaration enum EnumBody NamespaceDeclaration namespace module AmbientDeclaration declare GlobalDeclaration global ClassDeclaration ClassBody AmbientFunctionDeclaration ExportGroup VariableName VariableName ImportDeclaration ImportGroup ForStatement for ForSpec ForInSpec ForOfSpec of WhileStatement while WithStatement with DoStatement do IfStatement if else SwitchStatement switch SwitchBody CaseLabel case DefaultLabel TryStatement try CatchClause catch FinallyClause finally ReturnStatement return ThrowStatement throw BreakStatement break ContinueStatement continue DebuggerStatement debugger LabeledStatement ExpressionStatement SingleExpression SingleClassItem",
+    maxTerm: 379,
+    context: trackNewline,
+    nodeProps: [
+      ["isolate", -8,5,6,14,37,39,51,53,55,""],
+      ["group", -26,9,17,19,68,207,211,215,216,218,221,224,234,236,242,244,246,248,251,257,263,265,267,269,271,273,274,"Statement",-34,13,14,32,35,36,42,51,54,55,57,62,70,72,76,80,82,84,85,110,111,120,121,136,139,141,142,143,144,145,147,148,167,169,171,"Expression",-23,31,33,37,41,43,45,173,175,177,178,180,181,182,184,185,186,188,189,190,201,203,205,206,"Type",-3,88,103,109,"ClassItem"],
+      ["openedBy", 23,"<",38,"InterpolationStart",56,"[",60,"{",73,"(",160,"JSXStartCloseTag"],
+      ["closedBy", -2,24,168,">",40,"InterpolationEnd",50,"]",61,"}",74,")",165,"JSXEndTag"]
+    ],
+    propSources: [jsHighlight],
+    skippedNodes: [0,5,6,277],
+    repeatNodeCount: 37,
+    tokenData: "$Fq07[R!bOX%ZXY+gYZ-yZ[+g[]%Z]^.c^p%Zpq+gqr/mrs3cst:_tuEruvJSvwLkwx! Yxy!'iyz!(sz{!)}{|!,q|}!.O}!O!,q!O!P!/Y!P!Q!9j!Q!R#:O!R![#<_![!]#I_!]!^#Jk!^!_#Ku!_!`$![!`!a$$v!a!b$*T!b!c$,r!c!}Er!}#O$-|#O#P$/W#P#Q$4o#Q#R$5y#R#SEr#S#T$7W#T#o$8b#o#p$<r#p#q$=h#q#r$>x#r#s$@U#s$f%Z$f$g+g$g#BYEr#BY#BZ$A`#BZ$ISEr$IS$I_$A`$I_$I|Er$I|$I}$Dk$I}$JO$Dk$JO$JTEr$JT$JU$A`$JU$KVEr$KV$KW$A`$KW&FUEr&FU&FV$A`&FV;'SEr;'S;=`I|<%l?HTEr?HT?HU$A`?HUOEr(n%d_$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z&j&hT$i&jO!^&c!_#o&c#p;'S&c;'S;=`&w<%lO&c&j&zP;=`<%l&c'|'U]$i&j(Y!bOY&}YZ&cZw&}wx&cx!^&}!^!_'}!_#O&}#O#P&c#P#o&}#o#p'}#p;'S&};'S;=`(l<%lO&}!b(SU(Y!bOY'}Zw'}x#O'}#P;'S'};'S;=`(f<%lO'}!b(iP;=`<%l'}'|(oP;=`<%l&}'[(y]$i&j(VpOY(rYZ&cZr(rrs&cs!^(r!^!_)r!_#O(r#O#P&c#P#o(r#o#p)r#p;'S(r;'S;=`*a<%lO(rp)wU(VpOY)rZr)rs#O)r#P;'S)r;'S;=`*Z<%lO)rp*^P;=`<%l)r'[*dP;=`<%l(r#S*nX(Vp(Y!bOY*gZr*grs'}sw*gwx)rx#O*g#P;'S*g;'S;=`+Z<%lO*g#S+^P;=`<%l*g(n+dP;=`<%l%Z07[+rq$i&j(Vp(Y!b'{0/lOX%ZXY+gYZ&cZ[+g[p%Zpq+gqr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p$f%Z$f$g+g$g#BY%Z#BY#BZ+g#BZ$IS%Z$IS$I_+g$I_$JT%Z$JT$JU+g$JU$KV%Z$KV$KW+g$KW&FU%Z&FU&FV+g&FV;'S%Z;'S;=`+a<%l?HT%Z?HT?HU+g?HUO%Z07[.ST(W#S$i&j'|0/lO!^&c!_#o&c#p;'S&c;'S;=`&w<%lO&c07[.n_$i&j(Vp(Y!b'|0/lOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z)3p/x`$i&j!p),Q(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`0z!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW1V`#v(Ch$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`2X!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW2d_#v(Ch$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'At3l_(U':f$i&j(Y!bOY4kYZ5qZr4krs7nsw4kwx5qx!^4k!^!_8p!_#O4k#O#P5q#P#o4k#o#p8p#p;'S4k;'S;=`:X<%lO4k(^4r_$i&j(Y!bOY4kYZ5qZr4krs7nsw4kwx5qx!^4k!^!_8p!_#O4k#O#P5q#P#o4k#o#p8p#p;'S4k;'S;=`:X<%lO4k&z5vX$i&jOr5qrs6cs!^5q!^!_6y!_#o5q#o#p6y#p;'S5q;'S;=`7h<%lO5q&z6jT$d`$i&jO!^&c!_#o&c#p;'S&c;'S;=`&w<%lO&c`6|TOr6yrs7]s;'S6y;'S;=`7b<%lO6y`7bO$d``7eP;=`<%l6y&z7kP;=`<%l5q(^7w]$d`$i&j(Y!bOY&}YZ&cZw&}wx&cx!^&}!^!_'}!_#O&}#O#P&c#P#o&}#o#p'}#p;'S&};'S;=`(l<%lO&}!r8uZ(Y!bOY8pYZ6yZr8prs9hsw8pwx6yx#O8p#O#P6y#P;'S8p;'S;=`:R<%lO8p!r9oU$d`(Y!bOY'}Zw'}x#O'}#P;'S'};'S;=`(f<%lO'}!r:UP;=`<%l8p(^:[P;=`<%l4k%9[:hh$i&j(Vp(Y!bOY%ZYZ&cZq%Zqr<Srs&}st%ZtuCruw%Zwx(rx!^%Z!^!_*g!_!c%Z!c!}Cr!}#O%Z#O#P&c#P#R%Z#R#SCr#S#T%Z#T#oCr#o#p*g#p$g%Z$g;'SCr;'S;=`El<%lOCr(r<__WS$i&j(Vp(Y!bOY<SYZ&cZr<Srs=^sw<Swx@nx!^<S!^!_Bm!_#O<S#O#P>`#P#o<S#o#pBm#p;'S<S;'S;=`Cl<%lO<S(Q=g]WS$i&j(Y!bOY=^YZ&cZw=^wx>`x!^=^!^!_?q!_#O=^#O#P>`#P#o=^#o#p?q#p;'S=^;'S;=`@h<%lO=^&n>gXWS$i&jOY>`YZ&cZ!^>`!^!_?S!_#o>`#o#p?S#p;'S>`;'S;=`?k<%lO>`S?XSWSOY?SZ;'S?S;'S;=`?e<%lO?SS?hP;=`<%l?S&n?nP;=`<%l>`!f?xWWS(Y!bOY?qZw?qwx?Sx#O?q#O#P?S#P;'S?q;'S;=`@b<%lO?q!f@eP;=`<%l?q(Q@kP;=`<%l=^'`@w]WS$i&j(VpOY@nYZ&cZr@nrs>`s!^@n!^!_Ap!_#O@n#O#P>`#P#o@n#o#pAp#p;'S@n;'S;=`Bg<%lO@ntAwWWS(VpOYApZrAprs?Ss#OAp#O#P?S#P;'SAp;'S;=`Ba<%lOAptBdP;=`<%lAp'`BjP;=`<%l@n#WBvYWS(Vp(Y!bOYBmZrBmrs?qswBmwxApx#OBm#O#P?S#P;'SBm;'S;=`Cf<%lOBm#WCiP;=`<%lBm(rCoP;=`<%l<S%9[C}i$i&j(n%1l(Vp(Y!bOY%ZYZ&cZr%Zrs&}st%ZtuCruw%Zwx(rx!Q%Z!Q![Cr![!^%Z!^!_*g!_!c%Z!c!}Cr!}#O%Z#O#P&c#P#R%Z#R#SCr#S#T%Z#T#oCr#o#p*g#p$g%Z$g;'SCr;'S;=`El<%lOCr%9[EoP;=`<%lCr07[FRk$i&j(Vp(Y!b$]#t(S,2j(d$I[OY%ZYZ&cZr%Zrs&}st%ZtuEruw%Zwx(rx}%Z}!OGv!O!Q%Z!Q![Er![!^%Z!^!_*g!_!c%Z!c!}Er!}#O%Z#O#P&c#P#R%Z#R#SEr#S#T%Z#T#oEr#o#p*g#p$g%Z$g;'SEr;'S;=`I|<%lOEr+dHRk$i&j(Vp(Y!b$]#tOY%ZYZ&cZr%Zrs&}st%ZtuGvuw%Zwx(rx}%Z}!OGv!O!Q%Z!Q![Gv![!^%Z!^!_*g!_!c%Z!c!}Gv!}#O%Z#O#P&c#P#R%Z#R#SGv#S#T%Z#T#oGv#o#p*g#p$g%Z$g;'SGv;'S;=`Iv<%lOGv+dIyP;=`<%lGv07[JPP;=`<%lEr(KWJ_`$i&j(Vp(Y!b#p(ChOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KWKl_$i&j$Q(Ch(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z,#xLva(y+JY$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sv%ZvwM{wx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KWNW`$i&j#z(Ch(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'At! c_(X';W$i&j(VpOY!!bYZ!#hZr!!brs!#hsw!!bwx!$xx!^!!b!^!_!%z!_#O!!b#O#P!#h#P#o!!b#o#p!%z#p;'S!!b;'S;=`!'c<%lO!!b'l!!i_$i&j(VpOY!!bYZ!#hZr!!brs!#hsw!!bwx!$xx!^!!b!^!_!%z!_#O!!b#O#P!#h#P#o!!b#o#p!%z#p;'S!!b;'S;=`!'c<%lO!!b&z!#mX$i&jOw!#hwx6cx!^!#h!^!_!$Y!_#o!#h#o#p!$Y#p;'S!#h;'S;=`!$r<%lO!#h`!$]TOw!$Ywx7]x;'S!$Y;'S;=`!$l<%lO!$Y`!$oP;=`<%l!$Y&z!$uP;=`<%l!#h'l!%R]$d`$i&j(VpOY(rYZ&cZr(rrs&cs!^(r!^!_)r!_#O(r#O#P&c#P#o(r#o#p)r#p;'S(r;'S;=`*a<%lO(r!Q!&PZ(VpOY!%zYZ!$YZr!%zrs!$Ysw!%zwx!&rx#O!%z#O#P!$Y#P;'S!%z;'S;=`!']<%lO!%z!Q!&yU$d`(VpOY)rZr)rs#O)r#P;'S)r;'S;=`*Z<%lO)r!Q!'`P;=`<%l!%z'l!'fP;=`<%l!!b/5|!'t_!l/.^$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z#&U!)O_!k!Lf$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z-!n!*[b$i&j(Vp(Y!b(T%&f#q(ChOY%ZYZ&cZr%Zrs&}sw%Zwx(rxz%Zz{!+d{!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW!+o`$i&j(Vp(Y!b#n(ChOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z+;x!,|`$i&j(Vp(Y!br+4YOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z,$U!.Z_!]+Jf$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z07[!/ec$i&j(Vp(Y!b!Q.2^OY%ZYZ&cZr%Zrs&}sw%Zwx(rx!O%Z!O!P!0p!P!Q%Z!Q![!3Y![!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z#%|!0ya$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!O%Z!O!P!2O!P!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z#%|!2Z_![!L^$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad!3eg$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q![!3Y![!^%Z!^!_*g!_!g%Z!g!h!4|!h#O%Z#O#P&c#P#R%Z#R#S!3Y#S#X%Z#X#Y!4|#Y#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad!5Vg$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx{%Z{|!6n|}%Z}!O!6n!O!Q%Z!Q![!8S![!^%Z!^!_*g!_#O%Z#O#P&c#P#R%Z#R#S!8S#S#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad!6wc$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q![!8S![!^%Z!^!_*g!_#O%Z#O#P&c#P#R%Z#R#S!8S#S#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad!8_c$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q![!8S![!^%Z!^!_*g!_#O%Z#O#P&c#P#R%Z#R#S!8S#S#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z07[!9uf$i&j(Vp(Y!b#o(ChOY!;ZYZ&cZr!;Zrs!<nsw!;Zwx!Lcxz!;Zz{#-}{!P!;Z!P!Q#/d!Q!^!;Z!^!_#(i!_!`#7S!`!a#8i!a!}!;Z!}#O#,f#O#P!Dy#P#o!;Z#o#p#(i#p;'S!;Z;'S;=`#-w<%lO!;Z?O!;fb$i&j(Vp(Y!b!X7`OY!;ZYZ&cZr!;Zrs!<nsw!;Zwx!Lcx!P!;Z!P!Q#&`!Q!^!;Z!^!_#(i!_!}!;Z!}#O#,f#O#P!Dy#P#o!;Z#o#p#(i#p;'S!;Z;'S;=`#-w<%lO!;Z>^!<w`$i&j(Y!b!X7`OY!<nYZ&cZw!<nwx!=yx!P!<n!P!Q!Eq!Q!^!<n!^!_!Gr!_!}!<n!}#O!KS#O#P!Dy#P#o!<n#o#p!Gr#p;'S!<n;'S;=`!L]<%lO!<n<z!>Q^$i&j!X7`OY!=yYZ&cZ!P!=y!P!Q!>|!Q!^!=y!^!_!@c!_!}!=y!}#O!CW#O#P!Dy#P#o!=y#o#p!@c#p;'S!=y;'S;=`!Ek<%lO!=y<z!?Td$i&j!X7`O!^&c!_#W&c#W#X!>|#X#Z&c#Z#[!>|#[#]&c#]#^!>|#^#a&c#a#b!>|#b#g&c#g#h!>|#h#i&c#i#j!>|#j#k!>|#k#m&c#m#n!>|#n#o&c#p;'S&c;'S;=`&w<%lO&c7`!@hX!X7`OY!@cZ!P!@c!P!Q!AT!Q!}!@c!}#O!Ar#O#P!Bq#P;'S!@c;'S;=`!CQ<%lO!@c7`!AYW!X7`#W#X!AT#Z#[!AT#]#^!AT#a#b!AT#g#h!AT#i#j!AT#j#k!AT#m#n!AT7`!AuVOY!ArZ#O!Ar#O#P!B[#P#Q!@c#Q;'S!Ar;'S;=`!Bk<%lO!Ar7`!B_SOY!ArZ;'S!Ar;'S;=`!Bk<%lO!Ar7`!BnP;=`<%l!Ar7`!BtSOY!@cZ;'S!@c;'S;=`!CQ<%lO!@c7`!CTP;=`<%l!@c<z!C][$i&jOY!CWYZ&cZ!^!CW!^!_!Ar!_#O!CW#O#P!DR#P#Q!=y#Q#o!CW#o#p!Ar#p;'S!CW;'S;=`!Ds<%lO!CW<z!DWX$i&jOY!CWYZ&cZ!^!CW!^!_!Ar!_#o!CW#o#p!Ar#p;'S!CW;'S;=`!Ds<%lO!CW<z!DvP;=`<%l!CW<z!EOX$i&jOY!=yYZ&cZ!^!=y!^!_!@c!_#o!=y#o#p!@c#p;'S!=y;'S;=`!Ek<%lO!=y<z!EnP;=`<%l!=y>^!Ezl$i&j(Y!b!X7`OY&}YZ&cZw&}wx&cx!^&}!^!_'}!_#O&}#O#P&c#P#W&}#W#X!Eq#X#Z&}#Z#[!Eq#[#]&}#]#^!Eq#^#a&}#a#b!Eq#b#g&}#g#h!Eq#h#i&}#i#j!Eq#j#k!Eq#k#m&}#m#n!Eq#n#o&}#o#p'}#p;'S&};'S;=`(l<%lO&}8r!GyZ(Y!b!X7`OY!GrZw!Grwx!@cx!P!Gr!P!Q!Hl!Q!}!Gr!}#O!JU#O#P!Bq#P;'S!Gr;'S;=`!J|<%lO!Gr8r!Hse(Y!b!X7`OY'}Zw'}x#O'}#P#W'}#W#X!Hl#X#Z'}#Z#[!Hl#[#]'}#]#^!Hl#^#a'}#a#b!Hl#b#g'}#g#h!Hl#h#i'}#i#j!Hl#j#k!Hl#k#m'}#m#n!Hl#n;'S'};'S;=`(f<%lO'}8r!JZX(Y!bOY!JUZw!JUwx!Arx#O!JU#O#P!B[#P#Q!Gr#Q;'S!JU;'S;=`!Jv<%lO!JU8r!JyP;=`<%l!JU8r!KPP;=`<%l!Gr>^!KZ^$i&j(Y!bOY!KSYZ&cZw!KSwx!CWx!^!KS!^!_!JU!_#O!KS#O#P!DR#P#Q!<n#Q#o!KS#o#p!JU#p;'S!KS;'S;=`!LV<%lO!KS>^!LYP;=`<%l!KS>^!L`P;=`<%l!<n=l!Ll`$i&j(Vp!X7`OY!LcYZ&cZr!Lcrs!=ys!P!Lc!P!Q!Mn!Q!^!Lc!^!_# o!_!}!Lc!}#O#%P#O#P!Dy#P#o!Lc#o#p# o#p;'S!Lc;'S;=`#&Y<%lO!Lc=l!Mwl$i&j(Vp!X7`OY(rYZ&cZr(rrs&cs!^(r!^!_)r!_#O(r#O#P&c#P#W(r#W#X!Mn#X#Z(r#Z#[!Mn#[#](r#]#^!Mn#^#a(r#a#b!Mn#b#g(r#g#h!Mn#h#i(r#i#j!Mn#j#k!Mn#k#m(r#m#n!Mn#n#o(r#o#p)r#p;'S(r;'S;=`*a<%lO(r8Q# vZ(Vp!X7`OY# oZr# ors!@cs!P# o!P!Q#!i!Q!}# o!}#O#$R#O#P!Bq#P;'S# o;'S;=`#$y<%lO# o8Q#!pe(Vp!X7`OY)rZr)rs#O)r#P#W)r#W#X#!i#X#Z)r#Z#[#!i#[#])r#]#^#!i#^#a)r#a#b#!i#b#g)r#g#h#!i#h#i)r#i#j#!i#j#k#!i#k#m)r#m#n#!i#n;'S)r;'S;=`*Z<%lO)r8Q#$WX(VpOY#$RZr#$Rrs!Ars#O#$R#O#P!B[#P#Q# o#Q;'S#$R;'S;=`#$s<%lO#$R8Q#$vP;=`<%l#$R8Q#$|P;=`<%l# o=l#%W^$i&j(VpOY#%PYZ&cZr#%Prs!CWs!^#%P!^!_#$R!_#O#%P#O#P!DR#P#Q!Lc#Q#o#%P#o#p#$R#p;'S#%P;'S;=`#&S<%lO#%P=l#&VP;=`<%l#%P=l#&]P;=`<%l!Lc?O#&kn$i&j(Vp(Y!b!X7`OY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#W%Z#W#X#&`#X#Z%Z#Z#[#&`#[#]%Z#]#^#&`#^#a%Z#a#b#&`#b#g%Z#g#h#&`#h#i%Z#i#j#&`#j#k#&`#k#m%Z#m#n#&`#n#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z9d#(r](Vp(Y!b!X7`OY#(iZr#(irs!Grsw#(iwx# ox!P#(i!P!Q#)k!Q!}#(i!}#O#+`#O#P!Bq#P;'S#(i;'S;=`#,`<%lO#(i9d#)th(Vp(Y!b!X7`OY*gZr*grs'}sw*gwx)rx#O*g#P#W*g#W#X#)k#X#Z*g#Z#[#)k#[#]*g#]#^#)k#^#a*g#a#b#)k#b#g*g#g#h#)k#h#i*g#i#j#)k#j#k#)k#k#m*g#m#n#)k#n;'S*g;'S;=`+Z<%lO*g9d#+gZ(Vp(Y!bOY#+`Zr#+`rs!JUsw#+`wx#$Rx#O#+`#O#P!B[#P#Q#(i#Q;'S#+`;'S;=`#,Y<%lO#+`9d#,]P;=`<%l#+`9d#,cP;=`<%l#(i?O#,o`$i&j(Vp(Y!bOY#,fYZ&cZr#,frs!KSsw#,fwx#%Px!^#,f!^!_#+`!_#O#,f#O#P!DR#P#Q!;Z#Q#o#,f#o#p#+`#p;'S#,f;'S;=`#-q<%lO#,f?O#-tP;=`<%l#,f?O#-zP;=`<%l!;Z07[#.[b$i&j(Vp(Y!b'}0/l!X7`OY!;ZYZ&cZr!;Zrs!<nsw!;Zwx!Lcx!P!;Z!P!Q#&`!Q!^!;Z!^!_#(i!_!}!;Z!}#O#,f#O#P!Dy#P#o!;Z#o#p#(i#p;'S!;Z;'S;=`#-w<%lO!;Z07[#/o_$i&j(Vp(Y!bT0/lOY#/dYZ&cZr#/drs#0nsw#/dwx#4Ox!^#/d!^!_#5}!_#O#/d#O#P#1p#P#o#/d#o#p#5}#p;'S#/d;'S;=`#6|<%lO#/d06j#0w]$i&j(Y!bT0/lOY#0nYZ&cZw#0nwx#1px!^#0n!^!_#3R!_#O#0n#O#P#1p#P#o#0n#o#p#3R#p;'S#0n;'S;=`#3x<%lO#0n05W#1wX$i&jT0/lOY#1pYZ&cZ!^#1p!^!_#2d!_#o#1p#o#p#2d#p;'S#1p;'S;=`#2{<%lO#1p0/l#2iST0/lOY#2dZ;'S#2d;'S;=`#2u<%lO#2d0/l#2xP;=`<%l#2d05W#3OP;=`<%l#1p01O#3YW(Y!bT0/lOY#3RZw#3Rwx#2dx#O#3R#O#P#2d#P;'S#3R;'S;=`#3r<%lO#3R01O#3uP;=`<%l#3R06j#3{P;=`<%l#0n05x#4X]$i&j(VpT0/lOY#4OYZ&cZr#4Ors#1ps!^#4O!^!_#5Q!_#O#4O#O#P#1p#P#o#4O#o#p#5Q#p;'S#4O;'S;=`#5w<%lO#4O00^#5XW(VpT0/lOY#5QZr#5Qrs#2ds#O#5Q#O#P#2d#P;'S#5Q;'S;=`#5q<%lO#5Q00^#5tP;=`<%l#5Q05x#5zP;=`<%l#4O01p#6WY(Vp(Y!bT0/lOY#5}Zr#5}rs#3Rsw#5}wx#5Qx#O#5}#O#P#2d#P;'S#5};'S;=`#6v<%lO#5}01p#6yP;=`<%l#5}07[#7PP;=`<%l#/d)3h#7ab$i&j$Q(Ch(Vp(Y!b!X7`OY!;ZYZ&cZr!;Zrs!<nsw!;Zwx!Lcx!P!;Z!P!Q#&`!Q!^!;Z!^!_#(i!_!}!;Z!}#O#,f#O#P!Dy#P#o!;Z#o#p#(i#p;'S!;Z;'S;=`#-w<%lO!;ZAt#8vb$Z#t$i&j(Vp(Y!b!X7`OY!;ZYZ&cZr!;Zrs!<nsw!;Zwx!Lcx!P!;Z!P!Q#&`!Q!^!;Z!^!_#(i!_!}!;Z!}#O#,f#O#P!Dy#P#o!;Z#o#p#(i#p;'S!;Z;'S;=`#-w<%lO!;Z'Ad#:Zp$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!O%Z!O!P!3Y!P!Q%Z!Q![#<_![!^%Z!^!_*g!_!g%Z!g!h!4|!h#O%Z#O#P&c#P#R%Z#R#S#<_#S#U%Z#U#V#?i#V#X%Z#X#Y!4|#Y#b%Z#b#c#>_#c#d#Bq#d#l%Z#l#m#Es#m#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#<jk$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!O%Z!O!P!3Y!P!Q%Z!Q![#<_![!^%Z!^!_*g!_!g%Z!g!h!4|!h#O%Z#O#P&c#P#R%Z#R#S#<_#S#X%Z#X#Y!4|#Y#b%Z#b#c#>_#c#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#>j_$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#?rd$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q!R#AQ!R!S#AQ!S!^%Z!^!_*g!_#O%Z#O#P&c#P#R%Z#R#S#AQ#S#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#A]f$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q!R#AQ!R!S#AQ!S!^%Z!^!_*g!_#O%Z#O#P&c#P#R%Z#R#S#AQ#S#b%Z#b#c#>_#c#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#Bzc$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q!Y#DV!Y!^%Z!^!_*g!_#O%Z#O#P&c#P#R%Z#R#S#DV#S#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#Dbe$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q!Y#DV!Y!^%Z!^!_*g!_#O%Z#O#P&c#P#R%Z#R#S#DV#S#b%Z#b#c#>_#c#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#E|g$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q![#Ge![!^%Z!^!_*g!_!c%Z!c!i#Ge!i#O%Z#O#P&c#P#R%Z#R#S#Ge#S#T%Z#T#Z#Ge#Z#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z'Ad#Gpi$i&j(Vp(Y!bs'9tOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!Q%Z!Q![#Ge![!^%Z!^!_*g!_!c%Z!c!i#Ge!i#O%Z#O#P&c#P#R%Z#R#S#Ge#S#T%Z#T#Z#Ge#Z#b%Z#b#c#>_#c#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z*)x#Il_!g$b$i&j$O)Lv(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z)[#Jv_al$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z04f#LS^h#)`#R-<U(Vp(Y!b$n7`OY*gZr*grs'}sw*gwx)rx!P*g!P!Q#MO!Q!^*g!^!_#Mt!_!`$ f!`#O*g#P;'S*g;'S;=`+Z<%lO*g(n#MXX$k&j(Vp(Y!bOY*gZr*grs'}sw*gwx)rx#O*g#P;'S*g;'S;=`+Z<%lO*g(El#M}Z#r(Ch(Vp(Y!bOY*gZr*grs'}sw*gwx)rx!_*g!_!`#Np!`#O*g#P;'S*g;'S;=`+Z<%lO*g(El#NyX$Q(Ch(Vp(Y!bOY*gZr*grs'}sw*gwx)rx#O*g#P;'S*g;'S;=`+Z<%lO*g(El$ oX#s(Ch(Vp(Y!bOY*gZr*grs'}sw*gwx)rx#O*g#P;'S*g;'S;=`+Z<%lO*g*)x$!ga#`*!Y$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`0z!`!a$#l!a#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(K[$#w_#k(Cl$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z*)x$%Vag!*r#s(Ch$f#|$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`$&[!`!a$'f!a#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW$&g_#s(Ch$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW$'qa#r(Ch$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`!a$(v!a#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW$)R`#r(Ch$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(Kd$*`a(q(Ct$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!a%Z!a!b$+e!b#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW$+p`$i&j#{(Ch(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z%#`$,}_!|$Ip$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z04f$.X_!S0,v$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(n$/]Z$i&jO!^$0O!^!_$0f!_#i$0O#i#j$0k#j#l$0O#l#m$2^#m#o$0O#o#p$0f#p;'S$0O;'S;=`$4i<%lO$0O(n$0VT_#S$i&jO!^&c!_#o&c#p;'S&c;'S;=`&w<%lO&c#S$0kO_#S(n$0p[$i&jO!Q&c!Q![$1f![!^&c!_!c&c!c!i$1f!i#T&c#T#Z$1f#Z#o&c#o#p$3|#p;'S&c;'S;=`&w<%lO&c(n$1kZ$i&jO!Q&c!Q![$2^![!^&c!_!c&c!c!i$2^!i#T&c#T#Z$2^#Z#o&c#p;'S&c;'S;=`&w<%lO&c(n$2cZ$i&jO!Q&c!Q![$3U![!^&c!_!c&c!c!i$3U!i#T&c#T#Z$3U#Z#o&c#p;'S&c;'S;=`&w<%lO&c(n$3ZZ$i&jO!Q&c!Q![$0O![!^&c!_!c&c!c!i$0O!i#T&c#T#Z$0O#Z#o&c#p;'S&c;'S;=`&w<%lO&c#S$4PR!Q![$4Y!c!i$4Y#T#Z$4Y#S$4]S!Q![$4Y!c!i$4Y#T#Z$4Y#q#r$0f(n$4lP;=`<%l$0O#1[$4z_!Y#)l$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z(KW$6U`#x(Ch$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z+;p$7c_$i&j(Vp(Y!b(`+4QOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z07[$8qk$i&j(Vp(Y!b(S,2j$_#t(d$I[OY%ZYZ&cZr%Zrs&}st%Ztu$8buw%Zwx(rx}%Z}!O$:f!O!Q%Z!Q![$8b![!^%Z!^!_*g!_!c%Z!c!}$8b!}#O%Z#O#P&c#P#R%Z#R#S$8b#S#T%Z#T#o$8b#o#p*g#p$g%Z$g;'S$8b;'S;=`$<l<%lO$8b+d$:qk$i&j(Vp(Y!b$_#tOY%ZYZ&cZr%Zrs&}st%Ztu$:fuw%Zwx(rx}%Z}!O$:f!O!Q%Z!Q![$:f![!^%Z!^!_*g!_!c%Z!c!}$:f!}#O%Z#O#P&c#P#R%Z#R#S$:f#S#T%Z#T#o$:f#o#p*g#p$g%Z$g;'S$:f;'S;=`$<f<%lO$:f+d$<iP;=`<%l$:f07[$<oP;=`<%l$8b#Jf$<{X!_#Hb(Vp(Y!bOY*gZr*grs'}sw*gwx)rx#O*g#P;'S*g;'S;=`+Z<%lO*g,#x$=sa(x+JY$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_!`Ka!`#O%Z#O#P&c#P#o%Z#o#p*g#p#q$+e#q;'S%Z;'S;=`+a<%lO%Z)>v$?V_!^(CdvBr$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z?O$@a_!q7`$i&j(Vp(Y!bOY%ZYZ&cZr%Zrs&}sw%Zwx(rx!^%Z!^!_*g!_#O%Z#O#P&c#P#o%Z#o#p*g#p;'S%Z;'S;=`+a<%lO%Z07[$Aq|$i&j(Vp(Y!b'{0/l$]#t(S,2j(d$I[OX%ZXY+gYZ&cZ[+g[p%Zpq+gqr%Zrs&}st%ZtuEruw%Zwx(rx}%Z}!OGv!O!Q%Z!Q![Er![!^%Z!^!_*g!_!c%Z!c!}Er!}#O%Z#O#P&c#P#R%Z#R#SEr#S#T%Z#T#oEr#o#p*g#p$f%Z$f$g+g$g#BYEr#BY#BZ$A`#BZ$ISEr$IS$I_$A`$I_$JTEr$JT$JU$A`$JU$KVEr$KV$KW$A`$KW&FUEr&FU&FV$A`&FV;'SEr;'S;=`I|<%l?HTEr?HT?HU$A`?HUOEr07[$D|k$i&j(Vp(Y!b'|0/l$]#t(S,2j(d$I[OY%ZYZ&cZr%Zrs&}st%ZtuEruw%Zwx(rx}%Z}!OGv!O!Q%Z!Q![Er![!^%Z!^!_*g!_!c%Z!c!}Er!}#O%Z#O#P&c#P#R%Z#R#SEr#S#T%Z#T#oEr#o#p*g#p$g%Z$g;'SEr;'S;=`I|<%lOEr",
+    tokenizers: [noSemicolon, noSemicolonType, operatorToken, jsx, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, insertSemicolon, new LocalTokenGroup("$S~RRtu[#O#Pg#S#T#|~_P#o#pb~gOx~~jVO#i!P#i#j!U#j#l!P#l#m!q#m;'S!P;'S;=`#v<%lO!P~!UO!U~~!XS!Q![!e!c!i!e#T#Z!e#o#p#Z~!hR!Q![!q!c!i!q#T#Z!q~!tR!Q![!}!c!i!}#T#Z!}~#QR!Q![!P!c!i!P#T#Z!P~#^R!Q![#g!c!i#g#T#Z#g~#jS!Q![#g!c!i#g#T#Z#g#q#r!P~#yP;=`<%l!P~$RO(b~~", 141, 339), new LocalTokenGroup("j~RQYZXz{^~^O(P~~aP!P!Qd~iO(Q~~", 25, 322)],
+    topRules: {"Script":[0,7],"SingleExpression":[1,275],"SingleClassItem":[2,276]},
+    dialects: {jsx: 0, ts: 15098},
+    dynamicPrecedences: {"80":1,"82":1,"94":1,"169":1,"199":1},
+    specialized: [{term: 326, get: (value) => spec_identifier[value] || -1},{term: 342, get: (value) => spec_word[value] || -1},{term: 95, get: (value) => spec_LessThan[value] || -1}],
+    tokenPrec: 15124
+  });
+
+  /**
+  A collection of JavaScript-related
+  [snippets](https://codemirror.net/6/docs/ref/#autocomplete.snippet).
+  */
+  const snippets = [
+      /*@__PURE__*/snippetCompletion("function ${name}(${params}) {\n\t${}\n}", {
+          label: "function",
+          detail: "definition",
+          type: "keyword"
+      }),
+      /*@__PURE__*/snippetCompletion("for (let ${index} = 0; ${index} < ${bound}; ${index}++) {\n\t${}\n}", {
+          label: "for",
+          detail: "loop",
+          type: "keyword"
+      }),
+      /*@__PURE__*/snippetCompletion("for (let ${name} of ${collection}) {\n\t${}\n}", {
+          label: "for",
+          detail: "of loop",
+          type: "keyword"
+      }),
+      /*@__PURE__*/snippetCompletion("do {\n\t${}\n} while (${})", {
+          label: "do",
+          detail: "loop",
+          type: "keyword"
+      }),
+      /*@__PURE__*/snippetCompletion("while (${}) {\n\t${}\n}", {
+          label: "while",
+          detail: "loop",
+          type: "keyword"
+      }),
+      /*@__PURE__*/snippetCompletion("try {\n\t${}\n} catch (${error}) {\n\t${}\n}", {
+          label: "try",
+          detail: "/ catch block",
+          type: "keyword"
+      }),
+      /*@__PURE__*/snippetCompletion("if (${}) {\n\t${}\n}", {
+          label: "if",
+          detail: "block",
+          type: "keyword"
+      }),
+      /*@__PURE__*/snippetCompletion("if (${}) {\n\t${}\n} else {\n\t${}\n}", {
+          label: "if",
+          detail: "/ else block",
+          type: "keyword"
+      }),
+      /*@__PURE__*/snippetCompletion("class ${name} {\n\tconstructor(${params}) {\n\t\t${}\n\t}\n}", {
+          label: "class",
+          detail: "definition",
+          type: "keyword"
+      }),
+      /*@__PURE__*/snippetCompletion("import {${names}} from \"${module}\"\n${}", {
+          label: "import",
+          detail: "named",
+          type: "keyword"
+      }),
+      /*@__PURE__*/snippetCompletion("import ${name} from \"${module}\"\n${}", {
+          label: "import",
+          detail: "default",
+          type: "keyword"
+      })
+  ];
+  /**
+  A collection of snippet completions for TypeScript. Includes the
+  JavaScript [snippets](https://codemirror.net/6/docs/ref/#lang-javascript.snippets).
+  */
+  const typescriptSnippets = /*@__PURE__*/snippets.concat([
+      /*@__PURE__*/snippetCompletion("interface ${name} {\n\t${}\n}", {
+          label: "interface",
+          detail: "definition",
+          type: "keyword"
+      }),
+      /*@__PURE__*/snippetCompletion("type ${name} = ${type}", {
+          label: "type",
+          detail: "definition",
+          type: "keyword"
+      }),
+      /*@__PURE__*/snippetCompletion("enum ${name} {\n\t${}\n}", {
+          label: "enum",
+          detail: "definition",
+          type: "keyword"
+      })
+  ]);
+
+  const cache = /*@__PURE__*/new NodeWeakMap();
+  const ScopeNodes = /*@__PURE__*/new Set([
+      "Script", "Block",
+      "FunctionExpression", "FunctionDeclaration", "ArrowFunction", "MethodDeclaration",
+      "ForStatement"
+  ]);
+  function defID(type) {
+      return (node, def) => {
+          let id = node.node.getChild("VariableDefinition");
+          if (id)
+              def(id, type);
+          return true;
+      };
+  }
+  const functionContext = ["FunctionDeclaration"];
+  const gatherCompletions = {
+      FunctionDeclaration: /*@__PURE__*/defID("function"),
+      ClassDeclaration: /*@__PURE__*/defID("class"),
+      ClassExpression: () => true,
+      EnumDeclaration: /*@__PURE__*/defID("constant"),
+      TypeAliasDeclaration: /*@__PURE__*/defID("type"),
+      NamespaceDeclaration: /*@__PURE__*/defID("namespace"),
+      VariableDefinition(node, def) { if (!node.matchContext(functionContext))
+          def(node, "variable"); },
+      TypeDefinition(node, def) { def(node, "type"); },
+      __proto__: null
+  };
+  function getScope(doc, node) {
+      let cached = cache.get(node);
+      if (cached)
+          return cached;
+      let completions = [], top = true;
+      function def(node, type) {
+          let name = doc.sliceString(node.from, node.to);
+          completions.push({ label: name, type });
       }
+      node.cursor(IterMode.IncludeAnonymous).iterate(node => {
+          if (top) {
+              top = false;
+          }
+          else if (node.name) {
+              let gather = gatherCompletions[node.name];
+              if (gather && gather(node, def) || ScopeNodes.has(node.name))
+                  return false;
+          }
+          else if (node.to - node.from > 8192) {
+              // Allow caching for bigger internal nodes
+              for (let c of getScope(doc, node.node))
+                  completions.push(c);
+              return false;
+          }
+      });
+      cache.set(node, completions);
+      return completions;
   }
+  const Identifier = /^[\w$\xa1-\uffff][\w$\d\xa1-\uffff]*$/;
+  const dontComplete = [
+      "TemplateString", "String", "RegExp",
+      "LineComment", "BlockComment",
+      "VariableDefinition", "TypeDefinition", "Label",
+      "PropertyDefinition", "PropertyName",
+      "PrivatePropertyDefinition", "PrivatePropertyName",
+      "JSXText", "JSXAttributeValue", "JSXOpenTag", "JSXCloseTag", "JSXSelfClosingTag",
+      ".", "?."
+  ];
   /**
-  Create a completion source for HTML extended with additional tags
-  or attributes.
+  Completion source that looks up locally defined names in
+  JavaScript code.
   */
-  function htmlCompletionSourceWith(config) {
-      let { extraTags, extraGlobalAttributes: extraAttrs } = config;
-      let schema = extraAttrs || extraTags ? new Schema(extraTags, extraAttrs) : Schema.default;
-      return (context) => htmlCompletionFor(schema, context);
+  function localCompletionSource(context) {
+      let inner = syntaxTree(context.state).resolveInner(context.pos, -1);
+      if (dontComplete.indexOf(inner.name) > -1)
+          return null;
+      let isWord = inner.name == "VariableName" ||
+          inner.to - inner.from < 20 && Identifier.test(context.state.sliceDoc(inner.from, inner.to));
+      if (!isWord && !context.explicit)
+          return null;
+      let options = [];
+      for (let pos = inner; pos; pos = pos.parent) {
+          if (ScopeNodes.has(pos.name))
+              options = options.concat(getScope(context.state.doc, pos));
+      }
+      return {
+          options,
+          from: isWord ? inner.from : context.pos,
+          validFor: Identifier
+      };
   }
 
-  const jsonParser = /*@__PURE__*/javascriptLanguage.parser.configure({ top: "SingleExpression" });
-  const defaultNesting = [
-      { tag: "script",
-          attrs: attrs => attrs.type == "text/typescript" || attrs.lang == "ts",
-          parser: typescriptLanguage.parser },
-      { tag: "script",
-          attrs: attrs => attrs.type == "text/babel" || attrs.type == "text/jsx",
-          parser: jsxLanguage.parser },
-      { tag: "script",
-          attrs: attrs => attrs.type == "text/typescript-jsx",
-          parser: tsxLanguage.parser },
-      { tag: "script",
-          attrs(attrs) {
-              return /^(importmap|speculationrules|application\/(.+\+)?json)$/i.test(attrs.type);
-          },
-          parser: jsonParser },
-      { tag: "script",
-          attrs(attrs) {
-              return !attrs.type || /^(?:text|application)\/(?:x-)?(?:java|ecma)script$|^module$|^$/i.test(attrs.type);
-          },
-          parser: javascriptLanguage.parser },
-      { tag: "style",
-          attrs(attrs) {
-              return (!attrs.lang || attrs.lang == "css") && (!attrs.type || /^(text\/)?(x-)?(stylesheet|css)$/i.test(attrs.type));
-          },
-          parser: cssLanguage.parser }
-  ];
-  const defaultAttrs = /*@__PURE__*/[
-      { name: "style",
-          parser: /*@__PURE__*/cssLanguage.parser.configure({ top: "Styles" }) }
-  ].concat(/*@__PURE__*/eventAttributes.map(name => ({ name, parser: javascriptLanguage.parser })));
   /**
-  A language provider based on the [Lezer HTML
-  parser](https://github.com/lezer-parser/html), extended with the
-  JavaScript and CSS parsers to parse the content of `<script>` and
-  `<style>` tags.
+  A language provider based on the [Lezer JavaScript
+  parser](https://github.com/lezer-parser/javascript), extended with
+  highlighting and indentation information.
   */
-  const htmlPlain = /*@__PURE__*/LRLanguage.define({
-      name: "html",
-      parser: /*@__PURE__*/parser$2.configure({
+  const javascriptLanguage = /*@__PURE__*/LRLanguage.define({
+      name: "javascript",
+      parser: /*@__PURE__*/parser$1.configure({
           props: [
               /*@__PURE__*/indentNodeProp.add({
-                  Element(context) {
-                      let after = /^(\s*)(<\/)?/.exec(context.textAfter);
-                      if (context.node.to <= context.pos + after[0].length)
-                          return context.continue();
-                      return context.lineIndent(context.node.from) + (after[2] ? 0 : context.unit);
+                  IfStatement: /*@__PURE__*/continuedIndent({ except: /^\s*({|else\b)/ }),
+                  TryStatement: /*@__PURE__*/continuedIndent({ except: /^\s*({|catch\b|finally\b)/ }),
+                  LabeledStatement: flatIndent,
+                  SwitchBody: context => {
+                      let after = context.textAfter, closed = /^\s*\}/.test(after), isCase = /^\s*(case|default)\b/.test(after);
+                      return context.baseIndent + (closed ? 0 : isCase ? 1 : 2) * context.unit;
                   },
-                  "OpenTag CloseTag SelfClosingTag"(context) {
-                      return context.column(context.node.from) + context.unit;
+                  Block: /*@__PURE__*/delimitedIndent({ closing: "}" }),
+                  ArrowFunction: cx => cx.baseIndent + cx.unit,
+                  "TemplateString BlockComment": () => null,
+                  "Statement Property": /*@__PURE__*/continuedIndent({ except: /^\s*{/ }),
+                  JSXElement(context) {
+                      let closed = /^\s*<\//.test(context.textAfter);
+                      return context.lineIndent(context.node.from) + (closed ? 0 : context.unit);
                   },
-                  Document(context) {
-                      if (context.pos + /\s*/.exec(context.textAfter)[0].length < context.node.to)
-                          return context.continue();
-                      let endElt = null, close;
-                      for (let cur = context.node;;) {
-                          let last = cur.lastChild;
-                          if (!last || last.name != "Element" || last.to != cur.to)
-                              break;
-                          endElt = cur = last;
-                      }
-                      if (endElt && !((close = endElt.lastChild) && (close.name == "CloseTag" || close.name == "SelfClosingTag")))
-                          return context.lineIndent(endElt.from) + context.unit;
-                      return null;
+                  JSXEscape(context) {
+                      let closed = /\s*\}/.test(context.textAfter);
+                      return context.lineIndent(context.node.from) + (closed ? 0 : context.unit);
+                  },
+                  "JSXOpenTag JSXSelfClosingTag"(context) {
+                      return context.column(context.node.from) + context.unit;
                   }
               }),
               /*@__PURE__*/foldNodeProp.add({
-                  Element(node) {
-                      let first = node.firstChild, last = node.lastChild;
-                      if (!first || first.name != "OpenTag")
-                          return null;
-                      return { from: first.to, to: last.name == "CloseTag" ? last.from : node.to };
-                  }
-              }),
-              /*@__PURE__*/bracketMatchingHandle.add({
-                  "OpenTag CloseTag": node => node.getChild("TagName")
+                  "Block ClassBody SwitchBody EnumBody ObjectExpression ArrayExpression ObjectType": foldInside,
+                  BlockComment(tree) { return { from: tree.from + 2, to: tree.to - 2 }; }
               })
           ]
       }),
       languageData: {
-          commentTokens: { block: { open: "<!--", close: "-->" } },
-          indentOnInput: /^\s*<\/\w+\W$/,
-          wordChars: "-._"
+          closeBrackets: { brackets: ["(", "[", "{", "'", '"', "`"] },
+          commentTokens: { line: "//", block: { open: "/*", close: "*/" } },
+          indentOnInput: /^\s*(?:case |default:|\{|\}|<\/)$/,
+          wordChars: "$"
       }
   });
+  const jsxSublanguage = {
+      test: node => /^JSX/.test(node.name),
+      facet: /*@__PURE__*/defineLanguageFacet({ commentTokens: { block: { open: "{/*", close: "*/}" } } })
+  };
   /**
-  A language provider based on the [Lezer HTML
-  parser](https://github.com/lezer-parser/html), extended with the
-  JavaScript and CSS parsers to parse the content of `<script>` and
-  `<style>` tags.
+  A language provider for TypeScript.
   */
-  const htmlLanguage = /*@__PURE__*/htmlPlain.configure({
-      wrap: /*@__PURE__*/configureNesting(defaultNesting, defaultAttrs)
+  const typescriptLanguage = /*@__PURE__*/javascriptLanguage.configure({ dialect: "ts" }, "typescript");
+  /**
+  Language provider for JSX.
+  */
+  const jsxLanguage = /*@__PURE__*/javascriptLanguage.configure({
+      dialect: "jsx",
+      props: [/*@__PURE__*/sublanguageProp.add(n => n.isTop ? [jsxSublanguage] : undefined)]
   });
   /**
-  Language support for HTML, including
-  [`htmlCompletion`](https://codemirror.net/6/docs/ref/#lang-html.htmlCompletion) and JavaScript and
-  CSS support extensions.
+  Language provider for JSX + TypeScript.
   */
-  function html(config = {}) {
-      let dialect = "", wrap;
-      if (config.matchClosingTags === false)
-          dialect = "noMatch";
-      if (config.selfClosingTags === true)
-          dialect = (dialect ? dialect + " " : "") + "selfClosing";
-      if (config.nestedLanguages && config.nestedLanguages.length ||
-          config.nestedAttributes && config.nestedAttributes.length)
-          wrap = configureNesting((config.nestedLanguages || []).concat(defaultNesting), (config.nestedAttributes || []).concat(defaultAttrs));
-      let lang = wrap ? htmlPlain.configure({ wrap, dialect }) : dialect ? htmlLanguage.configure({ dialect }) : htmlLanguage;
+  const tsxLanguage = /*@__PURE__*/javascriptLanguage.configure({
+      dialect: "jsx ts",
+      props: [/*@__PURE__*/sublanguageProp.add(n => n.isTop ? [jsxSublanguage] : undefined)]
+  }, "typescript");
+  let kwCompletion = (name) => ({ label: name, type: "keyword" });
+  const keywords = /*@__PURE__*/"break case const continue default delete export extends false finally in instanceof let new return static super switch this throw true typeof var yield".split(" ").map(kwCompletion);
+  const typescriptKeywords = /*@__PURE__*/keywords.concat(/*@__PURE__*/["declare", "implements", "private", "protected", "public"].map(kwCompletion));
+  /**
+  JavaScript support. Includes [snippet](https://codemirror.net/6/docs/ref/#lang-javascript.snippets)
+  and local variable completion.
+  */
+  function javascript(config = {}) {
+      let lang = config.jsx ? (config.typescript ? tsxLanguage : jsxLanguage)
+          : config.typescript ? typescriptLanguage : javascriptLanguage;
+      let completions = config.typescript ? typescriptSnippets.concat(typescriptKeywords) : snippets.concat(keywords);
       return new LanguageSupport(lang, [
-          htmlLanguage.data.of({ autocomplete: htmlCompletionSourceWith(config) }),
-          config.autoCloseTags !== false ? autoCloseTags : [],
-          javascript().support,
-          css().support
+          javascriptLanguage.data.of({
+              autocomplete: ifNotIn(dontComplete, completeFromList(completions))
+          }),
+          javascriptLanguage.data.of({
+              autocomplete: localCompletionSource
+          }),
+          config.jsx ? autoCloseTags$1 : [],
       ]);
   }
-  const selfClosers = /*@__PURE__*/new Set(/*@__PURE__*/"area base br col command embed frame hr img input keygen link meta param source track wbr menuitem".split(" "));
+  function findOpenTag(node) {
+      for (;;) {
+          if (node.name == "JSXOpenTag" || node.name == "JSXSelfClosingTag" || node.name == "JSXFragmentTag")
+              return node;
+          if (node.name == "JSXEscape" || !node.parent)
+              return null;
+          node = node.parent;
+      }
+  }
+  function elementName$1(doc, tree, max = doc.length) {
+      for (let ch = tree === null || tree === void 0 ? void 0 : tree.firstChild; ch; ch = ch.nextSibling) {
+          if (ch.name == "JSXIdentifier" || ch.name == "JSXBuiltin" || ch.name == "JSXNamespacedName" ||
+              ch.name == "JSXMemberExpression")
+              return doc.sliceString(ch.from, Math.min(ch.to, max));
+      }
+      return "";
+  }
+  const android = typeof navigator == "object" && /*@__PURE__*//Android\b/.test(navigator.userAgent);
   /**
-  Extension that will automatically insert close tags when a `>` or
-  `/` is typed.
-  */
-  const autoCloseTags = /*@__PURE__*/EditorView.inputHandler.of((view, from, to, text, insertTransaction) => {
-      if (view.composing || view.state.readOnly || from != to || (text != ">" && text != "/") ||
-          !htmlLanguage.isActiveAt(view.state, from, -1))
+  Extension that will automatically insert JSX close tags when a `>` or
+  `/` is typed.
+  */
+  const autoCloseTags$1 = /*@__PURE__*/EditorView.inputHandler.of((view, from, to, text, defaultInsert) => {
+      if ((android ? view.composing : view.compositionStarted) || view.state.readOnly ||
+          from != to || (text != ">" && text != "/") ||
+          !javascriptLanguage.isActiveAt(view.state, from, -1))
           return false;
-      let base = insertTransaction(), { state } = base;
+      let base = defaultInsert(), { state } = base;
       let closeTags = state.changeByRange(range => {
-          var _a, _b, _c;
-          let didType = state.doc.sliceString(range.from - 1, range.to) == text;
-          let { head } = range, after = syntaxTree(state).resolveInner(head, -1), name;
-          if (didType && text == ">" && after.name == "EndTag") {
-              let tag = after.parent;
-              if (((_b = (_a = tag.parent) === null || _a === void 0 ? void 0 : _a.lastChild) === null || _b === void 0 ? void 0 : _b.name) != "CloseTag" &&
-                  (name = elementName(state.doc, tag.parent, head)) &&
-                  !selfClosers.has(name)) {
-                  let to = head + (state.doc.sliceString(head, head + 1) === ">" ? 1 : 0);
-                  let insert = `</${name}>`;
-                  return { range, changes: { from: head, to, insert } };
-              }
+          var _a;
+          let { head } = range, around = syntaxTree(state).resolveInner(head - 1, -1), name;
+          if (around.name == "JSXStartTag")
+              around = around.parent;
+          if (state.doc.sliceString(head - 1, head) != text || around.name == "JSXAttributeValue" && around.to > head) ;
+          else if (text == ">" && around.name == "JSXFragmentTag") {
+              return { range, changes: { from: head, insert: `</>` } };
           }
-          else if (didType && text == "/" && after.name == "IncompleteCloseTag") {
-              let tag = after.parent;
-              if (after.from == head - 2 && ((_c = tag.lastChild) === null || _c === void 0 ? void 0 : _c.name) != "CloseTag" &&
-                  (name = elementName(state.doc, tag, head)) && !selfClosers.has(name)) {
-                  let to = head + (state.doc.sliceString(head, head + 1) === ">" ? 1 : 0);
+          else if (text == "/" && around.name == "JSXStartCloseTag") {
+              let empty = around.parent, base = empty.parent;
+              if (base && empty.from == head - 2 &&
+                  ((name = elementName$1(state.doc, base.firstChild, head)) || ((_a = base.firstChild) === null || _a === void 0 ? void 0 : _a.name) == "JSXFragmentTag")) {
                   let insert = `${name}>`;
-                  return {
-                      range: EditorSelection.cursor(head + insert.length, -1),
-                      changes: { from: head, to, insert }
-                  };
+                  return { range: EditorSelection.cursor(head + insert.length, -1), changes: { from: head, insert } };
               }
           }
+          else if (text == ">") {
+              let openTag = findOpenTag(around);
+              if (openTag && openTag.name == "JSXOpenTag" &&
+                  !/^\/?>|^<\//.test(state.doc.sliceString(head, head + 2)) &&
+                  (name = elementName$1(state.doc, openTag, head)))
+                  return { range, changes: { from: head, insert: `</${name}>` } };
+          }
           return { range };
       });
       if (closeTags.changes.empty)
           return false;
       view.dispatch([
           base,
-          state.update(closeTags, {
-              userEvent: "input.complete",
-              scrollIntoView: true
-          })
+          state.update(closeTags, { userEvent: "input.complete", scrollIntoView: true })
       ]);
       return true;
   });
 
-  // Using https://github.com/one-dark/vscode-one-dark-theme/ as reference for the colors
-  const chalky = "#e5c07b", coral = "#e06c75", cyan = "#56b6c2", invalid = "#ffffff", ivory = "#abb2bf", stone = "#7d8799", // Brightened compared to original to increase contrast
-  malibu = "#61afef", sage = "#98c379", whiskey = "#d19a66", violet = "#c678dd", darkBackground = "#21252b", highlightBackground = "#2c313a", background = "#282c34", tooltipBackground = "#353a42", selection = "#3E4451", cursor = "#528bff";
-  /**
-  The editor theme styles for One Dark.
-  */
-  const oneDarkTheme = /*@__PURE__*/EditorView.theme({
-      "&": {
-          color: ivory,
-          backgroundColor: background
+  const Targets = ["_blank", "_self", "_top", "_parent"];
+  const Charsets = ["ascii", "utf-8", "utf-16", "latin1", "latin1"];
+  const Methods = ["get", "post", "put", "delete"];
+  const Encs = ["application/x-www-form-urlencoded", "multipart/form-data", "text/plain"];
+  const Bool = ["true", "false"];
+  const S = {}; // Empty tag spec
+  const Tags = {
+      a: {
+          attrs: {
+              href: null, ping: null, type: null,
+              media: null,
+              target: Targets,
+              hreflang: null
+          }
       },
-      ".cm-content": {
-          caretColor: cursor
+      abbr: S,
+      address: S,
+      area: {
+          attrs: {
+              alt: null, coords: null, href: null, target: null, ping: null,
+              media: null, hreflang: null, type: null,
+              shape: ["default", "rect", "circle", "poly"]
+          }
       },
-      ".cm-cursor, .cm-dropCursor": { borderLeftColor: cursor },
-      "&.cm-focused > .cm-scroller > .cm-selectionLayer .cm-selectionBackground, .cm-selectionBackground, .cm-content ::selection": { backgroundColor: selection },
-      ".cm-panels": { backgroundColor: darkBackground, color: ivory },
-      ".cm-panels.cm-panels-top": { borderBottom: "2px solid black" },
-      ".cm-panels.cm-panels-bottom": { borderTop: "2px solid black" },
-      ".cm-searchMatch": {
-          backgroundColor: "#72a1ff59",
-          outline: "1px solid #457dff"
+      article: S,
+      aside: S,
+      audio: {
+          attrs: {
+              src: null, mediagroup: null,
+              crossorigin: ["anonymous", "use-credentials"],
+              preload: ["none", "metadata", "auto"],
+              autoplay: ["autoplay"],
+              loop: ["loop"],
+              controls: ["controls"]
+          }
       },
-      ".cm-searchMatch.cm-searchMatch-selected": {
-          backgroundColor: "#6199ff2f"
+      b: S,
+      base: { attrs: { href: null, target: Targets } },
+      bdi: S,
+      bdo: S,
+      blockquote: { attrs: { cite: null } },
+      body: S,
+      br: S,
+      button: {
+          attrs: {
+              form: null, formaction: null, name: null, value: null,
+              autofocus: ["autofocus"],
+              disabled: ["autofocus"],
+              formenctype: Encs,
+              formmethod: Methods,
+              formnovalidate: ["novalidate"],
+              formtarget: Targets,
+              type: ["submit", "reset", "button"]
+          }
       },
-      ".cm-activeLine": { backgroundColor: "#6699ff0b" },
-      ".cm-selectionMatch": { backgroundColor: "#aafe661a" },
-      "&.cm-focused .cm-matchingBracket, &.cm-focused .cm-nonmatchingBracket": {
-          backgroundColor: "#bad0f847"
+      canvas: { attrs: { width: null, height: null } },
+      caption: S,
+      center: S,
+      cite: S,
+      code: S,
+      col: { attrs: { span: null } },
+      colgroup: { attrs: { span: null } },
+      command: {
+          attrs: {
+              type: ["command", "checkbox", "radio"],
+              label: null, icon: null, radiogroup: null, command: null, title: null,
+              disabled: ["disabled"],
+              checked: ["checked"]
+          }
       },
-      ".cm-gutters": {
-          backgroundColor: background,
-          color: stone,
-          border: "none"
+      data: { attrs: { value: null } },
+      datagrid: { attrs: { disabled: ["disabled"], multiple: ["multiple"] } },
+      datalist: { attrs: { data: null } },
+      dd: S,
+      del: { attrs: { cite: null, datetime: null } },
+      details: { attrs: { open: ["open"] } },
+      dfn: S,
+      div: S,
+      dl: S,
+      dt: S,
+      em: S,
+      embed: { attrs: { src: null, type: null, width: null, height: null } },
+      eventsource: { attrs: { src: null } },
+      fieldset: { attrs: { disabled: ["disabled"], form: null, name: null } },
+      figcaption: S,
+      figure: S,
+      footer: S,
+      form: {
+          attrs: {
+              action: null, name: null,
+              "accept-charset": Charsets,
+              autocomplete: ["on", "off"],
+              enctype: Encs,
+              method: Methods,
+              novalidate: ["novalidate"],
+              target: Targets
+          }
+      },
+      h1: S, h2: S, h3: S, h4: S, h5: S, h6: S,
+      head: {
+          children: ["title", "base", "link", "style", "meta", "script", "noscript", "command"]
+      },
+      header: S,
+      hgroup: S,
+      hr: S,
+      html: {
+          attrs: { manifest: null }
+      },
+      i: S,
+      iframe: {
+          attrs: {
+              src: null, srcdoc: null, name: null, width: null, height: null,
+              sandbox: ["allow-top-navigation", "allow-same-origin", "allow-forms", "allow-scripts"],
+              seamless: ["seamless"]
+          }
+      },
+      img: {
+          attrs: {
+              alt: null, src: null, ismap: null, usemap: null, width: null, height: null,
+              crossorigin: ["anonymous", "use-credentials"]
+          }
+      },
+      input: {
+          attrs: {
+              alt: null, dirname: null, form: null, formaction: null,
+              height: null, list: null, max: null, maxlength: null, min: null,
+              name: null, pattern: null, placeholder: null, size: null, src: null,
+              step: null, value: null, width: null,
+              accept: ["audio/*", "video/*", "image/*"],
+              autocomplete: ["on", "off"],
+              autofocus: ["autofocus"],
+              checked: ["checked"],
+              disabled: ["disabled"],
+              formenctype: Encs,
+              formmethod: Methods,
+              formnovalidate: ["novalidate"],
+              formtarget: Targets,
+              multiple: ["multiple"],
+              readonly: ["readonly"],
+              required: ["required"],
+              type: ["hidden", "text", "search", "tel", "url", "email", "password", "datetime", "date", "month",
+                  "week", "time", "datetime-local", "number", "range", "color", "checkbox", "radio",
+                  "file", "submit", "image", "reset", "button"]
+          }
+      },
+      ins: { attrs: { cite: null, datetime: null } },
+      kbd: S,
+      keygen: {
+          attrs: {
+              challenge: null, form: null, name: null,
+              autofocus: ["autofocus"],
+              disabled: ["disabled"],
+              keytype: ["RSA"]
+          }
+      },
+      label: { attrs: { for: null, form: null } },
+      legend: S,
+      li: { attrs: { value: null } },
+      link: {
+          attrs: {
+              href: null, type: null,
+              hreflang: null,
+              media: null,
+              sizes: ["all", "16x16", "16x16 32x32", "16x16 32x32 64x64"]
+          }
+      },
+      map: { attrs: { name: null } },
+      mark: S,
+      menu: { attrs: { label: null, type: ["list", "context", "toolbar"] } },
+      meta: {
+          attrs: {
+              content: null,
+              charset: Charsets,
+              name: ["viewport", "application-name", "author", "description", "generator", "keywords"],
+              "http-equiv": ["content-language", "content-type", "default-style", "refresh"]
+          }
+      },
+      meter: { attrs: { value: null, min: null, low: null, high: null, max: null, optimum: null } },
+      nav: S,
+      noscript: S,
+      object: {
+          attrs: {
+              data: null, type: null, name: null, usemap: null, form: null, width: null, height: null,
+              typemustmatch: ["typemustmatch"]
+          }
       },
-      ".cm-activeLineGutter": {
-          backgroundColor: highlightBackground
+      ol: { attrs: { reversed: ["reversed"], start: null, type: ["1", "a", "A", "i", "I"] },
+          children: ["li", "script", "template", "ul", "ol"] },
+      optgroup: { attrs: { disabled: ["disabled"], label: null } },
+      option: { attrs: { disabled: ["disabled"], label: null, selected: ["selected"], value: null } },
+      output: { attrs: { for: null, form: null, name: null } },
+      p: S,
+      param: { attrs: { name: null, value: null } },
+      pre: S,
+      progress: { attrs: { value: null, max: null } },
+      q: { attrs: { cite: null } },
+      rp: S,
+      rt: S,
+      ruby: S,
+      samp: S,
+      script: {
+          attrs: {
+              type: ["text/javascript"],
+              src: null,
+              async: ["async"],
+              defer: ["defer"],
+              charset: Charsets
+          }
       },
-      ".cm-foldPlaceholder": {
-          backgroundColor: "transparent",
-          border: "none",
-          color: "#ddd"
+      section: S,
+      select: {
+          attrs: {
+              form: null, name: null, size: null,
+              autofocus: ["autofocus"],
+              disabled: ["disabled"],
+              multiple: ["multiple"]
+          }
       },
-      ".cm-tooltip": {
-          border: "none",
-          backgroundColor: tooltipBackground
+      slot: { attrs: { name: null } },
+      small: S,
+      source: { attrs: { src: null, type: null, media: null } },
+      span: S,
+      strong: S,
+      style: {
+          attrs: {
+              type: ["text/css"],
+              media: null,
+              scoped: null
+          }
       },
-      ".cm-tooltip .cm-tooltip-arrow:before": {
-          borderTopColor: "transparent",
-          borderBottomColor: "transparent"
+      sub: S,
+      summary: S,
+      sup: S,
+      table: S,
+      tbody: S,
+      td: { attrs: { colspan: null, rowspan: null, headers: null } },
+      template: S,
+      textarea: {
+          attrs: {
+              dirname: null, form: null, maxlength: null, name: null, placeholder: null,
+              rows: null, cols: null,
+              autofocus: ["autofocus"],
+              disabled: ["disabled"],
+              readonly: ["readonly"],
+              required: ["required"],
+              wrap: ["soft", "hard"]
+          }
       },
-      ".cm-tooltip .cm-tooltip-arrow:after": {
-          borderTopColor: tooltipBackground,
-          borderBottomColor: tooltipBackground
+      tfoot: S,
+      th: { attrs: { colspan: null, rowspan: null, headers: null, scope: ["row", "col", "rowgroup", "colgroup"] } },
+      thead: S,
+      time: { attrs: { datetime: null } },
+      title: S,
+      tr: S,
+      track: {
+          attrs: {
+              src: null, label: null, default: null,
+              kind: ["subtitles", "captions", "descriptions", "chapters", "metadata"],
+              srclang: null
+          }
       },
-      ".cm-tooltip-autocomplete": {
-          "& > ul > li[aria-selected]": {
-              backgroundColor: highlightBackground,
-              color: ivory
+      ul: { children: ["li", "script", "template", "ul", "ol"] },
+      var: S,
+      video: {
+          attrs: {
+              src: null, poster: null, width: null, height: null,
+              crossorigin: ["anonymous", "use-credentials"],
+              preload: ["auto", "metadata", "none"],
+              autoplay: ["autoplay"],
+              mediagroup: ["movie"],
+              muted: ["muted"],
+              controls: ["controls"]
           }
+      },
+      wbr: S
+  };
+  const GlobalAttrs = {
+      accesskey: null,
+      class: null,
+      contenteditable: Bool,
+      contextmenu: null,
+      dir: ["ltr", "rtl", "auto"],
+      draggable: ["true", "false", "auto"],
+      dropzone: ["copy", "move", "link", "string:", "file:"],
+      hidden: ["hidden"],
+      id: null,
+      inert: ["inert"],
+      itemid: null,
+      itemprop: null,
+      itemref: null,
+      itemscope: ["itemscope"],
+      itemtype: null,
+      lang: ["ar", "bn", "de", "en-GB", "en-US", "es", "fr", "hi", "id", "ja", "pa", "pt", "ru", "tr", "zh"],
+      spellcheck: Bool,
+      autocorrect: Bool,
+      autocapitalize: Bool,
+      style: null,
+      tabindex: null,
+      title: null,
+      translate: ["yes", "no"],
+      rel: ["stylesheet", "alternate", "author", "bookmark", "help", "license", "next", "nofollow", "noreferrer", "prefetch", "prev", "search", "tag"],
+      role: /*@__PURE__*/"alert application article banner button cell checkbox complementary contentinfo dialog document feed figure form grid gridcell heading img list listbox listitem main navigation region row rowgroup search switch tab table tabpanel textbox timer".split(" "),
+      "aria-activedescendant": null,
+      "aria-atomic": Bool,
+      "aria-autocomplete": ["inline", "list", "both", "none"],
+      "aria-busy": Bool,
+      "aria-checked": ["true", "false", "mixed", "undefined"],
+      "aria-controls": null,
+      "aria-describedby": null,
+      "aria-disabled": Bool,
+      "aria-dropeffect": null,
+      "aria-expanded": ["true", "false", "undefined"],
+      "aria-flowto": null,
+      "aria-grabbed": ["true", "false", "undefined"],
+      "aria-haspopup": Bool,
+      "aria-hidden": Bool,
+      "aria-invalid": ["true", "false", "grammar", "spelling"],
+      "aria-label": null,
+      "aria-labelledby": null,
+      "aria-level": null,
+      "aria-live": ["off", "polite", "assertive"],
+      "aria-multiline": Bool,
+      "aria-multiselectable": Bool,
+      "aria-owns": null,
+      "aria-posinset": null,
+      "aria-pressed": ["true", "false", "mixed", "undefined"],
+      "aria-readonly": Bool,
+      "aria-relevant": null,
+      "aria-required": Bool,
+      "aria-selected": ["true", "false", "undefined"],
+      "aria-setsize": null,
+      "aria-sort": ["ascending", "descending", "none", "other"],
+      "aria-valuemax": null,
+      "aria-valuemin": null,
+      "aria-valuenow": null,
+      "aria-valuetext": null
+  };
+  const eventAttributes = /*@__PURE__*/("beforeunload copy cut dragstart dragover dragleave dragenter dragend " +
+      "drag paste focus blur change click load mousedown mouseenter mouseleave " +
+      "mouseup keydown keyup resize scroll unload").split(" ").map(n => "on" + n);
+  for (let a of eventAttributes)
+      GlobalAttrs[a] = null;
+  class Schema {
+      constructor(extraTags, extraAttrs) {
+          this.tags = Object.assign(Object.assign({}, Tags), extraTags);
+          this.globalAttrs = Object.assign(Object.assign({}, GlobalAttrs), extraAttrs);
+          this.allTags = Object.keys(this.tags);
+          this.globalAttrNames = Object.keys(this.globalAttrs);
       }
-  }, { dark: true });
-  /**
-  The highlighting style for code in the One Dark theme.
-  */
-  const oneDarkHighlightStyle = /*@__PURE__*/HighlightStyle.define([
-      { tag: tags$1.keyword,
-          color: violet },
-      { tag: [tags$1.name, tags$1.deleted, tags$1.character, tags$1.propertyName, tags$1.macroName],
-          color: coral },
-      { tag: [/*@__PURE__*/tags$1.function(tags$1.variableName), tags$1.labelName],
-          color: malibu },
-      { tag: [tags$1.color, /*@__PURE__*/tags$1.constant(tags$1.name), /*@__PURE__*/tags$1.standard(tags$1.name)],
-          color: whiskey },
-      { tag: [/*@__PURE__*/tags$1.definition(tags$1.name), tags$1.separator],
-          color: ivory },
-      { tag: [tags$1.typeName, tags$1.className, tags$1.number, tags$1.changed, tags$1.annotation, tags$1.modifier, tags$1.self, tags$1.namespace],
-          color: chalky },
-      { tag: [tags$1.operator, tags$1.operatorKeyword, tags$1.url, tags$1.escape, tags$1.regexp, tags$1.link, /*@__PURE__*/tags$1.special(tags$1.string)],
-          color: cyan },
-      { tag: [tags$1.meta, tags$1.comment],
-          color: stone },
-      { tag: tags$1.strong,
-          fontWeight: "bold" },
-      { tag: tags$1.emphasis,
-          fontStyle: "italic" },
-      { tag: tags$1.strikethrough,
-          textDecoration: "line-through" },
-      { tag: tags$1.link,
-          color: stone,
-          textDecoration: "underline" },
-      { tag: tags$1.heading,
-          fontWeight: "bold",
-          color: coral },
-      { tag: [tags$1.atom, tags$1.bool, /*@__PURE__*/tags$1.special(tags$1.variableName)],
-          color: whiskey },
-      { tag: [tags$1.processingInstruction, tags$1.string, tags$1.inserted],
-          color: sage },
-      { tag: tags$1.invalid,
-          color: invalid },
-  ]);
-  /**
-  Extension to enable the One Dark theme (both the editor theme and
-  the highlight style).
-  */
-  const oneDark = [oneDarkTheme, /*@__PURE__*/syntaxHighlighting(oneDarkHighlightStyle)];
-
-  class SelectedDiagnostic {
-      constructor(from, to, diagnostic) {
-          this.from = from;
-          this.to = to;
-          this.diagnostic = diagnostic;
-      }
   }
-  class LintState {
-      constructor(diagnostics, panel, selected) {
-          this.diagnostics = diagnostics;
-          this.panel = panel;
-          this.selected = selected;
+  Schema.default = /*@__PURE__*/new Schema;
+  function elementName(doc, tree, max = doc.length) {
+      if (!tree)
+          return "";
+      let tag = tree.firstChild;
+      let name = tag && tag.getChild("TagName");
+      return name ? doc.sliceString(name.from, Math.min(name.to, max)) : "";
+  }
+  function findParentElement(tree, skip = false) {
+      for (; tree; tree = tree.parent)
+          if (tree.name == "Element") {
+              if (skip)
+                  skip = false;
+              else
+                  return tree;
+          }
+      return null;
+  }
+  function allowedChildren(doc, tree, schema) {
+      let parentInfo = schema.tags[elementName(doc, findParentElement(tree))];
+      return (parentInfo === null || parentInfo === void 0 ? void 0 : parentInfo.children) || schema.allTags;
+  }
+  function openTags(doc, tree) {
+      let open = [];
+      for (let parent = findParentElement(tree); parent && !parent.type.isTop; parent = findParentElement(parent.parent)) {
+          let tagName = elementName(doc, parent);
+          if (tagName && parent.lastChild.name == "CloseTag")
+              break;
+          if (tagName && open.indexOf(tagName) < 0 && (tree.name == "EndTag" || tree.from >= parent.firstChild.to))
+              open.push(tagName);
       }
-      static init(diagnostics, panel, state) {
-          // Filter the list of diagnostics for which to create markers
-          let diagnosticFilter = state.facet(lintConfig).markerFilter;
-          if (diagnosticFilter)
-              diagnostics = diagnosticFilter(diagnostics, state);
-          let sorted = diagnostics.slice().sort((a, b) => a.from - b.from || a.to - b.to);
-          let deco = new RangeSetBuilder(), active = [], pos = 0;
-          for (let i = 0;;) {
-              let next = i == sorted.length ? null : sorted[i];
-              if (!next && !active.length)
-                  break;
-              let from, to;
-              if (active.length) {
-                  from = pos;
-                  to = active.reduce((p, d) => Math.min(p, d.to), next && next.from > from ? next.from : 1e8);
-              }
-              else {
-                  from = next.from;
-                  to = next.to;
-                  active.push(next);
-                  i++;
-              }
-              while (i < sorted.length) {
-                  let next = sorted[i];
-                  if (next.from == from && (next.to > next.from || next.to == from)) {
-                      active.push(next);
-                      i++;
-                      to = Math.min(next.to, to);
-                  }
-                  else {
-                      to = Math.min(next.from, to);
-                      break;
-                  }
-              }
-              let sev = maxSeverity(active);
-              if (active.some(d => d.from == d.to || (d.from == d.to - 1 && state.doc.lineAt(d.from).to == d.from))) {
-                  deco.add(from, from, Decoration.widget({
-                      widget: new DiagnosticWidget(sev),
-                      diagnostics: active.slice()
-                  }));
+      return open;
+  }
+  const identifier = /^[:\-\.\w\u00b7-\uffff]*$/;
+  function completeTag(state, schema, tree, from, to) {
+      let end = /\s*>/.test(state.sliceDoc(to, to + 5)) ? "" : ">";
+      let parent = findParentElement(tree, true);
+      return { from, to,
+          options: allowedChildren(state.doc, parent, schema).map(tagName => ({ label: tagName, type: "type" })).concat(openTags(state.doc, tree).map((tag, i) => ({ label: "/" + tag, apply: "/" + tag + end,
+              type: "type", boost: 99 - i }))),
+          validFor: /^\/?[:\-\.\w\u00b7-\uffff]*$/ };
+  }
+  function completeCloseTag(state, tree, from, to) {
+      let end = /\s*>/.test(state.sliceDoc(to, to + 5)) ? "" : ">";
+      return { from, to,
+          options: openTags(state.doc, tree).map((tag, i) => ({ label: tag, apply: tag + end, type: "type", boost: 99 - i })),
+          validFor: identifier };
+  }
+  function completeStartTag(state, schema, tree, pos) {
+      let options = [], level = 0;
+      for (let tagName of allowedChildren(state.doc, tree, schema))
+          options.push({ label: "<" + tagName, type: "type" });
+      for (let open of openTags(state.doc, tree))
+          options.push({ label: "</" + open + ">", type: "type", boost: 99 - level++ });
+      return { from: pos, to: pos, options, validFor: /^<\/?[:\-\.\w\u00b7-\uffff]*$/ };
+  }
+  function completeAttrName(state, schema, tree, from, to) {
+      let elt = findParentElement(tree), info = elt ? schema.tags[elementName(state.doc, elt)] : null;
+      let localAttrs = info && info.attrs ? Object.keys(info.attrs) : [];
+      let names = info && info.globalAttrs === false ? localAttrs
+          : localAttrs.length ? localAttrs.concat(schema.globalAttrNames) : schema.globalAttrNames;
+      return { from, to,
+          options: names.map(attrName => ({ label: attrName, type: "property" })),
+          validFor: identifier };
+  }
+  function completeAttrValue(state, schema, tree, from, to) {
+      var _a;
+      let nameNode = (_a = tree.parent) === null || _a === void 0 ? void 0 : _a.getChild("AttributeName");
+      let options = [], token = undefined;
+      if (nameNode) {
+          let attrName = state.sliceDoc(nameNode.from, nameNode.to);
+          let attrs = schema.globalAttrs[attrName];
+          if (!attrs) {
+              let elt = findParentElement(tree), info = elt ? schema.tags[elementName(state.doc, elt)] : null;
+              attrs = (info === null || info === void 0 ? void 0 : info.attrs) && info.attrs[attrName];
+          }
+          if (attrs) {
+              let base = state.sliceDoc(from, to).toLowerCase(), quoteStart = '"', quoteEnd = '"';
+              if (/^['"]/.test(base)) {
+                  token = base[0] == '"' ? /^[^"]*$/ : /^[^']*$/;
+                  quoteStart = "";
+                  quoteEnd = state.sliceDoc(to, to + 1) == base[0] ? "" : base[0];
+                  base = base.slice(1);
+                  from++;
               }
               else {
-                  let markClass = active.reduce((c, d) => d.markClass ? c + " " + d.markClass : c, "");
-                  deco.add(from, to, Decoration.mark({
-                      class: "cm-lintRange cm-lintRange-" + sev + markClass,
-                      diagnostics: active.slice(),
-                      inclusiveEnd: active.some(a => a.to > to)
-                  }));
+                  token = /^[^\s<>='"]*$/;
               }
-              pos = to;
-              for (let i = 0; i < active.length; i++)
-                  if (active[i].to <= pos)
-                      active.splice(i--, 1);
+              for (let value of attrs)
+                  options.push({ label: value, apply: quoteStart + value + quoteEnd, type: "constant" });
           }
-          let set = deco.finish();
-          return new LintState(set, panel, findDiagnostic(set));
       }
+      return { from, to, options, validFor: token };
   }
-  function findDiagnostic(diagnostics, diagnostic = null, after = 0) {
-      let found = null;
-      diagnostics.between(after, 1e9, (from, to, { spec }) => {
-          if (diagnostic && spec.diagnostics.indexOf(diagnostic) < 0)
-              return;
-          if (!found)
-              found = new SelectedDiagnostic(from, to, diagnostic || spec.diagnostics[0]);
-          else if (spec.diagnostics.indexOf(found.diagnostic) < 0)
-              return false;
-          else
-              found = new SelectedDiagnostic(found.from, to, found.diagnostic);
-      });
-      return found;
-  }
-  function hideTooltip(tr, tooltip) {
-      let from = tooltip.pos, to = tooltip.end || from;
-      let result = tr.state.facet(lintConfig).hideOn(tr, from, to);
-      if (result != null)
-          return result;
-      let line = tr.startState.doc.lineAt(tooltip.pos);
-      return !!(tr.effects.some(e => e.is(setDiagnosticsEffect)) || tr.changes.touchesRange(line.from, Math.max(line.to, to)));
+  function htmlCompletionFor(schema, context) {
+      let { state, pos } = context, tree = syntaxTree(state).resolveInner(pos, -1), around = tree.resolve(pos);
+      for (let scan = pos, before; around == tree && (before = tree.childBefore(scan));) {
+          let last = before.lastChild;
+          if (!last || !last.type.isError || last.from < last.to)
+              break;
+          around = tree = before;
+          scan = last.from;
+      }
+      if (tree.name == "TagName") {
+          return tree.parent && /CloseTag$/.test(tree.parent.name) ? completeCloseTag(state, tree, tree.from, pos)
+              : completeTag(state, schema, tree, tree.from, pos);
+      }
+      else if (tree.name == "StartTag") {
+          return completeTag(state, schema, tree, pos, pos);
+      }
+      else if (tree.name == "StartCloseTag" || tree.name == "IncompleteCloseTag") {
+          return completeCloseTag(state, tree, pos, pos);
+      }
+      else if (tree.name == "OpenTag" || tree.name == "SelfClosingTag" || tree.name == "AttributeName") {
+          return completeAttrName(state, schema, tree, tree.name == "AttributeName" ? tree.from : pos, pos);
+      }
+      else if (tree.name == "Is" || tree.name == "AttributeValue" || tree.name == "UnquotedAttributeValue") {
+          return completeAttrValue(state, schema, tree, tree.name == "Is" ? pos : tree.from, pos);
+      }
+      else if (context.explicit && (around.name == "Element" || around.name == "Text" || around.name == "Document")) {
+          return completeStartTag(state, schema, tree, pos);
+      }
+      else {
+          return null;
+      }
   }
-  function maybeEnableLint(state, effects) {
-      return state.field(lintState, false) ? effects : effects.concat(StateEffect.appendConfig.of(lintExtensions));
+  /**
+  Create a completion source for HTML extended with additional tags
+  or attributes.
+  */
+  function htmlCompletionSourceWith(config) {
+      let { extraTags, extraGlobalAttributes: extraAttrs } = config;
+      let schema = extraAttrs || extraTags ? new Schema(extraTags, extraAttrs) : Schema.default;
+      return (context) => htmlCompletionFor(schema, context);
   }
+
+  const jsonParser = /*@__PURE__*/javascriptLanguage.parser.configure({ top: "SingleExpression" });
+  const defaultNesting = [
+      { tag: "script",
+          attrs: attrs => attrs.type == "text/typescript" || attrs.lang == "ts",
+          parser: typescriptLanguage.parser },
+      { tag: "script",
+          attrs: attrs => attrs.type == "text/babel" || attrs.type == "text/jsx",
+          parser: jsxLanguage.parser },
+      { tag: "script",
+          attrs: attrs => attrs.type == "text/typescript-jsx",
+          parser: tsxLanguage.parser },
+      { tag: "script",
+          attrs(attrs) {
+              return /^(importmap|speculationrules|application\/(.+\+)?json)$/i.test(attrs.type);
+          },
+          parser: jsonParser },
+      { tag: "script",
+          attrs(attrs) {
+              return !attrs.type || /^(?:text|application)\/(?:x-)?(?:java|ecma)script$|^module$|^$/i.test(attrs.type);
+          },
+          parser: javascriptLanguage.parser },
+      { tag: "style",
+          attrs(attrs) {
+              return (!attrs.lang || attrs.lang == "css") && (!attrs.type || /^(text\/)?(x-)?(stylesheet|css)$/i.test(attrs.type));
+          },
+          parser: cssLanguage.parser }
+  ];
+  const defaultAttrs = /*@__PURE__*/[
+      { name: "style",
+          parser: /*@__PURE__*/cssLanguage.parser.configure({ top: "Styles" }) }
+  ].concat(/*@__PURE__*/eventAttributes.map(name => ({ name, parser: javascriptLanguage.parser })));
+  /**
+  A language provider based on the [Lezer HTML
+  parser](https://github.com/lezer-parser/html), extended with the
+  JavaScript and CSS parsers to parse the content of `<script>` and
+  `<style>` tags.
+  */
+  const htmlPlain = /*@__PURE__*/LRLanguage.define({
+      name: "html",
+      parser: /*@__PURE__*/parser$3.configure({
+          props: [
+              /*@__PURE__*/indentNodeProp.add({
+                  Element(context) {
+                      let after = /^(\s*)(<\/)?/.exec(context.textAfter);
+                      if (context.node.to <= context.pos + after[0].length)
+                          return context.continue();
+                      return context.lineIndent(context.node.from) + (after[2] ? 0 : context.unit);
+                  },
+                  "OpenTag CloseTag SelfClosingTag"(context) {
+                      return context.column(context.node.from) + context.unit;
+                  },
+                  Document(context) {
+                      if (context.pos + /\s*/.exec(context.textAfter)[0].length < context.node.to)
+                          return context.continue();
+                      let endElt = null, close;
+                      for (let cur = context.node;;) {
+                          let last = cur.lastChild;
+                          if (!last || last.name != "Element" || last.to != cur.to)
+                              break;
+                          endElt = cur = last;
+                      }
+                      if (endElt && !((close = endElt.lastChild) && (close.name == "CloseTag" || close.name == "SelfClosingTag")))
+                          return context.lineIndent(endElt.from) + context.unit;
+                      return null;
+                  }
+              }),
+              /*@__PURE__*/foldNodeProp.add({
+                  Element(node) {
+                      let first = node.firstChild, last = node.lastChild;
+                      if (!first || first.name != "OpenTag")
+                          return null;
+                      return { from: first.to, to: last.name == "CloseTag" ? last.from : node.to };
+                  }
+              }),
+              /*@__PURE__*/bracketMatchingHandle.add({
+                  "OpenTag CloseTag": node => node.getChild("TagName")
+              })
+          ]
+      }),
+      languageData: {
+          commentTokens: { block: { open: "<!--", close: "-->" } },
+          indentOnInput: /^\s*<\/\w+\W$/,
+          wordChars: "-._"
+      }
+  });
   /**
-  Returns a transaction spec which updates the current set of
-  diagnostics, and enables the lint extension if if wasn't already
-  active.
+  A language provider based on the [Lezer HTML
+  parser](https://github.com/lezer-parser/html), extended with the
+  JavaScript and CSS parsers to parse the content of `<script>` and
+  `<style>` tags.
   */
-  function setDiagnostics(state, diagnostics) {
-      return {
-          effects: maybeEnableLint(state, [setDiagnosticsEffect.of(diagnostics)])
-      };
+  const htmlLanguage = /*@__PURE__*/htmlPlain.configure({
+      wrap: /*@__PURE__*/configureNesting(defaultNesting, defaultAttrs)
+  });
+  /**
+  Language support for HTML, including
+  [`htmlCompletion`](https://codemirror.net/6/docs/ref/#lang-html.htmlCompletion) and JavaScript and
+  CSS support extensions.
+  */
+  function html(config = {}) {
+      let dialect = "", wrap;
+      if (config.matchClosingTags === false)
+          dialect = "noMatch";
+      if (config.selfClosingTags === true)
+          dialect = (dialect ? dialect + " " : "") + "selfClosing";
+      if (config.nestedLanguages && config.nestedLanguages.length ||
+          config.nestedAttributes && config.nestedAttributes.length)
+          wrap = configureNesting((config.nestedLanguages || []).concat(defaultNesting), (config.nestedAttributes || []).concat(defaultAttrs));
+      let lang = wrap ? htmlPlain.configure({ wrap, dialect }) : dialect ? htmlLanguage.configure({ dialect }) : htmlLanguage;
+      return new LanguageSupport(lang, [
+          htmlLanguage.data.of({ autocomplete: htmlCompletionSourceWith(config) }),
+          config.autoCloseTags !== false ? autoCloseTags : [],
+          javascript().support,
+          css().support
+      ]);
   }
+  const selfClosers = /*@__PURE__*/new Set(/*@__PURE__*/"area base br col command embed frame hr img input keygen link meta param source track wbr menuitem".split(" "));
   /**
-  The state effect that updates the set of active diagnostics. Can
-  be useful when writing an extension that needs to track these.
+  Extension that will automatically insert close tags when a `>` or
+  `/` is typed.
   */
-  const setDiagnosticsEffect = /*@__PURE__*/StateEffect.define();
-  const togglePanel = /*@__PURE__*/StateEffect.define();
-  const movePanelSelection = /*@__PURE__*/StateEffect.define();
-  const lintState = /*@__PURE__*/StateField.define({
-      create() {
-          return new LintState(Decoration.none, null, null);
-      },
-      update(value, tr) {
-          if (tr.docChanged && value.diagnostics.size) {
-              let mapped = value.diagnostics.map(tr.changes), selected = null, panel = value.panel;
-              if (value.selected) {
-                  let selPos = tr.changes.mapPos(value.selected.from, 1);
-                  selected = findDiagnostic(mapped, value.selected.diagnostic, selPos) || findDiagnostic(mapped, null, selPos);
+  const autoCloseTags = /*@__PURE__*/EditorView.inputHandler.of((view, from, to, text, insertTransaction) => {
+      if (view.composing || view.state.readOnly || from != to || (text != ">" && text != "/") ||
+          !htmlLanguage.isActiveAt(view.state, from, -1))
+          return false;
+      let base = insertTransaction(), { state } = base;
+      let closeTags = state.changeByRange(range => {
+          var _a, _b, _c;
+          let didType = state.doc.sliceString(range.from - 1, range.to) == text;
+          let { head } = range, after = syntaxTree(state).resolveInner(head, -1), name;
+          if (didType && text == ">" && after.name == "EndTag") {
+              let tag = after.parent;
+              if (((_b = (_a = tag.parent) === null || _a === void 0 ? void 0 : _a.lastChild) === null || _b === void 0 ? void 0 : _b.name) != "CloseTag" &&
+                  (name = elementName(state.doc, tag.parent, head)) &&
+                  !selfClosers.has(name)) {
+                  let to = head + (state.doc.sliceString(head, head + 1) === ">" ? 1 : 0);
+                  let insert = `</${name}>`;
+                  return { range, changes: { from: head, to, insert } };
               }
-              if (!mapped.size && panel && tr.state.facet(lintConfig).autoPanel)
-                  panel = null;
-              value = new LintState(mapped, panel, selected);
           }
-          for (let effect of tr.effects) {
-              if (effect.is(setDiagnosticsEffect)) {
-                  let panel = !tr.state.facet(lintConfig).autoPanel ? value.panel : effect.value.length ? LintPanel.open : null;
-                  value = LintState.init(effect.value, panel, tr.state);
-              }
-              else if (effect.is(togglePanel)) {
-                  value = new LintState(value.diagnostics, effect.value ? LintPanel.open : null, value.selected);
-              }
-              else if (effect.is(movePanelSelection)) {
-                  value = new LintState(value.diagnostics, value.panel, effect.value);
+          else if (didType && text == "/" && after.name == "IncompleteCloseTag") {
+              let tag = after.parent;
+              if (after.from == head - 2 && ((_c = tag.lastChild) === null || _c === void 0 ? void 0 : _c.name) != "CloseTag" &&
+                  (name = elementName(state.doc, tag, head)) && !selfClosers.has(name)) {
+                  let to = head + (state.doc.sliceString(head, head + 1) === ">" ? 1 : 0);
+                  let insert = `${name}>`;
+                  return {
+                      range: EditorSelection.cursor(head + insert.length, -1),
+                      changes: { from: head, to, insert }
+                  };
               }
           }
-          return value;
-      },
-      provide: f => [showPanel.from(f, val => val.panel),
-          EditorView.decorations.from(f, s => s.diagnostics)]
-  });
-  const activeMark = /*@__PURE__*/Decoration.mark({ class: "cm-lintRange cm-lintRange-active" });
-  function lintTooltip(view, pos, side) {
-      let { diagnostics } = view.state.field(lintState);
-      let found, start = -1, end = -1;
-      diagnostics.between(pos - (side < 0 ? 1 : 0), pos + (side > 0 ? 1 : 0), (from, to, { spec }) => {
-          if (pos >= from && pos <= to &&
-              (from == to || ((pos > from || side > 0) && (pos < to || side < 0)))) {
-              found = spec.diagnostics;
-              start = from;
-              end = to;
-              return false;
-          }
+          return { range };
       });
-      let diagnosticFilter = view.state.facet(lintConfig).tooltipFilter;
-      if (found && diagnosticFilter)
-          found = diagnosticFilter(found, view.state);
-      if (!found)
-          return null;
-      return {
-          pos: start,
-          end: end,
-          above: view.state.doc.lineAt(start).to < end,
-          create() {
-              return { dom: diagnosticsTooltip(view, found) };
-          }
-      };
-  }
-  function diagnosticsTooltip(view, diagnostics) {
-      return crelt("ul", { class: "cm-tooltip-lint" }, diagnostics.map(d => renderDiagnostic(view, d, false)));
-  }
-  /**
-  Command to close the lint panel, when open.
-  */
-  const closeLintPanel = (view) => {
-      let field = view.state.field(lintState, false);
-      if (!field || !field.panel)
+      if (closeTags.changes.empty)
           return false;
-      view.dispatch({ effects: togglePanel.of(false) });
+      view.dispatch([
+          base,
+          state.update(closeTags, {
+              userEvent: "input.complete",
+              scrollIntoView: true
+          })
+      ]);
       return true;
-  };
-  const lintPlugin = /*@__PURE__*/ViewPlugin.fromClass(class {
-      constructor(view) {
-          this.view = view;
-          this.timeout = -1;
-          this.set = true;
-          let { delay } = view.state.facet(lintConfig);
-          this.lintTime = Date.now() + delay;
-          this.run = this.run.bind(this);
-          this.timeout = setTimeout(this.run, delay);
-      }
-      run() {
-          clearTimeout(this.timeout);
-          let now = Date.now();
-          if (now < this.lintTime - 10) {
-              this.timeout = setTimeout(this.run, this.lintTime - now);
-          }
-          else {
-              this.set = false;
-              let { state } = this.view, { sources } = state.facet(lintConfig);
-              if (sources.length)
-                  batchResults(sources.map(s => Promise.resolve(s(this.view))), annotations => {
-                      if (this.view.state.doc == state.doc)
-                          this.view.dispatch(setDiagnostics(this.view.state, annotations.reduce((a, b) => a.concat(b))));
-                  }, error => { logException(this.view.state, error); });
-          }
+  });
+
+  // This file was generated by lezer-generator. You probably shouldn't edit it.
+  const Text = 1;
+
+  // src/js/template-parser.js
+
+  /**
+   * ========================================================================
+   * DataEngine Template Parser
+   * ========================================================================
+   * Turns a template into a syntax tree with exact document positions.
+   * The Live Editor linter and autocompletion read this tree, and the
+   * grammar's Text tokenizer (dataengine-tokens.js) uses the same scanning
+   * rules, so they always agree on what is a tag, a filter or a block.
+   *
+   * Every position is an absolute document offset (`offset` + index), so a
+   * slice of the document can be parsed without remapping the results.
+   *
+   * Node shapes:
+   *   text      { type, from, to }
+   *   tag       { type, from, to, closed, source, separator, path, filters, errors }
+   *   marker    { type, from, to, name, keyword, argument, stray }
+   *   if        { type, from, to, branches: [{ marker, condition, children }], close }
+   *   fallback  { type, from, to, target, open, children, close }
+   *   each      { type, from, to, open, loop, children, close }
+   *   layout    { type, from, to, open, name, children, close }
+   *   with      { type, from, to, open, context, children, close }
+   *   include   { type, from, to, marker, partial }
+   *   set       { type, from, to, marker, assignment }
+   */
+
+  // Block markers: [if:...], [else if:...], [else], [/if], [fallback], [/fallback],
+  // [each:...], [/each], [layout:...], [/layout], [with:...], [/with], and the
+  // self-contained [include:...] and [set:...].
+  const MARKER_REGEX = /\[(\/?)(if|else[ \t]+if|else|fallback|each|layout|with|include|set)(?::([^\]\n]*))?\]/y;
+
+  const isSpace = (ch) => ch === " " || ch === "\t";
+  const isWordChar = (ch) => /[\w-]/.test(ch);
+
+  /**
+   * Scans a %source:path|filter(args)% tag starting at `start` (a '%').
+   * Returns null when the '%' is plain text (e.g. "100% off").
+   *
+   * A tag never spans lines. A tag that reaches the end of the line or the
+   * input without its closing '%' is returned with `closed: false`, which is
+   * what autocompletion looks at while the user is typing.
+   */
+  function scanTag(text, start, offset) {
+      const at = (index) => offset + index;
+      let i = start + 1;
+
+      // A bare '%' at the very end is the start of a tag being typed.
+      if (i < text.length && !/[A-Za-z_]/.test(text[i])) {
+          return null;
       }
-      update(update) {
-          let config = update.state.facet(lintConfig);
-          if (update.docChanged || config != update.startState.facet(lintConfig) ||
-              config.needsRefresh && config.needsRefresh(update)) {
-              this.lintTime = Date.now() + config.delay;
-              if (!this.set) {
-                  this.set = true;
-                  this.timeout = setTimeout(this.run, config.delay);
-              }
+
+      const tag = {
+          type: "tag",
+          from: at(start),
+          to: at(start),
+          closed: false,
+          source: null,
+          separator: null,
+          path: null,
+          filters: [],
+          errors: [],
+      };
+
+      const sourceStart = i;
+      while (i < text.length && isWordChar(text[i])) i++;
+      tag.source = { name: text.slice(sourceStart, i), from: at(sourceStart), to: at(i) };
+
+      if (text[i] !== ":") {
+          // "%word" only counts as a tag while it is still being typed.
+          if (i < text.length) {
+              return null;
           }
+          tag.to = at(i);
+          return tag;
       }
-      force() {
-          if (this.set) {
-              this.lintTime = Date.now();
-              this.run();
+
+      tag.separator = { from: at(i), to: at(i + 1) };
+      i++;
+
+      // Field path with dot-separated properties: field.property.sub
+      const pathStart = i;
+      const segments = [];
+      let segmentStart = i;
+      while (i < text.length && /[\w.-]/.test(text[i])) {
+          if (text[i] === ".") {
+              segments.push({ name: text.slice(segmentStart, i), from: at(segmentStart), to: at(i) });
+              segmentStart = i + 1;
           }
+          i++;
       }
-      destroy() {
-          clearTimeout(this.timeout);
+      segments.push({ name: text.slice(segmentStart, i), from: at(segmentStart), to: at(i) });
+      tag.path = { text: text.slice(pathStart, i), from: at(pathStart), to: at(i), segments };
+
+      // Everything up to the closing '%' (or the end of the line) is the filter chain.
+      let end = i;
+      while (end < text.length && text[end] !== "%" && text[end] !== "\n") end++;
+
+      scanFilterChain(text, i, end, offset, tag);
+
+      if (text[end] === "%") {
+          tag.closed = true;
+          tag.to = at(end + 1);
+      } else {
+          tag.to = at(end);
       }
-  });
-  function batchResults(promises, sink, error) {
-      let collected = [], timeout = -1;
-      for (let p of promises)
-          p.then(value => {
-              collected.push(value);
-              clearTimeout(timeout);
-              if (collected.length == promises.length)
-                  sink(collected);
-              else
-                  timeout = setTimeout(() => sink(collected), 200);
-          }, error);
+
+      return tag;
   }
-  const lintConfig = /*@__PURE__*/Facet.define({
-      combine(input) {
-          return Object.assign({ sources: input.map(i => i.source).filter(x => x != null) }, combineConfig(input.map(i => i.config), {
-              delay: 750,
-              markerFilter: null,
-              tooltipFilter: null,
-              needsRefresh: null,
-              hideOn: () => null,
-          }, {
-              needsRefresh: (a, b) => !a ? b : !b ? a : u => a(u) || b(u)
-          }));
-      }
-  });
+
   /**
-  Given a diagnostic source, this function returns an extension that
-  enables linting with that source. It will be called whenever the
-  editor is idle (after its content changed). If `null` is given as
-  source, this only configures the lint extension.
-  */
-  function linter(source, config = {}) {
-      return [
-          lintConfig.of({ source, config }),
-          lintPlugin,
-          lintExtensions
-      ];
+   * Parses "| name(arg, 'arg') | name" between `start` and `end` into
+   * `tag.filters`. Anything that does not fit the grammar is recorded in
+   * `tag.errors` with its range.
+   */
+  function scanFilterChain(text, start, end, offset, tag) {
+      const at = (index) => offset + index;
+      let i = start;
+
+      while (i < end) {
+          while (i < end && isSpace(text[i])) i++;
+          if (i >= end) break;
+
+          if (text[i] !== "|") {
+              tag.errors.push({
+                  from: at(i),
+                  to: at(end),
+                  message: `Unexpected '${text.slice(i, end).trim()}' in tag. Expected '|' or '%'.`,
+              });
+              return;
+          }
+
+          const filter = {
+              name: "",
+              from: 0,
+              to: 0,
+              pipe: { from: at(i), to: at(i + 1) },
+              nameFrom: 0,
+              nameTo: 0,
+              args: [],
+              parens: null,
+              commas: [],
+          };
+          i++;
+
+          while (i < end && isSpace(text[i])) i++;
+          const nameStart = i;
+          while (i < end && /\w/.test(text[i])) i++;
+          filter.name = text.slice(nameStart, i);
+          filter.from = filter.nameFrom = at(nameStart);
+          filter.to = filter.nameTo = at(i);
+
+          let j = i;
+          while (j < end && isSpace(text[j])) j++;
+          if (text[j] === "(" && j < end) {
+              i = scanArguments(text, j, end, offset, filter);
+              filter.to = at(i);
+          }
+
+          tag.filters.push(filter);
+      }
   }
-  function assignKeys(actions) {
-      let assigned = [];
-      if (actions)
-          actions: for (let { name } of actions) {
-              for (let i = 0; i < name.length; i++) {
-                  let ch = name[i];
-                  if (/[a-zA-Z]/.test(ch) && !assigned.some(c => c.toLowerCase() == ch.toLowerCase())) {
-                      assigned.push(ch);
-                      continue actions;
-                  }
-              }
-              assigned.push("");
+
+  /**
+   * Parses a parenthesised argument list starting at `open` (a '(').
+   * Commas and parentheses inside quotes are literal, like in Parser::parse_filters.
+   * Returns the index just after the list.
+   */
+  function scanArguments(text, open, end, offset, filter) {
+      const at = (index) => offset + index;
+      let quote = null;
+      let argStart = open + 1;
+      let i = open + 1;
+      const raws = [];
+
+      for (; i < end; i++) {
+          const ch = text[i];
+          if (quote) {
+              if (ch === quote) quote = null;
+              continue;
           }
-      return assigned;
+          if (ch === "'" || ch === '"') {
+              quote = ch;
+          } else if (ch === ",") {
+              raws.push([argStart, i]);
+              filter.commas.push(at(i));
+              argStart = i + 1;
+          } else if (ch === ")") {
+              break;
+          }
+      }
+
+      const closed = i < end && text[i] === ")";
+      raws.push([argStart, i]);
+      filter.parens = { open: at(open), close: closed ? at(i) : null };
+
+      // "name()" has no arguments at all, not one empty argument.
+      if (raws.length === 1 && text.slice(raws[0][0], raws[0][1]).trim() === "") {
+          return closed ? i + 1 : i;
+      }
+
+      for (let [from, to] of raws) {
+          while (from < to && isSpace(text[from])) from++;
+          while (to > from && isSpace(text[to - 1])) to--;
+          const raw = text.slice(from, to);
+          const quoted = /^(['"]).*\1$/s.test(raw);
+          filter.args.push({
+              raw,
+              value: quoted ? raw.slice(1, -1) : raw,
+              quoted,
+              from: at(from),
+              to: at(to),
+          });
+      }
+
+      return closed ? i + 1 : i;
   }
-  function renderDiagnostic(view, diagnostic, inPanel) {
-      var _a;
-      let keys = inPanel ? assignKeys(diagnostic.actions) : [];
-      return crelt("li", { class: "cm-diagnostic cm-diagnostic-" + diagnostic.severity }, crelt("span", { class: "cm-diagnosticText" }, diagnostic.renderMessage ? diagnostic.renderMessage(view) : diagnostic.message), (_a = diagnostic.actions) === null || _a === void 0 ? void 0 : _a.map((action, i) => {
-          let fired = false, click = (e) => {
-              e.preventDefault();
-              if (fired)
-                  return;
-              fired = true;
-              let found = findDiagnostic(view.state.field(lintState).diagnostics, diagnostic);
-              if (found)
-                  action.apply(view, found.from, found.to);
+
+  /**
+   * Scans a block marker starting at `start` (a '['). Returns null when the
+   * bracket is ordinary text.
+   */
+  function scanMarker(text, start, offset) {
+      MARKER_REGEX.lastIndex = start;
+      const match = MARKER_REGEX.exec(text);
+      if (!match) {
+          return null;
+      }
+
+      const at = (index) => offset + index;
+      const keywordStart = start + 1;
+      const keywordEnd = keywordStart + match[1].length + match[2].length;
+      const marker = {
+          type: "marker",
+          name: match[1] + match[2].replace(/[ \t]+/, " "),
+          from: at(start),
+          to: at(start + match[0].length),
+          keyword: { from: at(keywordStart), to: at(keywordEnd) },
+          argument: null,
+          stray: false,
+      };
+
+      if (match[3] !== undefined) {
+          const argStart = keywordEnd + 1;
+          const argEnd = argStart + match[3].length;
+          marker.argument = {
+              text: match[3],
+              from: at(argStart),
+              to: at(argEnd),
+              tags: scanInlineTags(text.slice(0, argEnd), argStart, offset),
           };
-          let { name } = action, keyIndex = keys[i] ? name.indexOf(keys[i]) : -1;
-          let nameElt = keyIndex < 0 ? name : [name.slice(0, keyIndex),
-              crelt("u", name.slice(keyIndex, keyIndex + 1)),
-              name.slice(keyIndex + 1)];
-          return crelt("button", {
-              type: "button",
-              class: "cm-diagnosticAction",
-              onclick: click,
-              onmousedown: click,
-              "aria-label": ` Action: ${name}${keyIndex < 0 ? "" : ` (access key "${keys[i]})"`}.`
-          }, nameElt);
-      }), diagnostic.source && crelt("div", { class: "cm-diagnosticSource" }, diagnostic.source));
+      }
+
+      return marker;
   }
-  class DiagnosticWidget extends WidgetType {
-      constructor(sev) {
-          super();
-          this.sev = sev;
+
+  /**
+   * Collects the tags inside a marker argument such as an [if:] condition.
+   */
+  function scanInlineTags(text, start, offset) {
+      const tags = [];
+      let i = start;
+      while (i < text.length) {
+          const tag = text[i] === "%" ? scanTag(text, i, offset) : null;
+          if (tag) {
+              tags.push(tag);
+              i = tag.to - offset;
+          } else {
+              i++;
+          }
       }
-      eq(other) { return other.sev == this.sev; }
-      toDOM() {
-          return crelt("span", { class: "cm-lintPoint cm-lintPoint-" + this.sev });
+      return tags;
+  }
+
+  // Operators accepted by Condition_Evaluator.
+  const CONDITION_OPERATORS = [
+      "==",
+      "!=",
+      ">=",
+      "<=",
+      ">",
+      "<",
+      "contains",
+      "not_contains",
+      "starts_with",
+      "ends_with",
+      "matches",
+      "in",
+      "empty",
+      "not_empty",
+  ];
+  const VALUELESS_OPERATORS = ["empty", "not_empty"];
+  const CONDITION_KEYWORDS = ["and", "or", "not"];
+
+  // Same alternatives as Condition_Evaluator::TOKEN_REGEX.
+  const CONDITION_TOKEN_REGEX =
+      /(?<space>\s+)|(?<tag>%[^%]*%?)|(?<string>'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(?<symbol>&&|\|\||==|!=|>=|<=|>|<|!|\(|\)|,)|(?<word>[^\s%'"()!<>=,&|]+)/y;
+
+  class ConditionError extends Error {
+      constructor(from, to, message, severity = "error") {
+          super(message);
+          this.from = from;
+          this.to = to;
+          this.severity = severity;
       }
   }
-  class PanelItem {
-      constructor(view, diagnostic) {
-          this.diagnostic = diagnostic;
-          this.id = "item_" + Math.floor(Math.random() * 0xffffffff).toString(16);
-          this.dom = renderDiagnostic(view, diagnostic, true);
-          this.dom.id = this.id;
-          this.dom.setAttribute("role", "option");
+
+  function tokenizeCondition(text, base) {
+      const tokens = [];
+      let i = 0;
+
+      while (i < text.length) {
+          CONDITION_TOKEN_REGEX.lastIndex = i;
+          const match = CONDITION_TOKEN_REGEX.exec(text);
+          if (!match) {
+              const quote = text[i] === "'" || text[i] === '"';
+              throw new ConditionError(
+                  base + i,
+                  base + text.length,
+                  quote ? `Missing closing ${text[i]} after the value.` : `Unexpected '${text[i]}'.`
+              );
+          }
+
+          const type = ["tag", "string", "symbol", "word"].find((name) => match.groups[name] !== undefined);
+          if (type) {
+              tokens.push({ type, value: match[0], from: base + i, to: base + i + match[0].length });
+          }
+          i += match[0].length;
       }
+
+      return tokens;
   }
-  class LintPanel {
-      constructor(view) {
-          this.view = view;
-          this.items = [];
-          let onkeydown = (event) => {
-              if (event.keyCode == 27) { // Escape
-                  closeLintPanel(this.view);
-                  this.view.focus();
-              }
-              else if (event.keyCode == 38 || event.keyCode == 33) { // ArrowUp, PageUp
-                  this.moveSelection((this.selectedIndex - 1 + this.items.length) % this.items.length);
-              }
-              else if (event.keyCode == 40 || event.keyCode == 34) { // ArrowDown, PageDown
-                  this.moveSelection((this.selectedIndex + 1) % this.items.length);
-              }
-              else if (event.keyCode == 36) { // Home
-                  this.moveSelection(0);
-              }
-              else if (event.keyCode == 35) { // End
-                  this.moveSelection(this.items.length - 1);
-              }
-              else if (event.keyCode == 13) { // Enter
-                  this.view.focus();
+
+  /**
+   * Parses the argument of an [if:] or [else if:] marker with the grammar of
+   * Condition_Evaluator: comparisons joined by &&/and and ||/or, negated with
+   * not/! and grouped with parentheses. An expression the evaluator would
+   * reject gets an entry in `errors` (only the first problem, as parsing
+   * stops there), so it can be flagged instead of silently evaluating to
+   * false on the live site.
+   *
+   * Expression nodes are { type: "and"|"or", left, right }, { type: "not",
+   * operand } and { type: "compare", left, operator, right }, where operands
+   * are { type: "tag"|"literal", value, from, to } or, after `in`,
+   * { type: "list", items, from, to }.
+   *
+   * @param {object} argument A marker argument ({ text, from, to, tags }).
+   * @returns {{expression: ?object, errors: Array<object>}}
+   */
+  function parseCondition(argument) {
+      const condition = { expression: null, errors: [] };
+      const expected = `Expected one of: ${CONDITION_OPERATORS.join(", ")}.`;
+      let tokens;
+      let index = 0;
+
+      const peek = () => tokens[index] || null;
+      const accept = (...values) => {
+          const token = peek();
+          if (token && (token.type === "symbol" || token.type === "word") && values.includes(token.value)) {
+              index++;
+              return token;
+          }
+          return null;
+      };
+
+      const parseOperand = (context) => {
+          const token = peek();
+          if (!token || token.type === "symbol" || (token.type === "word" && CONDITION_KEYWORDS.includes(token.value))) {
+              // At the end of the condition, point at the last token
+              const at = token || tokens[tokens.length - 1];
+              throw new ConditionError(at.from, at.to, `Expected a tag or a value ${context}.`);
+          }
+          index++;
+
+          if (token.type === "tag") {
+              // The tag rules report a missing '%'; the node keeps the parsed tag.
+              const tag = argument.tags.find((t) => t.from === token.from);
+              return { type: "tag", value: token.value, tag, from: token.from, to: token.to };
+          }
+          const value = token.type === "string" ? token.value.slice(1, -1).replace(/\\(['"\\])/g, "$1") : token.value;
+          return { type: "literal", value, quoted: token.type === "string", from: token.from, to: token.to };
+      };
+
+      const parseList = (open) => {
+          const items = [];
+          do {
+              items.push(parseOperand("in the list"));
+          } while (accept(","));
+
+          const close = accept(")");
+          if (!close) {
+              throw new ConditionError(open.from, items[items.length - 1].to, "Missing ')' after the list.");
+          }
+          return { type: "list", items, from: open.from, to: close.to };
+      };
+
+      const parseComparison = () => {
+          const left = parseOperand(index === 0 ? "at the start of the condition" : "here");
+          const next = peek();
+          const operator = next && next.type !== "string" && next.type !== "tag" && CONDITION_OPERATORS.includes(next.value) ? next : null;
+
+          if (!operator) {
+              if (next && next.type === "word" && !CONDITION_KEYWORDS.includes(next.value)) {
+                  throw new ConditionError(next.from, next.to, `Unknown operator '${next.value}'. ${expected}`);
               }
-              else if (event.keyCode >= 65 && event.keyCode <= 90 && this.selectedIndex >= 0) { // A-Z
-                  let { diagnostic } = this.items[this.selectedIndex], keys = assignKeys(diagnostic.actions);
-                  for (let i = 0; i < keys.length; i++)
-                      if (keys[i].toUpperCase().charCodeAt(0) == event.keyCode) {
-                          let found = findDiagnostic(this.view.state.field(lintState).diagnostics, diagnostic);
-                          if (found)
-                              diagnostic.actions[i].apply(view, found.from, found.to);
-                      }
+              if (left.type !== "tag") {
+                  throw new ConditionError(left.from, left.to, `Expected an operator after '${left.value}'. ${expected}`);
               }
-              else {
-                  return;
+              // A tag on its own is true when it has a value.
+              return { type: "compare", left, operator: null, right: null, from: left.from, to: left.to };
+          }
+          index++;
+          const op = { name: operator.value, from: operator.from, to: operator.to };
+
+          if (VALUELESS_OPERATORS.includes(op.name)) {
+              const extra = peek();
+              if (extra && (extra.type === "tag" || extra.type === "string" || (extra.type === "word" && !CONDITION_KEYWORDS.includes(extra.value)))) {
+                  throw new ConditionError(extra.from, extra.to, `'${op.name}' does not take a value.`);
               }
-              event.preventDefault();
-          };
-          let onclick = (event) => {
-              for (let i = 0; i < this.items.length; i++) {
-                  if (this.items[i].dom.contains(event.target))
-                      this.moveSelection(i);
+              return { type: "compare", left, operator: op, right: null, from: left.from, to: op.to };
+          }
+
+          const open = op.name === "in" ? accept("(") : null;
+          const right = open ? parseList(open) : parseOperand(`after '${op.name}'`);
+
+          // An unquoted value runs up to the next and/or, ')' or the end.
+          if (right.type === "literal" && !right.quoted) {
+              while (peek() && peek().type === "word" && !CONDITION_KEYWORDS.includes(peek().value)) {
+                  right.to = tokens[index++].to;
               }
-          };
-          this.list = crelt("ul", {
-              tabIndex: 0,
-              role: "listbox",
-              "aria-label": this.view.state.phrase("Diagnostics"),
-              onkeydown,
-              onclick
-          });
-          this.dom = crelt("div", { class: "cm-panel-lint" }, this.list, crelt("button", {
-              type: "button",
-              name: "close",
-              "aria-label": this.view.state.phrase("close"),
-              onclick: () => closeLintPanel(this.view)
-          }, "×"));
-          this.update();
-      }
-      get selectedIndex() {
-          let selected = this.view.state.field(lintState).selected;
-          if (!selected)
-              return -1;
-          for (let i = 0; i < this.items.length; i++)
-              if (this.items[i].diagnostic == selected.diagnostic)
-                  return i;
-          return -1;
-      }
-      update() {
-          let { diagnostics, selected } = this.view.state.field(lintState);
-          let i = 0, needsSync = false, newSelectedItem = null;
-          let seen = new Set();
-          diagnostics.between(0, this.view.state.doc.length, (_start, _end, { spec }) => {
-              for (let diagnostic of spec.diagnostics) {
-                  if (seen.has(diagnostic))
-                      continue;
-                  seen.add(diagnostic);
-                  let found = -1, item;
-                  for (let j = i; j < this.items.length; j++)
-                      if (this.items[j].diagnostic == diagnostic) {
-                          found = j;
-                          break;
-                      }
-                  if (found < 0) {
-                      item = new PanelItem(this.view, diagnostic);
-                      this.items.splice(i, 0, item);
-                      needsSync = true;
-                  }
-                  else {
-                      item = this.items[found];
-                      if (found > i) {
-                          this.items.splice(i, found - i);
-                          needsSync = true;
-                      }
-                  }
-                  if (selected && item.diagnostic == selected.diagnostic) {
-                      if (!item.dom.hasAttribute("aria-selected")) {
-                          item.dom.setAttribute("aria-selected", "true");
-                          newSelectedItem = item;
-                      }
-                  }
-                  else if (item.dom.hasAttribute("aria-selected")) {
-                      item.dom.removeAttribute("aria-selected");
-                  }
-                  i++;
+              right.value = argument.text.slice(right.from - argument.from, right.to - argument.from);
+          }
+
+          if (op.name === "matches" && right.type === "literal") {
+              try {
+                  new RegExp(right.value, "u");
+              } catch (e) {
+                  condition.errors.push({
+                      from: right.from,
+                      to: right.to,
+                      severity: "warning",
+                      message: `This pattern may not be valid: ${e.message}`,
+                  });
               }
-          });
-          while (i < this.items.length && !(this.items.length == 1 && this.items[0].diagnostic.from < 0)) {
-              needsSync = true;
-              this.items.pop();
           }
-          if (this.items.length == 0) {
-              this.items.push(new PanelItem(this.view, {
-                  from: -1, to: -1,
-                  severity: "info",
-                  message: this.view.state.phrase("No diagnostics")
-              }));
-              needsSync = true;
+
+          return { type: "compare", left, operator: op, right, from: left.from, to: right.to };
+      };
+
+      const parseUnary = () => {
+          const not = accept("!", "not");
+          if (not) {
+              const operand = parseUnary();
+              return { type: "not", operand, from: not.from, to: operand.to };
           }
-          if (newSelectedItem) {
-              this.list.setAttribute("aria-activedescendant", newSelectedItem.id);
-              this.view.requestMeasure({
-                  key: this,
-                  read: () => ({ sel: newSelectedItem.dom.getBoundingClientRect(), panel: this.list.getBoundingClientRect() }),
-                  write: ({ sel, panel }) => {
-                      let scaleY = panel.height / this.list.offsetHeight;
-                      if (sel.top < panel.top)
-                          this.list.scrollTop -= (panel.top - sel.top) / scaleY;
-                      else if (sel.bottom > panel.bottom)
-                          this.list.scrollTop += (sel.bottom - panel.bottom) / scaleY;
-                  }
-              });
+
+          const open = accept("(");
+          if (open) {
+              const node = parseOr();
+              const close = accept(")");
+              if (!close) {
+                  const next = peek();
+                  throw new ConditionError(open.from, open.to, next ? `Expected ')' before '${next.value}'.` : "Missing ')' for this '('.");
+              }
+              return { ...node, from: open.from, to: close.to };
           }
-          else if (this.selectedIndex < 0) {
-              this.list.removeAttribute("aria-activedescendant");
+
+          return parseComparison();
+      };
+
+      const parseAnd = () => {
+          let node = parseUnary();
+          while (accept("&&", "and")) {
+              const right = parseUnary();
+              node = { type: "and", left: node, right, from: node.from, to: right.to };
           }
-          if (needsSync)
-              this.sync();
+          return node;
+      };
+
+      const parseOr = () => {
+          let node = parseAnd();
+          while (accept("||", "or")) {
+              const right = parseAnd();
+              node = { type: "or", left: node, right, from: node.from, to: right.to };
+          }
+          return node;
+      };
+
+      try {
+          tokens = tokenizeCondition(argument.text, argument.from);
+          condition.expression = parseOr();
+
+          const next = peek();
+          if (next) {
+              throw new ConditionError(
+                  next.from,
+                  next.to,
+                  next.value === ")" ? "Unexpected ')' without a matching '('." : `Expected 'and' or 'or' before '${next.value}'.`
+              );
+          }
+      } catch (e) {
+          if (!(e instanceof ConditionError)) throw e;
+          condition.expression = null;
+          condition.errors.push({ from: e.from, to: Math.max(e.to, e.from), severity: e.severity, message: e.message });
       }
-      sync() {
-          let domPos = this.list.firstChild;
-          function rm() {
-              let prev = domPos;
-              domPos = prev.nextSibling;
-              prev.remove();
+
+      return condition;
+  }
+
+  /**
+   * Parses the argument of an [each:] marker: `%tag%` optionally followed by
+   * `as alias`, following EACH_ARGUMENT_REGEX in Parser.php.
+   *
+   * @param {object} argument A marker argument ({ text, from, to, tags }).
+   * @returns {{tag: ?object, alias: ?{name: string, from: number, to: number}, errors: Array<object>}}
+   */
+  function parseLoopArgument(argument) {
+      const text = argument.text;
+      const base = argument.from;
+      const loop = { tag: null, alias: null, errors: [] };
+      const report = (from, to, message) => {
+          loop.errors.push({ from, to, severity: "error", message });
+      };
+
+      const start = base + text.length - text.trimStart().length;
+      const tag = argument.tags[0];
+      if (!tag || tag.from !== start) {
+          report(start, tag ? tag.from : argument.to, "[each:] needs a tag to loop over, e.g. [each:%acf:gallery%].");
+          return loop;
+      }
+      loop.tag = tag;
+      if (!tag.closed) {
+          return loop;
+      }
+      if (tag.filters.length > 0) {
+          report(tag.filters[0].from, tag.to - 1, "Filters cannot be applied to the list of an [each:] loop.");
+      }
+
+      const rest = text.slice(tag.to - base);
+      if (rest.trim() === "") {
+          return loop;
+      }
+
+      const alias = /^(\s+as\s+)([A-Za-z_]\w*)\s*$/.exec(rest);
+      if (!alias) {
+          report(tag.to, argument.to, "Expected 'as name' after the tag, e.g. [each:%acf:team% as member].");
+          return loop;
+      }
+
+      const aliasFrom = tag.to + alias[1].length;
+      // Whether the name is free depends on the sources; see the editor's linter.
+      loop.alias = { name: alias[2], from: aliasFrom, to: aliasFrom + alias[2].length };
+
+      return loop;
+  }
+
+  /**
+   * Parses the argument of a [with:] marker: a single `%tag%`, following
+   * WITH_ARGUMENT_REGEX in Parser.php.
+   *
+   * @param {object} argument A marker argument ({ text, from, to, tags }).
+   * @returns {{tag: ?object, errors: Array<object>}}
+   */
+  function parseContextArgument(argument) {
+      const text = argument.text;
+      const base = argument.from;
+      const context = { tag: null, errors: [] };
+      const report = (from, to, message) => {
+          context.errors.push({ from, to, severity: "error", message });
+      };
+
+      const start = base + text.length - text.trimStart().length;
+      const tag = argument.tags[0];
+      if (!tag || tag.from !== start) {
+          report(start, tag ? tag.from : argument.to, "[with:] needs a tag that refers to a post, user or term, e.g. [with:%acf:related_post%].");
+          return context;
+      }
+      context.tag = tag;
+      if (!tag.closed) {
+          return context;
+      }
+      if (tag.filters.length > 0) {
+          report(tag.filters[0].from, tag.to - 1, "Filters cannot be applied to the tag of a [with:] block.");
+      }
+      if (text.slice(tag.to - base).trim() !== "") {
+          report(tag.to, argument.to, "[with:] takes a single tag.");
+      }
+
+      return context;
+  }
+
+  /**
+   * Parses the argument of an [include:] marker: the partial name followed by
+   * name='value' parameters, following INCLUDE_REGEX in Parser.php.
+   *
+   * @param {object} argument A marker argument ({ text, from, to, tags }).
+   * @returns {{name: ?{text: string, from: number, to: number}, params: Array<{name: string, from: number, to: number}>, errors: Array<object>}}
+   */
+  function parseIncludeArgument(argument) {
+      const text = argument.text;
+      const base = argument.from;
+      const partial = { name: null, params: [], errors: [] };
+      const report = (from, to, message) => {
+          partial.errors.push({ from, to, severity: "error", message });
+      };
+
+      const name = /^(\s*)([\w-]+)/.exec(text);
+      if (!name) {
+          report(base, argument.to, "[include:] needs the name of a partial, e.g. [include:card].");
+          return partial;
+      }
+      partial.name = { text: name[2], from: base + name[1].length, to: base + name[0].length };
+
+      const param = /(\s+)([A-Za-z_]\w*)\s*=\s*(?:'[^']*'|"[^"]*")/y;
+      let i = name[0].length;
+      let match;
+      while ((param.lastIndex = i), (match = param.exec(text))) {
+          const from = base + i + match[1].length;
+          partial.params.push({ name: match[2], from, to: from + match[2].length });
+          i = param.lastIndex;
+      }
+
+      const rest = text.slice(i);
+      if (rest.trim() !== "") {
+          report(base + i + rest.length - rest.trimStart().length, argument.to, "Expected name='value' parameters after the partial name, e.g. [include:card title='%acf:title%'].");
+      }
+
+      return partial;
+  }
+
+  // Same alternatives as Expression_Evaluator::TOKEN_REGEX.
+  const EXPRESSION_TOKEN_REGEX =
+      /(?<space>\s+)|(?<tag>%[^%]*%?)|(?<string>'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(?<number>\d+(?:\.\d+)?|\.\d+)|(?<symbol>[-+*\/~()|])/y;
+
+  /**
+   * Parses the argument of a [set:] marker: `name = expression`, following
+   * SET_ARGUMENT_REGEX in Parser.php and the grammar of Expression_Evaluator:
+   * numbers, quoted strings and tags joined by + - * / and ~ (concatenation),
+   * grouped with parentheses, optionally followed by a filter chain for the
+   * whole value. Like parseCondition(), only the first problem is reported.
+   *
+   * @param {object} argument A marker argument ({ text, from, to, tags }).
+   * @returns {{name: ?{text: string, from: number, to: number}, filters: Array<object>, errors: Array<object>}}
+   */
+  function parseSetArgument(argument) {
+      const text = argument.text;
+      const base = argument.from;
+      const assignment = { name: null, filters: [], errors: [] };
+
+      const name = /^(\s*)([A-Za-z_]\w*)\s*(=?)/.exec(text);
+      if (!name) {
+          const start = base + text.length - text.trimStart().length;
+          assignment.errors.push({
+              from: start,
+              to: argument.to,
+              severity: "error",
+              message: "[set:] needs a variable name and a value, e.g. [set:total = %acf:price% * 2].",
+          });
+          return assignment;
+      }
+      assignment.name = { text: name[2], from: base + name[1].length, to: base + name[1].length + name[2].length };
+      if (!name[3]) {
+          assignment.errors.push({
+              from: assignment.name.to,
+              to: argument.to,
+              severity: "error",
+              message: `Expected '=' after '${name[2]}', e.g. [set:${name[2]} = %acf:price% * 2].`,
+          });
+          return assignment;
+      }
+
+      let tokens;
+      let index = 0;
+      const peek = () => tokens[index] || null;
+      const accept = (...values) => {
+          const token = peek();
+          if (token && token.type === "symbol" && values.includes(token.value)) {
+              index++;
+              return token;
           }
-          for (let item of this.items) {
-              if (item.dom.parentNode == this.list) {
-                  while (domPos != item.dom)
-                      rm();
-                  domPos = item.dom.nextSibling;
+          return null;
+      };
+
+      const tokenize = () => {
+          const list = [];
+          let i = name[0].length;
+          while (i < text.length) {
+              EXPRESSION_TOKEN_REGEX.lastIndex = i;
+              const match = EXPRESSION_TOKEN_REGEX.exec(text);
+              if (!match) {
+                  const quote = text[i] === "'" || text[i] === '"';
+                  throw new ConditionError(base + i, argument.to, quote ? `Missing closing ${text[i]} after the value.` : `Unexpected '${text[i]}'.`);
+              }
+              if (match[0] === "|") {
+                  // The rest is the filter chain applied to the whole value.
+                  scanFilterChain(text, i, text.length, base, assignment);
+                  break;
               }
-              else {
-                  this.list.insertBefore(item.dom, domPos);
+              const type = ["tag", "string", "number", "symbol"].find((group) => match.groups[group] !== undefined);
+              if (type) {
+                  list.push({ type, value: match[0], from: base + i, to: base + i + match[0].length });
               }
+              i += match[0].length;
           }
-          while (domPos)
-              rm();
-      }
-      moveSelection(selectedIndex) {
-          if (this.selectedIndex < 0)
+          return list;
+      };
+
+      const parseConcat = () => {
+          parseSum();
+          while (accept("~")) parseSum();
+      };
+      const parseSum = () => {
+          parseProduct();
+          while (accept("+", "-")) parseProduct();
+      };
+      const parseProduct = () => {
+          parseUnary();
+          while (accept("*", "/")) parseUnary();
+      };
+      const parseUnary = () => {
+          if (accept("-")) {
+              parseUnary();
               return;
-          let field = this.view.state.field(lintState);
-          let selection = findDiagnostic(field.diagnostics, this.items[selectedIndex].diagnostic);
-          if (!selection)
+          }
+
+          const open = accept("(");
+          if (open) {
+              parseConcat();
+              if (!accept(")")) {
+                  const next = peek();
+                  throw new ConditionError(open.from, open.to, next ? `Expected ')' before '${next.value}'.` : "Missing ')' for this '('.");
+              }
               return;
-          this.view.dispatch({
-              selection: { anchor: selection.from, head: selection.to },
-              scrollIntoView: true,
-              effects: movePanelSelection.of(selection)
-          });
+          }
+
+          const token = peek();
+          if (!token || token.type === "symbol") {
+              const at = token || tokens[tokens.length - 1];
+              const message = `Expected a tag, a number or a 'text' value ${index === 0 ? "after '='" : "here"}.`;
+              throw new ConditionError(at ? at.from : assignment.name.to, at ? at.to : argument.to, message);
+          }
+          index++;
+      };
+
+      try {
+          tokens = tokenize();
+          parseConcat();
+
+          const next = peek();
+          if (next) {
+              throw new ConditionError(
+                  next.from,
+                  next.to,
+                  next.value === ")" ? "Unexpected ')' without a matching '('." : `Expected an operator (+ - * / ~) or '|' before '${next.value}'.`
+              );
+          }
+      } catch (e) {
+          if (!(e instanceof ConditionError)) throw e;
+          assignment.errors.push({ from: e.from, to: Math.max(e.to, e.from), severity: e.severity, message: e.message });
       }
-      static open(view) { return new LintPanel(view); }
+
+      return assignment;
   }
-  function svg(content, attrs = `viewBox="0 0 40 40"`) {
-      return `url('data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" ${attrs}>${encodeURIComponent(content)}</svg>')`;
+
+  /**
+   * Scans the tag or block marker starting at index `i`, or returns null when
+   * the character there is ordinary text.
+   */
+  function scanSyntaxAt(text, i, offset) {
+      if (text[i] === "%") return scanTag(text, i, offset);
+      if (text[i] === "[") return scanMarker(text, i, offset);
+      return null;
   }
-  function underline(color) {
-      return svg(`<path d="m0 2.5 l2 -1.5 l1 0 l2 1.5 l1 0" stroke="${color}" fill="none" stroke-width=".7"/>`, `width="6" height="3"`);
+
+  /**
+   * Finds where the next tag or block marker starts. The editor grammar's
+   * Text tokenizer uses this, so highlighting stops at exactly the places
+   * this parser treats as syntax.
+   *
+   * @param {string} text
+   * @param {number} [from=0] Index to start searching at.
+   * @returns {number} Index of the first tag or marker, or -1.
+   */
+  function findSyntaxStart(text, from = 0) {
+      for (let i = from; i < text.length; i++) {
+          if (scanSyntaxAt(text, i, 0)) {
+              return i;
+          }
+      }
+      return -1;
   }
-  const baseTheme = /*@__PURE__*/EditorView.baseTheme({
-      ".cm-diagnostic": {
-          padding: "3px 6px 3px 8px",
-          marginLeft: "-1px",
-          display: "block",
-          whiteSpace: "pre-wrap"
-      },
-      ".cm-diagnostic-error": { borderLeft: "5px solid #d11" },
-      ".cm-diagnostic-warning": { borderLeft: "5px solid orange" },
-      ".cm-diagnostic-info": { borderLeft: "5px solid #999" },
-      ".cm-diagnostic-hint": { borderLeft: "5px solid #66d" },
-      ".cm-diagnosticAction": {
-          font: "inherit",
-          border: "none",
-          padding: "2px 4px",
-          backgroundColor: "#444",
-          color: "white",
-          borderRadius: "3px",
-          marginLeft: "8px",
-          cursor: "pointer"
-      },
-      ".cm-diagnosticSource": {
-          fontSize: "70%",
-          opacity: .7
-      },
-      ".cm-lintRange": {
-          backgroundPosition: "left bottom",
-          backgroundRepeat: "repeat-x",
-          paddingBottom: "0.7px",
-      },
-      ".cm-lintRange-error": { backgroundImage: /*@__PURE__*/underline("#d11") },
-      ".cm-lintRange-warning": { backgroundImage: /*@__PURE__*/underline("orange") },
-      ".cm-lintRange-info": { backgroundImage: /*@__PURE__*/underline("#999") },
-      ".cm-lintRange-hint": { backgroundImage: /*@__PURE__*/underline("#66d") },
-      ".cm-lintRange-active": { backgroundColor: "#ffdd9980" },
-      ".cm-tooltip-lint": {
-          padding: 0,
-          margin: 0
-      },
-      ".cm-lintPoint": {
-          position: "relative",
-          "&:after": {
-              content: '""',
-              position: "absolute",
-              bottom: 0,
-              left: "-2px",
-              borderLeft: "3px solid transparent",
-              borderRight: "3px solid transparent",
-              borderBottom: "4px solid #d11"
+
+  /**
+   * Splits a template into a flat list of text, tag and marker tokens.
+   *
+   * @param {string} text The template source.
+   * @param {number} [offset=0] Document position of the first character.
+   * @returns {Array<object>} Tokens in document order.
+   */
+  function tokenizeTemplate(text, offset = 0) {
+      const tokens = [];
+      let textStart = 0;
+      let i = 0;
+
+      const flushText = (end) => {
+          if (end > textStart) {
+              tokens.push({ type: "text", from: offset + textStart, to: offset + end });
           }
-      },
-      ".cm-lintPoint-warning": {
-          "&:after": { borderBottomColor: "orange" }
-      },
-      ".cm-lintPoint-info": {
-          "&:after": { borderBottomColor: "#999" }
-      },
-      ".cm-lintPoint-hint": {
-          "&:after": { borderBottomColor: "#66d" }
-      },
-      ".cm-panel.cm-panel-lint": {
-          position: "relative",
-          "& ul": {
-              maxHeight: "100px",
-              overflowY: "auto",
-              "& [aria-selected]": {
-                  backgroundColor: "#ddd",
-                  "& u": { textDecoration: "underline" }
-              },
-              "&:focus [aria-selected]": {
-                  background_fallback: "#bdf",
-                  backgroundColor: "Highlight",
-                  color_fallback: "white",
-                  color: "HighlightText"
-              },
-              "& u": { textDecoration: "none" },
-              padding: 0,
-              margin: 0
-          },
-          "& [name=close]": {
-              position: "absolute",
-              top: "0",
-              right: "2px",
-              background: "inherit",
-              border: "none",
-              font: "inherit",
-              padding: 0,
-              margin: 0
+      };
+
+      while (i < text.length) {
+          const token = scanSyntaxAt(text, i, offset);
+
+          if (token) {
+              flushText(i);
+              tokens.push(token);
+              i = token.to - offset;
+              textStart = i;
+          } else {
+              i++;
+          }
+      }
+
+      flushText(text.length);
+      return tokens;
+  }
+
+  /**
+   * Nests the flat token list into [if], [fallback], [each], [layout] and [with] blocks,
+   * and turns [include:] and [set:] markers into include and set nodes.
+   * Unclosed blocks run to the end of the input with `close: null`;
+   * markers that do not belong to any open block are kept with `stray: true`.
+   */
+  function buildTree(tokens, end) {
+      const root = { type: "template", children: [] };
+      const stack = [{ node: root, children: root.children }];
+      const top = () => stack[stack.length - 1];
+
+      const closeBlock = (type, marker) => {
+          for (let depth = stack.length - 1; depth > 0; depth--) {
+              if (stack[depth].node.type === type) {
+                  // Blocks opened after the matching one stay unclosed.
+                  stack[depth].node.close = marker;
+                  stack[depth].node.to = marker.to;
+                  stack.length = depth;
+                  return true;
+              }
+          }
+          return false;
+      };
+
+      for (const token of tokens) {
+          if (token.type !== "marker") {
+              top().children.push(token);
+              continue;
+          }
+
+          switch (token.name) {
+              case "if": {
+                  const branch = { marker: token, condition: token.argument, children: [] };
+                  const node = { type: "if", from: token.from, to: end, branches: [branch], close: null };
+                  top().children.push(node);
+                  stack.push({ node, children: branch.children });
+                  break;
+              }
+              case "else if":
+              case "else": {
+                  const frame = top();
+                  if (frame.node.type === "if") {
+                      const branch = { marker: token, condition: token.argument, children: [] };
+                      frame.node.branches.push(branch);
+                      frame.children = branch.children;
+                  } else {
+                      token.stray = true;
+                      frame.children.push(token);
+                  }
+                  break;
+              }
+              case "fallback": {
+                  // Parser::FALLBACK_BLOCK_REGEX requires the tag right before [fallback].
+                  const siblings = top().children;
+                  const previous = siblings[siblings.length - 1];
+                  const target = previous && previous.type === "tag" && previous.to === token.from ? siblings.pop() : null;
+                  const node = {
+                      type: "fallback",
+                      from: target ? target.from : token.from,
+                      to: end,
+                      target,
+                      open: token,
+                      children: [],
+                      close: null,
+                  };
+                  siblings.push(node);
+                  stack.push({ node, children: node.children });
+                  break;
+              }
+              case "each": {
+                  const node = {
+                      type: "each",
+                      from: token.from,
+                      to: end,
+                      open: token,
+                      // An empty argument is reported by validateBlocks()
+                      loop: token.argument && token.argument.text.trim() ? parseLoopArgument(token.argument) : null,
+                      children: [],
+                      close: null,
+                  };
+                  top().children.push(node);
+                  stack.push({ node, children: node.children });
+                  break;
+              }
+              case "layout": {
+                  const node = {
+                      type: "layout",
+                      from: token.from,
+                      to: end,
+                      open: token,
+                      name: token.argument ? token.argument.text.trim() : "",
+                      children: [],
+                      close: null,
+                  };
+                  top().children.push(node);
+                  stack.push({ node, children: node.children });
+                  break;
+              }
+              case "include":
+                  top().children.push({
+                      type: "include",
+                      from: token.from,
+                      to: token.to,
+                      marker: token,
+                      // An empty argument is reported by validateBlocks()
+                      partial: token.argument && token.argument.text.trim() ? parseIncludeArgument(token.argument) : null,
+                  });
+                  break;
+              case "set":
+                  top().children.push({
+                      type: "set",
+                      from: token.from,
+                      to: token.to,
+                      marker: token,
+                      // An empty argument is reported by validateBlocks()
+                      assignment: token.argument && token.argument.text.trim() ? parseSetArgument(token.argument) : null,
+                  });
+                  break;
+              case "with": {
+                  const node = {
+                      type: "with",
+                      from: token.from,
+                      to: end,
+                      open: token,
+                      context: token.argument && token.argument.text.trim() ? parseContextArgument(token.argument) : null,
+                      children: [],
+                      close: null,
+                  };
+                  top().children.push(node);
+                  stack.push({ node, children: node.children });
+                  break;
+              }
+              case "/if":
+              case "/fallback":
+              case "/each":
+              case "/layout":
+              case "/with":
+                  if (!closeBlock(token.name.slice(1), token)) {
+                      token.stray = true;
+                      top().children.push(token);
+                  }
+                  break;
+              default:
+                  token.stray = true;
+                  top().children.push(token);
+          }
+      }
+
+      return root;
+  }
+
+  /**
+   * Visits every node of the tree in document order, including the tags
+   * inside conditions and the target tag of a [fallback] block.
+   *
+   * @param {Array<object>} nodes
+   * @param {function(object): void} visit
+   */
+  function walkTemplate(nodes, visit) {
+      const visitMarker = (marker) => {
+          visit(marker);
+          if (marker.argument) walkTemplate(marker.argument.tags, visit);
+      };
+
+      for (const node of nodes) {
+          if (node.type === "marker") {
+              visitMarker(node);
+              continue;
           }
-      }
-  });
-  function severityWeight(sev) {
-      return sev == "error" ? 4 : sev == "warning" ? 3 : sev == "info" ? 2 : 1;
+          visit(node);
+          if (node.type === "include" || node.type === "set") {
+              visitMarker(node.marker);
+          } else if (node.type === "if") {
+              for (const branch of node.branches) {
+                  visitMarker(branch.marker);
+                  walkTemplate(branch.children, visit);
+              }
+              if (node.close) visitMarker(node.close);
+          } else if (node.type === "fallback") {
+              if (node.target) visit(node.target);
+              visitMarker(node.open);
+              walkTemplate(node.children, visit);
+              if (node.close) visitMarker(node.close);
+          } else if (node.type === "each" || node.type === "layout" || node.type === "with") {
+              visitMarker(node.open);
+              walkTemplate(node.children, visit);
+              if (node.close) visitMarker(node.close);
+          }
+      }
+  }
+
+  /**
+   * Parses a template into a syntax tree.
+   *
+   * @param {string} text The template source.
+   * @param {number} [offset=0] Document position of the first character.
+   * @returns {{type: string, from: number, to: number, children: Array<object>, tags: Array<object>, markers: Array<object>}}
+   *   The root node, plus flat lists of every tag and block marker in document order.
+   */
+  function parseTemplate(text, offset = 0) {
+      const end = offset + text.length;
+      const root = buildTree(tokenizeTemplate(text, offset), end);
+      root.from = offset;
+      root.to = end;
+      root.tags = [];
+      root.markers = [];
+
+      walkTemplate(root.children, (node) => {
+          if (node.type === "tag") root.tags.push(node);
+          else if (node.type === "marker") root.markers.push(node);
+      });
+
+      return root;
   }
-  function maxSeverity(diagnostics) {
-      let sev = "hint", weight = 1;
-      for (let d of diagnostics) {
-          let w = severityWeight(d.severity);
-          if (w > weight) {
-              weight = w;
-              sev = d.severity;
+
+  /**
+   * Returns the unclosed tag that ends exactly at `pos`, i.e. the tag the
+   * user is typing, or null.
+   */
+  function tagBeingTyped(tree, pos) {
+      for (let i = tree.tags.length - 1; i >= 0; i--) {
+          const tag = tree.tags[i];
+          if (tag.to === pos) {
+              return tag.closed ? null : tag;
           }
       }
-      return sev;
+      return null;
   }
-  class LintGutterMarker extends GutterMarker {
-      constructor(diagnostics) {
-          super();
-          this.diagnostics = diagnostics;
-          this.severity = maxSeverity(diagnostics);
-      }
-      toDOM(view) {
-          let elt = document.createElement("div");
-          elt.className = "cm-lint-marker cm-lint-marker-" + this.severity;
-          let diagnostics = this.diagnostics;
-          let diagnosticsFilter = view.state.facet(lintGutterConfig).tooltipFilter;
-          if (diagnosticsFilter)
-              diagnostics = diagnosticsFilter(diagnostics, view.state);
-          if (diagnostics.length)
-              elt.onmouseover = () => gutterMarkerMouseOver(view, elt, diagnostics);
-          return elt;
+
+  /**
+   * Returns the complete tag under `pos`, e.g. for hover tooltips, or null.
+   *
+   * @param {object} tree The root returned by parseTemplate().
+   * @param {number} pos
+   * @param {number} [side=0] -1 or 1 to ignore a tag that only touches `pos`
+   *   on the other side, like CodeMirror's hover sides.
+   */
+  function tagAt(tree, pos, side = 0) {
+      for (const tag of tree.tags) {
+          if (!tag.closed || pos < tag.from || pos > tag.to) continue;
+          if ((pos === tag.from && side < 0) || (pos === tag.to && side > 0)) continue;
+          return tag;
       }
+      return null;
   }
-  function trackHoverOn(view, marker) {
-      let mousemove = (event) => {
-          let rect = marker.getBoundingClientRect();
-          if (event.clientX > rect.left - 10 /* Hover.Margin */ && event.clientX < rect.right + 10 /* Hover.Margin */ &&
-              event.clientY > rect.top - 10 /* Hover.Margin */ && event.clientY < rect.bottom + 10 /* Hover.Margin */)
-              return;
-          for (let target = event.target; target; target = target.parentNode) {
-              if (target.nodeType == 1 && target.classList.contains("cm-tooltip-lint"))
-                  return;
+
+  /**
+   * Returns the [each], [layout] and [with] blocks whose body contains `pos`,
+   * outermost first. They decide what %sub:% and %acf:% refer to.
+   */
+  function blocksAt(tree, pos) {
+      const blocks = [];
+      walkTemplate(tree.children, (node) => {
+          if ((node.type === "each" || node.type === "layout" || node.type === "with") && node.open.to <= pos && (!node.close || pos <= node.close.from)) {
+              blocks.push(node);
           }
-          window.removeEventListener("mousemove", mousemove);
-          if (view.state.field(lintGutterTooltip))
-              view.dispatch({ effects: setLintGutterTooltip.of(null) });
-      };
-      window.addEventListener("mousemove", mousemove);
+      });
+      return blocks;
   }
-  function gutterMarkerMouseOver(view, marker, diagnostics) {
-      function hovered() {
-          let line = view.elementAtHeight(marker.getBoundingClientRect().top + 5 - view.documentTop);
-          const linePos = view.coordsAtPos(line.from);
-          if (linePos) {
-              view.dispatch({ effects: setLintGutterTooltip.of({
-                      pos: line.from,
-                      above: false,
-                      clip: false,
-                      create() {
-                          return {
-                              dom: diagnosticsTooltip(view, diagnostics),
-                              getCoords: () => marker.getBoundingClientRect()
-                          };
-                      }
-                  }) });
+
+  /**
+   * Returns the [set] nodes whose variable %var:% can read at `pos`: those of
+   * the [each] or [with] body around `pos` and of every block enclosing it,
+   * as Parser::process_var_tag() looks them up. Inside a [set:] marker only
+   * the earlier ones count, since markers are evaluated in document order.
+   */
+  function variablesAt(tree, pos) {
+      const scopes = blocksAt(tree, pos).filter((block) => block.type !== "layout");
+      const sets = [];
+      walkTemplate(tree.children, (node) => {
+          if (node.type === "set" && node.assignment && node.assignment.name) sets.push(node);
+      });
+
+      const current = sets.find((node) => node.from < pos && pos < node.to);
+      return sets.filter((node) => {
+          if (current && node.from >= current.from) return false;
+          // The innermost [each] or [with] block around the marker is its scope.
+          const owner = blocksAt(tree, node.from).filter((block) => block.type !== "layout").pop();
+          return !owner || scopes.includes(owner);
+      });
+  }
+
+  /**
+   * Finds the filter whose argument list contains `pos`, for signature help.
+   *
+   * @returns {?{tag: object, filter: object, argIndex: number}} The filter and
+   *   the index of the argument under the cursor, or null outside any "(...)".
+   */
+  function filterCallAt(tree, pos) {
+      for (const tag of tree.tags) {
+          if (pos < tag.from || pos > tag.to) continue;
+
+          for (const filter of tag.filters) {
+              if (!filter.parens || pos <= filter.parens.open) continue;
+              const end = filter.parens.close !== null ? filter.parens.close : filter.to;
+              if (pos <= end) {
+                  return { tag, filter, argIndex: filter.commas.filter((comma) => comma < pos).length };
+              }
           }
-          marker.onmouseout = marker.onmousemove = null;
-          trackHoverOn(view, marker);
       }
-      let { hoverTime } = view.state.facet(lintGutterConfig);
-      let hoverTimeout = setTimeout(hovered, hoverTime);
-      marker.onmouseout = () => {
-          clearTimeout(hoverTimeout);
-          marker.onmouseout = marker.onmousemove = null;
-      };
-      marker.onmousemove = () => {
-          clearTimeout(hoverTimeout);
-          hoverTimeout = setTimeout(hovered, hoverTime);
-      };
+      return null;
   }
-  function markersForDiagnostics(doc, diagnostics) {
-      let byLine = Object.create(null);
-      for (let diagnostic of diagnostics) {
-          let line = doc.lineAt(diagnostic.from);
-          (byLine[line.from] || (byLine[line.from] = [])).push(diagnostic);
-      }
-      let markers = [];
-      for (let line in byLine) {
-          markers.push(new LintGutterMarker(byLine[line]).range(+line));
+
+  // src/js/dataengine-tokens.js
+
+
+  /**
+   * Reads the rest of the current line (including its newline) from the
+   * input stream, starting at `offset`.
+   */
+  function readLine(input, offset) {
+      let line = "";
+      for (let ch = input.peek(offset); ch >= 0; ch = input.peek(++offset)) {
+          line += String.fromCharCode(ch);
+          if (ch === 10) break;
       }
-      return RangeSet.of(markers, true);
+      return line;
   }
-  const lintGutterExtension = /*@__PURE__*/gutter({
-      class: "cm-gutter-lint",
-      markers: view => view.state.field(lintGutterMarkers),
-      widgetMarker: (view, widget, block) => {
-          let diagnostics = [];
-          view.state.field(lintGutterMarkers).between(block.from, block.to, (from, to, value) => {
-              if (from > block.from && from < block.to)
-                  diagnostics.push(...value.diagnostics);
-          });
-          return diagnostics.length ? new LintGutterMarker(diagnostics) : null;
+
+  /**
+   * Text is everything up to the next tag or block marker. Where that is
+   * decided by the shared template parser, so the grammar never highlights
+   * something the linter treats as plain text (or the other way around).
+   */
+  const templateText = new ExternalTokenizer((input, stack) => {
+      if (!stack.canShift(Text)) return;
+
+      let length = 0;
+      for (;;) {
+          const line = readLine(input, length);
+          if (!line) break;
+
+          const start = findSyntaxStart(line);
+          if (start >= 0) {
+              length += start;
+              break;
+          }
+          length += line.length;
+      }
+
+      if (length > 0) {
+          input.acceptToken(Text, length);
       }
   });
-  const lintGutterMarkers = /*@__PURE__*/StateField.define({
-      create() {
-          return RangeSet.empty;
+
+  // This file was generated by lezer-generator. You probably shouldn't edit it.
+  const parser = LRParser.deserialize({
+    version: 14,
+    states: "-zQQOROOOlOQO'#C_OqOSO'#CsO|ORO'#CrO!ZORO'#D`O#bOSO'#C}O#mORO'#C|O#tOSO'#DRO#|ORO'#DQO$TOSO'#DUO$`ORO'#DTO$gOSO'#DVO$rOSO'#DWOOOP'#D`'#D`OOOP'#DX'#DXQQOROOOOOO'#Ca'#CaO$}OQO,58yOOOO'#D]'#D]O%SOSO'#CtO%_OQO,59_OqOSO'#CvO%dORO'#D^O%qOQO,59^OOOP,59^,59^O%|ORO,59^O&TORO,59^O&bORO,59eO&iOSO'#DOO&tOQO,59iOOOP,59h,59hO&yORO,59hOOOP,59m,59mO'QOQO,59mOOOP,59l,59lO'VORO,59lO'^OSO,59pOOOP,59p,59pOOOP,59o,59oO'iORO,59oO'pOSO,59qOOOP,59q,59qO'{OSO,59rOOOP,59r,59rOOOP-E7V-E7VO(WOWO1G.eOOOO-E7Z-E7ZOOOP1G.y1G.yO(cOQO,59bO(hORO,59xOOOO-E7[-E7[OOOP1G.x1G.xO(uORO1G.xO(uORO1G.xO(|OQO1G.xOOOP1G/P1G/PO)XORO1G/POOOP1G/T1G/TOOOP1G/S1G/SOOOP1G/X1G/XOOOP1G/W1G/WOOOP1G/[1G/[OOOP1G/Z1G/ZOOOP1G/]1G/]OOOP1G/^1G/^OOOO'#Cd'#CdO)`OWO'#CcO)kOWO'#CgOOOO'#DZ'#DZO)yOWO7+$POOOP7+$P7+$PO)yOWO7+$POOOP1G.|1G.|OOOP7+$d7+$dO*RORO7+$dO*RORO7+$dOOOP7+$k7+$kO*YOQO'#DYO*_OWO,58}OOOO'#Ci'#CiO*jO`O'#CkOOOO,59R,59RO*xOWO,59ROOOO-E7X-E7XOOOP<<Gk<<GkO+TOWO<<GkOOOP<<HO<<HOO+]ORO<<HOOOOO'#Cf'#CfOOOO,59t,59tOOOO-E7W-E7WOOOO'#D['#D[O+dO`O,59VOOOO,59V,59VOOOO1G.m1G.mOOOPAN=VAN=VOOOPAN=jAN=jOOOO-E7Y-E7YOOOO1G.q1G.q",
+    stateData: "+r~OP]OSPO!VQO!XTO!YVO!ZXO![ZO!][O~O!T`O~OSPOibO!UhP~OehOkiO!WeO~PQOnkOP!SXS!SX!R!SX!V!SX!X!SX!Y!SX!Z!SX![!SX!]!SXe!SXk!SX!W!SXo!SXs!SXv!SXl!SX~OSPOibO!UrP~OonO~PQOiqO!UpO~OsrO~PQOSPOibO!UuO~OvvO~PQOSPOibO!UyO~OSPOibO!U{O~OU}O~OSPOibO!UhX~O!U!PO~Oe!QXk!QX!W!QX~PQOe!TOk!UO!WeO~Oe!TO~PQOe!TOk!UO!WeO~PQOl!XO~PQOSPOibO!UrX~O!U!ZO~Oo![O~PQO!U!]O~Os!^O~PQOSPOibO!U!_O~Ov!`O~PQOSPOibO!U!aO~OSPOibO!U!bO~O[!eOd!hO!T!cO~O!U!jO~Oe!Qak!Qa!W!Qa~PQOe!kO~PQOe!kOk!mO!WeO~Ol!nO~PQOX!oO[VXdVX~O`!rO!T!qO[ZXdZX~O[!eOd!vO~Oe!xO~PQO!T!zO~OX!oO[VadVa~O^#POa!}Ob!}Oc!}O~O`!rO[ZadZa~O[!eOd#RO~Oe#SO~PQO^#UOa!}Ob!}Oc!}O~O",
+    goto: "(t!TPPP!UP!yP!|#PP#S#VP#]P#`PPPPPP#f#|$dP$jPP#fPP#f$p%WP#f%ZP#f%q#f#f&X'T'Z'e'k(SP(^xSORUWY_fijkosw!R!U!V!Y!l!m!ygbQTXZ[celtxzRaPR!i}R!d}R!{!oX!f}!g!i!wR!t!eQ!s!eR#Q!ty]ORUWY_fijkosw!R!U!V!Y!l!m!yyRORUWY_fijkosw!R!U!V!Y!l!m!yQdQR!QeXfRgj!WyUORUWY_fijkosw!R!U!V!Y!l!m!yRmTyWORUWY_fijkosw!R!U!V!Y!l!m!yyYORUWY_fijkosw!R!U!V!Y!l!m!yQ_OQjRQoUQsWQwYd|_josw!R!V!Y!l!yQ!RfQ!ViQ!YkQ!l!UR!y!mQ!p!dR!|!pQ!g}S!u!g!wR!w!iQ#O!rR#T#OScQeQlTQtXQxZQz[Z!OcltxzQgRS!Sg!WR!Wjy^ORUWY_fijkosw!R!U!V!Y!l!m!y",
+    nodeNames: "⚠ Text Template Tag TagStart SourceName TagSeparator FieldPath FieldName PathDot PropertyName Filter Pipe FilterName ArgClose ArgList ArgOpen String ArgText ArgSeparator TagEnd IfClose IfBlock IfOpen Condition ConditionText ElseIfOpen ElseOpen FallbackClose FallbackBlock FallbackOpen EachClose EachBlock EachOpen LoopSource LayoutClose LayoutBlock LayoutOpen WithClose WithBlock WithOpen Include SetMarker",
+    maxTerm: 59,
+    skippedNodes: [0],
+    repeatNodeCount: 6,
+    tokenData: "#8R_RqOX#YXY%{Zp#Ypq%{qr#Yrs*Tsu#Yuv,Zvw#Ywx,bxy'jyz-xz|#Y|}.c}!O.|!O!P0q!P!Q#Y!Q![.|![!]1y!]!c#Y!c!}.|!}#O3R#O#P#Y#P#Q#7_#Q#R#Y#R#S.|#S#T#Y#T#o.|#o#p#Y#p#q(r#q;'S#Y;'S;=`%u<%lO#YY#a_bWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YQ$eUiQOY$`Zu$`v#P$`#Q;'S$`;'S;=`$w<%lO$`Q$zP;=`<%l$`W%SXbWOY$}Zr$}su$}vw$}xy$}z|$}};'S$};'S;=`%o<%lO$}W%rP;=`<%l$}Y%xP;=`<%l#Y^&SebWiQOX#YXY%{Zp#Ypq%{qr#Yrs$`su#Yuv'evw#Ywx$`xy'jyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#p#Y#p#q(r#q;'S#Y;'S;=`%u<%lO#YS'jOdS^'s_`SbWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#Y^({bbWiQ[SOX#YXY(rZp#Ypq(rqr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YY*YXiQOY*TZr*Trs*usu*Tv#P*T#P#Q+`#Q;'S*T;'S;=`,T<%lO*TY*|UiQaWOY$`Zu$`v#P$`#Q;'S$`;'S;=`$w<%lO$`W+cVOY+`Zr+`rs+xsu+`v;'S+`;'S;=`+}<%lO+`W+}OaWW,QP;=`<%l+`Y,WP;=`<%l*TV,bOdSSRY,gXiQOY,bZu,bvw,bwx*ux#P,b#P#Q-S#Q;'S,b;'S;=`-r<%lO,bW-VVOY-SZu-Svw-Swx+xx;'S-S;'S;=`-l<%lO-SW-oP;=`<%l-SY-uP;=`<%l,bY.PU^WiQOY$`Zu$`v#P$`#Q;'S$`;'S;=`$w<%lO$`Y.jUcWiQOY$`Zu$`v#P$`#Q;'S$`;'S;=`$w<%lO$`_/VhbWiQ!TTOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}!O.|!O!Q#Y!Q![.|![!c#Y!c!}.|!}#P#Y#P#Q$}#Q#R#Y#R#S.|#S#T#Y#T#o.|#o;'S#Y;'S;=`%u<%lO#Y^0z_bWiQXSOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YZ2S_bWiQUPOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YZ3YlbWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}!P#Y!P!Q5Q!Q#P#Y#P#Q$}#Q#X#Y#X#Y!*R#Y#Z!:V#Z#]#Y#]#^!Dw#^#`#Y#`#a##c#a#g#Y#g#h#,V#h#k#Y#k#l#1T#l;'S#Y;'S;=`%u<%lO#YZ5XhbWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#X#Y#X#Y6s#Y#Z<c#Z#]#Y#]#^GT#^#`#Y#`#aJZ#a#k#Y#k#l!$c#l;'S#Y;'S;=`%u<%lO#YZ6zabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#T#Y#T#U8P#U;'S#Y;'S;=`%u<%lO#YZ8WabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#V#Y#V#W9]#W;'S#Y;'S;=`%u<%lO#YZ9dabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#[#Y#[#]:i#];'S#Y;'S;=`%u<%lO#YZ:p_bWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q;o#Q;'S#Y;'S;=`%u<%lO#YX;vXbWoPOY$}Zr$}su$}vw$}xy$}z|$}};'S$};'S;=`%o<%lO$}Z<jabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#T#Y#T#U=o#U;'S#Y;'S;=`%u<%lO#YZ=vabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#`#Y#`#a>{#a;'S#Y;'S;=`%u<%lO#YZ?SabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#`#Y#`#a@X#a;'S#Y;'S;=`%u<%lO#YZ@`abWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#U#Y#U#VAe#V;'S#Y;'S;=`%u<%lO#YZAlabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#T#Y#T#UBq#U;'S#Y;'S;=`%u<%lO#YZBxabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#V#Y#V#WC}#W;'S#Y;'S;=`%u<%lO#YZDUabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#_#Y#_#`EZ#`;'S#Y;'S;=`%u<%lO#YZEb_bWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#QFa#Q;'S#Y;'S;=`%u<%lO#YXFhXbWlPOY$}Zr$}su$}vw$}xy$}z|$}};'S$};'S;=`%o<%lO$}ZG[abWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#Y#Y#Y#ZHa#Z;'S#Y;'S;=`%u<%lO#YZHh_bWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#QIg#Q;'S#Y;'S;=`%u<%lO#YXInXbWePOY$}Zr$}su$}vw$}xy$}z|$}};'S$};'S;=`%o<%lO$}ZJbabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#T#Y#T#UKg#U;'S#Y;'S;=`%u<%lO#YZKnabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#m#Y#m#nLs#n;'S#Y;'S;=`%u<%lO#YZLzabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#c#Y#c#dNP#d;'S#Y;'S;=`%u<%lO#YZNWabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#i#Y#i#j! ]#j;'S#Y;'S;=`%u<%lO#YZ! dabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#h#Y#h#i!!i#i;'S#Y;'S;=`%u<%lO#YZ!!p_bWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q!#o#Q;'S#Y;'S;=`%u<%lO#YX!#vXbWsPOY$}Zr$}su$}vw$}xy$}z|$}};'S$};'S;=`%o<%lO$}Z!$jabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#]#Y#]#^!%o#^;'S#Y;'S;=`%u<%lO#YZ!%vabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#h#Y#h#i!&{#i;'S#Y;'S;=`%u<%lO#YZ!'SabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#[#Y#[#]!(X#];'S#Y;'S;=`%u<%lO#YZ!(`_bWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q!)_#Q;'S#Y;'S;=`%u<%lO#YX!)fXbWvPOY$}Zr$}su$}vw$}xy$}z|$}};'S$};'S;=`%o<%lO$}Z!*YcbWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#T#Y#T#U!+e#U#`#Y#`#a!0c#a;'S#Y;'S;=`%u<%lO#YZ!+labWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#V#Y#V#W!,q#W;'S#Y;'S;=`%u<%lO#YZ!,xabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#[#Y#[#]!-}#];'S#Y;'S;=`%u<%lO#YZ!.UabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}![#Y![!]!/Z!]#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YZ!/d_bWiQ!XPOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YZ!0jabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#g#Y#g#h!1o#h;'S#Y;'S;=`%u<%lO#YZ!1vabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#X#Y#X#Y!2{#Y;'S#Y;'S;=`%u<%lO#YZ!3SbbWiQOX#YXY!4[Zp#Ypq!4[qr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q!9c#Q;'S#Y;'S;=`%u<%lO#YZ!4cdbWiQOX#YXY!4[Zp#Ypq!4[qr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#]#Y#]#^!5q#^;'S#Y;'S;=`%u<%lO#YZ!5xabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#Y#Y#Y#Z!6}#Z;'S#Y;'S;=`%u<%lO#YZ!7UabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}![#Y![!]!8Z!]#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YZ!8d_bWiQ!WPOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YX!9jXbWkPOY$}Zr$}su$}vw$}xy$}z|$}};'S$};'S;=`%o<%lO$}Z!:^abWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#T#Y#T#U!;c#U;'S#Y;'S;=`%u<%lO#YZ!;jabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#`#Y#`#a!<o#a;'S#Y;'S;=`%u<%lO#YZ!<vabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#`#Y#`#a!={#a;'S#Y;'S;=`%u<%lO#YZ!>SabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#U#Y#U#V!?X#V;'S#Y;'S;=`%u<%lO#YZ!?`abWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#T#Y#T#U!@e#U;'S#Y;'S;=`%u<%lO#YZ!@labWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#V#Y#V#W!Aq#W;'S#Y;'S;=`%u<%lO#YZ!AxabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#_#Y#_#`!B}#`;'S#Y;'S;=`%u<%lO#YZ!CU_bWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q!DT#Q;'S#Y;'S;=`%u<%lO#YX!D[XbWnPOY$}Zr$}su$}vw$}xy$}z|$}};'S$};'S;=`%o<%lO$}Z!EOcbWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#Y#Y#Y#Z!FZ#Z#b#Y#b#c!Ho#c;'S#Y;'S;=`%u<%lO#YZ!FbabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}![#Y![!]!Gg!]#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YZ!Gp_bWiQ!VPOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YZ!HvabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#V#Y#V#W!I{#W;'S#Y;'S;=`%u<%lO#YZ!JSabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#`#Y#`#a!KX#a;'S#Y;'S;=`%u<%lO#YZ!K`abWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#i#Y#i#j!Le#j;'S#Y;'S;=`%u<%lO#YZ!LlabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#W#Y#W#X!Mq#X;'S#Y;'S;=`%u<%lO#YZ!MxabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#X#Y#X#Y!N}#Y;'S#Y;'S;=`%u<%lO#YZ# UabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}![#Y![!]#!Z!]#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YZ#!d_bWiQ![POY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YZ##jabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#T#Y#T#U#$o#U;'S#Y;'S;=`%u<%lO#YZ#$vabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#m#Y#m#n#%{#n;'S#Y;'S;=`%u<%lO#YZ#&SabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#c#Y#c#d#'X#d;'S#Y;'S;=`%u<%lO#YZ#'`abWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#i#Y#i#j#(e#j;'S#Y;'S;=`%u<%lO#YZ#(labWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#h#Y#h#i#)q#i;'S#Y;'S;=`%u<%lO#YZ#)xabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}![#Y![!]#*}!]#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YZ#+W_bWiQ!YPOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YZ#,^abWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#X#Y#X#Y#-c#Y;'S#Y;'S;=`%u<%lO#YZ#-jabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#h#Y#h#i#.o#i;'S#Y;'S;=`%u<%lO#YZ#.vabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}![#Y![!]#/{!]#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YZ#0U_bWiQ!]POY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YZ#1[abWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#]#Y#]#^#2a#^;'S#Y;'S;=`%u<%lO#YZ#2habWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#h#Y#h#i#3m#i;'S#Y;'S;=`%u<%lO#YZ#3tabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q#[#Y#[#]#4y#];'S#Y;'S;=`%u<%lO#YZ#5QabWiQOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}![#Y![!]#6V!]#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YZ#6`_bWiQ!ZPOY#YZr#Yrs$`su#Yvw#Ywx$`xy#Yyz$`z|#Y|}$`}#P#Y#P#Q$}#Q;'S#Y;'S;=`%u<%lO#YZ#7fXbW!UROY$}Zr$}su$}vw$}xy$}z|$}};'S$};'S;=`%o<%lO$}",
+    tokenizers: [templateText, 0, 1, 2, 3],
+    topRules: {"Template":[0,2]},
+    tokenPrec: 0
+  });
+
+  // src/js/dataengine-language.js
+
+
+  /**
+   * ========================================================================
+   * DataEngine Language for CodeMirror 6
+   * ========================================================================
+   * The template grammar is the outer language; HTML is parsed over its Text
+   * nodes with parseMixed. Both parsers are incremental, and tags inside HTML
+   * attributes (src="%acf:image.url%") are highlighted like any other tag.
+   */
+
+  // Highlight tags of our own, so the one-dark theme does not restyle them.
+  const dataEngineTags = {
+      delim: Tag.define(),
+      source: Tag.define(),
+      separator: Tag.define(),
+      field: Tag.define(),
+      property: Tag.define(),
+      pipe: Tag.define(),
+      filter: Tag.define(),
+      argument: Tag.define(),
+      conditional: Tag.define(),
+  };
+
+  const t = dataEngineTags;
+
+  // The matching colours live in the cm-de-* rules of the editor theme.
+  const dataEngineHighlighting = syntaxHighlighting(
+      HighlightStyle.define([
+          { tag: t.delim, class: "cm-de-delim" },
+          { tag: t.source, class: "cm-de-source" },
+          { tag: t.separator, class: "cm-de-separator" },
+          { tag: t.field, class: "cm-de-field" },
+          { tag: t.property, class: "cm-de-property" },
+          { tag: t.pipe, class: "cm-de-pipe" },
+          { tag: t.filter, class: "cm-de-filter" },
+          { tag: t.argument, class: "cm-de-argument" },
+          { tag: t.conditional, class: "cm-de-conditional" },
+      ])
+  );
+
+  /**
+   * Folds a block from the end of its opening marker to the start of its
+   * closing marker. Unclosed blocks are not foldable.
+   */
+  function foldBlock(openName, closeName) {
+      return (node) => {
+          const open = node.getChild(openName);
+          const close = node.lastChild;
+          if (!open || !close || close.name !== closeName || open.to >= close.from) {
+              return null;
+          }
+          return { from: open.to, to: close.from };
+      };
+  }
+
+  const dataEngineLanguage = LRLanguage.define({
+      name: "dataengine",
+      parser: parser.configure({
+          props: [
+              styleTags({
+                  "TagStart TagEnd": t.delim,
+                  SourceName: t.source,
+                  "TagSeparator PathDot ArgSeparator": t.separator,
+                  FieldName: t.field,
+                  PropertyName: t.property,
+                  Pipe: t.pipe,
+                  FilterName: t.filter,
+                  "ArgOpen ArgClose": t.pipe,
+                  "String ArgText": t.argument,
+                  "IfOpen ElseIfOpen ElseOpen IfClose FallbackOpen FallbackClose EachOpen EachClose LayoutOpen LayoutClose WithOpen WithClose Include SetMarker ConditionText": t.conditional,
+              }),
+              foldNodeProp.add({
+                  IfBlock: foldBlock("IfOpen", "IfClose"),
+                  FallbackBlock: foldBlock("FallbackOpen", "FallbackClose"),
+                  EachBlock: foldBlock("EachOpen", "EachClose"),
+                  LayoutBlock: foldBlock("LayoutOpen", "LayoutClose"),
+                  WithBlock: foldBlock("WithOpen", "WithClose"),
+              }),
+          ],
+          wrap: parseMixed((node) =>
+              node.type.isTop
+                  ? { parser: htmlLanguage.parser, overlay: (child) => child.type.name === "Text" }
+                  : null
+          ),
+      }),
+      languageData: {
+          commentTokens: { block: { open: "<!--", close: "-->" } },
       },
-      update(markers, tr) {
-          markers = markers.map(tr.changes);
-          let diagnosticFilter = tr.state.facet(lintGutterConfig).markerFilter;
-          for (let effect of tr.effects) {
-              if (effect.is(setDiagnosticsEffect)) {
-                  let diagnostics = effect.value;
-                  if (diagnosticFilter)
-                      diagnostics = diagnosticFilter(diagnostics || [], tr.state);
-                  markers = markersForDiagnostics(tr.state.doc, diagnostics.slice(0));
+  });
+
+  /**
+   * DataEngine template support: the template language with HTML mixed in,
+   * including the HTML extensions (tag auto-closing, HTML completions).
+   */
+  function dataEngine() {
+      return new LanguageSupport(dataEngineLanguage, [html().support, dataEngineHighlighting]);
+  }
+
+  // src/js/dictionary-schema.js
+
+  /**
+   * ========================================================================
+   * DataEngine Dictionary Schema
+   * ========================================================================
+   * Walks the field schemas in the data dictionary along a dot-notation path
+   * such as group.image.url or gallery.0.alt. Every entry may have
+   * `properties` (named children) and `items` (the schema of one element of
+   * a list value, reached with a numeric index); see
+   * Data_Provider::describe_field_for_editor().
+   *
+   * Inside [each] blocks, %sub:% (and an "as alias" name) refer to the item
+   * being looped over, and %loop:% to the loop variables; see
+   * Parser::process_loop_tag(). Flexible Content rows list their `layouts`,
+   * and a [layout:name] block narrows %sub:% to that layout's fields.
+   * A [with] block switches the post (or user or term) that %acf:% reads,
+   * so the fields of those sources are not known inside it. %var:% reads
+   * the variables of [set] markers, which the caller collects from the
+   * template (see variablesAt() in template-parser.js).
+   */
+
+  const INDEX = /^\d+$/;
+
+  // Sources whose fields depend on the object a [with] block switches to.
+  const CONTEXT_SOURCES = ["acf", "term", "author"];
+
+  // Sources Data_Provider::get_value() reads regardless of the context post.
+  const GLOBAL_SOURCES = ["option", "user", "site", "query"];
+
+  // Data_Provider::SOURCES plus "sub", for dictionaries without a `sources` list.
+  const DATA_SOURCES = ["acf", "post", "option", "term", "author", "user", "site", "query", "sub"];
+
+  const LOOP_VARIABLES = [
+      { name: "index", label: "Position of the item, starting at 0" },
+      { name: "number", label: "Position of the item, starting at 1" },
+      { name: "count", label: "Number of items in the loop" },
+      { name: "first", label: "'1' for the first item, empty otherwise" },
+      { name: "last", label: "'1' for the last item, empty otherwise" },
+  ];
+
+  /**
+   * Returns the entries reachable from `node` with one more dot.
+   *
+   * @param {object} node A field or property entry.
+   * @returns {Array<object>}
+   */
+  function schemaChildren(node) {
+      const children = [...(node.properties || [])];
+      if (node.items) {
+          children.unshift({ ...node.items, name: "0", label: "First item (any index works)" });
+      }
+      return children;
+  }
+
+  /**
+   * Whether a path can continue past `node`, i.e. its value has properties
+   * of its own. The .label every ACF field offers does not count.
+   */
+  function hasNestedSchema(node) {
+      return schemaChildren(node).some((child) => child.name !== "label");
+  }
+
+  function childNamed(node, name) {
+      if (node.items && INDEX.test(name)) {
+          return { ...node.items, name, label: `Item ${Number(name) + 1}` };
+      }
+      return (node.properties || []).find((child) => child.name === name) || null;
+  }
+
+  /**
+   * Like resolvePath(), starting from any entry instead of a source.
+   */
+  function resolveSegments(root, segments) {
+      const nodes = [];
+      let node = root;
+
+      for (let i = 0; i < segments.length; i++) {
+          node = childNamed(node, segments[i].name);
+          if (!node) return { nodes, unknown: i };
+          nodes.push(node);
+      }
+
+      return { nodes, unknown: -1 };
+  }
+
+  /**
+   * The source names tags can read outside [each] blocks.
+   *
+   * @param {object} dictionary The data dictionary from the server.
+   * @returns {Array<string>}
+   */
+  function dataSources(dictionary) {
+      return dictionary.sources ? dictionary.sources.map((source) => source.name) : DATA_SOURCES;
+  }
+
+  /**
+   * Whether an [each ... as alias] name would shadow a source; Parser::render_loop()
+   * ignores such aliases.
+   */
+  function isReservedAlias(dictionary, alias) {
+      return ["loop", "param", "var"].includes(alias) || dataSources(dictionary).includes(alias);
+  }
+
+  function loopAlias(dictionary, each) {
+      const alias = each.loop && each.loop.alias ? each.loop.alias.name : null;
+      return alias && !isReservedAlias(dictionary, alias) ? alias : null;
+  }
+
+  /**
+   * The %sub:% schema of the widget and of every block in `blocks`
+   * (outermost first), with the alias of each loop and whether a [with]
+   * block switched the context. A schema is null when the listed field or
+   * the layout is not in the dictionary.
+   */
+  function blockScopes(dictionary, blocks) {
+      // The widget's own row context (Dynamic Repeater)
+      const widget = dictionary.sub ? { properties: dictionary.sub, layouts: dictionary.layouts } : null;
+      const scopes = [{ alias: null, loop: false, context: false, schema: widget }];
+
+      for (const block of blocks) {
+          const current = scopes[scopes.length - 1];
+
+          if (block.type === "with") {
+              scopes.push({ ...current, alias: null, loop: false, context: true });
+              continue;
+          }
+
+          if (block.type === "layout") {
+              // Narrows %sub:% to the fields of one Flexible Content layout.
+              const layouts = current.schema ? current.schema.layouts : null;
+              const layout = layouts ? layouts.find((candidate) => candidate.name === block.name) || null : current.schema;
+              scopes.push({ alias: null, loop: false, context: current.context, schema: layout });
+              continue;
+          }
+
+          const tag = block.loop ? block.loop.tag : null;
+          let schema = null;
+
+          if (tag && tag.path && tag.path.text) {
+              const root = scopeRoot(dictionary, tag.source.name, scopes);
+              if (root) {
+                  const { nodes, unknown } = resolveSegments(root, tag.path.segments);
+                  const node = unknown === -1 ? nodes[nodes.length - 1] : null;
+                  // A single value (e.g. one post object) is looped over as a list of one.
+                  schema = node ? node.items || node : null;
               }
           }
-          return markers;
+
+          scopes.push({ alias: loopAlias(dictionary, block), loop: true, context: current.context, schema });
       }
-  });
-  const setLintGutterTooltip = /*@__PURE__*/StateEffect.define();
-  const lintGutterTooltip = /*@__PURE__*/StateField.define({
-      create() { return null; },
-      update(tooltip, tr) {
-          if (tooltip && tr.docChanged)
-              tooltip = hideTooltip(tr, tooltip) ? null : Object.assign(Object.assign({}, tooltip), { pos: tr.changes.mapPos(tooltip.pos) });
-          return tr.effects.reduce((t, e) => e.is(setLintGutterTooltip) ? e.value : t, tooltip);
+
+      return scopes;
+  }
+
+  function scopeRoot(dictionary, source, scopes, variables) {
+      if (source === "var") {
+          return variables ? { properties: variables } : null;
+      }
+      if (source === "loop") {
+          return scopes.some((scope) => scope.loop) ? { properties: LOOP_VARIABLES } : undefined;
+      }
+
+      const aliased = scopes.filter((scope) => scope.alias === source).pop();
+      if (aliased) return aliased.schema;
+
+      if (source === "sub") {
+          return scopes[scopes.length - 1].schema;
+      }
+
+      if (!dataSources(dictionary).includes(source)) return undefined;
+      if (CONTEXT_SOURCES.includes(source) && scopes.some((scope) => scope.context)) return null;
+      return dictionary[source] ? { properties: dictionary[source] } : null;
+  }
+
+  /**
+   * Returns the entry whose properties are the fields of `source`, taking the
+   * enclosing [each] and [layout] blocks into account.
+   *
+   * @param {object} dictionary The data dictionary from the server.
+   * @param {string} source The tag source, e.g. "sub" or a loop alias.
+   * @param {Array<object>} blocks The enclosing blocks, from blocksAt().
+   * @param {Array<{name: string, label: string}>} [variables] The variables
+   *   %var:% can read here; without them its names are not checked.
+   * @returns {?object|undefined} The root entry; null when the source exists
+   *   but its fields are unknown, undefined when the source is not available.
+   */
+  function sourceSchema(dictionary, source, blocks, variables) {
+      return scopeRoot(dictionary, source, blockScopes(dictionary, blocks), variables);
+  }
+
+  /**
+   * Whether a tag of `source` inside the given blocks reads the object of a
+   * [with] block rather than the current post.
+   */
+  function readsWithContext(dictionary, source, blocks) {
+      if (!blocks.some((block) => block.type === "with")) return false;
+      return source !== "sub" && dataSources(dictionary).includes(source) && !GLOBAL_SOURCES.includes(source);
+  }
+
+  /**
+   * The source names a tag can use inside the given blocks.
+   */
+  function availableSources(dictionary, blocks) {
+      const loops = blocks.filter((block) => block.type === "each");
+      if (loops.length === 0) return [...dataSources(dictionary), "var"];
+
+      const aliases = loops.map((each) => loopAlias(dictionary, each)).filter(Boolean);
+      return [...new Set([...dataSources(dictionary), "var", "loop", ...aliases])];
+  }
+
+  // src/js/template-snippets.js
+
+
+  /**
+   * ========================================================================
+   * DataEngine Template Snippets
+   * ========================================================================
+   * Ready-made structures for the Live Editor: the block syntax, plus
+   * scaffolds built from the fields in the data dictionary. Templates use the
+   * @codemirror/autocomplete snippet syntax, so ${1:name} is a tab stop.
+   */
+
+  const BLOCK_SNIPPETS = [
+      {
+          label: "[if]",
+          detail: "Conditional block",
+          template: "[if:%${1:acf:field}% ${2:==} '${3:value}']\n\t${4}\n[/if]",
       },
-      provide: field => showTooltip.from(field)
-  });
-  const lintGutterTheme = /*@__PURE__*/EditorView.baseTheme({
-      ".cm-gutter-lint": {
-          width: "1.4em",
-          "& .cm-gutterElement": {
-              padding: ".2em"
-          }
+      {
+          label: "[if…else]",
+          detail: "Conditional block with else",
+          template: "[if:%${1:acf:field}% ${2:==} '${3:value}']\n\t${4}\n[else]\n\t${5}\n[/if]",
       },
-      ".cm-lint-marker": {
-          width: "1em",
-          height: "1em"
+      {
+          label: "[if…else if…else]",
+          detail: "Conditional block with several branches",
+          template:
+              "[if:%${1:acf:field}% ${2:==} '${3:value}']\n\t${4}\n[else if:%${1:acf:field}% ${5:==} '${6:value}']\n\t${7}\n[else]\n\t${8}\n[/if]",
+      },
+      {
+          label: "[if not empty]",
+          detail: "Render only when a field has a value",
+          template: "[if:%${1:acf:field}% not_empty]\n\t${2}\n[/if]",
+      },
+      {
+          label: "[fallback]",
+          detail: "Tag with a fallback for empty values",
+          template: "%${1:acf:field}%[fallback]${2:Not available}[/fallback]",
+      },
+      {
+          label: "[each]",
+          detail: "Loop over a repeater, gallery or list",
+          template: "[each:%${1:acf:field}%]\n\t${2:%sub:${3:field}%}\n[/each]",
+      },
+      {
+          label: "[with]",
+          detail: "Fields of a related post, user or term",
+          template: "[with:%${1:acf:related_post}%]\n\t${2:%post:post_title%}\n[/with]",
       },
-      ".cm-lint-marker-info": {
-          content: /*@__PURE__*/svg(`<path fill="#aaf" stroke="#77e" stroke-width="6" stroke-linejoin="round" d="M5 5L35 5L35 35L5 35Z"/>`)
+      {
+          label: "[set]",
+          detail: "Variable computed once, read with %var:name%",
+          template: "[set:${1:name} = ${2:%acf:field%}]%var:${1:name}%",
       },
-      ".cm-lint-marker-warning": {
-          content: /*@__PURE__*/svg(`<path fill="#fe8" stroke="#fd7" stroke-width="6" stroke-linejoin="round" d="M20 6L37 35L3 35Z"/>`),
+      {
+          label: "[img]",
+          detail: "Image with alt text",
+          template: '<img src="%${1:acf:image}.url%" alt="%${1:acf:image}.alt%">',
       },
-      ".cm-lint-marker-error": {
-          content: /*@__PURE__*/svg(`<circle cx="20" cy="20" r="15" fill="#f87" stroke="#f43" stroke-width="6"/>`)
+      {
+          label: "[terms]",
+          detail: "Taxonomy term list",
+          template: "%${1:acf:terms}|limit(${2:3})|separator('${3:, }')|wrap('${4:<span>}', '${5:</span>}')%",
       },
-  });
-  const lintExtensions = [
-      lintState,
-      /*@__PURE__*/EditorView.decorations.compute([lintState], state => {
-          let { selected, panel } = state.field(lintState);
-          return !selected || !panel || selected.from == selected.to ? Decoration.none : Decoration.set([
-              activeMark.range(selected.from, selected.to)
-          ]);
-      }),
-      /*@__PURE__*/hoverTooltip(lintTooltip, { hideOn: hideTooltip }),
-      baseTheme
   ];
-  const lintGutterConfig = /*@__PURE__*/Facet.define({
-      combine(configs) {
-          return combineConfig(configs, {
-              hoverTime: 300 /* Hover.Time */,
-              markerFilter: null,
-              tooltipFilter: null
+
+  /**
+   * Returns the snippet template for a single field, based on its ACF type.
+   *
+   * @param {string} source The tag source, "acf" or "sub".
+   * @param {{name: string, type?: string, items?: {properties: Array<object>, layouts?: Array<object>}}} field
+   */
+  function fieldScaffold(source, field) {
+      const tag = `${source}:${field.name}`;
+
+      switch (field.type) {
+          case "image":
+              return `<img src="%${tag}.url%" alt="%${tag}.alt%">`;
+          case "file":
+              return `<a href="%${tag}.url%" download>%${tag}.title%</a>`;
+          case "url":
+          case "page_link":
+              return `<a href="%${tag}%">\${1:%${tag}%}</a>`;
+          case "email":
+              return `<a href="mailto:%${tag}%">%${tag}%</a>`;
+          case "post_object":
+              return `<a href="%${tag}.permalink%">%${tag}.post_title%</a>`;
+          case "taxonomy":
+              return `%${tag}.name|limit(\${1:3})|separator('\${2:, }')|wrap('\${3:<span>}', '\${4:</span>}')%`;
+          case "true_false":
+              return `[if:%${tag}% == '1']\n\t\${1}\n[else]\n\t\${2}\n[/if]`;
+          case "wysiwyg":
+          case "textarea":
+              return `%${tag}%[fallback]\${1}[/fallback]`;
+          case "repeater": {
+              // For the Dynamic Repeater widget, which renders the item template once per row
+              const rows = field.items ? field.items.properties : [];
+              const items = rows.map((sub) => `\t<li>%sub:${sub.name}%</li>`);
+              return [
+                  "<!-- Header Template -->",
+                  `<ul class="\${1:${field.name}}">`,
+                  "<!-- Item Template -->",
+                  ...(items.length > 0 ? items : ["\t<li>%sub:${2:sub_field}%</li>"]),
+                  "<!-- Footer Template -->",
+                  "</ul>",
+              ].join("\n");
+          }
+          case "flexible_content": {
+              const layouts = field.items ? field.items.layouts : [];
+              const blocks = layouts.map((layout) =>
+                  [`\t[layout:${layout.name}]`, ...layout.properties.slice(1).map((sub) => `\t\t%sub:${sub.name}%`), "\t[/layout]"].join("\n")
+              );
+              return [`[each:%${tag}%]`, ...(blocks.length > 0 ? blocks : ["\t[layout:${1:layout}]${2}[/layout]"]), "[/each]"].join("\n");
+          }
+          default:
+              return `%${tag}%`;
+      }
+  }
+
+  /**
+   * Builds the scaffold snippets for every typed field in the dictionary, and
+   * a block for every Flexible Content layout of the widget's rows.
+   *
+   * @param {object} dictionary The data dictionary from the server.
+   * @returns {Array<{label: string, detail: string, template: string}>}
+   */
+  function fieldSnippets(dictionary) {
+      const snippets = [];
+
+      for (const source of ["acf", "sub"]) {
+          for (const field of dictionary[source] || []) {
+              if (!field.type) continue;
+              snippets.push({
+                  label: `[${field.name}]`,
+                  detail: `${field.label || field.name} (${field.type})`,
+                  template: fieldScaffold(source, field),
+              });
+          }
+      }
+
+      // One block per Flexible Content layout, with the layout's fields
+      for (const layout of dictionary.layouts || []) {
+          const fields = (layout.properties || []).map((field) => `\t%sub:${field.name}%`);
+          snippets.push({
+              label: `[layout:${layout.name}]`,
+              detail: `${layout.label || layout.name} (layout)`,
+              template: [`[layout:${layout.name}]`, ...(fields.length > 0 ? fields : ["\t${1}"]), "[/layout]"].join("\n"),
           });
       }
-  });
+
+      return snippets;
+  }
+
   /**
-  Returns an extension that installs a gutter showing markers for
-  each line that has diagnostics, which can be hovered over to see
-  the diagnostics.
-  */
-  function lintGutter(config = {}) {
-      return [lintGutterConfig.of(config), lintGutterMarkers, lintGutterExtension, lintGutterTheme, lintGutterTooltip];
+   * Turns snippets into completion options. A "]" right after the cursor
+   * (inserted by closeBrackets when "[" was typed) is replaced as well.
+   *
+   * @param {Array<{label: string, detail: string, template: string}>} snippets
+   * @returns {Array<import("@codemirror/autocomplete").Completion>}
+   */
+  function snippetOptions(snippets) {
+      return snippets.map((snippet) => {
+          const completion = snippetCompletion(snippet.template, {
+              label: snippet.label,
+              detail: snippet.detail,
+              type: "snippet",
+          });
+          const apply = completion.apply;
+
+          return {
+              ...completion,
+              apply: (view, option, from, to) => {
+                  const end = view.state.sliceDoc(to, to + 1) === "]" ? to + 1 : to;
+                  apply(view, option, from, end);
+              },
+          };
+      });
+  }
+
+  // src/js/template-validation.js
+
+
+  /**
+   * ========================================================================
+   * DataEngine Template Validation
+   * ========================================================================
+   * Checks on top of the tree from template-parser.js that go beyond single
+   * tags: block structure, condition grammar and filter arguments. Parser.php
+   * never reports these mistakes; they quietly render nothing (or the wrong
+   * thing) on the live site.
+   */
+
+  // Markers that must (or must not) carry a ":argument".
+  const CONDITION_MARKERS = ["if", "else if"];
+
+  const STRAY_MESSAGES = {
+      "/if": "Unexpected [/if] without a matching [if:...].",
+      "else": "[else] can only be used inside an [if:...] block.",
+      "else if": "[else if:...] can only be used inside an [if:...] block.",
+      "/fallback": "Unexpected [/fallback] without a matching [fallback].",
+      "/each": "Unexpected [/each] without a matching [each:...].",
+      "/layout": "Unexpected [/layout] without a matching [layout:...].",
+      "/with": "Unexpected [/with] without a matching [with:...].",
+  };
+
+  /**
+   * Checks the marker itself: conditions where they belong, none elsewhere.
+   */
+  function validateMarker(marker, diagnostics) {
+      const label = marker.name === "else if" ? "else if:..." : marker.name;
+
+      if (marker.name === "each") {
+          if (!marker.argument || marker.argument.text.trim() === "") {
+              diagnostics.push({
+                  from: marker.from,
+                  to: marker.to,
+                  severity: "error",
+                  message: "[each] needs a list to loop over, e.g. [each:%acf:gallery%].",
+              });
+          }
+          return;
+      }
+
+      if (marker.name === "include") {
+          if (!marker.argument || marker.argument.text.trim() === "") {
+              diagnostics.push({
+                  from: marker.from,
+                  to: marker.to,
+                  severity: "error",
+                  message: "[include] needs the name of a partial, e.g. [include:card].",
+              });
+          }
+          return;
+      }
+
+      if (marker.name === "set") {
+          if (!marker.argument || marker.argument.text.trim() === "") {
+              diagnostics.push({
+                  from: marker.from,
+                  to: marker.to,
+                  severity: "error",
+                  message: "[set] needs a variable name and a value, e.g. [set:total = %acf:price% * 2].",
+              });
+          }
+          return;
+      }
+
+      if (marker.name === "with") {
+          if (!marker.argument || marker.argument.text.trim() === "") {
+              diagnostics.push({
+                  from: marker.from,
+                  to: marker.to,
+                  severity: "error",
+                  message: "[with] needs a post, user or term field, e.g. [with:%acf:related_post%].",
+              });
+          }
+          return;
+      }
+
+      if (marker.name === "layout") {
+          const name = marker.argument ? marker.argument.text.trim() : "";
+          if (!/^[\w-]+$/.test(name)) {
+              diagnostics.push({
+                  from: marker.from,
+                  to: marker.to,
+                  severity: "error",
+                  message: name
+                      ? `'${name}' is not a layout name; use the name of a Flexible Content layout, e.g. [layout:hero].`
+                      : "[layout] needs the name of a Flexible Content layout, e.g. [layout:hero].",
+              });
+          }
+          return;
+      }
+
+      if (!CONDITION_MARKERS.includes(marker.name)) {
+          if (marker.argument) {
+              diagnostics.push({
+                  from: marker.argument.from - 1,
+                  to: marker.argument.to,
+                  severity: "error",
+                  message: `[${marker.name}] does not take a condition.`,
+              });
+          }
+          return;
+      }
+
+      if (!marker.argument || marker.argument.text.trim() === "") {
+          diagnostics.push({
+              from: marker.from,
+              to: marker.to,
+              severity: "error",
+              message: `[${label}] needs a condition, e.g. [${marker.name}:%acf:field% == 'value'].`,
+          });
+          return;
+      }
+
+      diagnostics.push(...parseCondition(marker.argument).errors);
+  }
+
+  /**
+   * The [set] nodes directly among `nodes`, or inside a [fallback] between
+   * them. Nested [if] and [layout] blocks report their own; those in [each]
+   * and [with] bodies run once per rendering of the body.
+   */
+  function directSets(nodes) {
+      return nodes.flatMap((node) => (node.type === "set" ? [node] : node.type === "fallback" ? directSets(node.children) : []));
+  }
+
+  /**
+   * Validates block nesting, branch order, fallback placement, loop and
+   * layout arguments and the grammar of every condition and [set] expression.
+   *
+   * @param {object} tree The root returned by parseTemplate().
+   * @returns {Array<{from: number, to: number, severity: string, message: string}>}
+   */
+  function validateBlocks(tree) {
+      const diagnostics = [];
+
+      walkTemplate(tree.children, (node) => {
+          if (node.type === "marker") {
+              validateMarker(node, diagnostics);
+              if (node.stray) {
+                  diagnostics.push({
+                      from: node.from,
+                      to: node.to,
+                      severity: "error",
+                      message: STRAY_MESSAGES[node.name] || `Unexpected [${node.name}].`,
+                  });
+              }
+              return;
+          }
+
+          // Variables are set before any block is rendered, so a condition
+          // (or a layout) around a [set] does not decide whether it runs.
+          if (node.type === "if" || node.type === "layout") {
+              const children = node.type === "if" ? node.branches.flatMap((branch) => branch.children) : node.children;
+              for (const set of directSets(children)) {
+                  diagnostics.push({
+                      from: set.from,
+                      to: set.to,
+                      severity: "warning",
+                      message: `[set] runs whether or not this [${node.type}] block is rendered; move it out of the block.`,
+                  });
+              }
+          }
+
+          if (node.type === "if") {
+              const opening = node.branches[0].marker;
+              if (!node.close) {
+                  diagnostics.push({
+                      from: opening.from,
+                      to: opening.to,
+                      severity: "error",
+                      message: "Unclosed [if:...] block: missing [/if].",
+                  });
+              }
+
+              // Everything after [else] is unreachable.
+              const elseIndex = node.branches.findIndex((branch) => branch.marker.name === "else");
+              if (elseIndex >= 0) {
+                  for (const branch of node.branches.slice(elseIndex + 1)) {
+                      diagnostics.push({
+                          from: branch.marker.from,
+                          to: branch.marker.to,
+                          severity: "error",
+                          message:
+                              branch.marker.name === "else"
+                                  ? "Duplicate [else] in the same [if] block."
+                                  : "[else if:...] after [else] is never reached.",
+                      });
+                  }
+              }
+              return;
+          }
+
+          if (node.type === "fallback") {
+              if (!node.target) {
+                  diagnostics.push({
+                      from: node.open.from,
+                      to: node.open.to,
+                      severity: "error",
+                      message: "[fallback] must directly follow a tag, e.g. %acf:field%[fallback]...[/fallback].",
+                  });
+              }
+              if (!node.close) {
+                  diagnostics.push({
+                      from: node.open.from,
+                      to: node.open.to,
+                      severity: "error",
+                      message: "Unclosed [fallback] block: missing [/fallback].",
+                  });
+              }
+              return;
+          }
+
+          if (node.type === "each") {
+              if (node.loop) {
+                  diagnostics.push(...node.loop.errors);
+              }
+              if (!node.close) {
+                  diagnostics.push({
+                      from: node.open.from,
+                      to: node.open.to,
+                      severity: "error",
+                      message: "Unclosed [each:...] block: missing [/each].",
+                  });
+              }
+              return;
+          }
+
+          if (node.type === "set") {
+              if (node.assignment) {
+                  diagnostics.push(...node.assignment.errors.map((error) => ({ ...error, severity: error.severity || "error" })));
+              }
+              return;
+          }
+
+          if (node.type === "include") {
+              if (node.partial) {
+                  diagnostics.push(...node.partial.errors);
+              }
+              return;
+          }
+
+          if (node.type === "with") {
+              if (node.context) {
+                  diagnostics.push(...node.context.errors);
+              }
+              if (!node.close) {
+                  diagnostics.push({
+                      from: node.open.from,
+                      to: node.open.to,
+                      severity: "error",
+                      message: "Unclosed [with:...] block: missing [/with].",
+                  });
+              }
+              return;
+          }
+
+          if (node.type === "layout") {
+              if (!node.close) {
+                  diagnostics.push({
+                      from: node.open.from,
+                      to: node.open.to,
+                      severity: "error",
+                      message: "Unclosed [layout:...] block: missing [/layout].",
+                  });
+              }
+              // Parser::LAYOUT_BLOCK_REGEX pairs each [layout:] with the first [/layout];
+              // only a nested [each] renders its own rows (and their layouts) first.
+              const loops = [];
+              walkTemplate(node.children, (inner) => {
+                  if (inner.type === "each") loops.push(inner);
+                  if (inner.type === "layout" && !loops.some((loop) => inner.from >= loop.from && inner.to <= loop.to)) {
+                      diagnostics.push({
+                          from: inner.open.from,
+                          to: inner.open.to,
+                          severity: "error",
+                          message: "[layout] blocks cannot be nested; close the previous one with [/layout] first.",
+                      });
+                  }
+              });
+          }
+      });
+
+      return diagnostics;
+  }
+
+  /**
+   * Checks a filter call against its dictionary entry: the argument list is
+   * closed, the argument count fits and numeric arguments are numbers (PHP
+   * throws a TypeError for a non-numeric string passed to an int parameter).
+   *
+   * @param {object} filter A filter node from a parsed tag.
+   * @param {{name: string, args?: Array<{name: string, type: string, required?: boolean}>}} definition
+   * @returns {Array<{from: number, to: number, severity: string, message: string}>}
+   */
+  function validateFilterArguments(filter, definition) {
+      const diagnostics = [];
+      const params = definition.args || [];
+
+      if (filter.parens && filter.parens.close === null) {
+          diagnostics.push({
+              from: filter.from,
+              to: filter.to,
+              severity: "error",
+              message: `Missing ')' after the arguments of '${filter.name}'.`,
+          });
+          return diagnostics;
+      }
+
+      filter.args.slice(params.length).forEach((arg) => {
+          diagnostics.push({
+              from: arg.from,
+              to: Math.max(arg.to, arg.from + 1),
+              severity: "error",
+              message:
+                  params.length === 0
+                      ? `'${filter.name}' does not take any arguments.`
+                      : `'${filter.name}' takes at most ${params.length} argument${params.length === 1 ? "" : "s"}.`,
+          });
+      });
+
+      params.forEach((param, index) => {
+          const arg = filter.args[index];
+
+          if (!arg) {
+              if (param.required) {
+                  diagnostics.push({
+                      from: filter.nameFrom,
+                      to: filter.to,
+                      severity: "error",
+                      message: `Missing argument '${param.name}' for '${filter.name}'.`,
+                  });
+              }
+              return;
+          }
+
+          if (param.type === "number" && !/^-?\d+(\.\d+)?$/.test(arg.value.trim())) {
+              diagnostics.push({
+                  from: arg.from,
+                  to: Math.max(arg.to, arg.from + 1),
+                  severity: "error",
+                  message: `'${param.name}' must be a number, got '${arg.raw}'.`,
+              });
+          }
+      });
+
+      return diagnostics;
   }
 
   // src/js/editor.js
@@ -26363,19 +28815,11 @@
 
       /**
        * ========================================================================
-       * 1. GRANULAR SYNTAX HIGHLIGHTING (UNCHANGED)
+       * 1. SYNTAX HIGHLIGHTING
        * ========================================================================
+       * Highlighting and folding come from the DataEngine language
+       * (dataengine-language.js); this theme only provides the colours.
        */
-      const D = {
-          delim: Decoration.mark({ class: "cm-de-delim" }),
-          source: Decoration.mark({ class: "cm-de-source" }),
-          separator: Decoration.mark({ class: "cm-de-separator" }),
-          field: Decoration.mark({ class: "cm-de-field" }),
-          property: Decoration.mark({ class: "cm-de-property" }),
-          pipe: Decoration.mark({ class: "cm-de-pipe" }),
-          filter: Decoration.mark({ class: "cm-de-filter" }),
-          conditional: Decoration.mark({ class: "cm-de-conditional" }),
-      };
 
       // MODIFIED: Add styling for the linter (error messages)
       const dataEngineTheme = EditorView.baseTheme({
@@ -26386,7 +28830,22 @@
           "& .cm-de-property": { color: "#8ec5ff" },
           "& .cm-de-pipe": { color: "#fdc700", fontWeight: "bold" },
           "& .cm-de-filter": { color: "#fff085" },
+          "& .cm-de-argument": { color: "#ffd6a7" },
           "& .cm-de-conditional": { color: "#bbf451", fontStyle: "italic" },
+          // Signature help for filter arguments
+          "& .cm-de-signature": { padding: "4px 8px", maxWidth: "480px" },
+          "& .cm-de-signature-label": { fontFamily: "monospace" },
+          "& .cm-de-signature-param.is-active": { color: "#fff085", fontWeight: "bold", textDecoration: "underline" },
+          "& .cm-de-signature-doc": { marginTop: "4px", color: "#abb2bf", fontSize: "12px" },
+          // Hover tooltip with field metadata and values
+          "& .cm-de-hover": { padding: "6px 8px", maxWidth: "420px", fontSize: "12px" },
+          "& .cm-de-hover-title": { fontWeight: "bold", marginBottom: "4px" },
+          "& .cm-de-hover-type": { marginLeft: "6px", color: "#abb2bf", fontWeight: "normal" },
+          "& .cm-de-hover-values": { display: "grid", gridTemplateColumns: "auto 1fr", gap: "2px 8px", margin: "0" },
+          "& .cm-de-hover-values dt": { color: "#abb2bf" },
+          "& .cm-de-hover-values dd": { margin: "0", fontFamily: "monospace", whiteSpace: "pre-wrap", wordBreak: "break-word" },
+          "& .cm-de-hover-empty": { fontStyle: "italic", color: "#7d8799" },
+          "& .cm-de-hover-link": { display: "inline-block", marginTop: "4px", color: "#61afef" },
           // NEW: Styles for linting gutter and diagnostics
           ".cm-lintRange-error": {
               backgroundImage: `url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 8 8'%3E%3Cpath d='M0 1.5 L8 1.5 M0 3.5 L8 3.5 M0 5.5 L8 5.5' stroke='%23e06c75' stroke-width='1.2'/%3E%3C/svg%3E")`,
@@ -26400,353 +28859,627 @@
           },
       });
 
-      const dataEngineSyntaxHighlighting = ViewPlugin.fromClass(
-          class {
-              constructor(view) {
-                  this.decorations = this.buildDecorations(view);
-              }
+      /**
+       * ========================================================================
+       * NEW: 2. REAL-TIME SYNTAX VALIDATION (LINTING)
+       * ========================================================================
+       * This function provides real-time error checking against our data dictionary.
+       */
+      const dataEngineLinter = (dictionary) =>
+          linter((view) => {
+              let diagnostics = [];
+              const tree = parseTemplate(view.state.doc.toString());
+
+              for (const tag of tree.tags) {
+                  const source = tag.source.name;
+
+                  // A bare '%' at the end of the document is not a tag yet
+                  if (!source) continue;
+
+                  // Rule 1: Tags must be closed on the same line
+                  if (!tag.closed) {
+                      diagnostics.push({
+                          from: tag.from,
+                          to: tag.to,
+                          severity: "error",
+                          message: "Unclosed tag: missing the closing '%'.",
+                      });
+                  }
+
+                  // Rule 2: Validate data source (loop variables and aliases only inside [each])
+                  const blocks = blocksAt(tree, tag.from);
+                  const sources = availableSources(dictionary, blocks);
+                  if (!sources.includes(source)) {
+                      diagnostics.push({
+                          from: tag.source.from,
+                          to: tag.source.to,
+                          severity: "error",
+                          message:
+                              source === "loop"
+                                  ? "'loop:' variables can only be used inside an [each:...] block."
+                                  : source === "param"
+                                    ? "'param:' tags read the parameters of a partial; use them in the partial's own template."
+                                    : `Unknown data source: '${source}'. Available: ${sources.join(", ")}.`,
+                      });
+                      continue;
+                  }
+
+                  // Rule 3: Validate field name existence, then every property of the path
+                  const field = tag.path ? tag.path.segments[0] : null;
+                  const root = sourceSchema(dictionary, source, blocks, source === "var" ? templateVariables(tree, tag.from) : undefined);
+                  if (!field || !field.name) {
+                      diagnostics.push({
+                          from: tag.source.from,
+                          to: tag.path ? tag.path.to : tag.source.to,
+                          severity: "error",
+                          message: `Missing field name after '${source}:'.`,
+                      });
+                  } else if (root) {
+                      const { nodes, unknown } = resolveSegments(root, tag.path.segments);
+                      const segment = tag.path.segments[unknown];
+
+                      if (unknown === 0 && source === "var") {
+                          // Undefined variables render empty, like a field without a value.
+                          diagnostics.push({
+                              from: field.from,
+                              to: field.to,
+                              severity: "warning",
+                              message: `Variable '${field.name}' is not set here. Set it with [set:${field.name} = ...] in this template or around this block.`,
+                          });
+                      } else if (unknown === 0) {
+                          diagnostics.push({
+                              from: field.from,
+                              to: field.to,
+                              severity: "error",
+                              message: `Field '${field.name}' not found in '${source}' source.`,
+                          });
+                      } else if (unknown > 0 && segment.name && hasNestedSchema(nodes[unknown - 1])) {
+                          // Only values with a known schema are checked; other field types may
+                          // still return arrays (e.g. from third-party ACF add-ons).
+                          const parentPath = tag.path.segments.slice(0, unknown).map((s) => s.name).join(".");
+                          diagnostics.push({
+                              from: segment.from,
+                              to: segment.to,
+                              severity: "warning",
+                              message: `'${segment.name}' is not a property of '${parentPath}'. Available: ${schemaChildren(nodes[unknown - 1])
+                                .map((child) => child.name)
+                                .join(", ")}.`,
+                          });
+                      }
+                  }
+
+                  // Rule 4: Malformed tag content (e.g. text after the field path)
+                  for (const error of tag.errors) {
+                      diagnostics.push({ ...error, severity: "error" });
+                  }
+
+                  // Rule 5: Validate filters and their arguments
+                  diagnostics.push(...validateFilters(dictionary, tag.filters));
+              }
+
+              // Rule 6: Block structure and condition grammar ([if], [else], [fallback], [each], [with])
+              diagnostics.push(...validateBlocks(tree));
+
+              // Rule 7: Loop aliases must not shadow a source, [layout:name] must
+              // name a layout of the Flexible Content rows, when known,
+              // [include:name] a partial, with parameters the partial reads,
+              // and the filters of a [set] expression must exist
+              walkTemplate(tree.children, (node) => {
+                  if (node.type === "include") {
+                      diagnostics.push(...validateInclude(dictionary, node));
+                      return;
+                  }
+                  if (node.type === "set") {
+                      if (node.assignment) diagnostics.push(...validateFilters(dictionary, node.assignment.filters));
+                      return;
+                  }
+
+                  const alias = node.type === "each" && node.loop ? node.loop.alias : null;
+                  if (alias && isReservedAlias(dictionary, alias.name)) {
+                      diagnostics.push({
+                          from: alias.from,
+                          to: alias.to,
+                          severity: "error",
+                          message: `'${alias.name}' is reserved; choose another name for the loop item.`,
+                      });
+                  }
+
+                  // Malformed names are reported by validateBlocks()
+                  if (node.type !== "layout" || !/^[\w-]+$/.test(node.name)) return;
+
+                  const rows = sourceSchema(dictionary, "sub", blocksAt(tree, node.from));
+                  if (rows && rows.layouts && !rows.layouts.some((layout) => layout.name === node.name)) {
+                      diagnostics.push({
+                          from: node.open.argument.from,
+                          to: node.open.argument.to,
+                          severity: "warning",
+                          message: `Unknown layout '${node.name}'. Available: ${rows.layouts.map((layout) => layout.name).join(", ")}.`,
+                      });
+                  }
+              });
+
+              return diagnostics;
+          });
+
+      /**
+       * Checks the filters of a tag or a [set] expression against the filters
+       * in the dictionary.
+       */
+      function validateFilters(dictionary, filters) {
+          if (!dictionary.filters) return [];
+
+          const diagnostics = [];
+          for (const filter of filters) {
+              const definition = dictionary.filters.find((f) => f.name === filter.name);
+              if (!filter.name) {
+                  diagnostics.push({
+                      from: filter.pipe.from,
+                      to: filter.pipe.to,
+                      severity: "error",
+                      message: "Missing filter name after '|'.",
+                  });
+              } else if (!definition) {
+                  diagnostics.push({
+                      from: filter.nameFrom,
+                      to: filter.nameTo,
+                      severity: "error",
+                      message: `Unknown filter: '${filter.name}'. Available: ${dictionary.filters.map((f) => f.name).join(", ")}`,
+                  });
+              } else {
+                  diagnostics.push(...validateFilterArguments(filter, definition));
+              }
+          }
+          return diagnostics;
+      }
+
+      /**
+       * The variables %var:% can read at `pos`, as schema entries: the name
+       * and the expression that sets it. A name set twice shows the last one.
+       */
+      function templateVariables(tree, pos) {
+          const variables = new Map();
+          for (const set of variablesAt(tree, pos)) {
+              const name = set.assignment.name;
+              const expression = set.marker.argument.text.slice(name.to - set.marker.argument.from).replace(/^\s*=\s*/, "").trim();
+              variables.set(name.text, { name: name.text, label: `= ${expression}`, properties: [], choices: [] });
+          }
+          return [...variables.values()];
+      }
+
+      /**
+       * Checks the partial name and parameters of an [include] against the
+       * partials in the dictionary. Unknown names only warn: the partial may
+       * be created after the widget.
+       */
+      function validateInclude(dictionary, node) {
+          if (!dictionary.partials || !node.partial || !node.partial.name) return [];
+
+          const name = node.partial.name;
+          const partial = dictionary.partials.find((candidate) => candidate.name === name.text);
+          if (!partial) {
+              const available = dictionary.partials.map((candidate) => candidate.name);
+              return [
+                  {
+                      from: name.from,
+                      to: name.to,
+                      severity: "warning",
+                      message: available.length > 0
+                          ? `Unknown partial '${name.text}'. Available: ${available.join(", ")}.`
+                          : `Unknown partial '${name.text}'. Partials are created under Settings › DataEngine Partials.`,
+                  },
+              ];
+          }
+
+          return node.partial.params
+              .filter((param) => !partial.params.includes(param.name))
+              .map((param) => ({
+                  from: param.from,
+                  to: param.to,
+                  severity: "warning",
+                  message: partial.params.length > 0
+                      ? `'${param.name}' is not read by the '${partial.name}' partial. Parameters: ${partial.params.join(", ")}.`
+                      : `The '${partial.name}' partial does not read any parameters.`,
+              }));
+      }
+
+      /**
+       * ========================================================================
+       * 3. AUTOCOMPLETION LOGIC
+       * ========================================================================
+       * The tag under the cursor comes from the shared template parser, so
+       * completion triggers in exactly the places the highlighter marks as tags.
+       * Inside [if:...] it offers operators and the choices of the compared
+       * field. Outside tags, typing "[" (or Ctrl+Space) offers block markers
+       * and the snippet library.
+       */
+      const OPERATOR_INFO = {
+          "==": "Equal to",
+          "!=": "Not equal to",
+          ">=": "Greater than or equal to (numbers)",
+          "<=": "Less than or equal to (numbers)",
+          ">": "Greater than (numbers)",
+          "<": "Less than (numbers)",
+          contains: "Text contains the value",
+          not_contains: "Text does not contain the value",
+          starts_with: "Text starts with the value",
+          ends_with: "Text ends with the value",
+          matches: "Text matches a regular expression, e.g. '^\\d{3}'",
+          in: "Equal to one of a list, e.g. ('red', 'blue')",
+          empty: "Has no value (no comparison value needed)",
+          not_empty: "Has a value (no comparison value needed)",
+      };
+      const LOGICAL_INFO = {
+          and: "Both sides must be true (same as &&)",
+          or: "Either side must be true (same as ||)",
+      };
 
-              update(update) {
-                  if (update.docChanged || update.viewportChanged) {
-                      this.decorations = this.buildDecorations(update.view);
-                  }
-              }
+      function logicalOptions() {
+          return Object.entries(LOGICAL_INFO).map(([label, info]) => ({ label, type: "keyword", info, boost: -1 }));
+      }
 
-              buildDecorations(view) {
-                  const builder = new RangeSetBuilder();
-                  const decorations = [];
-
-                  // Process each visible range
-                  for (const { from, to } of view.visibleRanges) {
-                      const text = view.state.doc.sliceString(from, to);
-
-                      // Find conditional tags first
-                      const conditionalRegex = /\[\/?if[^\]]*\]|\[else(?: if)?[^\]]*\]/g;
-                      let match;
-                      while ((match = conditionalRegex.exec(text)) !== null) {
-                          const start = from + match.index;
-                          const end = start + match[0].length;
-                          decorations.push({
-                              from: start,
-                              to: end,
-                              decoration: D.conditional,
-                          });
-                      }
+      function completeCondition(context, dictionary, beforeCursor) {
+          const marker = /\[(?:else[ \t]+)?if:([^\]\n]*)$/.exec(beforeCursor);
+          if (!marker) return null;
 
-                      // NEW: Updated regex to correctly handle filters with spaces.
-                      const tagRegex = /(%)([\w]+)(:)([\w.-]+)(?:\s*(\|)\s*([^%]*?))?(%)/g;
+          // The comparison being typed starts at the last tag of the condition
+          const argumentFrom = context.pos - marker[1].length;
+          const tag = parseTemplate(marker[1], argumentFrom).tags.pop();
+          if (!tag || !tag.closed) return null;
+          const afterTag = context.state.sliceDoc(tag.to, context.pos);
 
-                      while ((match = tagRegex.exec(text))) {
-                          const matchStart = from + match.index;
-                          let pos = matchStart;
+          // --- Operator after the tag ---
+          // A tag on its own is a test for a value, so "and"/"or" may follow as well
+          const operator = /^(\s+)([=!<>\w]*)$/.exec(afterTag);
+          if (operator) {
+              return {
+                  from: tag.to + operator[1].length,
+                  options: [
+                      ...CONDITION_OPERATORS.map((name) => ({
+                          label: name,
+                          type: "keyword",
+                          info: OPERATOR_INFO[name],
+                      })),
+                      ...logicalOptions(),
+                  ],
+                  validFor: /^[=!<>\w]*$/,
+              };
+          }
 
-                          // match[1] is the opening '%'
-                          decorations.push({
-                              from: pos,
-                              to: pos + match[1].length,
-                              decoration: D.delim,
-                          });
-                          pos += match[1].length;
+          // --- "and"/"or" after a complete comparison ---
+          const logical = /^\s+(?:\S+\s+(?:'[^']*'|"[^"]*"|\([^)]*\)|[^\s'"()]+)|empty|not_empty)\)*\s+(\w*)$/.exec(afterTag);
+          if (logical) {
+              return { from: context.pos - logical[1].length, options: logicalOptions(), validFor: /^\w*$/ };
+          }
 
-                          // match[2] is the source
-                          decorations.push({
-                              from: pos,
-                              to: pos + match[2].length,
-                              decoration: D.source,
-                          });
-                          pos += match[2].length;
+          // --- Comparison value from the field's choices ---
+          const value = /^\s+(==|!=|>=|<=|>|<|contains|not_contains|starts_with|ends_with|in)\s+\(?(?:'[^']*',\s*)*('?[^'\s]*)$/.exec(afterTag);
+          if (!value || !tag.path || tag.path.segments.length !== 1) return null;
 
-                          // match[3] is the ':'
-                          decorations.push({
-                              from: pos,
-                              to: pos + match[3].length,
-                              decoration: D.separator,
-                          });
-                          pos += match[3].length;
-
-                          // match[4] is the field with optional properties
-                          const fieldPart = match[4];
-                          if (fieldPart.includes(".")) {
-                              const dotIndex = fieldPart.indexOf(".");
-                              decorations.push({
-                                  from: pos,
-                                  to: pos + dotIndex,
-                                  decoration: D.field,
-                              });
-                              decorations.push({
-                                  from: pos + dotIndex,
-                                  to: pos + dotIndex + 1,
-                                  decoration: D.separator,
-                              });
-                              decorations.push({
-                                  from: pos + dotIndex + 1,
-                                  to: pos + fieldPart.length,
-                                  decoration: D.property,
-                              });
-                          } else {
-                              decorations.push({
-                                  from: pos,
-                                  to: pos + fieldPart.length,
-                                  decoration: D.field,
-                              });
-                          }
-                          pos += fieldPart.length;
-
-                          // Check for filter part (now correctly handles spaces)
-                          // match[5] is the '|' and match[6] is the filter content
-                          if (match[5] && match[6] !== undefined) {
-                              const spaceBeforePipe = match[0]
-                                  .substring(pos - matchStart)
-                                  .match(/^\s*/)[0].length;
-                              pos += spaceBeforePipe;
-
-                              // Pipe |
-                              decorations.push({ from: pos, to: pos + 1, decoration: D.pipe });
-                              pos += 1;
-
-                              const spaceAfterPipe = match[0]
-                                  .substring(pos - matchStart)
-                                  .match(/^\s*/)[0].length;
-                              pos += spaceAfterPipe;
-
-                              // Filter content
-                              const filterContent = match[6].trimEnd(); // Trim trailing spaces if any
-                              decorations.push({
-                                  from: pos,
-                                  to: pos + filterContent.length,
-                                  decoration: D.filter,
-                              });
-                              pos += filterContent.length;
-                              pos += match[6].length - filterContent.length; // Add back trailing spaces to position
-                          }
+          const blocks = blocksAt(parseTemplate(context.state.sliceDoc(0, tag.from)), tag.from);
+          const root = sourceSchema(dictionary, tag.source.name, blocks);
+          const field = root ? (root.properties || []).find((f) => f.name === tag.path.text) : null;
+          if (!field || !field.choices || field.choices.length === 0) return null;
 
-                          // Find the closing '%'
-                          const closingPercentIndex = match[0].lastIndexOf("%");
-                          if (closingPercentIndex > 0) {
-                              const closingPos = matchStart + closingPercentIndex;
-                              decorations.push({
-                                  from: closingPos,
-                                  to: closingPos + 1,
-                                  decoration: D.delim,
-                              });
-                          }
+          return {
+              from: context.pos - value[2].length,
+              options: field.choices.map((choice) => ({
+                  label: `'${choice.value}'`,
+                  type: "constant",
+                  detail: choice.label,
+              })),
+              validFor: /^'?[^'\s]*'?$/,
+          };
+      }
+
+      /**
+       * Block markers for the "[" completion. [else], [else if:] and [/if]
+       * are only offered inside an [if] block that is still open, [/each],
+       * [/layout] and [/with] inside an open block of their kind. Layout
+       * blocks themselves come from the snippets.
+       */
+      function markerOptions(state, pos) {
+          let insideIf = false;
+          let insideEach = false;
+          let insideLayout = false;
+          let insideWith = false;
+          walkTemplate(parseTemplate(state.sliceDoc(0, pos)).children, (node) => {
+              if (node.type === "if" && !node.close) insideIf = true;
+              if (node.type === "each" && !node.close) insideEach = true;
+              if (node.type === "layout" && !node.close) insideLayout = true;
+              if (node.type === "with" && !node.close) insideWith = true;
+          });
+
+          const markers = [
+              { label: "[if:", info: "Start a conditional block", condition: true },
+              { label: "[each:", info: "Repeat the content for every item of a list", condition: true },
+              { label: "[with:", info: "Read the fields of a related post, user or term", condition: true },
+              { label: "[include:", info: "Insert a partial template", partial: true },
+              { label: "[set:", info: "Compute a value once and read it with %var:name%", assignment: true },
+          ];
+          if (insideIf) {
+              markers.push(
+                  { label: "[else if:", info: "Another condition", condition: true },
+                  { label: "[else]", info: "Rendered when no condition matched" },
+                  { label: "[/if]", info: "End of the conditional block" }
+              );
+          }
+          if (insideEach) {
+              markers.push({ label: "[/each]", info: "End of the loop" });
+          }
+          if (insideLayout) {
+              markers.push({ label: "[/layout]", info: "End of the layout block" });
+          }
+          if (insideWith) {
+              markers.push({ label: "[/with]", info: "End of the related object's block" });
+          }
+
+          return markers.map((marker) => ({
+              label: marker.label,
+              type: "keyword",
+              info: marker.info,
+              boost: 1,
+              apply: (view, completion, from, to) => {
+                  const hasClosing = view.state.sliceDoc(to, to + 1) === "]";
+
+                  if (marker.partial || marker.assignment) {
+                      // Continue with the partial name (from the completion) or the variable name
+                      view.dispatch({
+                          changes: { from, to, insert: hasClosing ? marker.label : `${marker.label}]` },
+                          selection: { anchor: from + marker.label.length },
+                      });
+                      if (marker.partial) {
+                          setTimeout(() => {
+                              startCompletion(view);
+                          }, 10);
                       }
+                      return;
                   }
 
-                  // CRITICAL: Sort decorations by position before adding to builder
-                  decorations.sort((a, b) => a.from - b.from);
-
-                  // Add sorted decorations to builder
-                  for (const { from, to, decoration } of decorations) {
-                      // A safety check to prevent overlapping decorations which can cause issues.
-                      if (
-                          !decorations.some(
-                              (d) =>
-                                  d !== decoration && d.from < to && d.to > from && d.from < from
-                          )
-                      ) {
-                          builder.add(from, to, decoration);
-                      }
+                  if (!marker.condition) {
+                      view.dispatch({
+                          changes: { from, to: hasClosing ? to + 1 : to, insert: marker.label },
+                          selection: { anchor: from + marker.label.length },
+                      });
+                      return;
                   }
 
-                  return builder.finish();
-              }
-          },
-          {
-              decorations: (v) => v.decorations,
-          }
-      );
+                  // Start the argument with a tag and open its completion
+                  const textToApply = `${marker.label}%`;
+                  view.dispatch({
+                      changes: { from, to, insert: hasClosing ? textToApply : `${textToApply}]` },
+                      selection: { anchor: from + textToApply.length },
+                  });
+                  setTimeout(() => {
+                      startCompletion(view);
+                  }, 10);
+              },
+          }));
+      }
 
       /**
-       * ========================================================================
-       * NEW: 2. REAL-TIME SYNTAX VALIDATION (LINTING)
-       * ========================================================================
-       * This function provides real-time error checking against our data dictionary.
+       * Completes the partial name after "[include:" and, after the name,
+       * the parameters the partial reads.
        */
-      const dataEngineLinter = (dictionary) =>
-          linter((view) => {
-              let diagnostics = [];
-              const text = view.state.doc.toString();
-              const tagRegex = /%([a-zA-Z0-9_.-]+:[a-zA-Z0-9_.-]+(?:\|[^%]+)?)%/g;
-              let match;
+      function completeInclude(context, dictionary, beforeCursor) {
+          if (!dictionary.partials) return null;
 
-              while ((match = tagRegex.exec(text))) {
-                  const fullTag = match[1];
-                  const tagContent = fullTag.split("|")[0];
-                  const [source, fieldPath] = tagContent.split(":");
+          const name = /\[include:\s*([\w-]*)$/.exec(beforeCursor);
+          if (name) {
+              return {
+                  from: context.pos - name[1].length,
+                  options: dictionary.partials.map((partial) => ({
+                      label: partial.name,
+                      type: "class",
+                      detail: partial.label,
+                      info: partial.params.length > 0 ? `Parameters: ${partial.params.join(", ")}` : "No parameters",
+                  })),
+                  validFor: /^[\w-]*$/,
+              };
+          }
 
-                  // Rule 1: Validate data source
-                  if (!["acf", "post", "sub"].includes(source)) {
-                      diagnostics.push({
-                          from: match.index + 1,
-                          to: match.index + 1 + source.length,
-                          severity: "error",
-                          message: `Unknown data source: '${source}'. Available: acf, post, sub.`,
-                      });
-                      continue;
-                  }
+          const param = /\[include:\s*([\w-]+)((?:\s+\w+\s*=\s*(?:'[^']*'|"[^"]*"))*)\s+(\w*)$/.exec(beforeCursor);
+          const partial = param ? dictionary.partials.find((candidate) => candidate.name === param[1]) : null;
+          if (!partial) return null;
 
-                  // Rule 2: Validate field name existence
-                  if (fieldPath) {
-                      const fieldName = fieldPath.split(".")[0];
-                      if (
-                          dictionary[source] &&
-                          !dictionary[source].some((field) => field.name === fieldName)
-                      ) {
-                          diagnostics.push({
-                              from: match.index + 1 + source.length + 1,
-                              to: match.index + 1 + source.length + 1 + fieldName.length,
-                              severity: "error",
-                              message: `Field '${fieldName}' not found in '${source}' source.`,
+          const passed = [...param[2].matchAll(/(\w+)\s*=/g)].map((match) => match[1]);
+          return {
+              from: context.pos - param[3].length,
+              options: partial.params
+                  .filter((name) => !passed.includes(name))
+                  .map((name) => ({
+                      label: name,
+                      type: "property",
+                      detail: `${partial.name} parameter`,
+                      apply: (view, completion, from, to) => {
+                          const insert = `${name}='`;
+                          view.dispatch({
+                              changes: { from, to, insert: `${insert}'` },
+                              selection: { anchor: from + insert.length },
                           });
-                      }
-                  }
+                      },
+                  })),
+              validFor: /^\w*$/,
+          };
+      }
+
+      function completeSnippets(context, options) {
+          const bracket = context.matchBefore(/\[[^[\]%\n]*$/);
+          if (bracket) {
+              return {
+                  from: bracket.from,
+                  options: [...markerOptions(context.state, bracket.from), ...options],
+                  validFor: /^\[[^[\]%\n]*$/,
+              };
+          }
+
+          // The snippet palette: explicit completion outside any tag
+          if (context.explicit) {
+              const word = context.matchBefore(/[\w-]*$/);
+              return { from: word.from, options };
+          }
 
-                  // Rule 3: Validate filters (FIXED)
-                  if (fullTag.includes('|') && dictionary.filters) {
-                      const filtersPart = fullTag.split('|').slice(1);
+          return null;
+      }
 
-                      filtersPart.forEach((filterStr, index) => {
-                          const cleanFilterStr = filterStr.trim();
-                          if (!cleanFilterStr) return;
+      function describeSource(dictionary, source, blocks) {
+          if (source === "loop") return "Loop variables: index, number, count, first, last";
+          if (source === "var") return "Variables set with [set:name = ...]";
+          if (source === "sub" && blocks.some((block) => block.type === "each")) return "Fields of the current loop item";
+          if (!dataSources(dictionary).includes(source)) return `Item of [each ... as ${source}]`;
+          if (source === "acf" && readsWithContext(dictionary, source, blocks)) return "ACF fields of the [with] block's object";
 
-                          const filterName = cleanFilterStr.split('(')[0].trim();
+          const description = (dictionary.sources || []).find((candidate) => candidate.name === source);
+          return description ? description.label : `Data from "${source}" source`;
+      }
 
-                          if (!dictionary.filters.some(f => f.name === filterName)) {
-                              // Calculate position more accurately
-                              const filterStartIndex = fullTag.indexOf(filterStr);
-                              diagnostics.push({
-                                  from: match.index + 1 + filterStartIndex,
-                                  to: match.index + 1 + filterStartIndex + filterName.length,
-                                  severity: 'error',
-                                  message: `Unknown filter: '${filterName}'. Available: ${dictionary.filters.map(f => f.name).join(', ')}`
-                              });
-                          }
-                      });
+      /**
+       * Filter names for the completion after '|', with their default
+       * arguments. In a tag, the closing '%' is added when missing.
+       */
+      function filterOptions(dictionary, closeTag) {
+          return dictionary.filters.map((filter) => ({
+              label: filter.name,
+              type: "function",
+              info:
+                  (filter.description || `Filter: ${filter.name}`) +
+                  (filter.accepts && !filter.accepts.includes("any") ? ` (works on: ${filter.accepts.join(", ")})` : ""),
+              detail: filter.label || filter.name,
+              apply: (view, completion, from, to) => {
+                  let textToApply = filter.name;
+
+                  // Add parentheses if filter has arguments
+                  if (filter.args && filter.args.length > 0) {
+                      const defaultArgs = filter.args
+                          .map((arg) => {
+                              if (arg.type === "string") {
+                                  return `'${arg.default ?? ""}'`;
+                              }
+                              return arg.default ?? "";
+                          })
+                          .join(", ");
+                      textToApply = `${filter.name}(${defaultArgs})`;
                   }
-              }
 
-              return diagnostics;
-          });
+                  // Auto-close the tag only if we're at the end
+                  const nextChar = view.state.doc.sliceString(to, to + 1);
+                  if (closeTag && nextChar !== "%" && nextChar !== "|") {
+                      textToApply += "%";
+                  }
+
+                  view.dispatch({
+                      changes: { from, to, insert: textToApply },
+                      selection: { anchor: from + textToApply.length },
+                  });
+              },
+          }));
+      }
 
       /**
-       * ========================================================================
-       * 3. AUTOCOMPLETION LOGIC (UNCHANGED)
-       * ========================================================================
+       * Completes the filter names of a [set] expression, after a '|' that
+       * is not inside a tag.
        */
-      // ... (ta sekcja pozostaje bez zmian)
+      function completeSetFilter(context, dictionary, beforeCursor) {
+          if (!dictionary.filters) return null;
+
+          const pipe = /\[set:[^\]\n]*\|\s*(\w*)$/.exec(beforeCursor);
+          if (!pipe) return null;
+
+          return { from: context.pos - pipe[1].length, options: filterOptions(dictionary, false), validFor: /^\w*$/ };
+      }
+
       function createDataEngineCompletionSource(dictionary) {
+          const snippets = snippetOptions([...BLOCK_SNIPPETS, ...fieldSnippets(dictionary)]);
+
           return (context) => {
               const line = context.state.doc.lineAt(context.pos);
-              const lineText = line.text;
-              const posInLine = context.pos - line.from;
+              const beforeCursor = context.state.doc.sliceString(line.from, context.pos);
+
+              // Find the tag we're currently typing
+              const tag = tagBeingTyped(parseTemplate(beforeCursor, line.from), context.pos);
+              if (!tag) {
+                  return (
+                      completeCondition(context, dictionary, beforeCursor) ||
+                      completeInclude(context, dictionary, beforeCursor) ||
+                      completeSetFilter(context, dictionary, beforeCursor) ||
+                      completeSnippets(context, snippets)
+                  );
+              }
 
-              // Find the tag we're currently in
-              const tagRegex = /%([^%]*)$/;
-              const beforeCursor = lineText.substring(0, posInLine);
-              const tagMatch = beforeCursor.match(tagRegex);
+              // --- Context: Filter Completion ---
+              if (tag.filters.length > 0) {
+                  const filter = tag.filters[tag.filters.length - 1];
 
-              if (!tagMatch) return null;
+                  // Only while typing the filter name, not its arguments
+                  if (filter.parens || !dictionary.filters) return null;
 
-              const tagContent = tagMatch[1];
-              const tagStart = context.pos - tagContent.length;
+                  return { from: filter.nameFrom, options: filterOptions(dictionary, true), validFor: /^[\w-]*$/ };
+              }
 
-              // --- Context: Filter Completion (MOVED TO PROPER POSITION) ---
-              const pipeIndex = tagContent.lastIndexOf("|");
-              if (pipeIndex > 0) {
-                  tagContent.substring(pipeIndex + 1).trim();
-                  const beforePipe = tagContent.substring(0, pipeIndex);
+              // Anything after the field path that is not a filter cannot be completed
+              if (tag.errors.length > 0) return null;
 
-                  // Check if we're after a pipe and should show filters
-                  if (beforePipe.includes(":") && dictionary.filters) {
-                      return {
-                          from: tagStart + pipeIndex + 1,
-                          options: dictionary.filters.map((filter) => ({
-                              label: filter.name,
-                              type: "function",
-                              info: filter.description || `Filter: ${filter.name}`,
-                              detail: filter.label || filter.name,
-                              apply: (view, completion, from, to) => {
-                                  let textToApply = filter.name;
-
-                                  // Add parentheses if filter has arguments
-                                  if (filter.args && filter.args.length > 0) {
-                                      const defaultArgs = filter.args
-                                          .map((arg) => {
-                                              if (arg.type === "string") {
-                                                  return `'${arg.default || ""}'`;
-                                              }
-                                              return arg.default || "";
-                                          })
-                                          .join(", ");
-                                      textToApply = `${filter.name}(${defaultArgs})`;
-                                  }
+              const source = tag.source.name;
+              const blocks = blocksAt(parseTemplate(context.state.sliceDoc(0, tag.from)), tag.from);
+              // Variables may be set further down the template, before a loop for example
+              const variables = source === "var" ? templateVariables(parseTemplate(context.state.doc.toString()), tag.from) : undefined;
+              const root = sourceSchema(dictionary, source, blocks, variables);
 
-                                  // Auto-close the tag only if we're at the end
-                                  const nextChar = view.state.doc.sliceString(to, to + 1);
-                                  if (nextChar !== "%" && nextChar !== "|") {
-                                      textToApply += "%";
-                                  }
+              // --- Context: Property Completion (at any depth of the path) ---
+              if (tag.path && tag.path.segments.length > 1) {
+                  const segments = tag.path.segments;
+                  const property = segments[segments.length - 1];
+                  if (!root) return null;
+                  const { nodes, unknown } = resolveSegments(root, segments.slice(0, -1));
+                  if (unknown !== -1) return null;
 
-                                  view.dispatch({
-                                      changes: { from, to, insert: textToApply },
-                                      selection: { anchor: from + textToApply.length },
-                                  });
-                              },
-                          })),
-                          validFor: /^[\w-]*$/,
-                      };
-                  }
-              }
+                  const children = schemaChildren(nodes[nodes.length - 1]);
+                  if (children.length === 0) return null;
 
-              // --- Context: Property Completion ---
-              const dotIndex = tagContent.lastIndexOf(".");
-              if (dotIndex > 0 && dotIndex > pipeIndex) { // FIXED: Make sure we're not in filter context
-                  const beforeDot = tagContent.substring(0, dotIndex);
-
-                  if (beforeDot.includes(":") && !beforeDot.includes("|")) { // FIXED: Exclude filter context
-                      const [source, fieldName] = beforeDot.split(":");
-                      if (source === "acf" && dictionary.acf) {
-                          const acfField = dictionary.acf.find((f) => f.name === fieldName);
-                          if (acfField && acfField.properties) {
-                              return {
-                                  from: tagStart + dotIndex + 1,
-                                  options: acfField.properties.map((prop) => ({
-                                      label: prop.name,
-                                      type: "property",
-                                      info: prop.label,
-                                      apply: (view, completion, from, to) => {
-                                          const needsClosing = view.state.doc.sliceString(to, to + 1) !== "%";
-                                          const textToApply = needsClosing ? `${prop.name}%` : prop.name;
-
-                                          view.dispatch({
-                                              changes: { from, to, insert: textToApply },
-                                              selection: { anchor: from + textToApply.length },
-                                          });
-                                      },
-                                  })),
-                                  validFor: /^[\w-]*$/,
-                              };
-                          }
-                      }
-                  }
-                  return null;
+                  return {
+                      from: property.from,
+                      options: children.map((prop) => ({
+                          label: prop.name,
+                          type: "property",
+                          info: prop.label,
+                          detail: prop.type,
+                          apply: (view, completion, from, to) => {
+                              const nested = hasNestedSchema(prop);
+                              let textToApply;
+
+                              if (nested) {
+                                  textToApply = `${prop.name}.`;
+                              } else {
+                                  const needsClosing = view.state.doc.sliceString(to, to + 1) !== "%";
+                                  textToApply = needsClosing ? `${prop.name}%` : prop.name;
+                              }
+
+                              view.dispatch({
+                                  changes: { from, to, insert: textToApply },
+                                  selection: { anchor: from + textToApply.length },
+                              });
+
+                              if (nested) {
+                                  setTimeout(() => {
+                                      startCompletion(view);
+                                  }, 10);
+                              }
+                          },
+                      })),
+                      validFor: /^[\w-]*$/,
+                  };
               }
 
               // --- Context: Field Name Completion ---
-              const colonIndex = tagContent.indexOf(":");
-              if (colonIndex > 0 && !tagContent.includes("|")) { // FIXED: Exclude filter context
-                  const source = tagContent.substring(0, colonIndex);
-
-                  if (dictionary[source]) {
+              if (tag.path) {
+                  if (root) {
                       return {
-                          from: tagStart + colonIndex + 1,
-                          options: dictionary[source].map((field) => ({
+                          from: tag.path.from,
+                          options: schemaChildren(root).map((field) => ({
                               label: field.name,
                               type: "variable",
                               info: field.label,
                               apply: (view, completion, from, to) => {
-                                  const hasProperties = field.properties && field.properties.length > 0;
+                                  const hasProperties = hasNestedSchema(field);
                                   let textToApply;
 
                                   if (hasProperties) {
@@ -26776,11 +29509,11 @@
 
               // --- Context: Source Completion ---
               return {
-                  from: tagStart,
-                  options: ["acf", "post", "sub"].map((label) => ({
+                  from: tag.source.from,
+                  options: availableSources(dictionary, blocks).map((label) => ({
                       label,
                       type: "namespace",
-                      info: `Data from "${label}" source`,
+                      info: describeSource(dictionary, label, blocks),
                       apply: (view, completion, from, to) => {
                           const textToApply = `${label}:`;
 
@@ -26801,16 +29534,384 @@
 
       /**
        * ========================================================================
-       * 4. MODAL AND EDITOR INITIALIZATION (WITH LINTING)
+       * 4. SIGNATURE HELP AND HOVER TOOLTIPS
+       * ========================================================================
+       * While the cursor is inside filter(...), a tooltip shows the filter's
+       * parameters with the current one highlighted, like IDEs do for calls.
+       * Hovering a tag shows the field's metadata and what the tag resolves to
+       * for the preview post.
+       */
+      function formatParameter(param) {
+          let text = `${param.name}: ${param.type}`;
+          if (param.default !== undefined && param.default !== "") {
+              text += param.type === "string" ? ` = '${param.default}'` : ` = ${param.default}`;
+          }
+          return text;
+      }
+
+      function renderSignature(definition, activeIndex) {
+          const params = definition.args || [];
+          const dom = document.createElement("div");
+          dom.className = "cm-de-signature";
+
+          const label = document.createElement("div");
+          label.className = "cm-de-signature-label";
+          label.append(`${definition.name}(`);
+          params.forEach((param, index) => {
+              if (index > 0) label.append(", ");
+              const span = document.createElement("span");
+              span.className = "cm-de-signature-param" + (index === activeIndex ? " is-active" : "");
+              span.textContent = formatParameter(param);
+              label.append(span);
+          });
+          label.append(")");
+          dom.append(label);
+
+          const active = params[activeIndex];
+          const description = active
+              ? active.description
+              : params.length > 0
+              ? `'${definition.name}' takes at most ${params.length} argument${params.length === 1 ? "" : "s"}.`
+              : definition.description;
+          if (description) {
+              const doc = document.createElement("div");
+              doc.className = "cm-de-signature-doc";
+              doc.textContent = description;
+              dom.append(doc);
+          }
+
+          return dom;
+      }
+
+      function createSignatureHelp(dictionary) {
+          const getTooltip = (state) => {
+              const { head, empty } = state.selection.main;
+              if (!empty || !dictionary.filters) return null;
+
+              const line = state.doc.lineAt(head);
+              const call = filterCallAt(parseTemplate(line.text, line.from), head);
+              if (!call) return null;
+
+              const definition = dictionary.filters.find((f) => f.name === call.filter.name);
+              if (!definition) return null;
+
+              return {
+                  pos: call.filter.nameFrom,
+                  above: true,
+                  create: () => ({ dom: renderSignature(definition, call.argIndex) }),
+              };
+          };
+
+          return StateField.define({
+              create: getTooltip,
+              update: (tooltip, tr) => (tr.docChanged || tr.selection ? getTooltip(tr.state) : tooltip),
+              provide: (field) => showTooltip.from(field),
+          });
+      }
+
+      /**
+       * Looks up the dictionary entries behind a tag: the field and, for
+       * paths like image.url, the property.
+       */
+      function describeTag(dictionary, tag, blocks, variables) {
+          const segments = tag.path.segments;
+          const root = sourceSchema(dictionary, tag.source.name, blocks, variables);
+          const { nodes } = root ? resolveSegments(root, segments) : { nodes: [] };
+          const label = segments.map((segment, index) => (nodes[index] ? nodes[index].label : segment.name));
+          const typed = nodes.filter((node) => node.type);
+
+          return {
+              label: label.join(" › "),
+              type: [tag.source.name, nodes.length > 0 ? (typed.length > 0 ? typed[typed.length - 1].type : "") : root ? "unknown field" : ""]
+                  .filter(Boolean)
+                  .join(" · "),
+          };
+      }
+
+      function appendValueRow(list, title, value) {
+          const dt = document.createElement("dt");
+          dt.textContent = title;
+          const dd = document.createElement("dd");
+          if (value === "") {
+              dd.className = "cm-de-hover-empty";
+              dd.textContent = "(empty)";
+          } else {
+              dd.textContent = value;
+          }
+          list.append(dt, dd);
+      }
+
+      function renderTagHover(description, tag, values, error, unresolved) {
+          const dom = document.createElement("div");
+          dom.className = "cm-de-hover";
+
+          const title = document.createElement("div");
+          title.className = "cm-de-hover-title";
+          title.textContent = description.label;
+          const type = document.createElement("span");
+          type.className = "cm-de-hover-type";
+          type.textContent = description.type;
+          title.append(type);
+          dom.append(title);
+
+          const list = document.createElement("dl");
+          list.className = "cm-de-hover-values";
+          if (error) {
+              appendValueRow(list, "Value", `Could not resolve: ${error}`);
+          } else if (!values) {
+              appendValueRow(list, "Value", unresolved);
+          } else {
+              appendValueRow(list, "Value", values.value);
+              if (tag.filters.length > 0) appendValueRow(list, "After filters", values.filtered);
+          }
+          dom.append(list);
+
+          return dom;
+      }
+
+      /**
+       * Describes the partial of an [include] marker, with a link that opens
+       * the partial for editing in a new tab.
+       */
+      function renderIncludeHover(partial) {
+          const dom = document.createElement("div");
+          dom.className = "cm-de-hover";
+
+          const title = document.createElement("div");
+          title.className = "cm-de-hover-title";
+          title.textContent = partial.label;
+          const type = document.createElement("span");
+          type.className = "cm-de-hover-type";
+          type.textContent = "partial";
+          title.append(type);
+          dom.append(title);
+
+          const list = document.createElement("dl");
+          list.className = "cm-de-hover-values";
+          appendValueRow(list, "Parameters", partial.params.length > 0 ? partial.params.join(", ") : "none");
+          dom.append(list);
+
+          if (partial.edit_url) {
+              const link = document.createElement("a");
+              link.className = "cm-de-hover-link";
+              link.href = partial.edit_url;
+              link.target = "_blank";
+              link.rel = "noopener";
+              link.textContent = "Edit partial ↗";
+              dom.append(link);
+          }
+
+          return dom;
+      }
+
+      function includeAt(tree, pos) {
+          let found = null;
+          walkTemplate(tree.children, (node) => {
+              if (node.type === "include" && node.partial && node.partial.name && node.from <= pos && pos <= node.to) found = node;
+          });
+          return found;
+      }
+
+      function createTagHover(dictionary, inspectTag) {
+          return hoverTooltip(
+              async (view, pos, side) => {
+                  const line = view.state.doc.lineAt(pos);
+                  const lineTree = parseTemplate(line.text, line.from);
+                  const tag = tagAt(lineTree, pos, side);
+
+                  if (!tag) {
+                      const include = includeAt(lineTree, pos);
+                      const partial = include && dictionary.partials
+                          ? dictionary.partials.find((candidate) => candidate.name === include.partial.name.text)
+                          : null;
+                      if (!partial) return null;
+                      return { pos: include.from, end: include.to, above: true, create: () => ({ dom: renderIncludeHover(partial) }) };
+                  }
+                  if (!tag.path || !tag.path.text) return null;
+
+                  // Tags that refer to the current loop item, to the object of a
+                  // [with] block or to a variable cannot be resolved on their own
+                  const blocks = blocksAt(parseTemplate(view.state.sliceDoc(0, tag.from)), tag.from);
+                  const variables = tag.source.name === "var" ? templateVariables(parseTemplate(view.state.doc.toString()), tag.from) : undefined;
+                  const perItem = blocks.some((block) => block.type === "each") &&
+                      (tag.source.name === "sub" || !dataSources(dictionary).includes(tag.source.name));
+                  const unresolved = variables
+                      ? "Computed by the template's [set] markers"
+                      : perItem
+                        ? "Resolved for each item of the loop"
+                        : readsWithContext(dictionary, tag.source.name, blocks)
+                          ? "Resolved for the object of the [with] block"
+                          : null;
+
+                  let values = null;
+                  let error = null;
+                  if (!unresolved) {
+                      try {
+                          values = await inspectTag(view.state.sliceDoc(tag.from, tag.to));
+                      } catch (e) {
+                          error = e.message;
+                      }
+                  }
+
+                  return {
+                      pos: tag.from,
+                      end: tag.to,
+                      above: true,
+                      create: () => ({ dom: renderTagHover(describeTag(dictionary, tag, blocks, variables), tag, values, error, unresolved) }),
+                  };
+              },
+              { hoverTime: 400 }
+          );
+      }
+
+      /**
+       * ========================================================================
+       * 5. LIVE PREVIEW
+       * ========================================================================
+       * Renders the template on the server (the same Parser the widgets use)
+       * and shows the sanitized HTML in a sandboxed iframe next to the editor.
+       */
+      const PREVIEW_DEBOUNCE_MS = 400;
+
+      function createLivePreview(pane, previewContext) {
+          const frame = pane.querySelector(".preview-frame");
+          const $status = $(pane).find(".preview-status");
+          const $rowSelect = $(pane).find(".preview-row-select");
+          let template = "";
+          let timer = null;
+          let latestRequest = 0;
+
+          function updateRowSelect(rows, row) {
+              if (!rows) {
+                  $rowSelect.prop("hidden", true).empty();
+                  if (rows === 0) $status.text("The repeater has no rows.");
+                  return;
+              }
+              if ($rowSelect.children().length !== rows) {
+                  $rowSelect.empty();
+                  for (let index = 0; index < rows; index++) {
+                      $rowSelect.append($("<option>").val(index).text(`Row ${index + 1}`));
+                  }
+              }
+              $rowSelect.val(String(row)).prop("hidden", false);
+          }
+
+          function render() {
+              const request = ++latestRequest;
+              $status.text("Rendering...");
+
+              $.ajax({
+                  url: DataEngineEditorConfig.ajax_url,
+                  type: "POST",
+                  data: {
+                      ...previewContext,
+                      action: "data_engine_render_preview",
+                      nonce: DataEngineEditorConfig.nonce,
+                      template: template,
+                      row_index: $rowSelect.val() || 0,
+                  },
+                  success: function (response) {
+                      // A newer render was requested while this one was running.
+                      if (request !== latestRequest) return;
+
+                      if (!response.success) {
+                          $status.text(response.data?.message || "Could not render the preview.");
+                          return;
+                      }
+                      $status.text("");
+                      frame.srcdoc = `<!doctype html><html><head><style>body{margin:12px;font-family:sans-serif;color:#1f2124;}</style></head><body>${response.data.html}</body></html>`;
+                      updateRowSelect(response.data.rows, response.data.row);
+                  },
+                  error: function (jqXHR, textStatus) {
+                      if (request !== latestRequest) return;
+                      $status.text("Preview request failed: " + textStatus);
+                  },
+              });
+          }
+
+          function update(newTemplate) {
+              template = newTemplate;
+              clearTimeout(timer);
+              timer = setTimeout(render, PREVIEW_DEBOUNCE_MS);
+          }
+
+          $rowSelect.on("change", render);
+
+          return {
+              update,
+              getRowIndex: () => $rowSelect.val() || 0,
+              extension: EditorView.updateListener.of((viewUpdate) => {
+                  if (viewUpdate.docChanged) update(viewUpdate.state.doc.toString());
+              }),
+              destroy() {
+                  clearTimeout(timer);
+                  latestRequest++;
+              },
+          };
+      }
+
+      /**
+       * Returns a function that resolves a single tag on the server, for the
+       * hover tooltips. The post data does not change while the modal is open,
+       * so every tag is only fetched once per repeater row.
+       */
+      function createTagInspector(previewContext, getRowIndex) {
+          const cache = new Map();
+
+          return (tag) => {
+              const rowIndex = getRowIndex();
+              const key = `${rowIndex}:${tag}`;
+              if (cache.has(key)) return cache.get(key);
+
+              const request = new Promise((resolve, reject) => {
+                  $.ajax({
+                      url: DataEngineEditorConfig.ajax_url,
+                      type: "POST",
+                      data: {
+                          ...previewContext,
+                          action: "data_engine_inspect_tag",
+                          nonce: DataEngineEditorConfig.nonce,
+                          tag: tag,
+                          row_index: rowIndex,
+                      },
+                      success: function (response) {
+                          if (response.success) resolve(response.data);
+                          else reject(new Error(response.data?.message || "Unknown error."));
+                      },
+                      error: function (jqXHR, textStatus) {
+                          reject(new Error(textStatus));
+                      },
+                  });
+              });
+              cache.set(key, request);
+              request.catch(() => cache.delete(key));
+              return request;
+          };
+      }
+
+      /**
+       * ========================================================================
+       * 6. MODAL AND EDITOR INITIALIZATION (WITH LINTING)
        * ========================================================================
        * Added the linter and lintGutter extensions.
        */
-      function showEditorModal(initialContent, dataDictionary, onSave, onCancel) {
+      function showEditorModal(initialContent, dataDictionary, onSave, onCancel, previewContext) {
           const modalHTML = `
             <div class="data-engine-modal">
                 <div class="modal-header">DataEngine Live Editor</div>
-                <div class="modal-content"></div>
+                <div class="modal-body">
+                    <div class="modal-content"></div>
+                    <div class="modal-preview">
+                        <div class="preview-toolbar">
+                            <span class="preview-title">Preview</span>
+                            <select class="preview-row-select" hidden></select>
+                            <span class="preview-status"></span>
+                        </div>
+                        <iframe class="preview-frame" sandbox="" title="Template preview"></iframe>
+                    </div>
+                </div>
                 <div class="modal-footer">
+                    <button class="elementor-button" id="de-snippet-button" title="Or type [ / press Ctrl+Space">Insert Snippet</button>
                     <button class="elementor-button" id="de-cancel-button">Cancel</button>
                     <button class="elementor-button elementor-button-success" id="de-save-button">Save & Close</button>
                 </div>
@@ -26824,15 +29925,19 @@
               createDataEngineCompletionSource(dataDictionary);
           // NEW: Create the linter instance with our data dictionary
           const liveLinter = dataEngineLinter(dataDictionary);
+          const livePreview = createLivePreview(
+              document.querySelector(".data-engine-modal .modal-preview"),
+              previewContext
+          );
 
           const editorState = EditorState.create({
               doc: initialContent,
               extensions: [
                   oneDark,
                   EditorView.lineWrapping,
-                  html(),
+                  dataEngine(),
                   dataEngineTheme,
-                  dataEngineSyntaxHighlighting,
+                  foldGutter(),
                   closeBrackets(),
                   autocompletion({
                       override: [dataEngineCompletions],
@@ -26842,8 +29947,12 @@
                   // NEW: Enable the linter and the gutter for displaying icons
                   liveLinter,
                   lintGutter(),
+                  createSignatureHelp(dataDictionary),
+                  createTagHover(dataDictionary, createTagInspector(previewContext, livePreview.getRowIndex)),
+                  livePreview.extension,
                   keymap.of([
                       ...completionKeymap,
+                      ...foldKeymap,
                       ...defaultKeymap,
                       indentWithTab,
                       {
@@ -26862,12 +29971,21 @@
               parent: contentArea,
           });
 
+          livePreview.update(initialContent);
+
+          $("#de-snippet-button").on("click", function () {
+              editorView.focus();
+              startCompletion(editorView);
+          });
+
           $("#de-cancel-button").on("click", function () {
+              livePreview.destroy();
               onCancel();
               $(".data-engine-modal").remove();
           });
 
           $("#de-save-button").on("click", function () {
+              livePreview.destroy();
               onSave(editorView.state.doc.toString());
               $(".data-engine-modal").remove();
           });
@@ -26875,7 +29993,7 @@
 
       /**
        * ========================================================================
-       * 5. OVERLAY AND MAIN BUTTON LOGIC (UNCHANGED)
+       * 7. OVERLAY AND MAIN BUTTON LOGIC (UNCHANGED)
        * ========================================================================
        */
       // ... (ta sekcja pozostaje bez zmian)
@@ -26969,6 +30087,12 @@
                   );
               }
 
+              // The preview is sanitized with the widget's kses profile
+              const ksesProfile = $clickedButton
+                  .closest("#elementor-controls")
+                  .find(".data-engine-kses-profile-input select")
+                  .val();
+
               console.log("DataEngine: Final AJAX data:", ajaxData);
 
               $.ajax({
@@ -26995,6 +30119,11 @@
                                   () => {
                                       console.log("DataEngine: Editor closed without saving.");
                                       hideOverlay();
+                                  },
+                                  {
+                                      context_post_id: ajaxData.context_post_id,
+                                      repeater_context_field: ajaxData.repeater_context_field,
+                                      kses_profile: ksesProfile,
                                   }
                               );
                           }, 300);
@@ -6,7 +6,8 @@ jQuery(document).ready(function ($) {
         window.deImportExport = {
             ajaxurl: ajaxurl || '/wp-admin/admin-ajax.php',
             nonce: '',
-            post_id: 0
+            post_id: 0,
+            max_upload_size: 5 * 1024 * 1024
         };
     }
 
@@ -19,6 +20,12 @@ jQuery(document).ready(function ($) {
             this.currentTargetField = null;
             this.uploadedFile = null;
             this.previewData = null;
+            this.selectedSheet = "";
+            this.columnMapping = null;
+            this.mappingTargets = [];
+            this.mappingPresets = {};
+            this.importJobRunning = false;
+            this.importCancelled = false;
 
             this.init();
         }
@@ -43,7 +50,17 @@ jQuery(document).ready(function ($) {
                 ".import-preview-btn",
                 this.handlePreviewClick.bind(this)
             );
+            $(document).on(
+                "click",
+                ".import-validate-btn",
+                this.handleValidateClick.bind(this)
+            );
             $(document).on("click", ".import-btn", this.handleImportClick.bind(this));
+            $(document).on(
+                "change",
+                ".import-mode-select, .import-key-select",
+                this.handleImportModeChange.bind(this)
+            );
 
             // Export events
             $(document).on(
@@ -56,6 +73,16 @@ jQuery(document).ready(function ($) {
                 ".export-json-btn",
                 this.handleExportClick.bind(this)
             );
+            $(document).on(
+                "click",
+                ".export-xlsx-btn",
+                this.handleExportClick.bind(this)
+            );
+
+            // Batched import events
+            $(document).on("click", ".de-resume-import", this.handleResumeImportClick.bind(this));
+            $(document).on("click", ".de-cancel-import-job", this.handleCancelImportJobClick.bind(this));
+            $(document).on("click", ".de-progress-cancel", this.handleProgressCancelClick.bind(this));
 
             // UI events
             $(document).on("click", ".de-preview-close", this.hidePreview.bind(this));
@@ -98,7 +125,7 @@ jQuery(document).ready(function ($) {
 
         initializeFileInput($control) {
             const $fileInput = $control.find(".import-file-input");
-            const $importButtons = $control.find(".import-preview-btn, .import-btn");
+            const $importButtons = $control.find(".import-preview-btn, .import-validate-btn, .import-btn");
 
             // Initially disable import buttons
             $importButtons.prop("disabled", true);
@@ -121,7 +148,7 @@ jQuery(document).ready(function ($) {
                 <div class="de-file-input-label">
                     <div class="de-file-input-icon dashicons dashicons-upload"></div>
                     <div class="de-file-input-text">Choose file or drag & drop</div>
-                    <div class="de-file-input-hint">Supports CSV and JSON files (max 5MB)</div>
+                    <div class="de-file-input-hint">Supports CSV, JSON and Excel files (max ${this.formatFileSize(this.getMaxUploadSize())})</div>
                 </div>
             `;
 
@@ -198,11 +225,13 @@ jQuery(document).ready(function ($) {
 
             // Store file reference
             this.uploadedFile = file;
+            this.selectedSheet = "";
+            this.columnMapping = null;
             this.currentField = $control.data("field-key");
             this.currentTargetField = $control.data("target-field");
 
             // Enable preview/import buttons
-            $control.find(".import-preview-btn, .import-btn").prop("disabled", false);
+            $control.find(".import-preview-btn, .import-validate-btn, .import-btn").prop("disabled", false);
 
             console.log("File selected:", file.name, file.type, file.size);
         }
@@ -242,6 +271,50 @@ jQuery(document).ready(function ($) {
             this.checkExistingDataBeforeImport($control);
         }
 
+        /**
+         * Handle validate button click: dry run the import and show the report
+         */
+        handleValidateClick(e) {
+            e.preventDefault();
+
+            const $control = $(e.target).closest(".acf-import-export-controls");
+
+            if (!this.uploadedFile) {
+                this.showError($control, "Please select a file first");
+                return;
+            }
+
+            this.performDryRun($control);
+        }
+
+        /**
+         * Handle import mode or key sub-field change
+         */
+        handleImportModeChange(e) {
+            const $control = $(e.target).closest(".acf-import-export-controls");
+            const { mode } = this.getImportOptions($control);
+
+            $control.find(".import-key-field").toggle(mode === "upsert");
+
+            // Refresh the counts of an open preview or validation report
+            if (this.uploadedFile && $control.find(".import-preview .de-validation-report").is(":visible")) {
+                this.performDryRun($control);
+            } else if (this.uploadedFile && $control.find(".import-preview .de-preview-header").is(":visible")) {
+                this.showPreview($control);
+            }
+        }
+
+        /**
+         * Import mode and key sub-field chosen in the import section
+         */
+        getImportOptions($control) {
+            const mode = $control.find(".import-mode-select").val() || "replace";
+            return {
+                mode: mode,
+                keyField: mode === "upsert" ? $control.find(".import-key-select").val() || "" : "",
+            };
+        }
+
         /**
          * Handle export button click
          */
@@ -250,7 +323,9 @@ jQuery(document).ready(function ($) {
 
             const $btn = $(e.target);
             const $control = $btn.closest(".acf-import-export-controls");
-            const format = $btn.hasClass("export-csv-btn") ? "csv" : "json";
+            const format = ["csv", "json", "xlsx"].find((type) =>
+                $btn.hasClass(`export-${type}-btn`)
+            );
 
             const fieldKey = $control.data("field-key");
             const targetField = $control.data("target-field");
@@ -267,21 +342,22 @@ jQuery(document).ready(function ($) {
          * Validate selected file
          */
         validateFile(file) {
-            const maxSize = 5 * 1024 * 1024; // 5MB
+            const maxSize = this.getMaxUploadSize();
             const allowedTypes = [
                 "text/csv",
                 "application/csv",
                 "text/plain",
                 "application/json",
                 "text/json",
+                "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
             ];
-            const allowedExtensions = ["csv", "json"];
+            const allowedExtensions = ["csv", "json", "xlsx"];
 
             // Check file size
             if (file.size > maxSize) {
                 return {
                     valid: false,
-                    message: "File too large. Maximum size is 5MB",
+                    message: `File too large. Maximum size is ${this.formatFileSize(maxSize)}`,
                 };
             }
 
@@ -290,7 +366,7 @@ jQuery(document).ready(function ($) {
             if (!allowedExtensions.includes(fileExtension)) {
                 return {
                     valid: false,
-                    message: "Invalid file type. Please select a CSV or JSON file",
+                    message: "Invalid file type. Please select a CSV, JSON or Excel (.xlsx) file",
                 };
             }
 
@@ -328,6 +404,8 @@ jQuery(document).ready(function ($) {
             formData.append("field_key", this.currentTargetField);
             formData.append("preview_rows", 5);
             formData.append("import_file", this.uploadedFile);
+            formData.append("sheet", this.selectedSheet);
+            this.appendImportOptions($control, formData);
             formData.append("nonce", deImportExport.nonce);
 
             // AJAX request
@@ -411,7 +489,7 @@ jQuery(document).ready(function ($) {
             const $previewBtn = $control.find(".import-preview-btn");
 
             // Show/hide preview button based on file type
-            if (fileExtension === "csv" || fileExtension === "json") {
+            if (["csv", "json", "xlsx"].includes(fileExtension)) {
                 $previewBtn.show().text(`Preview ${fileExtension.toUpperCase()}`);
             } else {
                 $previewBtn.hide();
@@ -445,6 +523,27 @@ jQuery(document).ready(function ($) {
         </div>
     `;
 
+            html += this.renderImportSummary(data.import_summary);
+
+            // Let the user pick the sheet of a workbook with several
+            if (data.sheets && data.sheets.length > 1) {
+                html += `
+            <div class="de-preview-sheet">
+                <label>
+                    <strong>Sheet:</strong>
+                    <select class="de-sheet-select">
+                        ${data.sheets
+                            .map(
+                                (sheet) =>
+                                    `<option value="${this.escapeAttr(sheet)}"${sheet === data.sheet ? " selected" : ""}>${this.escapeHtml(sheet)}</option>`
+                            )
+                            .join("")}
+                    </select>
+                </label>
+            </div>
+        `;
+            }
+
             if (data.headers && data.preview_data) {
                 html += `
             <div class="de-preview-table">
@@ -478,35 +577,15 @@ jQuery(document).ready(function ($) {
         `;
             }
 
-            // Add field mapping info if available
+            // Mapping step: choose the target of each column
             if (data.field_mapping) {
-                html += `
-            <div class="de-preview-mapping">
-                <h5>Field Mapping</h5>
-                <div class="de-mapping-list">
-        `;
-
-                Object.entries(data.field_mapping).forEach(([header, fieldName]) => {
-                    const status = fieldName ? "mapped" : "unmapped";
-                    const displayName = fieldName || "No matching field";
-                    html += `
-                <div class="de-mapping-item ${status}">
-                    <span class="de-mapping-header">${this.escapeHtml(header)}</span>
-                    <span class="de-mapping-arrow">→</span>
-                    <span class="de-mapping-field">${this.escapeHtml(displayName)}</span>
-                </div>
-            `;
-                });
-
-                html += `
-                </div>
-            </div>
-        `;
+                html += this.renderMappingStep(data);
             }
 
             html += `
         <div class="de-preview-actions">
             <button type="button" class="button de-preview-close">Close</button>
+            <button type="button" class="button de-run-validation">Check rows</button>
             <button type="button" class="button button-primary de-confirm-import">Import Data</button>
         </div>
     `;
@@ -519,21 +598,407 @@ jQuery(document).ready(function ($) {
                 this.hidePreview($container);
             });
 
+            this.bindMappingEvents($container, $previewContainer);
+
+            $previewContainer.find(".de-sheet-select").on("change", (e) => {
+                this.selectedSheet = $(e.target).val();
+                this.columnMapping = null; // Another sheet has other columns
+                this.showPreview($container);
+            });
+
+            $previewContainer.find(".de-refresh-summary").on("click", () => {
+                this.showPreview($container);
+            });
+
+            $previewContainer.find(".de-run-validation").on("click", () => {
+                this.performDryRun($container);
+            });
+
             $previewContainer.find(".de-confirm-import").on("click", () => {
                 this.hidePreview($container);
                 this.performImport($container);
             });
         }
 
+        /**
+         * Validate every row without saving (dry run) and show the report
+         */
+        performDryRun($control) {
+            const $validateBtn = $control.find(".import-validate-btn");
+            const originalText = $validateBtn.text();
+
+            $validateBtn.prop("disabled", true).text("Checking...");
+            this.showProgress($control, "Checking rows...");
+
+            const formData = new FormData();
+            formData.append("action", "de_import_repeater_data");
+            formData.append("field_key", this.currentTargetField);
+            formData.append("file_format", this.uploadedFile.name.split(".").pop().toLowerCase());
+            formData.append("import_file", this.uploadedFile);
+            formData.append("sheet", this.selectedSheet);
+            formData.append("dry_run", "1");
+            this.appendImportOptions($control, formData);
+            formData.append("nonce", deImportExport.nonce);
+
+            $.ajax({
+                url: deImportExport.ajaxurl,
+                type: "POST",
+                data: formData,
+                processData: false,
+                contentType: false,
+                success: (response) => {
+                    this.hideProgress($control);
+
+                    if (response && response.success && response.data) {
+                        this.renderValidationReport($control, response.data);
+                    } else {
+                        this.showError(
+                            $control,
+                            (response && response.data && response.data.message) || "Validation failed"
+                        );
+                    }
+                },
+                error: (xhr, status, error) => {
+                    this.hideProgress($control);
+                    console.error("Dry run AJAX error:", error);
+                    this.showError($control, "Validation request failed");
+                },
+                complete: () => {
+                    $validateBtn.prop("disabled", false).text(originalText);
+                },
+            });
+        }
+
+        /**
+         * Render the dry run report: one line per problem cell
+         */
+        renderValidationReport($control, data) {
+            const $previewContainer = this.getPreviewContainer($control);
+            const report = data.report || [];
+
+            let html = `
+        <div class="de-preview-header de-validation-report">
+            <h4>Validation Report</h4>
+            <button type="button" class="de-preview-close">&times;</button>
+        </div>
+        <div class="de-preview-info">
+            <p><strong>Rows checked:</strong> ${data.rows_checked}</p>
+            <p><strong>Errors:</strong> ${data.errors}</p>
+            <p><strong>Warnings:</strong> ${data.warnings}</p>
+        </div>
+    `;
+
+            html += this.renderImportSummary(data.import_summary);
+
+            if (report.length) {
+                html += `
+            <div class="de-preview-table de-validation-table">
+                <table>
+                    <thead>
+                        <tr><th>Row</th><th>Column</th><th>Value</th><th>Level</th><th>Message</th></tr>
+                    </thead>
+                    <tbody>
+                        ${report
+                            .map(
+                                (issue) => `
+                        <tr class="de-issue-${this.escapeAttr(issue.level)}">
+                            <td>${issue.row}</td>
+                            <td>${this.escapeHtml(issue.column || issue.field)}</td>
+                            <td>${this.escapeHtml(issue.value)}</td>
+                            <td><span class="de-issue-level">${this.escapeHtml(issue.level)}</span></td>
+                            <td>${this.escapeHtml(issue.message)}</td>
+                        </tr>`
+                            )
+                            .join("")}
+                    </tbody>
+                </table>
+            </div>
+        `;
+            } else {
+                html += `
+            <div class="de-validation-ok">
+                <p>No problems found. Every row can be imported as it is.</p>
+            </div>
+        `;
+            }
+
+            html += `
+        <div class="de-preview-actions">
+            <button type="button" class="button de-preview-close">Close</button>
+            ${report.length ? '<button type="button" class="button de-download-report">Download report (CSV)</button>' : ""}
+            <button type="button" class="button button-primary de-confirm-import">Import Data</button>
+        </div>
+    `;
+
+            $previewContainer.html(html).show();
+
+            $previewContainer.find(".de-preview-close").on("click", () => {
+                this.hidePreview($control);
+            });
+
+            $previewContainer.find(".de-download-report").on("click", () => {
+                this.downloadValidationReport(report);
+            });
+
+            $previewContainer.find(".de-confirm-import").on("click", () => {
+                this.hidePreview($control);
+                this.checkExistingDataBeforeImport($control);
+            });
+        }
+
+        /**
+         * Download the dry run report as a CSV file
+         */
+        downloadValidationReport(report) {
+            const escapeCell = (value) => {
+                const text = String(value === null || value === undefined ? "" : value);
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+
+            const lines = [["Row", "Column", "Sub-field", "Value", "Level", "Message"]];
+            report.forEach((issue) => {
+                lines.push([issue.row, issue.column, issue.field, issue.value, issue.level, issue.message]);
+            });
+
+            const baseName = this.uploadedFile ? this.uploadedFile.name.replace(/\.[^.]+$/, "") : "import";
+            this.downloadFile(
+                lines.map((line) => line.map(escapeCell).join(",")).join("\r\n"),
+                `${baseName}-validation-report.csv`,
+                "",
+                "text/csv"
+            );
+        }
+
+        /**
+         * Add the import mode, key sub-field and column mapping to a request
+         */
+        appendImportOptions($control, formData) {
+            const { mode, keyField } = this.getImportOptions($control);
+
+            formData.append("post_id", deImportExport.post_id);
+            formData.append("import_mode", mode);
+            formData.append("key_field", keyField);
+            if (this.columnMapping) {
+                formData.append("column_mapping", JSON.stringify(this.columnMapping));
+            }
+        }
+
+        /**
+         * Render how many rows the import adds, updates, leaves unchanged and removes
+         */
+        renderImportSummary(summary) {
+            if (!summary) {
+                return "";
+            }
+
+            if (summary.error) {
+                return `
+            <div class="de-import-summary de-import-summary-error">
+                <p>${this.escapeHtml(summary.error)}</p>
+            </div>
+        `;
+            }
+
+            const parts = [
+                `<strong>${summary.added}</strong> added`,
+                `<strong>${summary.updated}</strong> updated`,
+                `<strong>${summary.unchanged}</strong> unchanged`,
+            ];
+            if (summary.removed) {
+                parts.push(`<strong>${summary.removed}</strong> removed`);
+            }
+
+            return `
+            <div class="de-import-summary">
+                <p><strong>Rows after import:</strong> ${parts.join(", ")}</p>
+                <p class="de-import-summary-stale" style="display:none;">
+                    The mapping changed. <button type="button" class="button-link de-refresh-summary">Refresh counts</button>
+                </p>
+            </div>
+        `;
+        }
+
+        /**
+         * Render the column mapping step, auto-filled with the suggested targets
+         */
+        renderMappingStep(data) {
+            this.mappingTargets = data.mapping_targets || [];
+            this.mappingPresets = data.mapping_presets || {};
+            this.columnMapping = {};
+            Object.entries(data.field_mapping).forEach(([column, target]) => {
+                this.columnMapping[column] = target || "";
+            });
+
+            let html = `
+            <div class="de-preview-mapping">
+                <h5>Field Mapping</h5>
+                <div class="de-mapping-presets">
+                    <select class="de-preset-select">${this.renderPresetOptions()}</select>
+                    <button type="button" class="button de-preset-save">Save as preset</button>
+                    <button type="button" class="button de-preset-delete" disabled>Delete preset</button>
+                </div>
+                <div class="de-mapping-list">
+        `;
+
+            Object.entries(this.columnMapping).forEach(([column, target], index) => {
+                html += `
+                <div class="de-mapping-item ${target ? "mapped" : "unmapped"}" data-column-index="${index}">
+                    <span class="de-mapping-header">${this.escapeHtml(column)}</span>
+                    <span class="de-mapping-arrow">→</span>
+                    <select class="de-mapping-field">${this.renderTargetOptions(target)}</select>
+                </div>
+            `;
+            });
+
+            html += `
+                </div>
+            </div>
+        `;
+
+            return html;
+        }
+
+        /**
+         * Options of a column's target select: ignore, then the targets grouped by layout
+         */
+        renderTargetOptions(selected) {
+            let html = `<option value="">— Ignore column —</option>`;
+            const groups = {};
+
+            this.mappingTargets.forEach((target) => {
+                const option = `<option value="${this.escapeAttr(target.value)}"${target.value === selected ? " selected" : ""}>${this.escapeHtml(target.label)}</option>`;
+                if (target.group) {
+                    groups[target.group] = (groups[target.group] || "") + option;
+                } else {
+                    html += option;
+                }
+            });
+
+            Object.entries(groups).forEach(([group, options]) => {
+                html += `<optgroup label="${this.escapeAttr(group)}">${options}</optgroup>`;
+            });
+
+            return html;
+        }
+
+        renderPresetOptions(selected = "") {
+            let html = `<option value="">Apply a saved mapping…</option>`;
+            Object.keys(this.mappingPresets).forEach((name) => {
+                html += `<option value="${this.escapeAttr(name)}"${name === selected ? " selected" : ""}>${this.escapeHtml(name)}</option>`;
+            });
+            return html;
+        }
+
+        /**
+         * Bind the target selects and the preset controls of the mapping step
+         */
+        bindMappingEvents($control, $previewContainer) {
+            const columns = Object.keys(this.columnMapping || {});
+
+            $previewContainer.find(".de-mapping-field").on("change", (e) => {
+                const $select = $(e.target);
+                const $item = $select.closest(".de-mapping-item");
+                const column = columns[$item.data("column-index")];
+                const target = $select.val();
+
+                this.columnMapping[column] = target;
+                $item.toggleClass("mapped", target !== "").toggleClass("unmapped", target === "");
+                $previewContainer.find(".de-import-summary-stale").show();
+            });
+
+            $previewContainer.find(".de-preset-select").on("change", (e) => {
+                const name = $(e.target).val();
+                $previewContainer.find(".de-preset-delete").prop("disabled", !name);
+                if (!name) {
+                    return;
+                }
+
+                // Columns the preset does not know keep their current target
+                const preset = this.mappingPresets[name] || {};
+                $previewContainer.find(".de-mapping-item").each((index, element) => {
+                    const column = columns[$(element).data("column-index")];
+                    if (Object.prototype.hasOwnProperty.call(preset, column)) {
+                        $(element).find(".de-mapping-field").val(preset[column]).trigger("change");
+                    }
+                });
+            });
+
+            $previewContainer.find(".de-preset-save").on("click", () => {
+                const current = $previewContainer.find(".de-preset-select").val();
+                const name = window.prompt("Name of the mapping preset", current || "");
+                if (name && name.trim()) {
+                    this.saveMappingPreset($control, $previewContainer, name.trim());
+                }
+            });
+
+            $previewContainer.find(".de-preset-delete").on("click", () => {
+                const name = $previewContainer.find(".de-preset-select").val();
+                if (name && window.confirm(`Delete the mapping preset "${name}"?`)) {
+                    this.deleteMappingPreset($control, $previewContainer, name);
+                }
+            });
+        }
+
+        saveMappingPreset($control, $previewContainer, name) {
+            this.sendPresetRequest($control, $previewContainer, {
+                action: "de_save_mapping_preset",
+                field_key: this.currentTargetField,
+                preset_name: name,
+                column_mapping: JSON.stringify(this.columnMapping),
+                nonce: deImportExport.nonce,
+            }, name);
+        }
+
+        deleteMappingPreset($control, $previewContainer, name) {
+            this.sendPresetRequest($control, $previewContainer, {
+                action: "de_delete_mapping_preset",
+                field_key: this.currentTargetField,
+                preset_name: name,
+                nonce: deImportExport.nonce,
+            }, "");
+        }
+
+        sendPresetRequest($control, $previewContainer, data, selected) {
+            $.ajax({
+                url: deImportExport.ajaxurl,
+                type: "POST",
+                data: data,
+                success: (response) => {
+                    if (response && response.success) {
+                        this.mappingPresets = response.data.presets || {};
+                        $previewContainer
+                            .find(".de-preset-select")
+                            .html(this.renderPresetOptions(selected));
+                        $previewContainer.find(".de-preset-delete").prop("disabled", !selected);
+                        this.showSuccess($control, response.data.message);
+                    } else {
+                        this.showError(
+                            $control,
+                            (response && response.data && response.data.message) || "Preset request failed"
+                        );
+                    }
+                },
+                error: () => {
+                    this.showError($control, "Preset request failed");
+                },
+            });
+        }
+
         /**
          * Check for existing data before import
          */
         checkExistingDataBeforeImport($control) {
             const targetField = $control.data("target-field");
 
+            // Appending and upserting keep the existing rows
+            if (this.getImportOptions($control).mode !== "replace") {
+                this.performImport($control);
+                return;
+            }
+
             // Get existing data via AJAX or check DOM
             $.ajax({
-                url: deImportExport.ajax_url,
+                url: deImportExport.ajaxurl,
                 type: "POST",
                 data: {
                     action: "de_get_field_structure",
@@ -655,6 +1120,9 @@ jQuery(document).ready(function ($) {
             formData.append("file_format", fileExtension);
             formData.append("overwrite_existing", overwrite ? "1" : "0");
             formData.append("import_file", this.uploadedFile);
+            formData.append("sheet", this.selectedSheet);
+            formData.append("batched", "1");
+            this.appendImportOptions($control, formData);
             formData.append("nonce", deImportExport.nonce);
 
             // Send AJAX request
@@ -669,11 +1137,15 @@ jQuery(document).ready(function ($) {
 
                     console.log("Import response:", response); // 🔥 DODANO: debug response
 
-                    if (response.success) {
+                    if (response.success && response.data && response.data.job) {
+                        // The rows are stored as a job; import them batch by batch
+                        this.runImportJob($control, response.data.job);
+                    } else if (response.success) {
                         const importedRows = (response.data && response.data.imported_rows) || 0;
                         this.showSuccess(
                             $control,
-                            `Successfully imported ${importedRows} rows`
+                            (response.data && response.data.message) ||
+                                `Successfully imported ${importedRows} rows`
                         );
                         this.resetFileInput($control);
 
@@ -730,11 +1202,173 @@ jQuery(document).ready(function ($) {
                     this.showError($control, errorMessage);
                 },
                 complete: () => {
-                    $importBtn.prop("disabled", false).text(originalText);
+                    $importBtn.prop("disabled", this.importJobRunning).text(originalText);
                 },
             });
         }
 
+        /**
+         * Import the rows of a stored job batch by batch, with a progress bar
+         */
+        runImportJob($control, job) {
+            this.currentTargetField = $control.data("target-field");
+            this.importJobRunning = true;
+            this.importCancelled = false;
+
+            $control.find(".de-import-job-notice").remove();
+            $control.find(".import-preview-btn, .import-validate-btn, .import-btn").prop("disabled", true);
+            this.updateImportProgress($control, job);
+            this.processImportBatch($control);
+        }
+
+        processImportBatch($control) {
+            if (this.importCancelled) {
+                this.cancelImportJob($control);
+                return;
+            }
+
+            $.ajax({
+                url: deImportExport.ajaxurl,
+                type: "POST",
+                data: {
+                    action: "de_process_import_batch",
+                    field_key: this.currentTargetField,
+                    post_id: deImportExport.post_id,
+                    nonce: deImportExport.nonce,
+                },
+                success: (response) => {
+                    const data = (response && response.data) || {};
+
+                    if (!response || !response.success) {
+                        this.finishImportJob($control);
+                        this.showError($control, data.message || "Import failed");
+                        return;
+                    }
+
+                    this.updateImportProgress($control, data.job);
+
+                    if (data.done) {
+                        this.finishImportJob($control);
+                        this.showSuccess($control, data.message || "Import completed");
+                        this.resetFileInput($control);
+
+                        // Refresh the page after successful import
+                        setTimeout(() => {
+                            location.reload();
+                        }, 2000);
+                    } else {
+                        this.processImportBatch($control);
+                    }
+                },
+                error: (xhr, status, error) => {
+                    console.error("Import batch AJAX error:", error);
+                    this.finishImportJob($control);
+                    this.showError(
+                        $control,
+                        "The import was interrupted. Reload the page to resume it."
+                    );
+                },
+            });
+        }
+
+        /**
+         * Show how many rows of the job are processed
+         */
+        updateImportProgress($control, job) {
+            const total = job.total_rows || 0;
+            const processed = Math.min(job.processed_rows || 0, total);
+            const percent = total ? Math.round((processed / total) * 100) : 100;
+
+            this.showProgress($control, `Imported ${processed} of ${total} rows (${percent}%)`);
+
+            const $progress = $control.find(".de-progress");
+            const $bar = $progress.find(".de-progress-bar").addClass("de-progress-determinate");
+            if (!$bar.find(".de-progress-fill").length) {
+                $bar.append('<div class="de-progress-fill"></div>');
+            }
+            $bar.find(".de-progress-fill").css("width", `${percent}%`);
+
+            if (!$progress.find(".de-progress-cancel").length) {
+                $progress.append('<button type="button" class="button de-progress-cancel">Cancel import</button>');
+            }
+        }
+
+        /**
+         * Put the progress overlay back to its plain state once a job stops
+         */
+        finishImportJob($control) {
+            this.importJobRunning = false;
+            this.hideProgress($control);
+            const $progress = $control.find(".de-progress");
+            $progress.find(".de-progress-bar").removeClass("de-progress-determinate");
+            $progress.find(".de-progress-fill, .de-progress-cancel").remove();
+            $control
+                .find(".import-preview-btn, .import-validate-btn, .import-btn")
+                .prop("disabled", !this.uploadedFile);
+        }
+
+        /**
+         * Cancel the job after the batch in progress
+         */
+        handleProgressCancelClick(e) {
+            e.preventDefault();
+            this.importCancelled = true;
+            $(e.target).prop("disabled", true).text("Cancelling...");
+        }
+
+        /**
+         * Resume the job an earlier page left unfinished
+         */
+        handleResumeImportClick(e) {
+            e.preventDefault();
+            const $control = $(e.target).closest(".acf-import-export-controls");
+            const $notice = $control.find(".de-import-job-notice");
+
+            this.runImportJob($control, {
+                processed_rows: $notice.data("processed"),
+                total_rows: $notice.data("total"),
+            });
+        }
+
+        handleCancelImportJobClick(e) {
+            e.preventDefault();
+            const $control = $(e.target).closest(".acf-import-export-controls");
+            this.currentTargetField = $control.data("target-field");
+            this.cancelImportJob($control);
+        }
+
+        cancelImportJob($control) {
+            $.ajax({
+                url: deImportExport.ajaxurl,
+                type: "POST",
+                data: {
+                    action: "de_cancel_import_job",
+                    field_key: this.currentTargetField,
+                    post_id: deImportExport.post_id,
+                    nonce: deImportExport.nonce,
+                },
+                success: (response) => {
+                    this.finishImportJob($control);
+                    const message = (response && response.data && response.data.message) || "";
+
+                    if (response && response.success) {
+                        $control.find(".de-import-job-notice").remove();
+                        this.showSuccess($control, message || "Import cancelled");
+                    } else {
+                        this.showError($control, message || "The import could not be cancelled");
+                    }
+                },
+                error: () => {
+                    this.finishImportJob($control);
+                    this.showError($control, "The import could not be cancelled");
+                },
+            });
+        }
+
+        getMaxUploadSize() {
+            return parseInt(deImportExport.max_upload_size, 10) || 5 * 1024 * 1024;
+        }
+
         /**
          * Perform export
          */
@@ -748,7 +1382,7 @@ jQuery(document).ready(function ($) {
 
             // Send AJAX request
             $.ajax({
-                url: deImportExport.ajax_url,
+                url: deImportExport.ajaxurl,
                 type: "POST",
                 data: {
                     action: "de_export_repeater_data",
@@ -761,7 +1395,12 @@ jQuery(document).ready(function ($) {
                     this.hideProgress($control);
 
                     if (response && response.success && response.data) {
-                        this.downloadFile(response.data.content, response.data.filename);
+                        this.downloadFile(
+                            response.data.content,
+                            response.data.filename,
+                            response.data.encoding,
+                            response.data.mime_type
+                        );
                         const rowsExported = response.data.rows_exported || 0;
                         this.showSuccess(
                             $control,
@@ -786,10 +1425,19 @@ jQuery(document).ready(function ($) {
         }
 
         /**
-         * Download file
+         * Download file; binary formats such as XLSX arrive base64-encoded
          */
-        downloadFile(content, filename) {
-            const blob = new Blob([content], { type: "text/plain" });
+        downloadFile(content, filename, encoding = "", mimeType = "text/plain") {
+            let data = content;
+            if (encoding === "base64") {
+                const binary = window.atob(content);
+                data = new Uint8Array(binary.length);
+                for (let i = 0; i < binary.length; i++) {
+                    data[i] = binary.charCodeAt(i);
+                }
+            }
+
+            const blob = new Blob([data], { type: mimeType || "text/plain" });
             const url = window.URL.createObjectURL(blob);
             const a = document.createElement("a");
             a.href = url;
@@ -806,7 +1454,7 @@ jQuery(document).ready(function ($) {
 
         updateFileInputState($control, file) {
             const $fileInput = $control.find(".import-file-input");
-            const $importButtons = $control.find(".import-preview-btn, .import-btn");
+            const $importButtons = $control.find(".import-preview-btn, .import-validate-btn, .import-btn");
 
             // Add file selected state
             $fileInput.addClass("has-file");
@@ -947,9 +1595,13 @@ jQuery(document).ready(function ($) {
             div.textContent = text;
             return div.innerHTML;
         }
+
+        escapeAttr(text) {
+            return this.escapeHtml(text).replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+        }
         resetFileInput($control) {
             const $fileInput = $control.find(".import-file-input");
-            const $importButtons = $control.find(".import-preview-btn, .import-btn");
+            const $importButtons = $control.find(".import-preview-btn, .import-validate-btn, .import-btn");
             const $fileInfo = $control.find(".de-file-info");
 
             $fileInput.val("").removeClass("has-file");
@@ -960,7 +1612,7 @@ jQuery(document).ready(function ($) {
             $control.find(".de-file-input-label").html(`
                 <div class="de-file-input-icon dashicons dashicons-upload"></div>
                 <div class="de-file-input-text">Choose file or drag & drop</div>
-                <div class="de-file-input-hint">Supports CSV and JSON files (max 5MB)</div>
+                <div class="de-file-input-hint">Supports CSV, JSON and Excel files (max ${this.formatFileSize(this.getMaxUploadSize())})</div>
             `);
 
             // Reset UI state
@@ -968,6 +1620,8 @@ jQuery(document).ready(function ($) {
             $control.find(".import-preview-btn").show().text("Preview");
 
             this.uploadedFile = null;
+            this.selectedSheet = "";
+            this.columnMapping = null;
             this.hidePreview($control);
         }
     }
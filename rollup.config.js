@@ -1,4 +1,5 @@
 import { nodeResolve } from '@rollup/plugin-node-resolve';
+import { lezer } from '@lezer/generator/rollup';
 
 export default {
     input: 'src/js/editor.js',
@@ -7,6 +8,7 @@ export default {
         format: 'iife' 
     },
     plugins: [
+        lezer(),
         nodeResolve() 
     ]
 };
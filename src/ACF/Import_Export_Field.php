@@ -1,6 +1,7 @@
 <?php
 namespace DataEngine\ACF;
 
+use DataEngine\Core\Import_Export_Manager;
 use DataEngine\Utils\Logger;
 
 /**
@@ -72,10 +73,13 @@ class Import_Export_Field extends \acf_field
         if (current_user_can('edit_posts')) {
             echo '<div class="import-section">';
             echo '<h4><i class="dashicons dashicons-upload"></i> Import Data</h4>';
+            $this->render_import_job_notice($target_field, (int) $post_id);
             echo '<div class="import-controls">';
             echo '<input type="file" id="import-file-' . esc_attr($field_key) . '" accept=".csv,.json,.xlsx" class="import-file-input" />';
+            $this->render_import_mode_controls($target_field);
             echo '<div class="import-buttons">';
             echo '<button type="button" class="button import-preview-btn" data-field="' . esc_attr($field_key) . '">Preview</button>';
+            echo '<button type="button" class="button import-validate-btn" data-field="' . esc_attr($field_key) . '">Check rows</button>';
             echo '<button type="button" class="button button-primary import-btn" data-field="' . esc_attr($field_key) . '">Import</button>';
             echo '</div>';
             echo '</div>';
@@ -96,12 +100,101 @@ class Import_Export_Field extends \acf_field
             echo '<button type="button" class="button export-json-btn" data-field="' . esc_attr($field_key) . '">Export JSON</button>';
         }
 
+        if (in_array('xlsx', $field['allowed_formats'])) {
+            echo '<button type="button" class="button export-xlsx-btn" data-field="' . esc_attr($field_key) . '">Export Excel</button>';
+        }
+
         echo '</div>';
         echo '</div>';
 
         echo '</div>';
     }
 
+    /**
+     * Offer to resume or cancel a batched import that did not finish, for
+     * example because the page was reloaded
+     */
+    private function render_import_job_notice(string $target_field, int $post_id): void
+    {
+        if (!$post_id) {
+            return;
+        }
+
+        $job = (new Import_Export_Manager())->get_import_job($target_field, $post_id);
+        if (!$job) {
+            return;
+        }
+
+        $message = sprintf(
+            'The import of %s stopped after %d of %d rows. Nothing has been saved yet.',
+            $job['file_name'] !== '' ? $job['file_name'] : 'a file',
+            $job['processed_rows'],
+            $job['total_rows']
+        );
+
+        echo '<div class="de-import-job-notice" data-processed="' . esc_attr($job['processed_rows']) . '" data-total="' . esc_attr($job['total_rows']) . '">';
+        echo '<p>' . esc_html($message) . '</p>';
+        echo '<button type="button" class="button button-primary de-resume-import">Resume import</button>';
+        echo '<button type="button" class="button de-cancel-import-job">Cancel import</button>';
+        echo '</div>';
+    }
+
+    /**
+     * Render the import mode select and the key sub-field select used by upserts
+     */
+    private function render_import_mode_controls(string $target_field): void
+    {
+        $modes = [
+            Import_Export_Manager::MODE_REPLACE => 'Replace all rows',
+            Import_Export_Manager::MODE_APPEND => 'Add rows after the existing ones',
+            Import_Export_Manager::MODE_UPSERT => 'Update rows with the same key, add the others',
+        ];
+
+        echo '<div class="import-mode-controls">';
+        echo '<label>Import mode ';
+        echo '<select class="import-mode-select">';
+        foreach ($modes as $value => $label) {
+            echo '<option value="' . esc_attr($value) . '">' . esc_html($label) . '</option>';
+        }
+        echo '</select>';
+        echo '</label>';
+
+        echo '<label class="import-key-field" style="display:none;">Key sub-field ';
+        echo '<select class="import-key-select">';
+        foreach ($this->get_key_field_choices($target_field) as $name => $label) {
+            echo '<option value="' . esc_attr($name) . '">' . esc_html($label) . '</option>';
+        }
+        echo '</select>';
+        echo '</label>';
+        echo '</div>';
+    }
+
+    /**
+     * Sub-fields rows can be matched by, such as a SKU; for Flexible Content
+     * the sub-fields of all layouts
+     */
+    private function get_key_field_choices(string $target_field): array
+    {
+        $field = acf_get_field($target_field);
+        if (!$field) {
+            return [];
+        }
+
+        $sub_fields = $field['sub_fields'] ?? [];
+        foreach ($field['layouts'] ?? [] as $layout) {
+            $sub_fields = array_merge($sub_fields, $layout['sub_fields'] ?? []);
+        }
+
+        $choices = [];
+        foreach ($sub_fields as $sub_field) {
+            if (in_array($sub_field['type'], ['repeater', 'flexible_content', 'group'], true)) {
+                continue;
+            }
+            $choices[$sub_field['name']] = $sub_field['label'] . ' (' . $sub_field['name'] . ')';
+        }
+        return $choices;
+    }
+
     /**
      * Render field settings
      */
@@ -368,6 +461,7 @@ class Import_Export_Field extends \acf_field
         'ajaxurl' => admin_url('admin-ajax.php'), // 🔥 ZMIANA: ajaxurl zamiast ajax_url
         'nonce' => wp_create_nonce('de_import_export_nonce'),
         'post_id' => get_the_ID() ?: (isset($_GET['post']) ? intval($_GET['post']) : 0), // 🔥 DODANO: fallback
+        'max_upload_size' => wp_max_upload_size(),
         'strings' => [ // 🔥 DODANO: komunikaty dla lepszego UX
             'confirm_overwrite' => __('This will overwrite existing data. Continue?', 'dataengine'),
             'import_success' => __('Data imported successfully', 'dataengine'),
@@ -27,6 +27,10 @@ class Ajax_Handlers
         add_action('wp_ajax_de_export_repeater_data', [$this, 'handle_export_repeater_data']);
         add_action('wp_ajax_de_preview_import_data', [$this, 'handle_preview_import_data']);
         add_action('wp_ajax_de_get_field_structure', [$this, 'handle_get_field_structure']);
+        add_action('wp_ajax_de_save_mapping_preset', [$this, 'handle_save_mapping_preset']);
+        add_action('wp_ajax_de_delete_mapping_preset', [$this, 'handle_delete_mapping_preset']);
+        add_action('wp_ajax_de_process_import_batch', [$this, 'handle_process_import_batch']);
+        add_action('wp_ajax_de_cancel_import_job', [$this, 'handle_cancel_import_job']);
 
         // Add file upload handler
         add_action('wp_ajax_de_upload_import_file', [$this, 'handle_upload_import_file']);
@@ -61,6 +65,9 @@ class Ajax_Handlers
             $post_id = absint($_POST['post_id'] ?? 0);
             $file_format = sanitize_text_field($_POST['file_format'] ?? 'csv');
             $overwrite_existing = (bool) ($_POST['overwrite_existing'] ?? false);
+            $import_options = $this->get_import_options_param();
+            $import_options['dry_run'] = (bool) ($_POST['dry_run'] ?? false);
+            $import_options['batched'] = (bool) ($_POST['batched'] ?? false);
 
             Logger::log("=== FIELD DEBUG START ===", 'DEBUG');
             Logger::log("Field key from POST: {$field_key}", 'DEBUG');
@@ -97,6 +104,7 @@ class Ajax_Handlers
             }
 
             $file = $_FILES['import_file'];
+            $import_options['file_name'] = sanitize_file_name($file['name'] ?? '');
             $upload_result = $this->handle_file_upload($file, $file_format);
             Logger::log("File upload result: " . print_r($upload_result, true), 'DEBUG');
 
@@ -106,8 +114,8 @@ class Ajax_Handlers
                 return;
             }
 
-            // Check if field exists and has data (for overwrite warning)
-            if (!$overwrite_existing) {
+            // Check if field exists and has data (for overwrite warning); append and upsert keep the existing rows, dry runs save nothing
+            if (!$overwrite_existing && !$import_options['dry_run'] && $import_options['mode'] === Import_Export_Manager::MODE_REPLACE) {
                 $existing_data = get_field($field_key, $post_id);
                 Logger::log("Existing data check: " . print_r($existing_data, true), 'DEBUG');
                 if (!empty($existing_data)) {
@@ -127,7 +135,8 @@ class Ajax_Handlers
                     $result = $this->import_export_manager->import_csv_to_repeater(
                         $upload_result['file_path'],
                         $field_key,
-                        $post_id
+                        $post_id,
+                        $import_options
                     );
                     Logger::log("CSV import result: " . print_r($result, true), 'DEBUG');
                     break;
@@ -136,11 +145,24 @@ class Ajax_Handlers
                     $result = $this->import_export_manager->import_json_to_repeater(
                         $upload_result['file_path'],
                         $field_key,
-                        $post_id
+                        $post_id,
+                        $import_options
                     );
                     Logger::log("JSON import result: " . print_r($result, true), 'DEBUG');
                     break;
 
+                case 'xlsx':
+                    $sheet = sanitize_text_field(wp_unslash($_POST['sheet'] ?? ''));
+                    $result = $this->import_export_manager->import_xlsx_to_repeater(
+                        $upload_result['file_path'],
+                        $field_key,
+                        $post_id,
+                        $sheet !== '' ? $sheet : null,
+                        $import_options
+                    );
+                    Logger::log("XLSX import result: " . print_r($result, true), 'DEBUG');
+                    break;
+
                 default:
                     wp_send_json_error([
                         'message' => 'Unsupported file format'
@@ -228,6 +250,10 @@ class Ajax_Handlers
                     $result = $this->import_export_manager->export_repeater_to_json($field_key, $post_id);
                     break;
 
+                case 'xlsx':
+                    $result = $this->import_export_manager->export_repeater_to_xlsx($field_key, $post_id);
+                    break;
+
                 default:
                     wp_send_json_error([
                         'message' => 'Unsupported export format'
@@ -272,6 +298,9 @@ class Ajax_Handlers
             // Get parameters
             $field_key = sanitize_text_field($_POST['field_key'] ?? '');
             $preview_rows = absint($_POST['preview_rows'] ?? 5);
+            $preview_options = array_merge($this->get_import_options_param(), [
+                'post_id' => absint($_POST['post_id'] ?? 0)
+            ]);
 
             Logger::log("Preview request: field_key={$field_key}, preview_rows={$preview_rows}", 'INFO');
 
@@ -299,9 +328,9 @@ class Ajax_Handlers
             $file_extension = strtolower(pathinfo($file['name'], PATHINFO_EXTENSION));
             Logger::log("Detected file type for preview: {$file_extension}", 'DEBUG');
 
-            if (!in_array($file_extension, ['csv', 'json'])) {
+            if (!in_array($file_extension, ['csv', 'json', 'xlsx'])) {
                 wp_send_json_error([
-                    'message' => 'Preview only supports CSV and JSON files'
+                    'message' => 'Preview only supports CSV, JSON and XLSX files'
                 ]);
                 return;
             }
@@ -319,13 +348,24 @@ class Ajax_Handlers
                 $preview_result = $this->import_export_manager->preview_csv_data(
                     $upload_result['file_path'],
                     $field_key,
-                    $preview_rows
+                    $preview_rows,
+                    $preview_options
+                );
+            } elseif ($file_extension === 'xlsx') {
+                $sheet = sanitize_text_field(wp_unslash($_POST['sheet'] ?? ''));
+                $preview_result = $this->import_export_manager->preview_xlsx_data(
+                    $upload_result['file_path'],
+                    $field_key,
+                    $preview_rows,
+                    $sheet !== '' ? $sheet : null,
+                    $preview_options
                 );
             } else { // json
                 $preview_result = $this->import_export_manager->preview_json_data(
                     $upload_result['file_path'],
                     $field_key,
-                    $preview_rows
+                    $preview_rows,
+                    $preview_options
                 );
             }
 
@@ -435,6 +475,225 @@ class Ajax_Handlers
         }
     }
 
+    /**
+     * Handle the next batch of a batched import
+     */
+    public function handle_process_import_batch(): void
+    {
+        try {
+            // Security check
+            check_ajax_referer('de_import_export_nonce', 'nonce');
+
+            // Permission check
+            if (!current_user_can('edit_posts')) {
+                wp_send_json_error([
+                    'message' => 'Insufficient permissions to import data'
+                ]);
+                return;
+            }
+
+            $field_key = sanitize_text_field($_POST['field_key'] ?? '');
+            $post_id = absint($_POST['post_id'] ?? 0);
+
+            if (empty($field_key) || empty($post_id)) {
+                wp_send_json_error([
+                    'message' => 'Missing required parameters'
+                ]);
+                return;
+            }
+
+            $result = $this->import_export_manager->process_import_job_batch($field_key, $post_id);
+            if ($result['success']) {
+                wp_send_json_success($result);
+            } else {
+                wp_send_json_error($result);
+            }
+
+        } catch (\Exception $e) {
+            Logger::log("Import batch AJAX error: " . $e->getMessage(), 'ERROR');
+            wp_send_json_error([
+                'message' => 'Import failed: ' . $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Handle cancelling a batched import
+     */
+    public function handle_cancel_import_job(): void
+    {
+        try {
+            // Security check
+            check_ajax_referer('de_import_export_nonce', 'nonce');
+
+            // Permission check
+            if (!current_user_can('edit_posts')) {
+                wp_send_json_error([
+                    'message' => 'Insufficient permissions to cancel imports'
+                ]);
+                return;
+            }
+
+            $field_key = sanitize_text_field($_POST['field_key'] ?? '');
+            $post_id = absint($_POST['post_id'] ?? 0);
+
+            if (empty($field_key) || empty($post_id)) {
+                wp_send_json_error([
+                    'message' => 'Missing required parameters'
+                ]);
+                return;
+            }
+
+            $result = $this->import_export_manager->cancel_import_job($field_key, $post_id);
+            if ($result['success']) {
+                wp_send_json_success($result);
+            } else {
+                wp_send_json_error($result);
+            }
+
+        } catch (\Exception $e) {
+            Logger::log("Cancel import AJAX error: " . $e->getMessage(), 'ERROR');
+            wp_send_json_error([
+                'message' => 'Failed to cancel import: ' . $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Handle saving a column mapping preset
+     */
+    public function handle_save_mapping_preset(): void
+    {
+        try {
+            // Security check
+            check_ajax_referer('de_import_export_nonce', 'nonce');
+
+            // Permission check
+            if (!current_user_can('edit_posts')) {
+                wp_send_json_error([
+                    'message' => 'Insufficient permissions to save mapping presets'
+                ]);
+                return;
+            }
+
+            $field_key = sanitize_text_field($_POST['field_key'] ?? '');
+            $preset_name = sanitize_text_field(wp_unslash($_POST['preset_name'] ?? ''));
+            $column_mapping = $this->get_column_mapping_param();
+
+            if (empty($field_key) || $column_mapping === null) {
+                wp_send_json_error([
+                    'message' => 'Missing required parameters'
+                ]);
+                return;
+            }
+
+            $result = $this->import_export_manager->save_mapping_preset($field_key, $preset_name, $column_mapping);
+            if ($result['success']) {
+                wp_send_json_success($result);
+            } else {
+                wp_send_json_error($result);
+            }
+
+        } catch (\Exception $e) {
+            Logger::log("Save mapping preset AJAX error: " . $e->getMessage(), 'ERROR');
+            wp_send_json_error([
+                'message' => 'Failed to save preset: ' . $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Handle deleting a column mapping preset
+     */
+    public function handle_delete_mapping_preset(): void
+    {
+        try {
+            // Security check
+            check_ajax_referer('de_import_export_nonce', 'nonce');
+
+            // Permission check
+            if (!current_user_can('edit_posts')) {
+                wp_send_json_error([
+                    'message' => 'Insufficient permissions to delete mapping presets'
+                ]);
+                return;
+            }
+
+            $field_key = sanitize_text_field($_POST['field_key'] ?? '');
+            $preset_name = sanitize_text_field(wp_unslash($_POST['preset_name'] ?? ''));
+
+            if (empty($field_key) || $preset_name === '') {
+                wp_send_json_error([
+                    'message' => 'Missing required parameters'
+                ]);
+                return;
+            }
+
+            $result = $this->import_export_manager->delete_mapping_preset($field_key, $preset_name);
+            if ($result['success']) {
+                wp_send_json_success($result);
+            } else {
+                wp_send_json_error($result);
+            }
+
+        } catch (\Exception $e) {
+            Logger::log("Delete mapping preset AJAX error: " . $e->getMessage(), 'ERROR');
+            wp_send_json_error([
+                'message' => 'Failed to delete preset: ' . $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Read the import options: the column mapping, the import mode and the
+     * key sub-field of upserts
+     * 
+     * @return array Import options, as Import_Export_Manager takes them
+     */
+    private function get_import_options_param(): array
+    {
+        $mode = sanitize_key($_POST['import_mode'] ?? '');
+        $modes = [Import_Export_Manager::MODE_REPLACE, Import_Export_Manager::MODE_APPEND, Import_Export_Manager::MODE_UPSERT];
+
+        return [
+            'column_mapping' => $this->get_column_mapping_param(),
+            'mode' => in_array($mode, $modes, true) ? $mode : Import_Export_Manager::MODE_REPLACE,
+            'key_field' => sanitize_text_field(wp_unslash($_POST['key_field'] ?? ''))
+        ];
+    }
+
+    /**
+     * Read the column mapping sent as JSON in the column_mapping parameter
+     * 
+     * Column names are kept as they are, since they are only compared with
+     * the headers of the file; targets are sanitized.
+     * 
+     * @return array|null Target of each column, or null when no mapping was sent
+     */
+    private function get_column_mapping_param(): ?array
+    {
+        $json = wp_unslash($_POST['column_mapping'] ?? '');
+        if (!is_string($json) || $json === '') {
+            return null;
+        }
+
+        $decoded = json_decode($json, true);
+        if (!is_array($decoded)) {
+            Logger::log("Ignoring invalid column mapping: " . $json, 'ERROR');
+            return null;
+        }
+
+        $column_mapping = [];
+        foreach ($decoded as $column => $target) {
+            if (is_string($target)) {
+                $column_mapping[(string) $column] = sanitize_text_field($target);
+            }
+        }
+
+        Logger::log("Column mapping: " . print_r($column_mapping, true), 'DEBUG');
+        return $column_mapping;
+    }
+
     /**
      * Handle file upload
      * 
@@ -455,11 +714,11 @@ class Ajax_Handlers
             Logger::log("File upload started: " . $file['name'], 'DEBUG');
 
             // Check file size
-            $max_size = 5 * 1024 * 1024; // 5MB
+            $max_size = wp_max_upload_size();
             if ($file['size'] > $max_size) {
                 return [
                     'success' => false,
-                    'message' => 'File too large. Maximum size is 5MB'
+                    'message' => 'File too large. Maximum size is ' . size_format($max_size)
                 ];
             }
             Logger::log("File size check passed: " . $file['size'], 'DEBUG');
@@ -468,7 +727,7 @@ class Ajax_Handlers
             $allowed_types = [
                 'csv' => ['text/csv', 'application/csv', 'text/plain'],
                 'json' => ['application/json', 'text/json'],
-                'xlsx' => ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
+                'xlsx' => ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/zip', 'application/octet-stream']
             ];
             Logger::log("Allowed file types: " . print_r($allowed_types, true), 'DEBUG');
 
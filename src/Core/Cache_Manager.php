@@ -41,15 +41,55 @@ class Cache_Manager {
         set_transient( self::CACHE_PREFIX . $key, $html, absint( $expiration ) );
     }
 
+    /**
+     * Whether a widget's output can be shared between requests. Templates
+     * reading the logged-in user, the query string or a custom source
+     * registered as not cacheable render differently for every visitor,
+     * so they are never cached. The partials a template includes count
+     * as part of it.
+     */
+    public function is_cacheable( \Elementor\Widget_Base $widget ): bool {
+        $sources = array_merge( [ 'user', 'query' ], \DataEngine\Engine\Sources::get_uncacheable() );
+        $pattern = '/%(' . implode( '|', array_map( 'preg_quote', $sources ) ) . '):/';
+        return ! preg_match( $pattern, $this->expand_includes( json_encode( $widget->get_settings_for_display() ) ) );
+    }
+
+    /**
+     * Appends the templates of the partials a text includes with
+     * [include:name], and of the partials those include, each once.
+     */
+    private function expand_includes( string $text ): string {
+        $expanded = '';
+        $pending = [ $text ];
+        $seen = [];
+
+        while ( ! empty( $pending ) ) {
+            $chunk = array_pop( $pending );
+            $expanded .= $chunk;
+
+            preg_match_all( '/\[include:\s*([a-zA-Z0-9_-]+)/', $chunk, $matches );
+            foreach ( $matches[1] as $name ) {
+                if ( ! isset( $seen[ $name ] ) ) {
+                    $seen[ $name ] = true;
+                    $pending[] = (string) \DataEngine\Engine\Partials::get( $name );
+                }
+            }
+        }
+
+        return $expanded;
+    }
+
     /**
      * Generates a unique cache key for a specific widget instance.
-     * The key depends on the post ID and the widget's settings.
+     * The key depends on the post ID, the queried object (the term of an
+     * archive, for %term: tags) and the widget's settings.
      */
     public function generate_key( \Elementor\Widget_Base $widget ): string {
         $post_id = get_the_ID();
+        $queried_id = get_queried_object_id();
         // A hash of the settings ensures that if settings change, the cache is invalidated.
         $settings_hash = md5( json_encode( $widget->get_settings_for_display() ) );
-        return "{$post_id}_{$widget->get_id()}_{$settings_hash}";
+        return "{$post_id}_{$queried_id}_{$widget->get_id()}_{$settings_hash}";
     }
 
     /**
@@ -19,13 +19,80 @@ class Import_Export_Manager
     private const SUPPORTED_TYPES = [
         'csv' => ['text/csv', 'application/csv', 'text/plain'],
         'json' => ['application/json', 'text/json'],
-        'xlsx' => ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
+        'xlsx' => ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/zip', 'application/octet-stream']
     ];
 
     /**
-     * Maximum file size (5MB)
+     * Option holding the saved column mapping presets, keyed by field key
      */
-    private const MAX_FILE_SIZE = 5 * 1024 * 1024;
+    private const MAPPING_PRESETS_OPTION = 'data_engine_mapping_presets';
+
+    /**
+     * Mapping target of the column holding the Flexible Content layout
+     */
+    private const LAYOUT_COLUMN = 'acf_fc_layout';
+
+    /**
+     * Prefixes of the options of batched import jobs, followed by the job
+     * ID (the post ID and the field key): the job itself, the rows of the
+     * file in pages of IMPORT_PAGE_ROWS, and the rows processed by each batch
+     */
+    private const IMPORT_JOB_OPTION_PREFIX = 'data_engine_import_job_';
+    private const IMPORT_ROWS_OPTION_PREFIX = 'data_engine_import_rows_';
+    private const IMPORT_DATA_OPTION_PREFIX = 'data_engine_import_data_';
+    private const IMPORT_PAGE_ROWS = 500;
+
+    /**
+     * Seconds after its last batch when an unfinished import job is deleted
+     */
+    private const IMPORT_JOB_EXPIRATION = DAY_IN_SECONDS;
+
+    /**
+     * Rows processed at a time in a batched import, and the seconds a batch
+     * keeps taking more of them; media sideloading makes rows slow
+     */
+    private const IMPORT_CHUNK_ROWS = 10;
+    private const IMPORT_BATCH_SECONDS = 10;
+
+    /**
+     * Seconds a dry run spends checking image and file URLs; the URLs left
+     * are reported as not checked, so the report arrives before the PHP
+     * time limit
+     */
+    private const URL_CHECK_SECONDS = 15;
+
+    /**
+     * Import modes: replace all rows, add the rows after the existing ones,
+     * or update the rows whose key sub-field matches and add the others
+     */
+    public const MODE_REPLACE = 'replace';
+    public const MODE_APPEND = 'append';
+    public const MODE_UPSERT = 'upsert';
+
+    /**
+     * Whether image and file URLs are downloaded to the media library while
+     * processing rows; turned off to count rows for the preview
+     */
+    private bool $sideload_attachments = true;
+
+    /**
+     * Problems found in the cells while processing rows for a dry run, or
+     * null when the rows are not validated
+     * @var array<int, array>|null
+     */
+    private ?array $validation_issues = null;
+
+    /**
+     * Why each image or file URL checked in this request cannot be
+     * downloaded, or null when it can, keyed by URL
+     * @var array<string, string|null>
+     */
+    private array $checked_urls = [];
+
+    /**
+     * When a dry run stops checking new URLs, or null outside dry runs
+     */
+    private ?float $url_check_deadline = null;
 
     /**
      * Import CSV data to ACF Repeater field
@@ -33,9 +100,10 @@ class Import_Export_Manager
      * @param string $file_path Path to the uploaded CSV file
      * @param string $field_key ACF field key
      * @param int $post_id Post ID to update
+     * @param array $options Import options, see import_table_to_field()
      * @return array Result array with success status and message
      */
-    public function import_csv_to_repeater(string $file_path, string $field_key, int $post_id): array
+    public function import_csv_to_repeater(string $file_path, string $field_key, int $post_id, array $options = []): array
     {
         try {
             Logger::log("Starting CSV import for field '{$field_key}' on post {$post_id}", 'INFO');
@@ -57,68 +125,410 @@ class Import_Export_Manager
                 ];
             }
 
-            // Get field structure
-            $field_object = get_field_object($field_key, $post_id);
-            if (!$field_object) {
-                Logger::log("Target field not found for key: {$field_key}", 'ERROR');
+            return $this->import_table_to_field($csv_data, $field_key, $post_id, $options);
+
+        } catch (\Exception $e) {
+            Logger::log("CSV import error: " . $e->getMessage(), 'ERROR');
+            return [
+                'success' => false,
+                'message' => 'Import failed: ' . $e->getMessage()
+            ];
+        }
+    }
+
+    /**
+     * Import an Excel workbook to ACF Repeater field
+     * 
+     * The sheet is read like a CSV file: a header row, then one row per
+     * repeater row (with an acf_fc_layout column for Flexible Content).
+     * 
+     * @param string $file_path Path to the uploaded XLSX file
+     * @param string $field_key ACF field key
+     * @param int $post_id Post ID to update
+     * @param string|null $sheet Sheet name, or null for the first sheet
+     * @param array $options Import options, see import_table_to_field()
+     * @return array Result array with success status and message
+     */
+    public function import_xlsx_to_repeater(string $file_path, string $field_key, int $post_id, ?string $sheet = null, array $options = []): array
+    {
+        try {
+            Logger::log("Starting XLSX import for field '{$field_key}' on post {$post_id}", 'INFO');
+
+            // Validate file
+            $validation_result = $this->validate_file($file_path, 'xlsx');
+            if (!$validation_result['success']) {
+                Logger::log("XLSX import validation failed: " . $validation_result['message'], 'ERROR');
+                return $validation_result;
+            }
+
+            $xlsx_data = $this->xlsx_cells_to_text((new Xlsx_Reader($file_path))->read_rows($sheet));
+            if (empty($xlsx_data)) {
+                Logger::log("XLSX sheet is empty", 'ERROR');
                 return [
                     'success' => false,
-                    'message' => 'Target field not found'
+                    'message' => 'The sheet is empty'
                 ];
             }
 
-            // 🔥 NEW: Enhanced field type validation
-            Logger::log("Field object retrieved: " . print_r($field_object, true), 'DEBUG');
+            return $this->import_table_to_field($xlsx_data, $field_key, $post_id, $options);
 
-            if (!in_array($field_object['type'], ['repeater', 'flexible_content'])) {
-                Logger::log("Target field is not a repeater or flexible content: " . $field_object['type'], 'ERROR');
+        } catch (\Exception $e) {
+            Logger::log("XLSX import error: " . $e->getMessage(), 'ERROR');
+            return [
+                'success' => false,
+                'message' => 'Import failed: ' . $e->getMessage()
+            ];
+        }
+    }
+
+    /**
+     * Import rows with a header row (from CSV or XLSX) to a Repeater or
+     * Flexible Content field
+     * 
+     * @param array $rows Rows of cells, the first one with the column headers
+     * @param string $field_key ACF field key
+     * @param int $post_id Post ID to update
+     * @param array $options Import options:
+     *   - column_mapping (array|null): target of each column (see get_mapping_targets()), or null to match columns by name
+     *   - mode (string): one of the MODE_* constants, MODE_REPLACE by default
+     *   - key_field (string): name of the sub-field matching rows in MODE_UPSERT
+     *   - dry_run (bool): validate the rows and return a report without saving, see dry_run_import()
+     *   - batched (bool): store the rows as a job imported over several requests, see start_import_job()
+     *   - file_name (string): name of the imported file, shown when a batched import is resumed
+     * @return array Result array with success status and message
+     */
+    private function import_table_to_field(array $rows, string $field_key, int $post_id, array $options = []): array
+    {
+        // Get field structure
+        $field_object = get_field_object($field_key, $post_id);
+        if (!$field_object) {
+            Logger::log("Target field not found for key: {$field_key}", 'ERROR');
+            return [
+                'success' => false,
+                'message' => 'Target field not found'
+            ];
+        }
+
+        // 🔥 NEW: Enhanced field type validation
+        Logger::log("Field object retrieved: " . print_r($field_object, true), 'DEBUG');
+
+        if (!in_array($field_object['type'], ['repeater', 'flexible_content'])) {
+            Logger::log("Target field is not a repeater or flexible content: " . $field_object['type'], 'ERROR');
+            return [
+                'success' => false,
+                'message' => 'Target field must be a repeater or flexible content field. Found: ' . $field_object['type']
+            ];
+        }
+
+        // 🔥 NEW: Different validation for each type
+        if ($field_object['type'] === 'repeater') {
+            if (!isset($field_object['sub_fields']) || !is_array($field_object['sub_fields']) || empty($field_object['sub_fields'])) {
+                Logger::log("Target repeater field has no sub-fields", 'ERROR');
                 return [
                     'success' => false,
-                    'message' => 'Target field must be a repeater or flexible content field. Found: ' . $field_object['type']
+                    'message' => 'Target repeater field has no sub-fields configured'
+                ];
+            }
+            Logger::log("Found " . count($field_object['sub_fields']) . " sub-fields", 'DEBUG');
+        } elseif ($field_object['type'] === 'flexible_content') {
+            if (!isset($field_object['layouts']) || !is_array($field_object['layouts']) || empty($field_object['layouts'])) {
+                Logger::log("Target flexible content field has no layouts", 'ERROR');
+                return [
+                    'success' => false,
+                    'message' => 'Target flexible content field has no layouts configured'
                 ];
             }
+            Logger::log("Found " . count($field_object['layouts']) . " layouts", 'DEBUG');
+        }
 
-            // 🔥 NEW: Different validation for each type
-            if ($field_object['type'] === 'repeater') {
-                if (!isset($field_object['sub_fields']) || !is_array($field_object['sub_fields']) || empty($field_object['sub_fields'])) {
-                    Logger::log("Target repeater field has no sub-fields", 'ERROR');
-                    return [
-                        'success' => false,
-                        'message' => 'Target repeater field has no sub-fields configured'
-                    ];
+        if (!empty($options['dry_run'])) {
+            return $this->dry_run_import($rows, $field_object, 'table', $post_id, $options);
+        }
+
+        if (!empty($options['batched'])) {
+            return $this->start_import_job($rows, $field_object, 'table', $field_key, $post_id, $options);
+        }
+
+        // 🔥 NEW: Process data based on field type
+        $processed_data = $this->process_rows($rows, $field_object, 'table', $options['column_mapping'] ?? null);
+
+        if (!$processed_data['success']) {
+            Logger::log("Row data processing failed: " . $processed_data['message'], 'ERROR');
+            return $processed_data;
+        }
+
+        Logger::log("Processed data for import: " . print_r($processed_data, true), 'DEBUG');
+
+        // Use enhanced save method
+        $save_result = $this->save_repeater_data(
+            $field_key,
+            $processed_data['data'],
+            $post_id,
+            $options['mode'] ?? self::MODE_REPLACE,
+            $options['key_field'] ?? ''
+        );
+        return $save_result;
+    }
+
+    /**
+     * Process rows for a Repeater or Flexible Content field
+     * 
+     * @param array $rows Rows of a CSV or XLSX table (header row first), or JSON objects
+     * @param array $field_object ACF field object
+     * @param string $source 'table' or 'json'
+     * @param array|null $column_mapping Target of each column (see get_mapping_targets()), or null to match columns by name
+     * @return array Processed data
+     */
+    private function process_rows(array $rows, array $field_object, string $source, ?array $column_mapping): array
+    {
+        if ($source === 'json') {
+            return $field_object['type'] === 'repeater'
+                ? $this->process_json_data($rows, $field_object, $column_mapping)
+                : $this->process_flexible_json_data($rows, $field_object, $column_mapping);
+        }
+
+        return $field_object['type'] === 'repeater'
+            ? $this->process_csv_data($rows, $field_object, $column_mapping)
+            : $this->process_flexible_csv_data($rows, $field_object, $column_mapping);
+    }
+
+    /**
+     * Validate rows against the sub-field definitions without saving them
+     * 
+     * Rows are processed like the import does, without downloading images
+     * or files, and every cell the import would drop or change is reported
+     * with its row (the first row after the header is row 1) and column.
+     * 
+     * @param array $rows Rows of a CSV or XLSX table (header row first), or JSON objects
+     * @param array $field_object ACF field object
+     * @param string $source 'table' or 'json'
+     * @param int $post_id Post ID the rows would be imported to
+     * @param array $options Import options, see import_table_to_field()
+     * @return array Result array with the issues in 'report', their 'errors' and 'warnings' counts, and the row counts in 'import_summary'
+     */
+    private function dry_run_import(array $rows, array $field_object, string $source, int $post_id, array $options): array
+    {
+        $this->sideload_attachments = false;
+        $this->validation_issues = [];
+        $this->url_check_deadline = microtime(true) + self::URL_CHECK_SECONDS;
+        try {
+            $processed_data = $this->process_rows($rows, $field_object, $source, $options['column_mapping'] ?? null);
+            $issues = $this->validation_issues;
+        } finally {
+            $this->sideload_attachments = true;
+            $this->validation_issues = null;
+            $this->url_check_deadline = null;
+        }
+
+        if (!$processed_data['success']) {
+            Logger::log("Dry run processing failed: " . $processed_data['message'], 'ERROR');
+            return $processed_data;
+        }
+
+        $merge = $this->merge_rows(
+            $this->get_existing_rows($field_object, $post_id),
+            $processed_data['data'],
+            $options['mode'] ?? self::MODE_REPLACE,
+            $options['key_field'] ?? ''
+        );
+
+        $errors = count(array_filter($issues, function ($issue) {
+            return $issue['level'] === 'error';
+        }));
+        $warnings = count($issues) - $errors;
+        $rows_checked = $source === 'table' ? count($rows) - 1 : count($rows);
+
+        Logger::log("Dry run for field '{$field_object['key']}': {$rows_checked} rows, {$errors} errors, {$warnings} warnings", 'INFO');
+
+        return [
+            'success' => true,
+            'dry_run' => true,
+            'message' => sprintf('Dry run: %d rows checked, %d errors, %d warnings. Nothing was saved.', $rows_checked, $errors, $warnings),
+            'rows_checked' => $rows_checked,
+            'errors' => $errors,
+            'warnings' => $warnings,
+            'report' => $issues,
+            'import_summary' => $merge['success'] ? $merge['summary'] : ['error' => $merge['message']]
+        ];
+    }
+
+    /**
+     * Store rows as an import job, to be imported by process_import_job_batch()
+     * 
+     * The rows of the file are stored in pages and the rows processed by
+     * each batch in an option of their own, so an import interrupted by a
+     * timeout or a page reload can be resumed without rewriting what is
+     * already stored. The field is only saved once every row is processed; a
+     * job replaces any unfinished one for the same field and post, and is
+     * deleted IMPORT_JOB_EXPIRATION seconds after its last batch.
+     * 
+     * @param array $rows Rows of a CSV or XLSX table (header row first), or JSON objects
+     * @param array $field_object ACF field object
+     * @param string $source 'table' or 'json'
+     * @param string $field_key ACF field key
+     * @param int $post_id Post ID to update
+     * @param array $options Import options, see import_table_to_field()
+     * @return array Result array with the job status in 'job'
+     */
+    private function start_import_job(array $rows, array $field_object, string $source, string $field_key, int $post_id, array $options): array
+    {
+        $header = $source === 'table' ? array_shift($rows) : null;
+
+        // Fail now rather than on the first batch
+        if ($header !== null && $field_object['type'] === 'flexible_content' && $this->find_layout_column($header, $options['column_mapping'] ?? null) === null) {
+            return [
+                'success' => false,
+                'message' => 'CSV must contain acf_fc_layout column to specify layout type'
+            ];
+        }
+
+        $job_id = $this->get_import_job_id($field_key, $post_id);
+        $previous = get_option(self::IMPORT_JOB_OPTION_PREFIX . $job_id);
+        if (is_array($previous)) {
+            $this->delete_import_job($job_id, $previous);
+        }
+
+        $job = [
+            'file_name' => $options['file_name'] ?? '',
+            'source' => $source,
+            'header' => $header,
+            'options' => [
+                'column_mapping' => $options['column_mapping'] ?? null,
+                'mode' => $options['mode'] ?? self::MODE_REPLACE,
+                'key_field' => $options['key_field'] ?? ''
+            ],
+            'total_rows' => count($rows),
+            'offset' => 0,
+            'batches' => 0,
+            'user_id' => get_current_user_id(),
+            'started_at' => time(),
+            'updated_at' => time()
+        ];
+
+        foreach (array_chunk(array_values($rows), self::IMPORT_PAGE_ROWS) as $page => $page_rows) {
+            update_option(self::IMPORT_ROWS_OPTION_PREFIX . $job_id . '_' . $page, $page_rows, false);
+        }
+        update_option(self::IMPORT_JOB_OPTION_PREFIX . $job_id, $job, false);
+        Logger::log("Import job started for field '{$field_key}' on post {$post_id} with {$job['total_rows']} rows", 'INFO');
+
+        return [
+            'success' => true,
+            'message' => sprintf('Importing %d rows in batches', $job['total_rows']),
+            'job' => $this->get_import_job_status($job)
+        ];
+    }
+
+    /**
+     * Process the next batch of rows of an import job
+     * 
+     * Rows are processed IMPORT_CHUNK_ROWS at a time until
+     * IMPORT_BATCH_SECONDS have passed. After the last batch the rows are
+     * saved like a single-request import, and the job is deleted. Only the
+     * user who started the job can continue it.
+     * 
+     * @param string $field_key ACF field key
+     * @param int $post_id Post ID to update
+     * @return array Result array with the job status in 'job' and whether every row was imported in 'done'
+     */
+    public function process_import_job_batch(string $field_key, int $post_id): array
+    {
+        try {
+            $job_id = $this->get_import_job_id($field_key, $post_id);
+            $job = $this->get_user_import_job($job_id);
+            if ($job === null) {
+                return [
+                    'success' => false,
+                    'message' => 'No import in progress for this field'
+                ];
+            }
+
+            $field_object = get_field_object($field_key, $post_id);
+            if (!$field_object || !in_array($field_object['type'], ['repeater', 'flexible_content'])) {
+                Logger::log("Import job target field not found for key: {$field_key}", 'ERROR');
+                $this->delete_import_job($job_id, $job);
+                return [
+                    'success' => false,
+                    'message' => 'Target field not found'
+                ];
+            }
+
+            $total_rows = $job['total_rows'];
+            $started = microtime(true);
+            $page = null;
+            $page_rows = [];
+            $batch_data = [];
+
+            while ($job['offset'] < $total_rows && microtime(true) - $started < self::IMPORT_BATCH_SECONDS) {
+                if ($page !== intdiv($job['offset'], self::IMPORT_PAGE_ROWS)) {
+                    $page = intdiv($job['offset'], self::IMPORT_PAGE_ROWS);
+                    $page_rows = get_option(self::IMPORT_ROWS_OPTION_PREFIX . $job_id . '_' . $page, []);
                 }
-                Logger::log("Found " . count($field_object['sub_fields']) . " sub-fields", 'DEBUG');
-            } elseif ($field_object['type'] === 'flexible_content') {
-                if (!isset($field_object['layouts']) || !is_array($field_object['layouts']) || empty($field_object['layouts'])) {
-                    Logger::log("Target flexible content field has no layouts", 'ERROR');
+
+                $chunk = array_slice($page_rows, $job['offset'] % self::IMPORT_PAGE_ROWS, self::IMPORT_CHUNK_ROWS);
+                if (empty($chunk)) {
+                    Logger::log("Import job rows missing at row {$job['offset']}", 'ERROR');
+                    $this->delete_import_job($job_id, $job);
                     return [
                         'success' => false,
-                        'message' => 'Target flexible content field has no layouts configured'
+                        'message' => 'The rows of this import are missing. Please import the file again.'
                     ];
                 }
-                Logger::log("Found " . count($field_object['layouts']) . " layouts", 'DEBUG');
+                $rows = $job['source'] === 'table' ? array_merge([$job['header']], $chunk) : $chunk;
+
+                $processed_data = $this->process_rows($rows, $field_object, $job['source'], $job['options']['column_mapping']);
+                if (!$processed_data['success']) {
+                    Logger::log("Import job failed at row {$job['offset']}: " . $processed_data['message'], 'ERROR');
+                    $this->delete_import_job($job_id, $job);
+                    return $processed_data;
+                }
+
+                $batch_data = array_merge($batch_data, $processed_data['data']);
+                $job['offset'] += count($chunk);
             }
 
-            // 🔥 NEW: Process data based on field type
-            if ($field_object['type'] === 'repeater') {
-                $processed_data = $this->process_csv_data($csv_data, $field_object);
-            } else { // flexible_content
-                $processed_data = $this->process_flexible_csv_data($csv_data, $field_object);
+            // Each batch stores its rows on their own, so earlier batches are not rewritten
+            if (!empty($batch_data)) {
+                update_option(self::IMPORT_DATA_OPTION_PREFIX . $job_id . '_' . $job['batches'], $batch_data, false);
+                $job['batches']++;
             }
+            $job['updated_at'] = time();
+            update_option(self::IMPORT_JOB_OPTION_PREFIX . $job_id, $job, false);
+            Logger::log("Import job for field '{$field_key}': {$job['offset']} of {$total_rows} rows processed", 'DEBUG');
 
-            if (!$processed_data['success']) {
-                Logger::log("CSV data processing failed: " . $processed_data['message'], 'ERROR');
-                return $processed_data;
+            if ($job['offset'] < $total_rows) {
+                return [
+                    'success' => true,
+                    'done' => false,
+                    'message' => sprintf('Processed %d of %d rows', $job['offset'], $total_rows),
+                    'job' => $this->get_import_job_status($job)
+                ];
             }
 
-            Logger::log("Processed data for CSV import: " . print_r($processed_data, true), 'DEBUG');
+            $data = [];
+            for ($batch = 0; $batch < $job['batches']; $batch++) {
+                $data = array_merge($data, get_option(self::IMPORT_DATA_OPTION_PREFIX . $job_id . '_' . $batch, []));
+            }
 
-            // Use enhanced save method
-            $save_result = $this->save_repeater_data($field_key, $processed_data['data'], $post_id);
-            return $save_result;
+            // The job is kept until the save succeeds, so a failed save can be retried
+            $save_result = $this->save_repeater_data(
+                $field_key,
+                $data,
+                $post_id,
+                $job['options']['mode'],
+                $job['options']['key_field']
+            );
+
+            if ($save_result['success']) {
+                $this->delete_import_job($job_id, $job);
+            }
+
+            return array_merge($save_result, [
+                'done' => $save_result['success'],
+                'job' => $this->get_import_job_status($job)
+            ]);
 
         } catch (\Exception $e) {
-            Logger::log("CSV import error: " . $e->getMessage(), 'ERROR');
+            Logger::log("Import job error: " . $e->getMessage(), 'ERROR');
             return [
                 'success' => false,
                 'message' => 'Import failed: ' . $e->getMessage()
@@ -126,15 +536,142 @@ class Import_Export_Manager
         }
     }
 
+    /**
+     * Cancel an import job; the field keeps its rows
+     * 
+     * Images and files already downloaded by the processed batches stay in
+     * the media library.
+     * 
+     * @param string $field_key ACF field key
+     * @param int $post_id Post ID
+     * @return array Result array with success status and message
+     */
+    public function cancel_import_job(string $field_key, int $post_id): array
+    {
+        $job_id = $this->get_import_job_id($field_key, $post_id);
+        $job = $this->get_user_import_job($job_id);
+        if ($job === null) {
+            return [
+                'success' => false,
+                'message' => 'No import in progress for this field'
+            ];
+        }
+
+        $this->delete_import_job($job_id, $job);
+
+        Logger::log("Import job cancelled for field '{$field_key}' on post {$post_id}", 'INFO');
+        return [
+            'success' => true,
+            'message' => 'Import cancelled. The field was not changed.'
+        ];
+    }
+
+    /**
+     * Status of the unfinished import job the current user started on a
+     * field, if there is one
+     * 
+     * @param string $field_key ACF field key
+     * @param int $post_id Post ID
+     * @return array|null Job status, see get_import_job_status(), or null
+     */
+    public function get_import_job(string $field_key, int $post_id): ?array
+    {
+        $job = $this->get_user_import_job($this->get_import_job_id($field_key, $post_id));
+        return $job !== null ? $this->get_import_job_status($job) : null;
+    }
+
+    /**
+     * Delete the import jobs that had no batch for IMPORT_JOB_EXPIRATION
+     * seconds, run by the hourly cleanup
+     */
+    public function cleanup_import_jobs(): void
+    {
+        global $wpdb;
+        $options = $wpdb->get_col(
+            $wpdb->prepare(
+                "SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s",
+                $wpdb->esc_like(self::IMPORT_JOB_OPTION_PREFIX) . '%'
+            )
+        );
+
+        foreach ($options as $option) {
+            $this->get_import_job_by_id(substr($option, strlen(self::IMPORT_JOB_OPTION_PREFIX)));
+        }
+    }
+
+    /**
+     * A job that has not expired, deleting it if it has
+     */
+    private function get_import_job_by_id(string $job_id): ?array
+    {
+        $job = get_option(self::IMPORT_JOB_OPTION_PREFIX . $job_id);
+        if (!is_array($job)) {
+            return null;
+        }
+
+        if (time() - $job['updated_at'] > self::IMPORT_JOB_EXPIRATION) {
+            Logger::log("Import job {$job_id} expired after {$job['offset']} of {$job['total_rows']} rows", 'INFO');
+            $this->delete_import_job($job_id, $job);
+            return null;
+        }
+
+        return $job;
+    }
+
+    /**
+     * A job that has not expired and was started by the current user
+     */
+    private function get_user_import_job(string $job_id): ?array
+    {
+        $job = $this->get_import_job_by_id($job_id);
+        return $job !== null && (int) $job['user_id'] === get_current_user_id() ? $job : null;
+    }
+
+    /**
+     * Delete a job with its pages of rows and processed rows
+     */
+    private function delete_import_job(string $job_id, array $job): void
+    {
+        $pages = (int) ceil(($job['total_rows'] ?? 0) / self::IMPORT_PAGE_ROWS);
+        for ($page = 0; $page < $pages; $page++) {
+            delete_option(self::IMPORT_ROWS_OPTION_PREFIX . $job_id . '_' . $page);
+        }
+        for ($batch = 0; $batch < ($job['batches'] ?? 0); $batch++) {
+            delete_option(self::IMPORT_DATA_OPTION_PREFIX . $job_id . '_' . $batch);
+        }
+        delete_option(self::IMPORT_JOB_OPTION_PREFIX . $job_id);
+    }
+
+    /**
+     * What the UI shows of a job, without its rows
+     */
+    private function get_import_job_status(array $job): array
+    {
+        return [
+            'file_name' => $job['file_name'],
+            'mode' => $job['options']['mode'],
+            'total_rows' => $job['total_rows'],
+            'processed_rows' => $job['offset'],
+            'started_at' => $job['started_at'],
+            'updated_at' => $job['updated_at']
+        ];
+    }
+
+    private function get_import_job_id(string $field_key, int $post_id): string
+    {
+        return $post_id . '_' . sanitize_key($field_key);
+    }
+
     /**
      * Import JSON data to ACF Repeater field
      * 
      * @param string $file_path Path to the uploaded JSON file
      * @param string $field_key ACF field key
      * @param int $post_id Post ID to update
+     * @param array $options Import options, see import_table_to_field()
      * @return array Result array with success status and message
      */
-    public function import_json_to_repeater(string $file_path, string $field_key, int $post_id): array
+    public function import_json_to_repeater(string $file_path, string $field_key, int $post_id, array $options = []): array
     {
         Logger::log("Starting JSON import for field '{$field_key}' on post {$post_id}", 'INFO');
         try {
@@ -199,20 +736,30 @@ class Import_Export_Manager
                 Logger::log("Found " . count($field_object['layouts']) . " layouts", 'DEBUG');
             }
 
-            // 🔥 NEW: Process data based on field type
-            if ($field_object['type'] === 'repeater') {
-                $processed_data = $this->process_json_data($json_data, $field_object);
-            } else { // flexible_content
-                $processed_data = $this->process_flexible_json_data($json_data, $field_object);
+            if (!empty($options['dry_run'])) {
+                return $this->dry_run_import($json_data, $field_object, 'json', $post_id, $options);
+            }
+
+            if (!empty($options['batched'])) {
+                return $this->start_import_job($json_data, $field_object, 'json', $field_key, $post_id, $options);
             }
 
+            // 🔥 NEW: Process data based on field type
+            $processed_data = $this->process_rows($json_data, $field_object, 'json', $options['column_mapping'] ?? null);
+
             Logger::log("Processed data for JSON import: " . print_r($processed_data, true), 'DEBUG');
             if (!$processed_data['success']) {
                 return $processed_data;
             }
 
             // Use enhanced save method
-            $save_result = $this->save_repeater_data($field_key, $processed_data['data'], $post_id);
+            $save_result = $this->save_repeater_data(
+                $field_key,
+                $processed_data['data'],
+                $post_id,
+                $options['mode'] ?? self::MODE_REPLACE,
+                $options['key_field'] ?? ''
+            );
             return $save_result;
 
         } catch (\Exception $e) {
@@ -224,7 +771,15 @@ class Import_Export_Manager
         }
     }
 
-    private function process_flexible_csv_data(array $csv_data, array $field_object): array
+    /**
+     * Process CSV rows for Flexible Content field
+     * 
+     * @param array $csv_data Rows of cells, the first one with the column headers
+     * @param array $field_object ACF field object
+     * @param array|null $column_mapping Target of each column (see get_mapping_targets()), or null to match columns by name
+     * @return array Processed data
+     */
+    private function process_flexible_csv_data(array $csv_data, array $field_object, ?array $column_mapping = null): array
     {
         Logger::log("Processing CSV data for flexible content field: " . $field_object['key'], 'DEBUG');
 
@@ -244,7 +799,8 @@ class Import_Export_Manager
         Logger::log("Available layouts: " . implode(', ', array_keys($layouts)), 'DEBUG');
 
         // Check if acf_fc_layout column exists
-        $layout_column_index = array_search('acf_fc_layout', $headers);
+        $layout_column = $this->find_layout_column($headers, $column_mapping);
+        $layout_column_index = $layout_column === null ? false : array_search($layout_column, $headers, true);
         if ($layout_column_index === false) {
             return [
                 'success' => false,
@@ -263,6 +819,7 @@ class Import_Export_Manager
             $layout_name = $row[$layout_column_index] ?? '';
             if (empty($layout_name)) {
                 Logger::log("Row {$row_index} has no layout specified, skipping", 'DEBUG');
+                $this->add_validation_issue($row_index + 1, $layout_column, self::LAYOUT_COLUMN, $layout_name, 'warning', 'No layout is given; the row would be skipped');
                 continue;
             }
 
@@ -277,6 +834,7 @@ class Import_Export_Manager
 
             if (!$layout) {
                 Logger::log("Layout '{$layout_name}' not found, skipping row {$row_index}", 'DEBUG');
+                $this->add_validation_issue($row_index + 1, $layout_column, self::LAYOUT_COLUMN, $layout_name, 'error', "'{$layout_name}' is not a layout of this field; the row would be skipped");
                 continue;
             }
 
@@ -284,27 +842,17 @@ class Import_Export_Manager
 
             // Process each field in the row
             foreach ($headers as $column_index => $header) {
-                if ($header === 'acf_fc_layout') {
+                if ($column_index === $layout_column_index) {
                     continue; // Already processed
                 }
 
                 $value = $row[$column_index] ?? '';
 
-                // Extract field name from header (remove layout prefix if present)
-                $field_name = str_replace($layout_name . '_', '', $header);
-
                 // Find matching sub-field in layout
-                $sub_field = null;
-                if (isset($layout['sub_fields'])) {
-                    foreach ($layout['sub_fields'] as $sf) {
-                        if ($sf['name'] === $field_name || $sf['name'] === $header) {
-                            $sub_field = $sf;
-                            break;
-                        }
-                    }
-                }
+                $sub_field = $this->find_layout_sub_field((string) $header, $layout, $column_mapping);
 
                 if ($sub_field) {
+                    $this->validate_cell($row_index + 1, (string) $header, $value, $sub_field);
                     $processed_value = $this->process_field_value($value, $sub_field);
                     $row_data[$sub_field['name']] = $processed_value;
                     Logger::log("Mapped {$header} -> {$sub_field['name']} = " . print_r($processed_value, true), 'DEBUG');
@@ -312,6 +860,7 @@ class Import_Export_Manager
                     Logger::log("No matching sub-field found for: {$header} in layout {$layout_name}", 'DEBUG');
                 }
             }
+            $this->validate_required_fields($row_index + 1, $row_data, $layout['sub_fields'] ?? []);
 
             if (count($row_data) > 1) { // More than just acf_fc_layout
                 $processed_data[] = $row_data;
@@ -331,8 +880,13 @@ class Import_Export_Manager
 
     /**
      * Process JSON data for Flexible Content field
+     * 
+     * @param array $json_data Raw JSON data
+     * @param array $field_object ACF field object
+     * @param array|null $column_mapping Target of each column (see get_mapping_targets()), or null to match columns by name
+     * @return array Processed data
      */
-    private function process_flexible_json_data(array $json_data, array $field_object): array
+    private function process_flexible_json_data(array $json_data, array $field_object, ?array $column_mapping = null): array
     {
         Logger::log("Processing JSON data for flexible content field: " . $field_object['key'], 'DEBUG');
 
@@ -358,9 +912,11 @@ class Import_Export_Manager
                 continue;
             }
 
-            $layout_name = $row['acf_fc_layout'] ?? '';
+            $layout_key = $this->find_layout_column(array_keys($row), $column_mapping);
+            $layout_name = $layout_key !== null ? ($row[$layout_key] ?? '') : '';
             if (empty($layout_name)) {
                 Logger::log("Row {$row_index} has no layout specified, skipping", 'DEBUG');
+                $this->add_validation_issue((int) $row_index + 1, (string) $layout_key, self::LAYOUT_COLUMN, $layout_name, 'warning', 'No layout is given; the row would be skipped');
                 continue;
             }
 
@@ -375,6 +931,7 @@ class Import_Export_Manager
 
             if (!$layout) {
                 Logger::log("Layout '{$layout_name}' not found, skipping row {$row_index}", 'DEBUG');
+                $this->add_validation_issue((int) $row_index + 1, (string) $layout_key, self::LAYOUT_COLUMN, $layout_name, 'error', "'{$layout_name}' is not a layout of this field; the row would be skipped");
                 continue;
             }
 
@@ -382,22 +939,15 @@ class Import_Export_Manager
 
             // Process each field in the row
             foreach ($row as $field_name => $value) {
-                if ($field_name === 'acf_fc_layout') {
+                if ($field_name === $layout_key) {
                     continue; // Already processed
                 }
 
                 // Find matching sub-field in layout
-                $sub_field = null;
-                if (isset($layout['sub_fields'])) {
-                    foreach ($layout['sub_fields'] as $sf) {
-                        if ($sf['name'] === $field_name) {
-                            $sub_field = $sf;
-                            break;
-                        }
-                    }
-                }
+                $sub_field = $this->find_layout_sub_field((string) $field_name, $layout, $column_mapping);
 
                 if ($sub_field) {
+                    $this->validate_cell((int) $row_index + 1, (string) $field_name, $value, $sub_field);
                     $processed_value = $this->process_field_value($value, $sub_field);
                     $row_data[$sub_field['name']] = $processed_value;
                     Logger::log("Mapped {$field_name} -> {$sub_field['name']} = " . print_r($processed_value, true), 'DEBUG');
@@ -405,6 +955,7 @@ class Import_Export_Manager
                     Logger::log("No matching sub-field found for: {$field_name} in layout {$layout_name}", 'DEBUG');
                 }
             }
+            $this->validate_required_fields((int) $row_index + 1, $row_data, $layout['sub_fields'] ?? []);
 
             if (count($row_data) > 1) { // More than just acf_fc_layout
                 $processed_data[] = $row_data;
@@ -566,11 +1117,101 @@ class Import_Export_Manager
         }
     }
 
+    /**
+     * Export ACF Repeater data to an Excel workbook
+     * 
+     * The sheet has the same columns as the CSV export, with typed cells.
+     * 
+     * @param string $field_key ACF field key
+     * @param int $post_id Post ID to export from
+     * @return array Result array with success status and base64-encoded XLSX content
+     */
+    public function export_repeater_to_xlsx(string $field_key, int $post_id): array
+    {
+        try {
+            Logger::log("Starting XLSX export for field '{$field_key}' on post {$post_id}", 'INFO');
+
+            // Get repeater/flexible data
+            $field_data = get_field($field_key, $post_id);
+            if (!$field_data || !is_array($field_data)) {
+                return [
+                    'success' => false,
+                    'message' => 'No data found to export'
+                ];
+            }
+
+            // Get field structure
+            $field_object = get_field_object($field_key, $post_id);
+            if (!$field_object) {
+                Logger::log("Field object not found for key: {$field_key}", 'ERROR');
+                return [
+                    'success' => false,
+                    'message' => 'Field not found'
+                ];
+            }
+
+            if ($field_object['type'] === 'repeater' && !empty($field_object['sub_fields'])) {
+                $table = $this->get_repeater_table($field_data, $field_object['sub_fields'], true);
+            } elseif ($field_object['type'] === 'flexible_content' && !empty($field_object['layouts'])) {
+                $table = $this->get_flexible_table($field_data, $field_object['layouts'], true);
+            } else {
+                return [
+                    'success' => false,
+                    'message' => 'Field type not supported for export: ' . $field_object['type']
+                ];
+            }
+
+            $writer = new Xlsx_Writer($field_object['label'] ?: $field_object['name']);
+            foreach ($table as $row) {
+                $writer->add_row($row);
+            }
+
+            Logger::log("Successfully exported " . count($field_data) . " rows to XLSX", 'INFO');
+
+            return [
+                'success' => true,
+                'content' => base64_encode($writer->to_string()),
+                'encoding' => 'base64',
+                'mime_type' => self::SUPPORTED_TYPES['xlsx'][0],
+                'filename' => $this->generate_filename($field_key, $post_id, 'xlsx'),
+                'rows_exported' => count($field_data)
+            ];
+
+        } catch (\Exception $e) {
+            Logger::log("XLSX export error: " . $e->getMessage(), 'ERROR');
+            return [
+                'success' => false,
+                'message' => 'Export failed: ' . $e->getMessage()
+            ];
+        }
+    }
+
+    /**
+     * Generate CSV content from flexible content data
+     * 
+     * @param array $flexible_data Flexible Content data
+     * @param array $layouts Layouts configuration
+     * @return string CSV content
+     */
     private function generate_flexible_csv_content(array $flexible_data, array $layouts): string
     {
         Logger::log("Generating CSV for flexible content with " . count($layouts) . " layouts", 'DEBUG');
 
-        $csv_content = '';
+        return $this->generate_csv_from_table($this->get_flexible_table($flexible_data, $layouts));
+    }
+
+    /**
+     * Build the rows of a flexible content export: an acf_fc_layout column,
+     * then a layout_field column for every sub-field of every layout
+     * 
+     * @param array $flexible_data Flexible Content data
+     * @param array $layouts Layouts configuration
+     * @param bool $typed Keep numbers, booleans and dates typed (for XLSX)
+     * @return array Rows of cells, the header row first
+     */
+    private function get_flexible_table(array $flexible_data, array $layouts, bool $typed = false): array
+    {
+        $table = [];
 
         // Collect all possible fields from all layouts
         $all_fields = ['acf_fc_layout']; // Add layout type as first column
@@ -594,16 +1235,16 @@ class Import_Export_Manager
         Logger::log("All fields collected: " . implode(', ', $all_fields), 'DEBUG');
 
         // Generate headers
-        $csv_content .= implode(',', array_map([$this, 'escape_csv_value'], $all_fields)) . "\n";
+        $table[] = $all_fields;
 
         // Generate data rows
         foreach ($flexible_data as $row) {
-            $csv_row = [];
+            $table_row = [];
             $layout_name = $row['acf_fc_layout'] ?? '';
 
             foreach ($all_fields as $field_key) {
                 if ($field_key === 'acf_fc_layout') {
-                    $csv_row[] = $layout_name;
+                    $table_row[] = $layout_name;
                 } else {
                     // Extract field name from layout_fieldname format
                     $field_name = str_replace($layout_name . '_', '', $field_key);
@@ -624,119 +1265,234 @@ class Import_Export_Manager
                         }
 
                         if ($sub_field) {
-                            $formatted_value = $this->format_field_for_export($value, $sub_field);
+                            $formatted_value = $typed ? $this->format_field_for_xlsx($value, $sub_field) : $this->format_field_for_export($value, $sub_field);
                         } else {
                             $formatted_value = (string) $value;
                         }
 
-                        $csv_row[] = $formatted_value;
+                        $table_row[] = $formatted_value;
                     } else {
                         // Field doesn't belong to current layout
-                        $csv_row[] = '';
+                        $table_row[] = '';
                     }
                 }
             }
 
-            $csv_content .= implode(',', array_map([$this, 'escape_csv_value'], $csv_row)) . "\n";
+            $table[] = $table_row;
+        }
+
+        Logger::log("Flexible content table generation completed", 'DEBUG');
+        return $table;
+    }
+
+    /**
+     * Preview CSV data before import - supports both Repeater and Flexible Content
+     * 
+     * @param string $file_path Path to the uploaded CSV file
+     * @param string $field_key ACF field key
+     * @param int $preview_rows Number of rows to preview (default: 5)
+     * @param array $options Preview options:
+     *   - post_id (int): post whose existing rows the import summary compares with; no summary without it
+     *   - column_mapping, mode, key_field: the import options, see import_table_to_field()
+     * @return array Preview data
+     */
+    public function preview_csv_data(string $file_path, string $field_key, int $preview_rows = 5, array $options = []): array
+    {
+        try {
+            Logger::log("Starting CSV preview for field: {$field_key}", 'DEBUG');
+
+            // Validate file
+            $validation_result = $this->validate_file($file_path, 'csv');
+            if (!$validation_result['success']) {
+                return $validation_result;
+            }
+
+            // Parse CSV
+            $csv_data = $this->parse_csv($file_path);
+            if (empty($csv_data)) {
+                return [
+                    'success' => false,
+                    'message' => 'CSV file is empty or could not be parsed'
+                ];
+            }
+
+            return $this->preview_table($csv_data, $field_key, $preview_rows, 'csv', $options);
+
+        } catch (\Exception $e) {
+            Logger::log("CSV preview error: " . $e->getMessage(), 'ERROR');
+            Logger::log("Stack trace: " . $e->getTraceAsString(), 'ERROR');
+            return [
+                'success' => false,
+                'message' => 'Preview failed: ' . $e->getMessage()
+            ];
         }
-
-        Logger::log("Flexible content CSV generation completed", 'DEBUG');
-        return $csv_content;
     }
 
+
     /**
-     * Preview CSV data before import - supports both Repeater and Flexible Content
+     * Preview the first sheet (or a chosen sheet) of an Excel workbook before import
      * 
-     * @param string $file_path Path to the uploaded CSV file
+     * @param string $file_path Path to the uploaded XLSX file
      * @param string $field_key ACF field key
      * @param int $preview_rows Number of rows to preview (default: 5)
-     * @return array Preview data
+     * @param string|null $sheet Sheet name, or null for the first sheet
+     * @param array $options Preview options, see preview_csv_data()
+     * @return array Preview data, with the names of all sheets
      */
-    public function preview_csv_data(string $file_path, string $field_key, int $preview_rows = 5): array
+    public function preview_xlsx_data(string $file_path, string $field_key, int $preview_rows = 5, ?string $sheet = null, array $options = []): array
     {
         try {
-            Logger::log("Starting CSV preview for field: {$field_key}", 'DEBUG');
+            Logger::log("Starting XLSX preview for field: {$field_key}", 'DEBUG');
 
             // Validate file
-            $validation_result = $this->validate_file($file_path, 'csv');
+            $validation_result = $this->validate_file($file_path, 'xlsx');
             if (!$validation_result['success']) {
                 return $validation_result;
             }
 
-            // Parse CSV
-            $csv_data = $this->parse_csv($file_path);
-            if (empty($csv_data)) {
-                return [
-                    'success' => false,
-                    'message' => 'CSV file is empty or could not be parsed'
-                ];
-            }
-
-            // Get field structure
-            $field_object = get_field_object($field_key);
-            if (!$field_object) {
-                return [
-                    'success' => false,
-                    'message' => 'Target field not found'
-                ];
-            }
-
-            Logger::log("Field type detected for preview: " . $field_object['type'], 'DEBUG');
+            $reader = new Xlsx_Reader($file_path);
+            $sheets = $reader->get_sheet_names();
+            $sheet = $sheet !== null && in_array($sheet, $sheets, true) ? $sheet : $sheets[0];
 
-            // 🔥 NEW: Handle different field types
-            if (!in_array($field_object['type'], ['repeater', 'flexible_content'])) {
+            $xlsx_data = $reader->read_rows($sheet);
+            if (empty($xlsx_data)) {
                 return [
                     'success' => false,
-                    'message' => 'Preview only supports repeater and flexible content fields'
+                    'message' => "Sheet '{$sheet}' is empty",
+                    'sheets' => $sheets,
+                    'sheet' => $sheet
                 ];
             }
 
-            // Get headers
-            $headers = array_shift($csv_data);
-            Logger::log("CSV headers: " . implode(', ', $headers), 'DEBUG');
-
-            // Get preview rows
-            $preview_data = array_slice($csv_data, 0, $preview_rows);
-
-            // 🔥 NEW: Get field mapping based on field type
-            $field_mapping = [];
-            if ($field_object['type'] === 'repeater') {
-                if (isset($field_object['sub_fields'])) {
-                    $field_mapping = $this->get_field_mapping($headers, $field_object['sub_fields']);
-                }
-            } elseif ($field_object['type'] === 'flexible_content') {
-                if (isset($field_object['layouts'])) {
-                    $field_mapping = $this->get_flexible_field_mapping($headers, $field_object['layouts']);
-                }
+            $xlsx_data = $this->xlsx_cells_to_text($xlsx_data);
+            $preview = $this->preview_table($xlsx_data, $field_key, $preview_rows, 'xlsx', $options);
+            if ($preview['success']) {
+                $preview['sheets'] = $sheets;
+                $preview['sheet'] = $sheet;
             }
+            return $preview;
 
-            Logger::log("CSV preview generated: " . count($preview_data) . " rows", 'DEBUG');
+        } catch (\Exception $e) {
+            Logger::log("XLSX preview error: " . $e->getMessage(), 'ERROR');
+            return [
+                'success' => false,
+                'message' => 'Preview failed: ' . $e->getMessage()
+            ];
+        }
+    }
 
+    /**
+     * Build the preview of rows with a header row (from CSV or XLSX)
+     * 
+     * @param array $rows Rows of cells, the first one with the column headers
+     * @param string $field_key ACF field key
+     * @param int $preview_rows Number of rows to preview
+     * @param string $format File format shown in the preview
+     * @param array $options Preview options, see preview_csv_data()
+     * @return array Preview data
+     */
+    private function preview_table(array $rows, string $field_key, int $preview_rows, string $format, array $options = []): array
+    {
+        // Get field structure
+        $field_object = get_field_object($field_key);
+        if (!$field_object) {
             return [
-                'success' => true,
-                'headers' => $headers,
-                'preview_data' => $preview_data,
-                'total_rows' => count($csv_data) + 1, // +1 for the header we shifted
-                'field_mapping' => $field_mapping,
-                'format' => 'csv',
-                'field_type' => $field_object['type']
+                'success' => false,
+                'message' => 'Target field not found'
             ];
+        }
 
-        } catch (\Exception $e) {
-            Logger::log("CSV preview error: " . $e->getMessage(), 'ERROR');
-            Logger::log("Stack trace: " . $e->getTraceAsString(), 'ERROR');
+        Logger::log("Field type detected for preview: " . $field_object['type'], 'DEBUG');
+
+        // 🔥 NEW: Handle different field types
+        if (!in_array($field_object['type'], ['repeater', 'flexible_content'])) {
             return [
                 'success' => false,
-                'message' => 'Preview failed: ' . $e->getMessage()
+                'message' => 'Preview only supports repeater and flexible content fields'
             ];
         }
+
+        $import_summary = $this->get_import_summary($rows, $field_object, 'table', $options);
+
+        // Get headers
+        $headers = array_shift($rows);
+        Logger::log("Headers: " . implode(', ', $headers), 'DEBUG');
+
+        // Get preview rows
+        $preview_data = array_slice($rows, 0, $preview_rows);
+
+        // 🔥 NEW: Get field mapping based on field type
+        $field_mapping = [];
+        if ($field_object['type'] === 'repeater') {
+            if (isset($field_object['sub_fields'])) {
+                $field_mapping = $this->get_field_mapping($headers, $field_object['sub_fields']);
+            }
+        } elseif ($field_object['type'] === 'flexible_content') {
+            if (isset($field_object['layouts'])) {
+                $field_mapping = $this->get_flexible_field_mapping($headers, $field_object['layouts']);
+            }
+        }
+
+        Logger::log("Preview generated: " . count($preview_data) . " rows", 'DEBUG');
+
+        return [
+            'success' => true,
+            'headers' => $headers,
+            'preview_data' => $preview_data,
+            'total_rows' => count($rows) + 1, // +1 for the header we shifted
+            'field_mapping' => $this->apply_column_mapping($field_mapping, $options['column_mapping'] ?? null),
+            'import_summary' => $import_summary,
+            'mapping_targets' => $this->get_mapping_targets($field_object),
+            'mapping_presets' => $this->get_mapping_presets($field_key),
+            'format' => $format,
+            'field_type' => $field_object['type']
+        ];
+    }
+
+    /**
+     * Replace the suggested targets with the ones of the column mapping sent
+     * with the preview request, so a refreshed preview keeps the user's choices
+     * 
+     * @param array $field_mapping Suggested target of each column
+     * @param array|null $column_mapping Target of each column chosen by the user
+     * @return array Target of each column
+     */
+    private function apply_column_mapping(array $field_mapping, ?array $column_mapping): array
+    {
+        foreach ($field_mapping as $column => $target) {
+            if ($column_mapping !== null && array_key_exists($column, $column_mapping)) {
+                $field_mapping[$column] = $column_mapping[$column] !== '' ? $column_mapping[$column] : null;
+            }
+        }
+        return $field_mapping;
     }
 
+    /**
+     * Convert typed XLSX cells to the text a CSV file would contain, so both
+     * formats share the same field processing
+     * 
+     * @param array $rows Rows of cells from Xlsx_Reader
+     * @return array Rows of string cells
+     */
+    private function xlsx_cells_to_text(array $rows): array
+    {
+        return array_map(function ($row) {
+            return array_map(function ($cell) {
+                return is_bool($cell) ? ($cell ? 'TRUE' : 'FALSE') : (string) $cell;
+            }, $row);
+        }, $rows);
+    }
 
     /**
      * Preview JSON data before import - supports both Repeater and Flexible Content
+     * 
+     * @param string $file_path Path to the uploaded JSON file
+     * @param string $field_key ACF field key
+     * @param int $preview_rows Number of rows to preview (default: 5)
+     * @param array $options Preview options, see preview_csv_data()
+     * @return array Preview data
      */
-    public function preview_json_data(string $file_path, string $field_key, int $preview_rows = 5): array
+    public function preview_json_data(string $file_path, string $field_key, int $preview_rows = 5, array $options = []): array
     {
         try {
             Logger::log("Starting JSON preview for field: {$field_key}", 'DEBUG');
@@ -822,7 +1578,10 @@ class Import_Export_Manager
                 'headers' => $headers,
                 'preview_data' => $formatted_preview,
                 'total_rows' => count($json_data),
-                'field_mapping' => $field_mapping,
+                'field_mapping' => $this->apply_column_mapping($field_mapping, $options['column_mapping'] ?? null),
+                'import_summary' => $this->get_import_summary($json_data, $field_object, 'json', $options),
+                'mapping_targets' => $this->get_mapping_targets($field_object),
+                'mapping_presets' => $this->get_mapping_presets($field_key),
                 'format' => 'json',
                 'field_type' => $field_object['type']
             ];
@@ -856,13 +1615,14 @@ class Import_Export_Manager
             ];
         }
 
-        // Check file size
+        // Check file size; large files are imported in batches, so the upload limit is the only one
         $file_size = filesize($file_path);
-        if ($file_size > self::MAX_FILE_SIZE) {
+        $max_size = wp_max_upload_size();
+        if ($file_size > $max_size) {
             Logger::log("File too large: {$file_size} bytes", 'ERROR');
             return [
                 'success' => false,
-                'message' => 'File too large. Maximum size is ' . (self::MAX_FILE_SIZE / 1024 / 1024) . 'MB'
+                'message' => 'File too large. Maximum size is ' . size_format($max_size)
             ];
         }
 
@@ -906,9 +1666,10 @@ class Import_Export_Manager
      * 
      * @param array $csv_data Raw CSV data
      * @param array $field_object ACF field object
+     * @param array|null $column_mapping Target of each column (see get_mapping_targets()), or null to match columns by name
      * @return array Processed data
      */
-    private function process_csv_data(array $csv_data, array $field_object): array
+    private function process_csv_data(array $csv_data, array $field_object, ?array $column_mapping = null): array
     {
         Logger::log("Processing CSV data for field: " . $field_object['key'], 'DEBUG');
 
@@ -953,8 +1714,9 @@ class Import_Export_Manager
                 Logger::log("Processing column '{$header}' with value: " . print_r($value, true), 'DEBUG');
 
                 // Find matching sub-field
-                $sub_field = $this->find_sub_field($header, $sub_fields);
+                $sub_field = $this->find_mapped_sub_field((string) $header, $sub_fields, $column_mapping);
                 if ($sub_field) {
+                    $this->validate_cell($row_index + 1, (string) $header, $value, $sub_field);
                     $processed_value = $this->process_field_value($value, $sub_field);
                     $row_data[$sub_field['name']] = $processed_value;
                     Logger::log("Mapped {$header} -> {$sub_field['name']} = " . print_r($processed_value, true), 'DEBUG');
@@ -962,6 +1724,7 @@ class Import_Export_Manager
                     Logger::log("No matching sub-field found for: {$header}", 'DEBUG');
                 }
             }
+            $this->validate_required_fields($row_index + 1, $row_data, $sub_fields);
 
             if (!empty($row_data)) {
                 $processed_data[] = $row_data;
@@ -984,9 +1747,10 @@ class Import_Export_Manager
      * 
      * @param array $json_data Raw JSON data
      * @param array $field_object ACF field object
+     * @param array|null $column_mapping Target of each column (see get_mapping_targets()), or null to match columns by name
      * @return array Processed data
      */
-    private function process_json_data(array $json_data, array $field_object): array
+    private function process_json_data(array $json_data, array $field_object, ?array $column_mapping = null): array
     {
         Logger::log("Processing JSON data for field: " . $field_object['key'], 'DEBUG');
         if (empty($json_data)) {
@@ -1007,9 +1771,10 @@ class Import_Export_Manager
             Logger::log("Row data: " . print_r($row, true), 'DEBUG');
             foreach ($row as $field_name => $value) {
                 // Find matching sub-field
-                $sub_field = $this->find_sub_field($field_name, $sub_fields);
+                $sub_field = $this->find_mapped_sub_field((string) $field_name, $sub_fields, $column_mapping);
                 Logger::log("Processing field '{$field_name}' with value: " . print_r($value, true), 'DEBUG');
                 if ($sub_field) {
+                    $this->validate_cell((int) $row_index + 1, (string) $field_name, $value, $sub_field);
                     $processed_value = $this->process_field_value($value, $sub_field);
                     $row_data[$sub_field['name']] = $processed_value;
                     Logger::log("Processed value for '{$sub_field['name']}': " . print_r($processed_value, true), 'DEBUG');
@@ -1017,6 +1782,7 @@ class Import_Export_Manager
                 Logger::log("Processed field '{$field_name}' with value: " . print_r($value, true), 'DEBUG');
             }
             Logger::log("Row data after processing: " . print_r($row_data, true), 'DEBUG');
+            $this->validate_required_fields((int) $row_index + 1, $row_data, $sub_fields);
 
             if (!empty($row_data)) {
                 $processed_data[] = $row_data;
@@ -1031,6 +1797,97 @@ class Import_Export_Manager
         ];
     }
 
+    /**
+     * Find the sub-field a column is mapped to
+     * 
+     * Columns missing from the mapping are matched by name or label with
+     * find_sub_field(); columns mapped to an empty target are ignored.
+     * 
+     * @param string $column Column header or JSON key
+     * @param array $sub_fields Array of sub-fields
+     * @param array|null $column_mapping Target of each column (see get_mapping_targets()), or null to match columns by name
+     * @return array|null Sub-field array or null if the column is not imported
+     */
+    private function find_mapped_sub_field(string $column, array $sub_fields, ?array $column_mapping): ?array
+    {
+        if ($column_mapping === null || !array_key_exists($column, $column_mapping)) {
+            return $this->find_sub_field($column, $sub_fields);
+        }
+
+        $target = (string) $column_mapping[$column];
+        foreach ($sub_fields as $sub_field) {
+            if ($target !== '' && $sub_field['name'] === $target) {
+                return $sub_field;
+            }
+        }
+
+        Logger::log("Column '{$column}' is ignored by the column mapping", 'DEBUG');
+        return null;
+    }
+
+    /**
+     * Find the sub-field of a Flexible Content layout a column is mapped to
+     * 
+     * A target of "layout:name" only applies to rows of that layout; a plain
+     * sub-field name applies to every layout that has it. Columns missing
+     * from the mapping match by name, with or without a "layout_" prefix.
+     * 
+     * @param string $column Column header or JSON key
+     * @param array $layout Layout of the row
+     * @param array|null $column_mapping Target of each column (see get_mapping_targets()), or null to match columns by name
+     * @return array|null Sub-field array or null if the column is not imported for this layout
+     */
+    private function find_layout_sub_field(string $column, array $layout, ?array $column_mapping): ?array
+    {
+        if ($column_mapping === null || !array_key_exists($column, $column_mapping)) {
+            // Extract field name from header (remove layout prefix if present)
+            $names = [str_replace($layout['name'] . '_', '', $column), $column];
+        } else {
+            $target = (string) $column_mapping[$column];
+            if (strpos($target, ':') !== false) {
+                [$layout_name, $target] = explode(':', $target, 2);
+                if ($layout_name !== $layout['name']) {
+                    return null;
+                }
+            }
+            $names = [$target];
+        }
+
+        foreach ($layout['sub_fields'] ?? [] as $sub_field) {
+            if ($sub_field['name'] !== '' && in_array($sub_field['name'], $names, true)) {
+                return $sub_field;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the column holding the Flexible Content layout name
+     * 
+     * @param array $columns Column headers or JSON keys
+     * @param array|null $column_mapping Target of each column (see get_mapping_targets()), or null to match columns by name
+     * @return string|null The column, or null if there is none
+     */
+    private function find_layout_column(array $columns, ?array $column_mapping): ?string
+    {
+        if ($column_mapping !== null) {
+            foreach ($columns as $column) {
+                if (($column_mapping[$column] ?? null) === self::LAYOUT_COLUMN) {
+                    return (string) $column;
+                }
+            }
+        }
+
+        foreach ($columns as $column) {
+            if ($column === self::LAYOUT_COLUMN && ($column_mapping === null || !array_key_exists($column, $column_mapping))) {
+                return $column;
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Find sub-field by name or label
      * 
@@ -1170,54 +2027,274 @@ class Import_Export_Manager
                         return $choice_value;
                     }
                 }
-                return null;
+                return null;
+
+            case 'checkbox':
+                // Split by comma for multiple values
+                $values = array_map('trim', explode(',', $value));
+                $valid_values = [];
+
+                foreach ($values as $v) {
+                    if (isset($field['choices'][$v])) {
+                        $valid_values[] = $v;
+                    }
+                }
+
+                return $valid_values;
+
+            case 'image':
+            case 'file':
+                // Handle by attachment ID or URL
+                if (is_numeric($value)) {
+                    return (int) $value;
+                } elseif (filter_var($value, FILTER_VALIDATE_URL)) {
+                    return $this->sideload_attachments ? $this->import_attachment_from_url($value) : null;
+                }
+                return null;
+
+            case 'post_object':
+                // Handle by post ID or post title
+                if (is_numeric($value)) {
+                    return (int) $value;
+                } else {
+                    $post = get_page_by_title($value, OBJECT, $field['post_type']);
+                    return $post ? $post->ID : null;
+                }
+
+            case 'user':
+                // Handle by user ID, username, or email
+                if (is_numeric($value)) {
+                    return (int) $value;
+                } else {
+                    $user = get_user_by('login', $value) ?: get_user_by('email', $value);
+                    return $user ? $user->ID : null;
+                }
+
+            default:
+                return sanitize_text_field($value);
+        }
+    }
+
+    /**
+     * Add the problems of a cell to the dry run report
+     * 
+     * @param int $row_number Row of the file, the first row after the header being 1
+     * @param string $column Column header or JSON key
+     * @param mixed $value Raw value
+     * @param array $field Sub-field the column is imported into
+     */
+    private function validate_cell(int $row_number, string $column, $value, array $field): void
+    {
+        if ($this->validation_issues === null) {
+            return;
+        }
+
+        foreach ($this->get_value_issues($value, $field) as [$level, $message]) {
+            $this->add_validation_issue($row_number, $column, $field['name'], $value, $level, $message);
+        }
+    }
+
+    /**
+     * Report the required sub-fields a row has no column for
+     * 
+     * These are warnings rather than errors, since an upsert keeps the
+     * current value of the sub-fields missing from the file.
+     * 
+     * @param int $row_number Row of the file, the first row after the header being 1
+     * @param array $row_data Processed row, keyed by sub-field name
+     * @param array $sub_fields Sub-fields of the repeater or layout
+     */
+    private function validate_required_fields(int $row_number, array $row_data, array $sub_fields): void
+    {
+        if ($this->validation_issues === null) {
+            return;
+        }
+
+        foreach ($sub_fields as $sub_field) {
+            if (!empty($sub_field['required']) && !array_key_exists($sub_field['name'], $row_data)) {
+                $label = $sub_field['label'] ?: $sub_field['name'];
+                $this->add_validation_issue($row_number, '', $sub_field['name'], '', 'warning', "{$label} is required, but no column is imported into it");
+            }
+        }
+    }
+
+    /**
+     * Add an issue to the dry run report, when rows are being validated
+     * 
+     * @param int $row_number Row of the file, the first row after the header being 1
+     * @param string $column Column header or JSON key, empty for the whole row
+     * @param string $field_name Name of the sub-field
+     * @param mixed $value Raw value
+     * @param string $level 'error' when the import would drop or change the value, 'warning' otherwise
+     * @param string $message What is wrong, and what the import would do
+     */
+    private function add_validation_issue(int $row_number, string $column, string $field_name, $value, string $level, string $message): void
+    {
+        if ($this->validation_issues === null) {
+            return;
+        }
+
+        $this->validation_issues[] = [
+            'row' => $row_number,
+            'column' => $column,
+            'field' => $field_name,
+            'value' => is_scalar($value) || $value === null ? (string) $value : wp_json_encode($value),
+            'level' => $level,
+            'message' => $message
+        ];
+    }
+
+    /**
+     * Check a raw value against its sub-field definition
+     * 
+     * Mirrors process_field_value(): each check reports a value that
+     * method would silently drop or coerce.
+     * 
+     * @param mixed $value Raw value
+     * @param array $field Field configuration
+     * @return array List of [level, message] pairs
+     */
+    private function get_value_issues($value, array $field): array
+    {
+        $label = $field['label'] ?: $field['name'];
+
+        if (empty($value) && $value !== '0') {
+            return !empty($field['required']) ? [['error', "{$label} is required"]] : [];
+        }
+
+        if (!is_scalar($value)) {
+            return [['error', "{$label} takes a single value, not a list or object"]];
+        }
+
+        $value = (string) $value;
+
+        switch ($field['type']) {
+            case 'number':
+                if (!is_numeric($value)) {
+                    return [['error', "'{$value}' is not a number; it would be imported as 0"]];
+                }
+                if (isset($field['min']) && $field['min'] !== '' && (float) $value < (float) $field['min']) {
+                    return [['error', "{$value} is less than the minimum of {$field['min']}"]];
+                }
+                if (isset($field['max']) && $field['max'] !== '' && (float) $value > (float) $field['max']) {
+                    return [['error', "{$value} is more than the maximum of {$field['max']}"]];
+                }
+                return [];
+
+            case 'email':
+                return is_email(trim($value)) ? [] : [['error', "'{$value}' is not a valid email address"]];
+
+            case 'url':
+                return filter_var(trim($value), FILTER_VALIDATE_URL) ? [] : [['error', "'{$value}' is not a valid URL"]];
+
+            case 'date_picker':
+            case 'date_time_picker':
+            case 'time_picker':
+                $formats = ['date_picker' => 'Y-m-d', 'date_time_picker' => 'Y-m-d H:i:s', 'time_picker' => 'H:i:s'];
+                $timestamp = strtotime($value);
+                if ($timestamp === false) {
+                    return [['error', "'{$value}' is not a date or time PHP can read; it would be imported as " . date($formats[$field['type']], 0)]];
+                }
+                // strtotime() reads 01/02/2024 as January 2 and 01-02-2024 as February 1
+                if (preg_match('#^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}#', trim($value))) {
+                    return [['warning', "'{$value}' is ambiguous; it would be imported as " . date($formats[$field['type']], $timestamp) . ". Use YYYY-MM-DD"]];
+                }
+                return [];
+
+            case 'true_false':
+                if (!in_array(strtolower(trim($value)), ['true', '1', 'yes', 'tak', 'on', 'false', '0', 'no', 'nie', 'off'], true)) {
+                    return [['warning', "'{$value}' is not yes/no, true/false, on/off or 1/0; it would be imported as false"]];
+                }
+                return [];
+
+            case 'select':
+            case 'radio':
+                $choices = $field['choices'] ?? [];
+                if (isset($choices[$value]) || in_array($value, $choices, true)) {
+                    return [];
+                }
+                if ($field['type'] === 'radio' && !empty($field['other_choice'])) {
+                    return [];
+                }
+                return [['error', "'{$value}' is not one of the choices of {$label}" . ($field['type'] === 'select' ? '; it would be left empty' : '')]];
 
             case 'checkbox':
-                // Split by comma for multiple values
-                $values = array_map('trim', explode(',', $value));
-                $valid_values = [];
-
-                foreach ($values as $v) {
-                    if (isset($field['choices'][$v])) {
-                        $valid_values[] = $v;
+                $choices = $field['choices'] ?? [];
+                $issues = [];
+                foreach (array_map('trim', explode(',', $value)) as $choice) {
+                    if (isset($choices[$choice])) {
+                        continue;
                     }
+                    // Checkbox values are only matched by value, not by label
+                    $choice_value = array_search($choice, $choices, true);
+                    $issues[] = ['error', $choice_value !== false
+                        ? "'{$choice}' is the label of a choice; use its value '{$choice_value}' or it would be dropped"
+                        : "'{$choice}' is not one of the choices of {$label}; it would be dropped"];
                 }
-
-                return $valid_values;
+                return $issues;
 
             case 'image':
             case 'file':
-                // Handle by attachment ID or URL
                 if (is_numeric($value)) {
-                    return (int) $value;
-                } elseif (filter_var($value, FILTER_VALIDATE_URL)) {
-                    return $this->import_attachment_from_url($value);
+                    return get_post_type((int) $value) === 'attachment' ? [] : [['error', "There is no attachment with the ID {$value}"]];
                 }
-                return null;
-
-            case 'post_object':
-                // Handle by post ID or post title
-                if (is_numeric($value)) {
-                    return (int) $value;
-                } else {
-                    $post = get_page_by_title($value, OBJECT, $field['post_type']);
-                    return $post ? $post->ID : null;
+                if (!filter_var($value, FILTER_VALIDATE_URL)) {
+                    return [['error', "'{$value}' is neither an attachment ID nor a URL; it would be left empty"]];
                 }
-
-            case 'user':
-                // Handle by user ID, username, or email
-                if (is_numeric($value)) {
-                    return (int) $value;
-                } else {
-                    $user = get_user_by('login', $value) ?: get_user_by('email', $value);
-                    return $user ? $user->ID : null;
+                if (!$this->can_check_url($value)) {
+                    return [['warning', 'The URL was not checked, as the dry run ran out of time for URL checks']];
                 }
+                $reason = $this->check_url_reachable($value);
+                return $reason === null ? [] : [['error', "The file could not be downloaded ({$reason}); it would be left empty"]];
 
             default:
-                return sanitize_text_field($value);
+                return [];
         }
     }
 
+    /**
+     * Whether a URL was already checked or there is time left to check it
+     */
+    private function can_check_url(string $url): bool
+    {
+        return array_key_exists($url, $this->checked_urls)
+            || $this->url_check_deadline === null
+            || microtime(true) < $this->url_check_deadline;
+    }
+
+    /**
+     * Check that an image or file URL can be downloaded, the way
+     * media_sideload_image() would fetch it
+     * 
+     * Servers that refuse HEAD requests are asked for the first byte
+     * instead. Results are kept for the request, so a URL used in many
+     * rows is fetched once.
+     * 
+     * @param string $url Image/file URL
+     * @return string|null Why the URL cannot be downloaded, or null when it can
+     */
+    private function check_url_reachable(string $url): ?string
+    {
+        if (array_key_exists($url, $this->checked_urls)) {
+            return $this->checked_urls[$url];
+        }
+
+        $response = wp_safe_remote_head($url, ['timeout' => 5, 'redirection' => 3]);
+        if (!is_wp_error($response) && in_array(wp_remote_retrieve_response_code($response), [405, 501], true)) {
+            $response = wp_safe_remote_get($url, ['timeout' => 5, 'redirection' => 3, 'limit_response_size' => 1]);
+        }
+
+        if (is_wp_error($response)) {
+            $reason = $response->get_error_message();
+        } else {
+            $code = (int) wp_remote_retrieve_response_code($response);
+            $reason = $code >= 200 && $code < 300 ? null : "HTTP {$code}";
+        }
+
+        Logger::log("URL check for {$url}: " . ($reason ?? 'OK'), 'DEBUG');
+        return $this->checked_urls[$url] = $reason;
+    }
+
     /**
      * Generate CSV content from repeater data
      * 
@@ -1227,28 +2304,53 @@ class Import_Export_Manager
      */
     private function generate_csv_content(array $repeater_data, array $sub_fields): string
     {
-        $csv_content = '';
+        return $this->generate_csv_from_table($this->get_repeater_table($repeater_data, $sub_fields));
+    }
 
+    /**
+     * Build the rows of a repeater export, with "Label (name)" headers
+     * 
+     * @param array $repeater_data Repeater data
+     * @param array $sub_fields Sub-fields configuration
+     * @param bool $typed Keep numbers, booleans and dates typed (for XLSX)
+     * @return array Rows of cells, the header row first
+     */
+    private function get_repeater_table(array $repeater_data, array $sub_fields, bool $typed = false): array
+    {
         // Generate headers
         $headers = [];
         foreach ($sub_fields as $sub_field) {
             $headers[] = $sub_field['label'] . ' (' . $sub_field['name'] . ')';
         }
-        $csv_content .= implode(',', array_map([$this, 'escape_csv_value'], $headers)) . "\n";
+        $table = [$headers];
 
         // Generate data rows
         foreach ($repeater_data as $row) {
-            $csv_row = [];
+            $table_row = [];
 
             foreach ($sub_fields as $sub_field) {
                 $value = $row[$sub_field['name']] ?? '';
-                $formatted_value = $this->format_field_for_export($value, $sub_field);
-                $csv_row[] = $formatted_value;
+                $table_row[] = $typed ? $this->format_field_for_xlsx($value, $sub_field) : $this->format_field_for_export($value, $sub_field);
             }
 
-            $csv_content .= implode(',', array_map([$this, 'escape_csv_value'], $csv_row)) . "\n";
+            $table[] = $table_row;
         }
 
+        return $table;
+    }
+
+    /**
+     * Join table rows into CSV content
+     * 
+     * @param array $table Rows of string cells
+     * @return string CSV content
+     */
+    private function generate_csv_from_table(array $table): string
+    {
+        $csv_content = '';
+        foreach ($table as $row) {
+            $csv_content .= implode(',', array_map([$this, 'escape_csv_value'], $row)) . "\n";
+        }
         return $csv_content;
     }
 
@@ -1317,6 +2419,41 @@ class Import_Export_Manager
         return (string) $value;
     }
 
+    /**
+     * Format field value for XLSX export: numbers, booleans and dates keep
+     * their type so Excel can sort and calculate with them
+     * 
+     * @param mixed $value Field value
+     * @param array $field Field configuration
+     * @return mixed Cell value
+     */
+    private function format_field_for_xlsx($value, array $field)
+    {
+        switch ($field['type']) {
+            case 'number':
+                if (is_numeric($value)) {
+                    return $value + 0;
+                }
+                break;
+
+            case 'true_false':
+                return (bool) $value;
+
+            case 'date_picker':
+            case 'date_time_picker':
+                if (is_string($value) && $value !== '') {
+                    $default_format = $field['type'] === 'date_picker' ? 'd/m/Y' : 'd/m/Y g:i a';
+                    $date = \DateTime::createFromFormat('!' . ($field['return_format'] ?? $default_format), $value);
+                    if ($date) {
+                        return $date;
+                    }
+                }
+                break;
+        }
+
+        return $this->format_field_for_export($value, $field);
+    }
+
     /**
      * Process data for JSON export
      * 
@@ -1415,26 +2552,38 @@ class Import_Export_Manager
         $mapping = [];
 
         foreach ($headers as $header) {
-            $suggested_field = null;
-
-            foreach ($sub_fields as $sub_field) {
-                if ($sub_field['name'] === $header || $sub_field['label'] === $header) {
-                    $suggested_field = $sub_field['name'];
-                    break;
-                }
-            }
-
-            $mapping[$header] = $suggested_field;
+            // Suggest the sub-field the import matches when no mapping is sent
+            $sub_field = $this->find_sub_field((string) $header, $sub_fields);
+            $mapping[$header] = $sub_field ? $sub_field['name'] : null;
         }
 
         return $mapping;
     }
     /**
      * Enhanced save with multiple attempts
+     * 
+     * The imported rows replace the existing ones, are added after them, or
+     * update the existing rows with the same key sub-field value, depending
+     * on the mode.
+     * 
+     * @param string $field_key ACF field key
+     * @param array $data Processed rows
+     * @param int $post_id Post ID to update
+     * @param string $mode One of the MODE_* constants
+     * @param string $key_field Name of the sub-field matching rows in MODE_UPSERT
+     * @return array Result array with success status, message and row counts
      */
-    private function save_repeater_data(string $field_key, array $data, int $post_id): array
+    private function save_repeater_data(string $field_key, array $data, int $post_id, string $mode = self::MODE_REPLACE, string $key_field = ''): array
     {
-        Logger::log("Attempting to save " . count($data) . " rows to ACF repeater", 'DEBUG');
+        $field_object = acf_get_field($field_key);
+        $merge = $this->merge_rows($field_object ? $this->get_existing_rows($field_object, $post_id) : [], $data, $mode, $key_field);
+        if (!$merge['success']) {
+            return $merge;
+        }
+        $summary = $merge['summary'];
+        $data = $merge['rows'];
+
+        Logger::log("Attempting to save " . count($data) . " rows to ACF repeater ({$mode} mode)", 'DEBUG');
         Logger::log("Raw data structure: " . print_r($data, true), 'DEBUG');
 
         // Method 1: Try standard update_field
@@ -1489,17 +2638,19 @@ class Import_Export_Manager
         Logger::log("Verification data: " . print_r($verification_data, true), 'DEBUG');
 
         if ($verification_count === count($data)) {
-            return [
+            return array_merge($summary, [
                 'success' => true,
                 'imported_rows' => $verification_count,
-                'message' => sprintf('Successfully imported %d rows', $verification_count)
-            ];
+                'message' => $mode === self::MODE_REPLACE
+                    ? sprintf('Successfully imported %d rows', $verification_count)
+                    : sprintf('Successfully imported: %d rows added, %d updated, %d unchanged', $summary['added'], $summary['updated'], $summary['unchanged'])
+            ]);
         } else if ($verification_count > 0) {
-            return [
+            return array_merge($summary, [
                 'success' => true,
                 'imported_rows' => $verification_count,
                 'message' => sprintf('Partially imported %d of %d rows', $verification_count, count($data))
-            ];
+            ]);
         } else {
             return [
                 'success' => false,
@@ -1508,6 +2659,186 @@ class Import_Export_Manager
         }
     }
 
+    /**
+     * Combine the existing rows of a field with the imported ones
+     * 
+     * In MODE_UPSERT an imported row whose key sub-field matches an existing
+     * row updates that row (sub-fields missing from the import keep their
+     * value); rows without a match, or without a key value, are added.
+     * 
+     * @param array $existing Existing rows, keyed by sub-field name
+     * @param array $imported Processed rows
+     * @param string $mode One of the MODE_* constants
+     * @param string $key_field Name of the sub-field matching rows in MODE_UPSERT
+     * @return array Result with the rows to save and the added, updated, unchanged and removed counts
+     */
+    private function merge_rows(array $existing, array $imported, string $mode, string $key_field): array
+    {
+        switch ($mode) {
+            case self::MODE_REPLACE:
+                return [
+                    'success' => true,
+                    'rows' => $imported,
+                    'summary' => ['added' => count($imported), 'updated' => 0, 'unchanged' => 0, 'removed' => count($existing)]
+                ];
+
+            case self::MODE_APPEND:
+                return [
+                    'success' => true,
+                    'rows' => array_merge($existing, $imported),
+                    'summary' => ['added' => count($imported), 'updated' => 0, 'unchanged' => count($existing), 'removed' => 0]
+                ];
+
+            case self::MODE_UPSERT:
+                if ($key_field === '') {
+                    return [
+                        'success' => false,
+                        'message' => 'Choose the key sub-field used to match rows'
+                    ];
+                }
+                break;
+
+            default:
+                return [
+                    'success' => false,
+                    'message' => 'Unsupported import mode: ' . $mode
+                ];
+        }
+
+        // Index the existing rows by key value
+        $rows = $existing;
+        $index = [];
+        foreach ($rows as $row_index => $row) {
+            $key = $this->get_row_key($row, $key_field);
+            if ($key !== '' && !isset($index[$key])) {
+                $index[$key] = $row_index;
+            }
+        }
+
+        $added = 0;
+        $updated_rows = [];
+        foreach ($imported as $row) {
+            $key = $this->get_row_key($row, $key_field);
+
+            if ($key === '' || !isset($index[$key])) {
+                $rows[] = $row;
+                $added++;
+                if ($key !== '') {
+                    $index[$key] = array_key_last($rows);
+                }
+                continue;
+            }
+
+            $row_index = $index[$key];
+            $same_layout = ($rows[$row_index][self::LAYOUT_COLUMN] ?? null) === ($row[self::LAYOUT_COLUMN] ?? null);
+            $rows[$row_index] = $same_layout ? array_merge($rows[$row_index], $row) : $row;
+
+            // Rows added by this import are not counted as updated
+            if ($row_index < count($existing)) {
+                $updated_rows[$row_index] = true;
+            }
+        }
+
+        Logger::log("Upsert by '{$key_field}': {$added} added, " . count($updated_rows) . " updated", 'DEBUG');
+
+        return [
+            'success' => true,
+            'rows' => array_values($rows),
+            'summary' => [
+                'added' => $added,
+                'updated' => count($updated_rows),
+                'unchanged' => count($existing) - count($updated_rows),
+                'removed' => 0
+            ]
+        ];
+    }
+
+    /**
+     * Value of the key sub-field of a row, as compared in MODE_UPSERT
+     */
+    private function get_row_key(array $row, string $key_field): string
+    {
+        $value = $row[$key_field] ?? '';
+        return is_scalar($value) ? trim((string) $value) : '';
+    }
+
+    /**
+     * Read the stored rows of a field, unformatted, keyed by sub-field name
+     * like the processed import rows
+     * 
+     * @param array $field_object ACF field object
+     * @param int $post_id Post ID to read from
+     * @return array Existing rows
+     */
+    private function get_existing_rows(array $field_object, int $post_id): array
+    {
+        $rows = get_field($field_object['key'], $post_id, false);
+        if (!is_array($rows)) {
+            return [];
+        }
+
+        // Unformatted rows are keyed by sub-field key
+        $names = [];
+        $sub_fields = $field_object['sub_fields'] ?? [];
+        foreach ($field_object['layouts'] ?? [] as $layout) {
+            $sub_fields = array_merge($sub_fields, $layout['sub_fields'] ?? []);
+        }
+        foreach ($sub_fields as $sub_field) {
+            $names[$sub_field['key']] = $sub_field['name'];
+        }
+
+        $existing = [];
+        foreach ($rows as $row) {
+            $named_row = [];
+            foreach ((array) $row as $key => $value) {
+                $named_row[$names[$key] ?? $key] = $value;
+            }
+            $existing[] = $named_row;
+        }
+
+        return $existing;
+    }
+
+    /**
+     * Count the rows an import would add, update and leave unchanged, for the preview
+     * 
+     * Rows are processed like the import does, without downloading images
+     * or files.
+     * 
+     * @param array $rows Rows of a CSV or XLSX table (header row first), or JSON objects
+     * @param array $field_object ACF field object
+     * @param string $source 'table' or 'json'
+     * @param array $options Preview options, see preview_csv_data()
+     * @return array|null Row counts, an array with an 'error' message when the rows cannot be merged, or null without a post
+     */
+    private function get_import_summary(array $rows, array $field_object, string $source, array $options): ?array
+    {
+        $post_id = (int) ($options['post_id'] ?? 0);
+        if (!$post_id) {
+            return null;
+        }
+
+        $this->sideload_attachments = false;
+        try {
+            $processed_data = $this->process_rows($rows, $field_object, $source, $options['column_mapping'] ?? null);
+        } finally {
+            $this->sideload_attachments = true;
+        }
+
+        if (!$processed_data['success']) {
+            return null;
+        }
+
+        $merge = $this->merge_rows(
+            $this->get_existing_rows($field_object, $post_id),
+            $processed_data['data'],
+            $options['mode'] ?? self::MODE_REPLACE,
+            $options['key_field'] ?? ''
+        );
+
+        return $merge['success'] ? $merge['summary'] : ['error' => $merge['message']];
+    }
+
     private function get_flexible_field_mapping(array $headers, array $layouts): array
     {
         Logger::log("Getting flexible field mapping for " . count($headers) . " headers and " . count($layouts) . " layouts", 'DEBUG');
@@ -1530,26 +2861,30 @@ class Import_Export_Manager
             $suggested_field = null;
 
             // Special handling for layout column
-            if ($header === 'acf_fc_layout') {
-                $suggested_field = 'acf_fc_layout';
+            if ($header === self::LAYOUT_COLUMN) {
+                $suggested_field = self::LAYOUT_COLUMN;
             } else {
-                // Try to match with sub-fields
-                foreach ($all_sub_fields as $sub_field) {
-                    // Direct match
-                    if ($sub_field['name'] === $header || $sub_field['label'] === $header) {
-                        $suggested_field = $sub_field['name'];
-                        break;
+                // Try with layout prefix removed (e.g., "tresc_tekst" -> "tekst"); only rows of that layout use it
+                foreach ($layouts as $layout) {
+                    $layout_prefix = $layout['name'] . '_';
+                    if (strpos($header, $layout_prefix) !== 0) {
+                        continue;
+                    }
+                    $field_name = substr($header, strlen($layout_prefix));
+                    foreach ($layout['sub_fields'] ?? [] as $sub_field) {
+                        if ($sub_field['name'] === $field_name) {
+                            $suggested_field = $layout['name'] . ':' . $sub_field['name'];
+                            break 2;
+                        }
                     }
+                }
 
-                    // Try with layout prefix removed (e.g., "tresc_tekst" -> "tekst")
-                    foreach ($layouts as $layout) {
-                        $layout_prefix = $layout['name'] . '_';
-                        if (strpos($header, $layout_prefix) === 0) {
-                            $field_name = str_replace($layout_prefix, '', $header);
-                            if ($sub_field['name'] === $field_name) {
-                                $suggested_field = $sub_field['name'];
-                                break 2;
-                            }
+                // Direct match, used by every layout with that sub-field
+                if ($suggested_field === null) {
+                    foreach ($all_sub_fields as $sub_field) {
+                        if ($sub_field['name'] === $header || $sub_field['label'] === $header) {
+                            $suggested_field = $sub_field['name'];
+                            break;
                         }
                     }
                 }
@@ -1561,4 +2896,136 @@ class Import_Export_Manager
 
         return $mapping;
     }
+
+    /**
+     * List the targets a column can be mapped to, for the mapping step of the preview
+     * 
+     * Repeater columns map to a sub-field name. Flexible Content columns map
+     * to acf_fc_layout, to "layout:name" (only rows of that layout) or to a
+     * sub-field name shared by every layout that has it. An empty target
+     * ignores the column.
+     * 
+     * @param array $field_object ACF field object
+     * @return array List of targets with value, label and group
+     */
+    private function get_mapping_targets(array $field_object): array
+    {
+        $targets = [];
+
+        if ($field_object['type'] === 'repeater') {
+            foreach ($field_object['sub_fields'] ?? [] as $sub_field) {
+                $targets[] = [
+                    'value' => $sub_field['name'],
+                    'label' => $sub_field['label'] . ' (' . $sub_field['name'] . ')',
+                    'group' => ''
+                ];
+            }
+            return $targets;
+        }
+
+        $targets[] = [
+            'value' => self::LAYOUT_COLUMN,
+            'label' => 'Layout (' . self::LAYOUT_COLUMN . ')',
+            'group' => ''
+        ];
+
+        $shared_fields = [];
+        foreach ($field_object['layouts'] ?? [] as $layout) {
+            foreach ($layout['sub_fields'] ?? [] as $sub_field) {
+                $targets[] = [
+                    'value' => $layout['name'] . ':' . $sub_field['name'],
+                    'label' => $sub_field['label'] . ' (' . $sub_field['name'] . ')',
+                    'group' => $layout['label'] ?: $layout['name']
+                ];
+                $shared_fields[$sub_field['name']] = $sub_field['label'];
+            }
+        }
+
+        foreach ($shared_fields as $name => $label) {
+            $targets[] = [
+                'value' => $name,
+                'label' => $label . ' (' . $name . ')',
+                'group' => 'Any layout'
+            ];
+        }
+
+        return $targets;
+    }
+
+    /**
+     * Get the saved column mapping presets of a field
+     * 
+     * @param string $field_key ACF field key of the target field
+     * @return array Mappings keyed by preset name
+     */
+    public function get_mapping_presets(string $field_key): array
+    {
+        $presets = get_option(self::MAPPING_PRESETS_OPTION, []);
+        return is_array($presets[$field_key] ?? null) ? $presets[$field_key] : [];
+    }
+
+    /**
+     * Save a column mapping as a preset of a field, replacing one with the same name
+     * 
+     * @param string $field_key ACF field key of the target field
+     * @param string $name Preset name
+     * @param array $column_mapping Target of each column
+     * @return array Result array with success status, message and the presets of the field
+     */
+    public function save_mapping_preset(string $field_key, string $name, array $column_mapping): array
+    {
+        if ($name === '' || empty($column_mapping)) {
+            return [
+                'success' => false,
+                'message' => 'A preset needs a name and a column mapping'
+            ];
+        }
+
+        $presets = get_option(self::MAPPING_PRESETS_OPTION, []);
+        if (!is_array($presets)) {
+            $presets = [];
+        }
+        $presets[$field_key][$name] = $column_mapping;
+        update_option(self::MAPPING_PRESETS_OPTION, $presets, false);
+
+        Logger::log("Mapping preset '{$name}' saved for field {$field_key}", 'INFO');
+
+        return [
+            'success' => true,
+            'message' => "Preset '{$name}' saved",
+            'presets' => $presets[$field_key]
+        ];
+    }
+
+    /**
+     * Delete a column mapping preset of a field
+     * 
+     * @param string $field_key ACF field key of the target field
+     * @param string $name Preset name
+     * @return array Result array with success status, message and the presets of the field
+     */
+    public function delete_mapping_preset(string $field_key, string $name): array
+    {
+        $presets = get_option(self::MAPPING_PRESETS_OPTION, []);
+        if (!is_array($presets) || !isset($presets[$field_key][$name])) {
+            return [
+                'success' => false,
+                'message' => "Preset '{$name}' not found"
+            ];
+        }
+
+        unset($presets[$field_key][$name]);
+        if (empty($presets[$field_key])) {
+            unset($presets[$field_key]);
+        }
+        update_option(self::MAPPING_PRESETS_OPTION, $presets, false);
+
+        Logger::log("Mapping preset '{$name}' deleted for field {$field_key}", 'INFO');
+
+        return [
+            'success' => true,
+            'message' => "Preset '{$name}' deleted",
+            'presets' => $presets[$field_key] ?? []
+        ];
+    }
 }
@@ -51,6 +51,10 @@ final class Plugin
         // Initialize components that add hooks.
         $this->init_components();
         add_action('save_post', [$this, 'clear_post_cache']);
+        // %option:%, %term:% and %author:% values change outside of posts too
+        add_action('acf/save_post', [$this->cache_manager, 'clear_all'], 10, 0);
+        add_action('edited_term', [$this->cache_manager, 'clear_all'], 10, 0);
+        add_action('profile_update', [$this->cache_manager, 'clear_all'], 10, 0);
     }
 
     /**
@@ -65,15 +69,19 @@ final class Plugin
         }
 
         add_action('acf/include_field_types', [$this, 'register_acf_field_types']);
+        add_action('init', [\DataEngine\Engine\Partials::class, 'register_post_type']);
         new \DataEngine\Core\Ajax_Handlers();
 
         add_action('wp_ajax_data_engine_get_data_dictionary', [$this, 'admin_ajax_get_data_dictionary']);
+        add_action('wp_ajax_data_engine_render_preview', [$this, 'admin_ajax_render_preview']);
+        add_action('wp_ajax_data_engine_inspect_tag', [$this, 'admin_ajax_inspect_tag']);
 
         add_action('elementor/elements/categories_registered', [$this, 'register_widget_category']);
         add_action('elementor/widgets/register', [$this, 'register_widgets']);
         add_action('elementor/editor/after_enqueue_scripts', [$this, 'enqueue_editor_scripts']);
 
         add_action('wp_loaded', [$this, 'schedule_cleanup']);
+        add_action('wp_loaded', [$this, 'register_source_cache_hooks']);
     }
 
     /**
@@ -128,6 +136,19 @@ final class Plugin
         $this->cache_manager->clear_all();
     }
 
+    /**
+     * Clears the cache on the hooks custom sources list in 'clear_cache_on'.
+     * Runs on wp_loaded, once sources registered on plugins_loaded or init exist.
+     *
+     * @since 1.2.0
+     */
+    public function register_source_cache_hooks(): void
+    {
+        foreach (\DataEngine\Engine\Sources::get_cache_hooks() as $hook) {
+            add_action($hook, [$this->cache_manager, 'clear_all'], 10, 0);
+        }
+    }
+
     // !EDYTOR
 
     public function enqueue_editor_scripts(): void
@@ -194,6 +215,12 @@ final class Plugin
             return;
         }
 
+        // The dictionary lists the post's field values, so the user must be allowed to edit that post.
+        if (!current_user_can('edit_post', $post_id)) {
+            wp_send_json_error(['message' => 'Insufficient permissions to read the fields of this post.']);
+            return;
+        }
+
         // Log context information for debugging
         $template_id = !empty($_POST['template_id']) ? absint($_POST['template_id']) : 0;
         $is_preview = !empty($_POST['is_preview']) ? 'true' : 'false';
@@ -202,11 +229,15 @@ final class Plugin
         $repeater_context_field = isset($_POST['repeater_context_field']) ? sanitize_text_field($_POST['repeater_context_field']) : null;
 
         $dictionary = [
+            'sources' => $this->get_sources_for_editor(),
             'post' => $this->data_provider->get_all_post_fields_for_editor(),
             'acf' => [],
             'sub' => [],
-            'filters' => $this->get_available_filters()
+            'filters' => \DataEngine\Engine\Filters::get_definitions(),
+            'partials' => \DataEngine\Engine\Partials::get_definitions(),
         ];
+        $dictionary += $this->data_provider->get_source_fields_for_editor();
+        $dictionary += \DataEngine\Engine\Sources::get_fields_for_editor();
 
         // 🔥 FIX: Enhanced ACF field detection for field groups
         $fields = [];
@@ -231,22 +262,10 @@ final class Plugin
                 foreach ($group_fields as $field) {
                     // Add field if not already present (from field objects)
                     if (!isset($fields[$field['name']])) {
-                        $fields[$field['name']] = [
-                            'name' => $field['name'],
-                            'label' => $field['label'],
-                            'type' => $field['type'],
-                            'key' => $field['key'],
-                            'value' => null // Field from group, no value yet
-                        ];
-
-                        // Add sub_fields for repeater
-                        if ($field['type'] === 'repeater' && !empty($field['sub_fields'])) {
-                            $fields[$field['name']]['sub_fields'] = $field['sub_fields'];
-                        }
-                        // Add layouts for flexible content
-                        elseif ($field['type'] === 'flexible_content' && !empty($field['layouts'])) {
-                            $fields[$field['name']]['layouts'] = $field['layouts'];
-                        }
+                        // Keep the whole field array: its settings (sub_fields, layouts,
+                        // choices, multiple, return_format) describe the dictionary schema.
+                        $fields[$field['name']] = $field;
+                        $fields[$field['name']]['value'] = null; // Field from group, no value yet
 
                         \DataEngine\Utils\Logger::log('Added field from group: ' . $field['name'] . ' (type: ' . $field['type'] . ')');
                     } else {
@@ -268,18 +287,7 @@ final class Plugin
 
                     if ($group_fields) {
                         foreach ($group_fields as $field) {
-                            $fields[$field['name']] = [
-                                'name' => $field['name'],
-                                'label' => $field['label'],
-                                'type' => $field['type'],
-                                'key' => $field['key']
-                            ];
-
-                            if ($field['type'] === 'repeater' && !empty($field['sub_fields'])) {
-                                $fields[$field['name']]['sub_fields'] = $field['sub_fields'];
-                            } elseif ($field['type'] === 'flexible_content' && !empty($field['layouts'])) {
-                                $fields[$field['name']]['layouts'] = $field['layouts'];
-                            }
+                            $fields[$field['name']] = $field;
                         }
                     }
                 }
@@ -292,62 +300,11 @@ final class Plugin
         // Process fields for dictionary
         if ($fields) {
             foreach ($fields as $field) {
-                if ($field['type'] === 'repeater')
-                    continue;
-
-                $field_data = [
-                    'name' => $field['name'],
-                    'label' => $field['label'],
-                    'type' => $field['type'],
-                    'properties' => []
-                ];
-
-                switch ($field['type']) {
-                    case 'taxonomy':
-                        $field_data['properties'] = [
-                            ['name' => 'term_id', 'label' => 'Term ID'],
-                            ['name' => 'name', 'label' => 'Term Name'],
-                            ['name' => 'slug', 'label' => 'Term Slug'],
-                            ['name' => 'taxonomy', 'label' => 'Taxonomy Name'],
-                        ];
-                        break;
-                    case 'image':
-                    case 'file':
-                        $field_data['properties'] = [
-                            ['name' => 'url', 'label' => 'URL'],
-                            ['name' => 'alt', 'label' => 'Alt Text'],
-                            ['name' => 'title', 'label' => 'Title'],
-                            ['name' => 'ID', 'label' => 'Attachment ID'],
-                        ];
-                        break;
-                    case 'post_object':
-                    case 'page_link':
-                        $field_data['properties'] = [
-                            ['name' => 'ID', 'label' => 'Post ID'],
-                            ['name' => 'post_title', 'label' => 'Post Title'],
-                            ['name' => 'permalink', 'label' => 'Permalink'],
-                        ];
-                        break;
-                    case 'user':
-                        $field_data['properties'] = [
-                            ['name' => 'ID', 'label' => 'User ID'],
-                            ['name' => 'display_name', 'label' => 'Display Name'],
-                            ['name' => 'user_email', 'label' => 'User Email'],
-                        ];
-                        break;
-                    case 'icon_picker':
-                        $field_data['properties'] = [
-                            ['name' => 'class', 'label' => 'Icon CSS Class'],
-                            ['name' => 'url', 'label' => 'Icon URL'],
-                            ['name' => 'type', 'label' => 'Icon Type'],
-                        ];
-                        break;
-                }
-                $dictionary['acf'][] = $field_data;
+                $dictionary['acf'][] = $this->data_provider->describe_field_for_editor($field);
             }
         }
 
-        // Handle repeater context (unchanged)
+        // Handle repeater context: %sub: tags read the fields of one row
         if ($repeater_context_field) {
             $repeater_field_object = null;
 
@@ -357,58 +314,13 @@ final class Plugin
                 $repeater_field_object = acf_get_field($repeater_context_field);
             }
 
-            if ($repeater_field_object && $repeater_field_object['type'] === 'repeater' && !empty($repeater_field_object['sub_fields'])) {
-                foreach ($repeater_field_object['sub_fields'] as $sub_field) {
-                    $sub_field_data = [
-                        'name' => $sub_field['name'],
-                        'label' => $sub_field['label'],
-                        'type' => $sub_field['type'],
-                        'properties' => []
-                    ];
-
-                    switch ($sub_field['type']) {
-                        case 'taxonomy':
-                            $sub_field_data['properties'] = [
-                                ['name' => 'term_id', 'label' => 'Term ID'],
-                                ['name' => 'name', 'label' => 'Term Name'],
-                                ['name' => 'slug', 'label' => 'Term Slug'],
-                                ['name' => 'taxonomy', 'label' => 'Taxonomy Name'],
-                            ];
-                            break;
-                        case 'image':
-                        case 'file':
-                            $sub_field_data['properties'] = [
-                                ['name' => 'url', 'label' => 'URL'],
-                                ['name' => 'alt', 'label' => 'Alt Text'],
-                                ['name' => 'title', 'label' => 'Title'],
-                                ['name' => 'ID', 'label' => 'Attachment ID'],
-                            ];
-                            break;
-                        case 'post_object':
-                        case 'page_link':
-                            $sub_field_data['properties'] = [
-                                ['name' => 'ID', 'label' => 'Post ID'],
-                                ['name' => 'post_title', 'label' => 'Post Title'],
-                                ['name' => 'permalink', 'label' => 'Permalink'],
-                            ];
-                            break;
-                        case 'user':
-                            $sub_field_data['properties'] = [
-                                ['name' => 'ID', 'label' => 'User ID'],
-                                ['name' => 'display_name', 'label' => 'Display Name'],
-                                ['name' => 'user_email', 'label' => 'User Email'],
-                            ];
-                            break;
-                        case 'icon_picker':
-                            $sub_field_data['properties'] = [
-                                ['name' => 'class', 'label' => 'Icon CSS Class'],
-                                ['name' => 'url', 'label' => 'Icon URL'],
-                                ['name' => 'type', 'label' => 'Icon Type'],
-                            ];
-                            break;
-                    }
+            if ($repeater_field_object && in_array($repeater_field_object['type'], ['repeater', 'flexible_content'], true)) {
+                $row = $this->data_provider->describe_field_for_editor($repeater_field_object)['items'];
+                $dictionary['sub'] = $row['properties'];
 
-                    $dictionary['sub'][] = $sub_field_data;
+                // Flexible Content: the fields of each layout, for [layout:name] blocks
+                if (isset($row['layouts'])) {
+                    $dictionary['layouts'] = $row['layouts'];
                 }
             }
         }
@@ -424,86 +336,134 @@ final class Plugin
         wp_send_json_success($dictionary);
     }
 
-    private function get_available_filters(): array
+    /**
+     * Lists the tag sources for the editor, in the order autocompletion
+     * offers them.
+     *
+     * @return array<int, array{name: string, label: string}>
+     */
+    private function get_sources_for_editor(): array
+    {
+        $sources = [];
+        foreach (\DataEngine\Engine\Data_Provider::SOURCES as $name => $label) {
+            $sources[] = ['name' => $name, 'label' => $label];
+        }
+        array_push($sources, ...\DataEngine\Engine\Sources::get_definitions());
+        $sources[] = ['name' => 'sub', 'label' => 'Fields of the repeater row'];
+
+        return $sources;
+    }
+
+    /**
+     * Renders the template from the Live Editor for its preview pane.
+     *
+     * Goes through the same Parser calls as the widgets and sanitizes with
+     * the kses profile selected in the widget (kses_profile). Templates using
+     * %sub: tags or [layout:] blocks are rendered against one row of the
+     * repeater, chosen with row_index.
+     */
+    public function admin_ajax_render_preview(): void
+    {
+        $context = $this->get_preview_request_context();
+        $template = isset($_POST['template']) ? (string) wp_unslash($_POST['template']) : '';
+
+        $profile = isset($_POST['kses_profile']) ? sanitize_key($_POST['kses_profile']) : '';
+
+        $result = $this->render_preview_template($template, $context);
+        $result['html'] = \DataEngine\Engine\Kses_Profiles::sanitize($result['html'], $profile);
+
+        wp_send_json_success($result);
+    }
+
+    /**
+     * Resolves a single tag for the Live Editor hover tooltip: its value
+     * as rendered without filters, and after its filter chain.
+     */
+    public function admin_ajax_inspect_tag(): void
     {
+        $context = $this->get_preview_request_context();
+        $tag = isset($_POST['tag']) ? (string) wp_unslash($_POST['tag']) : '';
+
+        if (!preg_match('/^%([a-zA-Z_][a-zA-Z0-9_]*):([a-zA-Z0-9_.-]+)(?:\s*\|[^%]*)?%$/', $tag, $matches)) {
+            wp_send_json_error(['message' => 'Not a DataEngine tag.']);
+            return;
+        }
+
+        $unfiltered = $this->render_preview_template("%{$matches[1]}:{$matches[2]}%", $context);
+        $filtered = $this->render_preview_template($tag, $context);
+
+        wp_send_json_success([
+            'value' => $unfiltered['html'],
+            'filtered' => $filtered['html'],
+            'rows' => $filtered['rows'],
+            'row' => $filtered['row'],
+        ]);
+    }
+
+    /**
+     * Checks the nonce and permissions of a preview request and reads the
+     * post and repeater row it should be rendered for. Ends the request
+     * with an error response when the check fails.
+     *
+     * @return array{post_id: int, repeater_field: string, row_index: int}
+     */
+    private function get_preview_request_context(): array
+    {
+        check_ajax_referer('data-engine-editor-nonce', 'nonce');
+
+        if (!current_user_can('edit_posts')) {
+            wp_send_json_error(['message' => 'Insufficient permissions to render the preview.']);
+        }
+
+        $post_id = absint($_POST['context_post_id'] ?? 0);
+        if (!$post_id) {
+            wp_send_json_error(['message' => 'Could not determine context.']);
+        }
+
+        // Rendering reads the post's fields, so the user must be allowed to edit that post.
+        if (!current_user_can('edit_post', $post_id)) {
+            wp_send_json_error(['message' => 'Insufficient permissions to render the preview for this post.']);
+        }
+
         return [
-            [
-                'name' => 'uppercase',
-                'label' => 'Convert to uppercase',
-                'description' => 'Converts text to uppercase letters',
-                'args' => []
-            ],
-            [
-                'name' => 'lowercase',
-                'label' => 'Convert to lowercase',
-                'description' => 'Converts text to lowercase letters',
-                'args' => []
-            ],
-            [
-                'name' => 'truncate',
-                'label' => 'Truncate text',
-                'description' => 'Limits text to specified length',
-                'args' => [
-                        ['name' => 'length', 'type' => 'number', 'default' => 100]
-                    ]
-            ],
-            [
-                'name' => 'date_format',
-                'label' => 'Format date',
-                'description' => 'Formats date according to PHP date format',
-                'args' => [
-                        ['name' => 'format', 'type' => 'string', 'default' => 'Y-m-d']
-                    ]
-            ],
-            [
-                'name' => 'strip_tags',
-                'label' => 'Strip HTML tags',
-                'description' => 'Removes HTML tags from text',
-                'args' => []
-            ],
-            [
-                'name' => 'limit',
-                'label' => 'Limit terms',
-                'description' => 'limits the number of terms in taxonomy displayed',
-                'args' => [
-                        ['name' => 'limit', 'type' => 'number', 'default' => 10]
-                    ]
-            ],
-            [
-                'name' => 'exclude',
-                'label' => 'Exclude terms',
-                'description' => 'excludes specific terms by IDs',
-                'args' => [
-                        ['name' => 'ids', 'type' => 'string', 'default' => '']
-                    ]
-            ],
-            [
-                'name' => 'separator',
-                'label' => 'Change separator',
-                'description' => 'changes the separator between terms',
-                'args' => [
-                        ['name' => 'separator', 'type' => 'string', 'default' => '" / "']
-                    ]
-            ],
-            [
-                'name' => 'wrap',
-                'label' => 'Wrap text',
-                'description' => 'wraps text in specified HTML tags',
-                'args' => [
-                        ['name' => 'prefix', 'type' => 'string', 'default' => '<span>'],
-                        ['name' => 'suffix', 'type' => 'string', 'default' => '</span>']
-                    ]
-            ],
-            [
-                'name' => 'sort',
-                'label' => 'Sort terms',
-                'description' => 'sorts taxonomy terms by specified property',
-                'args' => [
-                        ['name' => 'sort by', 'type' => 'string', 'default' => 'name']
-                    ]
-            ]
+            'post_id' => $post_id,
+            'repeater_field' => sanitize_text_field($_POST['repeater_context_field'] ?? ''),
+            'row_index' => absint($_POST['row_index'] ?? 0),
         ];
     }
+
+    /**
+     * Runs a template through the Parser for the given preview context.
+     *
+     * @return array{html: string, rows: ?int, row: int} The unsanitized output,
+     *   plus the repeater row count (null when no row was used) and the row used.
+     */
+    private function render_preview_template(string $template, array $context): array
+    {
+        $row_index = $context['row_index'];
+
+        if ($context['repeater_field'] === '' || (strpos($template, '%sub:') === false && strpos($template, '[layout:') === false)) {
+            return [
+                'html' => $this->parser->process($template, $context['post_id']),
+                'rows' => null,
+                'row' => $row_index,
+            ];
+        }
+
+        $repeater_data = get_field($context['repeater_field'], $context['post_id']);
+        $repeater_data = is_array($repeater_data) ? array_values($repeater_data) : [];
+        $rows = count($repeater_data);
+        $row_index = min($row_index, max(0, $rows - 1));
+
+        return [
+            'html' => $rows > 0
+                ? $this->parser->process_loop_item($template, $repeater_data[$row_index], $context['post_id'], get_field_object($context['repeater_field'], $context['post_id']) ?: null)
+                : '',
+            'rows' => $rows,
+            'row' => $row_index,
+        ];
+    }
+
     public function register_acf_field_types(): void
     {
         if (class_exists('acf_field')) {
@@ -522,6 +482,7 @@ final class Plugin
     {
         $ajax_handlers = new \DataEngine\Core\Ajax_Handlers();
         $ajax_handlers->cleanup_temp_files();
+        (new Import_Export_Manager())->cleanup_import_jobs();
     }
 
 }
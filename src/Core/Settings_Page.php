@@ -99,6 +99,37 @@ class Settings_Page {
         add_settings_field( 'data_engine_enable_caching', esc_html__( 'Enable Widget Cache', 'data-engine-for-elementor' ), [ $this, 'render_enable_caching_field' ], 'data-engine-for-elementor', 'data_engine_caching_section' );
         add_settings_field( 'data_engine_cache_expiration', esc_html__( 'Cache Expiration', 'data-engine-for-elementor' ), [ $this, 'render_cache_expiration_field' ], 'data-engine-for-elementor', 'data_engine_caching_section' );
         add_settings_field( 'data_engine_clear_cache', esc_html__( 'Clear Cache', 'data-engine-for-elementor' ), [ $this, 'render_clear_cache_button' ], 'data-engine-for-elementor', 'data_engine_caching_section' );
+
+        add_settings_section( 'data_engine_partials_section', esc_html__( 'Partials', 'data-engine-for-elementor' ), '__return_false', 'data-engine-for-elementor' );
+        add_settings_field( 'data_engine_partials', esc_html__( 'Partial Templates', 'data-engine-for-elementor' ), [ $this, 'render_partials_field' ], 'data-engine-for-elementor', 'data_engine_partials_section' );
+    }
+
+    /**
+     * Lists the partials with links to edit them; see Engine\Partials.
+     *
+     * @since 1.2.0
+     */
+    public function render_partials_field(): void {
+        $partials = \DataEngine\Engine\Partials::get_definitions();
+        $list_url = admin_url( 'edit.php?post_type=' . \DataEngine\Engine\Partials::POST_TYPE );
+        $new_url = admin_url( 'post-new.php?post_type=' . \DataEngine\Engine\Partials::POST_TYPE );
+        if ( $partials ) {
+            echo '<ul>';
+            foreach ( $partials as $partial ) {
+                printf(
+                    '<li><a href="%s">%s</a> <code>[include:%s]</code></li>',
+                    esc_url( $partial['edit_url'] ),
+                    esc_html( $partial['label'] ),
+                    esc_html( $partial['name'] )
+                );
+            }
+            echo '</ul>';
+        }
+        ?>
+        <a href="<?php echo esc_url( $new_url ); ?>" class="button button-secondary"><?php esc_html_e( 'Add New Partial', 'data-engine-for-elementor' ); ?></a>
+        <a href="<?php echo esc_url( $list_url ); ?>" class="button button-link"><?php esc_html_e( 'Manage Partials', 'data-engine-for-elementor' ); ?></a>
+        <p class="description"><?php esc_html_e( 'Reusable templates, included in any widget with [include:slug]. Pass parameters as [include:slug title=\'%acf:title%\'] and read them in the partial with %param:title%.', 'data-engine-for-elementor' ); ?></p>
+        <?php
     }
 
     public function render_enable_caching_field(): void {
@@ -0,0 +1,389 @@
+<?php
+namespace DataEngine\Core;
+
+use DataEngine\Utils\Logger;
+
+/**
+ * Xlsx_Reader Class
+ *
+ * Reads the cells of an Excel (.xlsx) workbook with ZipArchive and XMLReader,
+ * without a spreadsheet library. Cells keep their type: numbers are returned
+ * as int or float, booleans as bool, and numbers formatted as dates as
+ * 'Y-m-d' or 'Y-m-d H:i:s' strings.
+ *
+ * @since 1.2.0
+ */
+class Xlsx_Reader
+{
+
+    private const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+    /**
+     * Built-in number formats that display a date or a time
+     */
+    private const DATE_FORMAT_IDS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+
+    private ?\ZipArchive $zip = null;
+
+    /**
+     * Worksheet paths inside the archive, keyed by sheet name, in workbook order
+     * @var array<string, string>
+     */
+    private array $sheets = [];
+
+    /**
+     * @var array<int, string>
+     */
+    private array $shared_strings = [];
+
+    /**
+     * Whether each cell style (the "s" attribute of a cell) formats a date
+     * @var array<int, bool>
+     */
+    private array $date_styles = [];
+
+    /**
+     * Dates count days from 1904-01-01 instead of 1899-12-30
+     */
+    private bool $date1904 = false;
+
+    /**
+     * @param string $file_path Path to the .xlsx file
+     * @throws \RuntimeException When the file is not a readable workbook
+     */
+    public function __construct(string $file_path)
+    {
+        if (!class_exists('ZipArchive')) {
+            throw new \RuntimeException('Excel files need the PHP zip extension');
+        }
+
+        $zip = new \ZipArchive();
+        if ($zip->open($file_path, \ZipArchive::RDONLY) !== true) {
+            throw new \RuntimeException('The file is not a valid Excel (.xlsx) workbook');
+        }
+        $this->zip = $zip;
+
+        $this->read_workbook();
+        $this->read_shared_strings();
+        $this->read_styles();
+
+        Logger::log("XLSX workbook opened with sheets: " . implode(', ', array_keys($this->sheets)), 'DEBUG');
+    }
+
+    public function __destruct()
+    {
+        if ($this->zip) {
+            $this->zip->close();
+        }
+    }
+
+    /**
+     * Names of the worksheets, in workbook order
+     *
+     * @return array<int, string>
+     */
+    public function get_sheet_names(): array
+    {
+        return array_keys($this->sheets);
+    }
+
+    /**
+     * Read the rows of a worksheet. Empty rows are left out, and every row
+     * has as many cells as the widest one.
+     *
+     * @param string|null $sheet_name Sheet name, or null for the first sheet
+     * @return array<int, array<int, mixed>> Rows of cell values
+     * @throws \RuntimeException When the sheet does not exist
+     */
+    public function read_rows(?string $sheet_name = null): array
+    {
+        if ($sheet_name === null || $sheet_name === '') {
+            $sheet_name = array_key_first($this->sheets);
+        }
+
+        if ($sheet_name === null || !isset($this->sheets[$sheet_name])) {
+            throw new \RuntimeException("Sheet '{$sheet_name}' not found in the workbook");
+        }
+
+        $reader = $this->open_entry($this->sheets[$sheet_name]);
+        if (!$reader) {
+            throw new \RuntimeException("Sheet '{$sheet_name}' could not be read");
+        }
+
+        $rows = [];
+        $row = [];
+        $cell = null;
+        $width = 0;
+
+        while ($reader->read()) {
+            if ($reader->nodeType === \XMLReader::ELEMENT) {
+                switch ($reader->localName) {
+                    case 'row':
+                        $row = [];
+                        break;
+
+                    case 'c':
+                        $cell = [
+                            'column' => $this->column_index((string) $reader->getAttribute('r'), count($row) ? max(array_keys($row)) + 1 : 0),
+                            'type' => $reader->getAttribute('t') ?? 'n',
+                            'style' => (int) $reader->getAttribute('s'),
+                            'value' => '',
+                        ];
+                        if ($reader->isEmptyElement) {
+                            $cell = null;
+                        }
+                        break;
+
+                    case 'v':
+                        if ($cell !== null) {
+                            $cell['value'] = $reader->readString();
+                        }
+                        break;
+
+                    case 't':
+                        // Text of an inline string cell
+                        if ($cell !== null && $cell['type'] === 'inlineStr') {
+                            $cell['value'] .= $reader->readString();
+                        }
+                        break;
+                }
+                continue;
+            }
+
+            if ($reader->nodeType !== \XMLReader::END_ELEMENT) {
+                continue;
+            }
+
+            if ($reader->localName === 'c' && $cell !== null) {
+                $value = $this->cell_value($cell);
+                if ($value !== '') {
+                    $row[$cell['column']] = $value;
+                }
+                $cell = null;
+            } elseif ($reader->localName === 'row' && !empty($row)) {
+                $width = max($width, max(array_keys($row)) + 1);
+                $rows[] = $row;
+            }
+        }
+        $reader->close();
+
+        // Fill the gaps left by empty cells
+        return array_map(function ($row) use ($width) {
+            return array_replace(array_fill(0, $width, ''), $row);
+        }, $rows);
+    }
+
+    /**
+     * Convert the raw content of a cell to its typed value
+     */
+    private function cell_value(array $cell)
+    {
+        $value = $cell['value'];
+
+        switch ($cell['type']) {
+            case 's':
+                return $this->shared_strings[(int) $value] ?? '';
+
+            case 'b':
+                return $value === '1';
+
+            case 'e':
+                // Formula errors such as #DIV/0!
+                return '';
+
+            case 'inlineStr':
+            case 'str':
+            case 'd':
+                return $value;
+        }
+
+        if ($value === '' || !is_numeric($value)) {
+            return $value;
+        }
+
+        if (!empty($this->date_styles[$cell['style']])) {
+            return $this->serial_to_date((float) $value);
+        }
+
+        return preg_match('/^-?\d+$/', $value) ? (int) $value : (float) $value;
+    }
+
+    /**
+     * Convert an Excel date serial number to 'Y-m-d', 'Y-m-d H:i:s' or,
+     * for a time without a date, 'H:i:s'
+     */
+    private function serial_to_date(float $serial): string
+    {
+        $days = (int) floor($serial);
+        $seconds = (int) round(($serial - $days) * 86400);
+
+        $date = new \DateTimeImmutable($this->date1904 ? '1904-01-01' : '1899-12-30', new \DateTimeZone('UTC'));
+        $date = $date->modify("+{$days} days +{$seconds} seconds");
+
+        if ($days === 0 && !$this->date1904) {
+            return $date->format('H:i:s');
+        }
+        return $date->format($seconds === 0 ? 'Y-m-d' : 'Y-m-d H:i:s');
+    }
+
+    /**
+     * Zero-based column index of a cell reference such as "AB12"
+     *
+     * @param string $reference The "r" attribute of the cell
+     * @param int    $fallback  The index used when the reference is missing
+     */
+    private function column_index(string $reference, int $fallback): int
+    {
+        if (!preg_match('/^([A-Z]+)/i', $reference, $matches)) {
+            return $fallback;
+        }
+
+        $index = 0;
+        foreach (str_split(strtoupper($matches[1])) as $letter) {
+            $index = $index * 26 + (ord($letter) - 64);
+        }
+        return $index - 1;
+    }
+
+    /**
+     * Find the worksheets and the date system in xl/workbook.xml
+     */
+    private function read_workbook(): void
+    {
+        $targets = [];
+        $reader = $this->open_entry('xl/_rels/workbook.xml.rels');
+        if ($reader) {
+            while ($reader->read()) {
+                if ($reader->nodeType === \XMLReader::ELEMENT && $reader->localName === 'Relationship') {
+                    $target = (string) $reader->getAttribute('Target');
+                    // Targets are relative to xl/, or absolute within the archive
+                    $targets[$reader->getAttribute('Id')] = str_starts_with($target, '/') ? ltrim($target, '/') : 'xl/' . $target;
+                }
+            }
+            $reader->close();
+        }
+
+        $reader = $this->open_entry('xl/workbook.xml');
+        if (!$reader) {
+            throw new \RuntimeException('The file is not a valid Excel (.xlsx) workbook');
+        }
+
+        while ($reader->read()) {
+            if ($reader->nodeType !== \XMLReader::ELEMENT) {
+                continue;
+            }
+
+            if ($reader->localName === 'workbookPr') {
+                $date1904 = $reader->getAttribute('date1904');
+                $this->date1904 = $date1904 === '1' || $date1904 === 'true';
+            } elseif ($reader->localName === 'sheet') {
+                $relationship_id = $reader->getAttributeNs('id', self::RELATIONSHIPS_NS);
+                if ($relationship_id !== null && isset($targets[$relationship_id])) {
+                    $this->sheets[(string) $reader->getAttribute('name')] = $targets[$relationship_id];
+                }
+            }
+        }
+        $reader->close();
+
+        if (empty($this->sheets)) {
+            throw new \RuntimeException('The workbook contains no worksheets');
+        }
+    }
+
+    /**
+     * Load xl/sharedStrings.xml, the text of the cells of type "s"
+     */
+    private function read_shared_strings(): void
+    {
+        $reader = $this->open_entry('xl/sharedStrings.xml');
+        if (!$reader) {
+            return; // Workbooks without text cells have none
+        }
+
+        $text = null;
+        $in_phonetic = false;
+
+        while ($reader->read()) {
+            if ($reader->nodeType === \XMLReader::ELEMENT) {
+                if ($reader->localName === 'si') {
+                    $text = '';
+                    if ($reader->isEmptyElement) {
+                        $this->shared_strings[] = '';
+                        $text = null;
+                    }
+                } elseif ($reader->localName === 'rPh') {
+                    // Phonetic guides of East Asian text are not part of the value
+                    $in_phonetic = !$reader->isEmptyElement;
+                } elseif ($reader->localName === 't' && $text !== null && !$in_phonetic) {
+                    $text .= $reader->readString();
+                }
+            } elseif ($reader->nodeType === \XMLReader::END_ELEMENT) {
+                if ($reader->localName === 'rPh') {
+                    $in_phonetic = false;
+                } elseif ($reader->localName === 'si' && $text !== null) {
+                    $this->shared_strings[] = $text;
+                    $text = null;
+                }
+            }
+        }
+        $reader->close();
+    }
+
+    /**
+     * Find the cell styles of xl/styles.xml that format dates
+     */
+    private function read_styles(): void
+    {
+        $reader = $this->open_entry('xl/styles.xml');
+        if (!$reader) {
+            return;
+        }
+
+        $custom_formats = [];
+        $in_cell_formats = false;
+
+        while ($reader->read()) {
+            if ($reader->nodeType === \XMLReader::ELEMENT) {
+                if ($reader->localName === 'numFmt') {
+                    $custom_formats[(int) $reader->getAttribute('numFmtId')] = (string) $reader->getAttribute('formatCode');
+                } elseif ($reader->localName === 'cellXfs') {
+                    $in_cell_formats = !$reader->isEmptyElement;
+                } elseif ($reader->localName === 'xf' && $in_cell_formats) {
+                    $format_id = (int) $reader->getAttribute('numFmtId');
+                    $this->date_styles[] = in_array($format_id, self::DATE_FORMAT_IDS, true)
+                        || (isset($custom_formats[$format_id]) && $this->is_date_format($custom_formats[$format_id]));
+                }
+            } elseif ($reader->nodeType === \XMLReader::END_ELEMENT && $reader->localName === 'cellXfs') {
+                $in_cell_formats = false;
+            }
+        }
+        $reader->close();
+    }
+
+    /**
+     * Whether a custom number format such as "dd/mm/yyyy" shows a date or time
+     */
+    private function is_date_format(string $format_code): bool
+    {
+        // Leave out quoted text, escaped characters and [Red] or [$-409] sections
+        $format_code = preg_replace('/"[^"]*"|\\\\.|\[[^\]]*\]/', '', $format_code);
+        return (bool) preg_match('/[dmyhs]/i', $format_code);
+    }
+
+    /**
+     * Open an entry of the archive for reading, or null when it is missing
+     */
+    private function open_entry(string $name): ?\XMLReader
+    {
+        $xml = $this->zip->getFromName($name);
+        if ($xml === false) {
+            return null;
+        }
+
+        $reader = new \XMLReader();
+        if (!$reader->XML($xml, null, LIBXML_NONET | LIBXML_COMPACT)) {
+            return null;
+        }
+        return $reader;
+    }
+}
@@ -0,0 +1,223 @@
+<?php
+namespace DataEngine\Core;
+
+/**
+ * Xlsx_Writer Class
+ *
+ * Writes a single-sheet Excel (.xlsx) workbook with ZipArchive. The first
+ * row is written in bold as the header. Cells keep the type of their PHP
+ * value: int and float become numbers, bool becomes TRUE/FALSE, and
+ * DateTimeInterface becomes a date (or a date and time) Excel can sort
+ * and calculate with.
+ *
+ * @since 1.2.0
+ */
+class Xlsx_Writer
+{
+
+    // Indexes of the cell styles written to xl/styles.xml
+    private const STYLE_HEADER = 1;
+    private const STYLE_DATE = 2;
+    private const STYLE_DATE_TIME = 3;
+
+    // Characters XML 1.0 does not allow, even escaped
+    private const INVALID_XML_CHARS = '/[^\x{9}\x{A}\x{D}\x{20}-\x{D7FF}\x{E000}-\x{FFFD}\x{10000}-\x{10FFFF}]/u';
+
+    private string $sheet_name;
+
+    /**
+     * @var array<int, array<int, mixed>>
+     */
+    private array $rows = [];
+
+    /**
+     * @param string $sheet_name Name of the worksheet; cut to the 31 characters Excel allows
+     */
+    public function __construct(string $sheet_name = 'Sheet1')
+    {
+        $sheet_name = trim(preg_replace('/[\[\]:*?\/\\\\]/', ' ', $sheet_name));
+        $this->sheet_name = mb_substr($sheet_name !== '' ? $sheet_name : 'Sheet1', 0, 31);
+    }
+
+    /**
+     * Add a row of cell values; the first row added is the header
+     *
+     * @param array<int, mixed> $cells
+     */
+    public function add_row(array $cells): void
+    {
+        $this->rows[] = array_values($cells);
+    }
+
+    /**
+     * Build the workbook
+     *
+     * @return string The binary content of the .xlsx file
+     * @throws \RuntimeException When the archive cannot be written
+     */
+    public function to_string(): string
+    {
+        if (!class_exists('ZipArchive')) {
+            throw new \RuntimeException('Excel files need the PHP zip extension');
+        }
+
+        $file_path = tempnam(get_temp_dir(), 'dataengine-xlsx');
+        $zip = new \ZipArchive();
+        if ($file_path === false || $zip->open($file_path, \ZipArchive::CREATE | \ZipArchive::OVERWRITE) !== true) {
+            throw new \RuntimeException('Could not create the Excel file');
+        }
+
+        $zip->addFromString('[Content_Types].xml', $this->content_types_xml());
+        $zip->addFromString('_rels/.rels', $this->root_relationships_xml());
+        $zip->addFromString('xl/workbook.xml', $this->workbook_xml());
+        $zip->addFromString('xl/_rels/workbook.xml.rels', $this->workbook_relationships_xml());
+        $zip->addFromString('xl/styles.xml', $this->styles_xml());
+        $zip->addFromString('xl/worksheets/sheet1.xml', $this->sheet_xml());
+        $zip->close();
+
+        $content = file_get_contents($file_path);
+        unlink($file_path);
+
+        if ($content === false) {
+            throw new \RuntimeException('Could not read the Excel file back');
+        }
+        return $content;
+    }
+
+    private function sheet_xml(): string
+    {
+        $xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">';
+
+        // Keep the header visible while scrolling
+        if (count($this->rows) > 1) {
+            $xml .= '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>';
+        }
+
+        $xml .= '<sheetData>';
+        foreach ($this->rows as $row_index => $cells) {
+            $row_number = $row_index + 1;
+            $xml .= '<row r="' . $row_number . '">';
+            foreach ($cells as $column_index => $value) {
+                $xml .= $this->cell_xml($this->column_name($column_index) . $row_number, $value, $row_index === 0);
+            }
+            $xml .= '</row>';
+        }
+
+        return $xml . '</sheetData></worksheet>';
+    }
+
+    private function cell_xml(string $reference, $value, bool $is_header): string
+    {
+        if ($value === null || $value === '') {
+            return '';
+        }
+
+        $style = $is_header ? ' s="' . self::STYLE_HEADER . '"' : '';
+
+        if (is_bool($value)) {
+            return '<c r="' . $reference . '" t="b"' . $style . '><v>' . ($value ? 1 : 0) . '</v></c>';
+        }
+
+        if (is_int($value) || (is_float($value) && is_finite($value))) {
+            return '<c r="' . $reference . '"' . $style . '><v>' . $value . '</v></c>';
+        }
+
+        if ($value instanceof \DateTimeInterface) {
+            $serial = $this->date_to_serial($value);
+            $style = ' s="' . ($serial == floor($serial) ? self::STYLE_DATE : self::STYLE_DATE_TIME) . '"';
+            return '<c r="' . $reference . '"' . $style . '><v>' . $serial . '</v></c>';
+        }
+
+        $text = preg_replace(self::INVALID_XML_CHARS, '', (string) $value);
+        return '<c r="' . $reference . '" t="inlineStr"' . $style . '><is><t xml:space="preserve">' . $this->escape($text) . '</t></is></c>';
+    }
+
+    /**
+     * Days since 1899-12-30, with the time as a fraction of a day
+     */
+    private function date_to_serial(\DateTimeInterface $date): float
+    {
+        $epoch = new \DateTimeImmutable('1899-12-30', $date->getTimezone());
+        $days = (int) $epoch->diff($date)->format('%r%a');
+        $seconds = (int) $date->format('G') * 3600 + (int) $date->format('i') * 60 + (int) $date->format('s');
+
+        return $days + round($seconds / 86400, 10);
+    }
+
+    /**
+     * Letters of a zero-based column index: 0 is A, 26 is AA
+     */
+    private function column_name(int $index): string
+    {
+        $name = '';
+        for ($index++; $index > 0; $index = intdiv($index - 1, 26)) {
+            $name = chr(65 + ($index - 1) % 26) . $name;
+        }
+        return $name;
+    }
+
+    private function escape(string $text): string
+    {
+        return htmlspecialchars($text, ENT_XML1 | ENT_QUOTES, 'UTF-8');
+    }
+
+    private function content_types_xml(): string
+    {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            . '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            . '<Default Extension="xml" ContentType="application/xml"/>'
+            . '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            . '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            . '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+            . '</Types>';
+    }
+
+    private function root_relationships_xml(): string
+    {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            . '</Relationships>';
+    }
+
+    private function workbook_xml(): string
+    {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            . '<sheets><sheet name="' . $this->escape($this->sheet_name) . '" sheetId="1" r:id="rId1"/></sheets>'
+            . '</workbook>';
+    }
+
+    private function workbook_relationships_xml(): string
+    {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            . '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+            . '</Relationships>';
+    }
+
+    /**
+     * The default style, then STYLE_HEADER (bold), STYLE_DATE and STYLE_DATE_TIME
+     */
+    private function styles_xml(): string
+    {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            . '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>'
+            . '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+            . '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+            . '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+            . '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+            . '<cellXfs count="4">'
+            . '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+            . '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+            . '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+            . '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+            . '</cellXfs>'
+            . '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+            . '</styleSheet>';
+    }
+}
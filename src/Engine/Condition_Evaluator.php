@@ -0,0 +1,340 @@
+<?php
+namespace DataEngine\Engine;
+
+use DataEngine\Utils\Logger;
+
+/**
+ * Condition_Evaluator Class.
+ *
+ * Evaluates the expression of an [if:...] or [else if:...] marker:
+ *
+ *   expression := and ( ('||' | 'or') and )*
+ *   and        := unary ( ('&&' | 'and') unary )*
+ *   unary      := ('not' | '!') unary | '(' expression ')' | comparison
+ *   comparison := operand [ operator [ operand ] ]
+ *   operand    := %tag% | 'string' | "string" | word
+ *
+ * A tag without an operator is true when it has a value. An unquoted value
+ * after an operator runs up to the next and/or, ')' or the end, so
+ * `%acf:color% == light blue` still compares with "light blue". `in` takes a list
+ * such as ('a', 'b') or a comma-separated value; `matches` a PCRE pattern
+ * without delimiters. The same grammar is validated by parseCondition() in
+ * src/js/template-parser.js.
+ *
+ * @since 1.2.0
+ */
+class Condition_Evaluator
+{
+    public const OPERATORS = [
+        '==', '!=', '>=', '<=', '>', '<',
+        'contains', 'not_contains', 'starts_with', 'ends_with', 'matches', 'in',
+        'empty', 'not_empty',
+    ];
+
+    private const VALUELESS_OPERATORS = ['empty', 'not_empty'];
+
+    private const TOKEN_REGEX = '/\G(?:(?<space>\s+)|(?<tag>%[^%]*%)|(?<string>\'(?:[^\'\\\\]|\\\\.)*\'|"(?:[^"\\\\]|\\\\.)*")|(?<symbol>&&|\|\||==|!=|>=|<=|>|<|!|\(|\)|,)|(?<word>[^\s%\'"()!<>=,&|]+))/';
+
+    /**
+     * Resolves a %tag% to its rendered value.
+     * @var callable(string): string
+     */
+    private $resolve_tag;
+
+    /**
+     * @var array<int, array{type: string, value: string, offset: int}>
+     */
+    private array $tokens = [];
+
+    private string $expression = '';
+
+    private int $position = 0;
+
+    /**
+     * @param callable(string): string $resolve_tag Renders a single tag, filters included.
+     */
+    public function __construct(callable $resolve_tag)
+    {
+        $this->resolve_tag = $resolve_tag;
+    }
+
+    /**
+     * Evaluates an expression. Invalid expressions are logged and evaluate
+     * to false, like the single comparisons did before.
+     */
+    public function evaluate(string $expression): bool
+    {
+        try {
+            $this->expression = $expression;
+            $this->tokens = $this->tokenize($expression);
+            $this->position = 0;
+
+            $tree = $this->parse_or();
+            if ($this->peek() !== null) {
+                throw new \InvalidArgumentException("Unexpected '{$this->peek()['value']}'");
+            }
+        } catch (\InvalidArgumentException $e) {
+            Logger::log("Invalid condition '{$expression}': " . $e->getMessage(), 'DEBUG');
+            return false;
+        }
+
+        $result = $this->evaluate_node($tree);
+        Logger::log("Condition '{$expression}' result: " . ($result ? 'TRUE' : 'FALSE'), 'DEBUG');
+        return $result;
+    }
+
+    /**
+     * @return array<int, array{type: string, value: string, offset: int}>
+     */
+    private function tokenize(string $expression): array
+    {
+        $tokens = [];
+        $offset = 0;
+
+        while ($offset < strlen($expression)) {
+            if (!preg_match(self::TOKEN_REGEX, $expression, $matches, PREG_UNMATCHED_AS_NULL, $offset)) {
+                throw new \InvalidArgumentException('Unterminated string or unexpected character at ' . substr($expression, $offset));
+            }
+            foreach (['tag', 'string', 'symbol', 'word'] as $type) {
+                if ($matches[$type] !== null) {
+                    $tokens[] = ['type' => $type, 'value' => $matches[$type], 'offset' => $offset];
+                    break;
+                }
+            }
+            $offset += strlen($matches[0]);
+        }
+
+        return $tokens;
+    }
+
+    private function peek(): ?array
+    {
+        return $this->tokens[$this->position] ?? null;
+    }
+
+    /**
+     * Consumes the next token if it is one of `$values` (symbols or keywords).
+     */
+    private function accept(string ...$values): ?string
+    {
+        $token = $this->peek();
+        if ($token !== null && in_array($token['type'], ['symbol', 'word'], true) && in_array($token['value'], $values, true)) {
+            $this->position++;
+            return $token['value'];
+        }
+        return null;
+    }
+
+    private function parse_or(): array
+    {
+        $node = $this->parse_and();
+        while ($this->accept('||', 'or') !== null) {
+            $node = ['type' => 'or', 'left' => $node, 'right' => $this->parse_and()];
+        }
+        return $node;
+    }
+
+    private function parse_and(): array
+    {
+        $node = $this->parse_unary();
+        while ($this->accept('&&', 'and') !== null) {
+            $node = ['type' => 'and', 'left' => $node, 'right' => $this->parse_unary()];
+        }
+        return $node;
+    }
+
+    private function parse_unary(): array
+    {
+        if ($this->accept('!', 'not') !== null) {
+            return ['type' => 'not', 'operand' => $this->parse_unary()];
+        }
+
+        if ($this->accept('(') !== null) {
+            $node = $this->parse_or();
+            if ($this->accept(')') === null) {
+                throw new \InvalidArgumentException("Missing ')'");
+            }
+            return $node;
+        }
+
+        return $this->parse_comparison();
+    }
+
+    private function parse_comparison(): array
+    {
+        $left = $this->parse_operand();
+        $operator = $this->accept(...self::OPERATORS);
+
+        if ($operator === null) {
+            if ($left['type'] !== 'tag') {
+                throw new \InvalidArgumentException("Expected an operator after '{$left['value']}'");
+            }
+            return ['type' => 'compare', 'left' => $left, 'operator' => 'not_empty', 'right' => null];
+        }
+
+        if (in_array($operator, self::VALUELESS_OPERATORS, true)) {
+            return ['type' => 'compare', 'left' => $left, 'operator' => $operator, 'right' => null];
+        }
+
+        if ($operator === 'in' && $this->accept('(') !== null) {
+            $right = $this->parse_list();
+        } elseif ($this->peek() !== null && $this->peek()['type'] === 'word' && !$this->is_keyword($this->peek())) {
+            $right = $this->parse_unquoted_value();
+        } else {
+            $right = $this->parse_operand();
+        }
+        return ['type' => 'compare', 'left' => $left, 'operator' => $operator, 'right' => $right];
+    }
+
+    /**
+     * Parses the items of an `in (...)` list; the '(' is already consumed.
+     */
+    private function parse_list(): array
+    {
+        $items = [];
+        do {
+            $items[] = $this->parse_operand();
+        } while ($this->accept(',') !== null);
+
+        if ($this->accept(')') === null) {
+            throw new \InvalidArgumentException("Missing ')' after the list");
+        }
+        return ['type' => 'list', 'items' => $items];
+    }
+
+    /**
+     * Parses an unquoted value after an operator: the words up to the next
+     * and/or, ')' or the end, with the spacing between them kept as written.
+     */
+    private function parse_unquoted_value(): array
+    {
+        $first = $this->tokens[$this->position++];
+        $last = $first;
+
+        while (($token = $this->peek()) !== null && $token['type'] === 'word' && !$this->is_keyword($token)) {
+            $last = $token;
+            $this->position++;
+        }
+
+        $end = $last['offset'] + strlen($last['value']);
+        return ['type' => 'literal', 'value' => substr($this->expression, $first['offset'], $end - $first['offset'])];
+    }
+
+    private function is_keyword(array $token): bool
+    {
+        return $token['type'] === 'word' && in_array($token['value'], ['and', 'or', 'not'], true);
+    }
+
+    private function parse_operand(): array
+    {
+        $token = $this->peek();
+        if ($token === null || $token['type'] === 'symbol' || $this->is_keyword($token)) {
+            throw new \InvalidArgumentException('Expected a tag or a value' . ($token ? " before '{$token['value']}'" : ''));
+        }
+        $this->position++;
+
+        if ($token['type'] === 'string') {
+            // Drop the quotes and unescape \', \" and \\ (other backslashes are kept for `matches`)
+            $value = preg_replace('/\\\\([\'"\\\\])/', '$1', substr($token['value'], 1, -1));
+            return ['type' => 'literal', 'value' => $value];
+        }
+
+        return ['type' => $token['type'] === 'tag' ? 'tag' : 'literal', 'value' => $token['value']];
+    }
+
+    private function evaluate_node(array $node): bool
+    {
+        switch ($node['type']) {
+            case 'or':
+                return $this->evaluate_node($node['left']) || $this->evaluate_node($node['right']);
+            case 'and':
+                return $this->evaluate_node($node['left']) && $this->evaluate_node($node['right']);
+            case 'not':
+                return !$this->evaluate_node($node['operand']);
+            default:
+                return $this->compare($node);
+        }
+    }
+
+    private function resolve(array $operand): string
+    {
+        return $operand['type'] === 'tag' ? (string) ($this->resolve_tag)($operand['value']) : $operand['value'];
+    }
+
+    private function compare(array $node): bool
+    {
+        $actual_value = $this->resolve($node['left']);
+        $operator = $node['operator'];
+
+        if ($node['right'] === null) {
+            $is_empty = trim($actual_value) === '';
+            return $operator === 'empty' ? $is_empty : !$is_empty;
+        }
+
+        if ($node['right']['type'] === 'list') {
+            $candidates = array_map('trim', array_map([$this, 'resolve'], $node['right']['items']));
+            $expected_value = implode(', ', $candidates);
+        } else {
+            $expected_value = $this->resolve($node['right']);
+            $candidates = array_map('trim', explode(',', $expected_value));
+        }
+
+        Logger::log("Evaluating: '{$actual_value}' {$operator} '{$expected_value}'", 'DEBUG');
+
+        switch ($operator) {
+            case '==':
+                return $actual_value == $expected_value;
+            case '!=':
+                return $actual_value != $expected_value;
+            case '>':
+                return (float) $actual_value > (float) $expected_value;
+            case '<':
+                return (float) $actual_value < (float) $expected_value;
+            case '>=':
+                return (float) $actual_value >= (float) $expected_value;
+            case '<=':
+                return (float) $actual_value <= (float) $expected_value;
+            case 'contains':
+                return str_contains($actual_value, $expected_value);
+            case 'not_contains':
+                return !str_contains($actual_value, $expected_value);
+            case 'starts_with':
+                return str_starts_with($actual_value, $expected_value);
+            case 'ends_with':
+                return str_ends_with($actual_value, $expected_value);
+            case 'in':
+                return in_array(trim($actual_value), $candidates, true);
+            case 'matches':
+                return $this->matches($actual_value, $expected_value);
+        }
+
+        return false;
+    }
+
+    /**
+     * Runs a `matches` pattern, with '~' as its delimiter. Tildes in the
+     * pattern are escaped unless the author already did. An invalid pattern
+     * is logged instead of raising a PHP warning, and does not match.
+     */
+    private function matches(string $value, string $pattern): bool
+    {
+        // A '~' after an even number of backslashes (none included) is not escaped yet
+        $escaped = preg_replace('/(?<!\\\\)((?:\\\\\\\\)*)~/', '$1\\~', $pattern);
+
+        $error = null;
+        set_error_handler(function (int $errno, string $message) use (&$error) {
+            $error = $message;
+            return true;
+        });
+        try {
+            $result = preg_match('~' . $escaped . '~u', $value);
+        } finally {
+            restore_error_handler();
+        }
+
+        if ($result === false) {
+            Logger::log("Invalid pattern in 'matches': '{$pattern}': " . ($error ?? preg_last_error_msg()), 'WARNING');
+        }
+        return $result === 1;
+    }
+}
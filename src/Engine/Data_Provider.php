@@ -12,6 +12,22 @@ use DataEngine\Utils\Logger;
  */
 class Data_Provider {
 
+    /**
+     * The sources get_value() reads, with a description for the editor.
+     * %sub:% (repeater rows and loop items) is resolved by the Parser, and
+     * custom sources registered with Sources::register() by their resolver.
+     */
+    public const SOURCES = [
+        'acf' => 'ACF fields of the post',
+        'post' => 'Fields of the post',
+        'option' => 'ACF fields of the options pages',
+        'term' => 'The current term on taxonomy archives, with its ACF fields',
+        'author' => 'The author of the post, with their ACF fields',
+        'user' => 'The logged-in user, with their ACF fields',
+        'site' => 'Site information',
+        'query' => 'URL query string parameters (sanitized)',
+    ];
+
     private array $value_cache = [];
 
     /**
@@ -20,10 +36,11 @@ class Data_Provider {
      *
      * @param string $source The data source (e.g., 'acf', 'post').
      * @param string $field_name The name of the field to retrieve.
-     * @param int|null $post_id The context post ID.
+     * @param int|string|null $post_id The context post ID, or the ACF object ID
+     *                              ('user_3', 'term_12') set by a [with] block.
      * @return mixed The field value, or null if not found.
      */
-    public function get_value(string $source, string $field_name, ?int $post_id = null)
+    public function get_value(string $source, string $field_name, int|string|null $post_id = null)
     {
         $post_id = $post_id ?? get_the_ID();
         
@@ -61,7 +78,39 @@ class Data_Provider {
                 break;
 
             case 'post':
-                $value = $this->get_post_field($field_name, $post_id);
+                // A user or term context has no post.
+                $value = is_string($post_id) ? null : $this->get_post_field($field_name, $post_id);
+                break;
+
+            case 'option':
+                $value = get_field($field_name, 'option');
+                break;
+
+            case 'term':
+                $value = $this->get_term_field($field_name, $post_id);
+                break;
+
+            case 'author':
+                $author_id = $this->get_author_id($post_id);
+                $value = $author_id ? $this->get_user_field($field_name, $author_id) : null;
+                break;
+
+            case 'user':
+                $value = is_user_logged_in() ? $this->get_user_field($field_name, get_current_user_id()) : null;
+                break;
+
+            case 'site':
+                $value = $this->get_site_field($field_name);
+                break;
+
+            case 'query':
+                $value = isset($_GET[$field_name]) && is_string($_GET[$field_name])
+                    ? sanitize_text_field(wp_unslash($_GET[$field_name]))
+                    : null;
+                break;
+
+            default:
+                $value = Sources::resolve($source, $field_name, $post_id);
                 break;
         }
 
@@ -95,42 +144,74 @@ class Data_Provider {
         return $current_value;
     }
 
+    /**
+     * Returns the ACF "post ID" the fields of a source are stored on
+     * ('option', 'term_12', 'user_3' or the post ID), or null for sources
+     * without ACF fields.
+     *
+     * @param string $source The data source.
+     * @param int|string|null $post_id The context post ID or ACF object ID.
+     * @return int|string|null
+     */
+    public function get_acf_object_id(string $source, int|string|null $post_id = null): int|string|null
+    {
+        $post_id = $post_id ?? get_the_ID();
+
+        switch ($source) {
+            case 'acf':
+                return $post_id;
+            case 'option':
+                return 'option';
+            case 'term':
+                $term = $this->get_context_term($post_id);
+                return $term ? 'term_' . $term->term_id : null;
+            case 'author':
+                $author_id = $this->get_author_id($post_id);
+                return $author_id ? 'user_' . $author_id : null;
+            case 'user':
+                return is_user_logged_in() ? 'user_' . get_current_user_id() : null;
+        }
+
+        return null;
+    }
+
     /**
      * Retrieves the entire ACF field object for a given field name.
      * This gives access to metadata like 'label', 'type', 'instructions' etc.
      * This is the new method that was missing.
      *
      * @param string $field_name The name of the ACF field.
-     * @param int|null $post_id The context post ID.
+     * @param int|string|null $post_id The context post ID, or an ACF object ID such as 'option'.
      * @return array|null The field object array or null if not found.
      */
-    public function get_field_object(string $field_name, ?int $post_id = null): ?array
+    public function get_field_object(string $field_name, int|string|null $post_id = null): ?array
     {
         $post_id = $post_id ?? get_the_ID();
         
-        // Handle group field dot notation
+        // Handle group field dot notation, at any depth (group.inner.field)
         if (strpos($field_name, '.') !== false) {
             $field_parts = explode('.', $field_name);
-            $group_name = array_shift($field_parts);
-            
-            // Get the group field object
-            $group_field_object = get_field_object($group_name, $post_id);
-            
-            if ($group_field_object && $group_field_object['type'] === 'group' && !empty($group_field_object['sub_fields'])) {
-                // Find the specific sub-field
-                $sub_field_name = $field_parts[0]; // Get first sub-field name
-                
-                foreach ($group_field_object['sub_fields'] as $sub_field) {
+            $field_object = get_field_object(array_shift($field_parts), $post_id);
+
+            foreach ($field_parts as $sub_field_name) {
+                if (!$field_object || empty($field_object['sub_fields'])) {
+                    return null;
+                }
+
+                $match = null;
+                foreach ($field_object['sub_fields'] as $sub_field) {
                     if ($sub_field['name'] === $sub_field_name) {
-                        Logger::log("Fetching group sub-field object for '{$field_name}' in post ID {$post_id}.", 'DEBUG');
-                        return $sub_field;
+                        $match = $sub_field;
+                        break;
                     }
                 }
+                $field_object = $match;
             }
-            
-            return null;
+
+            Logger::log("Fetching group sub-field object for '{$field_name}' in post ID {$post_id}.", 'DEBUG');
+            return $field_object ?: null;
         }
-        
+
         $field_object = get_field_object($field_name, $post_id);
         Logger::log("Fetching field object for '{$field_name}' in post ID {$post_id}.", 'DEBUG');
         return $field_object ?: null;
@@ -156,14 +237,376 @@ class Data_Provider {
             return get_permalink($post);
         }
         
-        // Check for direct properties on the WP_Post object.
-        if (property_exists($post, $field_name)) {
+        // Check for direct properties on the WP_Post object; the password is never shown.
+        if ($field_name !== 'post_password' && property_exists($post, $field_name)) {
             return $post->{$field_name};
         }
 
         return null;
     }
 
+    /**
+     * Returns the term %term:% reads: the context term of a [with] block,
+     * or the term being viewed on a taxonomy archive.
+     */
+    private function get_context_term(int|string|null $post_id): ?\WP_Term
+    {
+        $term = is_string($post_id) && str_starts_with($post_id, 'term_')
+            ? get_term((int) substr($post_id, strlen('term_')))
+            : get_queried_object();
+
+        return $term instanceof \WP_Term ? $term : null;
+    }
+
+    /**
+     * Returns the user %author:% reads: the context user of a [with] block,
+     * or the author of the context post.
+     */
+    private function get_author_id(int|string|null $post_id): ?int
+    {
+        if (is_string($post_id)) {
+            return str_starts_with($post_id, 'user_') ? (int) substr($post_id, strlen('user_')) : null;
+        }
+
+        $post = get_post($post_id);
+        return $post ? (int) $post->post_author : null;
+    }
+
+    /**
+     * Retrieves a field of the context term (see get_context_term()): one
+     * of TERM_PROPERTIES, its archive link, or an ACF field of the term.
+     *
+     * @param string $field_name The term property or ACF field name.
+     * @param int|string|null $post_id The context post ID or ACF object ID.
+     * @return mixed The value, or null without a term.
+     */
+    private function get_term_field(string $field_name, int|string|null $post_id)
+    {
+        $term = $this->get_context_term($post_id);
+        if (!$term) {
+            return null;
+        }
+
+        if ('link' === $field_name) {
+            $link = get_term_link($term);
+            return is_wp_error($link) ? null : $link;
+        }
+
+        if (in_array($field_name, array_column(self::TERM_PROPERTIES, 'name'), true)) {
+            return $term->{$field_name};
+        }
+
+        return get_field($field_name, $term);
+    }
+
+    /**
+     * Retrieves a field of a user: one of USER_SOURCE_FIELDS or an ACF
+     * field of the user. Other user data (e.g. user_pass) is never exposed.
+     *
+     * @param string $field_name The user field or ACF field name.
+     * @param int $user_id The ID of the user.
+     * @return mixed The value, or null if the user does not exist.
+     */
+    private function get_user_field(string $field_name, int $user_id)
+    {
+        $user = get_userdata($user_id);
+        if (!$user) {
+            return null;
+        }
+
+        switch ($field_name) {
+            case 'avatar':
+                return get_avatar_url($user->ID);
+            case 'posts_url':
+                return get_author_posts_url($user->ID);
+        }
+
+        if (in_array($field_name, array_column(self::USER_PROPERTIES, 'name'), true)) {
+            return $user->{$field_name};
+        }
+
+        return get_field($field_name, 'user_' . $user->ID);
+    }
+
+    /**
+     * Retrieves a piece of site information listed in SITE_FIELDS.
+     *
+     * @param string $field_name The site field name.
+     * @return string|null The value, or null for unknown fields.
+     */
+    private function get_site_field(string $field_name): ?string
+    {
+        switch ($field_name) {
+            case 'name':
+                return get_bloginfo('name');
+            case 'description':
+                return get_bloginfo('description');
+            case 'url':
+                return home_url('/');
+            case 'language':
+                return get_bloginfo('language');
+            case 'year':
+                return wp_date('Y');
+        }
+
+        return null;
+    }
+
+    /**
+     * Properties that dot notation can reach on the values ACF returns, by
+     * field type. They describe the editor's completion schema; Parser
+     * resolves them with traverse_path().
+     */
+    private const IMAGE_PROPERTIES = [
+        ['name' => 'url', 'label' => 'URL'],
+        ['name' => 'alt', 'label' => 'Alt Text'],
+        ['name' => 'title', 'label' => 'Title'],
+        ['name' => 'caption', 'label' => 'Caption'],
+        ['name' => 'description', 'label' => 'Description'],
+        ['name' => 'filename', 'label' => 'File Name'],
+        ['name' => 'mime_type', 'label' => 'MIME Type'],
+        ['name' => 'width', 'label' => 'Width'],
+        ['name' => 'height', 'label' => 'Height'],
+        ['name' => 'ID', 'label' => 'Attachment ID'],
+    ];
+
+    private const FILE_PROPERTIES = [
+        ['name' => 'url', 'label' => 'URL'],
+        ['name' => 'title', 'label' => 'Title'],
+        ['name' => 'filename', 'label' => 'File Name'],
+        ['name' => 'filesize', 'label' => 'File Size (bytes)'],
+        ['name' => 'mime_type', 'label' => 'MIME Type'],
+        ['name' => 'caption', 'label' => 'Caption'],
+        ['name' => 'description', 'label' => 'Description'],
+        ['name' => 'ID', 'label' => 'Attachment ID'],
+    ];
+
+    private const POST_PROPERTIES = [
+        ['name' => 'ID', 'label' => 'Post ID'],
+        ['name' => 'post_title', 'label' => 'Post Title'],
+        ['name' => 'permalink', 'label' => 'Permalink'],
+        ['name' => 'post_name', 'label' => 'Post Slug'],
+        ['name' => 'post_excerpt', 'label' => 'Post Excerpt'],
+        ['name' => 'post_content', 'label' => 'Post Content'],
+        ['name' => 'post_date', 'label' => 'Post Date'],
+        ['name' => 'post_type', 'label' => 'Post Type'],
+        ['name' => 'post_status', 'label' => 'Post Status'],
+        ['name' => 'post_author', 'label' => 'Post Author ID'],
+    ];
+
+    private const USER_PROPERTIES = [
+        ['name' => 'ID', 'label' => 'User ID'],
+        ['name' => 'display_name', 'label' => 'Display Name'],
+        ['name' => 'user_email', 'label' => 'User Email'],
+        ['name' => 'user_firstname', 'label' => 'First Name'],
+        ['name' => 'user_lastname', 'label' => 'Last Name'],
+        ['name' => 'nickname', 'label' => 'Nickname'],
+        ['name' => 'user_nicename', 'label' => 'Nicename'],
+        ['name' => 'user_url', 'label' => 'Website'],
+        ['name' => 'user_description', 'label' => 'Biographical Info'],
+    ];
+
+    private const TERM_PROPERTIES = [
+        ['name' => 'term_id', 'label' => 'Term ID'],
+        ['name' => 'name', 'label' => 'Term Name'],
+        ['name' => 'slug', 'label' => 'Term Slug'],
+        ['name' => 'taxonomy', 'label' => 'Taxonomy Name'],
+        ['name' => 'description', 'label' => 'Term Description'],
+        ['name' => 'count', 'label' => 'Post Count'],
+        ['name' => 'parent', 'label' => 'Parent Term ID'],
+    ];
+
+    private const LINK_PROPERTIES = [
+        ['name' => 'url', 'label' => 'URL'],
+        ['name' => 'title', 'label' => 'Link Text'],
+        ['name' => 'target', 'label' => 'Target'],
+    ];
+
+    private const ICON_PROPERTIES = [
+        ['name' => 'class', 'label' => 'Icon CSS Class'],
+        ['name' => 'url', 'label' => 'Icon URL'],
+        ['name' => 'type', 'label' => 'Icon Type'],
+    ];
+
+    /**
+     * The fields of the %author:% and %user:% sources besides ACF user fields.
+     */
+    private const USER_SOURCE_FIELDS = [
+        ...self::USER_PROPERTIES,
+        ['name' => 'avatar', 'label' => 'Avatar URL'],
+        ['name' => 'posts_url', 'label' => 'Author Archive URL'],
+    ];
+
+    private const SITE_FIELDS = [
+        ['name' => 'name', 'label' => 'Site Title'],
+        ['name' => 'description', 'label' => 'Tagline'],
+        ['name' => 'url', 'label' => 'Home URL'],
+        ['name' => 'language', 'label' => 'Language Code'],
+        ['name' => 'year', 'label' => 'Current Year'],
+    ];
+
+    /**
+     * Describes an ACF field for the editor's data dictionary, including the
+     * schema of everything reachable from it with dot notation.
+     *
+     * - properties: child entries, described the same way (group sub fields
+     *   are full field descriptions, so the schema nests at any depth).
+     * - items:      for list values (repeater, gallery, relationship), the
+     *   schema of one item, reached with a numeric index such as
+     *   %acf:gallery.0.url% or through %sub:% inside an [each] loop.
+     *   Flexible Content items also list their `layouts`.
+     *
+     * @param array $field          An ACF field array.
+     * @param bool  $label_property Whether the path can end in .label (the
+     *                              field's label); not for repeater rows.
+     * @return array
+     */
+    public function describe_field_for_editor(array $field, bool $label_property = true): array
+    {
+        $description = [
+            'name' => $field['name'],
+            'label' => $field['label'],
+            'type' => $field['type'],
+            'properties' => [],
+            'choices' => $this->get_field_choices($field),
+        ];
+
+        $multiple = !empty($field['multiple']);
+
+        switch ($field['type']) {
+            case 'group':
+                $description['properties'] = array_map(function ($sub_field) use ($label_property) {
+                    return $this->describe_field_for_editor($sub_field, $label_property);
+                }, $field['sub_fields'] ?? []);
+                break;
+            case 'repeater':
+                // Rows are plain arrays, so .label is not resolved inside them.
+                $description['items'] = [
+                    'type' => 'row',
+                    'properties' => array_map(function ($sub_field) {
+                        return $this->describe_field_for_editor($sub_field, false);
+                    }, $field['sub_fields'] ?? []),
+                ];
+                break;
+            case 'flexible_content':
+                $description['items'] = $this->describe_layouts_for_editor($field);
+                break;
+            case 'checkbox':
+                // [each] exposes every checked choice as %sub:value%.
+                $description['items'] = ['type' => 'choice', 'properties' => [['name' => 'value', 'label' => 'Choice Value']]];
+                break;
+            case 'image':
+                $description['properties'] = self::IMAGE_PROPERTIES;
+                break;
+            case 'file':
+                $description['properties'] = self::FILE_PROPERTIES;
+                break;
+            case 'gallery':
+                $description['items'] = ['type' => 'image', 'properties' => self::IMAGE_PROPERTIES];
+                break;
+            case 'relationship':
+                $description['items'] = ['type' => 'post_object', 'properties' => self::POST_PROPERTIES];
+                break;
+            case 'post_object':
+                if ($multiple) {
+                    $description['items'] = ['type' => 'post_object', 'properties' => self::POST_PROPERTIES];
+                } else {
+                    $description['properties'] = self::POST_PROPERTIES;
+                }
+                break;
+            case 'user':
+                if ($multiple) {
+                    $description['items'] = ['type' => 'user', 'properties' => self::USER_PROPERTIES];
+                } else {
+                    $description['properties'] = self::USER_PROPERTIES;
+                }
+                break;
+            case 'taxonomy':
+                // Parser applies the property to every selected term; [each] visits them one by one.
+                $description['properties'] = self::TERM_PROPERTIES;
+                $description['items'] = ['type' => 'term', 'properties' => [...self::TERM_PROPERTIES, ['name' => 'link', 'label' => 'Term Archive URL']]];
+                break;
+            case 'link':
+                if (($field['return_format'] ?? 'array') === 'array') {
+                    $description['properties'] = self::LINK_PROPERTIES;
+                }
+                break;
+            case 'icon_picker':
+                $description['properties'] = self::ICON_PROPERTIES;
+                break;
+        }
+
+        // Parser resolves a trailing .label to the field's label, for any field.
+        if ($label_property) {
+            $description['properties'][] = ['name' => 'label', 'label' => 'Field Label'];
+        }
+
+        return $description;
+    }
+
+    /**
+     * Describes one row of a Flexible Content field: the sub fields of all
+     * its layouts (a row only has those of its own layout), plus the
+     * `layouts` the editor narrows %sub:% to inside a [layout:name] block.
+     *
+     * @param array $field A flexible_content ACF field array.
+     * @return array
+     */
+    public function describe_layouts_for_editor(array $field): array
+    {
+        $layouts = [];
+        $properties = [['name' => 'acf_fc_layout', 'label' => 'Layout Name']];
+
+        foreach ($field['layouts'] ?? [] as $layout) {
+            // Rows are plain arrays, so .label is not resolved inside them.
+            $sub_fields = array_map(function ($sub_field) {
+                return $this->describe_field_for_editor($sub_field, false);
+            }, $layout['sub_fields'] ?? []);
+
+            $layouts[] = [
+                'name' => $layout['name'],
+                'label' => $layout['label'] ?? $layout['name'],
+                'properties' => [...$properties, ...$sub_fields],
+            ];
+
+            foreach ($sub_fields as $sub_field) {
+                if (!in_array($sub_field['name'], array_column($properties, 'name'), true)) {
+                    $properties[] = $sub_field;
+                }
+            }
+        }
+
+        return ['type' => 'layout', 'properties' => $properties, 'layouts' => $layouts];
+    }
+
+    /**
+     * Lists the values a choice field can hold, for completing the value
+     * of a condition such as [if:%acf:color% == 'red'].
+     *
+     * @param array $field An ACF field array.
+     * @return array<int, array{value: string, label: string}>
+     */
+    public function get_field_choices(array $field): array
+    {
+        if ($field['type'] === 'true_false') {
+            // get_field() returns a bool, which the parser compares as '1' or ''.
+            return [
+                ['value' => '1', 'label' => 'True'],
+                ['value' => '', 'label' => 'False'],
+            ];
+        }
+
+        if (!in_array($field['type'], ['select', 'checkbox', 'radio', 'button_group'], true) || empty($field['choices'])) {
+            return [];
+        }
+
+        $choices = [];
+        foreach ($field['choices'] as $value => $label) {
+            $choices[] = ['value' => (string) $value, 'label' => (string) $label];
+        }
+        return $choices;
+    }
+
     /**
      * Get all available post fields for editor
      *
@@ -185,6 +628,64 @@ class Data_Provider {
         ];
     }
 
+    /**
+     * Describes the fields of the option, term, author, user and site
+     * sources for the editor's data dictionary. %query:% takes any
+     * parameter name, so it has no field list.
+     *
+     * @return array<string, array>
+     */
+    public function get_source_fields_for_editor(): array
+    {
+        $describe = function (array $fields): array {
+            return array_map(function ($field) {
+                return $this->describe_field_for_editor($field);
+            }, $fields);
+        };
+
+        $user_fields = [...self::USER_SOURCE_FIELDS, ...$describe($this->get_acf_fields_for_location(['user_form', 'user_role']))];
+
+        return [
+            'option' => $describe($this->get_acf_fields_for_location(['options_page'])),
+            'term' => [
+                ...self::TERM_PROPERTIES,
+                ['name' => 'link', 'label' => 'Term Archive URL'],
+                ...$describe($this->get_acf_fields_for_location(['taxonomy'])),
+            ],
+            'author' => $user_fields,
+            'user' => $user_fields,
+            'site' => self::SITE_FIELDS,
+        ];
+    }
+
+    /**
+     * Returns the ACF fields of every field group with a location rule on
+     * one of the given parameters (e.g. 'options_page' or 'taxonomy').
+     *
+     * @param array<int, string> $params ACF location rule parameters.
+     * @return array<int, array> ACF field arrays.
+     */
+    private function get_acf_fields_for_location(array $params): array
+    {
+        if (!function_exists('acf_get_field_groups')) {
+            return [];
+        }
+
+        $fields = [];
+        foreach (acf_get_field_groups() as $group) {
+            $rules = array_merge(...array_values($group['location'] ?? [[]]));
+            if (!array_intersect(array_column($rules, 'param'), $params)) {
+                continue;
+            }
+
+            foreach (acf_get_fields($group['key']) ?: [] as $field) {
+                $fields[$field['name']] = $field;
+            }
+        }
+
+        return array_values($fields);
+    }
+
     /**
      * Get current context post ID
      *
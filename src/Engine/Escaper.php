@@ -0,0 +1,85 @@
+<?php
+namespace DataEngine\Engine;
+
+/**
+ * Escaper Class.
+ *
+ * Escapes tag values for the place they are inserted in: text between
+ * elements is HTML-escaped, values inside a start tag (its attribute values
+ * or names) are attribute-escaped. Filters marked 'escapes' in their
+ * definition (|raw, |esc_url, |esc_attr, |json) replace this default; see
+ * Filters::apply().
+ *
+ * @since 1.2.0
+ */
+class Escaper
+{
+    public const HTML = 'html';
+    public const ATTR = 'attr';
+
+    /**
+     * Escapes a value for a context.
+     *
+     * @param string $value   The rendered value.
+     * @param string $context self::HTML or self::ATTR.
+     */
+    public static function escape(string $value, string $context): string
+    {
+        return $context === self::ATTR ? esc_attr($value) : esc_html($value);
+    }
+
+    /**
+     * Finds the context of every tag in a template in one pass.
+     *
+     * The text of the tags themselves is skipped, so quotes and brackets in
+     * filter arguments such as wrap('<li>', '</li>') do not count as markup.
+     *
+     * @param string $content The template.
+     * @param array<int, array{0: string, 1: int}> $tags The tags, as [text, offset] pairs in document order.
+     * @return array<int, string> The context of each tag, keyed by its offset.
+     */
+    public static function contexts(string $content, array $tags): array
+    {
+        $contexts = [];
+        $in_tag = false;
+        $quote = '';
+        $position = 0;
+
+        foreach ($tags as [$text, $offset]) {
+            while ($position < $offset) {
+                if ($quote !== '') {
+                    $end = strpos($content, $quote, $position);
+                    if ($end === false || $end >= $offset) {
+                        break;
+                    }
+                    $quote = '';
+                    $position = $end + 1;
+                } elseif ($in_tag) {
+                    $position += strcspn($content, '"\'>', $position, $offset - $position);
+                    if ($position >= $offset) {
+                        break;
+                    }
+                    if ($content[$position] === '>') {
+                        $in_tag = false;
+                    } else {
+                        $quote = $content[$position];
+                    }
+                    $position++;
+                } else {
+                    $start = strpos($content, '<', $position);
+                    if ($start === false || $start >= $offset) {
+                        break;
+                    }
+                    // "<" followed by a name, "/" or "!" starts a tag; "a < b" is text.
+                    $in_tag = isset($content[$start + 1]) && (ctype_alpha($content[$start + 1]) || $content[$start + 1] === '/' || $content[$start + 1] === '!');
+                    $position = $start + 1;
+                }
+            }
+
+            $contexts[$offset] = $in_tag ? self::ATTR : self::HTML;
+            $position = max($position, $offset + strlen($text));
+        }
+
+        return $contexts;
+    }
+}
@@ -0,0 +1,236 @@
+<?php
+namespace DataEngine\Engine;
+
+use DataEngine\Utils\Logger;
+
+/**
+ * Expression_Evaluator Class.
+ *
+ * Computes the value of a [set:name = expression] marker:
+ *
+ *   expression := concat [ '|' filters ]
+ *   concat     := sum ( '~' sum )*
+ *   sum        := product ( ('+' | '-') product )*
+ *   product    := unary ( ('*' | '/') unary )*
+ *   unary      := '-' unary | primary
+ *   primary    := number | 'string' | "string" | %tag% | '(' concat ')'
+ *
+ * `~` joins values as text; the arithmetic operators treat an empty value
+ * as 0 and reject anything else that is not numeric. The filters after a
+ * top-level '|' apply to the whole result, as they would after a tag. The
+ * same grammar is validated by parseSetArgument() in src/js/template-parser.js.
+ *
+ * @since 1.2.0
+ */
+class Expression_Evaluator
+{
+
+    private const TOKEN_REGEX = '/\G(?:(?<space>\s+)|(?<tag>%[^%]*%)|(?<string>\'(?:[^\'\\\\]|\\\\.)*\'|"(?:[^"\\\\]|\\\\.)*")|(?<number>\d+(?:\.\d+)?|\.\d+)|(?<symbol>[-+*\/~()|]))/';
+
+    /**
+     * Resolves a %tag% to its rendered value.
+     * @var callable(string): string
+     */
+    private $resolve_tag;
+
+    /**
+     * Applies a filter chain such as "math('divide', 100) | number_format(2)" to a value.
+     * @var callable(string, string): string
+     */
+    private $apply_filters;
+
+    /**
+     * @var array<int, array{type: string, value: string}>
+     */
+    private array $tokens = [];
+
+    private int $position = 0;
+
+    /**
+     * @param callable(string): string         $resolve_tag   Renders a single tag, filters included.
+     * @param callable(string, string): string $apply_filters Applies a filter chain to a value.
+     */
+    public function __construct(callable $resolve_tag, callable $apply_filters)
+    {
+        $this->resolve_tag = $resolve_tag;
+        $this->apply_filters = $apply_filters;
+    }
+
+    /**
+     * Evaluates an expression. Invalid expressions, non-numeric operands and
+     * divisions by zero are logged and evaluate to an empty string.
+     */
+    public function evaluate(string $expression): string
+    {
+        try {
+            [$this->tokens, $filters] = $this->tokenize($expression);
+            $this->position = 0;
+
+            $value = $this->parse_concat();
+            if ($this->peek() !== null) {
+                throw new \InvalidArgumentException("Unexpected '{$this->peek()['value']}'");
+            }
+        } catch (\InvalidArgumentException $e) {
+            Logger::log("Invalid expression '{$expression}': " . $e->getMessage(), 'DEBUG');
+            return '';
+        }
+
+        $result = $this->to_string($value);
+        if (trim($filters) !== '') {
+            $result = (string) ($this->apply_filters)($result, $filters);
+        }
+
+        Logger::log("Expression '{$expression}' result: '{$result}'", 'DEBUG');
+        return $result;
+    }
+
+    /**
+     * Splits the expression into tokens, up to the first '|' outside tags
+     * and strings; the text after it is returned as the filter chain.
+     *
+     * @return array{0: array<int, array{type: string, value: string}>, 1: string}
+     */
+    private function tokenize(string $expression): array
+    {
+        $tokens = [];
+        $offset = 0;
+
+        while ($offset < strlen($expression)) {
+            if (!preg_match(self::TOKEN_REGEX, $expression, $matches, PREG_UNMATCHED_AS_NULL, $offset)) {
+                throw new \InvalidArgumentException('Unterminated string or unexpected character at ' . substr($expression, $offset));
+            }
+            $offset += strlen($matches[0]);
+
+            if ($matches['symbol'] === '|') {
+                return [$tokens, substr($expression, $offset)];
+            }
+
+            foreach (['tag', 'string', 'number', 'symbol'] as $type) {
+                if ($matches[$type] !== null) {
+                    $tokens[] = ['type' => $type, 'value' => $matches[$type]];
+                    break;
+                }
+            }
+        }
+
+        return [$tokens, ''];
+    }
+
+    private function peek(): ?array
+    {
+        return $this->tokens[$this->position] ?? null;
+    }
+
+    /**
+     * Consumes the next token if it is one of the `$symbols`.
+     */
+    private function accept(string ...$symbols): ?string
+    {
+        $token = $this->peek();
+        if ($token !== null && $token['type'] === 'symbol' && in_array($token['value'], $symbols, true)) {
+            $this->position++;
+            return $token['value'];
+        }
+        return null;
+    }
+
+    private function parse_concat(): string|int|float
+    {
+        $value = $this->parse_sum();
+        while ($this->accept('~') !== null) {
+            $value = $this->to_string($value) . $this->to_string($this->parse_sum());
+        }
+        return $value;
+    }
+
+    private function parse_sum(): string|int|float
+    {
+        $value = $this->parse_product();
+        while (($operator = $this->accept('+', '-')) !== null) {
+            $right = $this->to_number($this->parse_product());
+            $value = $operator === '+' ? $this->to_number($value) + $right : $this->to_number($value) - $right;
+        }
+        return $value;
+    }
+
+    private function parse_product(): string|int|float
+    {
+        $value = $this->parse_unary();
+        while (($operator = $this->accept('*', '/')) !== null) {
+            $right = $this->to_number($this->parse_unary());
+            if ($operator === '*') {
+                $value = $this->to_number($value) * $right;
+                continue;
+            }
+            if ($right == 0) {
+                throw new \InvalidArgumentException('Division by zero');
+            }
+            $value = $this->to_number($value) / $right;
+        }
+        return $value;
+    }
+
+    private function parse_unary(): string|int|float
+    {
+        if ($this->accept('-') !== null) {
+            return -$this->to_number($this->parse_unary());
+        }
+        return $this->parse_primary();
+    }
+
+    private function parse_primary(): string|int|float
+    {
+        if ($this->accept('(') !== null) {
+            $value = $this->parse_concat();
+            if ($this->accept(')') === null) {
+                throw new \InvalidArgumentException("Missing ')'");
+            }
+            return $value;
+        }
+
+        $token = $this->peek();
+        if ($token === null || $token['type'] === 'symbol') {
+            throw new \InvalidArgumentException('Expected a tag or a value' . ($token ? " before '{$token['value']}'" : ''));
+        }
+        $this->position++;
+
+        switch ($token['type']) {
+            case 'tag':
+                return (string) ($this->resolve_tag)($token['value']);
+            case 'string':
+                // Drop the quotes and unescape \', \" and \\
+                return preg_replace('/\\\\([\'"\\\\])/', '$1', substr($token['value'], 1, -1));
+            default:
+                return $token['value'];
+        }
+    }
+
+    private function to_number(string|int|float $value): int|float
+    {
+        if (!is_string($value)) {
+            return $value;
+        }
+
+        $value = trim($value);
+        if ($value === '') {
+            return 0;
+        }
+        if (!is_numeric($value)) {
+            throw new \InvalidArgumentException("'{$value}' is not a number");
+        }
+        return $value + 0;
+    }
+
+    /**
+     * Prints computed numbers without float noise: 0.1 + 0.2 gives 0.3,
+     * 10 / 2 gives 5. Text and tag values are returned as they are.
+     */
+    private function to_string(string|int|float $value): string
+    {
+        if (is_float($value)) {
+            $value = round($value, 10);
+            return $value == floor($value) && abs($value) < PHP_INT_MAX ? (string) (int) $value : (string) $value;
+        }
+        return (string) $value;
+    }
+}
@@ -20,55 +20,398 @@ class Filters
      */
     private static array $custom_filters = [];
 
+    /**
+     * Metadata of registered custom filters, keyed by filter name.
+     * @var array<string, array>
+     */
+    private static array $custom_definitions = [];
+
+    /**
+     * Metadata of the built-in filters, keyed by the name after "filter_".
+     *
+     * Each entry may contain:
+     * - label:       Short human-readable name.
+     * - description: What the filter does.
+     * - args:        List of ['name', 'type' => 'string'|'number', 'default', 'required', 'description'].
+     * - accepts:     Input types the filter works on: 'text', 'number', 'date', 'list' or 'any'.
+     *                A 'list' is a comma-separated value such as taxonomy terms.
+     * - escapes:     True when the filter escapes the value itself (or, like raw, decides
+     *                not to); the default escaping of the tag is then skipped.
+     * - html:        True when the filter adds markup from its arguments; the value is
+     *                escaped before the filter runs instead of after the chain.
+     */
+    private const BUILTIN_DEFINITIONS = [
+        'date_format' => [
+            'label' => 'Format date',
+            'description' => 'Formats a date or timestamp according to a PHP date format',
+            'args' => [
+                ['name' => 'format', 'type' => 'string', 'default' => 'Y-m-d H:i:s', 'description' => 'PHP date format, e.g. F j, Y'],
+            ],
+            'accepts' => ['date', 'number'],
+        ],
+        'number_format' => [
+            'label' => 'Format number',
+            'description' => 'Formats a number with grouped thousands',
+            'args' => [
+                ['name' => 'decimals', 'type' => 'number', 'default' => 2, 'description' => 'Number of decimal digits'],
+                ['name' => 'dec_point', 'type' => 'string', 'default' => '.', 'description' => 'Decimal point character'],
+                ['name' => 'thousands_sep', 'type' => 'string', 'default' => ',', 'description' => 'Thousands separator'],
+            ],
+            'accepts' => ['number'],
+        ],
+        'truncate' => [
+            'label' => 'Truncate text',
+            'description' => 'Strips HTML and limits text to the specified length',
+            'args' => [
+                ['name' => 'length', 'type' => 'number', 'default' => 100, 'description' => 'Maximum number of characters to keep'],
+                ['name' => 'suffix', 'type' => 'string', 'default' => '...', 'description' => 'Text appended when the value is cut'],
+            ],
+            'accepts' => ['text'],
+        ],
+        'uppercase' => [
+            'label' => 'Convert to uppercase',
+            'description' => 'Converts text to uppercase letters',
+            'accepts' => ['text'],
+        ],
+        'lowercase' => [
+            'label' => 'Convert to lowercase',
+            'description' => 'Converts text to lowercase letters',
+            'accepts' => ['text'],
+        ],
+        'limit' => [
+            'label' => 'Limit terms',
+            'description' => 'Limits the number of terms displayed',
+            'args' => [
+                ['name' => 'limit', 'type' => 'number', 'default' => 10, 'required' => true, 'description' => 'Number of terms to keep'],
+            ],
+            'accepts' => ['list'],
+        ],
+        'separator' => [
+            'label' => 'Change separator',
+            'description' => 'Changes the separator between terms',
+            'args' => [
+                ['name' => 'separator', 'type' => 'string', 'default' => ' / ', 'required' => true, 'description' => 'Text placed between terms'],
+            ],
+            'accepts' => ['list'],
+            'html' => true,
+        ],
+        'sort' => [
+            'label' => 'Sort terms',
+            'description' => 'Sorts terms alphabetically',
+            'args' => [
+                ['name' => 'sort by', 'type' => 'string', 'default' => 'name', 'required' => true, 'description' => "'name' for A-Z or 'reverse' for Z-A"],
+            ],
+            'accepts' => ['list'],
+        ],
+        'wrap' => [
+            'label' => 'Wrap terms',
+            'description' => 'Wraps each term in the given HTML',
+            'args' => [
+                ['name' => 'prefix', 'type' => 'string', 'default' => '<span>', 'required' => true, 'description' => 'HTML placed before each term'],
+                ['name' => 'suffix', 'type' => 'string', 'default' => '</span>', 'required' => true, 'description' => 'HTML placed after each term'],
+            ],
+            'accepts' => ['list'],
+            'html' => true,
+        ],
+        'exclude' => [
+            'label' => 'Exclude terms',
+            'description' => 'Leaves out specific terms',
+            'args' => [
+                ['name' => 'terms', 'type' => 'string', 'default' => '', 'required' => true, 'description' => 'Comma-separated list of terms to leave out'],
+            ],
+            'accepts' => ['list'],
+        ],
+        'join' => [
+            'label' => 'Join values',
+            'description' => 'Joins the non-empty values of a multi-value field',
+            'args' => [
+                ['name' => 'separator', 'type' => 'string', 'default' => ', ', 'description' => 'Text placed between values'],
+            ],
+            'accepts' => ['list'],
+            'html' => true,
+        ],
+        'count' => [
+            'label' => 'Count values',
+            'description' => 'Returns the number of non-empty values',
+            'accepts' => ['list'],
+        ],
+        'first' => [
+            'label' => 'First value',
+            'description' => 'Returns the first non-empty value',
+            'accepts' => ['list'],
+        ],
+        'last' => [
+            'label' => 'Last value',
+            'description' => 'Returns the last non-empty value',
+            'accepts' => ['list'],
+        ],
+        'raw' => [
+            'label' => 'Raw output',
+            'description' => 'Outputs the value without escaping; the widget\'s sanitization profile still applies',
+            'accepts' => ['any'],
+            'escapes' => true,
+        ],
+        'esc_attr' => [
+            'label' => 'Escape for attribute',
+            'description' => 'Escapes the value for use inside an HTML attribute',
+            'accepts' => ['any'],
+            'escapes' => true,
+        ],
+        'esc_url' => [
+            'label' => 'Escape URL',
+            'description' => 'Cleans a URL for href or src; unsafe protocols such as javascript: are removed',
+            'accepts' => ['text'],
+            'escapes' => true,
+        ],
+        'json' => [
+            'label' => 'JSON',
+            'description' => 'Encodes the value as a JSON string, safe inside <script> and attributes',
+            'accepts' => ['any'],
+            'escapes' => true,
+        ],
+        'default' => [
+            'label' => 'Default value',
+            'description' => 'Returns the given value when the field is empty',
+            'args' => [
+                ['name' => 'value', 'type' => 'string', 'default' => '', 'required' => true, 'description' => 'Text used when the field is empty'],
+            ],
+            'accepts' => ['any'],
+        ],
+        'replace' => [
+            'label' => 'Replace text',
+            'description' => 'Replaces every occurrence of a text',
+            'args' => [
+                ['name' => 'search', 'type' => 'string', 'default' => '', 'required' => true, 'description' => 'Text to look for'],
+                ['name' => 'replace', 'type' => 'string', 'default' => '', 'description' => 'Text put in its place'],
+            ],
+            'accepts' => ['text'],
+        ],
+        'slugify' => [
+            'label' => 'Slugify',
+            'description' => 'Converts text to a URL slug, e.g. "Hello World!" to hello-world',
+            'accepts' => ['text'],
+        ],
+        'strip_tags' => [
+            'label' => 'Strip HTML tags',
+            'description' => 'Removes HTML tags, keeping their text',
+            'args' => [
+                ['name' => 'allowed', 'type' => 'string', 'default' => '', 'description' => 'Tags to keep, e.g. <b><i>'],
+            ],
+            'accepts' => ['text'],
+        ],
+        'nl2br' => [
+            'label' => 'Line breaks to <br>',
+            'description' => 'Inserts a <br> before every line break of a text',
+            'accepts' => ['text'],
+            'html' => true,
+        ],
+        'markdown' => [
+            'label' => 'Markdown',
+            'description' => 'Converts Markdown (headings, lists, bold, italic, code and links) to HTML',
+            'accepts' => ['text'],
+            'html' => true,
+        ],
+        'word_count' => [
+            'label' => 'Count words',
+            'description' => 'Returns the number of words of a text, HTML tags excluded',
+            'accepts' => ['text'],
+        ],
+        'reading_time' => [
+            'label' => 'Reading time',
+            'description' => 'Returns the estimated minutes needed to read a text (at least 1)',
+            'args' => [
+                ['name' => 'words_per_minute', 'type' => 'number', 'default' => 200, 'description' => 'Reading speed'],
+            ],
+            'accepts' => ['text'],
+        ],
+        'relative_date' => [
+            'label' => 'Relative date',
+            'description' => 'Formats a date or timestamp relative to now, e.g. "3 days ago" or "in 2 hours"',
+            'accepts' => ['date', 'number'],
+        ],
+        'currency' => [
+            'label' => 'Format currency',
+            'description' => 'Formats a number as an amount of money with the conventions of a locale',
+            'args' => [
+                ['name' => 'currency', 'type' => 'string', 'default' => 'USD', 'description' => 'ISO 4217 currency code, e.g. EUR'],
+                ['name' => 'locale', 'type' => 'string', 'default' => '', 'description' => "Locale such as de_DE; empty for the site's locale"],
+            ],
+            'accepts' => ['number'],
+        ],
+        'math' => [
+            'label' => 'Math',
+            'description' => 'Calculates with a number: add, subtract, multiply, divide, round, floor or ceil',
+            'args' => [
+                ['name' => 'operation', 'type' => 'string', 'default' => 'add', 'required' => true, 'description' => "'add', 'subtract', 'multiply', 'divide', 'round', 'floor' or 'ceil'"],
+                ['name' => 'operand', 'type' => 'number', 'default' => 0, 'description' => 'The other number; the decimals to keep for round'],
+            ],
+            'accepts' => ['number'],
+        ],
+        'pluralize' => [
+            'label' => 'Pluralize',
+            'description' => 'Follows a number with the singular or plural form of a word, e.g. "1 item", "3 items"',
+            'args' => [
+                ['name' => 'singular', 'type' => 'string', 'default' => 'item', 'required' => true, 'description' => 'Word used for 1'],
+                ['name' => 'plural', 'type' => 'string', 'default' => '', 'description' => 'Word used for other numbers; the singular with an s by default'],
+            ],
+            'accepts' => ['number'],
+        ],
+        'image_size' => [
+            'label' => 'Image size URL',
+            'description' => 'Returns the URL of an image size, from an attachment ID or URL',
+            'args' => [
+                ['name' => 'size', 'type' => 'string', 'default' => 'medium', 'description' => 'A registered image size: thumbnail, medium, large, full...'],
+            ],
+            'accepts' => ['number', 'text'],
+        ],
+    ];
+
     /**
      * Applies a chain of filters to a given value.
      *
-     * @param mixed $value The original value from the data source.
-     * @param array $filters An array of filters to apply, each with a name and arguments.
-     * @return mixed The transformed value.
+     * With an escaping context, the result is escaped for it (see Escaper)
+     * unless a filter of the chain escapes by itself. Filters that add
+     * markup receive the escaped value, so their markup is kept.
+     *
+     * @param mixed       $value   The original value from the data source.
+     * @param array       $filters An array of filters to apply, each with a name and arguments.
+     * @param string|null $escape  Escaper::HTML or Escaper::ATTR, or null to leave the value as it is.
+     * @return mixed The transformed value; a string when `$escape` is set.
      */
-    public static function apply($value, array $filters)
+    public static function apply($value, array $filters, ?string $escape = null)
     {
+        if ($escape !== null && self::chain_has($filters, 'escapes')) {
+            $escape = null;
+        }
+
         foreach ($filters as $filter) {
             $filter_name = $filter['name'];
             $args = $filter['args'] ?? [];
 
+            if ($escape !== null && self::chain_has([$filter], 'html')) {
+                $value = Escaper::escape(is_scalar($value) ? (string) $value : '', $escape);
+                $escape = null;
+            }
+
             // Prepend the original value to the arguments list for the callback.
             array_unshift($args, $value);
 
-            // Check if a built-in filter method exists (e.g., self::filter_uppercase).
-            $method_name = 'filter_' . $filter_name;
-            if (method_exists(self::class, $method_name)) {
-                $value = call_user_func_array([self::class, $method_name], $args);
-                continue;
-            }
-
-            // Check if a custom filter has been registered by a developer.
-            if (isset(self::$custom_filters[$filter_name])) {
-                $callback = self::$custom_filters[$filter_name];
-                $value = call_user_func_array($callback, $args);
+            // Arguments of the wrong type (e.g. math:'add','abc') leave the value unchanged.
+            try {
+                // Check if a built-in filter method exists (e.g., self::filter_uppercase).
+                $method_name = 'filter_' . $filter_name;
+                if (method_exists(self::class, $method_name)) {
+                    $value = call_user_func_array([self::class, $method_name], $args);
+                    continue;
+                }
+
+                // Check if a custom filter has been registered by a developer.
+                if (isset(self::$custom_filters[$filter_name])) {
+                    $callback = self::$custom_filters[$filter_name];
+                    $value = call_user_func_array($callback, $args);
+                    continue;
+                }
+            } catch (\TypeError $e) {
+                Logger::log("Filter '{$filter_name}' skipped: " . $e->getMessage(), 'WARNING');
                 continue;
             }
 
             Logger::log("Unknown filter applied: '{$filter_name}'.", 'WARNING');
         }
 
+        if ($escape !== null) {
+            return Escaper::escape(is_scalar($value) ? (string) $value : '', $escape);
+        }
         return $value;
     }
 
+    /**
+     * Whether a filter of the chain has a flag ('escapes' or 'html') set
+     * in its definition.
+     */
+    private static function chain_has(array $filters, string $flag): bool
+    {
+        foreach ($filters as $filter) {
+            $definition = self::BUILTIN_DEFINITIONS[$filter['name']] ?? self::$custom_definitions[$filter['name']] ?? [];
+            if (!empty($definition[$flag])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
     /**
      * Registers a custom filter callback.
      * Allows developers to extend DataEngine with their own transformers.
+     * The metadata is what the template editor uses for autocompletion and
+     * argument validation; see BUILTIN_DEFINITIONS for the supported keys.
      *
-     * @param string   $name     The name of the filter (e.g., 'my_custom_format').
-     * @param callable $callback The function to execute for the transformation.
+     * @param string   $name       The name of the filter (e.g., 'my_custom_format').
+     * @param callable $callback   The function to execute for the transformation.
+     * @param array    $definition Optional metadata: label, description, args, accepts, escapes, html.
      */
-    public static function register(string $name, callable $callback): void
+    public static function register(string $name, callable $callback, array $definition = []): void
     {
+        if (method_exists(self::class, 'filter_' . $name)) {
+            Logger::log("Custom filter '{$name}' ignored: a built-in filter with this name exists.", 'WARNING');
+            return;
+        }
+
         self::$custom_filters[$name] = $callback;
+        self::$custom_definitions[$name] = $definition;
         Logger::log("Custom filter '{$name}' registered.", 'INFO');
     }
 
+    /**
+     * Returns the metadata of every filter that apply() can run: the built-in
+     * filter_* methods followed by the registered custom filters.
+     *
+     * @return array<int, array{name: string, label: string, description: string, args: array, accepts: string[], escapes: bool}>
+     */
+    public static function get_definitions(): array
+    {
+        $definitions = [];
+
+        foreach (get_class_methods(self::class) as $method) {
+            if (strpos($method, 'filter_') !== 0) {
+                continue;
+            }
+            $name = substr($method, strlen('filter_'));
+            $definitions[] = self::normalize_definition($name, self::BUILTIN_DEFINITIONS[$name] ?? []);
+        }
+
+        foreach (self::$custom_definitions as $name => $definition) {
+            $definitions[] = self::normalize_definition($name, $definition);
+        }
+
+        return $definitions;
+    }
+
+    /**
+     * Fills in the defaults, so the editor can rely on every key being present.
+     */
+    private static function normalize_definition(string $name, array $definition): array
+    {
+        $args = array_map(function ($arg) {
+            return array_merge([
+                'name' => 'value',
+                'type' => 'string',
+                'default' => '',
+                'required' => false,
+                'description' => '',
+            ], $arg);
+        }, $definition['args'] ?? []);
+
+        return [
+            'name' => $name,
+            'label' => $definition['label'] ?? ucwords(str_replace('_', ' ', $name)),
+            'description' => $definition['description'] ?? '',
+            'args' => array_values($args),
+            'accepts' => $definition['accepts'] ?? ['any'],
+            'escapes' => !empty($definition['escapes']),
+        ];
+    }
+
     /*
     |--------------------------------------------------------------------------
     | Built-in Filters
@@ -77,9 +420,7 @@ class Filters
 
     private static function filter_date_format($value, string $format = 'Y-m-d H:i:s'): string
     {
-        if (empty($value))
-            return '';
-        $timestamp = is_numeric($value) ? (int) $value : strtotime((string) $value);
+        $timestamp = self::to_timestamp($value);
         return $timestamp ? wp_date($format, $timestamp) : '';
     }
 
@@ -213,7 +554,7 @@ private static function filter_count($value): string
         });
         return (string) count($filtered);
     }
-    return is_empty($value) ? '0' : '1';
+    return empty($value) ? '0' : '1';
 }
 
 /**
@@ -243,4 +584,303 @@ private static function filter_last($value): string
     }
     return (string) $value;
 }
+
+    /**
+     * Output the value as it is, without the default escaping
+     */
+    private static function filter_raw($value): string
+    {
+        return (string) $value;
+    }
+
+    /**
+     * Escape the value for an HTML attribute
+     */
+    private static function filter_esc_attr($value): string
+    {
+        return esc_attr((string) $value);
+    }
+
+    /**
+     * Clean a URL and escape it for an attribute
+     */
+    private static function filter_esc_url($value): string
+    {
+        return esc_url((string) $value);
+    }
+
+    /**
+     * Encode the value as JSON, with <, >, &, ' and " escaped so it is safe
+     * inside <script> and attributes
+     */
+    private static function filter_json($value): string
+    {
+        return (string) wp_json_encode($value, JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT | JSON_UNESCAPED_UNICODE);
+    }
+
+    /**
+     * Use a fallback when the value is empty; "0" is a value
+     */
+    private static function filter_default($value, string $fallback = ''): string
+    {
+        if ($value === null || $value === '' || $value === false || $value === []) {
+            return $fallback;
+        }
+        return (string) $value;
+    }
+
+    /**
+     * Replace every occurrence of a text
+     */
+    private static function filter_replace($value, string $search = '', string $replace = ''): string
+    {
+        if ($search === '') {
+            return (string) $value;
+        }
+        return str_replace($search, $replace, (string) $value);
+    }
+
+    /**
+     * Convert text to a URL slug
+     */
+    private static function filter_slugify($value): string
+    {
+        return sanitize_title((string) $value);
+    }
+
+    /**
+     * Remove HTML tags, except the allowed ones
+     */
+    private static function filter_strip_tags($value, string $allowed = ''): string
+    {
+        if ($allowed === '') {
+            return wp_strip_all_tags((string) $value);
+        }
+        return strip_tags((string) $value, $allowed);
+    }
+
+    /**
+     * Insert <br> before line breaks
+     */
+    private static function filter_nl2br($value): string
+    {
+        return nl2br((string) $value);
+    }
+
+    /**
+     * Convert Markdown to HTML: # headings, - and 1. lists, paragraphs, and
+     * **bold**, *italic*, `code` and [links](url) inside them
+     */
+    private static function filter_markdown($value): string
+    {
+        $text = trim(str_replace(["\r\n", "\r"], "\n", (string) $value));
+        if ($text === '') {
+            return '';
+        }
+
+        $html = [];
+        foreach (preg_split('/\n\s*\n/', $text) as $block) {
+            $lines = explode("\n", trim($block));
+
+            if (count($lines) === 1 && preg_match('/^(#{1,6})\s+(.*)$/', $lines[0], $heading)) {
+                $level = strlen($heading[1]);
+                $html[] = "<h{$level}>" . self::markdown_inline($heading[2]) . "</h{$level}>";
+                continue;
+            }
+
+            foreach (['ul' => '/^\s*[-*+]\s+(.*)$/', 'ol' => '/^\s*\d+[.)]\s+(.*)$/'] as $list => $item_regex) {
+                $items = [];
+                foreach ($lines as $line) {
+                    if (!preg_match($item_regex, $line, $item)) {
+                        continue 2;
+                    }
+                    $items[] = '<li>' . self::markdown_inline($item[1]) . '</li>';
+                }
+                $html[] = "<{$list}>" . implode('', $items) . "</{$list}>";
+                continue 2;
+            }
+
+            $html[] = '<p>' . implode("<br />\n", array_map([self::class, 'markdown_inline'], $lines)) . '</p>';
+        }
+
+        return implode("\n", $html);
+    }
+
+    /**
+     * Count the words of a text
+     */
+    private static function filter_word_count($value): string
+    {
+        $text = trim(wp_strip_all_tags((string) $value));
+        return $text === '' ? '0' : (string) count(preg_split('/\s+/u', $text));
+    }
+
+    /**
+     * Estimate the reading time of a text, in minutes
+     */
+    private static function filter_reading_time($value, int $words_per_minute = 200): string
+    {
+        $words = (int) self::filter_word_count($value);
+        if ($words === 0) {
+            return '0';
+        }
+        return (string) max(1, (int) ceil($words / max(1, $words_per_minute)));
+    }
+
+    /**
+     * Format a date relative to now ("3 days ago", "in 2 hours")
+     */
+    private static function filter_relative_date($value): string
+    {
+        $timestamp = self::to_timestamp($value);
+        if (!$timestamp) {
+            return '';
+        }
+
+        $now = time();
+        $difference = human_time_diff($timestamp, $now);
+        /* translators: %s: a time span such as "3 days" */
+        return sprintf($timestamp <= $now ? __('%s ago', 'data-engine-for-elementor') : __('in %s', 'data-engine-for-elementor'), $difference);
+    }
+
+    /**
+     * Format an amount of money for a locale
+     */
+    private static function filter_currency($value, string $currency = 'USD', string $locale = ''): string
+    {
+        if (!is_numeric($value)) {
+            return (string) $value;
+        }
+
+        $currency = strtoupper($currency);
+        if (class_exists('NumberFormatter')) {
+            $formatter = new \NumberFormatter($locale !== '' ? $locale : get_locale(), \NumberFormatter::CURRENCY);
+            $formatted = $formatter->formatCurrency((float) $value, $currency);
+            if ($formatted !== false) {
+                return $formatted;
+            }
+        }
+
+        // Without the intl extension, use the site's number format
+        return $currency . ' ' . number_format_i18n((float) $value, 2);
+    }
+
+    /**
+     * Calculate with a number
+     */
+    private static function filter_math($value, string $operation = 'add', float $operand = 0): string
+    {
+        if (!is_numeric($value)) {
+            return (string) $value;
+        }
+
+        $number = (float) $value;
+        switch ($operation) {
+            case 'add':
+                $result = $number + $operand;
+                break;
+            case 'subtract':
+                $result = $number - $operand;
+                break;
+            case 'multiply':
+                $result = $number * $operand;
+                break;
+            case 'divide':
+                if ($operand == 0) {
+                    Logger::log('math filter: division by zero.', 'WARNING');
+                    return '';
+                }
+                $result = $number / $operand;
+                break;
+            case 'round':
+                $result = round($number, (int) $operand);
+                break;
+            case 'floor':
+                $result = floor($number);
+                break;
+            case 'ceil':
+                $result = ceil($number);
+                break;
+            default:
+                Logger::log("math filter: unknown operation '{$operation}'.", 'WARNING');
+                return (string) $value;
+        }
+
+        // Print 0.1 + 0.2 as 0.3 and 10 / 2 as 5
+        $result = round($result, 10);
+        return $result == floor($result) && abs($result) < PHP_INT_MAX ? (string) (int) $result : (string) $result;
+    }
+
+    /**
+     * Follow a number with the singular or plural form of a word
+     */
+    private static function filter_pluralize($value, string $singular = 'item', string $plural = ''): string
+    {
+        if (!is_numeric($value)) {
+            return (string) $value;
+        }
+
+        $word = (float) $value == 1 ? $singular : ($plural !== '' ? $plural : $singular . 's');
+        return $value . ' ' . $word;
+    }
+
+    /**
+     * Get the URL of an image size from an attachment ID or URL
+     */
+    private static function filter_image_size($value, string $size = 'medium'): string
+    {
+        if (is_numeric($value)) {
+            $attachment_id = (int) $value;
+        } else {
+            $attachment_id = $value ? attachment_url_to_postid((string) $value) : 0;
+            if (!$attachment_id) {
+                // Not a Media Library file, so there are no sizes
+                return (string) $value;
+            }
+        }
+
+        return (string) wp_get_attachment_image_url($attachment_id, $size);
+    }
+
+    /*
+    |--------------------------------------------------------------------------
+    | Helpers
+    |--------------------------------------------------------------------------
+    */
+
+    /**
+     * Read a date string or a Unix timestamp; null when empty or not a date
+     */
+    private static function to_timestamp($value): ?int
+    {
+        if (empty($value)) {
+            return null;
+        }
+        $timestamp = is_numeric($value) ? (int) $value : strtotime((string) $value);
+        return $timestamp ?: null;
+    }
+
+    /**
+     * Convert the inline Markdown of a line: `code`, **bold**, *italic* or
+     * _italic_, and [links](url)
+     */
+    private static function markdown_inline(string $text): string
+    {
+        // Code spans are set aside first, so their content is not formatted
+        $code = [];
+        $text = preg_replace_callback('/`([^`]+)`/', function ($matches) use (&$code) {
+            $code[] = '<code>' . $matches[1] . '</code>';
+            return "\x1A" . (count($code) - 1) . "\x1A";
+        }, $text);
+
+        $text = preg_replace_callback('/\[([^\]]+)\]\(([^)\s]+)\)/', function ($matches) {
+            return '<a href="' . esc_url(html_entity_decode($matches[2])) . '">' . $matches[1] . '</a>';
+        }, $text);
+        $text = preg_replace('/\*\*(.+?)\*\*|__(.+?)__/', '<strong>$1$2</strong>', $text);
+        $text = preg_replace('/(?<![\w*])\*(?!\s)(.+?)(?<!\s)\*(?!\*)|(?<!\w)_(?!\s)(.+?)(?<!\s)_(?!\w)/', '<em>$1$2</em>', $text);
+
+        return preg_replace_callback('/\x1A(\d+)\x1A/', function ($matches) use ($code) {
+            return $code[(int) $matches[1]];
+        }, $text);
+    }
 }
@@ -0,0 +1,123 @@
+<?php
+namespace DataEngine\Engine;
+
+use DataEngine\Utils\Logger;
+
+/**
+ * Kses_Profiles Class.
+ *
+ * The sets of allowed HTML a widget's output is sanitized with, chosen per
+ * widget. Tag values are already escaped by the Parser; the profile decides
+ * what markup the template itself, WYSIWYG fields, inline SVG and |raw
+ * values may contain.
+ *
+ * @since 1.2.0
+ */
+class Kses_Profiles
+{
+    public const DEFAULT_PROFILE = 'post';
+
+    // The elements and attributes of inline SVG icons.
+    private const SVG_ATTRIBUTES = [
+        'class' => true, 'id' => true, 'fill' => true, 'fill-rule' => true, 'clip-rule' => true, 'opacity' => true,
+        'stroke' => true, 'stroke-width' => true, 'stroke-linecap' => true, 'stroke-linejoin' => true,
+        'transform' => true, 'style' => true, 'aria-hidden' => true, 'role' => true,
+    ];
+    private const SVG_ELEMENTS = [
+        'svg' => ['xmlns' => true, 'width' => true, 'height' => true, 'viewbox' => true, 'preserveaspectratio' => true, 'focusable' => true],
+        'g' => [],
+        'path' => ['d' => true],
+        'circle' => ['cx' => true, 'cy' => true, 'r' => true],
+        'ellipse' => ['cx' => true, 'cy' => true, 'rx' => true, 'ry' => true],
+        'rect' => ['x' => true, 'y' => true, 'width' => true, 'height' => true, 'rx' => true, 'ry' => true],
+        'line' => ['x1' => true, 'y1' => true, 'x2' => true, 'y2' => true],
+        'polyline' => ['points' => true],
+        'polygon' => ['points' => true],
+        'title' => [],
+        'defs' => [],
+        'lineargradient' => ['x1' => true, 'y1' => true, 'x2' => true, 'y2' => true, 'gradientunits' => true],
+        'stop' => ['offset' => true, 'stop-color' => true, 'stop-opacity' => true],
+        'use' => ['href' => true, 'xlink:href' => true],
+        'symbol' => ['viewbox' => true],
+    ];
+
+    /**
+     * Registered profiles, keyed by name: a label and the allowed HTML in
+     * the wp_kses() format, or a callable returning it.
+     * @var array<string, array{label: string, allowed_html: array|callable}>
+     */
+    private static array $profiles = [];
+
+    /**
+     * Registers a profile, or replaces one with the same name.
+     *
+     * @param string         $name         The profile name stored in the widget settings.
+     * @param string         $label        The name shown in the widget's select control.
+     * @param array|callable $allowed_html Allowed elements and attributes, as wp_kses() takes them.
+     */
+    public static function register(string $name, string $label, array|callable $allowed_html): void
+    {
+        self::register_builtin_profiles();
+        self::$profiles[$name] = ['label' => $label, 'allowed_html' => $allowed_html];
+        Logger::log("Kses profile '{$name}' registered.", 'INFO');
+    }
+
+    /**
+     * The profile names and labels, for the widgets' select control.
+     *
+     * @return array<string, string>
+     */
+    public static function get_options(): array
+    {
+        self::register_builtin_profiles();
+        return array_map(function ($profile) {
+            return $profile['label'];
+        }, self::$profiles);
+    }
+
+    /**
+     * Sanitizes HTML with a profile; unknown names use the default profile.
+     */
+    public static function sanitize(string $html, string $profile): string
+    {
+        self::register_builtin_profiles();
+        if (!isset(self::$profiles[$profile])) {
+            $profile = self::DEFAULT_PROFILE;
+        }
+
+        $allowed_html = self::$profiles[$profile]['allowed_html'];
+        return wp_kses($html, is_callable($allowed_html) ? call_user_func($allowed_html) : $allowed_html);
+    }
+
+    /**
+     * The tags wp_kses_post() allows, plus inline SVG.
+     */
+    public static function post_with_svg(): array
+    {
+        $allowed_html = wp_kses_allowed_html('post');
+        foreach (self::SVG_ELEMENTS as $element => $attributes) {
+            $allowed_html[$element] = array_merge(self::SVG_ATTRIBUTES, $attributes);
+        }
+        return $allowed_html;
+    }
+
+    private static function register_builtin_profiles(): void
+    {
+        if (!empty(self::$profiles)) {
+            return;
+        }
+
+        self::$profiles = [
+            self::DEFAULT_PROFILE => [
+                'label' => __('Post content and inline SVG', 'data-engine-for-elementor'),
+                'allowed_html' => [self::class, 'post_with_svg'],
+            ],
+            'basic' => [
+                'label' => __('Basic formatting only', 'data-engine-for-elementor'),
+                'allowed_html' => function () {
+                    return wp_kses_allowed_html('data');
+                },
+            ],
+        ];
+    }
+}
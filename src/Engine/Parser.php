@@ -11,6 +11,12 @@ use DataEngine\Utils\Logger;
  * 2. Conditional logic ([if]/[fallback]).
  * 3. Data transformers (|filters).
  * 4. Loop context awareness for repeaters (%sub:field%).
+ * 5. [each] loops over list values, with %loop:% variables and aliases.
+ * 6. [layout:name] blocks for Flexible Content rows.
+ * 7. [with] blocks that switch the context post, user or term.
+ * 8. [include:name] partials, with %param:% tags for their parameters.
+ * 9. [set:name = expression] variables, read with %var:name%.
+ * 10. Context-aware escaping of tag values (see Escaper).
  *
  * @since 0.1.0
  */
@@ -19,10 +25,69 @@ class Parser
 
     private Data_Provider $data_provider;
 
-    // --- KEY CHANGE: Updated TAG_REGEX to explicitly support 'sub' source ---
-    private const TAG_REGEX = '/%(sub|acf|post):([a-zA-Z0-9_.-]+)(?:\s*\|\s*([^%]+))?%/';
-    private const IF_BLOCK_REGEX = '/\[if:([^\]]+)\](.*?)\[\/if\]/s';
+    // Any source name matches, so loop variables and [each ... as alias] names
+    // resolve too; tags with an unknown source are left as typed.
+    private const TAG_REGEX = '/%([a-zA-Z_][a-zA-Z0-9_]*):([a-zA-Z0-9_.-]+)(?:\s*\|\s*([^%]+))?%/';
+    // The body may not contain another [if:, so the innermost block always matches first.
+    private const IF_BLOCK_REGEX = '/\[if:([^\]]+)\]((?:(?!\[if:).)*?)\[\/if\]/s';
     private const FALLBACK_BLOCK_REGEX = '/(%[^%]+%)\[fallback\](.*?)\[\/fallback\]/s';
+    // [each] and [with] blocks nest, so they are paired by depth instead of a single regex.
+    private const BLOCK_MARKER_REGEX = '/\[(each|with):([^\]]*)\]|\[\/(each|with)\]/';
+    // Layout blocks do not nest; a nested Flexible Content field is looped with [each].
+    private const LAYOUT_BLOCK_REGEX = '/\[layout:\s*([a-zA-Z0-9_-]+)\s*\](.*?)\[\/layout\]/s';
+    private const WITH_ARGUMENT_REGEX = '/^\s*%([a-zA-Z_][a-zA-Z0-9_]*):([a-zA-Z0-9_.-]+)%\s*$/';
+    private const EACH_ARGUMENT_REGEX = '/^\s*%([a-zA-Z_][a-zA-Z0-9_]*):([a-zA-Z0-9_.-]+)%(?:\s+as\s+([a-zA-Z_][a-zA-Z0-9_]*))?\s*$/';
+    // [include:name param='value' other="value"]; values may contain tags.
+    private const INCLUDE_REGEX = '/\[include:\s*([a-zA-Z0-9_-]+)((?:\s+[a-zA-Z_][a-zA-Z0-9_]*\s*=\s*(?:\'[^\']*\'|"[^"]*"))*)\s*\]/';
+    private const INCLUDE_PARAM_REGEX = '/([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*(?:\'([^\']*)\'|"([^"]*)")/';
+    private const MAX_INCLUDE_DEPTH = 10;
+    // process_tags() escapes every tag for its place in the template.
+    private const ESCAPE_BY_CONTEXT = 'auto';
+    // ACF field types whose values are markup written by the site's editors.
+    private const MARKUP_FIELD_TYPES = ['wysiwyg', 'oembed'];
+    // [set] markers are found together with the block markers, so only those
+    // outside [each] and [with] blocks are evaluated at each level.
+    private const SET_SCAN_REGEX = '/\[(each|with):[^\]]*\]|\[\/(each|with)\]|\[set:([^\]]*)\]/';
+    private const SET_ARGUMENT_REGEX = '/^\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*=(.*)$/s';
+
+    /**
+     * The [each] loops being rendered, innermost last, with the ACF
+     * sub-field definitions of their item (null when it is not an ACF row).
+     * @var array<int, array{alias: string, item: array, index: int, count: int, row_fields: ?array}>
+     */
+    private array $loop_stack = [];
+
+    /**
+     * The ACF sub-field definitions of the current %sub:% row, so markup
+     * sub-fields (WYSIWYG, oEmbed) are recognised like top-level fields.
+     * Null when the row does not come from an ACF field.
+     */
+    private ?array $row_fields = null;
+
+    /**
+     * The partials being rendered, innermost last, with their parameters.
+     * @var array<int, array{name: string, params: array<string, string>}>
+     */
+    private array $include_stack = [];
+
+    /**
+     * The variables set by [set] markers, one scope per template being
+     * rendered (the page, each loop iteration, [with] block and partial),
+     * innermost last.
+     * @var array<int, array<string, string>>
+     */
+    private array $variable_scopes = [];
+
+    /**
+     * Rendered output of [each], [with] and [include], keyed by placeholder
+     * number. It holds field values, so the outer passes ([if], [fallback],
+     * tags) see only the placeholder and never parse data as template code.
+     * @var array<int, string>
+     */
+    private array $fragments = [];
+
+    // Random part of the placeholders, so a field value cannot forge one.
+    private ?string $fragment_key = null;
 
     public function __construct(Data_Provider $data_provider)
     {
@@ -37,24 +102,50 @@ class Parser
         return $this->process_content($content, $context_post_id, null);
     }
 
-    public function process_loop_item(string $template, array $loop_item_data, ?int $context_post_id = null): string
+    /**
+     * Processes a template for one row of a Repeater or Flexible Content field.
+     *
+     * @param array|null $field The ACF field object the row belongs to, so its
+     *                          sub-fields' types are known; optional.
+     */
+    public function process_loop_item(string $template, array $loop_item_data, ?int $context_post_id = null, ?array $field = null): string
     {
-        return $this->process_content($template, $context_post_id, $loop_item_data);
+        $previous_row_fields = $this->row_fields;
+        $this->row_fields = $field !== null ? $this->get_row_fields($field, $loop_item_data) : null;
+        try {
+            return $this->process_content($template, $context_post_id, $loop_item_data);
+        } finally {
+            $this->row_fields = $previous_row_fields;
+        }
     }
 
     /**
      * The main internal processing engine, now aware of loop context.
      * All other methods call this one to ensure consistent processing order.
      */
-    private function process_content(string $content, ?int $context_post_id, ?array $loop_item_data): string
+    private function process_content(string $content, int|string|null $context_post_id, ?array $loop_item_data): string
     {
         // Clear taxonomy context at the beginning of each content processing
         $this->clear_taxonomy_context();
 
-        // The order is critical: process structures first, then simple tags.
-        $content = $this->process_conditionals($content, $context_post_id, $loop_item_data);
-        $content = $this->process_fallbacks($content, $context_post_id, $loop_item_data);
-        $content = $this->process_tags($content, $context_post_id, $loop_item_data);
+        // Variables set in this template are dropped once it is rendered.
+        $this->variable_scopes[] = [];
+        try {
+            // The order is critical: process structures first, then simple tags.
+            // Variables come first, so every block can read them; loops and
+            // [with] blocks next, so conditions inside them see each item or
+            // the switched context.
+            $content = $this->process_sets($content, $context_post_id, $loop_item_data);
+            $content = $this->process_blocks($content, $context_post_id, $loop_item_data);
+            $content = $this->process_layouts($content, $loop_item_data);
+            $content = $this->process_includes($content, $context_post_id, $loop_item_data);
+            $content = $this->process_conditionals($content, $context_post_id, $loop_item_data);
+            $content = $this->process_fallbacks($content, $context_post_id, $loop_item_data);
+            $content = $this->process_tags($content, $context_post_id, $loop_item_data);
+            $content = $this->restore_fragments($content);
+        } finally {
+            array_pop($this->variable_scopes);
+        }
 
         return $content;
     }
@@ -62,7 +153,7 @@ class Parser
     /**
      * Processes [if] blocks, now passing the loop context to sub-processes.
      */
-    private function process_conditionals(string $content, ?int $context_post_id, ?array $loop_item_data): string
+    private function process_conditionals(string $content, int|string|null $context_post_id, ?array $loop_item_data): string
     {
         // Use a while loop to correctly handle nested [if] blocks from the inside out.
         while (preg_match(self::IF_BLOCK_REGEX, $content)) {
@@ -126,72 +217,510 @@ class Parser
     }
 
     /**
-     * Evaluates a condition, now aware of loop context.
+     * Evaluates a condition, now aware of loop context. See
+     * Condition_Evaluator for the expression grammar.
      */
-    private function evaluate_condition(string $condition_string, ?int $context_post_id, ?array $loop_item_data): bool
+    private function evaluate_condition(string $condition_string, int|string|null $context_post_id, ?array $loop_item_data): bool
     {
-        $condition_regex = '/^\s*(%[^%]+%)\s*(==|!=|>=|<=|>|<|contains|not_contains|empty|not_empty)(?:\s+\'?([^\']*)\'?)?\s*$/';
-        if (!preg_match($condition_regex, $condition_string, $matches)) {
-            Logger::log("Invalid condition format: '{$condition_string}'", 'DEBUG');
+        // Tags are resolved with process_tags directly, avoiding a recursive
+        // call to the full process_content method.
+        // Values are compared as they are, not escaped.
+        $evaluator = new Condition_Evaluator(function (string $tag) use ($context_post_id, $loop_item_data) {
+            return $this->process_tags($tag, $context_post_id, $loop_item_data, null);
+        });
+
+        return $evaluator->evaluate($condition_string);
+    }
+
+    /**
+     * Processes [each:%source:field%]...[/each] and [with:%source:field%]...[/with]
+     * blocks, outermost first. The body of a loop is rendered once per item,
+     * with the item as the %sub:% context; the body of a [with] block once,
+     * in the context of the related object. Nested blocks are handled by the
+     * recursive process_content() call.
+     */
+    private function process_blocks(string $content, int|string|null $context_post_id, ?array $loop_item_data): string
+    {
+        if (strpos($content, '[each:') === false && strpos($content, '[with:') === false) {
+            return $content;
+        }
+
+        preg_match_all(self::BLOCK_MARKER_REGEX, $content, $markers, PREG_SET_ORDER | PREG_OFFSET_CAPTURE);
+
+        $output = '';
+        $cursor = 0;
+        $open_types = [];
+        $open = null;
+
+        foreach ($markers as $marker) {
+            [$marker_text, $offset] = $marker[0];
+
+            if ($marker[1][0] !== '') {
+                if (empty($open_types)) {
+                    $open = $marker;
+                }
+                $open_types[] = $marker[1][0];
+                continue;
+            }
+
+            // A stray closing marker, or one that does not match the innermost
+            // open block, is left as text.
+            if (end($open_types) !== $marker[3][0]) {
+                continue;
+            }
+            array_pop($open_types);
+            if (!empty($open_types)) {
+                continue;
+            }
+
+            $body_start = $open[0][1] + strlen($open[0][0]);
+            $body = substr($content, $body_start, $offset - $body_start);
+            $output .= substr($content, $cursor, $open[0][1] - $cursor);
+            $output .= $this->protect_fragment($open[1][0] === 'each'
+                ? $this->render_loop($open[2][0], $body, $context_post_id, $loop_item_data)
+                : $this->render_with($open[2][0], $body, $context_post_id, $loop_item_data));
+            $cursor = $offset + strlen($marker_text);
+        }
+
+        // An unclosed block is left as text, like an unclosed [if:].
+        return $output . substr($content, $cursor);
+    }
+
+    /**
+     * Renders the body of one [each] block for every item of its list.
+     */
+    private function render_loop(string $argument, string $body, int|string|null $context_post_id, ?array $loop_item_data): string
+    {
+        if (!preg_match(self::EACH_ARGUMENT_REGEX, $argument, $matches)) {
+            Logger::log("Invalid [each] argument: '{$argument}'", 'DEBUG');
+            return '';
+        }
+
+        $alias = $matches[3] ?? '';
+        if (in_array($alias, ['loop', 'param', 'var'], true) || $this->is_data_source($alias)) {
+            Logger::log("[each] alias '{$alias}' is reserved and was ignored.", 'WARNING');
+            $alias = '';
+        }
+
+        $value = $this->resolve_raw_value($matches[1], $matches[2], $context_post_id, $loop_item_data);
+        $items = $this->get_loop_items($value);
+        $count = count($items);
+        $field = $this->get_field_definition($matches[1], $matches[2], $context_post_id);
+        Logger::log("Rendering [each:{$matches[1]}:{$matches[2]}] over {$count} items", 'DEBUG');
+
+        $html = '';
+        $previous_row_fields = $this->row_fields;
+        foreach ($items as $index => $item) {
+            $this->row_fields = $field !== null ? $this->get_row_fields($field, $item) : null;
+            $this->loop_stack[] = ['alias' => $alias, 'item' => $item, 'index' => $index, 'count' => $count, 'row_fields' => $this->row_fields];
+            try {
+                $html .= $this->process_content($body, $context_post_id, $item);
+            } finally {
+                array_pop($this->loop_stack);
+                $this->row_fields = $previous_row_fields;
+            }
+        }
+
+        return $html;
+    }
+
+    /**
+     * Renders the body of a [with] block with the post, user or term the
+     * tag refers to as the context, so %acf:% (and %post:%, %term:% or
+     * %author:%) read that object. The %sub:% context is kept.
+     */
+    private function render_with(string $argument, string $body, int|string|null $context_post_id, ?array $loop_item_data): string
+    {
+        if (!preg_match(self::WITH_ARGUMENT_REGEX, $argument, $matches)) {
+            Logger::log("Invalid [with] argument: '{$argument}'", 'DEBUG');
+            return '';
+        }
+
+        $value = $this->resolve_raw_value($matches[1], $matches[2], $context_post_id, $loop_item_data);
+        $context = $this->get_context_id($value);
+        if ($context === null) {
+            Logger::log("[with:{$matches[1]}:{$matches[2]}] does not refer to a post, user or term; block removed.", 'DEBUG');
+            return '';
+        }
+        if (!$this->can_read_context($context)) {
+            Logger::log("[with:{$matches[1]}:{$matches[2]}] refers to '{$context}', which the visitor cannot read; block removed.", 'DEBUG');
+            return '';
+        }
+
+        Logger::log("Rendering [with:{$matches[1]}:{$matches[2]}] in context '{$context}'", 'DEBUG');
+        return $this->process_content($body, $context, $loop_item_data);
+    }
+
+    /**
+     * Turns the value of a post object, relationship, user or taxonomy field
+     * into a context: a post ID, or an ACF object ID such as 'user_3' or
+     * 'term_12'. Plain numbers are post IDs; of a list, the first item is
+     * used. Returns null for anything else.
+     */
+    private function get_context_id(mixed $value): int|string|null
+    {
+        if (is_array($value) && array_is_list($value)) {
+            $value = $value[0] ?? null;
+        }
+
+        if ($value instanceof \WP_Post) {
+            return $value->ID;
+        }
+        if ($value instanceof \WP_User) {
+            return 'user_' . $value->ID;
+        }
+        if ($value instanceof \WP_Term) {
+            return 'term_' . $value->term_id;
+        }
+        if (is_numeric($value) && (int) $value > 0) {
+            return (int) $value;
+        }
+
+        // Array return formats (ACF user arrays, [each] items)
+        if (is_array($value)) {
+            if (isset($value['term_id'])) {
+                return 'term_' . (int) $value['term_id'];
+            }
+            if (isset($value['user_email']) || isset($value['user_login'])) {
+                return 'user_' . (int) $value['ID'];
+            }
+            if (isset($value['ID'])) {
+                return (int) $value['ID'];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether the visitor may see the context of a [with] block: a post that
+     * is public (or readable by the user) and not behind a password, a user
+     * who authored public posts, or a term of a public taxonomy. The ID can
+     * come from a query parameter, so it is never trusted.
+     */
+    private function can_read_context(int|string $context): bool
+    {
+        if (is_int($context)) {
+            $post = get_post($context);
+            if (!$post instanceof \WP_Post || post_password_required($post)) {
+                return false;
+            }
+            return is_post_publicly_viewable($post) || current_user_can('read_post', $post->ID);
+        }
+
+        if (str_starts_with($context, 'user_')) {
+            $user_id = (int) substr($context, strlen('user_'));
+            if (!get_userdata($user_id)) {
+                return false;
+            }
+            return count_user_posts($user_id, get_post_types(['public' => true]), true) > 0 || current_user_can('list_users');
+        }
+
+        $term = get_term((int) substr($context, strlen('term_')));
+        if (!$term instanceof \WP_Term) {
             return false;
         }
+        return is_taxonomy_viewable($term->taxonomy) || current_user_can('edit_term', $term->term_id);
+    }
 
-        $tag = $matches[1];
-        $operator = $matches[2];
-        $expected_value = $matches[3] ?? ''; // Optional for empty/not_empty
+    /**
+     * Returns the value behind a tag before any rendering, e.g. the rows of
+     * a repeater or the posts of a relationship field.
+     */
+    private function resolve_raw_value(string $source, string $path_string, int|string|null $context_post_id, ?array $loop_item_data): mixed
+    {
+        $path_parts = explode('.', $path_string);
+        $field_name = array_shift($path_parts);
 
-        // CRITICAL FIX: We now use process_tags directly to resolve the value,
-        // avoiding a recursive call to the full process_content method.
-        $actual_value = $this->process_tags($tag, $context_post_id, $loop_item_data);
-        
-        // 🔥 DEBUG: Log the comparison
-        Logger::log("Evaluating: '{$actual_value}' {$operator} '{$expected_value}'", 'DEBUG');
+        if ($source === 'sub') {
+            $value = $loop_item_data[$field_name] ?? null;
+        } elseif ($this->is_data_source($source)) {
+            $value = $this->data_provider->get_value($source, $field_name, $context_post_id);
+        } else {
+            $frame = $this->find_loop_frame($source);
+            $value = $frame ? ($frame['item'][$field_name] ?? null) : null;
+        }
 
-        $result = false;
-        switch ($operator) {
-            case '==':
-                $result = $actual_value == $expected_value;
-                break;
-            case '!=':
-                $result = $actual_value != $expected_value;
-                break;
-            case '>':
-                $result = (float) $actual_value > (float) $expected_value;
-                break;
-            case '<':
-                $result = (float) $actual_value < (float) $expected_value;
-                break;
-            case '>=':
-                $result = (float) $actual_value >= (float) $expected_value;
-                break;
-            case '<=':
-                $result = (float) $actual_value <= (float) $expected_value;
-                break;
-            case 'contains':
-                $result = str_contains((string) $actual_value, (string) $expected_value);
-                break;
-            case 'not_contains':
-                $result = !str_contains((string) $actual_value, (string) $expected_value);
-                break;
-            // 🔥 NEW: Empty/not_empty operators
-            case 'empty':
-                $result = $this->is_empty_value($actual_value);
-                break;
-            case 'not_empty':
-                $result = !$this->is_empty_value($actual_value);
+        return $this->traverse_path($value, $path_parts);
+    }
+
+    /**
+     * Turns a field value into the list of items an [each] block iterates.
+     * Every item becomes an array, so %sub:% can read it like a repeater row:
+     * posts and terms expose their properties, plain values (checkbox
+     * choices, IDs) are available as %sub:value%.
+     */
+    private function get_loop_items(mixed $value): array
+    {
+        if (empty($value)) {
+            return [];
+        }
+
+        // A single post, term or array (e.g. a post object field) is a list of one.
+        if (!is_array($value) || !array_is_list($value)) {
+            $value = [$value];
+        }
+
+        return array_map(function ($item) {
+            if ($item instanceof \WP_Post) {
+                return get_object_vars($item) + ['permalink' => get_permalink($item)];
+            }
+            if ($item instanceof \WP_Term) {
+                $link = get_term_link($item);
+                return get_object_vars($item) + ['link' => is_wp_error($link) ? '' : $link];
+            }
+            if (is_object($item)) {
+                return get_object_vars($item);
+            }
+            return is_array($item) ? $item : ['value' => $item];
+        }, $value);
+    }
+
+    /**
+     * Returns the innermost loop named `as $alias`, or null.
+     */
+    private function find_loop_frame(string $alias): ?array
+    {
+        for ($i = count($this->loop_stack) - 1; $i >= 0; $i--) {
+            if ($this->loop_stack[$i]['alias'] === $alias) {
+                return $this->loop_stack[$i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolves %loop:variable% for the innermost loop, and %alias:field% for
+     * an outer loop's item. Returns null when the tag is neither.
+     */
+    private function process_loop_tag(string $source, string $path_string, string $filters_string, int|string|null $context_post_id, ?string $escape): ?string
+    {
+        if ($source !== 'loop') {
+            $frame = $this->find_loop_frame($source);
+            if ($frame === null) {
+                return null;
+            }
+            // Render it like a %sub:% tag of that loop's item.
+            $filters = $filters_string !== '' ? "|{$filters_string}" : '';
+            $previous_row_fields = $this->row_fields;
+            $this->row_fields = $frame['row_fields'];
+            try {
+                return $this->process_tags("%sub:{$path_string}{$filters}%", $context_post_id, $frame['item'], $escape);
+            } finally {
+                $this->row_fields = $previous_row_fields;
+            }
+        }
+
+        $frame = end($this->loop_stack);
+        if ($frame === false) {
+            return null;
+        }
+
+        $variables = [
+            'index' => $frame['index'],
+            'number' => $frame['index'] + 1,
+            'count' => $frame['count'],
+            'first' => $frame['index'] === 0 ? '1' : '',
+            'last' => $frame['index'] === $frame['count'] - 1 ? '1' : '',
+        ];
+        if (!array_key_exists($path_string, $variables)) {
+            return null;
+        }
+
+        $value = $variables[$path_string];
+        return (string) Filters::apply($value, $filters_string !== '' ? $this->parse_filters($filters_string) : [], $escape);
+    }
+
+    /**
+     * Keeps the [layout:name] blocks matching the layout of the current
+     * Flexible Content row (its acf_fc_layout) and removes the others.
+     * Outside such a row every layout block is removed.
+     */
+    private function process_layouts(string $content, ?array $loop_item_data): string
+    {
+        if (strpos($content, '[layout:') === false) {
+            return $content;
+        }
+
+        $layout = $loop_item_data['acf_fc_layout'] ?? null;
+
+        return preg_replace_callback(self::LAYOUT_BLOCK_REGEX, function ($matches) use ($layout) {
+            if ($layout === null) {
+                Logger::log("[layout:{$matches[1]}] used outside a Flexible Content row; removed.", 'DEBUG');
+                return '';
+            }
+            return $matches[1] === $layout ? $matches[2] : '';
+        }, $content);
+    }
+
+    /**
+     * Replaces [include:name] markers with their partial, rendered in the
+     * caller's context: the same post, %sub:% item and loops. Parameter
+     * values are rendered first, so they may contain tags, and the partial
+     * reads them with %param:name%. They are kept unescaped here and escaped
+     * (and filtered) where %param:% is output, like any other tag.
+     */
+    private function process_includes(string $content, int|string|null $context_post_id, ?array $loop_item_data): string
+    {
+        if (strpos($content, '[include:') === false) {
+            return $content;
+        }
+
+        return preg_replace_callback(self::INCLUDE_REGEX, function ($matches) use ($context_post_id, $loop_item_data) {
+            $name = $matches[1];
+
+            if (in_array($name, array_column($this->include_stack, 'name'), true) || count($this->include_stack) >= self::MAX_INCLUDE_DEPTH) {
+                Logger::log("[include:{$name}] skipped: partials cannot include themselves or nest deeper than " . self::MAX_INCLUDE_DEPTH . ' levels.', 'WARNING');
+                return '';
+            }
+
+            $template = Partials::get($name);
+            if ($template === null) {
+                return '';
+            }
+
+            $params = [];
+            preg_match_all(self::INCLUDE_PARAM_REGEX, $matches[2], $param_matches, PREG_SET_ORDER);
+            foreach ($param_matches as $param) {
+                // Group 3 only exists for double-quoted values.
+                $params[$param[1]] = $this->process_tags($param[3] ?? $param[2], $context_post_id, $loop_item_data, null);
+            }
+
+            $this->include_stack[] = ['name' => $name, 'params' => $params];
+            try {
+                return $this->protect_fragment($this->process_content($template, $context_post_id, $loop_item_data));
+            } finally {
+                array_pop($this->include_stack);
+            }
+        }, $content);
+    }
+
+    /**
+     * Sets rendered output aside until restore_fragments(), and returns the
+     * placeholder that stands for it.
+     */
+    private function protect_fragment(string $html): string
+    {
+        $this->fragment_key ??= bin2hex(random_bytes(8));
+        $this->fragments[] = $html;
+        return "\x02{$this->fragment_key}:" . array_key_last($this->fragments) . "\x03";
+    }
+
+    /**
+     * Puts the rendered output back in place of its placeholders, once the
+     * template around it is fully processed.
+     */
+    private function restore_fragments(string $content): string
+    {
+        if (empty($this->fragments) || !str_contains($content, "\x02")) {
+            return $content;
+        }
+
+        return preg_replace_callback('/\x02' . $this->fragment_key . ':(\d+)\x03/', function ($matches) {
+            $html = $this->fragments[$matches[1]] ?? '';
+            unset($this->fragments[$matches[1]]);
+            return $html;
+        }, $content);
+    }
+
+    /**
+     * Resolves %param:name% to a parameter of the partial being rendered;
+     * parameters the [include] marker does not pass are empty. Returns null
+     * outside partials.
+     */
+    private function process_param_tag(string $name, string $filters_string, ?string $escape): ?string
+    {
+        $frame = end($this->include_stack);
+        if ($frame === false) {
+            return null;
+        }
+
+        $value = $frame['params'][$name] ?? '';
+        return (string) Filters::apply($value, $filters_string !== '' ? $this->parse_filters($filters_string) : [], $escape);
+    }
+
+    /**
+     * Evaluates the [set:name = expression] markers of this template, in
+     * document order, and removes them. Markers inside [each] and [with]
+     * blocks are left for the body, so they run once per iteration in the
+     * scope of that item; a marker inside [if] or [layout] runs whatever
+     * the condition. See Expression_Evaluator for the expression grammar.
+     */
+    private function process_sets(string $content, int|string|null $context_post_id, ?array $loop_item_data): string
+    {
+        if (strpos($content, '[set:') === false) {
+            return $content;
+        }
+
+        preg_match_all(self::SET_SCAN_REGEX, $content, $markers, PREG_SET_ORDER | PREG_OFFSET_CAPTURE | PREG_UNMATCHED_AS_NULL);
+
+        $evaluator = new Expression_Evaluator(
+            // Variables hold plain values; %var:% escapes them where they are output.
+            function (string $tag) use ($context_post_id, $loop_item_data) {
+                return $this->process_tags($tag, $context_post_id, $loop_item_data, null);
+            },
+            function (string $value, string $filters_string) {
+                return (string) Filters::apply($value, $this->parse_filters($filters_string));
+            }
+        );
+
+        $output = '';
+        $cursor = 0;
+        $depth = 0;
+
+        foreach ($markers as $marker) {
+            if ($marker[1][0] !== null) {
+                $depth++;
+                continue;
+            }
+            if ($marker[2][0] !== null) {
+                $depth = max(0, $depth - 1);
+                continue;
+            }
+            if ($depth > 0) {
+                continue;
+            }
+
+            [$marker_text, $offset] = $marker[0];
+            $output .= substr($content, $cursor, $offset - $cursor);
+            $cursor = $offset + strlen($marker_text);
+
+            if (!preg_match(self::SET_ARGUMENT_REGEX, $marker[3][0], $matches)) {
+                Logger::log("Invalid [set] argument: '{$marker[3][0]}'", 'DEBUG');
+                continue;
+            }
+            $this->variable_scopes[array_key_last($this->variable_scopes)][$matches[1]] = $evaluator->evaluate($matches[2]);
+        }
+
+        return $output . substr($content, $cursor);
+    }
+
+    /**
+     * Resolves %var:name% to the variable set in the innermost template
+     * that has one: a loop iteration sees the variables of the template
+     * around the loop, not the other way round. Undefined variables are empty.
+     */
+    private function process_var_tag(string $name, string $filters_string, ?string $escape): string
+    {
+        $value = '';
+        for ($i = count($this->variable_scopes) - 1; $i >= 0; $i--) {
+            if (array_key_exists($name, $this->variable_scopes[$i])) {
+                $value = $this->variable_scopes[$i][$name];
                 break;
-            default:
-                Logger::log("Unknown operator: '{$operator}'", 'DEBUG');
-                $result = false;
+            }
         }
-        
-        Logger::log("Condition result: " . ($result ? 'TRUE' : 'FALSE'), 'DEBUG');
-        return $result;
+
+        if ($i < 0) {
+            Logger::log("Variable '{$name}' is not set.", 'DEBUG');
+        }
+
+        return (string) Filters::apply($value, $filters_string !== '' ? $this->parse_filters($filters_string) : [], $escape);
     }
+
     /**
      * Processes [fallback] blocks, now aware of loop context.
      */
-    private function process_fallbacks(string $content, ?int $context_post_id, ?array $loop_item_data): string
+    private function process_fallbacks(string $content, int|string|null $context_post_id, ?array $loop_item_data): string
     {
         return preg_replace_callback(self::FALLBACK_BLOCK_REGEX, function ($matches) use ($context_post_id, $loop_item_data) {
             $tag = $matches[1];
@@ -206,14 +735,41 @@ class Parser
 
     /**
      * Processes all tags, now distinguishing between 'sub' and global sources.
+     *
+     * Values are escaped for their place in the template (ESCAPE_BY_CONTEXT),
+     * for a given Escaper context, or not at all (null) when they are
+     * compared or computed rather than output.
      */
-    private function process_tags(string $content, ?int $context_post_id, ?array $loop_item_data): string
+    private function process_tags(string $content, int|string|null $context_post_id, ?array $loop_item_data, ?string $escape = self::ESCAPE_BY_CONTEXT): string
     {
-        return preg_replace_callback(self::TAG_REGEX, function ($matches) use ($context_post_id, $loop_item_data) {
+        $contexts = [];
+        if ($escape === self::ESCAPE_BY_CONTEXT) {
+            preg_match_all(self::TAG_REGEX, $content, $tags, PREG_OFFSET_CAPTURE);
+            $contexts = Escaper::contexts($content, $tags[0]);
+        }
+
+        return preg_replace_callback(self::TAG_REGEX, function ($matches) use ($context_post_id, $loop_item_data, $escape, $contexts) {
+            // The offset picks the escaping context; everything else reads the matched text.
+            $escape = $contexts[$matches[0][1]] ?? $escape;
+            $matches = array_column($matches, 0);
+
             $source = $matches[1];
             $path_string = $matches[2];
             $filters_string = $matches[3] ?? '';
             $value = null;
+            $is_markup = false;
+
+            if ($source === 'param') {
+                return $this->process_param_tag($path_string, $filters_string, $escape) ?? $matches[0];
+            }
+
+            if ($source === 'var') {
+                return $this->process_var_tag($path_string, $filters_string, $escape);
+            }
+
+            if (!$this->is_data_source($source)) {
+                return $this->process_loop_tag($source, $path_string, $filters_string, $context_post_id, $escape) ?? $matches[0];
+            }
 
             $path_parts = explode('.', $path_string);
             $field_name = $path_parts[0];
@@ -236,6 +792,7 @@ class Parser
                         $file_path = get_attached_file($effective_value['ID']);
                         if ($file_path && file_exists($file_path)) {
                             $value = file_get_contents($file_path);
+                            $is_markup = true;
                             Logger::log("SVG content loaded from: {$file_path}", 'DEBUG');
                         }
                     } else {
@@ -247,21 +804,21 @@ class Parser
                 }
 
             } else {
-                // Logic for 'acf' and 'post' sources
+                // Logic for the Data_Provider sources (acf, post, option, term, ...)
                 $raw_value = $this->data_provider->get_value($source, $field_name, $context_post_id);
 
                 if ($property) {
-                    // A specific property is requested (e.g., .url, .class, .label)
-                    if ($property === 'label') {
-                        $field_object = $this->data_provider->get_field_object($field_name, $context_post_id);
-                        $value = $field_object['label'] ?? '';
+                    // A specific property is requested (e.g., .url, .class, .label),
+                    // possibly nested (e.g., group.image.url, gallery.0.url).
+                    if (end($path_parts) === 'label') {
+                        $value = $this->get_field_label($source, array_slice($path_parts, 0, -1), $context_post_id);
                     } else {
                         // --- FIXED: Handle taxonomy arrays with properties consistently ---
                         if (is_array($raw_value) && $this->is_taxonomy_array($raw_value)) {
                             $value = $this->process_taxonomy_array_with_context($raw_value, $property, $field_name);
                         } else {
                             // Let traverse_path handle finding the specific property.
-                            $value = $this->traverse_path($raw_value, [$property]);
+                            $value = $this->traverse_path($raw_value, array_slice($path_parts, 1));
                         }
                     }
                 } else {
@@ -281,6 +838,7 @@ class Parser
                         $file_path = get_attached_file($effective_value['ID']);
                         if ($file_path && file_exists($file_path)) {
                             $value = file_get_contents($file_path);
+                            $is_markup = true;
                             Logger::log("SVG content loaded from: {$file_path}", 'DEBUG');
                         }
                     }
@@ -308,6 +866,13 @@ class Parser
                 }
             }
 
+            // Markup the site's editors wrote (inline SVG, WYSIWYG and oEmbed
+            // fields, post content) is output as it is; the widget's kses
+            // profile sanitizes it.
+            if ($escape !== null && ($is_markup || (is_string($value) && str_contains($value, '<') && $this->is_markup_field($source, $path_string, $context_post_id)))) {
+                $escape = null;
+            }
+
             // --- NEW: Enhanced filter handling for array values ---
             if (!empty($filters_string)) {
                 // Handle filters for array values
@@ -317,26 +882,26 @@ class Parser
                         return !empty($item) && $item !== null && $item !== '';
                     });
 
-                    if (!empty($filtered_values)) {
-                        $string_value = implode(', ', $filtered_values);
-                        $filters = $this->parse_filters($filters_string);
-                        $value = Filters::apply($string_value, $filters);
-                    } else {
-                        $value = '';
-                    }
+                    // An empty field still runs the chain, so |default() can fill it in.
+                    $string_value = implode(', ', $filtered_values);
+                    $filters = $this->parse_filters($filters_string);
+                    $value = Filters::apply($string_value, $filters, $escape);
                 } else if (!is_object($value)) {
                     $filters = $this->parse_filters($filters_string);
-                    $value = Filters::apply($value, $filters);
+                    $value = Filters::apply($value, $filters, $escape);
                 } else {
                     return '';
                 }
+                // apply() escaped the result (or a filter of the chain did)
+                $escape = null;
             }
 
             // --- ENHANCED: Final value processing ---
             if (is_array($value)) {
                 // Handle remaining arrays (multi-value fields)
                 if ($this->is_multi_value_field($value)) {
-                    return $this->process_multi_value_field($value, $field_name);
+                    $value = $this->process_multi_value_field($value, $field_name);
+                    return $escape !== null ? Escaper::escape($value, $escape) : $value;
                 }
                 // Return empty for other arrays
                 return '';
@@ -346,8 +911,86 @@ class Parser
                 return '';
             }
 
-            return (string) $value;
-        }, $content);
+            return $escape !== null ? Escaper::escape((string) $value, $escape) : (string) $value;
+        }, $content, flags: PREG_OFFSET_CAPTURE);
+    }
+
+    /**
+     * Whether a tag reads a field whose value is markup: an ACF field or
+     * sub-field of one of the MARKUP_FIELD_TYPES, or the post content.
+     */
+    private function is_markup_field(string $source, string $path_string, int|string|null $context_post_id): bool
+    {
+        if ($source === 'post') {
+            return $path_string === 'post_content';
+        }
+
+        $field = $this->get_field_definition($source, $path_string, $context_post_id);
+        return $field !== null && in_array($field['type'] ?? '', self::MARKUP_FIELD_TYPES, true);
+    }
+
+    /**
+     * Returns the ACF field object a tag reads: a field of the source's ACF
+     * object, or a sub-field of the current row for %sub:%. Null for
+     * sources without ACF fields.
+     */
+    private function get_field_definition(string $source, string $path_string, int|string|null $context_post_id): ?array
+    {
+        if ($source === 'sub') {
+            return $this->row_fields !== null ? $this->find_field_definition($this->row_fields, $path_string) : null;
+        }
+
+        if (!$this->is_data_source($source)) {
+            $frame = $this->find_loop_frame($source);
+            return $frame && $frame['row_fields'] !== null ? $this->find_field_definition($frame['row_fields'], $path_string) : null;
+        }
+
+        $object_id = $this->data_provider->get_acf_object_id($source, $context_post_id);
+        return $object_id !== null ? $this->data_provider->get_field_object($path_string, $object_id) : null;
+    }
+
+    /**
+     * Finds the field at a dot path (group.inner.field) among sub-field
+     * definitions.
+     */
+    private function find_field_definition(array $fields, string $path_string): ?array
+    {
+        $field = null;
+        foreach (explode('.', $path_string) as $name) {
+            $match = null;
+            foreach ($fields as $candidate) {
+                if (($candidate['name'] ?? null) === $name) {
+                    $match = $candidate;
+                    break;
+                }
+            }
+            if ($match === null) {
+                return null;
+            }
+            $field = $match;
+            $fields = $match['sub_fields'] ?? [];
+        }
+
+        return $field;
+    }
+
+    /**
+     * Returns the sub-field definitions of one row of a Repeater or Group
+     * field, or of the row's layout for Flexible Content. Null for other
+     * fields, whose items are posts, terms or plain values.
+     */
+    private function get_row_fields(array $field, array $row): ?array
+    {
+        if (($field['type'] ?? '') === 'flexible_content') {
+            foreach ($field['layouts'] ?? [] as $layout) {
+                if (($layout['name'] ?? null) === ($row['acf_fc_layout'] ?? null)) {
+                    return $layout['sub_fields'] ?? [];
+                }
+            }
+            return null;
+        }
+
+        return in_array($field['type'] ?? '', ['repeater', 'group'], true) ? ($field['sub_fields'] ?? []) : null;
     }
 
     /**
@@ -404,16 +1047,39 @@ class Parser
         return $result;
     }
 
+    /**
+     * Whether tags of this source are resolved from data rather than from
+     * the enclosing [each] loops.
+     */
+    private function is_data_source(string $source): bool
+    {
+        return $source === 'sub' || array_key_exists($source, Data_Provider::SOURCES) || Sources::exists($source);
+    }
+
+    /**
+     * Returns the label of the ACF field at `$path_parts` (group.field)
+     * for a trailing .label, or '' for sources without ACF fields.
+     */
+    private function get_field_label(string $source, array $path_parts, int|string|null $context_post_id): string
+    {
+        $object_id = $this->data_provider->get_acf_object_id($source, $context_post_id);
+        if ($object_id === null) {
+            return '';
+        }
+
+        $field_object = $this->data_provider->get_field_object(implode('.', $path_parts), $object_id);
+        return $field_object['label'] ?? '';
+    }
+
     /**
      * Helper to resolve dot notation paths from the main Data_Provider.
      */
-    private function resolve_path_from_provider(string $source, string $path_string, ?int $context_post_id): mixed
+    private function resolve_path_from_provider(string $source, string $path_string, int|string|null $context_post_id): mixed
     {
         $path_parts = explode('.', $path_string);
         $field_name = array_shift($path_parts);
         if (!empty($path_parts) && end($path_parts) === 'label') {
-            $field_object = $this->data_provider->get_field_object($field_name, $context_post_id);
-            return $field_object['label'] ?? '';
+            return $this->get_field_label($source, [$field_name], $context_post_id);
         }
         $value = $this->data_provider->get_value($source, $field_name, $context_post_id);
         return $this->traverse_path($value, $path_parts);
@@ -449,6 +1115,9 @@ class Parser
         foreach ($path_parts as $part) {
             if (is_array($value) && isset($value[$part])) {
                 $value = $value[$part];
+            } elseif ($value instanceof \WP_Post && $part === 'permalink') {
+                // Post object and relationship fields advertise .permalink like %post:permalink%.
+                $value = get_permalink($value);
             } elseif (is_object($value) && property_exists($value, $part)) {
                 $value = $value->{$part};
             } else {
@@ -540,56 +1209,4 @@ class Parser
     {
         return $this->taxonomy_context[$field_name] ?? [];
     }
-    private function is_empty_value(mixed $value): bool
-    {
-        // Handle null and false
-        if ($value === null || $value === false) {
-            return true;
-        }
-        
-        // Handle empty strings (but not "0")
-        if ($value === '') {
-            return true;
-        }
-        
-        // Handle arrays
-        if (is_array($value)) {
-            // Empty array is empty
-            if (empty($value)) {
-                return true;
-            }
-            
-            // Array with only empty/null values is considered empty
-            foreach ($value as $item) {
-                if (!$this->is_empty_value($item)) {
-                    return false; // Found non-empty item
-                }
-            }
-            return true; // All items were empty
-        }
-        
-        // Handle objects
-        if (is_object($value)) {
-            // For WP_Term objects, check if they have meaningful data
-            if ($value instanceof \WP_Term) {
-                return empty($value->name);
-            }
-            
-            // For other objects, consider them non-empty if they exist
-            return false;
-        }
-        
-        // Handle numeric values - "0" is NOT empty, 0 is NOT empty
-        if (is_numeric($value)) {
-            return false;
-        }
-        
-        // Handle strings - trim whitespace and check
-        if (is_string($value)) {
-            return trim($value) === '';
-        }
-        
-        // Default: use PHP's empty() but exclude "0"
-        return empty($value) && $value !== '0' && $value !== 0;
-    }
 }
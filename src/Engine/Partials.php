@@ -0,0 +1,107 @@
+<?php
+namespace DataEngine\Engine;
+
+use DataEngine\Utils\Logger;
+
+/**
+ * Partials Class.
+ *
+ * Named templates stored as posts of the POST_TYPE post type and included
+ * with [include:name] (see Parser::process_includes()). The post slug is
+ * the name and the post content the template; `%param:name%` tags inside
+ * a partial read the parameters of the [include] marker.
+ *
+ * @since 1.2.0
+ */
+class Partials
+{
+
+    public const POST_TYPE = 'de_partial';
+
+    // Parameter names as Parser::INCLUDE_PARAM_REGEX accepts them; a tag such as %param:card-title% is not a parameter.
+    private const PARAM_TAG_REGEX = '/%param:([a-zA-Z_][a-zA-Z0-9_]*)\s*[%|]/';
+
+    /**
+     * Templates already loaded in this request, keyed by name (null when missing).
+     * @var array<string, string|null>
+     */
+    private static array $templates = [];
+
+    /**
+     * Registers the post type. Partials are managed under Settings, next
+     * to the DataEngine settings page, and are never shown on the site.
+     */
+    public static function register_post_type(): void
+    {
+        register_post_type(self::POST_TYPE, [
+            'labels' => [
+                'name' => __('DataEngine Partials', 'data-engine-for-elementor'),
+                'singular_name' => __('Partial', 'data-engine-for-elementor'),
+                'add_new_item' => __('Add New Partial', 'data-engine-for-elementor'),
+                'edit_item' => __('Edit Partial', 'data-engine-for-elementor'),
+                'menu_name' => __('DataEngine Partials', 'data-engine-for-elementor'),
+            ],
+            'public' => false,
+            'show_ui' => true,
+            'show_in_menu' => 'options-general.php',
+            'show_in_rest' => false,
+            'supports' => ['title', 'editor', 'revisions'],
+            'capability_type' => 'page',
+            'map_meta_cap' => true,
+        ]);
+
+        // The content is template code: keep the visual editor from rewriting it.
+        add_filter('user_can_richedit', function ($can_richedit) {
+            return get_post_type() === self::POST_TYPE ? false : $can_richedit;
+        });
+    }
+
+    /**
+     * Returns the template of a partial, or null when no published partial
+     * has this name.
+     */
+    public static function get(string $name): ?string
+    {
+        if (!array_key_exists($name, self::$templates)) {
+            $post = get_page_by_path($name, OBJECT, self::POST_TYPE);
+            self::$templates[$name] = $post instanceof \WP_Post && $post->post_status === 'publish'
+                ? $post->post_content
+                : null;
+
+            if (self::$templates[$name] === null) {
+                Logger::log("Partial '{$name}' not found.", 'WARNING');
+            }
+        }
+
+        return self::$templates[$name];
+    }
+
+    /**
+     * Describes every published partial for the editor's data dictionary:
+     * its name, title, the parameters its template reads and the URL of
+     * its edit screen.
+     *
+     * @return array<int, array{name: string, label: string, params: string[], edit_url: string}>
+     */
+    public static function get_definitions(): array
+    {
+        $posts = get_posts([
+            'post_type' => self::POST_TYPE,
+            'post_status' => 'publish',
+            'numberposts' => -1,
+            'orderby' => 'title',
+            'order' => 'ASC',
+        ]);
+
+        return array_map(function (\WP_Post $post) {
+            preg_match_all(self::PARAM_TAG_REGEX, $post->post_content, $matches);
+
+            return [
+                'name' => $post->post_name,
+                'label' => $post->post_title ?: $post->post_name,
+                'params' => array_values(array_unique($matches[1])),
+                'edit_url' => (string) get_edit_post_link($post->ID, 'raw'),
+            ];
+        }, $posts);
+    }
+}
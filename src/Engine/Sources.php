@@ -0,0 +1,178 @@
+<?php
+namespace DataEngine\Engine;
+
+use DataEngine\Utils\Logger;
+
+/**
+ * Sources Class.
+ *
+ * Registry of custom tag sources, so %source:field% can read data the
+ * built-in Data_Provider::SOURCES do not cover (custom tables, WooCommerce
+ * products, ...). Data_Provider resolves their values, the editor
+ * dictionary lists their fields, and Cache_Manager honours their caching
+ * rules.
+ *
+ * @since 1.2.0
+ */
+class Sources
+{
+
+    /**
+     * Value resolvers of the registered sources, keyed by source name.
+     * @var array<string, callable>
+     */
+    private static array $resolvers = [];
+
+    /**
+     * Metadata of the registered sources, keyed by source name.
+     *
+     * Each entry may contain:
+     * - label:          Short description shown by the editor's autocompletion.
+     * - fields:         The fields for completion and linting, described like
+     *                   Data_Provider::describe_field_for_editor() does
+     *                   (name, label, and optionally type, properties, items,
+     *                   choices), or a callable returning them. Without it,
+     *                   the source accepts any field name, like %query:%.
+     * - cacheable:      False when values depend on the visitor or the
+     *                   request; widgets using the source are then not cached.
+     * - clear_cache_on: Action hooks after which cached widget output is
+     *                   stale, e.g. ['woocommerce_update_product'].
+     * @var array<string, array>
+     */
+    private static array $definitions = [];
+
+    /**
+     * Registers a custom source.
+     *
+     * @param string   $name       The source name used in tags (e.g., 'product' for %product:price%).
+     * @param callable $resolver   Returns the value of a field: function (string $field_name, int|string|null $post_id): mixed.
+     *                             Dot notation after the field name is resolved on the returned value.
+     * @param array    $definition Optional metadata: label, fields, cacheable, clear_cache_on.
+     */
+    public static function register(string $name, callable $resolver, array $definition = []): void
+    {
+        if (!preg_match('/^\w+$/', $name)) {
+            Logger::log("Custom source '{$name}' ignored: names may only contain letters, digits and underscores.", 'WARNING');
+            return;
+        }
+
+        if (in_array($name, ['sub', 'loop', 'param', 'var'], true) || array_key_exists($name, Data_Provider::SOURCES)) {
+            Logger::log("Custom source '{$name}' ignored: a built-in source with this name exists.", 'WARNING');
+            return;
+        }
+
+        self::$resolvers[$name] = $resolver;
+        self::$definitions[$name] = $definition;
+        Logger::log("Custom source '{$name}' registered.", 'INFO');
+    }
+
+    /**
+     * Whether a custom source with this name has been registered.
+     */
+    public static function exists(string $name): bool
+    {
+        return isset(self::$resolvers[$name]);
+    }
+
+    /**
+     * Runs the resolver of a registered source.
+     *
+     * @param string          $name       The source name.
+     * @param string          $field_name The name of the field to retrieve.
+     * @param int|string|null $post_id    The context post ID, or the ACF object ID
+     *                                    ('user_3', 'term_12') set by a [with] block.
+     * @return mixed The field value, or null for unknown sources.
+     */
+    public static function resolve(string $name, string $field_name, int|string|null $post_id)
+    {
+        if (!self::exists($name)) {
+            return null;
+        }
+
+        return call_user_func(self::$resolvers[$name], $field_name, $post_id);
+    }
+
+    /**
+     * Returns the name and label of every registered source.
+     *
+     * @return array<int, array{name: string, label: string}>
+     */
+    public static function get_definitions(): array
+    {
+        $definitions = [];
+        foreach (self::$definitions as $name => $definition) {
+            $definitions[] = [
+                'name' => $name,
+                'label' => $definition['label'] ?? ucwords(str_replace('_', ' ', $name)),
+            ];
+        }
+        return $definitions;
+    }
+
+    /**
+     * Returns the field lists of the registered sources that describe
+     * their fields, keyed by source name, for the editor's data dictionary.
+     *
+     * @return array<string, array>
+     */
+    public static function get_fields_for_editor(): array
+    {
+        $fields = [];
+        foreach (self::$definitions as $name => $definition) {
+            if (!isset($definition['fields'])) {
+                continue;
+            }
+
+            $list = is_callable($definition['fields']) ? call_user_func($definition['fields']) : $definition['fields'];
+            $fields[$name] = array_values(array_map([self::class, 'normalize_field'], (array) $list));
+        }
+        return $fields;
+    }
+
+    /**
+     * Names of the registered sources whose values must not be cached.
+     *
+     * @return array<int, string>
+     */
+    public static function get_uncacheable(): array
+    {
+        return array_keys(array_filter(self::$definitions, function ($definition) {
+            return isset($definition['cacheable']) && !$definition['cacheable'];
+        }));
+    }
+
+    /**
+     * The action hooks after which cached widget output must be cleared.
+     *
+     * @return array<int, string>
+     */
+    public static function get_cache_hooks(): array
+    {
+        $hooks = [];
+        foreach (self::$definitions as $definition) {
+            $hooks = array_merge($hooks, (array) ($definition['clear_cache_on'] ?? []));
+        }
+        return array_values(array_unique($hooks));
+    }
+
+    /**
+     * Fills in the defaults of a field description, at any depth, so the
+     * editor can rely on every key being present.
+     */
+    private static function normalize_field(array $field): array
+    {
+        $field = array_merge([
+            'name' => '',
+            'label' => $field['name'] ?? '',
+            'properties' => [],
+            'choices' => [],
+        ], $field);
+
+        $field['properties'] = array_values(array_map([self::class, 'normalize_field'], $field['properties']));
+        if (isset($field['items'])) {
+            $field['items']['properties'] = array_values(array_map([self::class, 'normalize_field'], $field['items']['properties'] ?? []));
+        }
+
+        return $field;
+    }
+}
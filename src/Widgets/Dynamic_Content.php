@@ -80,6 +80,8 @@ class Dynamic_Content extends Widget_Base {
                 'placeholder' => '<h3>%post:post_title%</h3>'
             ]
         );
+
+        $this->add_kses_profile_control();
         
         // --- OTO BRAKUJĄCY PRZYCISK ---
         $this->add_control(
@@ -95,26 +97,6 @@ class Dynamic_Content extends Widget_Base {
         $this->end_controls_section();
     }
 
-    public function add_svg_support_for_kses( $allowed_tags ) {
-        $allowed_tags['svg'] = [
-            'xmlns'   => true,
-            'width'   => true,
-            'height'  => true,
-            'viewbox' => true, // Note: 'viewBox' is case-sensitive in SVGs
-            'class'   => true,
-            'fill'    => true,
-        ];
-        $allowed_tags['path'] = [
-            'd'    => true,
-            'fill' => true,
-        ];
-        $allowed_tags['g'] = [
-            'fill' => true,
-        ];
-        // You can add more SVG elements like 'rect', 'circle' if needed
-        return $allowed_tags;
-    }
-
     /**
      * Render the widget's output on the frontend.
      *
@@ -128,7 +110,7 @@ class Dynamic_Content extends Widget_Base {
         $cache_manager = Plugin::instance()->cache_manager;
 
         // Try to fetch from cache first
-        if ( $cache_manager->is_enabled() ) {
+        if ( $cache_manager->is_enabled() && $cache_manager->is_cacheable( $this ) ) {
             $cache_key = $cache_manager->generate_key( $this );
             $cached_html = $cache_manager->get( $cache_key );
             if ( false !== $cached_html ) {
@@ -142,11 +124,10 @@ class Dynamic_Content extends Widget_Base {
         
         $settings = $this->get_settings_for_display();
         $raw_content = $settings['template'];
-        add_filter('wp_kses_allowed_html', [ $this, 'add_svg_support_for_kses' ]);
         
         if ( ! empty( $raw_content ) ) {
             $processed_content = $this->get_parser()->process( $raw_content, get_the_ID() );
-            echo wp_kses_post( $processed_content );
+            echo $this->sanitize_output( $processed_content );
         }
 
         $final_html = ob_get_clean(); // Get the generated HTML
@@ -157,6 +138,5 @@ class Dynamic_Content extends Widget_Base {
         }
 
         echo $final_html; // Output the final HTML
-        remove_filter('wp_kses_allowed_html', [ $this, 'add_svg_support_for_kses' ] );
     }
 }
@@ -2,7 +2,6 @@
 namespace DataEngine\Widgets;
 
 use Elementor\Controls_Manager;
-use Elementor\Widget_Base;
 use DataEngine\Core\Plugin;
 
 class Dynamic_Repeater extends Widget_Base
@@ -23,11 +22,6 @@ class Dynamic_Repeater extends Widget_Base
         return 'eicon-sync';
     }
 
-    public function get_categories(): array
-    {
-        return ['data-engine'];
-    }
-
     protected function register_controls(): void
     {
         // --- COMBINED: Data Source & Loop Template Section ---
@@ -44,10 +38,10 @@ class Dynamic_Repeater extends Widget_Base
         ]);
 
         $this->add_control('repeater_field_name', [
-            'label' => __('Repeater Field Name', 'data-engine-for-elementor'),
+            'label' => __('Repeater or Flexible Content Field Name', 'data-engine-for-elementor'),
             'type' => Controls_Manager::TEXT,
             'placeholder' => __('my_repeater_field', 'data-engine-for-elementor'),
-            'description' => __('Enter the name (key) of the repeater field.', 'data-engine-for-elementor'),
+            'description' => __('Enter the name (key) of the repeater or flexible content field.', 'data-engine-for-elementor'),
             'classes' => 'data-engine-repeater-name-input',
         ]);
 
@@ -69,7 +63,7 @@ class Dynamic_Repeater extends Widget_Base
             'label' => __('Item Template', 'data-engine-for-elementor'),
             'type' => Controls_Manager::TEXTAREA,
             'rows' => 10,
-            'description' => __('Use %sub:field_name% to display sub-field values. All DataEngine features are available.', 'data-engine-for-elementor'),
+            'description' => __('Use %sub:field_name% to display sub-field values. For Flexible Content, wrap each layout\'s markup in [layout:layout_name]...[/layout]. All DataEngine features are available.', 'data-engine-for-elementor'),
             'placeholder' => '<li>%sub:title% - %sub:description%</li>'
         ]);
 
@@ -91,6 +85,8 @@ class Dynamic_Repeater extends Widget_Base
             'placeholder' => '</ul>',
         ]);
 
+        $this->add_kses_profile_control();
+
         $this->end_controls_section();
 
         // --- No Results Section (separate for better UX) ---
@@ -109,32 +105,12 @@ class Dynamic_Repeater extends Widget_Base
         $this->end_controls_section();
     }
 
-    public function add_svg_support_for_kses($allowed_tags)
-    {
-        $allowed_tags['svg'] = [
-            'xmlns' => true,
-            'width' => true,
-            'height' => true,
-            'viewbox' => true,
-            'class' => true,
-            'fill' => true,
-        ];
-        $allowed_tags['path'] = [
-            'd' => true,
-            'fill' => true,
-        ];
-        $allowed_tags['g'] = [
-            'fill' => true,
-        ];
-        return $allowed_tags;
-    }
-
     protected function render(): void
     {
         $cache_manager = Plugin::instance()->cache_manager;
 
         // Caching should be disabled in the editor to see live changes.
-        if ($cache_manager->is_enabled() && !\Elementor\Plugin::$instance->editor->is_edit_mode()) {
+        if ($cache_manager->is_enabled() && $cache_manager->is_cacheable($this) && !\Elementor\Plugin::$instance->editor->is_edit_mode()) {
             $cache_key = $cache_manager->generate_key($this);
             $cached_html = $cache_manager->get($cache_key);
             if (false !== $cached_html) {
@@ -156,48 +132,34 @@ class Dynamic_Repeater extends Widget_Base
 
         $repeater_data = get_field($repeater_field_name, $post_id);
 
-        // KRYTYCZNA ZMIANA: Dodaj filtr na samym początku
-        add_filter('wp_kses_allowed_html', [$this, 'add_svg_support_for_kses']);
         $parser = $this->get_parser();
-        try {
-            if (!empty($repeater_data) && is_array($repeater_data)) {
+        if (!empty($repeater_data) && is_array($repeater_data)) {
 
-                $html_parts = [];
+            $html_parts = [];
+            // The sub-field types tell the parser which sub-fields hold markup.
+            $repeater_field = get_field_object($repeater_field_name, $post_id) ?: null;
 
-                foreach ($repeater_data as $row_data) {
-                    $html_parts[] = $parser->process_loop_item($settings['item_template'], $row_data, $post_id);
-                }
+            foreach ($repeater_data as $row_data) {
+                $html_parts[] = $parser->process_loop_item($settings['item_template'], $row_data, $post_id, $repeater_field);
+            }
 
-                $header = $parser->process($settings['header_template'], $post_id);
-                $footer = $parser->process($settings['footer_template'], $post_id);
+            $header = $parser->process($settings['header_template'], $post_id);
+            $footer = $parser->process($settings['footer_template'], $post_id);
 
-                echo $header . implode('', $html_parts) . $footer;
+            // The header usually opens an element the footer closes, so they are sanitized together.
+            echo $this->sanitize_output($header . implode('', $html_parts) . $footer);
 
-            } else {
-                echo $parser->process($settings['no_results_template'], $post_id);
-            }
+        } else {
+            echo $this->sanitize_output($parser->process($settings['no_results_template'], $post_id));
+        }
 
-            $final_html = ob_get_clean();
+        $final_html = ob_get_clean();
 
-            // Caching logic
-            if ($cache_manager->is_enabled() && !\Elementor\Plugin::$instance->editor->is_edit_mode() && isset($cache_key)) {
-                $cache_manager->set($cache_key, $final_html);
-            }
-
-            echo $final_html;
-        } finally {
-            remove_filter('wp_kses_allowed_html', [$this, 'add_svg_support_for_kses']);
+        // Caching logic
+        if ($cache_manager->is_enabled() && !\Elementor\Plugin::$instance->editor->is_edit_mode() && isset($cache_key)) {
+            $cache_manager->set($cache_key, $final_html);
         }
-    }
 
-    /**
-     * Get the DataEngine Parser instance.
-     * Provides a convenient shortcut to access the core parser.
-     * We need to add this helper method here.
-     * @return \DataEngine\Engine\Parser
-     */
-    protected function get_parser(): \DataEngine\Engine\Parser
-    {
-        return Plugin::instance()->parser;
+        echo $final_html;
     }
 }
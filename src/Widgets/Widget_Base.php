@@ -1,8 +1,10 @@
 <?php
 namespace DataEngine\Widgets;
 
+use Elementor\Controls_Manager;
 use Elementor\Widget_Base as Elementor_Widget_Base;
 use DataEngine\Core\Plugin;
+use DataEngine\Engine\Kses_Profiles;
 
 /**
  * Widget_Base class.
@@ -39,4 +41,36 @@ abstract class Widget_Base extends Elementor_Widget_Base {
         // Access the singleton instance of the plugin to get the parser.
         return Plugin::instance()->parser;
     }
+
+    /**
+     * Adds the select control for the kses profile the output is
+     * sanitized with.
+     *
+     * @since 1.2.0
+     */
+    protected function add_kses_profile_control(): void {
+        $this->add_control(
+            'kses_profile',
+            [
+                'label' => esc_html__( 'Allowed HTML', 'data-engine-for-elementor' ),
+                'type' => Controls_Manager::SELECT,
+                'options' => Kses_Profiles::get_options(),
+                'default' => Kses_Profiles::DEFAULT_PROFILE,
+                'description' => esc_html__( 'Markup outside this profile is removed from the output. Tag values are escaped unless a filter such as |raw says otherwise.', 'data-engine-for-elementor' ),
+                'classes' => 'data-engine-kses-profile-input',
+            ]
+        );
+    }
+
+    /**
+     * Sanitizes the rendered HTML with the widget's kses profile.
+     *
+     * @since 1.2.0
+     * @param string $html The output of the parser.
+     * @return string
+     */
+    protected function sanitize_output( string $html ): string {
+        $profile = $this->get_settings_for_display( 'kses_profile' );
+        return Kses_Profiles::sanitize( $html, $profile ?: Kses_Profiles::DEFAULT_PROFILE );
+    }
 }
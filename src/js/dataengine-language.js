@@ -0,0 +1,110 @@
+// src/js/dataengine-language.js
+
+import { html, htmlLanguage } from "@codemirror/lang-html";
+import {
+    foldNodeProp,
+    HighlightStyle,
+    LanguageSupport,
+    LRLanguage,
+    syntaxHighlighting,
+} from "@codemirror/language";
+import { parseMixed } from "@lezer/common";
+import { styleTags, Tag } from "@lezer/highlight";
+import { parser } from "./dataengine.grammar";
+
+/**
+ * ========================================================================
+ * DataEngine Language for CodeMirror 6
+ * ========================================================================
+ * The template grammar is the outer language; HTML is parsed over its Text
+ * nodes with parseMixed. Both parsers are incremental, and tags inside HTML
+ * attributes (src="%acf:image.url%") are highlighted like any other tag.
+ */
+
+// Highlight tags of our own, so the one-dark theme does not restyle them.
+export const dataEngineTags = {
+    delim: Tag.define(),
+    source: Tag.define(),
+    separator: Tag.define(),
+    field: Tag.define(),
+    property: Tag.define(),
+    pipe: Tag.define(),
+    filter: Tag.define(),
+    argument: Tag.define(),
+    conditional: Tag.define(),
+};
+
+const t = dataEngineTags;
+
+// The matching colours live in the cm-de-* rules of the editor theme.
+export const dataEngineHighlighting = syntaxHighlighting(
+    HighlightStyle.define([
+        { tag: t.delim, class: "cm-de-delim" },
+        { tag: t.source, class: "cm-de-source" },
+        { tag: t.separator, class: "cm-de-separator" },
+        { tag: t.field, class: "cm-de-field" },
+        { tag: t.property, class: "cm-de-property" },
+        { tag: t.pipe, class: "cm-de-pipe" },
+        { tag: t.filter, class: "cm-de-filter" },
+        { tag: t.argument, class: "cm-de-argument" },
+        { tag: t.conditional, class: "cm-de-conditional" },
+    ])
+);
+
+/**
+ * Folds a block from the end of its opening marker to the start of its
+ * closing marker. Unclosed blocks are not foldable.
+ */
+function foldBlock(openName, closeName) {
+    return (node) => {
+        const open = node.getChild(openName);
+        const close = node.lastChild;
+        if (!open || !close || close.name !== closeName || open.to >= close.from) {
+            return null;
+        }
+        return { from: open.to, to: close.from };
+    };
+}
+
+export const dataEngineLanguage = LRLanguage.define({
+    name: "dataengine",
+    parser: parser.configure({
+        props: [
+            styleTags({
+                "TagStart TagEnd": t.delim,
+                SourceName: t.source,
+                "TagSeparator PathDot ArgSeparator": t.separator,
+                FieldName: t.field,
+                PropertyName: t.property,
+                Pipe: t.pipe,
+                FilterName: t.filter,
+                "ArgOpen ArgClose": t.pipe,
+                "String ArgText": t.argument,
+                "IfOpen ElseIfOpen ElseOpen IfClose FallbackOpen FallbackClose EachOpen EachClose LayoutOpen LayoutClose WithOpen WithClose Include SetMarker ConditionText": t.conditional,
+            }),
+            foldNodeProp.add({
+                IfBlock: foldBlock("IfOpen", "IfClose"),
+                FallbackBlock: foldBlock("FallbackOpen", "FallbackClose"),
+                EachBlock: foldBlock("EachOpen", "EachClose"),
+                LayoutBlock: foldBlock("LayoutOpen", "LayoutClose"),
+                WithBlock: foldBlock("WithOpen", "WithClose"),
+            }),
+        ],
+        wrap: parseMixed((node) =>
+            node.type.isTop
+                ? { parser: htmlLanguage.parser, overlay: (child) => child.type.name === "Text" }
+                : null
+        ),
+    }),
+    languageData: {
+        commentTokens: { block: { open: "<!--", close: "-->" } },
+    },
+});
+
+/**
+ * DataEngine template support: the template language with HTML mixed in,
+ * including the HTML extensions (tag auto-closing, HTML completions).
+ */
+export function dataEngine() {
+    return new LanguageSupport(dataEngineLanguage, [html().support, dataEngineHighlighting]);
+}
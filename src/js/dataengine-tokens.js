@@ -0,0 +1,44 @@
+// src/js/dataengine-tokens.js
+
+import { ExternalTokenizer } from "@lezer/lr";
+import { Text } from "./dataengine.grammar.terms";
+import { findSyntaxStart } from "./template-parser.js";
+
+/**
+ * Reads the rest of the current line (including its newline) from the
+ * input stream, starting at `offset`.
+ */
+function readLine(input, offset) {
+    let line = "";
+    for (let ch = input.peek(offset); ch >= 0; ch = input.peek(++offset)) {
+        line += String.fromCharCode(ch);
+        if (ch === 10) break;
+    }
+    return line;
+}
+
+/**
+ * Text is everything up to the next tag or block marker. Where that is
+ * decided by the shared template parser, so the grammar never highlights
+ * something the linter treats as plain text (or the other way around).
+ */
+export const templateText = new ExternalTokenizer((input, stack) => {
+    if (!stack.canShift(Text)) return;
+
+    let length = 0;
+    for (;;) {
+        const line = readLine(input, length);
+        if (!line) break;
+
+        const start = findSyntaxStart(line);
+        if (start >= 0) {
+            length += start;
+            break;
+        }
+        length += line.length;
+    }
+
+    if (length > 0) {
+        input.acceptToken(Text, length);
+    }
+});
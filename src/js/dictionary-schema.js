@@ -0,0 +1,224 @@
+// src/js/dictionary-schema.js
+
+/**
+ * ========================================================================
+ * DataEngine Dictionary Schema
+ * ========================================================================
+ * Walks the field schemas in the data dictionary along a dot-notation path
+ * such as group.image.url or gallery.0.alt. Every entry may have
+ * `properties` (named children) and `items` (the schema of one element of
+ * a list value, reached with a numeric index); see
+ * Data_Provider::describe_field_for_editor().
+ *
+ * Inside [each] blocks, %sub:% (and an "as alias" name) refer to the item
+ * being looped over, and %loop:% to the loop variables; see
+ * Parser::process_loop_tag(). Flexible Content rows list their `layouts`,
+ * and a [layout:name] block narrows %sub:% to that layout's fields.
+ * A [with] block switches the post (or user or term) that %acf:% reads,
+ * so the fields of those sources are not known inside it. %var:% reads
+ * the variables of [set] markers, which the caller collects from the
+ * template (see variablesAt() in template-parser.js).
+ */
+
+const INDEX = /^\d+$/;
+
+// Sources whose fields depend on the object a [with] block switches to.
+const CONTEXT_SOURCES = ["acf", "term", "author"];
+
+// Sources Data_Provider::get_value() reads regardless of the context post.
+const GLOBAL_SOURCES = ["option", "user", "site", "query"];
+
+// Data_Provider::SOURCES plus "sub", for dictionaries without a `sources` list.
+export const DATA_SOURCES = ["acf", "post", "option", "term", "author", "user", "site", "query", "sub"];
+
+export const LOOP_VARIABLES = [
+    { name: "index", label: "Position of the item, starting at 0" },
+    { name: "number", label: "Position of the item, starting at 1" },
+    { name: "count", label: "Number of items in the loop" },
+    { name: "first", label: "'1' for the first item, empty otherwise" },
+    { name: "last", label: "'1' for the last item, empty otherwise" },
+];
+
+/**
+ * Returns the entries reachable from `node` with one more dot.
+ *
+ * @param {object} node A field or property entry.
+ * @returns {Array<object>}
+ */
+export function schemaChildren(node) {
+    const children = [...(node.properties || [])];
+    if (node.items) {
+        children.unshift({ ...node.items, name: "0", label: "First item (any index works)" });
+    }
+    return children;
+}
+
+/**
+ * Whether a path can continue past `node`, i.e. its value has properties
+ * of its own. The .label every ACF field offers does not count.
+ */
+export function hasNestedSchema(node) {
+    return schemaChildren(node).some((child) => child.name !== "label");
+}
+
+function childNamed(node, name) {
+    if (node.items && INDEX.test(name)) {
+        return { ...node.items, name, label: `Item ${Number(name) + 1}` };
+    }
+    return (node.properties || []).find((child) => child.name === name) || null;
+}
+
+/**
+ * Resolves path segments against the dictionary.
+ *
+ * @param {object} dictionary The data dictionary from the server.
+ * @param {string} source The tag source, e.g. "acf".
+ * @param {Array<{name: string}>} segments The segments of a tag's field path.
+ * @returns {{nodes: Array<object>, unknown: number}} The entries matched
+ *   for each segment, and the index of the first segment that did not
+ *   match (-1 when the whole path resolved).
+ */
+export function resolvePath(dictionary, source, segments) {
+    return resolveSegments({ properties: dictionary[source] || [] }, segments);
+}
+
+/**
+ * Like resolvePath(), starting from any entry instead of a source.
+ */
+export function resolveSegments(root, segments) {
+    const nodes = [];
+    let node = root;
+
+    for (let i = 0; i < segments.length; i++) {
+        node = childNamed(node, segments[i].name);
+        if (!node) return { nodes, unknown: i };
+        nodes.push(node);
+    }
+
+    return { nodes, unknown: -1 };
+}
+
+/**
+ * The source names tags can read outside [each] blocks.
+ *
+ * @param {object} dictionary The data dictionary from the server.
+ * @returns {Array<string>}
+ */
+export function dataSources(dictionary) {
+    return dictionary.sources ? dictionary.sources.map((source) => source.name) : DATA_SOURCES;
+}
+
+/**
+ * Whether an [each ... as alias] name would shadow a source; Parser::render_loop()
+ * ignores such aliases.
+ */
+export function isReservedAlias(dictionary, alias) {
+    return ["loop", "param", "var"].includes(alias) || dataSources(dictionary).includes(alias);
+}
+
+function loopAlias(dictionary, each) {
+    const alias = each.loop && each.loop.alias ? each.loop.alias.name : null;
+    return alias && !isReservedAlias(dictionary, alias) ? alias : null;
+}
+
+/**
+ * The %sub:% schema of the widget and of every block in `blocks`
+ * (outermost first), with the alias of each loop and whether a [with]
+ * block switched the context. A schema is null when the listed field or
+ * the layout is not in the dictionary.
+ */
+function blockScopes(dictionary, blocks) {
+    // The widget's own row context (Dynamic Repeater)
+    const widget = dictionary.sub ? { properties: dictionary.sub, layouts: dictionary.layouts } : null;
+    const scopes = [{ alias: null, loop: false, context: false, schema: widget }];
+
+    for (const block of blocks) {
+        const current = scopes[scopes.length - 1];
+
+        if (block.type === "with") {
+            scopes.push({ ...current, alias: null, loop: false, context: true });
+            continue;
+        }
+
+        if (block.type === "layout") {
+            // Narrows %sub:% to the fields of one Flexible Content layout.
+            const layouts = current.schema ? current.schema.layouts : null;
+            const layout = layouts ? layouts.find((candidate) => candidate.name === block.name) || null : current.schema;
+            scopes.push({ alias: null, loop: false, context: current.context, schema: layout });
+            continue;
+        }
+
+        const tag = block.loop ? block.loop.tag : null;
+        let schema = null;
+
+        if (tag && tag.path && tag.path.text) {
+            const root = scopeRoot(dictionary, tag.source.name, scopes);
+            if (root) {
+                const { nodes, unknown } = resolveSegments(root, tag.path.segments);
+                const node = unknown === -1 ? nodes[nodes.length - 1] : null;
+                // A single value (e.g. one post object) is looped over as a list of one.
+                schema = node ? node.items || node : null;
+            }
+        }
+
+        scopes.push({ alias: loopAlias(dictionary, block), loop: true, context: current.context, schema });
+    }
+
+    return scopes;
+}
+
+function scopeRoot(dictionary, source, scopes, variables) {
+    if (source === "var") {
+        return variables ? { properties: variables } : null;
+    }
+    if (source === "loop") {
+        return scopes.some((scope) => scope.loop) ? { properties: LOOP_VARIABLES } : undefined;
+    }
+
+    const aliased = scopes.filter((scope) => scope.alias === source).pop();
+    if (aliased) return aliased.schema;
+
+    if (source === "sub") {
+        return scopes[scopes.length - 1].schema;
+    }
+
+    if (!dataSources(dictionary).includes(source)) return undefined;
+    if (CONTEXT_SOURCES.includes(source) && scopes.some((scope) => scope.context)) return null;
+    return dictionary[source] ? { properties: dictionary[source] } : null;
+}
+
+/**
+ * Returns the entry whose properties are the fields of `source`, taking the
+ * enclosing [each] and [layout] blocks into account.
+ *
+ * @param {object} dictionary The data dictionary from the server.
+ * @param {string} source The tag source, e.g. "sub" or a loop alias.
+ * @param {Array<object>} blocks The enclosing blocks, from blocksAt().
+ * @param {Array<{name: string, label: string}>} [variables] The variables
+ *   %var:% can read here; without them its names are not checked.
+ * @returns {?object|undefined} The root entry; null when the source exists
+ *   but its fields are unknown, undefined when the source is not available.
+ */
+export function sourceSchema(dictionary, source, blocks, variables) {
+    return scopeRoot(dictionary, source, blockScopes(dictionary, blocks), variables);
+}
+
+/**
+ * Whether a tag of `source` inside the given blocks reads the object of a
+ * [with] block rather than the current post.
+ */
+export function readsWithContext(dictionary, source, blocks) {
+    if (!blocks.some((block) => block.type === "with")) return false;
+    return source !== "sub" && dataSources(dictionary).includes(source) && !GLOBAL_SOURCES.includes(source);
+}
+
+/**
+ * The source names a tag can use inside the given blocks.
+ */
+export function availableSources(dictionary, blocks) {
+    const loops = blocks.filter((block) => block.type === "each");
+    if (loops.length === 0) return [...dataSources(dictionary), "var"];
+
+    const aliases = loops.map((each) => loopAlias(dictionary, each)).filter(Boolean);
+    return [...new Set([...dataSources(dictionary), "var", "loop", ...aliases])];
+}
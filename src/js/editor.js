@@ -7,31 +7,46 @@ import {
     startCompletion,
 } from "@codemirror/autocomplete";
 import { defaultKeymap, indentWithTab } from "@codemirror/commands";
-import { html } from "@codemirror/lang-html";
-import { EditorState, RangeSetBuilder } from "@codemirror/state";
+import { foldGutter, foldKeymap } from "@codemirror/language";
+import { EditorState, StateField } from "@codemirror/state";
 import { oneDark } from "@codemirror/theme-one-dark";
-import { Decoration, EditorView, keymap, ViewPlugin } from "@codemirror/view";
+import { EditorView, hoverTooltip, keymap, showTooltip } from "@codemirror/view";
 // NEW: Import the linter and lintGutter for error display
 import { linter, lintGutter } from "@codemirror/lint";
+import { dataEngine } from "./dataengine-language.js";
+import {
+    CONDITION_OPERATORS,
+    filterCallAt,
+    parseTemplate,
+    blocksAt,
+    tagAt,
+    tagBeingTyped,
+    variablesAt,
+    walkTemplate,
+} from "./template-parser.js";
+import {
+    availableSources,
+    dataSources,
+    readsWithContext,
+    isReservedAlias,
+    hasNestedSchema,
+    resolveSegments,
+    schemaChildren,
+    sourceSchema,
+} from "./dictionary-schema.js";
+import { BLOCK_SNIPPETS, fieldSnippets, snippetOptions } from "./template-snippets.js";
+import { validateBlocks, validateFilterArguments } from "./template-validation.js";
 
 jQuery(document).ready(function ($) {
     console.log("DataEngine: editor.bundle.js loaded successfully.");
 
     /**
      * ========================================================================
-     * 1. GRANULAR SYNTAX HIGHLIGHTING (UNCHANGED)
+     * 1. SYNTAX HIGHLIGHTING
      * ========================================================================
+     * Highlighting and folding come from the DataEngine language
+     * (dataengine-language.js); this theme only provides the colours.
      */
-    const D = {
-        delim: Decoration.mark({ class: "cm-de-delim" }),
-        source: Decoration.mark({ class: "cm-de-source" }),
-        separator: Decoration.mark({ class: "cm-de-separator" }),
-        field: Decoration.mark({ class: "cm-de-field" }),
-        property: Decoration.mark({ class: "cm-de-property" }),
-        pipe: Decoration.mark({ class: "cm-de-pipe" }),
-        filter: Decoration.mark({ class: "cm-de-filter" }),
-        conditional: Decoration.mark({ class: "cm-de-conditional" }),
-    };
 
     // MODIFIED: Add styling for the linter (error messages)
     const dataEngineTheme = EditorView.baseTheme({
@@ -42,7 +57,22 @@ jQuery(document).ready(function ($) {
         "& .cm-de-property": { color: "#8ec5ff" },
         "& .cm-de-pipe": { color: "#fdc700", fontWeight: "bold" },
         "& .cm-de-filter": { color: "#fff085" },
+        "& .cm-de-argument": { color: "#ffd6a7" },
         "& .cm-de-conditional": { color: "#bbf451", fontStyle: "italic" },
+        // Signature help for filter arguments
+        "& .cm-de-signature": { padding: "4px 8px", maxWidth: "480px" },
+        "& .cm-de-signature-label": { fontFamily: "monospace" },
+        "& .cm-de-signature-param.is-active": { color: "#fff085", fontWeight: "bold", textDecoration: "underline" },
+        "& .cm-de-signature-doc": { marginTop: "4px", color: "#abb2bf", fontSize: "12px" },
+        // Hover tooltip with field metadata and values
+        "& .cm-de-hover": { padding: "6px 8px", maxWidth: "420px", fontSize: "12px" },
+        "& .cm-de-hover-title": { fontWeight: "bold", marginBottom: "4px" },
+        "& .cm-de-hover-type": { marginLeft: "6px", color: "#abb2bf", fontWeight: "normal" },
+        "& .cm-de-hover-values": { display: "grid", gridTemplateColumns: "auto 1fr", gap: "2px 8px", margin: "0" },
+        "& .cm-de-hover-values dt": { color: "#abb2bf" },
+        "& .cm-de-hover-values dd": { margin: "0", fontFamily: "monospace", whiteSpace: "pre-wrap", wordBreak: "break-word" },
+        "& .cm-de-hover-empty": { fontStyle: "italic", color: "#7d8799" },
+        "& .cm-de-hover-link": { display: "inline-block", marginTop: "4px", color: "#61afef" },
         // NEW: Styles for linting gutter and diagnostics
         ".cm-lintRange-error": {
             backgroundImage: `url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 8 8'%3E%3Cpath d='M0 1.5 L8 1.5 M0 3.5 L8 3.5 M0 5.5 L8 5.5' stroke='%23e06c75' stroke-width='1.2'/%3E%3C/svg%3E")`,
@@ -56,163 +86,6 @@ jQuery(document).ready(function ($) {
         },
     });
 
-    const dataEngineSyntaxHighlighting = ViewPlugin.fromClass(
-        class {
-            constructor(view) {
-                this.decorations = this.buildDecorations(view);
-            }
-
-            update(update) {
-                if (update.docChanged || update.viewportChanged) {
-                    this.decorations = this.buildDecorations(update.view);
-                }
-            }
-
-            buildDecorations(view) {
-                const builder = new RangeSetBuilder();
-                const decorations = [];
-
-                // Process each visible range
-                for (const { from, to } of view.visibleRanges) {
-                    const text = view.state.doc.sliceString(from, to);
-
-                    // Find conditional tags first
-                    const conditionalRegex = /\[\/?if[^\]]*\]|\[else(?: if)?[^\]]*\]/g;
-                    let match;
-                    while ((match = conditionalRegex.exec(text)) !== null) {
-                        const start = from + match.index;
-                        const end = start + match[0].length;
-                        decorations.push({
-                            from: start,
-                            to: end,
-                            decoration: D.conditional,
-                        });
-                    }
-
-                    // NEW: Updated regex to correctly handle filters with spaces.
-                    const tagRegex = /(%)([\w]+)(:)([\w.-]+)(?:\s*(\|)\s*([^%]*?))?(%)/g;
-
-                    while ((match = tagRegex.exec(text))) {
-                        const matchStart = from + match.index;
-                        let pos = matchStart;
-
-                        // match[1] is the opening '%'
-                        decorations.push({
-                            from: pos,
-                            to: pos + match[1].length,
-                            decoration: D.delim,
-                        });
-                        pos += match[1].length;
-
-                        // match[2] is the source
-                        decorations.push({
-                            from: pos,
-                            to: pos + match[2].length,
-                            decoration: D.source,
-                        });
-                        pos += match[2].length;
-
-                        // match[3] is the ':'
-                        decorations.push({
-                            from: pos,
-                            to: pos + match[3].length,
-                            decoration: D.separator,
-                        });
-                        pos += match[3].length;
-
-                        // match[4] is the field with optional properties
-                        const fieldPart = match[4];
-                        if (fieldPart.includes(".")) {
-                            const dotIndex = fieldPart.indexOf(".");
-                            decorations.push({
-                                from: pos,
-                                to: pos + dotIndex,
-                                decoration: D.field,
-                            });
-                            decorations.push({
-                                from: pos + dotIndex,
-                                to: pos + dotIndex + 1,
-                                decoration: D.separator,
-                            });
-                            decorations.push({
-                                from: pos + dotIndex + 1,
-                                to: pos + fieldPart.length,
-                                decoration: D.property,
-                            });
-                        } else {
-                            decorations.push({
-                                from: pos,
-                                to: pos + fieldPart.length,
-                                decoration: D.field,
-                            });
-                        }
-                        pos += fieldPart.length;
-
-                        // Check for filter part (now correctly handles spaces)
-                        // match[5] is the '|' and match[6] is the filter content
-                        if (match[5] && match[6] !== undefined) {
-                            const spaceBeforePipe = match[0]
-                                .substring(pos - matchStart)
-                                .match(/^\s*/)[0].length;
-                            pos += spaceBeforePipe;
-
-                            // Pipe |
-                            decorations.push({ from: pos, to: pos + 1, decoration: D.pipe });
-                            pos += 1;
-
-                            const spaceAfterPipe = match[0]
-                                .substring(pos - matchStart)
-                                .match(/^\s*/)[0].length;
-                            pos += spaceAfterPipe;
-
-                            // Filter content
-                            const filterContent = match[6].trimEnd(); // Trim trailing spaces if any
-                            decorations.push({
-                                from: pos,
-                                to: pos + filterContent.length,
-                                decoration: D.filter,
-                            });
-                            pos += filterContent.length;
-                            pos += match[6].length - filterContent.length; // Add back trailing spaces to position
-                        }
-
-                        // Find the closing '%'
-                        const closingPercentIndex = match[0].lastIndexOf("%");
-                        if (closingPercentIndex > 0) {
-                            const closingPos = matchStart + closingPercentIndex;
-                            decorations.push({
-                                from: closingPos,
-                                to: closingPos + 1,
-                                decoration: D.delim,
-                            });
-                        }
-                    }
-                }
-
-                // CRITICAL: Sort decorations by position before adding to builder
-                decorations.sort((a, b) => a.from - b.from);
-
-                // Add sorted decorations to builder
-                for (const { from, to, decoration } of decorations) {
-                    // A safety check to prevent overlapping decorations which can cause issues.
-                    if (
-                        !decorations.some(
-                            (d) =>
-                                d !== decoration && d.from < to && d.to > from && d.from < from
-                        )
-                    ) {
-                        builder.add(from, to, decoration);
-                    }
-                }
-
-                return builder.finish();
-            }
-        },
-        {
-            decorations: (v) => v.decorations,
-        }
-    );
-
     /**
      * ========================================================================
      * NEW: 2. REAL-TIME SYNTAX VALIDATION (LINTING)
@@ -222,187 +95,618 @@ jQuery(document).ready(function ($) {
     const dataEngineLinter = (dictionary) =>
         linter((view) => {
             let diagnostics = [];
-            const text = view.state.doc.toString();
-            const tagRegex = /%([a-zA-Z0-9_.-]+:[a-zA-Z0-9_.-]+(?:\|[^%]+)?)%/g;
-            let match;
+            const tree = parseTemplate(view.state.doc.toString());
+
+            for (const tag of tree.tags) {
+                const source = tag.source.name;
+
+                // A bare '%' at the end of the document is not a tag yet
+                if (!source) continue;
 
-            while ((match = tagRegex.exec(text))) {
-                const fullTag = match[1];
-                const tagContent = fullTag.split("|")[0];
-                const [source, fieldPath] = tagContent.split(":");
+                // Rule 1: Tags must be closed on the same line
+                if (!tag.closed) {
+                    diagnostics.push({
+                        from: tag.from,
+                        to: tag.to,
+                        severity: "error",
+                        message: "Unclosed tag: missing the closing '%'.",
+                    });
+                }
 
-                // Rule 1: Validate data source
-                if (!["acf", "post", "sub"].includes(source)) {
+                // Rule 2: Validate data source (loop variables and aliases only inside [each])
+                const blocks = blocksAt(tree, tag.from);
+                const sources = availableSources(dictionary, blocks);
+                if (!sources.includes(source)) {
                     diagnostics.push({
-                        from: match.index + 1,
-                        to: match.index + 1 + source.length,
+                        from: tag.source.from,
+                        to: tag.source.to,
                         severity: "error",
-                        message: `Unknown data source: '${source}'. Available: acf, post, sub.`,
+                        message:
+                            source === "loop"
+                                ? "'loop:' variables can only be used inside an [each:...] block."
+                                : source === "param"
+                                  ? "'param:' tags read the parameters of a partial; use them in the partial's own template."
+                                  : `Unknown data source: '${source}'. Available: ${sources.join(", ")}.`,
                     });
                     continue;
                 }
 
-                // Rule 2: Validate field name existence
-                if (fieldPath) {
-                    const fieldName = fieldPath.split(".")[0];
-                    if (
-                        dictionary[source] &&
-                        !dictionary[source].some((field) => field.name === fieldName)
-                    ) {
+                // Rule 3: Validate field name existence, then every property of the path
+                const field = tag.path ? tag.path.segments[0] : null;
+                const root = sourceSchema(dictionary, source, blocks, source === "var" ? templateVariables(tree, tag.from) : undefined);
+                if (!field || !field.name) {
+                    diagnostics.push({
+                        from: tag.source.from,
+                        to: tag.path ? tag.path.to : tag.source.to,
+                        severity: "error",
+                        message: `Missing field name after '${source}:'.`,
+                    });
+                } else if (root) {
+                    const { nodes, unknown } = resolveSegments(root, tag.path.segments);
+                    const segment = tag.path.segments[unknown];
+
+                    if (unknown === 0 && source === "var") {
+                        // Undefined variables render empty, like a field without a value.
                         diagnostics.push({
-                            from: match.index + 1 + source.length + 1,
-                            to: match.index + 1 + source.length + 1 + fieldName.length,
+                            from: field.from,
+                            to: field.to,
+                            severity: "warning",
+                            message: `Variable '${field.name}' is not set here. Set it with [set:${field.name} = ...] in this template or around this block.`,
+                        });
+                    } else if (unknown === 0) {
+                        diagnostics.push({
+                            from: field.from,
+                            to: field.to,
                             severity: "error",
-                            message: `Field '${fieldName}' not found in '${source}' source.`,
+                            message: `Field '${field.name}' not found in '${source}' source.`,
+                        });
+                    } else if (unknown > 0 && segment.name && hasNestedSchema(nodes[unknown - 1])) {
+                        // Only values with a known schema are checked; other field types may
+                        // still return arrays (e.g. from third-party ACF add-ons).
+                        const parentPath = tag.path.segments.slice(0, unknown).map((s) => s.name).join(".");
+                        diagnostics.push({
+                            from: segment.from,
+                            to: segment.to,
+                            severity: "warning",
+                            message: `'${segment.name}' is not a property of '${parentPath}'. Available: ${schemaChildren(nodes[unknown - 1])
+                                .map((child) => child.name)
+                                .join(", ")}.`,
                         });
                     }
                 }
 
-                // Rule 3: Validate filters (FIXED)
-                if (fullTag.includes('|') && dictionary.filters) {
-                    const filtersPart = fullTag.split('|').slice(1);
+                // Rule 4: Malformed tag content (e.g. text after the field path)
+                for (const error of tag.errors) {
+                    diagnostics.push({ ...error, severity: "error" });
+                }
+
+                // Rule 5: Validate filters and their arguments
+                diagnostics.push(...validateFilters(dictionary, tag.filters));
+            }
 
-                    filtersPart.forEach((filterStr, index) => {
-                        const cleanFilterStr = filterStr.trim();
-                        if (!cleanFilterStr) return;
+            // Rule 6: Block structure and condition grammar ([if], [else], [fallback], [each], [with])
+            diagnostics.push(...validateBlocks(tree));
+
+            // Rule 7: Loop aliases must not shadow a source, [layout:name] must
+            // name a layout of the Flexible Content rows, when known,
+            // [include:name] a partial, with parameters the partial reads,
+            // and the filters of a [set] expression must exist
+            walkTemplate(tree.children, (node) => {
+                if (node.type === "include") {
+                    diagnostics.push(...validateInclude(dictionary, node));
+                    return;
+                }
+                if (node.type === "set") {
+                    if (node.assignment) diagnostics.push(...validateFilters(dictionary, node.assignment.filters));
+                    return;
+                }
 
-                        const filterName = cleanFilterStr.split('(')[0].trim();
+                const alias = node.type === "each" && node.loop ? node.loop.alias : null;
+                if (alias && isReservedAlias(dictionary, alias.name)) {
+                    diagnostics.push({
+                        from: alias.from,
+                        to: alias.to,
+                        severity: "error",
+                        message: `'${alias.name}' is reserved; choose another name for the loop item.`,
+                    });
+                }
 
-                        if (!dictionary.filters.some(f => f.name === filterName)) {
-                            // Calculate position more accurately
-                            const filterStartIndex = fullTag.indexOf(filterStr);
-                            diagnostics.push({
-                                from: match.index + 1 + filterStartIndex,
-                                to: match.index + 1 + filterStartIndex + filterName.length,
-                                severity: 'error',
-                                message: `Unknown filter: '${filterName}'. Available: ${dictionary.filters.map(f => f.name).join(', ')}`
-                            });
-                        }
+                // Malformed names are reported by validateBlocks()
+                if (node.type !== "layout" || !/^[\w-]+$/.test(node.name)) return;
+
+                const rows = sourceSchema(dictionary, "sub", blocksAt(tree, node.from));
+                if (rows && rows.layouts && !rows.layouts.some((layout) => layout.name === node.name)) {
+                    diagnostics.push({
+                        from: node.open.argument.from,
+                        to: node.open.argument.to,
+                        severity: "warning",
+                        message: `Unknown layout '${node.name}'. Available: ${rows.layouts.map((layout) => layout.name).join(", ")}.`,
                     });
                 }
-            }
+            });
 
             return diagnostics;
         });
 
+    /**
+     * Checks the filters of a tag or a [set] expression against the filters
+     * in the dictionary.
+     */
+    function validateFilters(dictionary, filters) {
+        if (!dictionary.filters) return [];
+
+        const diagnostics = [];
+        for (const filter of filters) {
+            const definition = dictionary.filters.find((f) => f.name === filter.name);
+            if (!filter.name) {
+                diagnostics.push({
+                    from: filter.pipe.from,
+                    to: filter.pipe.to,
+                    severity: "error",
+                    message: "Missing filter name after '|'.",
+                });
+            } else if (!definition) {
+                diagnostics.push({
+                    from: filter.nameFrom,
+                    to: filter.nameTo,
+                    severity: "error",
+                    message: `Unknown filter: '${filter.name}'. Available: ${dictionary.filters.map((f) => f.name).join(", ")}`,
+                });
+            } else {
+                diagnostics.push(...validateFilterArguments(filter, definition));
+            }
+        }
+        return diagnostics;
+    }
+
+    /**
+     * The variables %var:% can read at `pos`, as schema entries: the name
+     * and the expression that sets it. A name set twice shows the last one.
+     */
+    function templateVariables(tree, pos) {
+        const variables = new Map();
+        for (const set of variablesAt(tree, pos)) {
+            const name = set.assignment.name;
+            const expression = set.marker.argument.text.slice(name.to - set.marker.argument.from).replace(/^\s*=\s*/, "").trim();
+            variables.set(name.text, { name: name.text, label: `= ${expression}`, properties: [], choices: [] });
+        }
+        return [...variables.values()];
+    }
+
+    /**
+     * Checks the partial name and parameters of an [include] against the
+     * partials in the dictionary. Unknown names only warn: the partial may
+     * be created after the widget.
+     */
+    function validateInclude(dictionary, node) {
+        if (!dictionary.partials || !node.partial || !node.partial.name) return [];
+
+        const name = node.partial.name;
+        const partial = dictionary.partials.find((candidate) => candidate.name === name.text);
+        if (!partial) {
+            const available = dictionary.partials.map((candidate) => candidate.name);
+            return [
+                {
+                    from: name.from,
+                    to: name.to,
+                    severity: "warning",
+                    message: available.length > 0
+                        ? `Unknown partial '${name.text}'. Available: ${available.join(", ")}.`
+                        : `Unknown partial '${name.text}'. Partials are created under Settings › DataEngine Partials.`,
+                },
+            ];
+        }
+
+        return node.partial.params
+            .filter((param) => !partial.params.includes(param.name))
+            .map((param) => ({
+                from: param.from,
+                to: param.to,
+                severity: "warning",
+                message: partial.params.length > 0
+                    ? `'${param.name}' is not read by the '${partial.name}' partial. Parameters: ${partial.params.join(", ")}.`
+                    : `The '${partial.name}' partial does not read any parameters.`,
+            }));
+    }
+
     /**
      * ========================================================================
-     * 3. AUTOCOMPLETION LOGIC (UNCHANGED)
+     * 3. AUTOCOMPLETION LOGIC
      * ========================================================================
+     * The tag under the cursor comes from the shared template parser, so
+     * completion triggers in exactly the places the highlighter marks as tags.
+     * Inside [if:...] it offers operators and the choices of the compared
+     * field. Outside tags, typing "[" (or Ctrl+Space) offers block markers
+     * and the snippet library.
      */
-    // ... (ta sekcja pozostaje bez zmian)
-    function createDataEngineCompletionSource(dictionary) {
-        return (context) => {
-            const line = context.state.doc.lineAt(context.pos);
-            const lineText = line.text;
-            const posInLine = context.pos - line.from;
+    const OPERATOR_INFO = {
+        "==": "Equal to",
+        "!=": "Not equal to",
+        ">=": "Greater than or equal to (numbers)",
+        "<=": "Less than or equal to (numbers)",
+        ">": "Greater than (numbers)",
+        "<": "Less than (numbers)",
+        contains: "Text contains the value",
+        not_contains: "Text does not contain the value",
+        starts_with: "Text starts with the value",
+        ends_with: "Text ends with the value",
+        matches: "Text matches a regular expression, e.g. '^\\d{3}'",
+        in: "Equal to one of a list, e.g. ('red', 'blue')",
+        empty: "Has no value (no comparison value needed)",
+        not_empty: "Has a value (no comparison value needed)",
+    };
+    const LOGICAL_INFO = {
+        and: "Both sides must be true (same as &&)",
+        or: "Either side must be true (same as ||)",
+    };
 
-            // Find the tag we're currently in
-            const tagRegex = /%([^%]*)$/;
-            const beforeCursor = lineText.substring(0, posInLine);
-            const tagMatch = beforeCursor.match(tagRegex);
+    function logicalOptions() {
+        return Object.entries(LOGICAL_INFO).map(([label, info]) => ({ label, type: "keyword", info, boost: -1 }));
+    }
 
-            if (!tagMatch) return null;
+    function completeCondition(context, dictionary, beforeCursor) {
+        const marker = /\[(?:else[ \t]+)?if:([^\]\n]*)$/.exec(beforeCursor);
+        if (!marker) return null;
 
-            const tagContent = tagMatch[1];
-            const tagStart = context.pos - tagContent.length;
+        // The comparison being typed starts at the last tag of the condition
+        const argumentFrom = context.pos - marker[1].length;
+        const tag = parseTemplate(marker[1], argumentFrom).tags.pop();
+        if (!tag || !tag.closed) return null;
+        const afterTag = context.state.sliceDoc(tag.to, context.pos);
 
-            // --- Context: Filter Completion (MOVED TO PROPER POSITION) ---
-            const pipeIndex = tagContent.lastIndexOf("|");
-            if (pipeIndex > 0) {
-                const afterPipe = tagContent.substring(pipeIndex + 1).trim();
-                const beforePipe = tagContent.substring(0, pipeIndex);
+        // --- Operator after the tag ---
+        // A tag on its own is a test for a value, so "and"/"or" may follow as well
+        const operator = /^(\s+)([=!<>\w]*)$/.exec(afterTag);
+        if (operator) {
+            return {
+                from: tag.to + operator[1].length,
+                options: [
+                    ...CONDITION_OPERATORS.map((name) => ({
+                        label: name,
+                        type: "keyword",
+                        info: OPERATOR_INFO[name],
+                    })),
+                    ...logicalOptions(),
+                ],
+                validFor: /^[=!<>\w]*$/,
+            };
+        }
 
-                // Check if we're after a pipe and should show filters
-                if (beforePipe.includes(":") && dictionary.filters) {
-                    return {
-                        from: tagStart + pipeIndex + 1,
-                        options: dictionary.filters.map((filter) => ({
-                            label: filter.name,
-                            type: "function",
-                            info: filter.description || `Filter: ${filter.name}`,
-                            detail: filter.label || filter.name,
-                            apply: (view, completion, from, to) => {
-                                let textToApply = filter.name;
-
-                                // Add parentheses if filter has arguments
-                                if (filter.args && filter.args.length > 0) {
-                                    const defaultArgs = filter.args
-                                        .map((arg) => {
-                                            if (arg.type === "string") {
-                                                return `'${arg.default || ""}'`;
-                                            }
-                                            return arg.default || "";
-                                        })
-                                        .join(", ");
-                                    textToApply = `${filter.name}(${defaultArgs})`;
-                                }
+        // --- "and"/"or" after a complete comparison ---
+        const logical = /^\s+(?:\S+\s+(?:'[^']*'|"[^"]*"|\([^)]*\)|[^\s'"()]+)|empty|not_empty)\)*\s+(\w*)$/.exec(afterTag);
+        if (logical) {
+            return { from: context.pos - logical[1].length, options: logicalOptions(), validFor: /^\w*$/ };
+        }
 
-                                // Auto-close the tag only if we're at the end
-                                const nextChar = view.state.doc.sliceString(to, to + 1);
-                                if (nextChar !== "%" && nextChar !== "|") {
-                                    textToApply += "%";
-                                }
+        // --- Comparison value from the field's choices ---
+        const value = /^\s+(==|!=|>=|<=|>|<|contains|not_contains|starts_with|ends_with|in)\s+\(?(?:'[^']*',\s*)*('?[^'\s]*)$/.exec(afterTag);
+        if (!value || !tag.path || tag.path.segments.length !== 1) return null;
+
+        const blocks = blocksAt(parseTemplate(context.state.sliceDoc(0, tag.from)), tag.from);
+        const root = sourceSchema(dictionary, tag.source.name, blocks);
+        const field = root ? (root.properties || []).find((f) => f.name === tag.path.text) : null;
+        if (!field || !field.choices || field.choices.length === 0) return null;
+
+        return {
+            from: context.pos - value[2].length,
+            options: field.choices.map((choice) => ({
+                label: `'${choice.value}'`,
+                type: "constant",
+                detail: choice.label,
+            })),
+            validFor: /^'?[^'\s]*'?$/,
+        };
+    }
 
-                                view.dispatch({
-                                    changes: { from, to, insert: textToApply },
-                                    selection: { anchor: from + textToApply.length },
-                                });
-                            },
-                        })),
-                        validFor: /^[\w-]*$/,
-                    };
-                }
-            }
+    /**
+     * Block markers for the "[" completion. [else], [else if:] and [/if]
+     * are only offered inside an [if] block that is still open, [/each],
+     * [/layout] and [/with] inside an open block of their kind. Layout
+     * blocks themselves come from the snippets.
+     */
+    function markerOptions(state, pos) {
+        let insideIf = false;
+        let insideEach = false;
+        let insideLayout = false;
+        let insideWith = false;
+        walkTemplate(parseTemplate(state.sliceDoc(0, pos)).children, (node) => {
+            if (node.type === "if" && !node.close) insideIf = true;
+            if (node.type === "each" && !node.close) insideEach = true;
+            if (node.type === "layout" && !node.close) insideLayout = true;
+            if (node.type === "with" && !node.close) insideWith = true;
+        });
 
-            // --- Context: Property Completion ---
-            const dotIndex = tagContent.lastIndexOf(".");
-            if (dotIndex > 0 && dotIndex > pipeIndex) { // FIXED: Make sure we're not in filter context
-                const beforeDot = tagContent.substring(0, dotIndex);
-
-                if (beforeDot.includes(":") && !beforeDot.includes("|")) { // FIXED: Exclude filter context
-                    const [source, fieldName] = beforeDot.split(":");
-                    if (source === "acf" && dictionary.acf) {
-                        const acfField = dictionary.acf.find((f) => f.name === fieldName);
-                        if (acfField && acfField.properties) {
-                            return {
-                                from: tagStart + dotIndex + 1,
-                                options: acfField.properties.map((prop) => ({
-                                    label: prop.name,
-                                    type: "property",
-                                    info: prop.label,
-                                    apply: (view, completion, from, to) => {
-                                        const needsClosing = view.state.doc.sliceString(to, to + 1) !== "%";
-                                        const textToApply = needsClosing ? `${prop.name}%` : prop.name;
-
-                                        view.dispatch({
-                                            changes: { from, to, insert: textToApply },
-                                            selection: { anchor: from + textToApply.length },
-                                        });
-                                    },
-                                })),
-                                validFor: /^[\w-]*$/,
-                            };
-                        }
+        const markers = [
+            { label: "[if:", info: "Start a conditional block", condition: true },
+            { label: "[each:", info: "Repeat the content for every item of a list", condition: true },
+            { label: "[with:", info: "Read the fields of a related post, user or term", condition: true },
+            { label: "[include:", info: "Insert a partial template", partial: true },
+            { label: "[set:", info: "Compute a value once and read it with %var:name%", assignment: true },
+        ];
+        if (insideIf) {
+            markers.push(
+                { label: "[else if:", info: "Another condition", condition: true },
+                { label: "[else]", info: "Rendered when no condition matched" },
+                { label: "[/if]", info: "End of the conditional block" }
+            );
+        }
+        if (insideEach) {
+            markers.push({ label: "[/each]", info: "End of the loop" });
+        }
+        if (insideLayout) {
+            markers.push({ label: "[/layout]", info: "End of the layout block" });
+        }
+        if (insideWith) {
+            markers.push({ label: "[/with]", info: "End of the related object's block" });
+        }
+
+        return markers.map((marker) => ({
+            label: marker.label,
+            type: "keyword",
+            info: marker.info,
+            boost: 1,
+            apply: (view, completion, from, to) => {
+                const hasClosing = view.state.sliceDoc(to, to + 1) === "]";
+
+                if (marker.partial || marker.assignment) {
+                    // Continue with the partial name (from the completion) or the variable name
+                    view.dispatch({
+                        changes: { from, to, insert: hasClosing ? marker.label : `${marker.label}]` },
+                        selection: { anchor: from + marker.label.length },
+                    });
+                    if (marker.partial) {
+                        setTimeout(() => {
+                            startCompletion(view);
+                        }, 10);
                     }
+                    return;
                 }
-                return null;
+
+                if (!marker.condition) {
+                    view.dispatch({
+                        changes: { from, to: hasClosing ? to + 1 : to, insert: marker.label },
+                        selection: { anchor: from + marker.label.length },
+                    });
+                    return;
+                }
+
+                // Start the argument with a tag and open its completion
+                const textToApply = `${marker.label}%`;
+                view.dispatch({
+                    changes: { from, to, insert: hasClosing ? textToApply : `${textToApply}]` },
+                    selection: { anchor: from + textToApply.length },
+                });
+                setTimeout(() => {
+                    startCompletion(view);
+                }, 10);
+            },
+        }));
+    }
+
+    /**
+     * Completes the partial name after "[include:" and, after the name,
+     * the parameters the partial reads.
+     */
+    function completeInclude(context, dictionary, beforeCursor) {
+        if (!dictionary.partials) return null;
+
+        const name = /\[include:\s*([\w-]*)$/.exec(beforeCursor);
+        if (name) {
+            return {
+                from: context.pos - name[1].length,
+                options: dictionary.partials.map((partial) => ({
+                    label: partial.name,
+                    type: "class",
+                    detail: partial.label,
+                    info: partial.params.length > 0 ? `Parameters: ${partial.params.join(", ")}` : "No parameters",
+                })),
+                validFor: /^[\w-]*$/,
+            };
+        }
+
+        const param = /\[include:\s*([\w-]+)((?:\s+\w+\s*=\s*(?:'[^']*'|"[^"]*"))*)\s+(\w*)$/.exec(beforeCursor);
+        const partial = param ? dictionary.partials.find((candidate) => candidate.name === param[1]) : null;
+        if (!partial) return null;
+
+        const passed = [...param[2].matchAll(/(\w+)\s*=/g)].map((match) => match[1]);
+        return {
+            from: context.pos - param[3].length,
+            options: partial.params
+                .filter((name) => !passed.includes(name))
+                .map((name) => ({
+                    label: name,
+                    type: "property",
+                    detail: `${partial.name} parameter`,
+                    apply: (view, completion, from, to) => {
+                        const insert = `${name}='`;
+                        view.dispatch({
+                            changes: { from, to, insert: `${insert}'` },
+                            selection: { anchor: from + insert.length },
+                        });
+                    },
+                })),
+            validFor: /^\w*$/,
+        };
+    }
+
+    function completeSnippets(context, options) {
+        const bracket = context.matchBefore(/\[[^[\]%\n]*$/);
+        if (bracket) {
+            return {
+                from: bracket.from,
+                options: [...markerOptions(context.state, bracket.from), ...options],
+                validFor: /^\[[^[\]%\n]*$/,
+            };
+        }
+
+        // The snippet palette: explicit completion outside any tag
+        if (context.explicit) {
+            const word = context.matchBefore(/[\w-]*$/);
+            return { from: word.from, options };
+        }
+
+        return null;
+    }
+
+    function describeSource(dictionary, source, blocks) {
+        if (source === "loop") return "Loop variables: index, number, count, first, last";
+        if (source === "var") return "Variables set with [set:name = ...]";
+        if (source === "sub" && blocks.some((block) => block.type === "each")) return "Fields of the current loop item";
+        if (!dataSources(dictionary).includes(source)) return `Item of [each ... as ${source}]`;
+        if (source === "acf" && readsWithContext(dictionary, source, blocks)) return "ACF fields of the [with] block's object";
+
+        const description = (dictionary.sources || []).find((candidate) => candidate.name === source);
+        return description ? description.label : `Data from "${source}" source`;
+    }
+
+    /**
+     * Filter names for the completion after '|', with their default
+     * arguments. In a tag, the closing '%' is added when missing.
+     */
+    function filterOptions(dictionary, closeTag) {
+        return dictionary.filters.map((filter) => ({
+            label: filter.name,
+            type: "function",
+            info:
+                (filter.description || `Filter: ${filter.name}`) +
+                (filter.accepts && !filter.accepts.includes("any") ? ` (works on: ${filter.accepts.join(", ")})` : ""),
+            detail: filter.label || filter.name,
+            apply: (view, completion, from, to) => {
+                let textToApply = filter.name;
+
+                // Add parentheses if filter has arguments
+                if (filter.args && filter.args.length > 0) {
+                    const defaultArgs = filter.args
+                        .map((arg) => {
+                            if (arg.type === "string") {
+                                return `'${arg.default ?? ""}'`;
+                            }
+                            return arg.default ?? "";
+                        })
+                        .join(", ");
+                    textToApply = `${filter.name}(${defaultArgs})`;
+                }
+
+                // Auto-close the tag only if we're at the end
+                const nextChar = view.state.doc.sliceString(to, to + 1);
+                if (closeTag && nextChar !== "%" && nextChar !== "|") {
+                    textToApply += "%";
+                }
+
+                view.dispatch({
+                    changes: { from, to, insert: textToApply },
+                    selection: { anchor: from + textToApply.length },
+                });
+            },
+        }));
+    }
+
+    /**
+     * Completes the filter names of a [set] expression, after a '|' that
+     * is not inside a tag.
+     */
+    function completeSetFilter(context, dictionary, beforeCursor) {
+        if (!dictionary.filters) return null;
+
+        const pipe = /\[set:[^\]\n]*\|\s*(\w*)$/.exec(beforeCursor);
+        if (!pipe) return null;
+
+        return { from: context.pos - pipe[1].length, options: filterOptions(dictionary, false), validFor: /^\w*$/ };
+    }
+
+    function createDataEngineCompletionSource(dictionary) {
+        const snippets = snippetOptions([...BLOCK_SNIPPETS, ...fieldSnippets(dictionary)]);
+
+        return (context) => {
+            const line = context.state.doc.lineAt(context.pos);
+            const beforeCursor = context.state.doc.sliceString(line.from, context.pos);
+
+            // Find the tag we're currently typing
+            const tag = tagBeingTyped(parseTemplate(beforeCursor, line.from), context.pos);
+            if (!tag) {
+                return (
+                    completeCondition(context, dictionary, beforeCursor) ||
+                    completeInclude(context, dictionary, beforeCursor) ||
+                    completeSetFilter(context, dictionary, beforeCursor) ||
+                    completeSnippets(context, snippets)
+                );
             }
 
-            // --- Context: Field Name Completion ---
-            const colonIndex = tagContent.indexOf(":");
-            if (colonIndex > 0 && !tagContent.includes("|")) { // FIXED: Exclude filter context
-                const source = tagContent.substring(0, colonIndex);
+            // --- Context: Filter Completion ---
+            if (tag.filters.length > 0) {
+                const filter = tag.filters[tag.filters.length - 1];
+
+                // Only while typing the filter name, not its arguments
+                if (filter.parens || !dictionary.filters) return null;
+
+                return { from: filter.nameFrom, options: filterOptions(dictionary, true), validFor: /^[\w-]*$/ };
+            }
+
+            // Anything after the field path that is not a filter cannot be completed
+            if (tag.errors.length > 0) return null;
+
+            const source = tag.source.name;
+            const blocks = blocksAt(parseTemplate(context.state.sliceDoc(0, tag.from)), tag.from);
+            // Variables may be set further down the template, before a loop for example
+            const variables = source === "var" ? templateVariables(parseTemplate(context.state.doc.toString()), tag.from) : undefined;
+            const root = sourceSchema(dictionary, source, blocks, variables);
+
+            // --- Context: Property Completion (at any depth of the path) ---
+            if (tag.path && tag.path.segments.length > 1) {
+                const segments = tag.path.segments;
+                const property = segments[segments.length - 1];
+                if (!root) return null;
+                const { nodes, unknown } = resolveSegments(root, segments.slice(0, -1));
+                if (unknown !== -1) return null;
+
+                const children = schemaChildren(nodes[nodes.length - 1]);
+                if (children.length === 0) return null;
+
+                return {
+                    from: property.from,
+                    options: children.map((prop) => ({
+                        label: prop.name,
+                        type: "property",
+                        info: prop.label,
+                        detail: prop.type,
+                        apply: (view, completion, from, to) => {
+                            const nested = hasNestedSchema(prop);
+                            let textToApply;
+
+                            if (nested) {
+                                textToApply = `${prop.name}.`;
+                            } else {
+                                const needsClosing = view.state.doc.sliceString(to, to + 1) !== "%";
+                                textToApply = needsClosing ? `${prop.name}%` : prop.name;
+                            }
+
+                            view.dispatch({
+                                changes: { from, to, insert: textToApply },
+                                selection: { anchor: from + textToApply.length },
+                            });
+
+                            if (nested) {
+                                setTimeout(() => {
+                                    startCompletion(view);
+                                }, 10);
+                            }
+                        },
+                    })),
+                    validFor: /^[\w-]*$/,
+                };
+            }
 
-                if (dictionary[source]) {
+            // --- Context: Field Name Completion ---
+            if (tag.path) {
+                if (root) {
                     return {
-                        from: tagStart + colonIndex + 1,
-                        options: dictionary[source].map((field) => ({
+                        from: tag.path.from,
+                        options: schemaChildren(root).map((field) => ({
                             label: field.name,
                             type: "variable",
                             info: field.label,
                             apply: (view, completion, from, to) => {
-                                const hasProperties = field.properties && field.properties.length > 0;
+                                const hasProperties = hasNestedSchema(field);
                                 let textToApply;
 
                                 if (hasProperties) {
@@ -432,11 +736,11 @@ jQuery(document).ready(function ($) {
 
             // --- Context: Source Completion ---
             return {
-                from: tagStart,
-                options: ["acf", "post", "sub"].map((label) => ({
+                from: tag.source.from,
+                options: availableSources(dictionary, blocks).map((label) => ({
                     label,
                     type: "namespace",
-                    info: `Data from "${label}" source`,
+                    info: describeSource(dictionary, label, blocks),
                     apply: (view, completion, from, to) => {
                         const textToApply = `${label}:`;
 
@@ -457,16 +761,384 @@ jQuery(document).ready(function ($) {
 
     /**
      * ========================================================================
-     * 4. MODAL AND EDITOR INITIALIZATION (WITH LINTING)
+     * 4. SIGNATURE HELP AND HOVER TOOLTIPS
+     * ========================================================================
+     * While the cursor is inside filter(...), a tooltip shows the filter's
+     * parameters with the current one highlighted, like IDEs do for calls.
+     * Hovering a tag shows the field's metadata and what the tag resolves to
+     * for the preview post.
+     */
+    function formatParameter(param) {
+        let text = `${param.name}: ${param.type}`;
+        if (param.default !== undefined && param.default !== "") {
+            text += param.type === "string" ? ` = '${param.default}'` : ` = ${param.default}`;
+        }
+        return text;
+    }
+
+    function renderSignature(definition, activeIndex) {
+        const params = definition.args || [];
+        const dom = document.createElement("div");
+        dom.className = "cm-de-signature";
+
+        const label = document.createElement("div");
+        label.className = "cm-de-signature-label";
+        label.append(`${definition.name}(`);
+        params.forEach((param, index) => {
+            if (index > 0) label.append(", ");
+            const span = document.createElement("span");
+            span.className = "cm-de-signature-param" + (index === activeIndex ? " is-active" : "");
+            span.textContent = formatParameter(param);
+            label.append(span);
+        });
+        label.append(")");
+        dom.append(label);
+
+        const active = params[activeIndex];
+        const description = active
+            ? active.description
+            : params.length > 0
+            ? `'${definition.name}' takes at most ${params.length} argument${params.length === 1 ? "" : "s"}.`
+            : definition.description;
+        if (description) {
+            const doc = document.createElement("div");
+            doc.className = "cm-de-signature-doc";
+            doc.textContent = description;
+            dom.append(doc);
+        }
+
+        return dom;
+    }
+
+    function createSignatureHelp(dictionary) {
+        const getTooltip = (state) => {
+            const { head, empty } = state.selection.main;
+            if (!empty || !dictionary.filters) return null;
+
+            const line = state.doc.lineAt(head);
+            const call = filterCallAt(parseTemplate(line.text, line.from), head);
+            if (!call) return null;
+
+            const definition = dictionary.filters.find((f) => f.name === call.filter.name);
+            if (!definition) return null;
+
+            return {
+                pos: call.filter.nameFrom,
+                above: true,
+                create: () => ({ dom: renderSignature(definition, call.argIndex) }),
+            };
+        };
+
+        return StateField.define({
+            create: getTooltip,
+            update: (tooltip, tr) => (tr.docChanged || tr.selection ? getTooltip(tr.state) : tooltip),
+            provide: (field) => showTooltip.from(field),
+        });
+    }
+
+    /**
+     * Looks up the dictionary entries behind a tag: the field and, for
+     * paths like image.url, the property.
+     */
+    function describeTag(dictionary, tag, blocks, variables) {
+        const segments = tag.path.segments;
+        const root = sourceSchema(dictionary, tag.source.name, blocks, variables);
+        const { nodes } = root ? resolveSegments(root, segments) : { nodes: [] };
+        const label = segments.map((segment, index) => (nodes[index] ? nodes[index].label : segment.name));
+        const typed = nodes.filter((node) => node.type);
+
+        return {
+            label: label.join(" › "),
+            type: [tag.source.name, nodes.length > 0 ? (typed.length > 0 ? typed[typed.length - 1].type : "") : root ? "unknown field" : ""]
+                .filter(Boolean)
+                .join(" · "),
+        };
+    }
+
+    function appendValueRow(list, title, value) {
+        const dt = document.createElement("dt");
+        dt.textContent = title;
+        const dd = document.createElement("dd");
+        if (value === "") {
+            dd.className = "cm-de-hover-empty";
+            dd.textContent = "(empty)";
+        } else {
+            dd.textContent = value;
+        }
+        list.append(dt, dd);
+    }
+
+    function renderTagHover(description, tag, values, error, unresolved) {
+        const dom = document.createElement("div");
+        dom.className = "cm-de-hover";
+
+        const title = document.createElement("div");
+        title.className = "cm-de-hover-title";
+        title.textContent = description.label;
+        const type = document.createElement("span");
+        type.className = "cm-de-hover-type";
+        type.textContent = description.type;
+        title.append(type);
+        dom.append(title);
+
+        const list = document.createElement("dl");
+        list.className = "cm-de-hover-values";
+        if (error) {
+            appendValueRow(list, "Value", `Could not resolve: ${error}`);
+        } else if (!values) {
+            appendValueRow(list, "Value", unresolved);
+        } else {
+            appendValueRow(list, "Value", values.value);
+            if (tag.filters.length > 0) appendValueRow(list, "After filters", values.filtered);
+        }
+        dom.append(list);
+
+        return dom;
+    }
+
+    /**
+     * Describes the partial of an [include] marker, with a link that opens
+     * the partial for editing in a new tab.
+     */
+    function renderIncludeHover(partial) {
+        const dom = document.createElement("div");
+        dom.className = "cm-de-hover";
+
+        const title = document.createElement("div");
+        title.className = "cm-de-hover-title";
+        title.textContent = partial.label;
+        const type = document.createElement("span");
+        type.className = "cm-de-hover-type";
+        type.textContent = "partial";
+        title.append(type);
+        dom.append(title);
+
+        const list = document.createElement("dl");
+        list.className = "cm-de-hover-values";
+        appendValueRow(list, "Parameters", partial.params.length > 0 ? partial.params.join(", ") : "none");
+        dom.append(list);
+
+        if (partial.edit_url) {
+            const link = document.createElement("a");
+            link.className = "cm-de-hover-link";
+            link.href = partial.edit_url;
+            link.target = "_blank";
+            link.rel = "noopener";
+            link.textContent = "Edit partial ↗";
+            dom.append(link);
+        }
+
+        return dom;
+    }
+
+    function includeAt(tree, pos) {
+        let found = null;
+        walkTemplate(tree.children, (node) => {
+            if (node.type === "include" && node.partial && node.partial.name && node.from <= pos && pos <= node.to) found = node;
+        });
+        return found;
+    }
+
+    function createTagHover(dictionary, inspectTag) {
+        return hoverTooltip(
+            async (view, pos, side) => {
+                const line = view.state.doc.lineAt(pos);
+                const lineTree = parseTemplate(line.text, line.from);
+                const tag = tagAt(lineTree, pos, side);
+
+                if (!tag) {
+                    const include = includeAt(lineTree, pos);
+                    const partial = include && dictionary.partials
+                        ? dictionary.partials.find((candidate) => candidate.name === include.partial.name.text)
+                        : null;
+                    if (!partial) return null;
+                    return { pos: include.from, end: include.to, above: true, create: () => ({ dom: renderIncludeHover(partial) }) };
+                }
+                if (!tag.path || !tag.path.text) return null;
+
+                // Tags that refer to the current loop item, to the object of a
+                // [with] block or to a variable cannot be resolved on their own
+                const blocks = blocksAt(parseTemplate(view.state.sliceDoc(0, tag.from)), tag.from);
+                const variables = tag.source.name === "var" ? templateVariables(parseTemplate(view.state.doc.toString()), tag.from) : undefined;
+                const perItem = blocks.some((block) => block.type === "each") &&
+                    (tag.source.name === "sub" || !dataSources(dictionary).includes(tag.source.name));
+                const unresolved = variables
+                    ? "Computed by the template's [set] markers"
+                    : perItem
+                      ? "Resolved for each item of the loop"
+                      : readsWithContext(dictionary, tag.source.name, blocks)
+                        ? "Resolved for the object of the [with] block"
+                        : null;
+
+                let values = null;
+                let error = null;
+                if (!unresolved) {
+                    try {
+                        values = await inspectTag(view.state.sliceDoc(tag.from, tag.to));
+                    } catch (e) {
+                        error = e.message;
+                    }
+                }
+
+                return {
+                    pos: tag.from,
+                    end: tag.to,
+                    above: true,
+                    create: () => ({ dom: renderTagHover(describeTag(dictionary, tag, blocks, variables), tag, values, error, unresolved) }),
+                };
+            },
+            { hoverTime: 400 }
+        );
+    }
+
+    /**
+     * ========================================================================
+     * 5. LIVE PREVIEW
+     * ========================================================================
+     * Renders the template on the server (the same Parser the widgets use)
+     * and shows the sanitized HTML in a sandboxed iframe next to the editor.
+     */
+    const PREVIEW_DEBOUNCE_MS = 400;
+
+    function createLivePreview(pane, previewContext) {
+        const frame = pane.querySelector(".preview-frame");
+        const $status = $(pane).find(".preview-status");
+        const $rowSelect = $(pane).find(".preview-row-select");
+        let template = "";
+        let timer = null;
+        let latestRequest = 0;
+
+        function updateRowSelect(rows, row) {
+            if (!rows) {
+                $rowSelect.prop("hidden", true).empty();
+                if (rows === 0) $status.text("The repeater has no rows.");
+                return;
+            }
+            if ($rowSelect.children().length !== rows) {
+                $rowSelect.empty();
+                for (let index = 0; index < rows; index++) {
+                    $rowSelect.append($("<option>").val(index).text(`Row ${index + 1}`));
+                }
+            }
+            $rowSelect.val(String(row)).prop("hidden", false);
+        }
+
+        function render() {
+            const request = ++latestRequest;
+            $status.text("Rendering...");
+
+            $.ajax({
+                url: DataEngineEditorConfig.ajax_url,
+                type: "POST",
+                data: {
+                    ...previewContext,
+                    action: "data_engine_render_preview",
+                    nonce: DataEngineEditorConfig.nonce,
+                    template: template,
+                    row_index: $rowSelect.val() || 0,
+                },
+                success: function (response) {
+                    // A newer render was requested while this one was running.
+                    if (request !== latestRequest) return;
+
+                    if (!response.success) {
+                        $status.text(response.data?.message || "Could not render the preview.");
+                        return;
+                    }
+                    $status.text("");
+                    frame.srcdoc = `<!doctype html><html><head><style>body{margin:12px;font-family:sans-serif;color:#1f2124;}</style></head><body>${response.data.html}</body></html>`;
+                    updateRowSelect(response.data.rows, response.data.row);
+                },
+                error: function (jqXHR, textStatus) {
+                    if (request !== latestRequest) return;
+                    $status.text("Preview request failed: " + textStatus);
+                },
+            });
+        }
+
+        function update(newTemplate) {
+            template = newTemplate;
+            clearTimeout(timer);
+            timer = setTimeout(render, PREVIEW_DEBOUNCE_MS);
+        }
+
+        $rowSelect.on("change", render);
+
+        return {
+            update,
+            getRowIndex: () => $rowSelect.val() || 0,
+            extension: EditorView.updateListener.of((viewUpdate) => {
+                if (viewUpdate.docChanged) update(viewUpdate.state.doc.toString());
+            }),
+            destroy() {
+                clearTimeout(timer);
+                latestRequest++;
+            },
+        };
+    }
+
+    /**
+     * Returns a function that resolves a single tag on the server, for the
+     * hover tooltips. The post data does not change while the modal is open,
+     * so every tag is only fetched once per repeater row.
+     */
+    function createTagInspector(previewContext, getRowIndex) {
+        const cache = new Map();
+
+        return (tag) => {
+            const rowIndex = getRowIndex();
+            const key = `${rowIndex}:${tag}`;
+            if (cache.has(key)) return cache.get(key);
+
+            const request = new Promise((resolve, reject) => {
+                $.ajax({
+                    url: DataEngineEditorConfig.ajax_url,
+                    type: "POST",
+                    data: {
+                        ...previewContext,
+                        action: "data_engine_inspect_tag",
+                        nonce: DataEngineEditorConfig.nonce,
+                        tag: tag,
+                        row_index: rowIndex,
+                    },
+                    success: function (response) {
+                        if (response.success) resolve(response.data);
+                        else reject(new Error(response.data?.message || "Unknown error."));
+                    },
+                    error: function (jqXHR, textStatus) {
+                        reject(new Error(textStatus));
+                    },
+                });
+            });
+            cache.set(key, request);
+            request.catch(() => cache.delete(key));
+            return request;
+        };
+    }
+
+    /**
+     * ========================================================================
+     * 6. MODAL AND EDITOR INITIALIZATION (WITH LINTING)
      * ========================================================================
      * Added the linter and lintGutter extensions.
      */
-    function showEditorModal(initialContent, dataDictionary, onSave, onCancel) {
+    function showEditorModal(initialContent, dataDictionary, onSave, onCancel, previewContext) {
         const modalHTML = `
             <div class="data-engine-modal">
                 <div class="modal-header">DataEngine Live Editor</div>
-                <div class="modal-content"></div>
+                <div class="modal-body">
+                    <div class="modal-content"></div>
+                    <div class="modal-preview">
+                        <div class="preview-toolbar">
+                            <span class="preview-title">Preview</span>
+                            <select class="preview-row-select" hidden></select>
+                            <span class="preview-status"></span>
+                        </div>
+                        <iframe class="preview-frame" sandbox="" title="Template preview"></iframe>
+                    </div>
+                </div>
                 <div class="modal-footer">
+                    <button class="elementor-button" id="de-snippet-button" title="Or type [ / press Ctrl+Space">Insert Snippet</button>
                     <button class="elementor-button" id="de-cancel-button">Cancel</button>
                     <button class="elementor-button elementor-button-success" id="de-save-button">Save & Close</button>
                 </div>
@@ -480,15 +1152,19 @@ jQuery(document).ready(function ($) {
             createDataEngineCompletionSource(dataDictionary);
         // NEW: Create the linter instance with our data dictionary
         const liveLinter = dataEngineLinter(dataDictionary);
+        const livePreview = createLivePreview(
+            document.querySelector(".data-engine-modal .modal-preview"),
+            previewContext
+        );
 
         const editorState = EditorState.create({
             doc: initialContent,
             extensions: [
                 oneDark,
                 EditorView.lineWrapping,
-                html(),
+                dataEngine(),
                 dataEngineTheme,
-                dataEngineSyntaxHighlighting,
+                foldGutter(),
                 closeBrackets(),
                 autocompletion({
                     override: [dataEngineCompletions],
@@ -498,8 +1174,12 @@ jQuery(document).ready(function ($) {
                 // NEW: Enable the linter and the gutter for displaying icons
                 liveLinter,
                 lintGutter(),
+                createSignatureHelp(dataDictionary),
+                createTagHover(dataDictionary, createTagInspector(previewContext, livePreview.getRowIndex)),
+                livePreview.extension,
                 keymap.of([
                     ...completionKeymap,
+                    ...foldKeymap,
                     ...defaultKeymap,
                     indentWithTab,
                     {
@@ -518,12 +1198,21 @@ jQuery(document).ready(function ($) {
             parent: contentArea,
         });
 
+        livePreview.update(initialContent);
+
+        $("#de-snippet-button").on("click", function () {
+            editorView.focus();
+            startCompletion(editorView);
+        });
+
         $("#de-cancel-button").on("click", function () {
+            livePreview.destroy();
             onCancel();
             $(".data-engine-modal").remove();
         });
 
         $("#de-save-button").on("click", function () {
+            livePreview.destroy();
             onSave(editorView.state.doc.toString());
             $(".data-engine-modal").remove();
         });
@@ -531,7 +1220,7 @@ jQuery(document).ready(function ($) {
 
     /**
      * ========================================================================
-     * 5. OVERLAY AND MAIN BUTTON LOGIC (UNCHANGED)
+     * 7. OVERLAY AND MAIN BUTTON LOGIC (UNCHANGED)
      * ========================================================================
      */
     // ... (ta sekcja pozostaje bez zmian)
@@ -661,6 +1350,12 @@ jQuery(document).ready(function ($) {
                 );
             }
 
+            // The preview is sanitized with the widget's kses profile
+            const ksesProfile = $clickedButton
+                .closest("#elementor-controls")
+                .find(".data-engine-kses-profile-input select")
+                .val();
+
             console.log("DataEngine: Final AJAX data:", ajaxData);
 
             $.ajax({
@@ -687,6 +1382,11 @@ jQuery(document).ready(function ($) {
                                 () => {
                                     console.log("DataEngine: Editor closed without saving.");
                                     hideOverlay();
+                                },
+                                {
+                                    context_post_id: ajaxData.context_post_id,
+                                    repeater_context_field: ajaxData.repeater_context_field,
+                                    kses_profile: ksesProfile,
                                 }
                             );
                         }, 300);
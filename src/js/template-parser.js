@@ -0,0 +1,1129 @@
+// src/js/template-parser.js
+
+/**
+ * ========================================================================
+ * DataEngine Template Parser
+ * ========================================================================
+ * Turns a template into a syntax tree with exact document positions.
+ * The Live Editor linter and autocompletion read this tree, and the
+ * grammar's Text tokenizer (dataengine-tokens.js) uses the same scanning
+ * rules, so they always agree on what is a tag, a filter or a block.
+ *
+ * Every position is an absolute document offset (`offset` + index), so a
+ * slice of the document can be parsed without remapping the results.
+ *
+ * Node shapes:
+ *   text      { type, from, to }
+ *   tag       { type, from, to, closed, source, separator, path, filters, errors }
+ *   marker    { type, from, to, name, keyword, argument, stray }
+ *   if        { type, from, to, branches: [{ marker, condition, children }], close }
+ *   fallback  { type, from, to, target, open, children, close }
+ *   each      { type, from, to, open, loop, children, close }
+ *   layout    { type, from, to, open, name, children, close }
+ *   with      { type, from, to, open, context, children, close }
+ *   include   { type, from, to, marker, partial }
+ *   set       { type, from, to, marker, assignment }
+ */
+
+// Block markers: [if:...], [else if:...], [else], [/if], [fallback], [/fallback],
+// [each:...], [/each], [layout:...], [/layout], [with:...], [/with], and the
+// self-contained [include:...] and [set:...].
+const MARKER_REGEX = /\[(\/?)(if|else[ \t]+if|else|fallback|each|layout|with|include|set)(?::([^\]\n]*))?\]/y;
+
+const isSpace = (ch) => ch === " " || ch === "\t";
+const isWordChar = (ch) => /[\w-]/.test(ch);
+
+/**
+ * Scans a %source:path|filter(args)% tag starting at `start` (a '%').
+ * Returns null when the '%' is plain text (e.g. "100% off").
+ *
+ * A tag never spans lines. A tag that reaches the end of the line or the
+ * input without its closing '%' is returned with `closed: false`, which is
+ * what autocompletion looks at while the user is typing.
+ */
+function scanTag(text, start, offset) {
+    const at = (index) => offset + index;
+    let i = start + 1;
+
+    // A bare '%' at the very end is the start of a tag being typed.
+    if (i < text.length && !/[A-Za-z_]/.test(text[i])) {
+        return null;
+    }
+
+    const tag = {
+        type: "tag",
+        from: at(start),
+        to: at(start),
+        closed: false,
+        source: null,
+        separator: null,
+        path: null,
+        filters: [],
+        errors: [],
+    };
+
+    const sourceStart = i;
+    while (i < text.length && isWordChar(text[i])) i++;
+    tag.source = { name: text.slice(sourceStart, i), from: at(sourceStart), to: at(i) };
+
+    if (text[i] !== ":") {
+        // "%word" only counts as a tag while it is still being typed.
+        if (i < text.length) {
+            return null;
+        }
+        tag.to = at(i);
+        return tag;
+    }
+
+    tag.separator = { from: at(i), to: at(i + 1) };
+    i++;
+
+    // Field path with dot-separated properties: field.property.sub
+    const pathStart = i;
+    const segments = [];
+    let segmentStart = i;
+    while (i < text.length && /[\w.-]/.test(text[i])) {
+        if (text[i] === ".") {
+            segments.push({ name: text.slice(segmentStart, i), from: at(segmentStart), to: at(i) });
+            segmentStart = i + 1;
+        }
+        i++;
+    }
+    segments.push({ name: text.slice(segmentStart, i), from: at(segmentStart), to: at(i) });
+    tag.path = { text: text.slice(pathStart, i), from: at(pathStart), to: at(i), segments };
+
+    // Everything up to the closing '%' (or the end of the line) is the filter chain.
+    let end = i;
+    while (end < text.length && text[end] !== "%" && text[end] !== "\n") end++;
+
+    scanFilterChain(text, i, end, offset, tag);
+
+    if (text[end] === "%") {
+        tag.closed = true;
+        tag.to = at(end + 1);
+    } else {
+        tag.to = at(end);
+    }
+
+    return tag;
+}
+
+/**
+ * Parses "| name(arg, 'arg') | name" between `start` and `end` into
+ * `tag.filters`. Anything that does not fit the grammar is recorded in
+ * `tag.errors` with its range.
+ */
+function scanFilterChain(text, start, end, offset, tag) {
+    const at = (index) => offset + index;
+    let i = start;
+
+    while (i < end) {
+        while (i < end && isSpace(text[i])) i++;
+        if (i >= end) break;
+
+        if (text[i] !== "|") {
+            tag.errors.push({
+                from: at(i),
+                to: at(end),
+                message: `Unexpected '${text.slice(i, end).trim()}' in tag. Expected '|' or '%'.`,
+            });
+            return;
+        }
+
+        const filter = {
+            name: "",
+            from: 0,
+            to: 0,
+            pipe: { from: at(i), to: at(i + 1) },
+            nameFrom: 0,
+            nameTo: 0,
+            args: [],
+            parens: null,
+            commas: [],
+        };
+        i++;
+
+        while (i < end && isSpace(text[i])) i++;
+        const nameStart = i;
+        while (i < end && /\w/.test(text[i])) i++;
+        filter.name = text.slice(nameStart, i);
+        filter.from = filter.nameFrom = at(nameStart);
+        filter.to = filter.nameTo = at(i);
+
+        let j = i;
+        while (j < end && isSpace(text[j])) j++;
+        if (text[j] === "(" && j < end) {
+            i = scanArguments(text, j, end, offset, filter);
+            filter.to = at(i);
+        }
+
+        tag.filters.push(filter);
+    }
+}
+
+/**
+ * Parses a parenthesised argument list starting at `open` (a '(').
+ * Commas and parentheses inside quotes are literal, like in Parser::parse_filters.
+ * Returns the index just after the list.
+ */
+function scanArguments(text, open, end, offset, filter) {
+    const at = (index) => offset + index;
+    let quote = null;
+    let argStart = open + 1;
+    let i = open + 1;
+    const raws = [];
+
+    for (; i < end; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === quote) quote = null;
+            continue;
+        }
+        if (ch === "'" || ch === '"') {
+            quote = ch;
+        } else if (ch === ",") {
+            raws.push([argStart, i]);
+            filter.commas.push(at(i));
+            argStart = i + 1;
+        } else if (ch === ")") {
+            break;
+        }
+    }
+
+    const closed = i < end && text[i] === ")";
+    raws.push([argStart, i]);
+    filter.parens = { open: at(open), close: closed ? at(i) : null };
+
+    // "name()" has no arguments at all, not one empty argument.
+    if (raws.length === 1 && text.slice(raws[0][0], raws[0][1]).trim() === "") {
+        return closed ? i + 1 : i;
+    }
+
+    for (let [from, to] of raws) {
+        while (from < to && isSpace(text[from])) from++;
+        while (to > from && isSpace(text[to - 1])) to--;
+        const raw = text.slice(from, to);
+        const quoted = /^(['"]).*\1$/s.test(raw);
+        filter.args.push({
+            raw,
+            value: quoted ? raw.slice(1, -1) : raw,
+            quoted,
+            from: at(from),
+            to: at(to),
+        });
+    }
+
+    return closed ? i + 1 : i;
+}
+
+/**
+ * Scans a block marker starting at `start` (a '['). Returns null when the
+ * bracket is ordinary text.
+ */
+function scanMarker(text, start, offset) {
+    MARKER_REGEX.lastIndex = start;
+    const match = MARKER_REGEX.exec(text);
+    if (!match) {
+        return null;
+    }
+
+    const at = (index) => offset + index;
+    const keywordStart = start + 1;
+    const keywordEnd = keywordStart + match[1].length + match[2].length;
+    const marker = {
+        type: "marker",
+        name: match[1] + match[2].replace(/[ \t]+/, " "),
+        from: at(start),
+        to: at(start + match[0].length),
+        keyword: { from: at(keywordStart), to: at(keywordEnd) },
+        argument: null,
+        stray: false,
+    };
+
+    if (match[3] !== undefined) {
+        const argStart = keywordEnd + 1;
+        const argEnd = argStart + match[3].length;
+        marker.argument = {
+            text: match[3],
+            from: at(argStart),
+            to: at(argEnd),
+            tags: scanInlineTags(text.slice(0, argEnd), argStart, offset),
+        };
+    }
+
+    return marker;
+}
+
+/**
+ * Collects the tags inside a marker argument such as an [if:] condition.
+ */
+function scanInlineTags(text, start, offset) {
+    const tags = [];
+    let i = start;
+    while (i < text.length) {
+        const tag = text[i] === "%" ? scanTag(text, i, offset) : null;
+        if (tag) {
+            tags.push(tag);
+            i = tag.to - offset;
+        } else {
+            i++;
+        }
+    }
+    return tags;
+}
+
+// Operators accepted by Condition_Evaluator.
+export const CONDITION_OPERATORS = [
+    "==",
+    "!=",
+    ">=",
+    "<=",
+    ">",
+    "<",
+    "contains",
+    "not_contains",
+    "starts_with",
+    "ends_with",
+    "matches",
+    "in",
+    "empty",
+    "not_empty",
+];
+const VALUELESS_OPERATORS = ["empty", "not_empty"];
+const CONDITION_KEYWORDS = ["and", "or", "not"];
+
+// Same alternatives as Condition_Evaluator::TOKEN_REGEX.
+const CONDITION_TOKEN_REGEX =
+    /(?<space>\s+)|(?<tag>%[^%]*%?)|(?<string>'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(?<symbol>&&|\|\||==|!=|>=|<=|>|<|!|\(|\)|,)|(?<word>[^\s%'"()!<>=,&|]+)/y;
+
+class ConditionError extends Error {
+    constructor(from, to, message, severity = "error") {
+        super(message);
+        this.from = from;
+        this.to = to;
+        this.severity = severity;
+    }
+}
+
+function tokenizeCondition(text, base) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        CONDITION_TOKEN_REGEX.lastIndex = i;
+        const match = CONDITION_TOKEN_REGEX.exec(text);
+        if (!match) {
+            const quote = text[i] === "'" || text[i] === '"';
+            throw new ConditionError(
+                base + i,
+                base + text.length,
+                quote ? `Missing closing ${text[i]} after the value.` : `Unexpected '${text[i]}'.`
+            );
+        }
+
+        const type = ["tag", "string", "symbol", "word"].find((name) => match.groups[name] !== undefined);
+        if (type) {
+            tokens.push({ type, value: match[0], from: base + i, to: base + i + match[0].length });
+        }
+        i += match[0].length;
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses the argument of an [if:] or [else if:] marker with the grammar of
+ * Condition_Evaluator: comparisons joined by &&/and and ||/or, negated with
+ * not/! and grouped with parentheses. An expression the evaluator would
+ * reject gets an entry in `errors` (only the first problem, as parsing
+ * stops there), so it can be flagged instead of silently evaluating to
+ * false on the live site.
+ *
+ * Expression nodes are { type: "and"|"or", left, right }, { type: "not",
+ * operand } and { type: "compare", left, operator, right }, where operands
+ * are { type: "tag"|"literal", value, from, to } or, after `in`,
+ * { type: "list", items, from, to }.
+ *
+ * @param {object} argument A marker argument ({ text, from, to, tags }).
+ * @returns {{expression: ?object, errors: Array<object>}}
+ */
+export function parseCondition(argument) {
+    const condition = { expression: null, errors: [] };
+    const expected = `Expected one of: ${CONDITION_OPERATORS.join(", ")}.`;
+    let tokens;
+    let index = 0;
+
+    const peek = () => tokens[index] || null;
+    const accept = (...values) => {
+        const token = peek();
+        if (token && (token.type === "symbol" || token.type === "word") && values.includes(token.value)) {
+            index++;
+            return token;
+        }
+        return null;
+    };
+
+    const parseOperand = (context) => {
+        const token = peek();
+        if (!token || token.type === "symbol" || (token.type === "word" && CONDITION_KEYWORDS.includes(token.value))) {
+            // At the end of the condition, point at the last token
+            const at = token || tokens[tokens.length - 1];
+            throw new ConditionError(at.from, at.to, `Expected a tag or a value ${context}.`);
+        }
+        index++;
+
+        if (token.type === "tag") {
+            // The tag rules report a missing '%'; the node keeps the parsed tag.
+            const tag = argument.tags.find((t) => t.from === token.from);
+            return { type: "tag", value: token.value, tag, from: token.from, to: token.to };
+        }
+        const value = token.type === "string" ? token.value.slice(1, -1).replace(/\\(['"\\])/g, "$1") : token.value;
+        return { type: "literal", value, quoted: token.type === "string", from: token.from, to: token.to };
+    };
+
+    const parseList = (open) => {
+        const items = [];
+        do {
+            items.push(parseOperand("in the list"));
+        } while (accept(","));
+
+        const close = accept(")");
+        if (!close) {
+            throw new ConditionError(open.from, items[items.length - 1].to, "Missing ')' after the list.");
+        }
+        return { type: "list", items, from: open.from, to: close.to };
+    };
+
+    const parseComparison = () => {
+        const left = parseOperand(index === 0 ? "at the start of the condition" : "here");
+        const next = peek();
+        const operator = next && next.type !== "string" && next.type !== "tag" && CONDITION_OPERATORS.includes(next.value) ? next : null;
+
+        if (!operator) {
+            if (next && next.type === "word" && !CONDITION_KEYWORDS.includes(next.value)) {
+                throw new ConditionError(next.from, next.to, `Unknown operator '${next.value}'. ${expected}`);
+            }
+            if (left.type !== "tag") {
+                throw new ConditionError(left.from, left.to, `Expected an operator after '${left.value}'. ${expected}`);
+            }
+            // A tag on its own is true when it has a value.
+            return { type: "compare", left, operator: null, right: null, from: left.from, to: left.to };
+        }
+        index++;
+        const op = { name: operator.value, from: operator.from, to: operator.to };
+
+        if (VALUELESS_OPERATORS.includes(op.name)) {
+            const extra = peek();
+            if (extra && (extra.type === "tag" || extra.type === "string" || (extra.type === "word" && !CONDITION_KEYWORDS.includes(extra.value)))) {
+                throw new ConditionError(extra.from, extra.to, `'${op.name}' does not take a value.`);
+            }
+            return { type: "compare", left, operator: op, right: null, from: left.from, to: op.to };
+        }
+
+        const open = op.name === "in" ? accept("(") : null;
+        const right = open ? parseList(open) : parseOperand(`after '${op.name}'`);
+
+        // An unquoted value runs up to the next and/or, ')' or the end.
+        if (right.type === "literal" && !right.quoted) {
+            while (peek() && peek().type === "word" && !CONDITION_KEYWORDS.includes(peek().value)) {
+                right.to = tokens[index++].to;
+            }
+            right.value = argument.text.slice(right.from - argument.from, right.to - argument.from);
+        }
+
+        if (op.name === "matches" && right.type === "literal") {
+            try {
+                new RegExp(right.value, "u");
+            } catch (e) {
+                condition.errors.push({
+                    from: right.from,
+                    to: right.to,
+                    severity: "warning",
+                    message: `This pattern may not be valid: ${e.message}`,
+                });
+            }
+        }
+
+        return { type: "compare", left, operator: op, right, from: left.from, to: right.to };
+    };
+
+    const parseUnary = () => {
+        const not = accept("!", "not");
+        if (not) {
+            const operand = parseUnary();
+            return { type: "not", operand, from: not.from, to: operand.to };
+        }
+
+        const open = accept("(");
+        if (open) {
+            const node = parseOr();
+            const close = accept(")");
+            if (!close) {
+                const next = peek();
+                throw new ConditionError(open.from, open.to, next ? `Expected ')' before '${next.value}'.` : "Missing ')' for this '('.");
+            }
+            return { ...node, from: open.from, to: close.to };
+        }
+
+        return parseComparison();
+    };
+
+    const parseAnd = () => {
+        let node = parseUnary();
+        while (accept("&&", "and")) {
+            const right = parseUnary();
+            node = { type: "and", left: node, right, from: node.from, to: right.to };
+        }
+        return node;
+    };
+
+    const parseOr = () => {
+        let node = parseAnd();
+        while (accept("||", "or")) {
+            const right = parseAnd();
+            node = { type: "or", left: node, right, from: node.from, to: right.to };
+        }
+        return node;
+    };
+
+    try {
+        tokens = tokenizeCondition(argument.text, argument.from);
+        condition.expression = parseOr();
+
+        const next = peek();
+        if (next) {
+            throw new ConditionError(
+                next.from,
+                next.to,
+                next.value === ")" ? "Unexpected ')' without a matching '('." : `Expected 'and' or 'or' before '${next.value}'.`
+            );
+        }
+    } catch (e) {
+        if (!(e instanceof ConditionError)) throw e;
+        condition.expression = null;
+        condition.errors.push({ from: e.from, to: Math.max(e.to, e.from), severity: e.severity, message: e.message });
+    }
+
+    return condition;
+}
+
+/**
+ * Parses the argument of an [each:] marker: `%tag%` optionally followed by
+ * `as alias`, following EACH_ARGUMENT_REGEX in Parser.php.
+ *
+ * @param {object} argument A marker argument ({ text, from, to, tags }).
+ * @returns {{tag: ?object, alias: ?{name: string, from: number, to: number}, errors: Array<object>}}
+ */
+export function parseLoopArgument(argument) {
+    const text = argument.text;
+    const base = argument.from;
+    const loop = { tag: null, alias: null, errors: [] };
+    const report = (from, to, message) => {
+        loop.errors.push({ from, to, severity: "error", message });
+    };
+
+    const start = base + text.length - text.trimStart().length;
+    const tag = argument.tags[0];
+    if (!tag || tag.from !== start) {
+        report(start, tag ? tag.from : argument.to, "[each:] needs a tag to loop over, e.g. [each:%acf:gallery%].");
+        return loop;
+    }
+    loop.tag = tag;
+    if (!tag.closed) {
+        return loop;
+    }
+    if (tag.filters.length > 0) {
+        report(tag.filters[0].from, tag.to - 1, "Filters cannot be applied to the list of an [each:] loop.");
+    }
+
+    const rest = text.slice(tag.to - base);
+    if (rest.trim() === "") {
+        return loop;
+    }
+
+    const alias = /^(\s+as\s+)([A-Za-z_]\w*)\s*$/.exec(rest);
+    if (!alias) {
+        report(tag.to, argument.to, "Expected 'as name' after the tag, e.g. [each:%acf:team% as member].");
+        return loop;
+    }
+
+    const aliasFrom = tag.to + alias[1].length;
+    // Whether the name is free depends on the sources; see the editor's linter.
+    loop.alias = { name: alias[2], from: aliasFrom, to: aliasFrom + alias[2].length };
+
+    return loop;
+}
+
+/**
+ * Parses the argument of a [with:] marker: a single `%tag%`, following
+ * WITH_ARGUMENT_REGEX in Parser.php.
+ *
+ * @param {object} argument A marker argument ({ text, from, to, tags }).
+ * @returns {{tag: ?object, errors: Array<object>}}
+ */
+export function parseContextArgument(argument) {
+    const text = argument.text;
+    const base = argument.from;
+    const context = { tag: null, errors: [] };
+    const report = (from, to, message) => {
+        context.errors.push({ from, to, severity: "error", message });
+    };
+
+    const start = base + text.length - text.trimStart().length;
+    const tag = argument.tags[0];
+    if (!tag || tag.from !== start) {
+        report(start, tag ? tag.from : argument.to, "[with:] needs a tag that refers to a post, user or term, e.g. [with:%acf:related_post%].");
+        return context;
+    }
+    context.tag = tag;
+    if (!tag.closed) {
+        return context;
+    }
+    if (tag.filters.length > 0) {
+        report(tag.filters[0].from, tag.to - 1, "Filters cannot be applied to the tag of a [with:] block.");
+    }
+    if (text.slice(tag.to - base).trim() !== "") {
+        report(tag.to, argument.to, "[with:] takes a single tag.");
+    }
+
+    return context;
+}
+
+/**
+ * Parses the argument of an [include:] marker: the partial name followed by
+ * name='value' parameters, following INCLUDE_REGEX in Parser.php.
+ *
+ * @param {object} argument A marker argument ({ text, from, to, tags }).
+ * @returns {{name: ?{text: string, from: number, to: number}, params: Array<{name: string, from: number, to: number}>, errors: Array<object>}}
+ */
+export function parseIncludeArgument(argument) {
+    const text = argument.text;
+    const base = argument.from;
+    const partial = { name: null, params: [], errors: [] };
+    const report = (from, to, message) => {
+        partial.errors.push({ from, to, severity: "error", message });
+    };
+
+    const name = /^(\s*)([\w-]+)/.exec(text);
+    if (!name) {
+        report(base, argument.to, "[include:] needs the name of a partial, e.g. [include:card].");
+        return partial;
+    }
+    partial.name = { text: name[2], from: base + name[1].length, to: base + name[0].length };
+
+    const param = /(\s+)([A-Za-z_]\w*)\s*=\s*(?:'[^']*'|"[^"]*")/y;
+    let i = name[0].length;
+    let match;
+    while ((param.lastIndex = i), (match = param.exec(text))) {
+        const from = base + i + match[1].length;
+        partial.params.push({ name: match[2], from, to: from + match[2].length });
+        i = param.lastIndex;
+    }
+
+    const rest = text.slice(i);
+    if (rest.trim() !== "") {
+        report(base + i + rest.length - rest.trimStart().length, argument.to, "Expected name='value' parameters after the partial name, e.g. [include:card title='%acf:title%'].");
+    }
+
+    return partial;
+}
+
+// Same alternatives as Expression_Evaluator::TOKEN_REGEX.
+const EXPRESSION_TOKEN_REGEX =
+    /(?<space>\s+)|(?<tag>%[^%]*%?)|(?<string>'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(?<number>\d+(?:\.\d+)?|\.\d+)|(?<symbol>[-+*\/~()|])/y;
+
+/**
+ * Parses the argument of a [set:] marker: `name = expression`, following
+ * SET_ARGUMENT_REGEX in Parser.php and the grammar of Expression_Evaluator:
+ * numbers, quoted strings and tags joined by + - * / and ~ (concatenation),
+ * grouped with parentheses, optionally followed by a filter chain for the
+ * whole value. Like parseCondition(), only the first problem is reported.
+ *
+ * @param {object} argument A marker argument ({ text, from, to, tags }).
+ * @returns {{name: ?{text: string, from: number, to: number}, filters: Array<object>, errors: Array<object>}}
+ */
+export function parseSetArgument(argument) {
+    const text = argument.text;
+    const base = argument.from;
+    const assignment = { name: null, filters: [], errors: [] };
+
+    const name = /^(\s*)([A-Za-z_]\w*)\s*(=?)/.exec(text);
+    if (!name) {
+        const start = base + text.length - text.trimStart().length;
+        assignment.errors.push({
+            from: start,
+            to: argument.to,
+            severity: "error",
+            message: "[set:] needs a variable name and a value, e.g. [set:total = %acf:price% * 2].",
+        });
+        return assignment;
+    }
+    assignment.name = { text: name[2], from: base + name[1].length, to: base + name[1].length + name[2].length };
+    if (!name[3]) {
+        assignment.errors.push({
+            from: assignment.name.to,
+            to: argument.to,
+            severity: "error",
+            message: `Expected '=' after '${name[2]}', e.g. [set:${name[2]} = %acf:price% * 2].`,
+        });
+        return assignment;
+    }
+
+    let tokens;
+    let index = 0;
+    const peek = () => tokens[index] || null;
+    const accept = (...values) => {
+        const token = peek();
+        if (token && token.type === "symbol" && values.includes(token.value)) {
+            index++;
+            return token;
+        }
+        return null;
+    };
+
+    const tokenize = () => {
+        const list = [];
+        let i = name[0].length;
+        while (i < text.length) {
+            EXPRESSION_TOKEN_REGEX.lastIndex = i;
+            const match = EXPRESSION_TOKEN_REGEX.exec(text);
+            if (!match) {
+                const quote = text[i] === "'" || text[i] === '"';
+                throw new ConditionError(base + i, argument.to, quote ? `Missing closing ${text[i]} after the value.` : `Unexpected '${text[i]}'.`);
+            }
+            if (match[0] === "|") {
+                // The rest is the filter chain applied to the whole value.
+                scanFilterChain(text, i, text.length, base, assignment);
+                break;
+            }
+            const type = ["tag", "string", "number", "symbol"].find((group) => match.groups[group] !== undefined);
+            if (type) {
+                list.push({ type, value: match[0], from: base + i, to: base + i + match[0].length });
+            }
+            i += match[0].length;
+        }
+        return list;
+    };
+
+    const parseConcat = () => {
+        parseSum();
+        while (accept("~")) parseSum();
+    };
+    const parseSum = () => {
+        parseProduct();
+        while (accept("+", "-")) parseProduct();
+    };
+    const parseProduct = () => {
+        parseUnary();
+        while (accept("*", "/")) parseUnary();
+    };
+    const parseUnary = () => {
+        if (accept("-")) {
+            parseUnary();
+            return;
+        }
+
+        const open = accept("(");
+        if (open) {
+            parseConcat();
+            if (!accept(")")) {
+                const next = peek();
+                throw new ConditionError(open.from, open.to, next ? `Expected ')' before '${next.value}'.` : "Missing ')' for this '('.");
+            }
+            return;
+        }
+
+        const token = peek();
+        if (!token || token.type === "symbol") {
+            const at = token || tokens[tokens.length - 1];
+            const message = `Expected a tag, a number or a 'text' value ${index === 0 ? "after '='" : "here"}.`;
+            throw new ConditionError(at ? at.from : assignment.name.to, at ? at.to : argument.to, message);
+        }
+        index++;
+    };
+
+    try {
+        tokens = tokenize();
+        parseConcat();
+
+        const next = peek();
+        if (next) {
+            throw new ConditionError(
+                next.from,
+                next.to,
+                next.value === ")" ? "Unexpected ')' without a matching '('." : `Expected an operator (+ - * / ~) or '|' before '${next.value}'.`
+            );
+        }
+    } catch (e) {
+        if (!(e instanceof ConditionError)) throw e;
+        assignment.errors.push({ from: e.from, to: Math.max(e.to, e.from), severity: e.severity, message: e.message });
+    }
+
+    return assignment;
+}
+
+/**
+ * Scans the tag or block marker starting at index `i`, or returns null when
+ * the character there is ordinary text.
+ */
+function scanSyntaxAt(text, i, offset) {
+    if (text[i] === "%") return scanTag(text, i, offset);
+    if (text[i] === "[") return scanMarker(text, i, offset);
+    return null;
+}
+
+/**
+ * Finds where the next tag or block marker starts. The editor grammar's
+ * Text tokenizer uses this, so highlighting stops at exactly the places
+ * this parser treats as syntax.
+ *
+ * @param {string} text
+ * @param {number} [from=0] Index to start searching at.
+ * @returns {number} Index of the first tag or marker, or -1.
+ */
+export function findSyntaxStart(text, from = 0) {
+    for (let i = from; i < text.length; i++) {
+        if (scanSyntaxAt(text, i, 0)) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Splits a template into a flat list of text, tag and marker tokens.
+ *
+ * @param {string} text The template source.
+ * @param {number} [offset=0] Document position of the first character.
+ * @returns {Array<object>} Tokens in document order.
+ */
+export function tokenizeTemplate(text, offset = 0) {
+    const tokens = [];
+    let textStart = 0;
+    let i = 0;
+
+    const flushText = (end) => {
+        if (end > textStart) {
+            tokens.push({ type: "text", from: offset + textStart, to: offset + end });
+        }
+    };
+
+    while (i < text.length) {
+        const token = scanSyntaxAt(text, i, offset);
+
+        if (token) {
+            flushText(i);
+            tokens.push(token);
+            i = token.to - offset;
+            textStart = i;
+        } else {
+            i++;
+        }
+    }
+
+    flushText(text.length);
+    return tokens;
+}
+
+/**
+ * Nests the flat token list into [if], [fallback], [each], [layout] and [with] blocks,
+ * and turns [include:] and [set:] markers into include and set nodes.
+ * Unclosed blocks run to the end of the input with `close: null`;
+ * markers that do not belong to any open block are kept with `stray: true`.
+ */
+function buildTree(tokens, end) {
+    const root = { type: "template", children: [] };
+    const stack = [{ node: root, children: root.children }];
+    const top = () => stack[stack.length - 1];
+
+    const closeBlock = (type, marker) => {
+        for (let depth = stack.length - 1; depth > 0; depth--) {
+            if (stack[depth].node.type === type) {
+                // Blocks opened after the matching one stay unclosed.
+                stack[depth].node.close = marker;
+                stack[depth].node.to = marker.to;
+                stack.length = depth;
+                return true;
+            }
+        }
+        return false;
+    };
+
+    for (const token of tokens) {
+        if (token.type !== "marker") {
+            top().children.push(token);
+            continue;
+        }
+
+        switch (token.name) {
+            case "if": {
+                const branch = { marker: token, condition: token.argument, children: [] };
+                const node = { type: "if", from: token.from, to: end, branches: [branch], close: null };
+                top().children.push(node);
+                stack.push({ node, children: branch.children });
+                break;
+            }
+            case "else if":
+            case "else": {
+                const frame = top();
+                if (frame.node.type === "if") {
+                    const branch = { marker: token, condition: token.argument, children: [] };
+                    frame.node.branches.push(branch);
+                    frame.children = branch.children;
+                } else {
+                    token.stray = true;
+                    frame.children.push(token);
+                }
+                break;
+            }
+            case "fallback": {
+                // Parser::FALLBACK_BLOCK_REGEX requires the tag right before [fallback].
+                const siblings = top().children;
+                const previous = siblings[siblings.length - 1];
+                const target = previous && previous.type === "tag" && previous.to === token.from ? siblings.pop() : null;
+                const node = {
+                    type: "fallback",
+                    from: target ? target.from : token.from,
+                    to: end,
+                    target,
+                    open: token,
+                    children: [],
+                    close: null,
+                };
+                siblings.push(node);
+                stack.push({ node, children: node.children });
+                break;
+            }
+            case "each": {
+                const node = {
+                    type: "each",
+                    from: token.from,
+                    to: end,
+                    open: token,
+                    // An empty argument is reported by validateBlocks()
+                    loop: token.argument && token.argument.text.trim() ? parseLoopArgument(token.argument) : null,
+                    children: [],
+                    close: null,
+                };
+                top().children.push(node);
+                stack.push({ node, children: node.children });
+                break;
+            }
+            case "layout": {
+                const node = {
+                    type: "layout",
+                    from: token.from,
+                    to: end,
+                    open: token,
+                    name: token.argument ? token.argument.text.trim() : "",
+                    children: [],
+                    close: null,
+                };
+                top().children.push(node);
+                stack.push({ node, children: node.children });
+                break;
+            }
+            case "include":
+                top().children.push({
+                    type: "include",
+                    from: token.from,
+                    to: token.to,
+                    marker: token,
+                    // An empty argument is reported by validateBlocks()
+                    partial: token.argument && token.argument.text.trim() ? parseIncludeArgument(token.argument) : null,
+                });
+                break;
+            case "set":
+                top().children.push({
+                    type: "set",
+                    from: token.from,
+                    to: token.to,
+                    marker: token,
+                    // An empty argument is reported by validateBlocks()
+                    assignment: token.argument && token.argument.text.trim() ? parseSetArgument(token.argument) : null,
+                });
+                break;
+            case "with": {
+                const node = {
+                    type: "with",
+                    from: token.from,
+                    to: end,
+                    open: token,
+                    context: token.argument && token.argument.text.trim() ? parseContextArgument(token.argument) : null,
+                    children: [],
+                    close: null,
+                };
+                top().children.push(node);
+                stack.push({ node, children: node.children });
+                break;
+            }
+            case "/if":
+            case "/fallback":
+            case "/each":
+            case "/layout":
+            case "/with":
+                if (!closeBlock(token.name.slice(1), token)) {
+                    token.stray = true;
+                    top().children.push(token);
+                }
+                break;
+            default:
+                token.stray = true;
+                top().children.push(token);
+        }
+    }
+
+    return root;
+}
+
+/**
+ * Visits every node of the tree in document order, including the tags
+ * inside conditions and the target tag of a [fallback] block.
+ *
+ * @param {Array<object>} nodes
+ * @param {function(object): void} visit
+ */
+export function walkTemplate(nodes, visit) {
+    const visitMarker = (marker) => {
+        visit(marker);
+        if (marker.argument) walkTemplate(marker.argument.tags, visit);
+    };
+
+    for (const node of nodes) {
+        if (node.type === "marker") {
+            visitMarker(node);
+            continue;
+        }
+        visit(node);
+        if (node.type === "include" || node.type === "set") {
+            visitMarker(node.marker);
+        } else if (node.type === "if") {
+            for (const branch of node.branches) {
+                visitMarker(branch.marker);
+                walkTemplate(branch.children, visit);
+            }
+            if (node.close) visitMarker(node.close);
+        } else if (node.type === "fallback") {
+            if (node.target) visit(node.target);
+            visitMarker(node.open);
+            walkTemplate(node.children, visit);
+            if (node.close) visitMarker(node.close);
+        } else if (node.type === "each" || node.type === "layout" || node.type === "with") {
+            visitMarker(node.open);
+            walkTemplate(node.children, visit);
+            if (node.close) visitMarker(node.close);
+        }
+    }
+}
+
+/**
+ * Parses a template into a syntax tree.
+ *
+ * @param {string} text The template source.
+ * @param {number} [offset=0] Document position of the first character.
+ * @returns {{type: string, from: number, to: number, children: Array<object>, tags: Array<object>, markers: Array<object>}}
+ *   The root node, plus flat lists of every tag and block marker in document order.
+ */
+export function parseTemplate(text, offset = 0) {
+    const end = offset + text.length;
+    const root = buildTree(tokenizeTemplate(text, offset), end);
+    root.from = offset;
+    root.to = end;
+    root.tags = [];
+    root.markers = [];
+
+    walkTemplate(root.children, (node) => {
+        if (node.type === "tag") root.tags.push(node);
+        else if (node.type === "marker") root.markers.push(node);
+    });
+
+    return root;
+}
+
+/**
+ * Returns the unclosed tag that ends exactly at `pos`, i.e. the tag the
+ * user is typing, or null.
+ */
+export function tagBeingTyped(tree, pos) {
+    for (let i = tree.tags.length - 1; i >= 0; i--) {
+        const tag = tree.tags[i];
+        if (tag.to === pos) {
+            return tag.closed ? null : tag;
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the complete tag under `pos`, e.g. for hover tooltips, or null.
+ *
+ * @param {object} tree The root returned by parseTemplate().
+ * @param {number} pos
+ * @param {number} [side=0] -1 or 1 to ignore a tag that only touches `pos`
+ *   on the other side, like CodeMirror's hover sides.
+ */
+export function tagAt(tree, pos, side = 0) {
+    for (const tag of tree.tags) {
+        if (!tag.closed || pos < tag.from || pos > tag.to) continue;
+        if ((pos === tag.from && side < 0) || (pos === tag.to && side > 0)) continue;
+        return tag;
+    }
+    return null;
+}
+
+/**
+ * Returns the [each], [layout] and [with] blocks whose body contains `pos`,
+ * outermost first. They decide what %sub:% and %acf:% refer to.
+ */
+export function blocksAt(tree, pos) {
+    const blocks = [];
+    walkTemplate(tree.children, (node) => {
+        if ((node.type === "each" || node.type === "layout" || node.type === "with") && node.open.to <= pos && (!node.close || pos <= node.close.from)) {
+            blocks.push(node);
+        }
+    });
+    return blocks;
+}
+
+/**
+ * Returns the [set] nodes whose variable %var:% can read at `pos`: those of
+ * the [each] or [with] body around `pos` and of every block enclosing it,
+ * as Parser::process_var_tag() looks them up. Inside a [set:] marker only
+ * the earlier ones count, since markers are evaluated in document order.
+ */
+export function variablesAt(tree, pos) {
+    const scopes = blocksAt(tree, pos).filter((block) => block.type !== "layout");
+    const sets = [];
+    walkTemplate(tree.children, (node) => {
+        if (node.type === "set" && node.assignment && node.assignment.name) sets.push(node);
+    });
+
+    const current = sets.find((node) => node.from < pos && pos < node.to);
+    return sets.filter((node) => {
+        if (current && node.from >= current.from) return false;
+        // The innermost [each] or [with] block around the marker is its scope.
+        const owner = blocksAt(tree, node.from).filter((block) => block.type !== "layout").pop();
+        return !owner || scopes.includes(owner);
+    });
+}
+
+/**
+ * Finds the filter whose argument list contains `pos`, for signature help.
+ *
+ * @returns {?{tag: object, filter: object, argIndex: number}} The filter and
+ *   the index of the argument under the cursor, or null outside any "(...)".
+ */
+export function filterCallAt(tree, pos) {
+    for (const tag of tree.tags) {
+        if (pos < tag.from || pos > tag.to) continue;
+
+        for (const filter of tag.filters) {
+            if (!filter.parens || pos <= filter.parens.open) continue;
+            const end = filter.parens.close !== null ? filter.parens.close : filter.to;
+            if (pos <= end) {
+                return { tag, filter, argIndex: filter.commas.filter((comma) => comma < pos).length };
+            }
+        }
+    }
+    return null;
+}
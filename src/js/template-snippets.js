@@ -0,0 +1,179 @@
+// src/js/template-snippets.js
+
+import { snippetCompletion } from "@codemirror/autocomplete";
+
+/**
+ * ========================================================================
+ * DataEngine Template Snippets
+ * ========================================================================
+ * Ready-made structures for the Live Editor: the block syntax, plus
+ * scaffolds built from the fields in the data dictionary. Templates use the
+ * @codemirror/autocomplete snippet syntax, so ${1:name} is a tab stop.
+ */
+
+export const BLOCK_SNIPPETS = [
+    {
+        label: "[if]",
+        detail: "Conditional block",
+        template: "[if:%${1:acf:field}% ${2:==} '${3:value}']\n\t${4}\n[/if]",
+    },
+    {
+        label: "[if…else]",
+        detail: "Conditional block with else",
+        template: "[if:%${1:acf:field}% ${2:==} '${3:value}']\n\t${4}\n[else]\n\t${5}\n[/if]",
+    },
+    {
+        label: "[if…else if…else]",
+        detail: "Conditional block with several branches",
+        template:
+            "[if:%${1:acf:field}% ${2:==} '${3:value}']\n\t${4}\n[else if:%${1:acf:field}% ${5:==} '${6:value}']\n\t${7}\n[else]\n\t${8}\n[/if]",
+    },
+    {
+        label: "[if not empty]",
+        detail: "Render only when a field has a value",
+        template: "[if:%${1:acf:field}% not_empty]\n\t${2}\n[/if]",
+    },
+    {
+        label: "[fallback]",
+        detail: "Tag with a fallback for empty values",
+        template: "%${1:acf:field}%[fallback]${2:Not available}[/fallback]",
+    },
+    {
+        label: "[each]",
+        detail: "Loop over a repeater, gallery or list",
+        template: "[each:%${1:acf:field}%]\n\t${2:%sub:${3:field}%}\n[/each]",
+    },
+    {
+        label: "[with]",
+        detail: "Fields of a related post, user or term",
+        template: "[with:%${1:acf:related_post}%]\n\t${2:%post:post_title%}\n[/with]",
+    },
+    {
+        label: "[set]",
+        detail: "Variable computed once, read with %var:name%",
+        template: "[set:${1:name} = ${2:%acf:field%}]%var:${1:name}%",
+    },
+    {
+        label: "[img]",
+        detail: "Image with alt text",
+        template: '<img src="%${1:acf:image}.url%" alt="%${1:acf:image}.alt%">',
+    },
+    {
+        label: "[terms]",
+        detail: "Taxonomy term list",
+        template: "%${1:acf:terms}|limit(${2:3})|separator('${3:, }')|wrap('${4:<span>}', '${5:</span>}')%",
+    },
+];
+
+/**
+ * Returns the snippet template for a single field, based on its ACF type.
+ *
+ * @param {string} source The tag source, "acf" or "sub".
+ * @param {{name: string, type?: string, items?: {properties: Array<object>, layouts?: Array<object>}}} field
+ */
+function fieldScaffold(source, field) {
+    const tag = `${source}:${field.name}`;
+
+    switch (field.type) {
+        case "image":
+            return `<img src="%${tag}.url%" alt="%${tag}.alt%">`;
+        case "file":
+            return `<a href="%${tag}.url%" download>%${tag}.title%</a>`;
+        case "url":
+        case "page_link":
+            return `<a href="%${tag}%">\${1:%${tag}%}</a>`;
+        case "email":
+            return `<a href="mailto:%${tag}%">%${tag}%</a>`;
+        case "post_object":
+            return `<a href="%${tag}.permalink%">%${tag}.post_title%</a>`;
+        case "taxonomy":
+            return `%${tag}.name|limit(\${1:3})|separator('\${2:, }')|wrap('\${3:<span>}', '\${4:</span>}')%`;
+        case "true_false":
+            return `[if:%${tag}% == '1']\n\t\${1}\n[else]\n\t\${2}\n[/if]`;
+        case "wysiwyg":
+        case "textarea":
+            return `%${tag}%[fallback]\${1}[/fallback]`;
+        case "repeater": {
+            // For the Dynamic Repeater widget, which renders the item template once per row
+            const rows = field.items ? field.items.properties : [];
+            const items = rows.map((sub) => `\t<li>%sub:${sub.name}%</li>`);
+            return [
+                "<!-- Header Template -->",
+                `<ul class="\${1:${field.name}}">`,
+                "<!-- Item Template -->",
+                ...(items.length > 0 ? items : ["\t<li>%sub:${2:sub_field}%</li>"]),
+                "<!-- Footer Template -->",
+                "</ul>",
+            ].join("\n");
+        }
+        case "flexible_content": {
+            const layouts = field.items ? field.items.layouts : [];
+            const blocks = layouts.map((layout) =>
+                [`\t[layout:${layout.name}]`, ...layout.properties.slice(1).map((sub) => `\t\t%sub:${sub.name}%`), "\t[/layout]"].join("\n")
+            );
+            return [`[each:%${tag}%]`, ...(blocks.length > 0 ? blocks : ["\t[layout:${1:layout}]${2}[/layout]"]), "[/each]"].join("\n");
+        }
+        default:
+            return `%${tag}%`;
+    }
+}
+
+/**
+ * Builds the scaffold snippets for every typed field in the dictionary, and
+ * a block for every Flexible Content layout of the widget's rows.
+ *
+ * @param {object} dictionary The data dictionary from the server.
+ * @returns {Array<{label: string, detail: string, template: string}>}
+ */
+export function fieldSnippets(dictionary) {
+    const snippets = [];
+
+    for (const source of ["acf", "sub"]) {
+        for (const field of dictionary[source] || []) {
+            if (!field.type) continue;
+            snippets.push({
+                label: `[${field.name}]`,
+                detail: `${field.label || field.name} (${field.type})`,
+                template: fieldScaffold(source, field),
+            });
+        }
+    }
+
+    // One block per Flexible Content layout, with the layout's fields
+    for (const layout of dictionary.layouts || []) {
+        const fields = (layout.properties || []).map((field) => `\t%sub:${field.name}%`);
+        snippets.push({
+            label: `[layout:${layout.name}]`,
+            detail: `${layout.label || layout.name} (layout)`,
+            template: [`[layout:${layout.name}]`, ...(fields.length > 0 ? fields : ["\t${1}"]), "[/layout]"].join("\n"),
+        });
+    }
+
+    return snippets;
+}
+
+/**
+ * Turns snippets into completion options. A "]" right after the cursor
+ * (inserted by closeBrackets when "[" was typed) is replaced as well.
+ *
+ * @param {Array<{label: string, detail: string, template: string}>} snippets
+ * @returns {Array<import("@codemirror/autocomplete").Completion>}
+ */
+export function snippetOptions(snippets) {
+    return snippets.map((snippet) => {
+        const completion = snippetCompletion(snippet.template, {
+            label: snippet.label,
+            detail: snippet.detail,
+            type: "snippet",
+        });
+        const apply = completion.apply;
+
+        return {
+            ...completion,
+            apply: (view, option, from, to) => {
+                const end = view.state.sliceDoc(to, to + 1) === "]" ? to + 1 : to;
+                apply(view, option, from, end);
+            },
+        };
+    });
+}
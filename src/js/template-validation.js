@@ -0,0 +1,352 @@
+// src/js/template-validation.js
+
+import { parseCondition, walkTemplate } from "./template-parser.js";
+
+/**
+ * ========================================================================
+ * DataEngine Template Validation
+ * ========================================================================
+ * Checks on top of the tree from template-parser.js that go beyond single
+ * tags: block structure, condition grammar and filter arguments. Parser.php
+ * never reports these mistakes; they quietly render nothing (or the wrong
+ * thing) on the live site.
+ */
+
+// Markers that must (or must not) carry a ":argument".
+const CONDITION_MARKERS = ["if", "else if"];
+
+const STRAY_MESSAGES = {
+    "/if": "Unexpected [/if] without a matching [if:...].",
+    "else": "[else] can only be used inside an [if:...] block.",
+    "else if": "[else if:...] can only be used inside an [if:...] block.",
+    "/fallback": "Unexpected [/fallback] without a matching [fallback].",
+    "/each": "Unexpected [/each] without a matching [each:...].",
+    "/layout": "Unexpected [/layout] without a matching [layout:...].",
+    "/with": "Unexpected [/with] without a matching [with:...].",
+};
+
+/**
+ * Checks the marker itself: conditions where they belong, none elsewhere.
+ */
+function validateMarker(marker, diagnostics) {
+    const label = marker.name === "else if" ? "else if:..." : marker.name;
+
+    if (marker.name === "each") {
+        if (!marker.argument || marker.argument.text.trim() === "") {
+            diagnostics.push({
+                from: marker.from,
+                to: marker.to,
+                severity: "error",
+                message: "[each] needs a list to loop over, e.g. [each:%acf:gallery%].",
+            });
+        }
+        return;
+    }
+
+    if (marker.name === "include") {
+        if (!marker.argument || marker.argument.text.trim() === "") {
+            diagnostics.push({
+                from: marker.from,
+                to: marker.to,
+                severity: "error",
+                message: "[include] needs the name of a partial, e.g. [include:card].",
+            });
+        }
+        return;
+    }
+
+    if (marker.name === "set") {
+        if (!marker.argument || marker.argument.text.trim() === "") {
+            diagnostics.push({
+                from: marker.from,
+                to: marker.to,
+                severity: "error",
+                message: "[set] needs a variable name and a value, e.g. [set:total = %acf:price% * 2].",
+            });
+        }
+        return;
+    }
+
+    if (marker.name === "with") {
+        if (!marker.argument || marker.argument.text.trim() === "") {
+            diagnostics.push({
+                from: marker.from,
+                to: marker.to,
+                severity: "error",
+                message: "[with] needs a post, user or term field, e.g. [with:%acf:related_post%].",
+            });
+        }
+        return;
+    }
+
+    if (marker.name === "layout") {
+        const name = marker.argument ? marker.argument.text.trim() : "";
+        if (!/^[\w-]+$/.test(name)) {
+            diagnostics.push({
+                from: marker.from,
+                to: marker.to,
+                severity: "error",
+                message: name
+                    ? `'${name}' is not a layout name; use the name of a Flexible Content layout, e.g. [layout:hero].`
+                    : "[layout] needs the name of a Flexible Content layout, e.g. [layout:hero].",
+            });
+        }
+        return;
+    }
+
+    if (!CONDITION_MARKERS.includes(marker.name)) {
+        if (marker.argument) {
+            diagnostics.push({
+                from: marker.argument.from - 1,
+                to: marker.argument.to,
+                severity: "error",
+                message: `[${marker.name}] does not take a condition.`,
+            });
+        }
+        return;
+    }
+
+    if (!marker.argument || marker.argument.text.trim() === "") {
+        diagnostics.push({
+            from: marker.from,
+            to: marker.to,
+            severity: "error",
+            message: `[${label}] needs a condition, e.g. [${marker.name}:%acf:field% == 'value'].`,
+        });
+        return;
+    }
+
+    diagnostics.push(...parseCondition(marker.argument).errors);
+}
+
+/**
+ * The [set] nodes directly among `nodes`, or inside a [fallback] between
+ * them. Nested [if] and [layout] blocks report their own; those in [each]
+ * and [with] bodies run once per rendering of the body.
+ */
+function directSets(nodes) {
+    return nodes.flatMap((node) => (node.type === "set" ? [node] : node.type === "fallback" ? directSets(node.children) : []));
+}
+
+/**
+ * Validates block nesting, branch order, fallback placement, loop and
+ * layout arguments and the grammar of every condition and [set] expression.
+ *
+ * @param {object} tree The root returned by parseTemplate().
+ * @returns {Array<{from: number, to: number, severity: string, message: string}>}
+ */
+export function validateBlocks(tree) {
+    const diagnostics = [];
+
+    walkTemplate(tree.children, (node) => {
+        if (node.type === "marker") {
+            validateMarker(node, diagnostics);
+            if (node.stray) {
+                diagnostics.push({
+                    from: node.from,
+                    to: node.to,
+                    severity: "error",
+                    message: STRAY_MESSAGES[node.name] || `Unexpected [${node.name}].`,
+                });
+            }
+            return;
+        }
+
+        // Variables are set before any block is rendered, so a condition
+        // (or a layout) around a [set] does not decide whether it runs.
+        if (node.type === "if" || node.type === "layout") {
+            const children = node.type === "if" ? node.branches.flatMap((branch) => branch.children) : node.children;
+            for (const set of directSets(children)) {
+                diagnostics.push({
+                    from: set.from,
+                    to: set.to,
+                    severity: "warning",
+                    message: `[set] runs whether or not this [${node.type}] block is rendered; move it out of the block.`,
+                });
+            }
+        }
+
+        if (node.type === "if") {
+            const opening = node.branches[0].marker;
+            if (!node.close) {
+                diagnostics.push({
+                    from: opening.from,
+                    to: opening.to,
+                    severity: "error",
+                    message: "Unclosed [if:...] block: missing [/if].",
+                });
+            }
+
+            // Everything after [else] is unreachable.
+            const elseIndex = node.branches.findIndex((branch) => branch.marker.name === "else");
+            if (elseIndex >= 0) {
+                for (const branch of node.branches.slice(elseIndex + 1)) {
+                    diagnostics.push({
+                        from: branch.marker.from,
+                        to: branch.marker.to,
+                        severity: "error",
+                        message:
+                            branch.marker.name === "else"
+                                ? "Duplicate [else] in the same [if] block."
+                                : "[else if:...] after [else] is never reached.",
+                    });
+                }
+            }
+            return;
+        }
+
+        if (node.type === "fallback") {
+            if (!node.target) {
+                diagnostics.push({
+                    from: node.open.from,
+                    to: node.open.to,
+                    severity: "error",
+                    message: "[fallback] must directly follow a tag, e.g. %acf:field%[fallback]...[/fallback].",
+                });
+            }
+            if (!node.close) {
+                diagnostics.push({
+                    from: node.open.from,
+                    to: node.open.to,
+                    severity: "error",
+                    message: "Unclosed [fallback] block: missing [/fallback].",
+                });
+            }
+            return;
+        }
+
+        if (node.type === "each") {
+            if (node.loop) {
+                diagnostics.push(...node.loop.errors);
+            }
+            if (!node.close) {
+                diagnostics.push({
+                    from: node.open.from,
+                    to: node.open.to,
+                    severity: "error",
+                    message: "Unclosed [each:...] block: missing [/each].",
+                });
+            }
+            return;
+        }
+
+        if (node.type === "set") {
+            if (node.assignment) {
+                diagnostics.push(...node.assignment.errors.map((error) => ({ ...error, severity: error.severity || "error" })));
+            }
+            return;
+        }
+
+        if (node.type === "include") {
+            if (node.partial) {
+                diagnostics.push(...node.partial.errors);
+            }
+            return;
+        }
+
+        if (node.type === "with") {
+            if (node.context) {
+                diagnostics.push(...node.context.errors);
+            }
+            if (!node.close) {
+                diagnostics.push({
+                    from: node.open.from,
+                    to: node.open.to,
+                    severity: "error",
+                    message: "Unclosed [with:...] block: missing [/with].",
+                });
+            }
+            return;
+        }
+
+        if (node.type === "layout") {
+            if (!node.close) {
+                diagnostics.push({
+                    from: node.open.from,
+                    to: node.open.to,
+                    severity: "error",
+                    message: "Unclosed [layout:...] block: missing [/layout].",
+                });
+            }
+            // Parser::LAYOUT_BLOCK_REGEX pairs each [layout:] with the first [/layout];
+            // only a nested [each] renders its own rows (and their layouts) first.
+            const loops = [];
+            walkTemplate(node.children, (inner) => {
+                if (inner.type === "each") loops.push(inner);
+                if (inner.type === "layout" && !loops.some((loop) => inner.from >= loop.from && inner.to <= loop.to)) {
+                    diagnostics.push({
+                        from: inner.open.from,
+                        to: inner.open.to,
+                        severity: "error",
+                        message: "[layout] blocks cannot be nested; close the previous one with [/layout] first.",
+                    });
+                }
+            });
+        }
+    });
+
+    return diagnostics;
+}
+
+/**
+ * Checks a filter call against its dictionary entry: the argument list is
+ * closed, the argument count fits and numeric arguments are numbers (PHP
+ * throws a TypeError for a non-numeric string passed to an int parameter).
+ *
+ * @param {object} filter A filter node from a parsed tag.
+ * @param {{name: string, args?: Array<{name: string, type: string, required?: boolean}>}} definition
+ * @returns {Array<{from: number, to: number, severity: string, message: string}>}
+ */
+export function validateFilterArguments(filter, definition) {
+    const diagnostics = [];
+    const params = definition.args || [];
+
+    if (filter.parens && filter.parens.close === null) {
+        diagnostics.push({
+            from: filter.from,
+            to: filter.to,
+            severity: "error",
+            message: `Missing ')' after the arguments of '${filter.name}'.`,
+        });
+        return diagnostics;
+    }
+
+    filter.args.slice(params.length).forEach((arg) => {
+        diagnostics.push({
+            from: arg.from,
+            to: Math.max(arg.to, arg.from + 1),
+            severity: "error",
+            message:
+                params.length === 0
+                    ? `'${filter.name}' does not take any arguments.`
+                    : `'${filter.name}' takes at most ${params.length} argument${params.length === 1 ? "" : "s"}.`,
+        });
+    });
+
+    params.forEach((param, index) => {
+        const arg = filter.args[index];
+
+        if (!arg) {
+            if (param.required) {
+                diagnostics.push({
+                    from: filter.nameFrom,
+                    to: filter.to,
+                    severity: "error",
+                    message: `Missing argument '${param.name}' for '${filter.name}'.`,
+                });
+            }
+            return;
+        }
+
+        if (param.type === "number" && !/^-?\d+(\.\d+)?$/.test(arg.value.trim())) {
+            diagnostics.push({
+                from: arg.from,
+                to: Math.max(arg.to, arg.from + 1),
+                severity: "error",
+                message: `'${param.name}' must be a number, got '${arg.raw}'.`,
+            });
+        }
+    });
+
+    return diagnostics;
+}